@@ -9,8 +9,14 @@ import {
     initializeDatabase,
     closeDatabaseConnection,
 } from "./infrastructure/db.infrastructure.js";
+import {
+    isShuttingDown,
+    startHttpServer,
+    stopHttpServer,
+} from "./infrastructure/server.infrastructure.js";
 import setupMiddleware from "./middleware/index.js";
 import setupRoutes from "./routes/index.js";
+import { logger } from "./infrastructure/logger.infrastructure.js";
 import { serverConfig } from "./config/app.config.js";
 
 // 创建Koa应用实例
@@ -22,9 +28,20 @@ setupMiddleware(app);
 // 配置路由
 setupRoutes(app);
 
+// 替换 Koa 默认输出到 console.error 的错误监听，errorHandler 已处理的错误不再重复记录
+app.on("error", (error, ctx) => {
+    if (ctx && ctx.state && ctx.state.errorHandled) {
+        return;
+    }
+    ((ctx && ctx.state && ctx.state.logger) || logger).error("应用错误", { error });
+});
+
 // 服务器配置
 const { port: PORT, host: HOST } = serverConfig;
 
+// 启动后的HTTP服务器，优雅关闭时需要先停止它再断开数据库
+let server = null;
+
 /**
  * 启动应用服务器
  */
@@ -33,33 +50,47 @@ const startServer = async () => {
         // 初始化数据库
         const dbInitialized = await initializeDatabase();
         if (!dbInitialized) {
-            console.error("❌ 数据库初始化失败，服务器启动中止");
+            logger.error("数据库初始化失败，服务器启动中止");
             process.exit(1);
         }
 
         // 启动HTTP服务器
-        app.listen(PORT, HOST, () => {
-            console.log(`🚀 Server is running on http://${HOST}:${PORT}`);
-        });
+        server = await startHttpServer(app, { port: PORT, host: HOST });
+        logger.info(`Server is running on http://${HOST}:${PORT}`, { env: serverConfig.env });
     } catch (error) {
-        console.error("❌ 服务器启动失败:", error.message);
+        logger.error("服务器启动失败", { error });
         process.exit(1);
     }
 };
 
 /**
  * 优雅关闭处理
+ * 先停止HTTP服务器并等待进行中的请求完成（最长 serverConfig.shutdownTimeout），再关闭数据库连接；
+ * 关闭过程中再次收到信号时立即退出
  * @param {string} signal - 接收到的系统信号
  */
 const gracefulShutdown = async (signal) => {
-    console.log(`\n📡 收到 ${signal} 信号，开始优雅关闭...`);
+    if (isShuttingDown()) {
+        logger.warn("再次收到关闭信号，立即退出", { signal });
+        process.exit(1);
+    }
+    logger.info("收到关闭信号，开始优雅关闭", { signal });
 
     try {
+        if (server) {
+            const { drained, aborted } = await stopHttpServer(server);
+            if (drained) {
+                logger.info("HTTP服务器已关闭，进行中的请求均已完成");
+            } else {
+                logger.warn("等待超时，已强制中断未完成的请求", { aborted });
+            }
+        }
+
         await closeDatabaseConnection();
-        console.log("👋 服务器已优雅关闭");
+        logger.info("服务器已优雅关闭");
         process.exit(0);
     } catch (error) {
-        console.error("❌ 关闭过程中发生错误:", error.message);
+        logger.error("关闭过程中发生错误", { error });
         process.exit(1);
     }
 };
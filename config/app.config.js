@@ -1,35 +1,71 @@
 /**
  * 应用配置文件
- * 统一管理应用的各种配置参数
+ * 启动时加载并校验配置（见 config/config.loader.js），各模块通过这里导出的冻结对象读取配置
  */
 
-// 服务器配置
-export const serverConfig = {
-  port: 3610,
-  host: "localhost",
-  env: "development",
+import { loadConfig, ConfigError } from "./config.loader.js";
+
+/**
+ * 加载配置，校验失败时输出所有问题并立即退出
+ * @returns {Object} 冻结的配置对象
+ */
+const initializeConfig = () => {
+  try {
+    return loadConfig();
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    throw error;
+  }
 };
 
+const config = initializeConfig();
+
+export default config;
+
+// 服务器配置
+export const serverConfig = config.server;
+
+// 日志配置
+export const loggingConfig = config.logging;
+
 // 请求体解析配置
-export const bodyParserConfig = {
-  enableTypes: ["json", "form"],
-  jsonLimit: "100mb", // JSON数据大小限制
-  formLimit: "100mb", // 表单数据大小限制
-  textLimit: "100mb", // 文本数据大小限制
-};
+export const bodyParserConfig = config.bodyParser;
 
 // CORS跨域配置
-export const corsConfig = {
-  origin: "*", // 允许所有域名访问，生产环境建议设置具体域名
-  allowMethods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowHeaders: ["Content-Type", "Authorization", "Accept"],
-};
+export const corsConfig = config.cors;
+
+// 请求输入配置
+export const inputConfig = config.input;
 
 // 静态文件服务配置
-export const staticConfig = {
-  root: "./public", // 静态文件根目录
-  opts: {
-    maxAge: 1000 * 60 * 60 * 24 * 1, // 缓存时间：7天
-    index: false, // 默认首页文件 参数可以是字符串（index.html） 也可以是false
-  },
-};
+export const staticConfig = config.static;
+
+// 数据库配置
+export const databaseConfig = config.database;
+
+// 认证令牌配置
+export const authConfig = config.auth;
+
+// 邮件发送配置
+export const mailConfig = config.mail;
+
+// 登录防暴力破解配置
+export const loginThrottleConfig = config.loginThrottle;
+
+// API密钥配置
+export const apiKeyConfig = config.apiKey;
+
+// OpenID Connect 第三方登录配置
+export const oidcConfig = config.oidc;
+
+// 健康检查配置
+export const healthConfig = config.health;
+
+// 种子数据配置
+export const seedConfig = config.seed;
+
+// 角色权限配置（应用启动时幂等写入数据库）
+export const rbacConfig = config.rbac;
@@ -0,0 +1,297 @@
+/**
+ * 配置加载器
+ * 按 默认配置 < 环境配置文件 < .env 文件 < 环境变量 的优先级合并配置，
+ * 启动时按 config/config.schema.js 校验，校验失败立即抛出并列出所有问题
+ */
+
+import { existsSync, readFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import defaults from "./default.config.js";
+import development from "./environments/development.config.js";
+import test from "./environments/test.config.js";
+import production from "./environments/production.config.js";
+import { CONFIG_SCHEMA, ENV_MAPPING } from "./config.schema.js";
+
+// 项目根目录，.env 文件和相对路径都基于此目录
+export const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), "..");
+
+const ENVIRONMENT_CONFIGS = { development, test, production };
+
+/**
+ * 配置校验失败
+ * @param {Array<string>} problems - 所有校验问题
+ */
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`配置校验失败:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isLeaf = (schema) => isPlainObject(schema) && typeof schema.type === "string";
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: isPlainObject,
+  any: () => true,
+};
+
+const TYPE_NAMES = {
+  string: "字符串",
+  integer: "整数",
+  boolean: "布尔值",
+  array: "数组",
+  object: "对象",
+};
+
+/**
+ * 解析 .env 文件内容
+ * 支持注释、空行、export 前缀以及单引号/双引号包裹的值，双引号中的 \n 会转换为换行
+ * @param {string} content - 文件内容
+ * @returns {Object} 变量名到值的映射
+ */
+export const parseEnvFile = (content) => {
+  const variables = {};
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) {
+      continue;
+    }
+
+    const [, key, rawValue] = match;
+    let value = rawValue.trim();
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length > 1) {
+      value = value.slice(1, -1);
+      if (quote === '"') {
+        value = value.replace(/\\n/g, "\n");
+      }
+    } else {
+      // 未加引号的值允许行尾注释
+      value = value.replace(/\s+#.*$/, "");
+    }
+    variables[key] = value;
+  }
+
+  return variables;
+};
+
+/**
+ * 读取 .env 文件，文件不存在时返回空对象
+ * @param {string} rootDir - 所在目录
+ * @param {string} name - 文件名
+ * @returns {Object} 变量映射
+ */
+const readEnvFile = (rootDir, name) => {
+  const path = join(rootDir, name);
+  return existsSync(path) ? parseEnvFile(readFileSync(path, "utf8")) : {};
+};
+
+/**
+ * 读取并合并 .env 系列文件
+ * 优先级：.env.<环境>.local > .env.local > .env.<环境> > .env；
+ * 测试环境不读取 .env.local，避免个人本地配置影响测试结果
+ * @param {string} rootDir - 所在目录
+ * @param {Object} processEnv - 进程环境变量，用于确定当前环境
+ * @returns {Object} 合并后的变量映射
+ */
+export const loadEnvFiles = (rootDir, processEnv = {}) => {
+  const base = readEnvFile(rootDir, ".env");
+  const local = readEnvFile(rootDir, ".env.local");
+  const env = processEnv.NODE_ENV || local.NODE_ENV || base.NODE_ENV || "development";
+
+  return {
+    ...base,
+    ...readEnvFile(rootDir, `.env.${env}`),
+    ...(env === "test" ? {} : local),
+    ...readEnvFile(rootDir, `.env.${env}.local`),
+  };
+};
+
+/**
+ * 深度合并配置，数组和非对象值直接覆盖
+ * @param {Object} target - 被覆盖的配置
+ * @param {Object} source - 覆盖的配置
+ * @returns {Object} 合并后的新对象
+ */
+const deepMerge = (target, source) => {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source || {})) {
+    result[key] =
+      isPlainObject(value) && isPlainObject(result[key])
+        ? deepMerge(result[key], value)
+        : value;
+  }
+  return result;
+};
+
+/**
+ * 按类型转换环境变量的字符串值，无法转换时保留原值交给校验报错
+ * @param {string} value - 环境变量的值
+ * @param {Object|undefined} schema - 目标配置项的定义
+ * @returns {*} 转换后的值
+ */
+const coerce = (value, schema) => {
+  switch (schema && schema.type) {
+    case "integer":
+      return /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    case "boolean":
+      if (["true", "1"].includes(value.toLowerCase())) return true;
+      if (["false", "0"].includes(value.toLowerCase())) return false;
+      return value;
+    case "array":
+      return value.split(",").map((item) => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+};
+
+/**
+ * 把环境变量写入配置
+ * @param {Object} config - 合并后的配置
+ * @param {Object} variables - 环境变量
+ * @returns {Object} 配置项路径到环境变量名的映射，用于在错误信息中注明来源
+ */
+const applyEnvVariables = (config, variables) => {
+  const sources = {};
+
+  for (const [name, path] of Object.entries(ENV_MAPPING)) {
+    if (variables[name] === undefined || variables[name] === "") {
+      continue;
+    }
+
+    const keys = path.split(".");
+    const schema = keys.reduce((node, key) => (node && !isLeaf(node) ? node[key] : undefined), CONFIG_SCHEMA);
+    let node = config;
+    for (const key of keys.slice(0, -1)) {
+      if (!isPlainObject(node[key])) {
+        node[key] = {};
+      }
+      node = node[key];
+    }
+    node[keys[keys.length - 1]] = coerce(variables[name], isLeaf(schema) ? schema : undefined);
+    sources[path] = name;
+  }
+
+  return sources;
+};
+
+/**
+ * 校验单个配置项
+ * @param {*} value - 配置值
+ * @param {Object} schema - 配置项定义
+ * @param {Object} config - 完整配置，供自定义校验使用
+ * @returns {Array<string>} 错误信息列表
+ */
+const validateLeaf = (value, schema, config) => {
+  const { type, min, max, values, pattern, check } = schema;
+
+  if (value === undefined || value === null) {
+    return ["缺少配置"];
+  }
+
+  if (!TYPE_CHECKS[type](value)) {
+    return [`必须是${TYPE_NAMES[type]}，当前为 ${JSON.stringify(value)}`];
+  }
+
+  const errors = [];
+  if (min !== undefined && value < min) {
+    errors.push(`不能小于 ${min}，当前为 ${value}`);
+  }
+  if (max !== undefined && value > max) {
+    errors.push(`不能大于 ${max}，当前为 ${value}`);
+  }
+  if (values && !values.includes(value)) {
+    errors.push(`必须是 ${values.join("、")} 之一，当前为 ${JSON.stringify(value)}`);
+  }
+  if (pattern && !pattern.test(value)) {
+    errors.push(`格式不正确，当前为 ${JSON.stringify(value)}`);
+  }
+  if (errors.length === 0 && check) {
+    errors.push(...check(value, config));
+  }
+  return errors;
+};
+
+/**
+ * 按配置定义递归校验
+ * @param {Object} node - 当前分组的配置
+ * @param {Object} schema - 当前分组的定义
+ * @param {Object} config - 完整配置
+ * @param {Object} sources - 来自环境变量的配置项
+ * @param {string} prefix - 当前分组路径
+ * @returns {Array<string>} 错误信息列表，形如 "server.port: 不能大于 65535（环境变量 PORT）"
+ */
+const validateSection = (node, schema, config, sources, prefix = "") => {
+  if (!isPlainObject(node)) {
+    return [`${prefix.slice(0, -1) || "配置"}: 必须是对象`];
+  }
+
+  const problems = Object.keys(node)
+    .filter((key) => !Object.hasOwn(schema, key))
+    .map((key) => `${prefix}${key}: 未知的配置项`);
+
+  for (const [key, child] of Object.entries(schema)) {
+    const path = `${prefix}${key}`;
+    if (isLeaf(child)) {
+      const source = sources[path] ? `（环境变量 ${sources[path]}）` : "";
+      validateLeaf(node[key], child, config).forEach((message) =>
+        problems.push(`${path}: ${message}${source}`)
+      );
+    } else {
+      problems.push(...validateSection(node[key], child, config, sources, `${path}.`));
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * 递归冻结对象
+ * @param {Object} object - 要冻结的对象
+ * @returns {Object} 冻结后的同一对象
+ */
+const deepFreeze = (object) => {
+  Object.values(object)
+    .filter((value) => value !== null && typeof value === "object")
+    .forEach(deepFreeze);
+  return Object.freeze(object);
+};
+
+/**
+ * 加载、校验并冻结应用配置
+ * @param {Object} options - 选项
+ * @param {Object} options.processEnv - 环境变量，默认为 process.env
+ * @param {string} options.rootDir - .env 文件所在目录，默认为项目根目录
+ * @returns {Object} 冻结的配置对象
+ * @throws {ConfigError} 配置校验失败
+ */
+export const loadConfig = ({ processEnv = process.env, rootDir = ROOT_DIR } = {}) => {
+  const variables = { ...loadEnvFiles(rootDir, processEnv), ...processEnv };
+  const env = variables.NODE_ENV || defaults.server.env;
+
+  // 复制默认配置，避免写入环境变量或冻结时修改到模块本身
+  const config = deepMerge(structuredClone(defaults), structuredClone(ENVIRONMENT_CONFIGS[env] || {}));
+  const sources = applyEnvVariables(config, variables);
+
+  const problems = validateSection(config, CONFIG_SCHEMA, config, sources);
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return deepFreeze(config);
+};
@@ -0,0 +1,236 @@
+/**
+ * 配置结构定义
+ * 启动时按此结构校验合并后的配置，未在此定义的配置项视为拼写错误
+ */
+
+const SIZE_PATTERN = /^\d+(\.\d+)?(b|kb|mb|gb)$/i;
+const DEFAULT_ACCESS_TOKEN_SECRET = "dev-access-token-secret";
+
+/**
+ * 校验角色权限配置：默认角色必须存在，角色只能引用已定义的权限
+ * @param {Object} rbac - 角色权限配置
+ * @returns {Array<string>} 错误信息列表
+ */
+const checkRbac = (rbac) => {
+  const errors = [];
+  const { defaultRole, permissions = {}, roles = {} } = rbac;
+
+  if (!Object.hasOwn(roles, defaultRole)) {
+    errors.push(`默认角色 ${defaultRole} 未在 roles 中定义`);
+  }
+  for (const [name, role] of Object.entries(roles)) {
+    if (!role || !Array.isArray(role.permissions)) {
+      errors.push(`角色 ${name} 缺少 permissions 数组`);
+      continue;
+    }
+    role.permissions
+      .filter((permission) => !Object.hasOwn(permissions, permission))
+      .forEach((permission) => errors.push(`角色 ${name} 引用了未定义的权限 ${permission}`));
+  }
+
+  return errors;
+};
+
+/**
+ * 校验身份提供方配置：启用（配置了clientId）的提供方必须提供完整的连接信息
+ * @param {Object} providers - 身份提供方配置
+ * @returns {Array<string>} 错误信息列表
+ */
+const checkOidcProviders = (providers) =>
+  Object.entries(providers)
+    .filter(([, provider]) => provider && provider.clientId)
+    .flatMap(([name, provider]) =>
+      ["issuer", "clientSecret", "redirectUri"]
+        .filter((key) => typeof provider[key] !== "string" || !provider[key])
+        .map((key) => `身份提供方 ${name} 已启用但缺少 ${key}`)
+    );
+
+/**
+ * 校验数据库连接地址与数据库类型是否匹配
+ * @param {string} url - 连接地址
+ * @param {Object} config - 完整配置
+ * @returns {Array<string>} 错误信息列表
+ */
+const checkDatabaseUrl = (url, config) => {
+  const { dialect } = config.database;
+  const schemes = { postgres: /^postgres(ql)?:\/\//, mysql: /^mysql:\/\// };
+
+  if (dialect === "sqlite") {
+    return url ? ["SQLite 通过 DB_STORAGE 指定数据库文件，不使用 DATABASE_URL（如需其他数据库请设置 DB_DIALECT）"] : [];
+  }
+  if (!url) {
+    return [`数据库类型为 ${dialect} 时必须通过 DATABASE_URL 指定连接地址`];
+  }
+  if (schemes[dialect] && !schemes[dialect].test(url)) {
+    return [`连接地址与数据库类型 ${dialect} 不匹配`];
+  }
+  return [];
+};
+
+/**
+ * 配置项定义
+ * 叶子节点带有type；其余对象为配置分组。可选属性：
+ * min/max 数值范围，values 可选值，pattern 格式，check(value, config) 返回错误信息列表的自定义校验
+ */
+export const CONFIG_SCHEMA = {
+  server: {
+    port: { type: "integer", min: 1, max: 65535 },
+    host: { type: "string" },
+    env: { type: "string", values: ["development", "test", "production"] },
+    shutdownTimeout: { type: "integer", min: 0 },
+  },
+  logging: {
+    level: { type: "string", values: ["debug", "info", "warn", "error", "silent"] },
+    format: { type: "string", values: ["json", "pretty"] },
+    file: { type: "string" },
+    maxFileSizeMb: { type: "integer", min: 1 },
+    maxFiles: { type: "integer", min: 1 },
+    redact: { type: "array" },
+  },
+  bodyParser: {
+    enableTypes: { type: "array" },
+    jsonLimit: { type: "string", pattern: SIZE_PATTERN },
+    formLimit: { type: "string", pattern: SIZE_PATTERN },
+    textLimit: { type: "string", pattern: SIZE_PATTERN },
+  },
+  cors: {
+    origin: {
+      type: "string",
+      check: (origin, config) =>
+        config.server.env === "production" && origin === "*"
+          ? ["生产环境必须通过 CORS_ORIGIN 指定允许的来源"]
+          : [],
+    },
+    allowMethods: { type: "array" },
+    allowHeaders: { type: "array" },
+  },
+  input: {
+    nonWritableFields: { type: "string", values: ["strip", "reject"] },
+  },
+  static: {
+    root: { type: "string" },
+    opts: {
+      maxAge: { type: "integer", min: 0 },
+      index: { type: "any" },
+    },
+  },
+  database: {
+    dialect: { type: "string", values: ["sqlite", "postgres", "mysql"] },
+    url: { type: "string", check: checkDatabaseUrl },
+    storage: { type: "string" },
+    logging: { type: "boolean" },
+    pool: {
+      max: { type: "integer", min: 1 },
+      min: { type: "integer", min: 0 },
+      acquire: { type: "integer", min: 1 },
+      idle: { type: "integer", min: 1 },
+    },
+  },
+  auth: {
+    accessTokenSecret: {
+      type: "string",
+      check: (secret, config) =>
+        config.server.env === "production" &&
+        (secret === DEFAULT_ACCESS_TOKEN_SECRET || secret.length < 32)
+          ? ["生产环境必须通过 JWT_ACCESS_SECRET 设置至少32个字符的签名密钥"]
+          : [],
+    },
+    accessTokenExpiresIn: { type: "integer", min: 1 },
+    refreshTokenExpiresIn: { type: "integer", min: 1 },
+    emailVerificationExpiresIn: { type: "integer", min: 1 },
+    passwordResetExpiresIn: { type: "integer", min: 1 },
+    passwordHistoryLimit: { type: "integer", min: 0 },
+    mfaChallengeExpiresIn: { type: "integer", min: 1 },
+    backupCodeCount: { type: "integer", min: 1 },
+    sessionTouchInterval: { type: "integer", min: 0 },
+    issuer: { type: "string" },
+  },
+  mail: {
+    transport: { type: "string", values: ["console", "file"] },
+    from: { type: "string" },
+    fileDirectory: { type: "string" },
+    appBaseUrl: { type: "string", pattern: /^https?:\/\// },
+    passwordResetUrl: { type: "string", pattern: /^https?:\/\// },
+  },
+  loginThrottle: {
+    maxFailedAttempts: { type: "integer", min: 1 },
+    ipMaxFailedAttempts: { type: "integer", min: 1 },
+    attemptWindow: { type: "integer", min: 1 },
+    baseLockout: { type: "integer", min: 1 },
+    maxLockout: { type: "integer", min: 1 },
+  },
+  apiKey: {
+    prefix: { type: "string", pattern: /^[a-z0-9]+$/ },
+    maxKeysPerUser: { type: "integer", min: 1 },
+    defaultExpiresInDays: { type: "integer", min: 1 },
+    maxExpiresInDays: { type: "integer", min: 1 },
+    touchInterval: { type: "integer", min: 0 },
+  },
+  oidc: {
+    stateExpiresIn: { type: "integer", min: 1 },
+    httpTimeout: { type: "integer", min: 1 },
+    providers: { type: "object", check: checkOidcProviders },
+  },
+  health: {
+    checkTimeout: { type: "integer", min: 1 },
+    minFreeDiskMb: { type: "integer", min: 0 },
+  },
+  seed: {
+    admin: {
+      username: { type: "string", pattern: /^[a-zA-Z0-9]{3,50}$/ },
+      email: { type: "string", pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+      password: { type: "string" },
+    },
+    demoUserCount: { type: "integer", min: 0, max: 100 },
+    demoPassword: { type: "string" },
+  },
+  rbac: {
+    defaultRole: { type: "string" },
+    permissions: { type: "object" },
+    // 角色需要结合同组的默认角色和权限一起校验
+    roles: { type: "object", check: (roles, config) => checkRbac(config.rbac) },
+  },
+};
+
+/**
+ * 环境变量与配置项的对应关系
+ * 环境变量的值按目标配置项的类型转换：integer/boolean 会被解析，array 按逗号分隔
+ */
+export const ENV_MAPPING = {
+  NODE_ENV: "server.env",
+  PORT: "server.port",
+  HOST: "server.host",
+  SHUTDOWN_TIMEOUT: "server.shutdownTimeout",
+  LOG_LEVEL: "logging.level",
+  LOG_FORMAT: "logging.format",
+  LOG_FILE: "logging.file",
+  LOG_MAX_FILE_SIZE_MB: "logging.maxFileSizeMb",
+  LOG_MAX_FILES: "logging.maxFiles",
+  CORS_ORIGIN: "cors.origin",
+  BODY_JSON_LIMIT: "bodyParser.jsonLimit",
+  BODY_FORM_LIMIT: "bodyParser.formLimit",
+  BODY_TEXT_LIMIT: "bodyParser.textLimit",
+  INPUT_NON_WRITABLE_FIELDS: "input.nonWritableFields",
+  DB_DIALECT: "database.dialect",
+  DATABASE_URL: "database.url",
+  DB_STORAGE: "database.storage",
+  DB_LOGGING: "database.logging",
+  DB_POOL_MAX: "database.pool.max",
+  DB_POOL_MIN: "database.pool.min",
+  DB_POOL_ACQUIRE: "database.pool.acquire",
+  DB_POOL_IDLE: "database.pool.idle",
+  JWT_ACCESS_SECRET: "auth.accessTokenSecret",
+  MAIL_TRANSPORT: "mail.transport",
+  MAIL_FROM: "mail.from",
+  APP_BASE_URL: "mail.appBaseUrl",
+  PASSWORD_RESET_URL: "mail.passwordResetUrl",
+  HEALTH_CHECK_TIMEOUT: "health.checkTimeout",
+  HEALTH_MIN_FREE_DISK_MB: "health.minFreeDiskMb",
+  SEED_ADMIN_USERNAME: "seed.admin.username",
+  SEED_ADMIN_EMAIL: "seed.admin.email",
+  SEED_ADMIN_PASSWORD: "seed.admin.password",
+  SEED_DEMO_USER_COUNT: "seed.demoUserCount",
+  OIDC_GOOGLE_CLIENT_ID: "oidc.providers.google.clientId",
+  OIDC_GOOGLE_CLIENT_SECRET: "oidc.providers.google.clientSecret",
+  OIDC_GOOGLE_REDIRECT_URI: "oidc.providers.google.redirectUri",
+};
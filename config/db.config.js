@@ -1,32 +1,40 @@
 import { Sequelize } from "sequelize";
-import { fileURLToPath } from "url";
-import { dirname, join } from "path";
+import { isAbsolute, join } from "path";
+import { databaseConfig } from "./app.config.js";
+import { ROOT_DIR } from "./config.loader.js";
+import { logger } from "../infrastructure/logger.infrastructure.js";
 
-// 获取当前文件的目录路径
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+/**
+ * 解析SQLite数据库文件路径，相对路径基于项目根目录
+ * @param {string} storage - 配置中的路径
+ * @returns {string} 数据库文件路径
+ */
+const resolveStorage = (storage) =>
+  storage === ":memory:" || isAbsolute(storage) ? storage : join(ROOT_DIR, storage);
+
+const isSqlite = databaseConfig.dialect === "sqlite";
 
 /**
- * SQLite数据库配置
- * 使用Sequelize ORM连接SQLite数据库
+ * 数据库配置
+ * 使用Sequelize ORM连接数据库，支持 SQLite（默认）、PostgreSQL 和 MySQL，
+ * 类型、连接地址和连接池通过 config/app.config.js 中的 databaseConfig 配置
  */
 const dbConfig = {
   // 数据库类型
-  dialect: "sqlite",
+  dialect: databaseConfig.dialect,
 
-  // SQLite数据库文件路径
-  storage: join(__dirname, "..", "database", "app.db"),
+  // SQLite数据库文件路径，其他数据库通过连接地址指定
+  ...(isSqlite && { storage: resolveStorage(databaseConfig.storage) }),
 
-  // 连接池配置 - 针对SQLite优化
+  // 连接池配置
   pool: {
-    max: 1, // SQLite建议使用单连接，避免并发冲突
-    min: 0, // 最小连接数保持0，按需创建
-    acquire: 60000, // 增加获取连接超时时间
-    idle: 300000, // 增加空闲时间，减少频繁的连接创建/销毁
+    ...databaseConfig.pool,
+    // SQLite只使用单连接，避免并发写入冲突；内存数据库的每个连接也是一个独立的库
+    ...(isSqlite && { max: 1, min: 0 }),
   },
 
-  // 日志配置 （是否需要输出执行的sql）
-  logging: false,
+  // 日志配置 （是否需要输出执行的sql），SQL以debug级别写入应用日志
+  logging: databaseConfig.logging ? (sql) => logger.debug(sql, { component: "sequelize" }) : false,
 
   // 定义配置
   define: {
@@ -43,7 +51,10 @@ const dbConfig = {
 
 /**
  * 创建Sequelize实例
+ * PostgreSQL/MySQL 的驱动（pg、pg-hstore 或 mysql2）需要按所用数据库单独安装
  */
-const sequelize = new Sequelize(dbConfig);
+const sequelize = isSqlite
+  ? new Sequelize(dbConfig)
+  : new Sequelize(databaseConfig.url, dbConfig);
 
 export { sequelize, dbConfig };
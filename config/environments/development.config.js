@@ -0,0 +1,12 @@
+/**
+ * 开发环境配置
+ * 只写与默认配置不同的部分
+ */
+
+export default {
+  // 输出调试日志（包括 DB_LOGGING 开启时的SQL），并使用便于阅读的格式
+  logging: {
+    level: "debug",
+    format: "pretty",
+  },
+};
@@ -0,0 +1,22 @@
+/**
+ * 生产环境配置
+ * 只写与默认配置不同的部分；密钥、域名等敏感或部署相关的配置通过环境变量提供
+ */
+
+export default {
+  server: {
+    host: "0.0.0.0",
+  },
+
+  // 生产环境收紧请求体大小限制
+  bodyParser: {
+    jsonLimit: "1mb",
+    formLimit: "1mb",
+    textLimit: "1mb",
+  },
+
+  // 生产环境邮件写入文件，由外部投递程序发送
+  mail: {
+    transport: "file",
+  },
+};
@@ -0,0 +1,17 @@
+/**
+ * 测试环境配置
+ * 只写与默认配置不同的部分
+ */
+
+export default {
+  // 测试输出中不混入日志，需要断言日志的测试自行注入传输层
+  logging: {
+    level: "silent",
+  },
+
+  // 默认使用内存数据库，每个测试进程互不干扰；
+  // 需要针对 PostgreSQL/MySQL 运行时通过 DB_DIALECT 和 DATABASE_URL 覆盖
+  database: {
+    storage: ":memory:",
+  },
+};
@@ -0,0 +1,59 @@
+/**
+ * 健康检查控制器
+ * 提供容器编排使用的存活、就绪探针和完整的健康报告
+ */
+
+import { checkReadiness, getHealthReport } from '../../infrastructure/health.infrastructure.js';
+
+/**
+ * 健康检查控制器类
+ * 探针结果只由状态码表达：200 表示正常，503 表示不可用；响应禁止缓存
+ */
+class HealthController {
+
+  /**
+   * 存活探针
+   * 只表示进程能够处理请求，不检查外部依赖，避免依赖故障时进程被反复重启
+   * GET /health/live
+   */
+  async live(ctx) {
+    ctx.set('Cache-Control', 'no-store');
+    ctx.status = 200;
+    ctx.body = {
+      status: 'ok'
+    };
+  }
+
+  /**
+   * 就绪探针
+   * 检查数据库连接、SQLite磁盘空间和迁移状态，任一项不可用时返回503，使实例暂时不接收流量
+   * GET /health/ready
+   */
+  async ready(ctx) {
+    const { healthy, checks } = await checkReadiness();
+
+    ctx.set('Cache-Control', 'no-store');
+    ctx.status = healthy ? 200 : 503;
+    ctx.body = {
+      status: healthy ? 'ok' : 'error',
+      checks: Object.fromEntries(
+        Object.entries(checks).map(([name, result]) => [name, result.status])
+      )
+    };
+  }
+
+  /**
+   * 完整健康报告
+   * 包含版本、运行时长以及每项依赖的状态和检查耗时
+   * GET /health
+   */
+  async report(ctx) {
+    const report = await getHealthReport();
+
+    ctx.set('Cache-Control', 'no-store');
+    ctx.status = report.status === 'ok' ? 200 : 503;
+    ctx.body = report;
+  }
+}
+
+export default new HealthController();
@@ -0,0 +1,78 @@
+/**
+ * 角色控制器
+ * 处理角色查询及用户角色授予/撤销的HTTP请求和响应
+ */
+
+import roleService from '../../models/role/role.service.js';
+
+/**
+ * 角色控制器类
+ * 包含所有角色相关的API接口处理方法。业务错误由服务层抛出，
+ * 与未预期的异常一起交给错误处理中间件渲染
+ */
+class RoleController {
+
+  /**
+   * 获取角色列表
+   * GET /api/roles
+   */
+  async getRoles(ctx) {
+    const data = await roleService.getRoles();
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'role.listFetched',
+      data
+    };
+  }
+
+  /**
+   * 获取用户角色
+   * GET /api/users/:id/roles
+   */
+  async getUserRoles(ctx) {
+    const { id } = ctx.params;
+    const data = await roleService.getUserRoles(id);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'role.userRolesFetched',
+      data
+    };
+  }
+
+  /**
+   * 授予用户角色
+   * POST /api/users/:id/roles
+   */
+  async assignRole(ctx) {
+    const { id } = ctx.params;
+    const { role } = ctx.request.body || {};
+    await roleService.assignRole(id, role, ctx.state.user.id);
+
+    ctx.status = 201;
+    ctx.body = {
+      success: true,
+      message: 'role.assigned'
+    };
+  }
+
+  /**
+   * 撤销用户角色
+   * DELETE /api/users/:id/roles/:role
+   */
+  async revokeRole(ctx) {
+    const { id, role } = ctx.params;
+    await roleService.revokeRole(id, role);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'role.revoked'
+    };
+  }
+}
+
+export default new RoleController();
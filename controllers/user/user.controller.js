@@ -4,10 +4,92 @@
  */
 
 import userService from '../../models/user/user.service.js';
+import authService from '../../models/auth/auth.service.js';
+import emailVerificationService from '../../models/auth/email-verification.service.js';
+import passwordResetService from '../../models/auth/password-reset.service.js';
+import loginThrottleService from '../../models/auth/login-throttle.service.js';
+import loginHistoryService from '../../models/auth/login-history.service.js';
+import twoFactorService from '../../models/auth/two-factor.service.js';
+import sessionService from '../../models/auth/session.service.js';
+import oidcService from '../../models/auth/oidc.service.js';
+import apiKeyService from '../../models/auth/api-key.service.js';
+import { WRITE_SCOPES } from '../../models/user/user.dto.js';
+import { hasPermission } from '../../middleware/auth.middleware.js';
+import { UnauthorizedError, TooManyRequestsError, toDetails } from '../../errors/app.error.js';
+
+/**
+ * 提取签发令牌所需的客户端信息
+ * @param {Object} ctx - Koa上下文对象
+ * @returns {Object} 客户端IP和User-Agent
+ */
+const getClientContext = (ctx) => ({
+  ip: ctx.request.ip,
+  userAgent: ctx.request.header['user-agent'] || null
+});
+
+/**
+ * 获取当前调用者的身份，用于选择用户信息的输出视图（见 user.serializer.js）
+ * 拥有 users:update 权限的调用者视为管理员
+ * @param {Object} ctx - Koa上下文对象
+ * @returns {Promise<Object>} 调用者 { id, canManage }
+ */
+const getViewer = async (ctx) => ({
+  id: ctx.state.user ? ctx.state.user.id : null,
+  canManage: await hasPermission(ctx, 'users:update')
+});
+
+/**
+ * 写入登录结果响应
+ * 账号密码、双因素认证和第三方登录共用：成功时签发令牌，需要双因素认证时返回挑战，
+ * 被锁定时抛出429错误并设置Retry-After，其余失败抛出401错误
+ * @param {Object} ctx - Koa上下文对象
+ * @param {Object} result - 登录业务结果
+ * @param {Object} clientContext - 客户端IP和User-Agent
+ * @throws {TooManyRequestsError|UnauthorizedError} 登录失败时
+ */
+const respondWithLogin = async (ctx, result, clientContext) => {
+  if (!result.success && result.retryAfter) {
+    ctx.set('Retry-After', String(result.retryAfter));
+    throw new TooManyRequestsError(result.message, {
+      code: 'LOGIN_LOCKED',
+      details: toDetails(result.errors)
+    });
+  }
+  if (!result.success) {
+    throw new UnauthorizedError(result.message, { details: toDetails(result.errors) });
+  }
+
+  if (result.mfaRequired) {
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: result.message,
+      data: {
+        mfaRequired: true,
+        ...result.data
+      }
+    };
+  } else {
+    const { tokens } = await authService.issueTokens(result.data, clientContext);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'auth.loginSucceeded',
+      data: {
+        user: result.data,
+        ...tokens
+      }
+    };
+  }
+};
 
 /**
  * 用户控制器类
- * 包含所有用户相关的API接口处理方法
+ * 包含所有用户相关的API接口处理方法。
+ * 业务错误由服务层抛出；登录、刷新令牌等认证流程返回结果对象，失败时由控制器转换为401或429错误。
+ * 控制器不自行构造错误响应，也不捕获未预期的异常，统一交给错误处理中间件渲染。
+ * 响应中的 message 和 errors 为消息键，由国际化中间件按请求语言翻译
  */
 class UserController {
 
@@ -16,33 +98,14 @@ class UserController {
    * POST /api/users
    */
   async createUser(ctx) {
-    try {
-      const userData = ctx.request.body;
-      const result = await userService.createUser(userData);
-
-      if (result.success) {
-        ctx.status = 201;
-        ctx.body = {
-          success: true,
-          message: '用户创建成功',
-          data: result.data
-        };
-      } else {
-        ctx.status = 400;
-        ctx.body = {
-          success: false,
-          message: result.message,
-          errors: result.errors
-        };
-      }
-    } catch (error) {
-      ctx.status = 500;
-      ctx.body = {
-        success: false,
-        message: '服务器内部错误',
-        error: error.message
-      };
-    }
+    const data = await userService.createUser(ctx.request.body);
+
+    ctx.status = 201;
+    ctx.body = {
+      success: true,
+      message: 'user.created',
+      data
+    };
   }
 
   /**
@@ -50,77 +113,35 @@ class UserController {
    * GET /api/users
    */
   async getUserList(ctx) {
-    try {
-      const options = {
-        page: parseInt(ctx.query.page) || 1,
-        limit: parseInt(ctx.query.limit) || 10,
-        status: ctx.query.status,
-        search: ctx.query.search,
-        sortBy: ctx.query.sortBy || 'created_at',
-        sortOrder: ctx.query.sortOrder || 'DESC'
-      };
-
-      const result = await userService.getUserList(options);
-
-      if (result.success) {
-        ctx.status = 200;
-        ctx.body = {
-          success: true,
-          message: '获取用户列表成功',
-          data: result.data,
-          pagination: result.pagination
-        };
-      } else {
-        ctx.status = 400;
-        ctx.body = {
-          success: false,
-          message: result.message,
-          errors: result.errors
-        };
-      }
-    } catch (error) {
-      ctx.status = 500;
-      ctx.body = {
-        success: false,
-        message: '服务器内部错误',
-        error: error.message
-      };
-    }
+    // 查询参数已由路由的请求结构转换类型并补齐默认值
+    const { page, limit, status, search, sortBy, sortOrder } = ctx.state.query;
+    const options = { page, limit, status, search, sortBy, sortOrder };
+
+    const data = await userService.getUserList(options, { viewer: await getViewer(ctx) });
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'user.listFetched',
+      data
+    };
   }
 
   /**
    * 根据ID获取用户详情
+   * 返回的字段由调用者身份决定：本人和管理员可以看到完整资料，其他用户只能看到公开资料
    * GET /api/users/:id
    */
   async getUserById(ctx) {
-    try {
-      const { id } = ctx.params;
-      const includePrivate = ctx.query.include_private === 'true';
-      
-      const result = await userService.getUserById(parseInt(id), includePrivate);
-
-      if (result.success) {
-        ctx.status = 200;
-        ctx.body = {
-          success: true,
-          message: '获取用户信息成功',
-          data: result.data
-        };
-      } else {
-        ctx.status = 404;
-        ctx.body = {
-          success: false,
-          message: result.message
-        };
-      }
-    } catch (error) {
-      ctx.status = 500;
-      ctx.body = {
-        success: false,
-        message: '服务器内部错误',
-        error: error.message
-      };
-    }
+    const { id } = ctx.params;
+    const data = await userService.getUserById(id, { viewer: await getViewer(ctx) });
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'user.fetched',
+      data
+    };
   }
 
   /**
@@ -128,68 +149,65 @@ class UserController {
    * GET /api/users/username/:username
    */
   async getUserByUsername(ctx) {
-    try {
-      const { username } = ctx.params;
-      const result = await userService.getUserByUsername(username);
-
-      if (result.success) {
-        ctx.status = 200;
-        ctx.body = {
-          success: true,
-          message: '获取用户信息成功',
-          data: result.data
-        };
-      } else {
-        ctx.status = 404;
-        ctx.body = {
-          success: false,
-          message: result.message
-        };
-      }
-    } catch (error) {
-      ctx.status = 500;
-      ctx.body = {
-        success: false,
-        message: '服务器内部错误',
-        error: error.message
-      };
-    }
+    const { username } = ctx.params;
+    const data = await userService.getUserByUsername(username, { viewer: await getViewer(ctx) });
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'user.fetched',
+      data
+    };
   }
 
   /**
    * 更新用户信息
+   * 拥有 users:update 权限时按管理员身份写入（可修改账户状态），否则只能修改本人的个人资料
    * PUT /api/users/:id
    */
   async updateUser(ctx) {
-    try {
-      const { id } = ctx.params;
-      const updateData = ctx.request.body;
-      
-      const result = await userService.updateUser(parseInt(id), updateData);
-
-      if (result.success) {
-        ctx.status = 200;
-        ctx.body = {
-          success: true,
-          message: '用户信息更新成功',
-          data: result.data
-        };
-      } else {
-        ctx.status = 400;
-        ctx.body = {
-          success: false,
-          message: result.message,
-          errors: result.errors
-        };
-      }
-    } catch (error) {
-      ctx.status = 500;
-      ctx.body = {
-        success: false,
-        message: '服务器内部错误',
-        error: error.message
-      };
-    }
+    const { id } = ctx.params;
+    const viewer = await getViewer(ctx);
+    const scope = viewer.canManage ? WRITE_SCOPES.ADMIN : WRITE_SCOPES.SELF;
+    const data = await userService.updateUser(id, ctx.request.body, { scope, viewer });
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'user.updated',
+      data
+    };
+  }
+
+  /**
+   * 导出个人数据
+   * GET /api/users/:id/export
+   */
+  async exportUser(ctx) {
+    const { id } = ctx.params;
+    const data = await userService.exportUser(id);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'user.exported',
+      data
+    };
+  }
+
+  /**
+   * 修改密码
+   * PUT /api/users/:id/password
+   */
+  async changePassword(ctx) {
+    const { id } = ctx.params;
+    await userService.changePassword(id, ctx.request.body);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'user.passwordChanged'
+    };
   }
 
   /**
@@ -197,31 +215,14 @@ class UserController {
    * DELETE /api/users/:id
    */
   async deleteUser(ctx) {
-    try {
-      const { id } = ctx.params;
-      const result = await userService.deleteUser(parseInt(id));
-
-      if (result.success) {
-        ctx.status = 200;
-        ctx.body = {
-          success: true,
-          message: '用户删除成功'
-        };
-      } else {
-        ctx.status = 400;
-        ctx.body = {
-          success: false,
-          message: result.message
-        };
-      }
-    } catch (error) {
-      ctx.status = 500;
-      ctx.body = {
-        success: false,
-        message: '服务器内部错误',
-        error: error.message
-      };
-    }
+    const { id } = ctx.params;
+    await userService.deleteUser(id);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'user.deleted'
+    };
   }
 
   /**
@@ -229,68 +230,399 @@ class UserController {
    * POST /api/users/auth/login
    */
   async authenticateUser(ctx) {
-    try {
-      const { identifier, password } = ctx.request.body;
-      const loginIp = ctx.request.ip;
-      
-      const result = await userService.authenticateUser(identifier, password, loginIp);
-
-      if (result.success) {
-        ctx.status = 200;
-        ctx.body = {
-          success: true,
-          message: '登录成功',
-          data: result.data
-        };
-      } else {
-        ctx.status = 401;
-        ctx.body = {
-          success: false,
-          message: result.message,
-          errors: result.errors
-        };
-      }
-    } catch (error) {
-      ctx.status = 500;
-      ctx.body = {
-        success: false,
-        message: '服务器内部错误',
-        error: error.message
-      };
+    const { identifier, password } = ctx.request.body;
+    const clientContext = getClientContext(ctx);
+    
+    const result = await userService.authenticateUser(
+      identifier,
+      password,
+      clientContext.ip,
+      clientContext.userAgent
+    );
+
+    await respondWithLogin(ctx, result, clientContext);
+  }
+
+  /**
+   * 完成双因素认证登录
+   * POST /api/users/auth/2fa/verify
+   */
+  async verifyTwoFactorLogin(ctx) {
+    const { challengeToken, code } = ctx.request.body || {};
+    const clientContext = getClientContext(ctx);
+    const result = await twoFactorService.verifyLogin(challengeToken, code, clientContext);
+
+    await respondWithLogin(ctx, result, clientContext);
+  }
+
+  /**
+   * 获取已启用的第三方身份提供方
+   * GET /api/users/auth/oidc/providers
+   */
+  async getOidcProviders(ctx) {
+    const data = oidcService.listProviders();
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'oidc.providersFetched',
+      data
+    };
+  }
+
+  /**
+   * 发起第三方登录授权
+   * POST /api/users/auth/oidc/:provider/authorize
+   */
+  async startOidcLogin(ctx) {
+    const data = await oidcService.createAuthorization(ctx.params.provider);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'oidc.authorizationCreated',
+      data
+    };
+  }
+
+  /**
+   * 第三方登录回调
+   * POST /api/users/auth/oidc/:provider/callback
+   */
+  async completeOidcLogin(ctx) {
+    const { code, state } = ctx.request.body || {};
+    const clientContext = getClientContext(ctx);
+    const result = await oidcService.login(ctx.params.provider, { code, state }, clientContext);
+
+    await respondWithLogin(ctx, result, clientContext);
+  }
+
+  /**
+   * 生成双因素认证密钥
+   * POST /api/users/:id/2fa/setup
+   */
+  async setupTwoFactor(ctx) {
+    const { id } = ctx.params;
+    const data = await twoFactorService.setup(id);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'twoFactor.secretGenerated',
+      data
+    };
+  }
+
+  /**
+   * 确认启用双因素认证
+   * POST /api/users/:id/2fa/enable
+   */
+  async enableTwoFactor(ctx) {
+    const { id } = ctx.params;
+    const { code } = ctx.request.body || {};
+    const data = await twoFactorService.enable(id, code);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'twoFactor.enabled',
+      data
+    };
+  }
+
+  /**
+   * 获取用户登录记录
+   * GET /api/users/:id/logins
+   */
+  async getUserLogins(ctx) {
+    const { id } = ctx.params;
+    const { page, limit, success } = ctx.state.query;
+    const options = { page, limit };
+    if (success !== undefined) {
+      options.success = success;
     }
+
+    const data = await loginHistoryService.getUserLogins(id, options);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'loginHistory.fetched',
+      data
+    };
+  }
+
+  /**
+   * 获取用户当前有效的登录会话
+   * GET /api/users/:id/sessions
+   */
+  async getUserSessions(ctx) {
+    const userId = ctx.params.id;
+    // 只有本人查看时才能标记当前会话
+    const currentSessionId = ctx.state.user && ctx.state.user.id === userId
+      ? ctx.state.sessionId
+      : null;
+    const data = await sessionService.listSessions(userId, currentSessionId);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'session.listFetched',
+      data
+    };
   }
 
   /**
-   * 验证用户邮箱
+   * 注销用户的指定会话
+   * DELETE /api/users/:id/sessions/:sessionId
+   */
+  async revokeUserSession(ctx) {
+    const { id, sessionId } = ctx.params;
+    await sessionService.revokeSession(id, sessionId);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'session.revoked'
+    };
+  }
+
+  /**
+   * 注销用户的全部会话（退出所有设备）
+   * DELETE /api/users/:id/sessions
+   */
+  async revokeAllUserSessions(ctx) {
+    const { id } = ctx.params;
+    const revoked = await sessionService.revokeAllSessions(id);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'session.allRevoked',
+      data: { revoked }
+    };
+  }
+
+  /**
+   * 获取用户绑定的第三方账号
+   * GET /api/users/:id/identities
+   */
+  async getUserIdentities(ctx) {
+    const { id } = ctx.params;
+    const data = await oidcService.listIdentities(id);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'oidc.identitiesFetched',
+      data
+    };
+  }
+
+  /**
+   * 发起第三方账号绑定授权
+   * POST /api/users/:id/identities/:provider/authorize
+   */
+  async startIdentityLink(ctx) {
+    const { id, provider } = ctx.params;
+    const data = await oidcService.createAuthorization(provider, id);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'oidc.authorizationCreated',
+      data
+    };
+  }
+
+  /**
+   * 完成第三方账号绑定
+   * POST /api/users/:id/identities/:provider
+   */
+  async linkIdentity(ctx) {
+    const { id, provider } = ctx.params;
+    const { code, state } = ctx.request.body || {};
+    const data = await oidcService.linkIdentity(id, provider, { code, state });
+
+    ctx.status = 201;
+    ctx.body = {
+      success: true,
+      message: 'oidc.linked',
+      data
+    };
+  }
+
+  /**
+   * 解除第三方账号绑定
+   * DELETE /api/users/:id/identities/:provider
+   */
+  async unlinkIdentity(ctx) {
+    const { id, provider } = ctx.params;
+    await oidcService.unlinkIdentity(id, provider);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'oidc.unlinked'
+    };
+  }
+
+  /**
+   * 获取用户的API密钥
+   * GET /api/users/:id/api-keys
+   */
+  async getApiKeys(ctx) {
+    const { id } = ctx.params;
+    const data = await apiKeyService.listKeys(id);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'apiKey.listFetched',
+      data
+    };
+  }
+
+  /**
+   * 创建API密钥
+   * POST /api/users/:id/api-keys
+   */
+  async createApiKey(ctx) {
+    const { id } = ctx.params;
+    const data = await apiKeyService.createKey(id, ctx.request.body || {});
+
+    ctx.status = 201;
+    ctx.body = {
+      success: true,
+      message: 'apiKey.created',
+      data
+    };
+  }
+
+  /**
+   * 吊销API密钥
+   * DELETE /api/users/:id/api-keys/:keyId
+   */
+  async revokeApiKey(ctx) {
+    const { id, keyId } = ctx.params;
+    await apiKeyService.revokeKey(id, keyId);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'apiKey.revoked'
+    };
+  }
+
+  /**
+   * 解除账户登录锁定（管理员）
+   * POST /api/users/:id/unlock
+   */
+  async unlockUser(ctx) {
+    const { id } = ctx.params;
+    const cleared = await loginThrottleService.unlockUser(id);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: cleared ? 'loginThrottle.unlocked' : 'loginThrottle.notLocked'
+    };
+  }
+
+  /**
+   * 刷新访问令牌
+   * POST /api/users/auth/refresh
+   */
+  async refreshToken(ctx) {
+    const { refreshToken } = ctx.request.body || {};
+    const result = await authService.refreshTokens(refreshToken, getClientContext(ctx));
+
+    if (!result.success) {
+      throw new UnauthorizedError(result.message, { details: toDetails(result.errors) });
+    }
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'auth.tokenRefreshed',
+      data: result.data
+    };
+  }
+
+  /**
+   * 退出登录（吊销刷新令牌）
+   * POST /api/users/auth/logout
+   */
+  async logout(ctx) {
+    const { refreshToken } = ctx.request.body || {};
+    await authService.revokeRefreshToken(refreshToken);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'auth.loggedOut'
+    };
+  }
+
+  /**
+   * 申请重置密码
+   * POST /api/users/auth/forgot-password
+   */
+  async forgotPassword(ctx) {
+    const { email } = ctx.request.body || {};
+    await passwordResetService.requestReset(email);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'passwordReset.requested'
+    };
+  }
+
+  /**
+   * 使用重置令牌设置新密码
+   * POST /api/users/auth/reset-password
+   */
+  async resetPassword(ctx) {
+    const { token, password } = ctx.request.body || {};
+    await passwordResetService.resetPassword(token, password);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'passwordReset.succeededRelogin'
+    };
+  }
+
+  /**
+   * 发送邮箱验证邮件
    * POST /api/users/:id/verify-email
    */
+  async sendVerificationEmail(ctx) {
+    const { id } = ctx.params;
+    await emailVerificationService.requestVerification(id);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'emailVerification.sent'
+    };
+  }
+
+  /**
+   * 通过验证令牌确认邮箱
+   * 匿名接口，只返回验证结果，不返回用户资料
+   * GET /api/users/verify-email?token=...
+   */
   async verifyEmail(ctx) {
-    try {
-      const { id } = ctx.params;
-      const result = await userService.verifyEmail(parseInt(id));
-
-      if (result.success) {
-        ctx.status = 200;
-        ctx.body = {
-          success: true,
-          message: '邮箱验证成功',
-          data: result.data
-        };
-      } else {
-        ctx.status = 400;
-        ctx.body = {
-          success: false,
-          message: result.message
-        };
-      }
-    } catch (error) {
-      ctx.status = 500;
-      ctx.body = {
-        success: false,
-        message: '服务器内部错误',
-        error: error.message
-      };
-    }
+    const { token } = ctx.state.query;
+    await emailVerificationService.verifyEmail(token);
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'emailVerification.succeeded'
+    };
   }
 
   /**
@@ -298,49 +630,17 @@ class UserController {
    * GET /api/users/search
    */
   async searchUsers(ctx) {
-    try {
-      const { keyword } = ctx.query;
-      const options = {
-        page: parseInt(ctx.query.page) || 1,
-        limit: parseInt(ctx.query.limit) || 10,
-        sortBy: ctx.query.sortBy || 'username',
-        sortOrder: ctx.query.sortOrder || 'ASC'
-      };
-
-      if (!keyword) {
-        ctx.status = 400;
-        ctx.body = {
-          success: false,
-          message: '搜索关键词不能为空'
-        };
-        return;
-      }
+    const { keyword, page, limit, sortBy, sortOrder } = ctx.state.query;
+    const options = { page, limit, sortBy, sortOrder };
 
-      const result = await userService.searchUsers(keyword, options);
-
-      if (result.success) {
-        ctx.status = 200;
-        ctx.body = {
-          success: true,
-          message: '搜索用户成功',
-          data: result.data,
-          pagination: result.pagination
-        };
-      } else {
-        ctx.status = 400;
-        ctx.body = {
-          success: false,
-          message: result.message
-        };
-      }
-    } catch (error) {
-      ctx.status = 500;
-      ctx.body = {
-        success: false,
-        message: '服务器内部错误',
-        error: error.message
-      };
-    }
+    const data = await userService.searchUsers(keyword, options, { viewer: await getViewer(ctx) });
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'user.searched',
+      data
+    };
   }
 
   /**
@@ -348,31 +648,14 @@ class UserController {
    * GET /api/users/statistics
    */
   async getUserStatistics(ctx) {
-    try {
-      const result = await userService.getUserStatistics();
-
-      if (result.success) {
-        ctx.status = 200;
-        ctx.body = {
-          success: true,
-          message: '获取用户统计信息成功',
-          data: result.data
-        };
-      } else {
-        ctx.status = 400;
-        ctx.body = {
-          success: false,
-          message: result.message
-        };
-      }
-    } catch (error) {
-      ctx.status = 500;
-      ctx.body = {
-        success: false,
-        message: '服务器内部错误',
-        error: error.message
-      };
-    }
+    const data = await userService.getUserStatistics();
+
+    ctx.status = 200;
+    ctx.body = {
+      success: true,
+      message: 'user.statisticsFetched',
+      data
+    };
   }
 }
 
@@ -0,0 +1,93 @@
+/**
+ * 应用错误类型
+ * 业务层抛出带HTTP状态码和错误码的错误，由 middleware/error.middleware.js 统一渲染为错误响应。
+ * 错误信息和字段详情中的 message 使用消息键（见 locales/），渲染时按请求语言翻译
+ */
+
+import { hasMessage, translate } from '../infrastructure/i18n.infrastructure.js';
+
+/**
+ * 应用错误基类
+ * error.message 为默认语言的文案，便于日志排查；消息键和插值参数保存在 messageKey、messageParams 中
+ * @param {string|Object} message - 消息键，或带插值参数的 { key, params }；不是消息键的文案原样使用
+ * @param {Object} options - 选项
+ * @param {string} options.code - 机器可读的错误码，默认使用各子类的通用错误码
+ * @param {Array<Object>} options.details - 字段级错误详情，形如 [{ field, message }]，message 同样可以是消息键，
+ *   不针对具体字段时field为null
+ */
+export class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = [] } = {}) {
+    const { key, params } = message && typeof message === 'object' ? message : { key: message };
+    super(translate(key, params));
+    this.name = this.constructor.name;
+    this.messageKey = hasMessage(key) ? key : null;
+    this.messageParams = params;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.expose = status < 500;
+  }
+}
+
+/**
+ * 请求数据校验失败（400）
+ */
+export class ValidationError extends AppError {
+  constructor(message = 'errors.validationFailed', { code = 'VALIDATION_FAILED', details = [] } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+/**
+ * 未认证或凭据无效（401）
+ */
+export class UnauthorizedError extends AppError {
+  constructor(message = 'errors.unauthorized', { code = 'UNAUTHORIZED', details = [] } = {}) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+/**
+ * 已认证但无权执行操作（403）
+ */
+export class ForbiddenError extends AppError {
+  constructor(message = 'errors.forbidden', { code = 'FORBIDDEN', details = [] } = {}) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+/**
+ * 资源不存在（404）
+ */
+export class NotFoundError extends AppError {
+  constructor(message = 'errors.notFound', { code = 'NOT_FOUND', details = [] } = {}) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+/**
+ * 与现有数据冲突，例如唯一字段重复（409）
+ */
+export class ConflictError extends AppError {
+  constructor(message = 'errors.conflict', { code = 'CONFLICT', details = [] } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+/**
+ * 请求过于频繁，例如登录失败次数过多被锁定（429）
+ */
+export class TooManyRequestsError extends AppError {
+  constructor(message = 'errors.tooManyRequests', { code = 'TOO_MANY_REQUESTS', details = [] } = {}) {
+    super(message, { status: 429, code, details });
+  }
+}
+
+/**
+ * 将错误信息列表转换为不针对具体字段的错误详情
+ * 用于登录等仍返回 { success, message, errors } 结果对象的认证流程
+ * @param {Array<string|Object>} messages - 错误信息列表，元素为消息键或 { key, params }
+ * @returns {Array<Object>} 错误详情 [{ field: null, message }]
+ */
+export const toDetails = (messages = []) =>
+  messages.map((message) => ({ field: null, message }));
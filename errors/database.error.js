@@ -0,0 +1,75 @@
+/**
+ * 数据库错误转换
+ * 数据访问层捕获的 Sequelize 错误统一转换为应用错误，避免原始SQL错误信息出现在响应中
+ */
+
+import {
+  BaseError,
+  UniqueConstraintError,
+  ForeignKeyConstraintError,
+  ValidationError as SequelizeValidationError,
+} from 'sequelize';
+import { AppError, ConflictError, ValidationError } from './app.error.js';
+
+/**
+ * 数据库操作失败（500）
+ * message只包含操作描述，原始错误保存在cause中，仅用于日志和开发环境排查
+ * @param {string} message - 操作描述，例如"创建用户失败"；5xx错误在生产环境不返回错误信息，操作描述不做翻译
+ * @param {Object} options - 选项
+ * @param {Error} options.cause - 原始错误
+ */
+export class DatabaseError extends AppError {
+  constructor(message = 'database.failed', { cause } = {}) {
+    super(message, { status: 500, code: 'DATABASE_ERROR' });
+    this.cause = cause;
+  }
+}
+
+/**
+ * 将数据访问层捕获的错误转换为应用错误
+ * 唯一约束冲突转为409，模型校验失败转为400，外键约束转为409，其余转为500的DatabaseError；
+ * 已经是应用错误的原样返回
+ * @param {Error} error - 原始错误
+ * @param {string} message - 操作描述，用作DatabaseError的错误信息
+ * @returns {AppError} 应用错误
+ */
+export const translateDatabaseError = (error, message) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  // UniqueConstraintError 继承自 Sequelize 的 ValidationError，必须先判断
+  if (error instanceof UniqueConstraintError) {
+    const fields = (error.errors || []).map((item) => item.path).filter(Boolean);
+    return new ConflictError('database.duplicateEntry', {
+      code: 'DUPLICATE_ENTRY',
+      details: fields.length
+        ? fields.map((field) => ({ field, message: { key: 'database.duplicateField', params: { field } } }))
+        : [{ field: null, message: 'database.duplicateData' }],
+    });
+  }
+
+  if (error instanceof SequelizeValidationError) {
+    return new ValidationError('errors.validationFailed', {
+      details: (error.errors || []).map((item) => ({
+        field: item.path || null,
+        message: item.path ? { key: 'database.invalidField', params: { field: item.path } } : 'database.invalidData',
+      })),
+    });
+  }
+
+  if (error instanceof ForeignKeyConstraintError) {
+    return new ConflictError('database.foreignKey', {
+      code: 'FOREIGN_KEY_CONSTRAINT',
+    });
+  }
+
+  return new DatabaseError(message, { cause: error });
+};
+
+/**
+ * 判断是否为未经转换的 Sequelize 错误
+ * @param {Error} error - 错误对象
+ * @returns {boolean} 是否为 Sequelize 错误
+ */
+export const isDatabaseError = (error) => error instanceof BaseError;
@@ -1,79 +1,94 @@
-import { sequelize } from "../config/db.config.js";
-import { fileURLToPath } from "url";
-import { dirname, join } from "path";
+import { sequelize, dbConfig } from "../config/db.config.js";
+import { dirname } from "path";
 import { existsSync, mkdirSync } from "fs";
 // 导入模型以确保它们被注册到Sequelize
 import "../models/user/user.model.js";
-
-// 获取当前文件的目录路径
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import "../models/auth/refresh-token.model.js";
+import "../models/auth/action-token.model.js";
+import "../models/auth/password-history.model.js";
+import "../models/auth/login-throttle.model.js";
+import "../models/auth/login-history.model.js";
+import "../models/auth/two-factor.model.js";
+import "../models/auth/session.model.js";
+import "../models/auth/oidc-state.model.js";
+import "../models/auth/user-identity.model.js";
+import "../models/auth/api-key.model.js";
+import "../models/role/role.model.js";
+import roleService from "../models/role/role.service.js";
+import { verifySchemaVersion } from "./migration.infrastructure.js";
+import { logger } from "./logger.infrastructure.js";
+
+const log = logger.child({ component: "database" });
 
 /**
- * 确保数据库目录存在
+ * 确保SQLite数据库文件所在目录存在
+ * 其他数据库和SQLite内存数据库不需要本地目录
  */
 const ensureDatabaseDirectory = () => {
-  const databaseDir = join(__dirname, "..", "database");
+  if (dbConfig.dialect !== "sqlite" || dbConfig.storage === ":memory:") {
+    return;
+  }
+
+  const databaseDir = dirname(dbConfig.storage);
   if (!existsSync(databaseDir)) {
     mkdirSync(databaseDir, { recursive: true });
-    console.log("📁 数据库目录已创建:", databaseDir);
+    log.info("数据库目录已创建", { directory: databaseDir });
   }
 };
 
 /**
  * 测试数据库连接
+ * @param {Object} options - 选项
+ * @param {boolean} options.quiet - 不输出连接成功的日志，用于频繁调用的健康检查，失败时仍会输出
  * @returns {Promise<boolean>} 连接是否成功
  */
-const testDatabaseConnection = async () => {
+const testDatabaseConnection = async ({ quiet = false } = {}) => {
   try {
     await sequelize.authenticate();
-    console.log("✅ SQLite数据库连接成功");
+    if (!quiet) {
+      log.info("数据库连接成功", { dialect: dbConfig.dialect });
+    }
     return true;
   } catch (error) {
-    console.error("❌ SQLite数据库连接失败:", error.message);
+    log.error("数据库连接失败", { dialect: dbConfig.dialect, error });
     return false;
   }
 };
 
 /**
- * 同步数据库模型
- * @param {Object} options - 同步选项
- * @param {boolean} options.force - 是否强制重建表 （默认：false）
- * @param {boolean} options.alter - 是否修改表结构 （默认：false）
- * @returns {Promise<boolean>} 同步是否成功
+ * 校验数据库结构版本
+ * 启动时不再自动建表或修改表结构，存在未执行或未知的迁移时拒绝启动
+ * @returns {Promise<boolean>} 数据库结构是否为最新版本
  */
-const syncDatabase = async (options = {}) => {
+const checkSchemaVersion = async () => {
   try {
-    const { force = false, alter = false } = options;
-
-    console.log("🔄 开始同步数据库模型...");
-
-    await sequelize.sync({ force, alter });
-
-    if (force) {
-      console.log("🔥 数据库表已强制重建");
-    } else if (alter) {
-      console.log("🔧 数据库表结构已更新");
-    } else {
-      console.log("✅ 数据库模型同步完成");
+    const { upToDate, pending, missing } = await verifySchemaVersion();
+    if (upToDate) {
+      log.info("数据库结构已是最新版本");
+      return true;
     }
 
-    return true;
+    if (pending.length > 0) {
+      log.error("存在未执行的数据库迁移，请先运行 npm run db:migrate", { pending });
+    }
+    if (missing.length > 0) {
+      log.error("数据库中存在代码里没有的迁移，请确认部署的代码版本", { missing });
+    }
+    return false;
   } catch (error) {
-    console.error("❌ 数据库模型同步失败:", error.message);
+    log.error("数据库结构版本校验失败", { error });
     return false;
   }
 };
 
 /**
  * 初始化数据库
- * 包括创建目录、测试连接、同步模型
- * @param {Object} options - 初始化选项
+ * 包括创建目录、测试连接、校验结构版本、写入默认角色
  * @returns {Promise<boolean>} 初始化是否成功
  */
-const initializeDatabase = async (options = {}) => {
+const initializeDatabase = async () => {
   try {
-    console.log("🚀 开始初始化SQLite数据库...");
+    log.info("开始初始化数据库", { dialect: dbConfig.dialect });
 
     // 1. 确保数据库目录存在
     ensureDatabaseDirectory();
@@ -84,16 +99,19 @@ const initializeDatabase = async (options = {}) => {
       throw new Error("数据库连接失败");
     }
 
-    // 3. 同步数据库模型
-    const syncSuccess = await syncDatabase(options);
-    if (!syncSuccess) {
-      throw new Error("数据库模型同步失败");
+    // 3. 校验数据库结构版本
+    const schemaUpToDate = await checkSchemaVersion();
+    if (!schemaUpToDate) {
+      throw new Error("数据库结构不是最新版本");
     }
 
-    console.log("🎉 SQLite数据库初始化完成");
+    // 4. 写入默认角色和权限
+    await roleService.ensureDefaultRoles();
+
+    log.info("数据库初始化完成", { dialect: dbConfig.dialect });
     return true;
   } catch (error) {
-    console.error("❌ 数据库初始化失败:", error.message);
+    log.error("数据库初始化失败", { error });
     return false;
   }
 };
@@ -105,22 +123,28 @@ const initializeDatabase = async (options = {}) => {
 const closeDatabaseConnection = async () => {
   try {
     await sequelize.close();
-    console.log("🔌 数据库连接已关闭");
+    log.info("数据库连接已关闭");
   } catch (error) {
-    console.error("❌ 关闭数据库连接失败:", error.message);
+    log.error("关闭数据库连接失败", { error });
   }
 };
 
 /**
  * 获取数据库连接状态
- * @returns {Object} 连接状态信息
+ * 通过一次实际查询判断连接是否可用，连接池对象存在并不代表数据库可达
+ * @returns {Promise<Object>} 连接状态信息
  */
-const getDatabaseStatus = () => {
+const getDatabaseStatus = async () => {
+  let connectionState = "connected";
+  try {
+    await sequelize.authenticate();
+  } catch {
+    connectionState = "disconnected";
+  }
+
   return {
     dialect: sequelize.getDialect(),
-    connectionState: sequelize.connectionManager.pool
-      ? "connected"
-      : "disconnected",
+    connectionState,
     modelCount: Object.keys(sequelize.models).length,
   };
 };
@@ -129,7 +153,7 @@ export {
   sequelize,
   initializeDatabase,
   testDatabaseConnection,
-  syncDatabase,
+  checkSchemaVersion,
   closeDatabaseConnection,
   getDatabaseStatus,
   ensureDatabaseDirectory,
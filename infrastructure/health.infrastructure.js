@@ -0,0 +1,142 @@
+import { readFileSync } from "fs";
+import { statfs } from "fs/promises";
+import { dirname, join } from "path";
+import { performance } from "perf_hooks";
+import { dbConfig } from "../config/db.config.js";
+import { ROOT_DIR } from "../config/config.loader.js";
+import { serverConfig, healthConfig } from "../config/app.config.js";
+import { testDatabaseConnection } from "./db.infrastructure.js";
+import { verifySchemaVersion } from "./migration.infrastructure.js";
+import { isShuttingDown } from "./server.infrastructure.js";
+
+// 应用版本，取自 package.json
+const APP_VERSION = JSON.parse(readFileSync(join(ROOT_DIR, "package.json"), "utf8")).version;
+
+// 单项检查状态，skipped 表示当前配置下不适用（如非SQLite数据库的磁盘检查），不影响整体状态
+const CHECK_STATUS = Object.freeze({
+  UP: "up",
+  DOWN: "down",
+  SKIPPED: "skipped",
+});
+
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * 依赖检查
+ * 每项返回 { status, ...详情 }，抛出异常或超时视为不可用
+ */
+const checks = {
+  /**
+   * 服务状态，开始优雅关闭后立即不可用，使负载均衡停止分配新请求
+   */
+  async server() {
+    return { status: isShuttingDown() ? CHECK_STATUS.DOWN : CHECK_STATUS.UP, shuttingDown: isShuttingDown() };
+  },
+
+  /**
+   * 数据库连接
+   */
+  async database() {
+    if (!(await testDatabaseConnection({ quiet: true }))) {
+      throw new Error("数据库连接失败");
+    }
+    return { status: CHECK_STATUS.UP, dialect: dbConfig.dialect };
+  },
+
+  /**
+   * SQLite数据库文件所在磁盘的剩余空间
+   */
+  async disk() {
+    if (dbConfig.dialect !== "sqlite" || dbConfig.storage === ":memory:") {
+      return { status: CHECK_STATUS.SKIPPED };
+    }
+
+    const stats = await statfs(dirname(dbConfig.storage));
+    const freeMb = Math.floor((stats.bavail * stats.bsize) / BYTES_PER_MB);
+    return {
+      status: freeMb >= healthConfig.minFreeDiskMb ? CHECK_STATUS.UP : CHECK_STATUS.DOWN,
+      freeMb,
+      minFreeMb: healthConfig.minFreeDiskMb,
+    };
+  },
+
+  /**
+   * 数据库结构版本
+   */
+  async migrations() {
+    const { upToDate, pending, missing } = await verifySchemaVersion();
+    return {
+      status: upToDate ? CHECK_STATUS.UP : CHECK_STATUS.DOWN,
+      pending,
+      missing,
+    };
+  },
+};
+
+/**
+ * 为检查设置超时
+ * @param {Promise} promise - 检查
+ * @param {number} timeout - 超时时间（毫秒）
+ * @returns {Promise} 先完成的结果
+ */
+const withTimeout = (promise, timeout) => {
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`检查超时（${timeout}ms）`)), timeout);
+  });
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * 执行单项检查并记录耗时
+ * 生产环境不返回异常原文，避免泄露内部路径等信息
+ * @param {Function} check - 检查函数
+ * @returns {Promise<Object>} { status, latencyMs, ...详情 }
+ */
+const runCheck = async (check) => {
+  const startedAt = performance.now();
+  const latency = () => Math.round((performance.now() - startedAt) * 100) / 100;
+
+  try {
+    const result = await withTimeout(check(), healthConfig.checkTimeout);
+    return { ...result, latencyMs: latency() };
+  } catch (error) {
+    return {
+      status: CHECK_STATUS.DOWN,
+      latencyMs: latency(),
+      error: serverConfig.env === "production" ? "检查失败" : error.message,
+    };
+  }
+};
+
+/**
+ * 并行执行所有依赖检查
+ * @returns {Promise<Object>} { healthy, checks }，所有检查均为 up 或 skipped 时 healthy 为 true
+ */
+const checkReadiness = async () => {
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map((name) => runCheck(checks[name])));
+
+  return {
+    healthy: results.every((result) => result.status !== CHECK_STATUS.DOWN),
+    checks: Object.fromEntries(names.map((name, index) => [name, results[index]])),
+  };
+};
+
+/**
+ * 生成完整的健康报告
+ * @returns {Promise<Object>} { status, version, uptime, timestamp, checks }
+ */
+const getHealthReport = async () => {
+  const { healthy, checks: results } = await checkReadiness();
+
+  return {
+    status: healthy ? "ok" : "error",
+    version: APP_VERSION,
+    uptime: Math.floor(process.uptime()),
+    timestamp: new Date().toISOString(),
+    checks: results,
+  };
+};
+
+export { APP_VERSION, CHECK_STATUS, checkReadiness, getHealthReport };
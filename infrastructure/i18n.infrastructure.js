@@ -0,0 +1,190 @@
+/**
+ * 国际化
+ * 面向用户的文案在代码中以消息键表示，例如 user.usernameTaken，按语言从 locales/ 下的消息目录取出并插值。
+ * 消息键是稳定的，随翻译后的文案一起返回给客户端（messageKey），客户端可以据此判断错误类型或自行翻译
+ */
+
+import zhCN from "../locales/zh-CN.js";
+import en from "../locales/en.js";
+
+const CATALOGS = {
+  "zh-CN": zhCN,
+  en,
+};
+
+// 源码中的文案以简体中文编写，无法协商出支持的语言或其他语言缺少某条消息时使用
+const DEFAULT_LOCALE = "zh-CN";
+
+const SUPPORTED_LOCALES = Object.freeze(Object.keys(CATALOGS));
+
+/**
+ * 按点分隔的消息键查找文案
+ * @param {Object} catalog - 消息目录
+ * @param {string} key - 消息键
+ * @returns {string|undefined} 文案，不存在时为undefined
+ */
+const lookup = (catalog, key) => {
+  if (typeof key !== "string") {
+    return undefined;
+  }
+  const value = key
+    .split(".")
+    .reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), catalog);
+  return typeof value === "string" ? value : undefined;
+};
+
+/**
+ * 判断是否为已定义的消息键
+ * @param {*} key - 待判断的值
+ * @returns {boolean} 是否已定义
+ */
+const hasMessage = (key) => lookup(CATALOGS[DEFAULT_LOCALE], key) !== undefined;
+
+/**
+ * 翻译消息
+ * 不是消息键的字符串（例如底层异常的错误信息）原样返回
+ * @param {string} key - 消息键
+ * @param {Object} params - 插值参数，替换文案中的 {name}，数组按该语言的分隔符拼接
+ * @param {string} locale - 语言，默认为 DEFAULT_LOCALE
+ * @returns {string} 文案
+ */
+const translate = (key, params = {}, locale = DEFAULT_LOCALE) => {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  const template = lookup(catalog, key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (template === undefined) {
+    return key;
+  }
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!params || !Object.hasOwn(params, name)) {
+      return placeholder;
+    }
+    const value = params[name];
+    return Array.isArray(value) ? value.join(translate("common.listSeparator", {}, locale)) : String(value);
+  });
+};
+
+/**
+ * 翻译单条消息，并保留其消息键
+ * @param {string|Object} message - 消息键，或带插值参数的 { key, params }
+ * @param {string} locale - 语言
+ * @returns {Object} { message, messageKey }，不是消息键时 messageKey 为null
+ */
+const localizeMessage = (message, locale) => {
+  if (!message || (typeof message !== "string" && typeof message.key !== "string")) {
+    return { message, messageKey: null };
+  }
+
+  const { key, params } = typeof message === "string" ? { key: message } : message;
+  return {
+    message: translate(key, params, locale),
+    messageKey: hasMessage(key) ? key : null,
+  };
+};
+
+/**
+ * 翻译响应体
+ * 只处理普通对象响应体顶层的 message、errors 和 details[].message，data 中的业务数据不会被改动；
+ * message 和 details 中的每一项额外带上 messageKey
+ * @param {*} body - 响应体
+ * @param {string} locale - 语言
+ * @returns {*} 翻译后的新响应体，无需翻译时返回原值
+ */
+const localizeBody = (body, locale) => {
+  if (!body || Object.getPrototypeOf(body) !== Object.prototype) {
+    return body;
+  }
+
+  const result = { ...body };
+  if (body.message !== undefined) {
+    Object.assign(result, localizeMessage(body.message, locale));
+  }
+  if (Array.isArray(body.errors)) {
+    result.errors = body.errors.map((message) => localizeMessage(message, locale).message);
+  }
+  if (Array.isArray(body.details)) {
+    result.details = body.details.map((detail) => ({ ...detail, ...localizeMessage(detail.message, locale) }));
+  }
+  return result;
+};
+
+/**
+ * 把语言标签匹配到支持的语言
+ * 先按完整标签匹配（不区分大小写），再按主语言匹配，例如 en-US 匹配 en、zh 匹配 zh-CN
+ * @param {string} tag - 语言标签
+ * @returns {string|null} 支持的语言，无法匹配时为null
+ */
+const matchLocale = (tag) => {
+  if (typeof tag !== "string" || !tag) {
+    return null;
+  }
+
+  const normalized = tag.trim().toLowerCase();
+  const [language] = normalized.split("-");
+  return (
+    SUPPORTED_LOCALES.find((locale) => locale.toLowerCase() === normalized) ||
+    SUPPORTED_LOCALES.find((locale) => locale.toLowerCase().split("-")[0] === language) ||
+    null
+  );
+};
+
+/**
+ * 解析 Accept-Language 请求头
+ * @param {string} header - 请求头，例如 "en-US,en;q=0.9,zh;q=0.8"
+ * @returns {Array<string>} 按权重从高到低排列的语言标签，不含 * 和权重为0的项
+ */
+const parseAcceptLanguage = (header) => {
+  if (typeof header !== "string" || !header) {
+    return [];
+  }
+
+  return header
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...options] = part.trim().split(";");
+      const quality = options.map((option) => option.trim()).find((option) => option.startsWith("q="));
+      const q = quality ? Number(quality.slice(2)) : 1;
+      return { tag: tag.trim(), q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter(({ tag, q }) => tag && tag !== "*" && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+};
+
+/**
+ * 从候选语言中选出第一个支持的语言
+ * @param {...string} candidates - 按优先级排列的语言标签，可以为空
+ * @returns {string} 支持的语言，都不支持时为 DEFAULT_LOCALE
+ */
+const resolveLocale = (...candidates) => candidates.map(matchLocale).find(Boolean) || DEFAULT_LOCALE;
+
+/**
+ * 获取用户在偏好设置中保存的语言
+ * @param {Object} user - 用户实例或用户数据
+ * @returns {string|null} 语言标签，未设置时为null
+ */
+const getPreferredLocale = (user) =>
+  (user && user.preferences && typeof user.preferences.locale === "string" && user.preferences.locale) || null;
+
+/**
+ * 协商请求使用的语言
+ * 用户在偏好设置中保存的语言优先，其次按 Accept-Language 的权重，都不支持时使用默认语言
+ * @param {string} acceptLanguage - Accept-Language 请求头
+ * @param {Object} user - 当前用户，匿名请求为null
+ * @returns {string} 支持的语言
+ */
+const negotiateLocale = (acceptLanguage, user = null) =>
+  resolveLocale(getPreferredLocale(user), ...parseAcceptLanguage(acceptLanguage));
+
+export {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  hasMessage,
+  translate,
+  localizeMessage,
+  localizeBody,
+  parseAcceptLanguage,
+  resolveLocale,
+  getPreferredLocale,
+  negotiateLocale,
+};
@@ -0,0 +1,280 @@
+import { loggingConfig } from "../config/app.config.js";
+import { appendFileSync, existsSync, mkdirSync, renameSync, rmSync, statSync } from "fs";
+import { dirname, resolve } from "path";
+
+/**
+ * 日志基础设施
+ * 日志是带级别的结构化记录 { time, level, message, ...字段 }，由可替换的传输层（transport）输出。
+ * 传输层是实现了 write(entry) 的对象；子日志器（child）共享父日志器的级别和传输层，并在每条记录中带上绑定的字段。
+ * 字段在交给传输层之前按 loggingConfig.redact 脱敏，Error 会被展开为 name、message、stack 等可序列化字段
+ */
+
+// 日志级别，数值越大越严重；silent 用于关闭全部输出
+const LOG_LEVELS = Object.freeze({
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+});
+
+const REDACTED = "[REDACTED]";
+
+/**
+ * 将错误展开为可序列化的对象
+ * @param {Error} error - 错误对象
+ * @returns {Object} 包含 name、message、code、stack 和 cause 的对象
+ */
+const serializeError = (error) => {
+  const serialized = { name: error.name, message: error.message };
+  if (error.code !== undefined) {
+    serialized.code = error.code;
+  }
+  serialized.stack = error.stack;
+  if (error.cause !== undefined) {
+    serialized.cause = error.cause;
+  }
+  return serialized;
+};
+
+/**
+ * 脱敏并规范化日志字段
+ * 字段名在 keys 中的值替换为 [REDACTED]，错误展开为普通对象，循环引用替换为 [Circular]
+ * @param {*} value - 字段值
+ * @param {Set<string>} keys - 需要脱敏的字段名（小写）
+ * @param {WeakSet} seen - 已访问的对象，用于检测循环引用
+ * @returns {*} 处理后的新值，原对象不会被修改
+ */
+const redact = (value, keys, seen = new WeakSet()) => {
+  if (!value || typeof value !== "object" || value instanceof Date) {
+    return value;
+  }
+  if (seen.has(value)) {
+    return "[Circular]";
+  }
+  seen.add(value);
+
+  let result;
+  if (value instanceof Error) {
+    result = redact(serializeError(value), keys, seen);
+  } else if (Array.isArray(value)) {
+    result = value.map((item) => redact(item, keys, seen));
+  } else if (typeof value.toJSON === "function") {
+    // 例如 Sequelize 模型实例
+    result = redact(value.toJSON(), keys, seen);
+  } else {
+    result = Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        keys.has(key.toLowerCase()) ? REDACTED : redact(item, keys, seen),
+      ])
+    );
+  }
+
+  seen.delete(value);
+  return result;
+};
+
+/**
+ * 创建JSON传输层
+ * 每条日志输出一行JSON，适用于生产环境的日志采集
+ * @param {Object} options - 选项
+ * @param {Object} options.stream - 输出流，默认为标准输出
+ * @returns {Object} 传输层实例
+ */
+const createJsonTransport = ({ stream = process.stdout } = {}) => ({
+  name: "json",
+  write: (entry) => {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  },
+});
+
+// pretty 格式下各级别使用的终端颜色
+const LEVEL_COLORS = {
+  debug: "\x1b[90m",
+  info: "\x1b[36m",
+  warn: "\x1b[33m",
+  error: "\x1b[31m",
+};
+
+/**
+ * 创建便于阅读的传输层
+ * 输出形如 "10:00:00.000 INFO  数据库连接成功 {"dialect":"sqlite"}" 的单行文本，错误堆栈另起一行，适用于本地开发
+ * @param {Object} options - 选项
+ * @param {Object} options.stream - 输出流，默认为标准输出
+ * @param {boolean} options.colors - 是否按级别着色，默认在终端中着色
+ * @returns {Object} 传输层实例
+ */
+const createPrettyTransport = ({ stream = process.stdout, colors = Boolean(stream.isTTY) } = {}) => ({
+  name: "pretty",
+  write: ({ time, level, message, ...fields }) => {
+    const label = level.toUpperCase().padEnd(5);
+    const stack = fields.error && fields.error.stack;
+    const rest = stack ? { ...fields, error: { ...fields.error, stack: undefined } } : fields;
+    const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : "";
+
+    const line = `${time.slice(11, 23)} ${colors ? `${LEVEL_COLORS[level]}${label}\x1b[0m` : label} ${message}${extra}`;
+    stream.write(`${line}${stack ? `\n${stack}` : ""}\n`);
+  },
+});
+
+/**
+ * 创建按大小轮转的文件传输层
+ * 日志以JSON行追加到文件，写入后超过 maxSize 时依次重命名为 <path>.1 ... <path>.<maxFiles>，最旧的文件被删除。
+ * 同步写入，保证进程异常退出前的日志不会丢失
+ * @param {Object} options - 选项
+ * @param {string} options.path - 日志文件路径
+ * @param {number} options.maxSize - 单个文件的最大字节数
+ * @param {number} options.maxFiles - 保留的轮转文件数量
+ * @returns {Object} 传输层实例
+ */
+const createFileTransport = ({ path, maxSize, maxFiles }) => {
+  const filePath = resolve(path);
+  mkdirSync(dirname(filePath), { recursive: true });
+  let size = existsSync(filePath) ? statSync(filePath).size : 0;
+
+  const rotate = () => {
+    rmSync(`${filePath}.${maxFiles}`, { force: true });
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      if (existsSync(`${filePath}.${index}`)) {
+        renameSync(`${filePath}.${index}`, `${filePath}.${index + 1}`);
+      }
+    }
+    renameSync(filePath, `${filePath}.1`);
+    size = 0;
+  };
+
+  return {
+    name: "file",
+    path: filePath,
+    write: (entry) => {
+      const line = `${JSON.stringify(entry)}\n`;
+      appendFileSync(filePath, line);
+      size += Buffer.byteLength(line);
+      if (size >= maxSize) {
+        rotate();
+      }
+    },
+  };
+};
+
+/**
+ * 按日志配置创建传输层
+ * @param {Object} config - 日志配置，结构同 loggingConfig
+ * @returns {Array<Object>} 传输层列表
+ */
+const createTransports = (config) => {
+  const transports = [config.format === "pretty" ? createPrettyTransport() : createJsonTransport()];
+  if (config.file) {
+    transports.push(
+      createFileTransport({
+        path: config.file,
+        maxSize: config.maxFileSizeMb * 1024 * 1024,
+        maxFiles: config.maxFiles,
+      })
+    );
+  }
+  return transports;
+};
+
+/**
+ * 创建日志器
+ * @param {Object} state - 共享的设置 { level, transports, redactKeys }
+ * @param {Object} bindings - 绑定的字段，写入该日志器输出的每条记录
+ * @returns {Object} 日志器，提供 debug/info/warn/error(message, fields) 和 child(bindings)
+ */
+const buildLogger = (state, bindings) => {
+  const log = (level, message, fields = {}) => {
+    if (LOG_LEVELS[level] < LOG_LEVELS[state.level]) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      message,
+      ...redact({ ...bindings, ...fields }, state.redactKeys),
+    };
+    for (const transport of state.transports) {
+      try {
+        transport.write(entry);
+      } catch (error) {
+        // 日志输出失败不能影响业务流程
+        process.stderr.write(`日志传输层 ${transport.name || "unknown"} 写入失败: ${error.message}\n`);
+      }
+    }
+  };
+
+  return {
+    bindings,
+    debug: (message, fields) => log("debug", message, fields),
+    info: (message, fields) => log("info", message, fields),
+    warn: (message, fields) => log("warn", message, fields),
+    error: (message, fields) => log("error", message, fields),
+    isLevelEnabled: (level) => LOG_LEVELS[level] >= LOG_LEVELS[state.level],
+    child: (childBindings) => buildLogger(state, { ...bindings, ...childBindings }),
+  };
+};
+
+/**
+ * 创建独立的日志器
+ * @param {Object} options - 选项
+ * @param {string} options.level - 最低输出级别，默认为info
+ * @param {Array<Object>} options.transports - 传输层列表
+ * @param {Array<string>} options.redact - 需要脱敏的字段名
+ * @param {Object} options.bindings - 绑定的字段
+ * @returns {Object} 日志器
+ */
+const createLogger = ({ level = "info", transports = [], redact: redactKeys = [], bindings = {} } = {}) =>
+  buildLogger(
+    { level, transports, redactKeys: new Set(redactKeys.map((key) => key.toLowerCase())) },
+    bindings
+  );
+
+// 应用日志器的设置，由它派生的子日志器共享同一份设置
+const rootState = {
+  level: loggingConfig.level,
+  transports: createTransports(loggingConfig),
+  redactKeys: new Set(loggingConfig.redact.map((key) => key.toLowerCase())),
+};
+
+// 应用日志器
+const logger = buildLogger(rootState, {});
+
+/**
+ * 修改应用日志器的级别或传输层
+ * 已创建的子日志器同样生效，可用于注入第三方日志服务或在测试中捕获日志
+ * @param {Object} options - 选项
+ * @param {string} options.level - 最低输出级别
+ * @param {Array<Object>} options.transports - 传输层列表，每个传输层需要实现 write(entry) 方法
+ * @returns {Object} 修改前的 { level, transports }，便于恢复
+ */
+const configureLogger = ({ level, transports } = {}) => {
+  const previous = { level: rootState.level, transports: rootState.transports };
+
+  if (level !== undefined) {
+    if (!Object.hasOwn(LOG_LEVELS, level)) {
+      throw new Error(`不支持的日志级别: ${level}`);
+    }
+    rootState.level = level;
+  }
+  if (transports !== undefined) {
+    if (!Array.isArray(transports) || transports.some((transport) => !transport || typeof transport.write !== "function")) {
+      throw new Error("日志传输层必须实现 write(entry) 方法");
+    }
+    rootState.transports = transports;
+  }
+
+  return previous;
+};
+
+export {
+  LOG_LEVELS,
+  logger,
+  createLogger,
+  configureLogger,
+  createJsonTransport,
+  createPrettyTransport,
+  createFileTransport,
+  redact,
+};
@@ -0,0 +1,104 @@
+import { mailConfig } from "../config/app.config.js";
+import { logger } from "./logger.infrastructure.js";
+import { mkdir, writeFile } from "fs/promises";
+import { join, resolve } from "path";
+import { randomBytes } from "crypto";
+
+/**
+ * 邮件发送基础设施
+ * 业务代码只调用sendMail，具体投递方式由可替换的传输层（transport）决定。
+ * 传输层是实现了 send(message) 的对象，message 包含 from、to、subject、text、html。
+ */
+
+/**
+ * 创建控制台传输层
+ * 将邮件内容写入应用日志（info级别），适用于本地开发
+ * @returns {Object} 传输层实例
+ */
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    logger.info("邮件已输出到控制台", { component: "mailer", mail: message });
+    return { accepted: [message.to] };
+  },
+});
+
+/**
+ * 创建文件传输层
+ * 每封邮件写入一个JSON文件，适用于离线环境和测试
+ * @param {string} directory - 邮件保存目录
+ * @returns {Object} 传输层实例
+ */
+const createFileTransport = (directory) => ({
+  name: "file",
+  send: async (message) => {
+    const targetDirectory = resolve(directory);
+    await mkdir(targetDirectory, { recursive: true });
+
+    const fileName = `${Date.now()}-${randomBytes(4).toString("hex")}.json`;
+    const filePath = join(targetDirectory, fileName);
+    await writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { accepted: [message.to], path: filePath };
+  },
+});
+
+// 内置传输层工厂
+const transportFactories = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport(mailConfig.fileDirectory),
+};
+
+// 当前使用的传输层，首次发送时按配置创建
+let activeTransport = null;
+
+/**
+ * 替换邮件传输层
+ * 可注入SMTP、第三方邮件服务或测试替身，只需实现 send(message) 方法
+ * @param {Object} transport - 传输层实例
+ */
+const setMailTransport = (transport) => {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error("邮件传输层必须实现 send(message) 方法");
+  }
+  activeTransport = transport;
+};
+
+/**
+ * 获取当前邮件传输层
+ * @returns {Object} 传输层实例
+ */
+const getMailTransport = () => {
+  if (!activeTransport) {
+    const factory = transportFactories[mailConfig.transport];
+    if (!factory) {
+      throw new Error(`不支持的邮件传输方式: ${mailConfig.transport}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * 发送邮件
+ * @param {Object} message - 邮件内容
+ * @param {string} message.to - 收件人
+ * @param {string} message.subject - 主题
+ * @param {string} message.text - 纯文本正文
+ * @param {string} message.html - HTML正文（可选）
+ * @returns {Promise<Object>} 传输层返回的发送结果
+ */
+const sendMail = async (message) => {
+  return await getMailTransport().send({ from: mailConfig.from, ...message });
+};
+
+export {
+  sendMail,
+  setMailTransport,
+  getMailTransport,
+  createConsoleTransport,
+  createFileTransport,
+};
@@ -0,0 +1,226 @@
+import { readdir } from "fs/promises";
+import { join } from "path";
+import { pathToFileURL } from "url";
+import { DataTypes, QueryTypes } from "sequelize";
+import { sequelize } from "../config/db.config.js";
+import { ROOT_DIR } from "../config/config.loader.js";
+
+// 迁移文件目录，文件名格式为 <14位时间戳>-<描述>.js，按文件名顺序执行
+const MIGRATIONS_DIR = join(ROOT_DIR, "migrations");
+const MIGRATION_FILE_PATTERN = /^\d{14}-[\w-]+\.js$/;
+
+// 记录已执行迁移的表
+const MIGRATION_TABLE = "schema_migrations";
+
+// verifySchemaVersion 使用的迁移名称缓存，按目录区分；迁移文件在进程运行期间不会变化
+const migrationNameCache = new Map();
+
+/**
+ * 列出迁移名称（不导入迁移文件）
+ * @param {string} directory - 迁移文件目录
+ * @returns {Promise<Array<string>>} 按名称排序的迁移名称，即不带 .js 的文件名
+ */
+const listMigrationNames = async (directory = MIGRATIONS_DIR) =>
+  (await readdir(directory))
+    .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map((file) => file.replace(/\.js$/, ""));
+
+/**
+ * 加载迁移文件
+ * 每个迁移文件必须导出 up 和 down 两个异步函数，参数为 { queryInterface, DataTypes, sequelize, transaction }
+ * @param {string} directory - 迁移文件目录
+ * @returns {Promise<Array<Object>>} 按名称排序的迁移 [{ name, up, down }]
+ */
+const loadMigrations = async (directory = MIGRATIONS_DIR) => {
+  const names = await listMigrationNames(directory);
+
+  return Promise.all(
+    names.map(async (name) => {
+      const migration = await import(pathToFileURL(join(directory, `${name}.js`)).href);
+      if (typeof migration.up !== "function" || typeof migration.down !== "function") {
+        throw new Error(`迁移文件 ${name}.js 必须导出 up 和 down 函数`);
+      }
+      return { name, up: migration.up, down: migration.down };
+    })
+  );
+};
+
+/**
+ * 确保迁移记录表存在
+ * @returns {Promise<void>}
+ */
+const ensureMigrationTable = async () => {
+  await sequelize.getQueryInterface().createTable(MIGRATION_TABLE, {
+    name: { type: DataTypes.STRING(255), primaryKey: true, allowNull: false },
+    applied_at: { type: DataTypes.DATE, allowNull: false },
+  });
+};
+
+/**
+ * 获取已执行的迁移记录
+ * 只读取数据库，迁移记录表不存在时视为没有执行过任何迁移
+ * @returns {Promise<Array<Object>>} 按名称排序的记录 [{ name, applied_at }]
+ */
+const getAppliedMigrations = async () => {
+  if (!(await sequelize.getQueryInterface().tableExists(MIGRATION_TABLE))) {
+    return [];
+  }
+  return sequelize.query(
+    `SELECT name, applied_at FROM ${MIGRATION_TABLE} ORDER BY name`,
+    { type: QueryTypes.SELECT }
+  );
+};
+
+/**
+ * 构造迁移上下文
+ * 迁移中的每个查询都需要传入 { transaction }，迁移失败时整体回滚
+ * @param {Object} transaction - 当前迁移所在的事务
+ * @returns {Object} 迁移上下文 { queryInterface, DataTypes, sequelize, transaction }
+ */
+const migrationContext = (transaction) => ({
+  queryInterface: sequelize.getQueryInterface(),
+  DataTypes,
+  sequelize,
+  transaction,
+});
+
+/**
+ * 对比迁移名称与已执行的迁移记录
+ * @param {Array<string>} names - 代码中的迁移名称
+ * @returns {Promise<Array<Object>>} [{ name, status, appliedAt }]
+ */
+const compareWithApplied = async (names) => {
+  const applied = new Map(
+    (await getAppliedMigrations()).map((record) => [record.name, record.applied_at])
+  );
+  const known = new Set(names);
+
+  return [
+    ...names.map((name) => ({
+      name,
+      status: applied.has(name) ? "applied" : "pending",
+      appliedAt: applied.get(name) || null,
+    })),
+    ...[...applied.keys()]
+      .filter((name) => !known.has(name))
+      .map((name) => ({ name, status: "missing", appliedAt: applied.get(name) })),
+  ].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * 获取迁移状态
+ * 只读取迁移文件名和迁移记录，不导入迁移文件，也不修改数据库
+ * @param {Object} options - 选项
+ * @param {string} options.directory - 迁移文件目录
+ * @returns {Promise<Array<Object>>} [{ name, status, appliedAt }]，status 为 applied、pending 或 missing（已执行但文件不存在）
+ */
+const getMigrationStatus = async ({ directory } = {}) =>
+  compareWithApplied(await listMigrationNames(directory));
+
+/**
+ * 执行所有待执行的迁移
+ * 迁移按顺序逐个执行，每个迁移和它的执行记录在同一个事务中提交；某个迁移失败时该迁移整体回滚并停止，
+ * 之前成功的迁移保持已执行状态。MySQL 的 DDL 会隐式提交事务，失败时可能需要手动清理
+ * @param {Object} options - 选项
+ * @param {string} options.directory - 迁移文件目录
+ * @param {boolean} options.baseline - 只记录第一个迁移为已执行而不运行，用于迁移前通过 sync 创建的数据库
+ * @returns {Promise<Array<string>>} 本次执行的迁移名称
+ */
+const migrate = async ({ directory, baseline = false } = {}) => {
+  const migrations = await loadMigrations(directory);
+  await ensureMigrationTable();
+  const applied = new Set((await getAppliedMigrations()).map((record) => record.name));
+  const queryInterface = sequelize.getQueryInterface();
+  const executed = [];
+
+  for (const [index, migration] of migrations.entries()) {
+    if (applied.has(migration.name)) {
+      continue;
+    }
+
+    const skip = baseline && index === 0;
+    await sequelize.transaction(async (transaction) => {
+      if (!skip) {
+        await migration.up(migrationContext(transaction));
+      }
+      await queryInterface.bulkInsert(
+        MIGRATION_TABLE,
+        [{ name: migration.name, applied_at: new Date() }],
+        { transaction }
+      );
+    });
+    if (!skip) {
+      executed.push(migration.name);
+    }
+  }
+
+  return executed;
+};
+
+/**
+ * 回滚最近执行的迁移
+ * 每个迁移的回滚和删除执行记录在同一个事务中提交
+ * @param {Object} options - 选项
+ * @param {number} options.steps - 回滚的迁移数量，默认1
+ * @param {string} options.directory - 迁移文件目录
+ * @returns {Promise<Array<string>>} 本次回滚的迁移名称
+ */
+const rollback = async ({ steps = 1, directory } = {}) => {
+  const migrations = new Map(
+    (await loadMigrations(directory)).map((migration) => [migration.name, migration])
+  );
+  const targets = (await getAppliedMigrations())
+    .map((record) => record.name)
+    .reverse()
+    .slice(0, steps);
+  const queryInterface = sequelize.getQueryInterface();
+  const reverted = [];
+
+  for (const name of targets) {
+    const migration = migrations.get(name);
+    if (!migration) {
+      throw new Error(`无法回滚 ${name}：迁移文件不存在`);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await migration.down(migrationContext(transaction));
+      await queryInterface.bulkDelete(MIGRATION_TABLE, { name }, { transaction });
+    });
+    reverted.push(name);
+  }
+
+  return reverted;
+};
+
+/**
+ * 校验数据库结构是否为最新版本
+ * 应用启动和就绪检查时调用，只读取数据库；迁移文件名在首次调用后缓存，不会每次重新读取目录
+ * @param {Object} options - 选项
+ * @param {string} options.directory - 迁移文件目录
+ * @returns {Promise<Object>} 校验结果 { upToDate, pending, missing }
+ */
+const verifySchemaVersion = async ({ directory = MIGRATIONS_DIR } = {}) => {
+  if (!migrationNameCache.has(directory)) {
+    migrationNameCache.set(directory, await listMigrationNames(directory));
+  }
+  const status = await compareWithApplied(migrationNameCache.get(directory));
+  const pending = status.filter((item) => item.status === "pending").map((item) => item.name);
+  const missing = status.filter((item) => item.status === "missing").map((item) => item.name);
+
+  return {
+    upToDate: pending.length === 0 && missing.length === 0,
+    pending,
+    missing,
+  };
+};
+
+export {
+  MIGRATIONS_DIR,
+  MIGRATION_TABLE,
+  loadMigrations,
+  getMigrationStatus,
+  migrate,
+  rollback,
+  verifySchemaVersion,
+};
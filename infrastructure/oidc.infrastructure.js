@@ -0,0 +1,252 @@
+import { oidcConfig } from "../config/app.config.js";
+import { createHash, createPublicKey, randomBytes } from "crypto";
+import jwt from "jsonwebtoken";
+
+/**
+ * OpenID Connect 客户端基础设施
+ * 负责与身份提供方通信：发现文档、授权地址、授权码换取令牌以及ID令牌校验。
+ * 与具体提供方无关，提供方参数形如 oidcConfig.providers 中的配置项。
+ */
+
+// 发现文档缓存，键为issuer
+const discoveryCache = new Map();
+
+// 签名公钥缓存，键为jwks_uri
+const jwksCache = new Map();
+
+// 允许的ID令牌签名算法，不接受none和对称算法
+const ALLOWED_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"];
+
+/**
+ * 身份提供方拒绝了授权码，或ID令牌未通过校验
+ * 授权码无效、过期、已使用或PKCE verifier不匹配时由用户重新发起授权即可；
+ * 网络错误、身份提供方故障和客户端凭据错误仍抛出普通错误
+ */
+class OidcRejectedError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "OidcRejectedError";
+  }
+}
+
+/**
+ * 去除URL末尾的斜杠，便于比较issuer
+ * @param {string} url - URL
+ * @returns {string} 规范化后的URL
+ */
+const trimTrailingSlash = (url) => String(url).replace(/\/+$/, "");
+
+/**
+ * 请求身份提供方并解析JSON响应
+ * @param {string} url - 请求地址
+ * @param {Object} options - fetch选项
+ * @returns {Promise<Object>} 响应JSON
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    signal: AbortSignal.timeout(oidcConfig.httpTimeout),
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    const error = new Error(`身份提供方请求失败(${response.status}): ${reason}`);
+    // OAuth 错误码，例如 invalid_grant、invalid_client
+    error.oauthError = body.error || null;
+    throw error;
+  }
+  return body;
+};
+
+/**
+ * 获取身份提供方的发现文档
+ * @param {string} issuer - 签发者地址
+ * @returns {Promise<Object>} 发现文档
+ */
+const discover = async (issuer) => {
+  const key = trimTrailingSlash(issuer);
+  if (discoveryCache.has(key)) {
+    return discoveryCache.get(key);
+  }
+
+  const metadata = await fetchJson(`${key}/.well-known/openid-configuration`);
+  if (trimTrailingSlash(metadata.issuer) !== key) {
+    throw new Error("发现文档中的issuer与配置不一致");
+  }
+  for (const field of ["authorization_endpoint", "token_endpoint", "jwks_uri"]) {
+    if (!metadata[field]) {
+      throw new Error(`发现文档缺少${field}`);
+    }
+  }
+
+  discoveryCache.set(key, metadata);
+  return metadata;
+};
+
+/**
+ * 按kid查找签名公钥，找不到时重新拉取一次以支持密钥轮换
+ * @param {string} jwksUri - 公钥集合地址
+ * @param {string} kid - 密钥标识
+ * @returns {Promise<KeyObject>} 公钥
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (jwks) =>
+    (jwks.keys || []).find((key) => key.kid === kid && (!key.use || key.use === "sig"));
+
+  let jwk = jwksCache.has(jwksUri) ? findKey(jwksCache.get(jwksUri)) : null;
+  if (!jwk) {
+    const jwks = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, jwks);
+    jwk = findKey(jwks);
+  }
+  if (!jwk) {
+    throw new OidcRejectedError("找不到ID令牌的签名公钥");
+  }
+  return createPublicKey({ key: jwk, format: "jwk" });
+};
+
+/**
+ * 生成PKCE参数
+ * @returns {Object} { codeVerifier, codeChallenge }
+ */
+const createPkcePair = () => {
+  const codeVerifier = randomBytes(32).toString("base64url");
+  const codeChallenge = createHash("sha256").update(codeVerifier).digest("base64url");
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * 构造授权地址
+ * @param {Object} provider - 提供方配置
+ * @param {Object} params - 授权参数
+ * @param {string} params.state - 防CSRF的state
+ * @param {string} params.nonce - 绑定ID令牌的nonce
+ * @param {string} params.codeChallenge - PKCE challenge
+ * @returns {Promise<string>} 授权地址
+ */
+const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge }) => {
+  const metadata = await discover(provider.issuer);
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: (provider.scopes || ["openid"]).join(" "),
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+  return url.toString();
+};
+
+/**
+ * 使用授权码换取令牌
+ * @param {Object} provider - 提供方配置
+ * @param {Object} params - 参数
+ * @param {string} params.code - 授权码
+ * @param {string} params.codeVerifier - PKCE verifier
+ * @returns {Promise<Object>} 令牌响应
+ * @throws {OidcRejectedError} 身份提供方以 invalid_grant 拒绝授权码
+ */
+const exchangeCode = async (provider, { code, codeVerifier }) => {
+  const metadata = await discover(provider.issuer);
+  const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+  if (provider.clientSecret) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+  }
+
+  try {
+    return await fetchJson(metadata.token_endpoint, {
+      method: "POST",
+      headers,
+      body: new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: provider.redirectUri,
+        client_id: provider.clientId,
+        code_verifier: codeVerifier,
+      }).toString(),
+    });
+  } catch (error) {
+    if (error.oauthError === "invalid_grant") {
+      throw new OidcRejectedError(error.message, { cause: error });
+    }
+    throw error;
+  }
+};
+
+/**
+ * 校验ID令牌的签名、签发者、受众、有效期和nonce
+ * @param {Object} provider - 提供方配置
+ * @param {string} idToken - ID令牌
+ * @param {string} nonce - 授权请求时生成的nonce
+ * @returns {Promise<Object>} ID令牌声明
+ * @throws {OidcRejectedError} ID令牌未通过校验
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const metadata = await discover(provider.issuer);
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !ALLOWED_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new OidcRejectedError("ID令牌格式或签名算法不受支持");
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ALLOWED_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: provider.clientId,
+    });
+  } catch (error) {
+    throw new OidcRejectedError(`ID令牌校验失败: ${error.message}`, { cause: error });
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OidcRejectedError("ID令牌nonce不匹配");
+  }
+  if (!claims.sub) {
+    throw new OidcRejectedError("ID令牌缺少sub");
+  }
+  return claims;
+};
+
+/**
+ * 完成授权码流程：换取令牌并校验ID令牌
+ * @param {Object} provider - 提供方配置
+ * @param {Object} params - 参数
+ * @param {string} params.code - 授权码
+ * @param {string} params.codeVerifier - PKCE verifier
+ * @param {string} params.nonce - 授权请求时生成的nonce
+ * @returns {Promise<Object>} ID令牌声明
+ * @throws {OidcRejectedError} 授权码被拒绝或ID令牌未通过校验
+ */
+const authenticateWithCode = async (provider, { code, codeVerifier, nonce }) => {
+  const tokens = await exchangeCode(provider, { code, codeVerifier });
+  if (!tokens.id_token) {
+    throw new Error("令牌响应缺少id_token");
+  }
+  return await verifyIdToken(provider, tokens.id_token, nonce);
+};
+
+/**
+ * 清空发现文档和公钥缓存
+ */
+const clearOidcCache = () => {
+  discoveryCache.clear();
+  jwksCache.clear();
+};
+
+export {
+  OidcRejectedError,
+  discover,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  authenticateWithCode,
+  clearOidcCache,
+};
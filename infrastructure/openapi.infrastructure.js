@@ -0,0 +1,130 @@
+/**
+ * OpenAPI 文档生成
+ * 遍历路由，从 validate() 挂在中间件上的请求结构生成 OpenAPI 3.0 文档，
+ * 接口文档与实际执行的校验使用同一份声明，不会各自维护后逐渐不一致
+ */
+
+const OPENAPI_VERSION = "3.0.3";
+
+/**
+ * 把请求结构转换为 OpenAPI 的 Schema Object
+ * 去掉自定义校验，对象和数组的子结构递归转换
+ * @param {Object} schema - 请求结构
+ * @returns {Object} Schema Object
+ */
+const toOpenApiSchema = (schema) => {
+  const result = {};
+
+  for (const [key, value] of Object.entries(schema)) {
+    // check 是只在服务端执行的自定义校验，无法用 OpenAPI 表达
+    if (key === "check") {
+      continue;
+    }
+    if (key === "properties") {
+      result.properties = Object.fromEntries(
+        Object.entries(value).map(([name, property]) => [name, toOpenApiSchema(property)])
+      );
+    } else if (key === "items") {
+      result.items = toOpenApiSchema(value);
+    } else if (key === "required") {
+      if (value.length > 0) {
+        result.required = [...value];
+      }
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 把路径参数或查询参数的结构展开为 Parameter Object 列表
+ * @param {Object} schema - object 类型的请求结构
+ * @param {string} location - path 或 query
+ * @returns {Array<Object>} Parameter Object 列表
+ */
+const toParameters = (schema, location) =>
+  Object.entries(schema.properties || {}).map(([name, property]) => {
+    const { description, ...rest } = toOpenApiSchema(property);
+    return {
+      name,
+      in: location,
+      required: location === "path" || (schema.required || []).includes(name),
+      ...(description ? { description } : {}),
+      schema: rest,
+    };
+  });
+
+/**
+ * 把 Koa 路由路径转换为 OpenAPI 路径，例如 /api/users/:id 转换为 /api/users/{id}
+ * @param {string} path - 路由路径
+ * @returns {string} OpenAPI 路径
+ */
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+/**
+ * 生成单个接口的 Operation Object
+ * @param {Object} layer - 路由层
+ * @returns {Object} Operation Object
+ */
+const buildOperation = (layer) => {
+  const handler = layer.stack[layer.stack.length - 1];
+  const validator = layer.stack.find((middleware) => middleware.schema);
+  const schema = validator ? validator.schema : {};
+  const [tag] = layer.path.replace(/^\/api\//, "").split("/");
+  const operation = {
+    ...(handler.name ? { operationId: handler.name } : {}),
+    ...(tag ? { tags: [tag] } : {}),
+    ...(schema.summary ? { summary: schema.summary } : {}),
+    ...(schema.description ? { description: schema.description } : {}),
+  };
+
+  const parameters = [
+    ...(schema.params ? toParameters(schema.params, "path") : []),
+    ...(schema.query ? toParameters(schema.query, "query") : []),
+  ];
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+  if (schema.body) {
+    operation.requestBody = {
+      required: true,
+      content: { "application/json": { schema: toOpenApiSchema(schema.body) } },
+    };
+  }
+
+  operation.responses = {
+    200: { description: "成功" },
+    ...(validator ? { 400: { description: "请求参数校验失败，details 中列出字段路径和错误信息" } } : {}),
+  };
+  return operation;
+};
+
+/**
+ * 从路由生成 OpenAPI 文档
+ * 没有声明请求结构的路由同样会出现在文档中，只是不包含参数和请求体
+ * @param {Object} router - @koa/router 实例，嵌套挂载的子路由会被展开
+ * @param {Object} info - 文档信息 { title, version, description }
+ * @returns {Object} OpenAPI 文档
+ */
+const buildOpenApiDocument = (router, info) => {
+  const paths = {};
+
+  // methods 为空的层是 router.use() 挂载的中间件，不是接口
+  for (const layer of router.stack.filter((layer) => layer.methods.length > 0)) {
+    const path = toOpenApiPath(layer.path);
+    paths[path] = paths[path] || {};
+    for (const method of layer.methods.filter((method) => method !== "HEAD")) {
+      paths[path][method.toLowerCase()] = buildOperation(layer);
+    }
+  }
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info,
+    paths,
+  };
+};
+
+export { OPENAPI_VERSION, toOpenApiSchema, buildOpenApiDocument };
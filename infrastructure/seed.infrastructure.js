@@ -0,0 +1,107 @@
+import { readdir } from "fs/promises";
+import { join } from "path";
+import { pathToFileURL } from "url";
+import { ROOT_DIR } from "../config/config.loader.js";
+import { serverConfig, seedConfig } from "../config/app.config.js";
+
+// 种子文件目录，文件名格式为 <序号>-<描述>.js，按文件名顺序执行
+const SEEDERS_DIR = join(ROOT_DIR, "seeders");
+const SEEDER_FILE_PATTERN = /^\d+-[\w-]+\.js$/;
+
+/**
+ * 加载种子文件
+ * 每个种子文件必须导出 run 和 undo 两个异步函数，参数为 { environment, config, log }，
+ * 返回本次写入或删除的数据标识列表；可选导出 environments 限定执行的运行环境。
+ * 种子必须是幂等的：重复执行时跳过已存在的数据
+ * @param {string} directory - 种子文件目录
+ * @returns {Promise<Array<Object>>} 按名称排序的种子 [{ name, environments, run, undo }]
+ */
+const loadSeeders = async (directory = SEEDERS_DIR) => {
+  const files = (await readdir(directory))
+    .filter((file) => SEEDER_FILE_PATTERN.test(file))
+    .sort();
+
+  return Promise.all(
+    files.map(async (file) => {
+      const seeder = await import(pathToFileURL(join(directory, file)).href);
+      if (typeof seeder.run !== "function" || typeof seeder.undo !== "function") {
+        throw new Error(`种子文件 ${file} 必须导出 run 和 undo 函数`);
+      }
+      return {
+        name: file.replace(/\.js$/, ""),
+        environments: seeder.environments || null,
+        run: seeder.run,
+        undo: seeder.undo,
+      };
+    })
+  );
+};
+
+/**
+ * 判断种子是否与指定名称匹配
+ * @param {Object} seeder - 种子
+ * @param {string} name - 完整名称或去掉序号的描述部分，如 01-admin 或 admin
+ * @returns {boolean} 是否匹配
+ */
+const matchesName = (seeder, name) =>
+  seeder.name === name || seeder.name.replace(/^\d+-/, "") === name;
+
+/**
+ * 筛选当前环境需要处理的种子
+ * @param {Array<Object>} seeders - 全部种子
+ * @param {string} environment - 运行环境
+ * @param {Array<string>} only - 只处理指定的种子，为空时处理全部
+ * @returns {Array<Object>} 需要处理的种子
+ */
+const selectSeeders = (seeders, environment, only = []) => {
+  const unknown = only.filter((name) => !seeders.some((seeder) => matchesName(seeder, name)));
+  if (unknown.length > 0) {
+    throw new Error(`种子不存在: ${unknown.join(", ")}`);
+  }
+
+  return seeders.filter(
+    (seeder) =>
+      (only.length === 0 || only.some((name) => matchesName(seeder, name))) &&
+      (!seeder.environments || seeder.environments.includes(environment))
+  );
+};
+
+/**
+ * 按顺序执行种子
+ * @param {Object} options - 选项
+ * @param {string} options.directory - 种子文件目录
+ * @param {string} options.environment - 运行环境，默认为当前环境
+ * @param {Array<string>} options.only - 只执行指定的种子
+ * @param {Function} options.log - 种子输出信息（如生成的初始密码）使用的函数
+ * @returns {Promise<Array<Object>>} 执行结果 [{ name, created }]
+ */
+const runSeeders = async ({ directory, environment = serverConfig.env, only, log = console.log } = {}) => {
+  const seeders = selectSeeders(await loadSeeders(directory), environment, only);
+  const results = [];
+
+  for (const seeder of seeders) {
+    const created = await seeder.run({ environment, config: seedConfig, log });
+    results.push({ name: seeder.name, created: created || [] });
+  }
+
+  return results;
+};
+
+/**
+ * 按相反顺序撤销种子写入的数据
+ * @param {Object} options - 选项，同 runSeeders
+ * @returns {Promise<Array<Object>>} 撤销结果 [{ name, removed }]
+ */
+const undoSeeders = async ({ directory, environment = serverConfig.env, only, log = console.log } = {}) => {
+  const seeders = selectSeeders(await loadSeeders(directory), environment, only).reverse();
+  const results = [];
+
+  for (const seeder of seeders) {
+    const removed = await seeder.undo({ environment, config: seedConfig, log });
+    results.push({ name: seeder.name, removed: removed || [] });
+  }
+
+  return results;
+};
+
+export { SEEDERS_DIR, loadSeeders, runSeeders, undoSeeders };
@@ -0,0 +1,110 @@
+import { createServer } from "http";
+import { serverConfig } from "../config/app.config.js";
+
+// 进程是否已开始优雅关闭，就绪探针据此返回不可用
+let shuttingDown = false;
+
+// 每个服务器正在处理的请求的响应对象
+const activeResponses = new WeakMap();
+
+/**
+ * 是否已开始优雅关闭
+ * @returns {boolean} 开始关闭后为 true
+ */
+const isShuttingDown = () => shuttingDown;
+
+/**
+ * 通知客户端响应后断开连接，避免客户端在即将关闭的 keep-alive 连接上继续发送请求
+ * @param {Object} res - 响应对象
+ */
+const closeAfterResponse = (res) => {
+  if (!res.headersSent) {
+    res.setHeader("Connection", "close");
+  }
+};
+
+/**
+ * 记录服务器正在处理的请求
+ * 关闭期间进行中和新到达（复用已有连接）的请求响应后断开连接，
+ * 每个请求结束后立即关闭已空闲的连接，不等待 keep-alive 超时
+ * @param {Object} server - HTTP服务器
+ */
+const trackRequests = (server) => {
+  const responses = new Set();
+  activeResponses.set(server, responses);
+
+  server.on("request", (req, res) => {
+    responses.add(res);
+    if (shuttingDown) {
+      closeAfterResponse(res);
+    }
+
+    res.on("close", () => {
+      responses.delete(res);
+      if (shuttingDown) {
+        server.closeIdleConnections();
+      }
+    });
+  });
+};
+
+/**
+ * 启动HTTP服务器
+ * @param {Object} app - Koa应用实例
+ * @param {Object} options - 选项
+ * @param {number} options.port - 监听端口，0 表示随机端口
+ * @param {string} options.host - 监听地址
+ * @returns {Promise<Object>} 开始监听的HTTP服务器
+ */
+const startHttpServer = (app, { port = serverConfig.port, host = serverConfig.host } = {}) =>
+  new Promise((resolve, reject) => {
+    const server = createServer(app.callback());
+    trackRequests(server);
+
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+
+/**
+ * 获取服务器正在处理的请求数
+ * @param {Object} server - HTTP服务器
+ * @returns {number} 请求数
+ */
+const getActiveRequestCount = (server) => (activeResponses.get(server) || new Set()).size;
+
+/**
+ * 优雅关闭HTTP服务器
+ * 依次：停止接受新连接并使就绪探针失败、关闭空闲的 keep-alive 连接、等待进行中的请求完成；
+ * 超过等待时间仍未完成时强制断开所有连接
+ * @param {Object} server - HTTP服务器
+ * @param {Object} options - 选项
+ * @param {number} options.timeout - 等待进行中请求完成的最长时间（毫秒）
+ * @returns {Promise<Object>} 关闭结果 { drained, aborted }，aborted 为被强制中断的请求数
+ */
+const stopHttpServer = (server, { timeout = serverConfig.shutdownTimeout } = {}) => {
+  shuttingDown = true;
+  (activeResponses.get(server) || []).forEach(closeAfterResponse);
+
+  return new Promise((resolve, reject) => {
+    let aborted = 0;
+    const timer = setTimeout(() => {
+      aborted = getActiveRequestCount(server);
+      server.closeAllConnections();
+    }, timeout);
+
+    server.close((error) => {
+      clearTimeout(timer);
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve({ drained: aborted === 0, aborted });
+    });
+    server.closeIdleConnections();
+  });
+};
+
+export { isShuttingDown, startHttpServer, stopHttpServer, getActiveRequestCount };
@@ -0,0 +1,279 @@
+/**
+ * 英文消息目录
+ * 键与 locales/zh-CN.js 一一对应，缺少的消息回退到简体中文
+ */
+
+export default {
+  common: {
+    listSeparator: ", ",
+    missingParameter: "The {name} parameter is missing",
+  },
+
+  app: {
+    welcome: "Welcome to the Koa.js API server",
+  },
+
+  errors: {
+    validationFailed: "Validation failed",
+    fieldNotWritable: "The request contains fields that cannot be written",
+    unauthorized: "Not signed in or the session has expired",
+    forbidden: "You do not have access to this resource",
+    notFound: "Resource not found",
+    conflict: "The data conflicts with existing data",
+    tooManyRequests: "Too many requests, please try again later",
+    internal: "Internal server error",
+  },
+
+  database: {
+    failed: "Database operation failed",
+    duplicateEntry: "The data already exists",
+    duplicateField: "{field} is already in use",
+    duplicateData: "Duplicate data",
+    invalidField: "{field} has an invalid format",
+    invalidData: "The data has an invalid format",
+    foreignKey: "Related data does not exist or is still referenced",
+  },
+
+  validation: {
+    required: "must not be empty",
+    type: {
+      string: "must be a string",
+      integer: "must be an integer",
+      number: "must be a number",
+      boolean: "must be a boolean",
+      array: "must be an array",
+      object: "must be an object",
+    },
+    minLength: "must be at least {min} characters long",
+    maxLength: "must be at most {max} characters long",
+    pattern: "has an invalid format",
+    format: {
+      email: "must be a valid email address",
+      date: "must be a date in YYYY-MM-DD format",
+      dateTime: "must be a valid date-time",
+      uri: "must be a valid URL",
+    },
+    minimum: "must be greater than or equal to {min}",
+    maximum: "must be less than or equal to {max}",
+    enum: "must be one of {values}",
+    minItems: "must contain at least {min} items",
+    maxItems: "must contain at most {max} items",
+    uniqueItems: "must not contain duplicate items",
+    notWritable: "this field cannot be written",
+  },
+
+  user: {
+    usernameRequired: "Username is required",
+    usernameTooShort: "Username must be at least {min} characters long",
+    usernameTooLong: "Username must be at most {max} characters long",
+    usernameInvalidChars: "Username may only contain letters, digits and underscores",
+    usernameStartsWithDigit: "Username must not start with a digit",
+    emailRequired: "Email address is required",
+    emailInvalid: "Email address is invalid",
+    emailTooLong: "Email address must be at most {max} characters long",
+    passwordRequired: "Password is required",
+    passwordTooShort: "Password must be at least {min} characters long",
+    passwordTooLong: "Password must be at most {max} characters long",
+    passwordNeedsLowercase: "Password must contain at least one lowercase letter",
+    passwordNeedsUppercase: "Password must contain at least one uppercase letter",
+    passwordNeedsDigit: "Password must contain at least one digit",
+    passwordNeedsSpecial: "Password must contain at least one special character ({chars})",
+    phoneInvalid: "Phone number is invalid",
+    fullNameTooShort: "Full name must be at least {min} characters long",
+    fullNameTooLong: "Full name must be at most {max} characters long",
+    fullNameInvalidChars: "Full name may only contain Chinese characters, letters and spaces",
+    birthDateInvalid: "Birth date is invalid",
+    birthDateInFuture: "Birth date must not be in the future",
+    ageTooLarge: "Age must not exceed {max} years",
+    genderInvalid: "Gender must be male, female or other",
+    statusInvalid: "User status is invalid",
+    avatarUrlTooLong: "Avatar URL must be at most {max} characters long",
+    avatarUrlInvalid: "Avatar URL is invalid",
+
+    notFound: "User not found",
+    notFoundDetail: "The specified user does not exist",
+    usernameTaken: "Username already exists",
+    usernameInUse: "This username is already in use",
+    usernameInUseByOther: "This username is already used by another user",
+    emailTaken: "Email already exists",
+    emailInUse: "This email address is already in use",
+    emailInUseByOther: "This email address is already used by another user",
+    currentPasswordWrong: "Current password is incorrect",
+    currentPasswordHint: "Please enter your current password correctly",
+    passwordUnchanged: "The new password must differ from the current password",
+    newPasswordRejected: "The new password does not meet the requirements",
+    passwordRecentlyUsed: "The new password must not match any of your last {limit} passwords",
+
+    created: "User created",
+    listFetched: "User list retrieved",
+    fetched: "User retrieved",
+    updated: "User updated",
+    exported: "User data exported",
+    passwordChanged: "Password changed, please sign in again",
+    deleted: "User deleted",
+    searched: "Users searched",
+    statisticsFetched: "User statistics retrieved",
+  },
+
+  auth: {
+    invalidCredentials: "Incorrect username or password",
+    invalidCredentialsDetail: "Invalid credentials",
+    tooManyAttempts: "Too many sign-in attempts, please try again later",
+    retryAfter: "Please try again in {seconds} seconds",
+    accountDisabled: "The account has been disabled",
+    accountDisabledDetail: "The account is not active, please contact an administrator",
+    mfaRequired: "Please enter your two-factor authentication code",
+    loginSucceeded: "Signed in",
+
+    accessTokenInvalid: "The access token is invalid or has expired",
+    reloginOrRefresh: "Please sign in again or refresh the token",
+    tokenTypeInvalid: "Wrong token type",
+    sessionExpired: "The session has ended, please sign in again",
+    tokenUserNotFound: "The user of this token does not exist",
+    tokenVerified: "Token verified",
+    missingAccessToken: "A valid access token is required",
+
+    refreshTokenRequired: "Refresh token is required",
+    refreshTokenInvalid: "The refresh token is invalid",
+    refreshTokenNotFound: "The refresh token does not exist",
+    refreshTokenReused: "The refresh token has already been used, all related sessions have been ended",
+    refreshTokenExpired: "The refresh token has expired",
+    relogin: "Please sign in again",
+    tokenRefreshed: "Token refreshed",
+    loggedOut: "Signed out",
+
+    apiKeyNotAllowed: "This operation cannot be performed with an API key",
+    useAccessToken: "Please use the access token issued at sign-in",
+    selfOnly: "You can only operate on your own account",
+    permissionDenied: "Permission denied",
+    missingPermission: "Missing permission {permission}",
+  },
+
+  session: {
+    listFetched: "Sessions retrieved",
+    notFound: "Session not found",
+    notFoundDetail: "The specified session does not exist or has ended",
+    revoked: "Session revoked",
+    allRevoked: "Signed out of all devices",
+  },
+
+  loginHistory: {
+    fetched: "Sign-in history retrieved",
+  },
+
+  loginThrottle: {
+    unlocked: "Account unlocked",
+    notLocked: "The account is not locked",
+  },
+
+  twoFactor: {
+    alreadyEnabled: "Two-factor authentication is already enabled",
+    noRebind: "Do not set it up again",
+    noReenable: "Do not enable it again",
+    secretGenerated: "Two-factor authentication secret generated",
+    setupRequired: "Please generate a two-factor authentication secret first",
+    pendingSecretNotFound: "No secret is waiting to be enabled",
+    codeInvalid: "Incorrect code",
+    enterCurrentCode: "Please enter the 6-digit code currently shown in your authenticator app",
+    codeOrRecoveryCodeInvalid: "The code or recovery code is invalid",
+    enabled: "Two-factor authentication enabled",
+    challengeInvalid: "The sign-in challenge is invalid or has expired",
+  },
+
+  oidc: {
+    providerUnsupported: "Unsupported identity provider",
+    providerUnavailable: "The identity provider does not exist or is not enabled",
+    stateInvalid: "The authorization request is invalid or has expired",
+    restartAuthorization: "Please start the third-party authorization again",
+    providersFetched: "Identity providers retrieved",
+    authorizationCreated: "Authorization request created",
+    callbackIncomplete: "Incomplete authorization parameters",
+    callbackParamsMissing: "The code or state parameter is missing",
+    authorizationRejected: "Third-party authorization failed: the authorization code is invalid or has expired",
+    identityNotLinked: "This third-party account is not linked yet",
+    linkFromSettings: "Sign in with your username and password and link it in your account settings",
+    providerAlreadyLinked: "This identity provider is already linked",
+    unlinkFirst: "Please unlink it before linking again",
+    identityAlreadyLinked: "This third-party account is already linked",
+    identityLinkedToOther: "This third-party account is linked to another user",
+    identitySingleOwner: "A third-party account can only be linked to one user",
+    linked: "Third-party account linked",
+    identitiesFetched: "Linked third-party accounts retrieved",
+    providerNotLinked: "This identity provider is not linked",
+    identityNotFound: "The specified third-party account link does not exist",
+    unlinked: "Third-party account unlinked",
+  },
+
+  apiKey: {
+    invalid: "The API key is invalid or has expired",
+    checkHeader: "Please check the X-API-Key header",
+    nameRequired: "Key name is required",
+    nameTooLong: "Key name must be at most {max} characters long",
+    scopesInvalid: "scopes must be an array of permission names",
+    unknownScope: "Unknown permission {scope}",
+    scopeNotHeld: "Cannot grant permission {scope} that you do not have",
+    expiresInDaysInvalid: "Days until expiry must be an integer between 1 and {max}",
+    limitReached: "API key limit reached",
+    limitDetail: "Each user can hold at most {max} active keys",
+    created: "API key created. Store it safely, it is only shown once",
+    listFetched: "API keys retrieved",
+    notFound: "API key not found",
+    notFoundDetail: "The specified key does not exist or has been revoked",
+    revoked: "API key revoked",
+    verified: "API key verified",
+  },
+
+  passwordReset: {
+    emailRequired: "Email is required",
+    requested: "If the email is registered, a password reset email will arrive shortly",
+    tokenRequired: "Reset token is required",
+    linkInvalid: "The reset link is invalid",
+    linkNotFound: "The reset link does not exist or has already been used",
+    linkExpired: "The reset link has expired",
+    requestAgain: "Please request a new password reset",
+    accountChanged: "The account status has changed, please request a new password reset",
+    succeededRelogin: "Password reset, please sign in with your new password",
+  },
+
+  emailVerification: {
+    sent: "Verification email sent",
+    alreadyVerified: "Email already verified",
+    alreadyVerifiedDetail: "This email address has already been verified",
+    tokenRequired: "Verification token is required",
+    linkInvalid: "The verification link is invalid",
+    linkNotFound: "The verification link does not exist or has already been used",
+    linkExpired: "The verification link has expired",
+    requestAgain: "Please request a new verification email",
+    emailChanged: "The email address has changed, please request a new verification email",
+    succeeded: "Email verified",
+  },
+
+  role: {
+    listFetched: "Roles retrieved",
+    userRolesFetched: "User roles retrieved",
+    nameRequired: "Role name is required",
+    notFound: "Role not found",
+    notFoundDetail: "Role {role} does not exist",
+    alreadyAssigned: "The user already has this role",
+    alreadyAssignedDetail: "The user already has role {role}",
+    assigned: "Role assigned",
+    notAssigned: "The user does not have this role",
+    notAssignedDetail: "The user does not have role {role}",
+    lastAdmin: "Cannot revoke the last administrator",
+    lastAdminDetail: "At least one administrator must remain",
+    revoked: "Role revoked",
+  },
+
+  mail: {
+    emailVerification: {
+      subject: "Please verify your email address",
+      text: "Hello {username}, please open the following link within {hours} hours to verify your email address:\n{link}",
+      html: '<p>Hello {username},</p><p>Please click the following link within {hours} hours to verify your email address:</p><p><a href="{link}">{link}</a></p>',
+    },
+    passwordReset: {
+      subject: "Reset your password",
+      text: "Hello {username}, we received a request to reset your password. Open the following link within {minutes} minutes to set a new password:\n{link}\nIf you did not make this request, please ignore this email.",
+      html: '<p>Hello {username},</p><p>We received a request to reset your password. Click the following link within {minutes} minutes to set a new password:</p><p><a href="{link}">{link}</a></p><p>If you did not make this request, please ignore this email.</p>',
+    },
+  },
+};
@@ -0,0 +1,283 @@
+/**
+ * 简体中文消息目录
+ * 默认语言，其他语言缺少的消息回退到这里。新增消息时同步更新 locales/ 下的其他目录，
+ * 插值参数写作 {name}，数组参数按 common.listSeparator 拼接
+ */
+
+export default {
+  common: {
+    listSeparator: "、",
+    missingParameter: "缺少{name}参数",
+  },
+
+  app: {
+    welcome: "欢迎使用 Koa.js API 服务器",
+  },
+
+  // 错误类型的默认文案
+  errors: {
+    validationFailed: "数据验证失败",
+    fieldNotWritable: "包含不允许写入的字段",
+    unauthorized: "未登录或登录已失效",
+    forbidden: "无权访问该资源",
+    notFound: "资源不存在",
+    conflict: "数据冲突",
+    tooManyRequests: "请求过于频繁，请稍后重试",
+    internal: "服务器内部错误",
+  },
+
+  database: {
+    failed: "数据库操作失败",
+    duplicateEntry: "数据已存在",
+    duplicateField: "{field}已被使用",
+    duplicateData: "存在重复的数据",
+    invalidField: "{field}格式不正确",
+    invalidData: "数据格式不正确",
+    foreignKey: "关联数据不存在或仍被引用",
+  },
+
+  // 请求结构校验，details 中已经带有字段路径，文案不再重复字段名
+  validation: {
+    required: "不能为空",
+    type: {
+      string: "必须是字符串",
+      integer: "必须是整数",
+      number: "必须是数字",
+      boolean: "必须是布尔值",
+      array: "必须是数组",
+      object: "必须是对象",
+    },
+    minLength: "长度不能少于 {min} 个字符",
+    maxLength: "长度不能超过 {max} 个字符",
+    pattern: "格式不正确",
+    format: {
+      email: "必须是有效的邮箱地址",
+      date: "必须是 YYYY-MM-DD 格式的日期",
+      dateTime: "必须是有效的时间",
+      uri: "必须是有效的URL",
+    },
+    minimum: "不能小于 {min}",
+    maximum: "不能大于 {max}",
+    enum: "必须是 {values} 之一",
+    minItems: "至少包含 {min} 项",
+    maxItems: "最多包含 {max} 项",
+    uniqueItems: "不能包含重复项",
+    notWritable: "该字段不允许写入",
+  },
+
+  user: {
+    usernameRequired: "用户名不能为空",
+    usernameTooShort: "用户名长度不能少于{min}个字符",
+    usernameTooLong: "用户名长度不能超过{max}个字符",
+    usernameInvalidChars: "用户名只能包含字母、数字和下划线",
+    usernameStartsWithDigit: "用户名不能以数字开头",
+    emailRequired: "邮箱地址不能为空",
+    emailInvalid: "邮箱地址格式不正确",
+    emailTooLong: "邮箱地址长度不能超过{max}个字符",
+    passwordRequired: "密码不能为空",
+    passwordTooShort: "密码长度不能少于{min}个字符",
+    passwordTooLong: "密码长度不能超过{max}个字符",
+    passwordNeedsLowercase: "密码必须包含至少一个小写字母",
+    passwordNeedsUppercase: "密码必须包含至少一个大写字母",
+    passwordNeedsDigit: "密码必须包含至少一个数字",
+    passwordNeedsSpecial: "密码必须包含至少一个特殊字符({chars})",
+    phoneInvalid: "手机号格式不正确",
+    fullNameTooShort: "真实姓名长度不能少于{min}个字符",
+    fullNameTooLong: "真实姓名长度不能超过{max}个字符",
+    fullNameInvalidChars: "真实姓名只能包含中文、英文字母和空格",
+    birthDateInvalid: "生日格式不正确",
+    birthDateInFuture: "生日不能是未来日期",
+    ageTooLarge: "年龄不能超过{max}岁",
+    genderInvalid: "性别值不正确，只能是 male、female 或 other",
+    statusInvalid: "用户状态值不正确",
+    avatarUrlTooLong: "头像URL长度不能超过{max}个字符",
+    avatarUrlInvalid: "头像URL格式不正确",
+
+    notFound: "用户不存在",
+    notFoundDetail: "指定的用户不存在",
+    usernameTaken: "用户名已存在",
+    usernameInUse: "用户名已被使用",
+    usernameInUseByOther: "用户名已被其他用户使用",
+    emailTaken: "邮箱已存在",
+    emailInUse: "邮箱地址已被使用",
+    emailInUseByOther: "邮箱地址已被其他用户使用",
+    currentPasswordWrong: "当前密码错误",
+    currentPasswordHint: "请输入正确的当前密码",
+    passwordUnchanged: "新密码不能与当前密码相同",
+    newPasswordRejected: "新密码不符合要求",
+    passwordRecentlyUsed: "新密码不能与最近使用过的{limit}个密码相同",
+
+    created: "用户创建成功",
+    listFetched: "获取用户列表成功",
+    fetched: "获取用户信息成功",
+    updated: "用户信息更新成功",
+    exported: "导出用户数据成功",
+    passwordChanged: "密码修改成功，请重新登录",
+    deleted: "用户删除成功",
+    searched: "搜索用户成功",
+    statisticsFetched: "获取用户统计信息成功",
+  },
+
+  auth: {
+    invalidCredentials: "用户名或密码错误",
+    invalidCredentialsDetail: "登录凭据无效",
+    tooManyAttempts: "登录尝试次数过多，请稍后再试",
+    retryAfter: "请在{seconds}秒后重试",
+    accountDisabled: "账户已被禁用",
+    accountDisabledDetail: "账户状态异常，请联系管理员",
+    mfaRequired: "请输入双因素认证验证码",
+    loginSucceeded: "登录成功",
+
+    accessTokenInvalid: "访问令牌无效或已过期",
+    reloginOrRefresh: "请重新登录或刷新令牌",
+    tokenTypeInvalid: "令牌类型不正确",
+    sessionExpired: "登录会话已失效，请重新登录",
+    tokenUserNotFound: "令牌对应的用户不存在",
+    tokenVerified: "令牌校验成功",
+    missingAccessToken: "缺少有效的访问令牌",
+
+    refreshTokenRequired: "刷新令牌不能为空",
+    refreshTokenInvalid: "刷新令牌无效",
+    refreshTokenNotFound: "刷新令牌不存在",
+    refreshTokenReused: "刷新令牌已被使用，相关会话已全部失效",
+    refreshTokenExpired: "刷新令牌已过期",
+    relogin: "请重新登录",
+    tokenRefreshed: "令牌刷新成功",
+    loggedOut: "退出登录成功",
+
+    apiKeyNotAllowed: "该操作不支持API密钥",
+    useAccessToken: "请使用登录后的访问令牌",
+    selfOnly: "只能操作自己的账户",
+    permissionDenied: "权限不足",
+    missingPermission: "缺少权限 {permission}",
+  },
+
+  session: {
+    listFetched: "获取会话列表成功",
+    notFound: "会话不存在",
+    notFoundDetail: "指定的会话不存在或已失效",
+    revoked: "会话已注销",
+    allRevoked: "已退出所有设备",
+  },
+
+  loginHistory: {
+    fetched: "获取登录记录成功",
+  },
+
+  loginThrottle: {
+    unlocked: "账户已解除锁定",
+    notLocked: "账户未被锁定",
+  },
+
+  twoFactor: {
+    alreadyEnabled: "双因素认证已启用",
+    noRebind: "请勿重复绑定",
+    noReenable: "请勿重复启用",
+    secretGenerated: "双因素认证密钥已生成",
+    setupRequired: "请先生成双因素认证密钥",
+    pendingSecretNotFound: "未找到待启用的密钥",
+    codeInvalid: "验证码错误",
+    enterCurrentCode: "请输入身份验证器中当前显示的6位验证码",
+    codeOrRecoveryCodeInvalid: "验证码或恢复码无效",
+    enabled: "双因素认证已启用",
+    challengeInvalid: "登录挑战无效或已过期",
+  },
+
+  oidc: {
+    providerUnsupported: "不支持的身份提供方",
+    providerUnavailable: "身份提供方不存在或未启用",
+    stateInvalid: "授权请求无效或已过期",
+    restartAuthorization: "请重新发起第三方授权",
+    providersFetched: "获取身份提供方成功",
+    authorizationCreated: "授权请求已创建",
+    callbackIncomplete: "授权参数不完整",
+    callbackParamsMissing: "缺少code或state参数",
+    authorizationRejected: "第三方授权失败，授权码无效或已过期",
+    identityNotLinked: "该第三方账号尚未绑定",
+    linkFromSettings: "请使用账号密码登录后在账户设置中绑定",
+    providerAlreadyLinked: "已绑定该身份提供方",
+    unlinkFirst: "请先解除绑定后再重新绑定",
+    identityAlreadyLinked: "已绑定该第三方账号",
+    identityLinkedToOther: "该第三方账号已绑定其他用户",
+    identitySingleOwner: "同一第三方账号只能绑定一个用户",
+    linked: "第三方账号绑定成功",
+    identitiesFetched: "获取第三方账号绑定成功",
+    providerNotLinked: "未绑定该身份提供方",
+    identityNotFound: "指定的第三方账号绑定不存在",
+    unlinked: "已解除第三方账号绑定",
+  },
+
+  apiKey: {
+    invalid: "API密钥无效或已过期",
+    checkHeader: "请检查X-API-Key请求头",
+    nameRequired: "密钥名称不能为空",
+    nameTooLong: "密钥名称不能超过{max}个字符",
+    scopesInvalid: "scopes必须是权限名数组",
+    unknownScope: "未知的权限 {scope}",
+    scopeNotHeld: "不能授予自己没有的权限 {scope}",
+    expiresInDaysInvalid: "有效天数必须是1-{max}之间的整数",
+    limitReached: "API密钥数量已达上限",
+    limitDetail: "每个用户最多持有{max}个有效密钥",
+    created: "API密钥创建成功，请妥善保存，密钥只显示一次",
+    listFetched: "获取API密钥列表成功",
+    notFound: "API密钥不存在",
+    notFoundDetail: "指定的密钥不存在或已被吊销",
+    revoked: "API密钥已吊销",
+    verified: "API密钥校验成功",
+  },
+
+  passwordReset: {
+    emailRequired: "邮箱不能为空",
+    requested: "如果该邮箱已注册，重置密码邮件将很快送达",
+    tokenRequired: "重置令牌不能为空",
+    linkInvalid: "重置链接无效",
+    linkNotFound: "重置链接不存在或已被使用",
+    linkExpired: "重置链接已过期",
+    requestAgain: "请重新申请重置密码",
+    accountChanged: "账户状态已变更，请重新申请重置密码",
+    succeededRelogin: "密码重置成功，请使用新密码登录",
+  },
+
+  emailVerification: {
+    sent: "验证邮件已发送",
+    alreadyVerified: "邮箱已验证",
+    alreadyVerifiedDetail: "邮箱已经验证过了",
+    tokenRequired: "验证令牌不能为空",
+    linkInvalid: "验证链接无效",
+    linkNotFound: "验证链接不存在或已被使用",
+    linkExpired: "验证链接已过期",
+    requestAgain: "请重新申请验证邮件",
+    emailChanged: "邮箱地址已变更，请重新申请验证邮件",
+    succeeded: "邮箱验证成功",
+  },
+
+  role: {
+    listFetched: "获取角色列表成功",
+    userRolesFetched: "获取用户角色成功",
+    nameRequired: "角色名不能为空",
+    notFound: "角色不存在",
+    notFoundDetail: "角色 {role} 不存在",
+    alreadyAssigned: "用户已拥有该角色",
+    alreadyAssignedDetail: "用户已拥有角色 {role}",
+    assigned: "角色授予成功",
+    notAssigned: "用户未拥有该角色",
+    notAssignedDetail: "用户未拥有角色 {role}",
+    lastAdmin: "无法撤销最后一个管理员",
+    lastAdminDetail: "系统中至少需要保留一个管理员",
+    revoked: "角色撤销成功",
+  },
+
+  // 邮件内容，html 中的插值参数不做转义，只能传入系统生成或已校验格式的值
+  mail: {
+    emailVerification: {
+      subject: "请验证您的邮箱地址",
+      text: "您好 {username}，请在{hours}小时内访问以下链接完成邮箱验证：\n{link}",
+      html: '<p>您好 {username}，</p><p>请在{hours}小时内点击以下链接完成邮箱验证：</p><p><a href="{link}">{link}</a></p>',
+    },
+    passwordReset: {
+      subject: "重置您的密码",
+      text: "您好 {username}，我们收到了重置密码的请求。请在{minutes}分钟内访问以下链接设置新密码：\n{link}\n如果这不是您本人的操作，请忽略此邮件。",
+      html: '<p>您好 {username}，</p><p>我们收到了重置密码的请求。请在{minutes}分钟内点击以下链接设置新密码：</p><p><a href="{link}">{link}</a></p><p>如果这不是您本人的操作，请忽略此邮件。</p>',
+    },
+  },
+};
@@ -0,0 +1,183 @@
+/**
+ * 认证中间件
+ * 全局解析Bearer访问令牌或X-API-Key并加载当前用户，路由通过authorize/requirePermission声明访问级别
+ */
+
+import authService from '../models/auth/auth.service.js';
+import apiKeyService from '../models/auth/api-key.service.js';
+import roleService from '../models/role/role.service.js';
+import { UnauthorizedError, ForbiddenError, toDetails } from '../errors/app.error.js';
+
+/**
+ * 路由访问级别
+ * - PUBLIC: 允许匿名访问
+ * - AUTHENTICATED: 需要有效的访问令牌
+ * - SELF: 需要有效的访问令牌，且只能操作自己的资源
+ */
+export const ACCESS_LEVELS = Object.freeze({
+  PUBLIC: 'public',
+  AUTHENTICATED: 'authenticated',
+  SELF: 'self'
+});
+
+/**
+ * 从Authorization头中提取Bearer令牌
+ * @param {Object} ctx - Koa上下文对象
+ * @returns {string|null} 令牌字符串或null
+ */
+const extractBearerToken = (ctx) => {
+  const authorization = ctx.request.header.authorization;
+  if (!authorization) {
+    return null;
+  }
+
+  const [scheme, token] = authorization.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+/**
+ * 全局认证中间件
+ * 仅负责识别身份：令牌有效时将用户写入ctx.state.user、所属会话ID写入ctx.state.sessionId，失败时将错误写入ctx.state.authError，
+ * 是否拒绝请求由路由上的authorize决定，因此公开路由不受过期令牌影响。
+ * 没有Bearer令牌时尝试X-API-Key，成功后密钥信息写入ctx.state.apiKey
+ * @param {Object} ctx - Koa上下文对象
+ * @param {Function} next - 下一个中间件函数
+ */
+export const authenticate = async (ctx, next) => {
+  const token = extractBearerToken(ctx);
+  const apiKey = token ? null : ctx.request.header['x-api-key'];
+
+  if (token || apiKey) {
+    const result = token
+      ? await authService.resolveAccessToken(token)
+      : await apiKeyService.authenticate(apiKey);
+
+    if (!result.success) {
+      ctx.state.authError = new UnauthorizedError(result.message, {
+        code: token ? 'INVALID_TOKEN' : 'INVALID_API_KEY',
+        details: toDetails(result.errors)
+      });
+    } else if (result.data.status !== 'active') {
+      ctx.state.authError = new ForbiddenError('auth.accountDisabled', {
+        code: 'ACCOUNT_DISABLED',
+        details: toDetails(['auth.accountDisabledDetail'])
+      });
+    } else if (token) {
+      ctx.state.user = result.data;
+      ctx.state.sessionId = result.sessionId;
+    } else {
+      ctx.state.user = result.data;
+      ctx.state.apiKey = { id: result.apiKey.id, scopes: result.apiKey.scopes || [] };
+    }
+  }
+
+  await next();
+};
+
+/**
+ * 校验请求已通过认证，未通过时抛出认证阶段记录的错误
+ * @param {Object} ctx - Koa上下文对象
+ * @throws {UnauthorizedError|ForbiddenError} 未认证或账户已被禁用
+ */
+const ensureAuthenticated = (ctx) => {
+  if (ctx.state.user) {
+    return;
+  }
+
+  throw ctx.state.authError || new UnauthorizedError('errors.unauthorized', {
+    details: toDetails(['auth.missingAccessToken'])
+  });
+};
+
+/**
+ * 判断当前用户是否拥有指定权限
+ * 权限在同一请求内只查询一次，缓存于ctx.state.permissions，控制器也可直接调用。
+ * 使用API密钥访问时，权限还必须在密钥的scopes之内
+ * @param {Object} ctx - Koa上下文对象
+ * @param {string} permission - 权限名，例如 users:delete
+ * @returns {Promise<boolean>} 是否拥有权限
+ */
+export const hasPermission = async (ctx, permission) => {
+  if (!ctx.state.user) {
+    return false;
+  }
+
+  if (!ctx.state.permissions) {
+    const permissions = await roleService.getUserPermissions(ctx.state.user.id);
+    ctx.state.permissions = ctx.state.apiKey
+      ? permissions.filter((name) => ctx.state.apiKey.scopes.includes(name))
+      : permissions;
+  }
+  return ctx.state.permissions.includes(permission);
+};
+
+/**
+ * 路由访问控制
+ * @param {string} level - 访问级别，取值见ACCESS_LEVELS
+ * @param {Object} options - 选项
+ * @param {string} options.param - SELF级别下用于比对用户ID的路由参数名（默认：id）
+ * @param {string} options.permission - SELF级别下允许越过本人限制的权限名（如管理员的 users:delete），
+ *   使用API密钥访问本人资源时密钥的scopes也必须包含该权限，未声明权限的SELF路由不接受API密钥
+ * @param {boolean} options.apiKey - 是否允许使用API密钥访问（默认：true），管理凭据的路由应设为false
+ * @returns {Function} Koa中间件
+ */
+export const authorize = (level = ACCESS_LEVELS.AUTHENTICATED, options = {}) => {
+  const { param = 'id', permission = null, apiKey = true } = options;
+
+  return async (ctx, next) => {
+    if (level === ACCESS_LEVELS.PUBLIC) {
+      return next();
+    }
+
+    ensureAuthenticated(ctx);
+
+    if (ctx.state.apiKey && (!apiKey || (level === ACCESS_LEVELS.SELF && !permission))) {
+      throw new ForbiddenError('auth.apiKeyNotAllowed', {
+        code: 'API_KEY_NOT_ALLOWED',
+        details: toDetails(['auth.useAccessToken'])
+      });
+    }
+
+    if (level !== ACCESS_LEVELS.SELF) {
+      return next();
+    }
+
+    if (ctx.state.user.id !== parseInt(ctx.params[param])) {
+      const permitted = permission ? await hasPermission(ctx, permission) : false;
+      if (!permitted) {
+        throw new ForbiddenError('errors.forbidden', {
+          details: toDetails(['auth.selfOnly'])
+        });
+      }
+    } else if (ctx.state.apiKey && !ctx.state.apiKey.scopes.includes(permission)) {
+      throw new ForbiddenError('auth.permissionDenied', {
+        code: 'PERMISSION_DENIED',
+        details: toDetails([{ key: 'auth.missingPermission', params: { permission } }])
+      });
+    }
+
+    return next();
+  };
+};
+
+/**
+ * 权限守卫
+ * @param {string} permission - 所需权限名，例如 users:delete
+ * @returns {Function} Koa中间件
+ */
+export const requirePermission = (permission) => {
+  return async (ctx, next) => {
+    ensureAuthenticated(ctx);
+
+    if (!(await hasPermission(ctx, permission))) {
+      throw new ForbiddenError('auth.permissionDenied', {
+        code: 'PERMISSION_DENIED',
+        details: toDetails([{ key: 'auth.missingPermission', params: { permission } }])
+      });
+    }
+
+    return next();
+  };
+};
+
+export default authenticate;
@@ -1,19 +1,91 @@
+import { STATUS_CODES } from 'http';
+import { AppError } from '../errors/app.error.js';
+import { isDatabaseError, translateDatabaseError } from '../errors/database.error.js';
+import { serverConfig } from '../config/app.config.js';
+import { logger } from '../infrastructure/logger.infrastructure.js';
+import { localizeResponse } from './i18n.middleware.js';
+
+/**
+ * 根据HTTP状态码推导错误码，例如 413 -> PAYLOAD_TOO_LARGE
+ * @param {number} status - HTTP状态码
+ * @returns {string} 错误码
+ */
+const codeForStatus = (status) => {
+    if (status >= 500 || !STATUS_CODES[status]) {
+        return 'INTERNAL_ERROR';
+    }
+    return STATUS_CODES[status].toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+};
+
+/**
+ * 获取待翻译的错误信息
+ * @param {Error} err - 错误对象
+ * @returns {string|Object} 应用错误返回消息键 { key, params }，其他错误返回原始错误信息
+ */
+const errorMessage = (err) => {
+    if (err instanceof AppError && err.messageKey) {
+        return { key: err.messageKey, params: err.messageParams };
+    }
+    return (err && err.message) || 'Internal Server Error';
+};
+
+/**
+ * 构造开发环境下附带的调试信息
+ * @param {Error} err - 错误对象
+ * @returns {Object} 调试信息 { name, message, stack, cause }
+ */
+const buildDebugInfo = (err) => ({
+    name: err.name,
+    message: err.message,
+    stack: err.stack,
+    cause: err.cause ? { name: err.cause.name, message: err.cause.message } : null,
+});
+
+/**
+ * 全局错误处理中间件
+ * 所有错误都渲染为统一结构：{ success, code, message, messageKey, errors, details, requestId }，
+ * 其中details为字段级错误 [{ field, message, messageKey }]，errors为其中的错误信息列表。
+ * 文案按请求语言翻译，messageKey 为对应的消息键，不是消息键的错误信息 messageKey 为null。
+ * 5xx错误在生产环境只返回通用提示，通过requestId与服务端日志关联；其他环境额外返回debug调试信息
+ * @param {Object} ctx - Koa上下文对象
+ * @param {Function} next - 下一个中间件函数
+ */
 export const errorHandler = async (ctx, next) => {
     try {
         // 继续执行后续中间件
         await next();
-    } catch (err) {
-        // 设置默认状态码和错误信息
-        ctx.status = (err && (err.status || err.statusCode)) || 500;
+    } catch (thrown) {
+        // 未经数据访问层转换的 Sequelize 错误在这里统一转换
+        const err = isDatabaseError(thrown) ? translateDatabaseError(thrown) : thrown;
+        const isAppError = err instanceof AppError;
+        const status = (err && (err.status || err.statusCode)) || 500;
+        const exposeInternal = serverConfig.env !== 'production';
+        const expose = status < 500 || exposeInternal;
+        const details = (expose && isAppError && err.details) || [];
+        const requestId = (ctx.state && ctx.state.requestId) || null;
+
+        ctx.status = status;
         ctx.body = {
             success: false,
-            message: (err && err.message) || 'Internal Server Error',
+            code: isAppError && expose ? err.code : codeForStatus(status),
+            message: expose ? errorMessage(err) : 'errors.internal',
+            errors: details.map((detail) => detail.message),
+            details,
+            requestId,
         };
+        if (status >= 500 && exposeInternal && err instanceof Error) {
+            ctx.body.debug = buildDebugInfo(err);
+        }
+        localizeResponse(ctx);
 
-        // 可选：记录错误日志（如接入日志系统）
-        console.error('❌ [Error Handler] Unhandled Error:', err);
+        // 4xx错误已由日志中间件按warn级别记录，这里只记录服务端错误
+        if (status >= 500) {
+            // 优先使用日志中间件创建的请求日志器，日志中带有请求ID
+            (ctx.state.logger || logger).error('未处理的错误', { error: err });
+        }
 
-        // 触发 Koa 的 error 事件（可用于全局监听）
+        // 触发 Koa 的 error 事件（可用于全局监听），标记为已处理，避免应用级监听重复记录
+        ctx.state.errorHandled = true;
         ctx.app.emit('error', err, ctx);
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,51 @@
+/**
+ * 国际化中间件
+ * 协商请求使用的语言写入 ctx.state.locale，并把响应体中以消息键表示的 message、errors、details
+ * 翻译为该语言的文案（见 infrastructure/i18n.infrastructure.js）
+ */
+
+import { negotiateLocale, localizeBody } from '../infrastructure/i18n.infrastructure.js';
+
+/**
+ * 获取请求使用的语言，同一请求内只协商一次
+ * 已登录用户在偏好设置中保存的语言优先于 Accept-Language
+ * @param {Object} ctx - Koa上下文对象
+ * @returns {string} 语言
+ */
+export const getLocale = (ctx) => {
+  if (!ctx.state.locale) {
+    ctx.state.locale = negotiateLocale(ctx.get('Accept-Language'), ctx.state.user);
+  }
+  return ctx.state.locale;
+};
+
+/**
+ * 按请求语言翻译响应体，并通过 Content-Language 声明响应语言
+ * 错误处理中间件渲染错误响应后同样调用
+ * @param {Object} ctx - Koa上下文对象
+ */
+export const localizeResponse = (ctx) => {
+  const locale = getLocale(ctx);
+  const body = localizeBody(ctx.body, locale);
+
+  ctx.set('Content-Language', locale);
+  ctx.vary('Accept-Language');
+  // 没有响应体时不能重新赋值，否则 Koa 会把状态码改为204
+  if (body !== ctx.body) {
+    ctx.body = body;
+  }
+};
+
+/**
+ * 国际化中间件
+ * 需要注册在认证中间件之后，才能使用当前用户的语言偏好
+ * @param {Object} ctx - Koa上下文对象
+ * @param {Function} next - 下一个中间件函数
+ */
+export const i18n = async (ctx, next) => {
+  getLocale(ctx);
+  await next();
+  localizeResponse(ctx);
+};
+
+export default i18n;
@@ -7,6 +7,8 @@ import bodyParser from "koa-bodyparser";
 import cors from "@koa/cors";
 import serve from "koa-static";
 import logger from "./logger.middleware.js";
+import authenticate from "./auth.middleware.js";
+import i18n from "./i18n.middleware.js";
 import { errorHandler } from "./error.middleware.js";
 import {
     bodyParserConfig,
@@ -31,8 +33,14 @@ const setupMiddleware = (app) => {
     // 静态文件服务中间件
     app.use(serve(staticConfig.root, staticConfig.opts));
 
-    // 请求体解析中间件
-    app.use(bodyParser(bodyParserConfig));
+    // 请求体解析中间件（koa-bodyparser 会改写传入的选项，配置对象是冻结的，需要传入副本）
+    app.use(bodyParser({ ...bodyParserConfig }));
+
+    // 认证中间件（解析访问令牌，路由级权限由authorize声明）
+    app.use(authenticate);
+
+    // 国际化中间件（按用户偏好或 Accept-Language 翻译响应中的消息键，需要在认证之后）
+    app.use(i18n);
 };
 
 export default setupMiddleware;
@@ -1,9 +1,12 @@
 /**
  * 日志中间件
- * 记录请求方法、URL、响应时间、状态码、时间戳和请求ID
- * 使用结构化JSON格式输出
+ * 请求结束时记录一条包含方法、路径、状态码、耗时和请求ID的结构化日志（见 infrastructure/logger.infrastructure.js），
+ * 并把绑定了请求ID的子日志器放在 ctx.state.logger 中，供后续中间件和控制器记录同一请求的日志
  */
 
+import { AppError } from '../errors/app.error.js';
+import { logger } from '../infrastructure/logger.infrastructure.js';
+
 /**
  * 生成请求ID
  * @returns {string} 8位随机字符串
@@ -18,9 +21,9 @@ const generateRequestId = () => {
  * @returns {string} 日志级别
  */
 const getLogLevel = (status) => {
-  if (status >= 500) return 'ERROR';
-  if (status >= 400) return 'WARN';
-  return 'INFO';
+  if (status >= 500) return 'error';
+  if (status >= 400) return 'warn';
+  return 'info';
 };
 
 /**
@@ -28,55 +31,56 @@ const getLogLevel = (status) => {
  * @param {Object} ctx - Koa上下文对象
  * @param {Function} next - 下一个中间件函数
  */
-const logger = async (ctx, next) => {
+const requestLogger = async (ctx, next) => {
   const requestId = generateRequestId();
   const startTime = Date.now();
-  const startTimestamp = new Date().toISOString();
-  
-  // 将请求ID添加到上下文中，便于其他中间件使用
+  const log = logger.child({ requestId });
+
+  // 将请求ID和请求日志器添加到上下文中，便于其他中间件使用
   ctx.state.requestId = requestId;
-  
-  const { method, url, header } = ctx.request;
+  ctx.state.logger = log;
+
+  // 只记录路径，查询字符串中可能带有邮箱验证令牌等敏感参数
+  const { method, path, header } = ctx.request;
   const userAgent = header['user-agent'] || 'unknown';
-  
+
+  let failed = false;
   let error = null;
-  
+
   try {
     await next();
   } catch (err) {
+    failed = true;
     error = err;
     throw err; // 重新抛出错误，让错误处理中间件处理
   } finally {
-    const endTime = Date.now();
-    const endTimestamp = new Date().toISOString();
-    const duration = endTime - startTime;
-    const { status } = ctx.response;
-    const level = error ? 'ERROR' : getLogLevel(status);
-    
-    // 记录完整的请求日志（合并开始和结束信息）
-    const completeLog = {
-      level,
+    const duration = Date.now() - startTime;
+    // 抛出的错误此时尚未写入响应，按错误自身的状态码记录，与错误处理中间件的取值一致
+    const status = failed ? (error && (error.status || error.statusCode)) || 500 : ctx.response.status;
+    const expected = error instanceof AppError && status < 500;
+    const level = getLogLevel(status);
+
+    const fields = {
       type: 'REQUEST_COMPLETE',
-      startTimestamp,
-      endTimestamp,
-      requestId,
       method,
-      url,
+      path,
       status,
-      duration: `${duration}ms`,
+      duration,
       userAgent: userAgent.substring(0, 100) // 限制长度
     };
-    
+
     // 如果有错误，添加错误信息
-    if (error) {
-      completeLog.error = {
-        message: error.message,
-        stack: error.stack
+    if (expected) {
+      fields.error = {
+        code: error.code,
+        message: error.message
       };
+    } else if (failed) {
+      fields.error = error;
     }
-    
-    console.log(JSON.stringify(completeLog));
+
+    log[level](`${method} ${path} ${status} ${duration}ms`, fields);
   }
 };
 
-export default logger;
\ No newline at end of file
+export default requestLogger;
@@ -0,0 +1,280 @@
+/**
+ * 请求校验中间件
+ * 路由通过 validate({ params, query, body }) 声明请求结构。结构使用 JSON Schema（OpenAPI 3.0）的子集描述，
+ * 同一份声明既用于校验请求，也用于生成接口文档（见 infrastructure/openapi.infrastructure.js）
+ */
+
+import { ValidationError } from '../errors/app.error.js';
+import { inputConfig } from '../config/app.config.js';
+
+/**
+ * 各请求位置的默认校验方式
+ * - coerce: 是否把字符串转换为声明的类型，路径参数和查询参数总是字符串，请求体已由JSON解析不做转换
+ * - unknown: 未声明字段的处理方式，strip 丢弃，reject 报错；请求体跟随 input.nonWritableFields 配置。
+ *   对象结构声明 additionalProperties: true 时保留任意字段，声明 false 时总是报错
+ */
+const LOCATIONS = {
+  params: () => ({ coerce: true, unknown: 'strip' }),
+  query: () => ({ coerce: true, unknown: 'strip' }),
+  body: () => ({ coerce: false, unknown: inputConfig.nonWritableFields })
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+const FORMATS = {
+  email: {
+    test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: 'validation.format.email'
+  },
+  date: {
+    test: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime()),
+    message: 'validation.format.date'
+  },
+  'date-time': {
+    test: (value) => !isNaN(Date.parse(value)),
+    message: 'validation.format.dateTime'
+  },
+  uri: {
+    test: (value) => URL.canParse(value),
+    message: 'validation.format.uri'
+  }
+};
+
+// 未声明字段的错误信息，与 user.dto.js 中不可写字段的提示一致
+const UNKNOWN_FIELD_MESSAGE = 'validation.notWritable';
+
+/**
+ * 拼接字段路径，例如 preferences.theme、scopes[0]
+ * @param {string} path - 上级路径，顶层为空字符串
+ * @param {string|number} key - 字段名或数组下标
+ * @returns {string} 字段路径
+ */
+const joinPath = (path, key) => {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+};
+
+/**
+ * 把字符串转换为声明的类型，无法转换时保留原值交给类型检查报错
+ * @param {*} value - 原始值
+ * @param {Object} schema - 字段结构
+ * @returns {*} 转换后的值
+ */
+const coerce = (value, schema) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    case 'number':
+      return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      if (value === 'true' || value === '1') return true;
+      if (value === 'false' || value === '0') return false;
+      return value;
+    case 'array':
+      return value.split(',').map((item) => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+};
+
+/**
+ * 按结构校验单个值
+ * @param {*} input - 待校验的值
+ * @param {Object} schema - 结构
+ * @param {string} path - 字段路径
+ * @param {Object} state - 校验状态 { coerce, unknown, location, details }
+ * @returns {*} 转换并补齐默认值后的值，缺失且无默认值时为undefined
+ */
+const validateNode = (input, schema, path, state) => {
+  const report = (field, message, unknown = false) =>
+    state.details.push({ field: field || null, location: state.location, message, unknown });
+
+  // 查询参数中的空字符串（如 ?status=）视为未提供
+  let value = state.coerce && input === '' ? undefined : input;
+  if (value === undefined) {
+    return schema.default === undefined ? undefined : structuredClone(schema.default);
+  }
+  if (value === null) {
+    if (!schema.nullable) {
+      report(path, 'validation.required');
+    }
+    return value;
+  }
+
+  if (state.coerce) {
+    value = coerce(value, schema);
+  }
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    report(path, `validation.type.${schema.type}`);
+    return value;
+  }
+
+  const reported = state.details.length;
+
+  if (schema.type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report(path, { key: 'validation.minLength', params: { min: schema.minLength } });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      report(path, { key: 'validation.maxLength', params: { max: schema.maxLength } });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      report(path, 'validation.pattern');
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      report(path, FORMATS[schema.format].message);
+    }
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report(path, { key: 'validation.minimum', params: { min: schema.minimum } });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report(path, { key: 'validation.maximum', params: { max: schema.maximum } });
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(path, { key: 'validation.enum', params: { values: schema.enum } });
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report(path, { key: 'validation.minItems', params: { min: schema.minItems } });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report(path, { key: 'validation.maxItems', params: { max: schema.maxItems } });
+    }
+    if (schema.uniqueItems && new Set(value).size !== value.length) {
+      report(path, 'validation.uniqueItems');
+    }
+    if (schema.items) {
+      value = value.map((item, index) => validateNode(item, schema.items, joinPath(path, index), state));
+    }
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const result = {};
+
+    for (const [key, property] of Object.entries(properties)) {
+      const child = validateNode(value[key], property, joinPath(path, key), state);
+      if (child !== undefined) {
+        result[key] = child;
+      } else if (required.includes(key)) {
+        report(joinPath(path, key), 'validation.required');
+      }
+    }
+
+    for (const key of Object.keys(value).filter((key) => !Object.hasOwn(properties, key))) {
+      if (schema.additionalProperties === true) {
+        result[key] = value[key];
+      } else if (schema.additionalProperties === false || state.unknown === 'reject') {
+        report(joinPath(path, key), UNKNOWN_FIELD_MESSAGE, true);
+      }
+    }
+    value = result;
+  }
+
+  // 自定义校验只在结构校验通过后执行，返回错误信息列表，元素为消息（消息键或 { key, params }）
+  // 或针对子字段的 { field, message }
+  if (schema.check && state.details.length === reported) {
+    for (const problem of schema.check(value)) {
+      if (typeof problem === 'object' && Object.hasOwn(problem, 'field')) {
+        report(joinPath(path, problem.field), problem.message);
+      } else {
+        report(path, problem);
+      }
+    }
+  }
+
+  return value;
+};
+
+/**
+ * 按结构校验数据
+ * @param {*} value - 待校验的数据
+ * @param {Object} schema - 结构
+ * @param {Object} options - 选项
+ * @param {string} options.location - 数据所在位置：params、query 或 body，决定默认的类型转换和未声明字段处理方式
+ * @param {boolean} options.coerce - 是否把字符串转换为声明的类型
+ * @param {string} options.unknown - 未声明字段的处理方式：strip 或 reject
+ * @returns {Object} { value, details }，details 为字段级错误 [{ field, location, message, unknown }]，
+ *   message 为消息键或 { key, params }，unknown 标记未声明字段
+ */
+export const validateSchema = (value, schema, { location = 'body', ...options } = {}) => {
+  const state = { ...LOCATIONS[location](), ...options, location, details: [] };
+  const result = validateNode(value, schema, '', state);
+
+  return {
+    value: result,
+    details: state.details
+  };
+};
+
+/**
+ * 声明路由的请求结构
+ * 校验通过后，转换后的路径参数写回 ctx.params、请求体写回 ctx.request.body；
+ * 查询参数写入 ctx.state.query（ctx.query 的赋值会被序列化回字符串，无法保留转换后的类型）。
+ * 校验失败抛出 ValidationError，details 中的 field 为字段路径、location 为所在位置；
+ * 只有未声明字段被拒绝时错误码为 FIELD_NOT_WRITABLE，与 user.dto.js 的 reject 策略一致
+ * @param {Object} schema - 请求结构 { params, query, body }，各部分均为 object 类型的结构，可选 summary、description 用于接口文档
+ * @returns {Function} Koa中间件，结构挂在中间件的 schema 属性上供生成接口文档
+ */
+export const validate = (schema) => {
+  const middleware = async (ctx, next) => {
+    const sources = {
+      params: ctx.params || {},
+      query: ctx.query || {},
+      body: ctx.request.body === undefined ? {} : ctx.request.body
+    };
+    const values = {};
+    const details = [];
+
+    for (const location of Object.keys(LOCATIONS).filter((location) => schema[location])) {
+      const result = validateSchema(sources[location], schema[location], { location });
+      values[location] = result.value;
+      details.push(...result.details);
+    }
+
+    if (details.length > 0) {
+      const unknownOnly = details.every((detail) => detail.unknown);
+      throw new ValidationError(unknownOnly ? 'errors.fieldNotWritable' : 'errors.validationFailed', {
+        code: unknownOnly ? 'FIELD_NOT_WRITABLE' : 'VALIDATION_FAILED',
+        details: details.map(({ field, location, message }) => ({ field, location, message }))
+      });
+    }
+
+    if (values.params) {
+      ctx.params = values.params;
+    }
+    if (values.query) {
+      ctx.state.query = values.query;
+    }
+    if (values.body) {
+      ctx.request.body = values.body;
+    }
+
+    return next();
+  };
+
+  middleware.schema = schema;
+  return middleware;
+};
+
+export default validate;
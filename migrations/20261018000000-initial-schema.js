@@ -0,0 +1,50 @@
+/**
+ * 初始数据库结构
+ * 与引入迁移之前 sequelize.sync 创建的 users 表一致，已有数据库通过 db:migrate --baseline 只记录不执行
+ */
+
+/**
+ * 创建用户表和索引
+ * @param {Object} context - 迁移上下文 { queryInterface, DataTypes, transaction }
+ */
+export const up = async ({ queryInterface, DataTypes, transaction }) => {
+  await queryInterface.createTable("users", {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    username: { type: DataTypes.STRING(50), allowNull: false, unique: true },
+    email: { type: DataTypes.STRING(100), allowNull: false, unique: true },
+    password_hash: { type: DataTypes.STRING(255), allowNull: false },
+    full_name: { type: DataTypes.STRING(100) },
+    avatar_url: { type: DataTypes.STRING(500) },
+    phone: { type: DataTypes.STRING(20) },
+    birth_date: { type: DataTypes.DATEONLY },
+    gender: { type: DataTypes.ENUM("male", "female", "other") },
+    status: { type: DataTypes.ENUM("active", "inactive", "suspended", "deleted"), allowNull: false, defaultValue: "active" },
+    email_verified: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    email_verified_at: { type: DataTypes.DATE },
+    last_login_at: { type: DataTypes.DATE },
+    last_login_ip: { type: DataTypes.STRING(45) },
+    login_count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    preferences: { type: DataTypes.JSON },
+    metadata: { type: DataTypes.JSON },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+    deleted_at: { type: DataTypes.DATE },
+  }, { transaction });
+  await queryInterface.addIndex("users", ["status"], { transaction });
+  await queryInterface.addIndex("users", ["email_verified"], { transaction });
+  await queryInterface.addIndex("users", ["last_login_at"], { transaction });
+};
+
+/**
+ * 删除用户表
+ * @param {Object} context - 迁移上下文 { queryInterface, transaction }
+ */
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable("users", { transaction });
+
+  // PostgreSQL 的 ENUM 是独立的类型，删除表后需要单独清理
+  if (queryInterface.sequelize.getDialect() === "postgres") {
+    await queryInterface.dropEnum("enum_users_gender", { transaction });
+    await queryInterface.dropEnum("enum_users_status", { transaction });
+  }
+};
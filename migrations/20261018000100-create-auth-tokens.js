@@ -0,0 +1,61 @@
+/**
+ * 刷新令牌、邮箱验证/重置密码令牌和密码历史
+ */
+
+/**
+ * 创建令牌和密码历史表
+ * @param {Object} context - 迁移上下文 { queryInterface, DataTypes, transaction }
+ */
+export const up = async ({ queryInterface, DataTypes, transaction }) => {
+  await queryInterface.createTable("refresh_tokens", {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    user_id: { type: DataTypes.INTEGER, allowNull: false, references: { model: "users", key: "id" }, onDelete: "CASCADE" },
+    token_hash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+    family_id: { type: DataTypes.STRING(36), allowNull: false },
+    expires_at: { type: DataTypes.DATE, allowNull: false },
+    revoked_at: { type: DataTypes.DATE },
+    replaced_by_id: { type: DataTypes.INTEGER },
+    created_by_ip: { type: DataTypes.STRING(45) },
+    user_agent: { type: DataTypes.STRING(255) },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex("refresh_tokens", ["user_id"], { transaction });
+  await queryInterface.addIndex("refresh_tokens", ["family_id"], { transaction });
+
+  await queryInterface.createTable("action_tokens", {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    user_id: { type: DataTypes.INTEGER, allowNull: false, references: { model: "users", key: "id" }, onDelete: "CASCADE" },
+    purpose: { type: DataTypes.ENUM("email_verification", "password_reset"), allowNull: false },
+    token_hash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+    target: { type: DataTypes.STRING(100) },
+    expires_at: { type: DataTypes.DATE, allowNull: false },
+    used_at: { type: DataTypes.DATE },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex("action_tokens", ["user_id", "purpose"], { transaction });
+
+  await queryInterface.createTable("password_histories", {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    user_id: { type: DataTypes.INTEGER, allowNull: false, references: { model: "users", key: "id" }, onDelete: "CASCADE" },
+    password_hash: { type: DataTypes.STRING(255), allowNull: false },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex("password_histories", ["user_id", "created_at"], { transaction });
+};
+
+/**
+ * 删除令牌和密码历史表
+ * @param {Object} context - 迁移上下文 { queryInterface, transaction }
+ */
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable("password_histories", { transaction });
+  await queryInterface.dropTable("action_tokens", { transaction });
+  await queryInterface.dropTable("refresh_tokens", { transaction });
+
+  // PostgreSQL 的 ENUM 是独立的类型，删除表后需要单独清理
+  if (queryInterface.sequelize.getDialect() === "postgres") {
+    await queryInterface.dropEnum("enum_action_tokens_purpose", { transaction });
+  }
+};
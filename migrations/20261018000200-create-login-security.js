@@ -0,0 +1,49 @@
+/**
+ * 登录失败计数和登录记录
+ */
+
+/**
+ * 创建登录防护相关的表
+ * @param {Object} context - 迁移上下文 { queryInterface, DataTypes, transaction }
+ */
+export const up = async ({ queryInterface, DataTypes, transaction }) => {
+  await queryInterface.createTable("login_throttles", {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    scope: { type: DataTypes.ENUM("account", "ip"), allowNull: false },
+    key: { type: DataTypes.STRING(150), allowNull: false },
+    failed_count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    last_failed_at: { type: DataTypes.DATE },
+    locked_until: { type: DataTypes.DATE },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex("login_throttles", ["scope", "key"], { unique: true, transaction });
+
+  await queryInterface.createTable("login_histories", {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    user_id: { type: DataTypes.INTEGER, references: { model: "users", key: "id" }, onDelete: "CASCADE" },
+    identifier: { type: DataTypes.STRING(100) },
+    success: { type: DataTypes.BOOLEAN, allowNull: false },
+    failure_reason: { type: DataTypes.ENUM("invalid_credentials", "account_locked", "account_disabled", "invalid_mfa_code") },
+    ip_address: { type: DataTypes.STRING(45) },
+    user_agent: { type: DataTypes.STRING(255) },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex("login_histories", ["user_id", "created_at"], { transaction });
+  await queryInterface.addIndex("login_histories", ["ip_address"], { transaction });
+};
+
+/**
+ * 删除登录防护相关的表
+ * @param {Object} context - 迁移上下文 { queryInterface, transaction }
+ */
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable("login_histories", { transaction });
+  await queryInterface.dropTable("login_throttles", { transaction });
+
+  // PostgreSQL 的 ENUM 是独立的类型，删除表后需要单独清理
+  if (queryInterface.sequelize.getDialect() === "postgres") {
+    await queryInterface.dropEnum("enum_login_throttles_scope", { transaction });
+    await queryInterface.dropEnum("enum_login_histories_failure_reason", { transaction });
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * 双因素认证密钥和恢复码
+ */
+
+/**
+ * 创建双因素认证相关的表
+ * @param {Object} context - 迁移上下文 { queryInterface, DataTypes, transaction }
+ */
+export const up = async ({ queryInterface, DataTypes, transaction }) => {
+  await queryInterface.createTable("two_factor_credentials", {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    user_id: { type: DataTypes.INTEGER, allowNull: false, unique: true, references: { model: "users", key: "id" }, onDelete: "CASCADE" },
+    secret: { type: DataTypes.STRING(64), allowNull: false },
+    enabled_at: { type: DataTypes.DATE },
+    last_used_step: { type: DataTypes.INTEGER },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+
+  await queryInterface.createTable("two_factor_backup_codes", {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    user_id: { type: DataTypes.INTEGER, allowNull: false, references: { model: "users", key: "id" }, onDelete: "CASCADE" },
+    code_hash: { type: DataTypes.STRING(64), allowNull: false },
+    used_at: { type: DataTypes.DATE },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex("two_factor_backup_codes", ["user_id", "code_hash"], { transaction });
+};
+
+/**
+ * 删除双因素认证相关的表
+ * @param {Object} context - 迁移上下文 { queryInterface, transaction }
+ */
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable("two_factor_backup_codes", { transaction });
+  await queryInterface.dropTable("two_factor_credentials", { transaction });
+};
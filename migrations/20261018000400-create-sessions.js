@@ -0,0 +1,31 @@
+/**
+ * 登录会话
+ */
+
+/**
+ * 创建会话表
+ * @param {Object} context - 迁移上下文 { queryInterface, DataTypes, transaction }
+ */
+export const up = async ({ queryInterface, DataTypes, transaction }) => {
+  await queryInterface.createTable("sessions", {
+    id: { type: DataTypes.UUID, primaryKey: true, allowNull: false },
+    user_id: { type: DataTypes.INTEGER, allowNull: false, references: { model: "users", key: "id" }, onDelete: "CASCADE" },
+    device: { type: DataTypes.STRING(100) },
+    ip_address: { type: DataTypes.STRING(45) },
+    user_agent: { type: DataTypes.STRING(255) },
+    last_seen_at: { type: DataTypes.DATE },
+    expires_at: { type: DataTypes.DATE, allowNull: false },
+    revoked_at: { type: DataTypes.DATE },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex("sessions", ["user_id"], { transaction });
+};
+
+/**
+ * 删除会话表
+ * @param {Object} context - 迁移上下文 { queryInterface, transaction }
+ */
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable("sessions", { transaction });
+};
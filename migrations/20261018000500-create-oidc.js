@@ -0,0 +1,49 @@
+/**
+ * 第三方登录的授权请求和账号绑定
+ */
+
+/**
+ * 创建第三方登录相关的表
+ * @param {Object} context - 迁移上下文 { queryInterface, DataTypes, transaction }
+ */
+export const up = async ({ queryInterface, DataTypes, transaction }) => {
+  await queryInterface.createTable("oidc_states", {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    state_hash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+    provider: { type: DataTypes.STRING(50), allowNull: false },
+    purpose: { type: DataTypes.ENUM("login", "link"), allowNull: false },
+    user_id: { type: DataTypes.INTEGER, references: { model: "users", key: "id" }, onDelete: "CASCADE" },
+    code_verifier: { type: DataTypes.STRING(128), allowNull: false },
+    nonce: { type: DataTypes.STRING(64), allowNull: false },
+    expires_at: { type: DataTypes.DATE, allowNull: false },
+    used_at: { type: DataTypes.DATE },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+
+  await queryInterface.createTable("user_identities", {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    user_id: { type: DataTypes.INTEGER, allowNull: false, references: { model: "users", key: "id" }, onDelete: "CASCADE" },
+    provider: { type: DataTypes.STRING(50), allowNull: false },
+    subject: { type: DataTypes.STRING(255), allowNull: false },
+    email: { type: DataTypes.STRING(100) },
+    last_login_at: { type: DataTypes.DATE },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex("user_identities", ["provider", "subject"], { unique: true, transaction });
+  await queryInterface.addIndex("user_identities", ["user_id", "provider"], { unique: true, transaction });
+};
+
+/**
+ * 删除第三方登录相关的表
+ * @param {Object} context - 迁移上下文 { queryInterface, transaction }
+ */
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable("user_identities", { transaction });
+  await queryInterface.dropTable("oidc_states", { transaction });
+
+  // PostgreSQL 的 ENUM 是独立的类型，删除表后需要单独清理
+  if (queryInterface.sequelize.getDialect() === "postgres") {
+    await queryInterface.dropEnum("enum_oidc_states_purpose", { transaction });
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * API密钥
+ */
+
+/**
+ * 创建API密钥表
+ * @param {Object} context - 迁移上下文 { queryInterface, DataTypes, transaction }
+ */
+export const up = async ({ queryInterface, DataTypes, transaction }) => {
+  await queryInterface.createTable("api_keys", {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    user_id: { type: DataTypes.INTEGER, allowNull: false, references: { model: "users", key: "id" }, onDelete: "CASCADE" },
+    name: { type: DataTypes.STRING(100), allowNull: false },
+    prefix: { type: DataTypes.STRING(20), allowNull: false },
+    key_hash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+    scopes: { type: DataTypes.JSON, allowNull: false },
+    expires_at: { type: DataTypes.DATE, allowNull: false },
+    last_used_at: { type: DataTypes.DATE },
+    revoked_at: { type: DataTypes.DATE },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+  await queryInterface.addIndex("api_keys", ["user_id"], { transaction });
+};
+
+/**
+ * 删除API密钥表
+ * @param {Object} context - 迁移上下文 { queryInterface, transaction }
+ */
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable("api_keys", { transaction });
+};
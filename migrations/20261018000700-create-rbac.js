@@ -0,0 +1,52 @@
+/**
+ * 角色、权限及其关联
+ */
+
+/**
+ * 创建角色和权限相关的表
+ * @param {Object} context - 迁移上下文 { queryInterface, DataTypes, transaction }
+ */
+export const up = async ({ queryInterface, DataTypes, transaction }) => {
+  await queryInterface.createTable("roles", {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    name: { type: DataTypes.STRING(50), allowNull: false, unique: true },
+    description: { type: DataTypes.STRING(255) },
+    is_system: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+
+  await queryInterface.createTable("permissions", {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+    name: { type: DataTypes.STRING(100), allowNull: false, unique: true },
+    description: { type: DataTypes.STRING(255) },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+
+  await queryInterface.createTable("role_permissions", {
+    role_id: { type: DataTypes.INTEGER, primaryKey: true, allowNull: false, references: { model: "roles", key: "id" }, onDelete: "CASCADE" },
+    permission_id: { type: DataTypes.INTEGER, primaryKey: true, allowNull: false, references: { model: "permissions", key: "id" }, onDelete: "CASCADE" },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+
+  await queryInterface.createTable("user_roles", {
+    user_id: { type: DataTypes.INTEGER, primaryKey: true, allowNull: false, references: { model: "users", key: "id" }, onDelete: "CASCADE" },
+    role_id: { type: DataTypes.INTEGER, primaryKey: true, allowNull: false, references: { model: "roles", key: "id" }, onDelete: "CASCADE" },
+    granted_by: { type: DataTypes.INTEGER },
+    created_at: { type: DataTypes.DATE, allowNull: false },
+    updated_at: { type: DataTypes.DATE, allowNull: false },
+  }, { transaction });
+};
+
+/**
+ * 按依赖关系的逆序删除角色和权限相关的表
+ * @param {Object} context - 迁移上下文 { queryInterface, transaction }
+ */
+export const down = async ({ queryInterface, transaction }) => {
+  await queryInterface.dropTable("user_roles", { transaction });
+  await queryInterface.dropTable("role_permissions", { transaction });
+  await queryInterface.dropTable("permissions", { transaction });
+  await queryInterface.dropTable("roles", { transaction });
+};
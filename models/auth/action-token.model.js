@@ -0,0 +1,91 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../../config/db.config.js';
+import User from '../user/user.model.js';
+
+/**
+ * 一次性操作令牌数据模型
+ * 用于邮箱验证、密码重置等需要通过链接确认的操作，仅保存令牌哈希，使用后即失效
+ */
+const ActionToken = sequelize.define('ActionToken', {
+  // 主键ID
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '令牌唯一标识'
+  },
+
+  // 所属用户
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '所属用户ID'
+  },
+
+  // 令牌用途
+  purpose: {
+    type: DataTypes.ENUM('email_verification', 'password_reset'),
+    allowNull: false,
+    comment: '令牌用途'
+  },
+
+  // 令牌哈希
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: '令牌的SHA-256哈希值'
+  },
+
+  // 令牌目标
+  target: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: '令牌签发时针对的目标（如待验证的邮箱），目标变化后令牌失效'
+  },
+
+  // 过期时间
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '令牌过期时间'
+  },
+
+  // 使用时间
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '令牌使用时间，为空表示尚未使用'
+  }
+}, {
+  // 表名
+  tableName: 'action_tokens',
+
+  // 令牌记录无需软删除
+  paranoid: false,
+
+  // 索引定义
+  indexes: [
+    {
+      unique: true,
+      fields: ['token_hash']
+    },
+    {
+      fields: ['user_id', 'purpose']
+    }
+  ]
+});
+
+// 关联关系
+User.hasMany(ActionToken, { foreignKey: 'user_id', as: 'actionTokens', onDelete: 'CASCADE' });
+ActionToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+/**
+ * 实例方法：判断令牌是否已过期
+ * @returns {boolean} 是否已过期
+ */
+ActionToken.prototype.isExpired = function() {
+  return new Date(this.expires_at) <= new Date();
+};
+
+export default ActionToken;
@@ -0,0 +1,73 @@
+import ActionToken from './action-token.model.js';
+import { translateDatabaseError } from '../../errors/database.error.js';
+
+/**
+ * 一次性操作令牌数据访问层
+ */
+class ActionTokenRepository {
+
+  /**
+   * 创建令牌记录
+   * @param {Object} tokenData - 令牌数据
+   * @returns {Promise<ActionToken>} 创建的令牌实例
+   */
+  async create(tokenData) {
+    try {
+      return await ActionToken.create(tokenData);
+    } catch (error) {
+      throw translateDatabaseError(error, '创建操作令牌失败');
+    }
+  }
+
+  /**
+   * 根据哈希和用途查找令牌
+   * @param {string} tokenHash - 令牌哈希
+   * @param {string} purpose - 令牌用途
+   * @returns {Promise<ActionToken|null>} 令牌实例或null
+   */
+  async findByHash(tokenHash, purpose) {
+    try {
+      return await ActionToken.findOne({ where: { token_hash: tokenHash, purpose } });
+    } catch (error) {
+      throw translateDatabaseError(error, '查找操作令牌失败');
+    }
+  }
+
+  /**
+   * 将令牌标记为已使用
+   * 仅更新尚未使用的记录，保证并发请求下令牌只能被消费一次
+   * @param {number} id - 令牌ID
+   * @returns {Promise<boolean>} 是否由本次调用消费成功
+   */
+  async markUsed(id) {
+    try {
+      const [updatedRowsCount] = await ActionToken.update(
+        { used_at: new Date() },
+        { where: { id, used_at: null } }
+      );
+      return updatedRowsCount > 0;
+    } catch (error) {
+      throw translateDatabaseError(error, '标记操作令牌失败');
+    }
+  }
+
+  /**
+   * 使用户某用途下所有未使用的令牌失效
+   * @param {number} userId - 用户ID
+   * @param {string} purpose - 令牌用途
+   * @returns {Promise<number>} 失效的令牌数量
+   */
+  async invalidateForUser(userId, purpose) {
+    try {
+      const [updatedRowsCount] = await ActionToken.update(
+        { used_at: new Date() },
+        { where: { user_id: userId, purpose, used_at: null } }
+      );
+      return updatedRowsCount;
+    } catch (error) {
+      throw translateDatabaseError(error, '作废操作令牌失败');
+    }
+  }
+}
+
+export default new ActionTokenRepository();
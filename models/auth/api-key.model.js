@@ -0,0 +1,122 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../../config/db.config.js';
+import User from '../user/user.model.js';
+
+/**
+ * API密钥数据模型
+ * 供后台任务等非交互式客户端使用，仅保存密钥的SHA-256哈希和用于识别的前缀
+ */
+const ApiKey = sequelize.define('ApiKey', {
+  // 主键ID
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '密钥唯一标识'
+  },
+
+  // 所属用户
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '所属用户ID'
+  },
+
+  // 密钥名称
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: '密钥名称，便于用户区分用途'
+  },
+
+  // 密钥前缀
+  prefix: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: '密钥明文的前缀，用于展示和识别'
+  },
+
+  // 密钥哈希
+  key_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: '密钥的SHA-256哈希值'
+  },
+
+  // 授权范围
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: '密钥可使用的权限列表，实际权限为其与用户权限的交集'
+  },
+
+  // 过期时间
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '密钥过期时间'
+  },
+
+  // 最后使用时间
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '最后使用时间'
+  },
+
+  // 吊销时间
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '密钥吊销时间'
+  }
+}, {
+  // 表名
+  tableName: 'api_keys',
+
+  // 吊销通过revoked_at记录，无需软删除
+  paranoid: false,
+
+  // 索引定义
+  indexes: [
+    {
+      unique: true,
+      fields: ['key_hash']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+// 关联关系
+User.hasMany(ApiKey, { foreignKey: 'user_id', as: 'apiKeys', onDelete: 'CASCADE' });
+ApiKey.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+/**
+ * 实例方法：判断密钥当前是否可用
+ * @returns {boolean} 未吊销且未过期时返回true
+ */
+ApiKey.prototype.isActive = function() {
+  return !this.revoked_at && new Date(this.expires_at) > new Date();
+};
+
+/**
+ * 实例方法：获取对外展示的密钥信息（不含哈希）
+ * @returns {Object} 密钥信息
+ */
+ApiKey.prototype.getPublicInfo = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    expires_at: this.expires_at,
+    last_used_at: this.last_used_at,
+    created_at: this.createdAt
+  };
+};
+
+export default ApiKey;
@@ -0,0 +1,111 @@
+import ApiKey from './api-key.model.js';
+import { Op } from 'sequelize';
+import { translateDatabaseError } from '../../errors/database.error.js';
+
+/**
+ * API密钥数据访问层
+ */
+class ApiKeyRepository {
+
+  /**
+   * 创建密钥记录
+   * @param {Object} keyData - 密钥数据
+   * @returns {Promise<ApiKey>} 创建的密钥实例
+   */
+  async create(keyData) {
+    try {
+      return await ApiKey.create(keyData);
+    } catch (error) {
+      throw translateDatabaseError(error, '创建API密钥失败');
+    }
+  }
+
+  /**
+   * 根据密钥哈希查找记录
+   * @param {string} keyHash - 密钥哈希
+   * @returns {Promise<ApiKey|null>} 密钥实例或null
+   */
+  async findByHash(keyHash) {
+    try {
+      return await ApiKey.findOne({ where: { key_hash: keyHash } });
+    } catch (error) {
+      throw translateDatabaseError(error, '查找API密钥失败');
+    }
+  }
+
+  /**
+   * 获取用户当前有效的密钥，按创建时间倒序
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Array<ApiKey>>} 密钥列表
+   */
+  async findActiveByUser(userId) {
+    try {
+      return await ApiKey.findAll({
+        where: {
+          user_id: userId,
+          revoked_at: null,
+          expires_at: { [Op.gt]: new Date() }
+        },
+        order: [['created_at', 'DESC'], ['id', 'DESC']]
+      });
+    } catch (error) {
+      throw translateDatabaseError(error, '获取API密钥列表失败');
+    }
+  }
+
+  /**
+   * 统计用户当前有效的密钥数量
+   * @param {number} userId - 用户ID
+   * @returns {Promise<number>} 密钥数量
+   */
+  async countActiveByUser(userId) {
+    try {
+      return await ApiKey.count({
+        where: {
+          user_id: userId,
+          revoked_at: null,
+          expires_at: { [Op.gt]: new Date() }
+        }
+      });
+    } catch (error) {
+      throw translateDatabaseError(error, '统计API密钥失败');
+    }
+  }
+
+  /**
+   * 更新最后使用时间
+   * @param {number} id - 密钥ID
+   * @returns {Promise<number>} 更新的记录数量
+   */
+  async touch(id) {
+    try {
+      const [updatedRowsCount] = await ApiKey.update(
+        { last_used_at: new Date() },
+        { where: { id } }
+      );
+      return updatedRowsCount;
+    } catch (error) {
+      throw translateDatabaseError(error, '更新API密钥使用时间失败');
+    }
+  }
+
+  /**
+   * 吊销用户的指定密钥
+   * @param {number} userId - 用户ID
+   * @param {number} id - 密钥ID
+   * @returns {Promise<boolean>} 是否有密钥被吊销
+   */
+  async revoke(userId, id) {
+    try {
+      const [updatedRowsCount] = await ApiKey.update(
+        { revoked_at: new Date() },
+        { where: { id, user_id: userId, revoked_at: null } }
+      );
+      return updatedRowsCount > 0;
+    } catch (error) {
+      throw translateDatabaseError(error, '吊销API密钥失败');
+    }
+  }
+}
+
+export default new ApiKeyRepository();
@@ -0,0 +1,187 @@
+import apiKeyRepository from "./api-key.repository.js";
+import userRepository from "../user/user.repository.js";
+import roleService from "../role/role.service.js";
+import { hashToken } from "./auth.service.js";
+import { apiKeyConfig, rbacConfig } from "../../config/app.config.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} from "../../errors/app.error.js";
+import { randomBytes } from "crypto";
+
+const INVALID_API_KEY = {
+  success: false,
+  message: "apiKey.invalid",
+  errors: ["apiKey.checkHeader"],
+};
+
+/**
+ * 校验创建密钥的参数
+ * @param {Object} keyData - 请求参数
+ * @param {Array<string>} userPermissions - 用户当前拥有的权限
+ * @returns {Array<Object>} 字段错误详情 [{ field, message }]，message 为消息键或 { key, params }，校验通过时为空
+ */
+const validateKeyCreation = (keyData, userPermissions) => {
+  const details = [];
+  const { name, scopes = [], expiresInDays } = keyData;
+
+  if (!name || typeof name !== "string" || !name.trim()) {
+    details.push({ field: "name", message: "apiKey.nameRequired" });
+  } else if (name.trim().length > 100) {
+    details.push({ field: "name", message: { key: "apiKey.nameTooLong", params: { max: 100 } } });
+  }
+
+  if (!Array.isArray(scopes) || scopes.some((scope) => typeof scope !== "string")) {
+    details.push({ field: "scopes", message: "apiKey.scopesInvalid" });
+  } else {
+    scopes
+      .filter((scope) => !Object.hasOwn(rbacConfig.permissions, scope))
+      .forEach((scope) =>
+        details.push({ field: "scopes", message: { key: "apiKey.unknownScope", params: { scope } } })
+      );
+    scopes
+      .filter((scope) => Object.hasOwn(rbacConfig.permissions, scope) && !userPermissions.includes(scope))
+      .forEach((scope) =>
+        details.push({ field: "scopes", message: { key: "apiKey.scopeNotHeld", params: { scope } } })
+      );
+  }
+
+  if (
+    expiresInDays !== undefined &&
+    (!Number.isInteger(expiresInDays) ||
+      expiresInDays < 1 ||
+      expiresInDays > apiKeyConfig.maxExpiresInDays)
+  ) {
+    details.push({
+      field: "expiresInDays",
+      message: {
+        key: "apiKey.expiresInDaysInvalid",
+        params: { max: apiKeyConfig.maxExpiresInDays },
+      },
+    });
+  }
+
+  return details;
+};
+
+/**
+ * API密钥业务逻辑层
+ * 密钥格式为 <前缀>_<8位标识>_<随机串>，明文只在创建时返回一次。
+ * 密钥管理方法失败时抛出 errors/app.error.js 中的错误；认证方法返回结果对象，由认证中间件处理
+ */
+class ApiKeyService {
+  /**
+   * 为用户创建API密钥
+   * @param {number} userId - 用户ID
+   * @param {Object} keyData - 密钥参数 { name, scopes, expiresInDays }
+   * @returns {Promise<Object>} 密钥信息，key 为密钥明文
+   * @throws {NotFoundError|ValidationError|ConflictError} 用户不存在、参数无效或有效密钥数量已达上限
+   */
+  async createKey(userId, keyData = {}) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError("user.notFound", { code: "USER_NOT_FOUND" });
+    }
+
+    const userPermissions = await roleService.getUserPermissions(userId);
+    const details = validateKeyCreation(keyData, userPermissions);
+    if (details.length > 0) {
+      throw new ValidationError("errors.validationFailed", { details });
+    }
+
+    const activeCount = await apiKeyRepository.countActiveByUser(userId);
+    if (activeCount >= apiKeyConfig.maxKeysPerUser) {
+      throw new ConflictError("apiKey.limitReached", {
+        code: "API_KEY_LIMIT_REACHED",
+        details: [
+          {
+            field: null,
+            message: { key: "apiKey.limitDetail", params: { max: apiKeyConfig.maxKeysPerUser } },
+          },
+        ],
+      });
+    }
+
+    const prefix = `${apiKeyConfig.prefix}_${randomBytes(4).toString("hex")}`;
+    const key = `${prefix}_${randomBytes(24).toString("base64url")}`;
+    const expiresInDays = keyData.expiresInDays || apiKeyConfig.defaultExpiresInDays;
+
+    const record = await apiKeyRepository.create({
+      user_id: userId,
+      name: keyData.name.trim(),
+      prefix,
+      key_hash: hashToken(key),
+      scopes: [...new Set(keyData.scopes || [])],
+      expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    });
+
+    return {
+      ...record.getPublicInfo(),
+      key,
+    };
+  }
+
+  /**
+   * 获取用户当前有效的API密钥
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Array<Object>>} 密钥列表（不含明文）
+   */
+  async listKeys(userId) {
+    const keys = await apiKeyRepository.findActiveByUser(userId);
+    return keys.map((key) => key.getPublicInfo());
+  }
+
+  /**
+   * 吊销用户的API密钥
+   * @param {number} userId - 用户ID
+   * @param {number} keyId - 密钥ID
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} 密钥不存在、不属于该用户或已吊销
+   */
+  async revokeKey(userId, keyId) {
+    const revoked = keyId ? await apiKeyRepository.revoke(userId, keyId) : false;
+    if (!revoked) {
+      throw new NotFoundError("apiKey.notFound", {
+        code: "API_KEY_NOT_FOUND",
+        details: [{ field: null, message: "apiKey.notFoundDetail" }],
+      });
+    }
+  }
+
+  /**
+   * 校验API密钥并加载对应用户
+   * 用户状态由调用方判断，与访问令牌的处理方式一致
+   * @param {string} key - 密钥明文
+   * @returns {Promise<Object>} 校验结果，成功时data为用户实例，apiKey为密钥记录
+   */
+  async authenticate(key) {
+    if (!key || !key.startsWith(`${apiKeyConfig.prefix}_`)) {
+      return INVALID_API_KEY;
+    }
+
+    const record = await apiKeyRepository.findByHash(hashToken(key));
+    if (!record || !record.isActive()) {
+      return INVALID_API_KEY;
+    }
+
+    const user = await userRepository.findById(record.user_id);
+    if (!user) {
+      return INVALID_API_KEY;
+    }
+
+    const lastUsed = record.last_used_at ? new Date(record.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed > apiKeyConfig.touchInterval * 1000) {
+      await apiKeyRepository.touch(record.id);
+    }
+
+    return {
+      success: true,
+      message: "apiKey.verified",
+      data: user,
+      apiKey: record,
+    };
+  }
+}
+
+export default new ApiKeyService();
@@ -0,0 +1,287 @@
+import refreshTokenRepository from "./refresh-token.repository.js";
+import sessionService from "./session.service.js";
+import userRepository from "../user/user.repository.js";
+import { authConfig } from "../../config/app.config.js";
+import { ValidationError } from "../../errors/app.error.js";
+import jwt from "jsonwebtoken";
+import { createHash, randomBytes } from "crypto";
+
+/**
+ * 计算令牌哈希
+ * 数据库中只保存刷新令牌的哈希，泄露的数据库记录无法直接使用
+ * @param {string} token - 明文令牌
+ * @returns {string} SHA-256十六进制哈希
+ */
+export const hashToken = (token) => {
+  return createHash("sha256").update(token).digest("hex");
+};
+
+/**
+ * 认证令牌业务逻辑层
+ * 负责访问令牌签发以及刷新令牌的轮换与吊销，每次登录对应一个会话
+ */
+class AuthService {
+  /**
+   * 签发访问令牌
+   * @param {Object} user - 用户实例
+   * @param {string} sessionId - 所属会话ID，会话注销后令牌随之失效
+   * @returns {string} 签名后的JWT
+   */
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { sub: String(user.id), sid: sessionId, username: user.username, type: "access" },
+      authConfig.accessTokenSecret,
+      {
+        expiresIn: authConfig.accessTokenExpiresIn,
+        issuer: authConfig.issuer,
+      }
+    );
+  }
+
+  /**
+   * 签发双因素认证登录挑战令牌
+   * 密码校验通过但尚未完成第二步验证时使用，不能用于访问接口
+   * @param {Object} user - 用户实例
+   * @returns {string} 签名后的JWT
+   */
+  signChallengeToken(user) {
+    return jwt.sign(
+      { sub: String(user.id), type: "mfa_challenge" },
+      authConfig.accessTokenSecret,
+      {
+        expiresIn: authConfig.mfaChallengeExpiresIn,
+        issuer: authConfig.issuer,
+      }
+    );
+  }
+
+  /**
+   * 校验登录挑战令牌
+   * @param {string} challengeToken - 挑战令牌
+   * @returns {number|null} 令牌对应的用户ID，无效时返回null
+   */
+  verifyChallengeToken(challengeToken) {
+    try {
+      const payload = jwt.verify(challengeToken, authConfig.accessTokenSecret, {
+        issuer: authConfig.issuer,
+      });
+      return payload.type === "mfa_challenge" ? parseInt(payload.sub) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 校验访问令牌及其所属会话，并加载对应用户
+   * 用户状态由调用方判断，以便区分"未认证"与"账户被禁用"
+   * @param {string} accessToken - JWT访问令牌
+   * @returns {Promise<Object>} 校验结果，成功时data为用户实例，sessionId为所属会话ID
+   */
+  async resolveAccessToken(accessToken) {
+    let payload;
+    try {
+      payload = jwt.verify(accessToken, authConfig.accessTokenSecret, {
+        issuer: authConfig.issuer,
+      });
+    } catch {
+      return {
+        success: false,
+        message: "auth.accessTokenInvalid",
+        errors: ["auth.reloginOrRefresh"],
+      };
+    }
+
+    if (payload.type !== "access" || !payload.sid) {
+      return {
+        success: false,
+        message: "auth.accessTokenInvalid",
+        errors: ["auth.tokenTypeInvalid"],
+      };
+    }
+
+    const userId = parseInt(payload.sub);
+    const session = await sessionService.validate(payload.sid, userId);
+    if (!session) {
+      return {
+        success: false,
+        message: "auth.accessTokenInvalid",
+        errors: ["auth.sessionExpired"],
+      };
+    }
+
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      return {
+        success: false,
+        message: "user.notFound",
+        errors: ["auth.tokenUserNotFound"],
+      };
+    }
+
+    return {
+      success: true,
+      message: "auth.tokenVerified",
+      data: user,
+      sessionId: session.id,
+    };
+  }
+
+  /**
+   * 为用户签发访问令牌和刷新令牌
+   * @param {Object} user - 用户实例
+   * @param {Object} context - 请求上下文信息
+   * @param {string} context.ip - 客户端IP
+   * @param {string} context.userAgent - 客户端User-Agent
+   * @param {string|null} sessionId - 会话ID（轮换时沿用，新登录时创建会话）
+   * @returns {Promise<Object>} 令牌信息
+   */
+  async issueTokens(user, context = {}, sessionId = null) {
+    if (!sessionId) {
+      const session = await sessionService.start(user, context);
+      sessionId = session.id;
+    }
+
+    const refreshToken = randomBytes(48).toString("hex");
+    const record = await refreshTokenRepository.create({
+      user_id: user.id,
+      token_hash: hashToken(refreshToken),
+      family_id: sessionId,
+      expires_at: new Date(
+        Date.now() + authConfig.refreshTokenExpiresIn * 1000
+      ),
+      created_by_ip: context.ip || null,
+      user_agent: context.userAgent ? context.userAgent.substring(0, 255) : null,
+    });
+
+    return {
+      record,
+      tokens: {
+        tokenType: "Bearer",
+        accessToken: this.signAccessToken(user, sessionId),
+        expiresIn: authConfig.accessTokenExpiresIn,
+        refreshToken,
+        refreshTokenExpiresIn: authConfig.refreshTokenExpiresIn,
+      },
+    };
+  }
+
+  /**
+   * 轮换刷新令牌
+   * 先吊销旧令牌再签发新令牌，旧令牌指向新令牌；若已吊销的令牌被再次使用，视为泄露并注销整个会话。
+   * 并发请求使用同一令牌时只有一个能吊销成功，其余按重用处理，不会签发多组令牌
+   * @param {string} refreshToken - 明文刷新令牌
+   * @param {Object} context - 请求上下文信息
+   * @returns {Promise<Object>} 刷新结果
+   */
+  async refreshTokens(refreshToken, context = {}) {
+    if (!refreshToken) {
+      return {
+        success: false,
+        message: "auth.refreshTokenRequired",
+        errors: [{ key: "common.missingParameter", params: { name: "refreshToken" } }],
+      };
+    }
+
+    const record = await refreshTokenRepository.findByHash(
+      hashToken(refreshToken)
+    );
+    if (!record) {
+      return {
+        success: false,
+        message: "auth.refreshTokenInvalid",
+        errors: ["auth.refreshTokenNotFound"],
+      };
+    }
+
+    if (record.revoked_at) {
+      await sessionService.end(record.family_id);
+      return {
+        success: false,
+        message: "auth.refreshTokenInvalid",
+        errors: ["auth.refreshTokenReused"],
+      };
+    }
+
+    if (!record.isActive()) {
+      return {
+        success: false,
+        message: "auth.refreshTokenExpired",
+        errors: ["auth.relogin"],
+      };
+    }
+
+    const user = await record.getUser();
+    if (!user || user.status !== "active") {
+      await sessionService.end(record.family_id);
+      return {
+        success: false,
+        message: "auth.accountDisabled",
+        errors: ["auth.accountDisabledDetail"],
+      };
+    }
+
+    const session = await sessionService.validate(record.family_id, user.id);
+    if (!session) {
+      await refreshTokenRepository.revokeFamily(record.family_id);
+      return {
+        success: false,
+        message: "auth.refreshTokenInvalid",
+        errors: ["auth.sessionExpired"],
+      };
+    }
+
+    const revoked = await refreshTokenRepository.revoke(record.id);
+    if (!revoked) {
+      await sessionService.end(record.family_id);
+      return {
+        success: false,
+        message: "auth.refreshTokenInvalid",
+        errors: ["auth.refreshTokenReused"],
+      };
+    }
+
+    const issued = await this.issueTokens(user, context, session.id);
+    await refreshTokenRepository.setReplacedBy(record.id, issued.record.id);
+    await sessionService.extend(session.id, context);
+
+    return {
+      success: true,
+      message: "auth.tokenRefreshed",
+      data: issued.tokens,
+    };
+  }
+
+  /**
+   * 吊销刷新令牌（退出登录）
+   * 注销令牌所属会话并吊销同一家族的全部令牌，确保该登录会话完全失效
+   * @param {string} refreshToken - 明文刷新令牌
+   * @returns {Promise<void>}
+   * @throws {ValidationError} 缺少刷新令牌或令牌不存在
+   */
+  async revokeRefreshToken(refreshToken) {
+    if (!refreshToken) {
+      throw new ValidationError("auth.refreshTokenRequired", {
+        details: [
+          {
+            field: "refreshToken",
+            message: { key: "common.missingParameter", params: { name: "refreshToken" } },
+          },
+        ],
+      });
+    }
+
+    const record = await refreshTokenRepository.findByHash(
+      hashToken(refreshToken)
+    );
+    if (!record) {
+      throw new ValidationError("auth.refreshTokenInvalid", {
+        code: "INVALID_REFRESH_TOKEN",
+        details: [{ field: "refreshToken", message: "auth.refreshTokenNotFound" }],
+      });
+    }
+
+    await sessionService.end(record.family_id);
+  }
+}
+
+export default new AuthService();
@@ -0,0 +1,140 @@
+import actionTokenRepository from "./action-token.repository.js";
+import userRepository from "../user/user.repository.js";
+import { hashToken } from "./auth.service.js";
+import { sendMail } from "../../infrastructure/mailer.infrastructure.js";
+import { translate, resolveLocale, getPreferredLocale } from "../../infrastructure/i18n.infrastructure.js";
+import { authConfig, mailConfig } from "../../config/app.config.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} from "../../errors/app.error.js";
+import { randomBytes } from "crypto";
+
+const PURPOSE = "email_verification";
+
+/**
+ * 验证链接无效时抛出的错误
+ * @param {string} reason - 具体原因的消息键
+ * @returns {ValidationError} 错误实例
+ */
+const linkInvalid = (reason) =>
+  new ValidationError("emailVerification.linkInvalid", {
+    code: "INVALID_VERIFICATION_TOKEN",
+    details: [{ field: "token", message: reason }],
+  });
+
+/**
+ * 邮箱验证业务逻辑层
+ * 签发一次性验证令牌、发送验证邮件并确认邮箱。
+ * 失败时抛出 errors/app.error.js 中的错误
+ */
+class EmailVerificationService {
+  /**
+   * 为用户签发验证令牌并发送验证邮件
+   * 新令牌签发前会作废该用户之前未使用的验证令牌，邮件使用用户偏好设置中的语言
+   * 邮件发送失败等异常直接抛出由调用方处理
+   * @param {Object} user - 用户实例
+   * @returns {Promise<void>}
+   */
+  async sendVerificationEmail(user) {
+    await actionTokenRepository.invalidateForUser(user.id, PURPOSE);
+
+    const token = randomBytes(32).toString("hex");
+    await actionTokenRepository.create({
+      user_id: user.id,
+      purpose: PURPOSE,
+      token_hash: hashToken(token),
+      target: user.email,
+      expires_at: new Date(
+        Date.now() + authConfig.emailVerificationExpiresIn * 1000
+      ),
+    });
+
+    const link = `${mailConfig.appBaseUrl}/api/users/verify-email?token=${token}`;
+    const params = {
+      username: user.username,
+      hours: Math.round(authConfig.emailVerificationExpiresIn / 3600),
+      link,
+    };
+    const locale = resolveLocale(getPreferredLocale(user));
+    await sendMail({
+      to: user.email,
+      subject: translate("mail.emailVerification.subject", params, locale),
+      text: translate("mail.emailVerification.text", params, locale),
+      html: translate("mail.emailVerification.html", params, locale),
+    });
+  }
+
+  /**
+   * 按需重新发送验证邮件
+   * @param {number} userId - 用户ID
+   * @returns {Promise<void>}
+   * @throws {NotFoundError|ConflictError} 用户不存在或邮箱已验证
+   */
+  async requestVerification(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError("user.notFound", { code: "USER_NOT_FOUND" });
+    }
+
+    if (user.email_verified) {
+      throw new ConflictError("emailVerification.alreadyVerified", {
+        code: "EMAIL_ALREADY_VERIFIED",
+        details: [{ field: null, message: "emailVerification.alreadyVerifiedDetail" }],
+      });
+    }
+
+    await this.sendVerificationEmail(user);
+  }
+
+  /**
+   * 使用验证令牌确认邮箱
+   * 验证链接可以匿名访问，不返回用户资料
+   * @param {string} token - 明文验证令牌
+   * @returns {Promise<void>}
+   * @throws {ValidationError} 缺少令牌、令牌无效或过期
+   */
+  async verifyEmail(token) {
+    if (!token) {
+      throw new ValidationError("emailVerification.tokenRequired", {
+        details: [
+          { field: "token", message: { key: "common.missingParameter", params: { name: "token" } } },
+        ],
+      });
+    }
+
+    const record = await actionTokenRepository.findByHash(
+      hashToken(token),
+      PURPOSE
+    );
+    if (!record || record.used_at) {
+      throw linkInvalid("emailVerification.linkNotFound");
+    }
+
+    if (record.isExpired()) {
+      throw new ValidationError("emailVerification.linkExpired", {
+        code: "VERIFICATION_TOKEN_EXPIRED",
+        details: [{ field: "token", message: "emailVerification.requestAgain" }],
+      });
+    }
+
+    // 令牌签发后用户修改过邮箱，则旧邮箱的验证链接不再有效
+    const user = await userRepository.findById(record.user_id);
+    if (!user || user.email !== record.target) {
+      throw linkInvalid("emailVerification.emailChanged");
+    }
+
+    const consumed = await actionTokenRepository.markUsed(record.id);
+    if (!consumed) {
+      throw linkInvalid("emailVerification.linkNotFound");
+    }
+
+    await userRepository.update(user.id, {
+      email_verified: true,
+      email_verified_at: new Date(),
+    });
+  }
+}
+
+export default new EmailVerificationService();
@@ -0,0 +1,98 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../../config/db.config.js';
+import User from '../user/user.model.js';
+
+/**
+ * 登录历史数据模型
+ * 记录每一次登录尝试（成功或失败），供排查账户异常使用
+ */
+const LoginHistory = sequelize.define('LoginHistory', {
+  // 主键ID
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '记录唯一标识'
+  },
+
+  // 所属用户
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '所属用户ID，登录标识不存在时为空'
+  },
+
+  // 登录标识
+  identifier: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: '登录时提交的用户名或邮箱'
+  },
+
+  // 是否成功
+  success: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    comment: '登录是否成功'
+  },
+
+  // 失败原因
+  failure_reason: {
+    type: DataTypes.ENUM('invalid_credentials', 'account_locked', 'account_disabled', 'invalid_mfa_code'),
+    allowNull: true,
+    comment: '失败原因，成功时为空'
+  },
+
+  // 客户端IP
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    comment: '客户端IP地址'
+  },
+
+  // 用户代理
+  user_agent: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '客户端User-Agent'
+  }
+}, {
+  // 表名
+  tableName: 'login_histories',
+
+  // 历史记录只追加，无需更新时间和软删除
+  updatedAt: false,
+  paranoid: false,
+
+  // 索引定义
+  indexes: [
+    {
+      fields: ['user_id', 'created_at']
+    },
+    {
+      fields: ['ip_address']
+    }
+  ]
+});
+
+// 关联关系
+User.hasMany(LoginHistory, { foreignKey: 'user_id', as: 'loginHistories', onDelete: 'CASCADE' });
+LoginHistory.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+/**
+ * 实例方法：获取对外展示的记录信息
+ * @returns {Object} 登录记录
+ */
+LoginHistory.prototype.getPublicInfo = function() {
+  return {
+    id: this.id,
+    success: this.success,
+    failure_reason: this.failure_reason,
+    identifier: this.identifier,
+    ip_address: this.ip_address,
+    user_agent: this.user_agent,
+    created_at: this.createdAt
+  };
+};
+
+export default LoginHistory;
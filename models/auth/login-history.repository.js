@@ -0,0 +1,63 @@
+import LoginHistory from './login-history.model.js';
+import { translateDatabaseError } from '../../errors/database.error.js';
+
+/**
+ * 登录历史数据访问层
+ */
+class LoginHistoryRepository {
+
+  /**
+   * 新增登录记录
+   * @param {Object} entryData - 记录数据
+   * @returns {Promise<LoginHistory>} 创建的记录
+   */
+  async create(entryData) {
+    try {
+      return await LoginHistory.create(entryData);
+    } catch (error) {
+      throw translateDatabaseError(error, '创建登录记录失败');
+    }
+  }
+
+  /**
+   * 分页获取用户的登录记录
+   * @param {number} userId - 用户ID
+   * @param {Object} options - 查询选项
+   * @param {number} options.page - 页码（从1开始）
+   * @param {number} options.limit - 每页数量
+   * @param {boolean} options.success - 按是否成功筛选（可选）
+   * @returns {Promise<Object>} 包含记录列表和分页信息的对象
+   */
+  async findByUser(userId, options = {}) {
+    try {
+      const { page = 1, limit = 10, success } = options;
+      const offset = (page - 1) * limit;
+
+      const where = { user_id: userId };
+      if (success !== undefined) {
+        where.success = success;
+      }
+
+      const { count, rows } = await LoginHistory.findAndCountAll({
+        where,
+        order: [['created_at', 'DESC'], ['id', 'DESC']],
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      return {
+        logins: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      };
+    } catch (error) {
+      throw translateDatabaseError(error, '获取登录记录失败');
+    }
+  }
+}
+
+export default new LoginHistoryRepository();
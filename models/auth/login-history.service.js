@@ -0,0 +1,58 @@
+import loginHistoryRepository from "./login-history.repository.js";
+import userRepository from "../user/user.repository.js";
+import { logger } from "../../infrastructure/logger.infrastructure.js";
+import { NotFoundError } from "../../errors/app.error.js";
+
+/**
+ * 登录历史业务逻辑层
+ */
+class LoginHistoryService {
+  /**
+   * 记录一次登录尝试
+   * 审计记录写入失败只输出错误日志，不影响登录流程
+   * @param {Object} entry - 记录内容
+   * @param {number|null} entry.userId - 用户ID
+   * @param {string} entry.identifier - 登录标识
+   * @param {boolean} entry.success - 是否成功
+   * @param {string|null} entry.failureReason - 失败原因
+   * @param {string|null} entry.ip - 客户端IP
+   * @param {string|null} entry.userAgent - 客户端User-Agent
+   */
+  async record({ userId = null, identifier = null, success, failureReason = null, ip = null, userAgent = null }) {
+    try {
+      await loginHistoryRepository.create({
+        user_id: userId,
+        identifier: identifier ? String(identifier).slice(0, 100) : null,
+        success,
+        failure_reason: success ? null : failureReason,
+        ip_address: ip,
+        user_agent: userAgent ? userAgent.slice(0, 255) : null,
+      });
+    } catch (error) {
+      logger.error("写入登录记录失败", { component: "login-history", error });
+    }
+  }
+
+  /**
+   * 分页获取用户的登录记录
+   * @param {number} userId - 用户ID
+   * @param {Object} options - 查询选项（page、limit、success）
+   * @returns {Promise<Object>} 登录记录和分页信息 { logins, pagination }
+   * @throws {NotFoundError} 用户不存在
+   */
+  async getUserLogins(userId, options = {}) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError("user.notFound", { code: "USER_NOT_FOUND" });
+    }
+
+    const result = await loginHistoryRepository.findByUser(userId, options);
+
+    return {
+      logins: result.logins.map((login) => login.getPublicInfo()),
+      pagination: result.pagination,
+    };
+  }
+}
+
+export default new LoginHistoryService();
@@ -0,0 +1,76 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../../config/db.config.js';
+
+/**
+ * 登录失败计数数据模型
+ * 按账户和IP分别记录连续失败次数及锁定截止时间
+ */
+const LoginThrottle = sequelize.define('LoginThrottle', {
+  // 主键ID
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '记录唯一标识'
+  },
+
+  // 计数维度
+  scope: {
+    type: DataTypes.ENUM('account', 'ip'),
+    allowNull: false,
+    comment: '计数维度：account（账户）或 ip（客户端IP）'
+  },
+
+  // 计数键
+  key: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    comment: '账户维度为用户ID或登录标识，IP维度为IP地址'
+  },
+
+  // 连续失败次数
+  failed_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '统计窗口内的连续失败次数'
+  },
+
+  // 最近失败时间
+  last_failed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '最近一次失败时间'
+  },
+
+  // 锁定截止时间
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '锁定截止时间，为空表示未锁定'
+  }
+}, {
+  // 表名
+  tableName: 'login_throttles',
+
+  // 计数记录无需软删除
+  paranoid: false,
+
+  // 索引定义
+  indexes: [
+    {
+      unique: true,
+      fields: ['scope', 'key']
+    }
+  ]
+});
+
+/**
+ * 实例方法：判断当前是否处于锁定状态
+ * @returns {boolean} 是否锁定
+ */
+LoginThrottle.prototype.isLocked = function() {
+  return !!this.locked_until && new Date(this.locked_until) > new Date();
+};
+
+export default LoginThrottle;
@@ -0,0 +1,69 @@
+import { Op } from 'sequelize';
+import LoginThrottle from './login-throttle.model.js';
+import { translateDatabaseError } from '../../errors/database.error.js';
+
+/**
+ * 登录失败计数数据访问层
+ */
+class LoginThrottleRepository {
+
+  /**
+   * 批量查找计数记录
+   * @param {Array<Object>} entries - 由 { scope, key } 组成的列表
+   * @returns {Promise<Array>} 计数记录列表
+   */
+  async findAll(entries) {
+    try {
+      return await LoginThrottle.findAll({
+        where: { [Op.or]: entries.map(({ scope, key }) => ({ scope, key })) }
+      });
+    } catch (error) {
+      throw translateDatabaseError(error, '查询登录失败计数失败');
+    }
+  }
+
+  /**
+   * 查找单条计数记录
+   * @param {string} scope - 计数维度
+   * @param {string} key - 计数键
+   * @returns {Promise<LoginThrottle|null>} 计数记录或null
+   */
+  async find(scope, key) {
+    try {
+      return await LoginThrottle.findOne({ where: { scope, key } });
+    } catch (error) {
+      throw translateDatabaseError(error, '查询登录失败计数失败');
+    }
+  }
+
+  /**
+   * 写入计数记录（不存在则创建）
+   * @param {string} scope - 计数维度
+   * @param {string} key - 计数键
+   * @param {Object} values - 要写入的字段
+   * @returns {Promise<void>}
+   */
+  async save(scope, key, values) {
+    try {
+      await LoginThrottle.upsert({ scope, key, ...values });
+    } catch (error) {
+      throw translateDatabaseError(error, '保存登录失败计数失败');
+    }
+  }
+
+  /**
+   * 清除计数记录
+   * @param {string} scope - 计数维度
+   * @param {string} key - 计数键
+   * @returns {Promise<number>} 删除的记录数量
+   */
+  async clear(scope, key) {
+    try {
+      return await LoginThrottle.destroy({ where: { scope, key } });
+    } catch (error) {
+      throw translateDatabaseError(error, '清除登录失败计数失败');
+    }
+  }
+}
+
+export default new LoginThrottleRepository();
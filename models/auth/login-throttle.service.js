@@ -0,0 +1,142 @@
+import loginThrottleRepository from "./login-throttle.repository.js";
+import userRepository from "../user/user.repository.js";
+import { hashToken } from "./auth.service.js";
+import { loginThrottleConfig } from "../../config/app.config.js";
+import { NotFoundError } from "../../errors/app.error.js";
+
+/**
+ * 计算账户维度的计数键
+ * 已存在的用户按ID计数，用户名和邮箱共享同一计数；
+ * 不存在的登录标识同样计数，使锁定行为不暴露账户是否存在；
+ * 登录标识取哈希后作为键，任意长度的输入都能放进计数表的 key 列
+ * @param {Object|null} user - 用户实例
+ * @param {string} identifier - 登录标识
+ * @returns {string} 计数键
+ */
+const accountKey = (user, identifier) =>
+  user ? `user:${user.id}` : `identifier:${hashToken(String(identifier).toLowerCase())}`;
+
+/**
+ * 登录防暴力破解业务逻辑层
+ * 按账户和IP统计连续失败次数，超过阈值后按指数退避锁定
+ */
+class LoginThrottleService {
+  /**
+   * 构造本次登录涉及的计数维度
+   * @param {Object|null} user - 用户实例
+   * @param {string} identifier - 登录标识
+   * @param {string|null} ip - 客户端IP
+   * @returns {Array<Object>} 由 { scope, key, limit } 组成的列表
+   */
+  buildEntries(user, identifier, ip) {
+    const entries = [
+      {
+        scope: "account",
+        key: accountKey(user, identifier),
+        limit: loginThrottleConfig.maxFailedAttempts,
+      },
+    ];
+    if (ip) {
+      entries.push({
+        scope: "ip",
+        key: ip,
+        limit: loginThrottleConfig.ipMaxFailedAttempts,
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * 查询当前是否被锁定
+   * 异常直接抛出由调用方处理
+   * @param {Object|null} user - 用户实例
+   * @param {string} identifier - 登录标识
+   * @param {string|null} ip - 客户端IP
+   * @returns {Promise<number>} 剩余锁定秒数，未锁定时为0
+   */
+  async getRetryAfter(user, identifier, ip) {
+    const records = await loginThrottleRepository.findAll(
+      this.buildEntries(user, identifier, ip)
+    );
+    const now = Date.now();
+    return records.reduce((retryAfter, record) => {
+      if (!record.isLocked()) {
+        return retryAfter;
+      }
+      const remaining = Math.ceil(
+        (new Date(record.locked_until).getTime() - now) / 1000
+      );
+      return Math.max(retryAfter, remaining);
+    }, 0);
+  }
+
+  /**
+   * 记录一次登录失败，达到阈值后按指数退避设置锁定时间
+   * 异常直接抛出由调用方处理
+   * @param {Object|null} user - 用户实例
+   * @param {string} identifier - 登录标识
+   * @param {string|null} ip - 客户端IP
+   */
+  async recordFailure(user, identifier, ip) {
+    const now = new Date();
+    const { attemptWindow, baseLockout, maxLockout } = loginThrottleConfig;
+
+    for (const { scope, key, limit } of this.buildEntries(user, identifier, ip)) {
+      const record = await loginThrottleRepository.find(scope, key);
+
+      // 超过统计窗口未再失败且未处于锁定中，则重新计数
+      const windowExpired =
+        !record ||
+        !record.last_failed_at ||
+        now - new Date(record.last_failed_at) > attemptWindow * 1000;
+      const failedCount =
+        windowExpired && !record?.isLocked() ? 1 : record.failed_count + 1;
+
+      let lockedUntil = record?.locked_until || null;
+      if (failedCount >= limit) {
+        const lockSeconds = Math.min(
+          baseLockout * 2 ** (failedCount - limit),
+          maxLockout
+        );
+        lockedUntil = new Date(now.getTime() + lockSeconds * 1000);
+      }
+
+      await loginThrottleRepository.save(scope, key, {
+        failed_count: failedCount,
+        last_failed_at: now,
+        locked_until: lockedUntil,
+      });
+    }
+  }
+
+  /**
+   * 登录成功后清除账户维度的失败计数
+   * IP维度不清除，避免攻击者用自己的账户重置IP计数
+   * 异常直接抛出由调用方处理
+   * @param {Object} user - 用户实例
+   */
+  async recordSuccess(user) {
+    await loginThrottleRepository.clear("account", accountKey(user));
+  }
+
+  /**
+   * 管理员解除账户锁定
+   * @param {number} userId - 用户ID
+   * @returns {Promise<boolean>} 是否清除了失败计数，账户此前没有失败记录时为false
+   * @throws {NotFoundError} 用户不存在
+   */
+  async unlockUser(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError("user.notFound", { code: "USER_NOT_FOUND" });
+    }
+
+    const cleared = await loginThrottleRepository.clear(
+      "account",
+      accountKey(user)
+    );
+    return cleared > 0;
+  }
+}
+
+export default new LoginThrottleService();
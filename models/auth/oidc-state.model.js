@@ -0,0 +1,104 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../../config/db.config.js';
+import User from '../user/user.model.js';
+
+/**
+ * OIDC授权请求数据模型
+ * 保存发起授权时生成的state、nonce和PKCE verifier，回调时核对并一次性消费；
+ * state仅保存哈希，verifier只留在服务端
+ */
+const OidcState = sequelize.define('OidcState', {
+  // 主键ID
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '授权请求唯一标识'
+  },
+
+  // state哈希
+  state_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'state参数的SHA-256哈希值'
+  },
+
+  // 身份提供方
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: '身份提供方名称'
+  },
+
+  // 授权用途
+  purpose: {
+    type: DataTypes.ENUM('login', 'link'),
+    allowNull: false,
+    comment: '授权用途：登录或绑定'
+  },
+
+  // 发起绑定的用户
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '发起绑定的用户ID，登录时为空'
+  },
+
+  // PKCE verifier
+  code_verifier: {
+    type: DataTypes.STRING(128),
+    allowNull: false,
+    comment: 'PKCE code_verifier'
+  },
+
+  // nonce
+  nonce: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: '写入ID令牌的nonce'
+  },
+
+  // 过期时间
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '授权请求过期时间'
+  },
+
+  // 使用时间
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '回调使用时间，为空表示尚未使用'
+  }
+}, {
+  // 表名
+  tableName: 'oidc_states',
+
+  // 授权请求无需更新时间和软删除
+  updatedAt: false,
+  paranoid: false,
+
+  // 索引定义
+  indexes: [
+    {
+      unique: true,
+      fields: ['state_hash']
+    }
+  ]
+});
+
+// 关联关系
+User.hasMany(OidcState, { foreignKey: 'user_id', as: 'oidcStates', onDelete: 'CASCADE' });
+OidcState.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+/**
+ * 实例方法：判断授权请求是否已过期
+ * @returns {boolean} 是否已过期
+ */
+OidcState.prototype.isExpired = function() {
+  return new Date(this.expires_at) <= new Date();
+};
+
+export default OidcState;
@@ -0,0 +1,69 @@
+import OidcState from './oidc-state.model.js';
+import { Op } from 'sequelize';
+import { translateDatabaseError } from '../../errors/database.error.js';
+
+/**
+ * OIDC授权请求数据访问层
+ */
+class OidcStateRepository {
+
+  /**
+   * 创建授权请求记录
+   * @param {Object} stateData - 授权请求数据
+   * @returns {Promise<OidcState>} 创建的记录
+   */
+  async create(stateData) {
+    try {
+      return await OidcState.create(stateData);
+    } catch (error) {
+      throw translateDatabaseError(error, '创建授权请求失败');
+    }
+  }
+
+  /**
+   * 根据state哈希查找记录
+   * @param {string} stateHash - state哈希
+   * @returns {Promise<OidcState|null>} 记录或null
+   */
+  async findByHash(stateHash) {
+    try {
+      return await OidcState.findOne({ where: { state_hash: stateHash } });
+    } catch (error) {
+      throw translateDatabaseError(error, '查找授权请求失败');
+    }
+  }
+
+  /**
+   * 标记授权请求已使用
+   * 仅当尚未使用时才会更新，并发回调只有一个能成功
+   * @param {number} id - 记录ID
+   * @returns {Promise<boolean>} 是否标记成功
+   */
+  async markUsed(id) {
+    try {
+      const [updatedRowsCount] = await OidcState.update(
+        { used_at: new Date() },
+        { where: { id, used_at: null } }
+      );
+      return updatedRowsCount > 0;
+    } catch (error) {
+      throw translateDatabaseError(error, '更新授权请求失败');
+    }
+  }
+
+  /**
+   * 清理已过期的授权请求
+   * @returns {Promise<number>} 删除的记录数量
+   */
+  async deleteExpired() {
+    try {
+      return await OidcState.destroy({
+        where: { expires_at: { [Op.lt]: new Date() } }
+      });
+    } catch (error) {
+      throw translateDatabaseError(error, '清理过期授权请求失败');
+    }
+  }
+}
+
+export default new OidcStateRepository();
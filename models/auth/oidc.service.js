@@ -0,0 +1,332 @@
+import oidcStateRepository from "./oidc-state.repository.js";
+import userIdentityRepository from "./user-identity.repository.js";
+import userRepository from "../user/user.repository.js";
+import { USER_VIEWS, serializeUser } from "../user/user.serializer.js";
+import twoFactorService from "./two-factor.service.js";
+import loginHistoryService from "./login-history.service.js";
+import { hashToken } from "./auth.service.js";
+import {
+  createPkcePair,
+  buildAuthorizationUrl,
+  authenticateWithCode,
+  OidcRejectedError,
+} from "../../infrastructure/oidc.infrastructure.js";
+import { oidcConfig } from "../../config/app.config.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} from "../../errors/app.error.js";
+import { randomBytes } from "crypto";
+
+/**
+ * 身份提供方不存在或未启用时抛出的错误
+ * @returns {NotFoundError} 错误实例
+ */
+const unsupportedProvider = () =>
+  new NotFoundError("oidc.providerUnsupported", {
+    code: "OIDC_PROVIDER_NOT_FOUND",
+    details: [{ field: "provider", message: "oidc.providerUnavailable" }],
+  });
+
+/**
+ * state无效、过期、已使用或与本次流程不匹配时抛出的错误
+ * @returns {ValidationError} 错误实例
+ */
+const invalidState = () =>
+  new ValidationError("oidc.stateInvalid", {
+    code: "OIDC_STATE_INVALID",
+    details: [{ field: "state", message: "oidc.restartAuthorization" }],
+  });
+
+/**
+ * 同一身份提供方已绑定过第三方账号时抛出的错误
+ * @returns {ConflictError} 错误实例
+ */
+const providerAlreadyLinked = () =>
+  new ConflictError("oidc.providerAlreadyLinked", {
+    code: "OIDC_PROVIDER_ALREADY_LINKED",
+    details: [{ field: "provider", message: "oidc.unlinkFirst" }],
+  });
+
+/**
+ * 获取已启用的身份提供方配置
+ * @param {string} name - 身份提供方名称
+ * @returns {Object|null} 提供方配置，未配置clientId时视为未启用
+ */
+const getProvider = (name) => {
+  const provider = Object.hasOwn(oidcConfig.providers, name)
+    ? oidcConfig.providers[name]
+    : null;
+  return provider && provider.clientId ? provider : null;
+};
+
+/**
+ * OpenID Connect 第三方登录业务逻辑层
+ * 授权码 + PKCE 流程；只有已绑定的第三方账号可以登录，不会按邮箱自动关联或创建账户。
+ * 授权和绑定相关的失败抛出 errors/app.error.js 中的错误；登录返回与账号密码登录一致的结果对象
+ */
+class OidcService {
+  /**
+   * 获取已启用的身份提供方
+   * @returns {Array<Object>} 提供方列表
+   */
+  listProviders() {
+    return Object.keys(oidcConfig.providers)
+      .filter((name) => getProvider(name))
+      .map((name) => ({
+        name,
+        displayName: oidcConfig.providers[name].displayName || name,
+      }));
+  }
+
+  /**
+   * 发起授权请求
+   * @param {string} providerName - 身份提供方名称
+   * @param {number|null} userId - 绑定时传入当前用户ID，登录时为空
+   * @returns {Promise<Object>} 授权地址和state { authorizationUrl, state, expiresIn }
+   * @throws {NotFoundError|ConflictError} 身份提供方未启用，或绑定时该提供方已绑定过账号
+   */
+  async createAuthorization(providerName, userId = null) {
+    const provider = getProvider(providerName);
+    if (!provider) {
+      throw unsupportedProvider();
+    }
+
+    if (userId) {
+      const linked = await userIdentityRepository.findByUserAndProvider(
+        userId,
+        providerName
+      );
+      if (linked) {
+        throw providerAlreadyLinked();
+      }
+    }
+
+    const state = randomBytes(32).toString("hex");
+    const nonce = randomBytes(16).toString("hex");
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    await oidcStateRepository.create({
+      state_hash: hashToken(state),
+      provider: providerName,
+      purpose: userId ? "link" : "login",
+      user_id: userId,
+      code_verifier: codeVerifier,
+      nonce,
+      expires_at: new Date(Date.now() + oidcConfig.stateExpiresIn * 1000),
+    });
+
+    const authorizationUrl = await buildAuthorizationUrl(provider, {
+      state,
+      nonce,
+      codeChallenge,
+    });
+
+    return {
+      authorizationUrl,
+      state,
+      expiresIn: oidcConfig.stateExpiresIn,
+    };
+  }
+
+  /**
+   * 处理授权回调：消费state并用授权码换取经过校验的ID令牌声明
+   * @param {string} providerName - 身份提供方名称
+   * @param {Object} params - 回调参数 { code, state }
+   * @param {number|null} userId - 绑定时的当前用户ID，登录时为空
+   * @returns {Promise<Object>} ID令牌声明
+   * @throws {NotFoundError|ValidationError} 身份提供方未启用、回调参数缺失、state无效或授权码被拒绝
+   */
+  async resolveCallback(providerName, { code, state } = {}, userId = null) {
+    const provider = getProvider(providerName);
+    if (!provider) {
+      throw unsupportedProvider();
+    }
+
+    if (!code || !state) {
+      throw new ValidationError("oidc.callbackIncomplete", {
+        code: "OIDC_CALLBACK_INCOMPLETE",
+        details: [{ field: null, message: "oidc.callbackParamsMissing" }],
+      });
+    }
+
+    // state必须由本流程签发，且提供方、用途、发起用户都一致
+    const record = await oidcStateRepository.findByHash(hashToken(state));
+    const purpose = userId ? "link" : "login";
+    if (
+      !record ||
+      record.used_at ||
+      record.isExpired() ||
+      record.provider !== providerName ||
+      record.purpose !== purpose ||
+      (record.user_id || null) !== userId
+    ) {
+      throw invalidState();
+    }
+
+    if (!(await oidcStateRepository.markUsed(record.id))) {
+      throw invalidState();
+    }
+
+    // 授权码无效、过期或已使用以及ID令牌校验失败属于可重试的授权失败，其他错误原样抛出
+    try {
+      return await authenticateWithCode(provider, {
+        code,
+        codeVerifier: record.code_verifier,
+        nonce: record.nonce,
+      });
+    } catch (error) {
+      if (!(error instanceof OidcRejectedError)) {
+        throw error;
+      }
+      throw new ValidationError("oidc.authorizationRejected", {
+        code: "OIDC_AUTHORIZATION_REJECTED",
+        details: [{ field: "code", message: "oidc.restartAuthorization" }],
+      });
+    }
+  }
+
+  /**
+   * 使用已绑定的第三方账号登录
+   * 启用双因素认证的用户同样需要完成第二步验证
+   * @param {string} providerName - 身份提供方名称
+   * @param {Object} params - 回调参数 { code, state }
+   * @param {Object} context - 客户端信息 { ip, userAgent }
+   * @returns {Promise<Object>} 登录结果，与账号密码登录的结果结构一致
+   * @throws {NotFoundError|ValidationError} 授权回调无效（见 resolveCallback）
+   */
+  async login(providerName, params, context = {}) {
+    const claims = await this.resolveCallback(providerName, params);
+    const attempt = {
+      identifier: `${providerName}:${claims.email || claims.sub}`,
+      ip: context.ip || null,
+      userAgent: context.userAgent || null,
+    };
+
+    const identity = await userIdentityRepository.findByProviderSubject(
+      providerName,
+      claims.sub
+    );
+    const user = identity
+      ? await userRepository.findById(identity.user_id)
+      : null;
+    if (!user) {
+      await loginHistoryService.record({
+        ...attempt,
+        success: false,
+        failureReason: "invalid_credentials",
+      });
+      return {
+        success: false,
+        message: "oidc.identityNotLinked",
+        errors: ["oidc.linkFromSettings"],
+      };
+    }
+
+    attempt.userId = user.id;
+    if (user.status !== "active") {
+      await loginHistoryService.record({
+        ...attempt,
+        success: false,
+        failureReason: "account_disabled",
+      });
+      return {
+        success: false,
+        message: "auth.accountDisabled",
+        errors: ["auth.accountDisabledDetail"],
+      };
+    }
+
+    await userIdentityRepository.update(identity.id, {
+      email: claims.email || identity.email,
+      last_login_at: new Date(),
+    });
+
+    if (await twoFactorService.isEnabled(user.id)) {
+      return {
+        success: true,
+        message: "auth.mfaRequired",
+        mfaRequired: true,
+        data: twoFactorService.createChallenge(user),
+      };
+    }
+
+    await user.updateLastLogin(attempt.ip);
+    await loginHistoryService.record({ ...attempt, success: true });
+
+    return {
+      success: true,
+      message: "auth.loginSucceeded",
+      data: serializeUser(user, USER_VIEWS.SELF),
+    };
+  }
+
+  /**
+   * 为用户绑定第三方账号
+   * @param {number} userId - 用户ID
+   * @param {string} providerName - 身份提供方名称
+   * @param {Object} params - 回调参数 { code, state }
+   * @returns {Promise<Object>} 绑定的第三方账号信息
+   * @throws {NotFoundError|ValidationError|ConflictError} 授权回调无效，或第三方账号、身份提供方已绑定
+   */
+  async linkIdentity(userId, providerName, params) {
+    const claims = await this.resolveCallback(providerName, params, userId);
+    const existing = await userIdentityRepository.findByProviderSubject(
+      providerName,
+      claims.sub
+    );
+    if (existing) {
+      const own = existing.user_id === userId;
+      throw new ConflictError(
+        own ? "oidc.identityAlreadyLinked" : "oidc.identityLinkedToOther",
+        {
+          code: own ? "OIDC_IDENTITY_ALREADY_LINKED" : "OIDC_IDENTITY_LINKED_TO_OTHER",
+          details: [{ field: null, message: "oidc.identitySingleOwner" }],
+        }
+      );
+    }
+
+    if (await userIdentityRepository.findByUserAndProvider(userId, providerName)) {
+      throw providerAlreadyLinked();
+    }
+
+    const identity = await userIdentityRepository.create({
+      user_id: userId,
+      provider: providerName,
+      subject: claims.sub,
+      email: claims.email || null,
+    });
+
+    return identity.getPublicInfo();
+  }
+
+  /**
+   * 获取用户绑定的第三方账号
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Array<Object>>} 绑定列表
+   */
+  async listIdentities(userId) {
+    const identities = await userIdentityRepository.findByUser(userId);
+    return identities.map((identity) => identity.getPublicInfo());
+  }
+
+  /**
+   * 解除第三方账号绑定
+   * @param {number} userId - 用户ID
+   * @param {string} providerName - 身份提供方名称
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} 未绑定该身份提供方的账号
+   */
+  async unlinkIdentity(userId, providerName) {
+    const removed = await userIdentityRepository.remove(userId, providerName);
+    if (!removed) {
+      throw new NotFoundError("oidc.providerNotLinked", {
+        code: "OIDC_IDENTITY_NOT_FOUND",
+        details: [{ field: "provider", message: "oidc.identityNotFound" }],
+      });
+    }
+  }
+}
+
+export default new OidcService();
@@ -0,0 +1,51 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../../config/db.config.js';
+import User from '../user/user.model.js';
+
+/**
+ * 密码历史数据模型
+ * 记录用户设置过的密码哈希，用于阻止重复使用最近的密码
+ */
+const PasswordHistory = sequelize.define('PasswordHistory', {
+  // 主键ID
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '记录唯一标识'
+  },
+
+  // 所属用户
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '所属用户ID'
+  },
+
+  // 密码哈希
+  password_hash: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: '当时设置的密码哈希值'
+  }
+}, {
+  // 表名
+  tableName: 'password_histories',
+
+  // 历史记录只追加，无需更新时间和软删除
+  updatedAt: false,
+  paranoid: false,
+
+  // 索引定义
+  indexes: [
+    {
+      fields: ['user_id', 'created_at']
+    }
+  ]
+});
+
+// 关联关系
+User.hasMany(PasswordHistory, { foreignKey: 'user_id', as: 'passwordHistories', onDelete: 'CASCADE' });
+PasswordHistory.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+export default PasswordHistory;
@@ -0,0 +1,67 @@
+import { Op } from 'sequelize';
+import PasswordHistory from './password-history.model.js';
+import { translateDatabaseError } from '../../errors/database.error.js';
+
+/**
+ * 密码历史数据访问层
+ */
+class PasswordHistoryRepository {
+
+  /**
+   * 新增密码历史记录
+   * @param {number} userId - 用户ID
+   * @param {string} passwordHash - 密码哈希
+   * @returns {Promise<PasswordHistory>} 创建的记录
+   */
+  async create(userId, passwordHash) {
+    try {
+      return await PasswordHistory.create({ user_id: userId, password_hash: passwordHash });
+    } catch (error) {
+      throw translateDatabaseError(error, '创建密码历史失败');
+    }
+  }
+
+  /**
+   * 获取用户最近的密码历史
+   * @param {number} userId - 用户ID
+   * @param {number} limit - 返回条数
+   * @returns {Promise<Array>} 按时间倒序的记录列表
+   */
+  async findRecent(userId, limit) {
+    try {
+      return await PasswordHistory.findAll({
+        where: { user_id: userId },
+        order: [['created_at', 'DESC'], ['id', 'DESC']],
+        limit
+      });
+    } catch (error) {
+      throw translateDatabaseError(error, '查询密码历史失败');
+    }
+  }
+
+  /**
+   * 只保留用户最近的若干条记录
+   * @param {number} userId - 用户ID
+   * @param {number} keep - 保留条数
+   * @returns {Promise<number>} 删除的记录数量
+   */
+  async prune(userId, keep) {
+    try {
+      const recent = await this.findRecent(userId, keep);
+      if (recent.length < keep) {
+        return 0;
+      }
+
+      return await PasswordHistory.destroy({
+        where: {
+          user_id: userId,
+          id: { [Op.notIn]: recent.map((record) => record.id) }
+        }
+      });
+    } catch (error) {
+      throw translateDatabaseError(error, '清理密码历史失败');
+    }
+  }
+}
+
+export default new PasswordHistoryRepository();
@@ -0,0 +1,48 @@
+import passwordHistoryRepository from "./password-history.repository.js";
+import { authConfig } from "../../config/app.config.js";
+import bcrypt from "bcrypt";
+
+/**
+ * 密码历史业务逻辑层
+ * 供修改密码、重置密码等流程调用，异常直接抛出由调用方处理
+ */
+class PasswordHistoryService {
+  /**
+   * 判断密码是否与当前密码或最近使用过的密码相同
+   * @param {Object} user - 用户实例
+   * @param {string} password - 明文密码
+   * @returns {Promise<boolean>} 是否属于最近使用过的密码
+   */
+  async isRecentlyUsed(user, password) {
+    const history = await passwordHistoryRepository.findRecent(
+      user.id,
+      authConfig.passwordHistoryLimit
+    );
+    const hashes = [
+      user.password_hash,
+      ...history.map((record) => record.password_hash),
+    ];
+
+    for (const hash of new Set(hashes)) {
+      if (hash && (await bcrypt.compare(password, hash))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 记录新设置的密码，并清理超出保留数量的旧记录
+   * @param {number} userId - 用户ID
+   * @param {string} passwordHash - 新密码哈希
+   */
+  async record(userId, passwordHash) {
+    await passwordHistoryRepository.create(userId, passwordHash);
+    await passwordHistoryRepository.prune(
+      userId,
+      authConfig.passwordHistoryLimit
+    );
+  }
+}
+
+export default new PasswordHistoryService();
@@ -0,0 +1,147 @@
+import actionTokenRepository from "./action-token.repository.js";
+import sessionService from "./session.service.js";
+import passwordHistoryService from "./password-history.service.js";
+import userRepository from "../user/user.repository.js";
+import { hashToken } from "./auth.service.js";
+import { sendMail } from "../../infrastructure/mailer.infrastructure.js";
+import { translate, resolveLocale, getPreferredLocale } from "../../infrastructure/i18n.infrastructure.js";
+import { authConfig, mailConfig } from "../../config/app.config.js";
+import { ValidationError } from "../../errors/app.error.js";
+import { randomBytes } from "crypto";
+import bcrypt from "bcrypt";
+
+const PURPOSE = "password_reset";
+
+/**
+ * 重置链接无效时抛出的错误
+ * @param {string} reason - 具体原因的消息键
+ * @returns {ValidationError} 错误实例
+ */
+const linkInvalid = (reason) =>
+  new ValidationError("passwordReset.linkInvalid", {
+    code: "INVALID_RESET_TOKEN",
+    details: [{ field: "token", message: reason }],
+  });
+
+/**
+ * 密码重置业务逻辑层
+ * 通过邮件发送一次性重置令牌，凭令牌设置新密码。
+ * 失败时抛出 errors/app.error.js 中的错误
+ */
+class PasswordResetService {
+  /**
+   * 申请重置密码
+   * 无论邮箱是否注册都返回相同结果，避免泄露账户是否存在；邮件使用用户偏好设置中的语言
+   * @param {string} email - 邮箱地址
+   * @returns {Promise<void>}
+   * @throws {ValidationError} 缺少邮箱
+   */
+  async requestReset(email) {
+    if (!email || typeof email !== "string") {
+      throw new ValidationError("passwordReset.emailRequired", {
+        details: [
+          { field: "email", message: { key: "common.missingParameter", params: { name: "email" } } },
+        ],
+      });
+    }
+
+    const user = await userRepository.findByEmail(email);
+    if (user && user.status === "active") {
+      await actionTokenRepository.invalidateForUser(user.id, PURPOSE);
+
+      const token = randomBytes(32).toString("hex");
+      await actionTokenRepository.create({
+        user_id: user.id,
+        purpose: PURPOSE,
+        token_hash: hashToken(token),
+        target: user.email,
+        expires_at: new Date(
+          Date.now() + authConfig.passwordResetExpiresIn * 1000
+        ),
+      });
+
+      const link = `${mailConfig.passwordResetUrl}?token=${token}`;
+      const params = {
+        username: user.username,
+        minutes: Math.round(authConfig.passwordResetExpiresIn / 60),
+        link,
+      };
+      const locale = resolveLocale(getPreferredLocale(user));
+      await sendMail({
+        to: user.email,
+        subject: translate("mail.passwordReset.subject", params, locale),
+        text: translate("mail.passwordReset.text", params, locale),
+        html: translate("mail.passwordReset.html", params, locale),
+      });
+    }
+  }
+
+  /**
+   * 使用重置令牌设置新密码
+   * 成功后注销该用户的全部会话，已登录的设备需要重新登录
+   * @param {string} token - 明文重置令牌
+   * @param {string} newPassword - 新密码，格式已由路由的请求结构校验
+   * @returns {Promise<void>}
+   * @throws {ValidationError} 缺少令牌、令牌无效或过期、新密码近期用过
+   */
+  async resetPassword(token, newPassword) {
+    if (!token) {
+      throw new ValidationError("passwordReset.tokenRequired", {
+        details: [
+          { field: "token", message: { key: "common.missingParameter", params: { name: "token" } } },
+        ],
+      });
+    }
+
+    const record = await actionTokenRepository.findByHash(
+      hashToken(token),
+      PURPOSE
+    );
+    if (!record || record.used_at) {
+      throw linkInvalid("passwordReset.linkNotFound");
+    }
+
+    if (record.isExpired()) {
+      throw new ValidationError("passwordReset.linkExpired", {
+        code: "RESET_TOKEN_EXPIRED",
+        details: [{ field: "token", message: "passwordReset.requestAgain" }],
+      });
+    }
+
+    const user = await userRepository.findById(record.user_id);
+    if (!user || user.status !== "active" || user.email !== record.target) {
+      throw linkInvalid("passwordReset.accountChanged");
+    }
+
+    if (await passwordHistoryService.isRecentlyUsed(user, newPassword)) {
+      throw new ValidationError("user.newPasswordRejected", {
+        code: "PASSWORD_RECENTLY_USED",
+        details: [
+          {
+            field: "password",
+            message: {
+              key: "user.passwordRecentlyUsed",
+              params: { limit: authConfig.passwordHistoryLimit },
+            },
+          },
+        ],
+      });
+    }
+
+    const consumed = await actionTokenRepository.markUsed(record.id);
+    if (!consumed) {
+      throw linkInvalid("passwordReset.linkNotFound");
+    }
+
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+    await userRepository.update(user.id, { password_hash: passwordHash });
+    await passwordHistoryService.record(user.id, passwordHash);
+
+    // 作废其他未使用的重置链接，并使现有登录会话失效
+    await actionTokenRepository.invalidateForUser(user.id, PURPOSE);
+    await sessionService.endAllForUser(user.id);
+  }
+}
+
+export default new PasswordResetService();
@@ -0,0 +1,108 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../../config/db.config.js';
+import User from '../user/user.model.js';
+
+/**
+ * 刷新令牌数据模型
+ * 仅保存令牌的SHA-256哈希，同一登录会话轮换出的令牌共享family_id
+ */
+const RefreshToken = sequelize.define('RefreshToken', {
+  // 主键ID
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '刷新令牌唯一标识'
+  },
+
+  // 所属用户
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '所属用户ID'
+  },
+
+  // 令牌哈希
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: '刷新令牌的SHA-256哈希值'
+  },
+
+  // 令牌家族
+  family_id: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: '令牌家族标识，即所属会话ID，同一次登录轮换出的令牌共享该值'
+  },
+
+  // 过期时间
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '令牌过期时间'
+  },
+
+  // 吊销时间
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '令牌吊销时间'
+  },
+
+  // 替换令牌
+  replaced_by_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '轮换后替换该令牌的新令牌ID'
+  },
+
+  // 创建IP
+  created_by_ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    comment: '签发令牌时的客户端IP'
+  },
+
+  // 用户代理
+  user_agent: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '签发令牌时的客户端User-Agent'
+  }
+}, {
+  // 表名
+  tableName: 'refresh_tokens',
+
+  // 令牌记录无需软删除
+  paranoid: false,
+
+  // 索引定义
+  indexes: [
+    {
+      unique: true,
+      fields: ['token_hash']
+    },
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['family_id']
+    }
+  ]
+});
+
+// 关联关系
+User.hasMany(RefreshToken, { foreignKey: 'user_id', as: 'refreshTokens', onDelete: 'CASCADE' });
+RefreshToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+/**
+ * 实例方法：判断令牌当前是否可用
+ * @returns {boolean} 未吊销且未过期时返回true
+ */
+RefreshToken.prototype.isActive = function() {
+  return !this.revoked_at && new Date(this.expires_at) > new Date();
+};
+
+export default RefreshToken;
@@ -0,0 +1,118 @@
+import RefreshToken from './refresh-token.model.js';
+import { Op } from 'sequelize';
+import { translateDatabaseError } from '../../errors/database.error.js';
+
+/**
+ * 刷新令牌数据访问层
+ * 提供刷新令牌的存取与吊销操作
+ */
+class RefreshTokenRepository {
+
+  /**
+   * 创建刷新令牌记录
+   * @param {Object} tokenData - 令牌数据
+   * @returns {Promise<RefreshToken>} 创建的令牌实例
+   */
+  async create(tokenData) {
+    try {
+      return await RefreshToken.create(tokenData);
+    } catch (error) {
+      throw translateDatabaseError(error, '创建刷新令牌失败');
+    }
+  }
+
+  /**
+   * 根据令牌哈希查找记录
+   * @param {string} tokenHash - 令牌哈希
+   * @returns {Promise<RefreshToken|null>} 令牌实例或null
+   */
+  async findByHash(tokenHash) {
+    try {
+      return await RefreshToken.findOne({ where: { token_hash: tokenHash } });
+    } catch (error) {
+      throw translateDatabaseError(error, '查找刷新令牌失败');
+    }
+  }
+
+  /**
+   * 吊销单个令牌
+   * @param {number} id - 令牌ID
+   * @param {number} replacedById - 替换该令牌的新令牌ID（轮换时传入）
+   * @returns {Promise<boolean>} 是否有记录被吊销
+   */
+  async revoke(id, replacedById = null) {
+    try {
+      const [updatedRowsCount] = await RefreshToken.update(
+        { revoked_at: new Date(), replaced_by_id: replacedById },
+        { where: { id, revoked_at: null } }
+      );
+      return updatedRowsCount > 0;
+    } catch (error) {
+      throw translateDatabaseError(error, '吊销刷新令牌失败');
+    }
+  }
+
+  /**
+   * 记录替换已吊销令牌的新令牌
+   * @param {number} id - 已吊销的令牌ID
+   * @param {number} replacedById - 新令牌ID
+   * @returns {Promise<void>}
+   */
+  async setReplacedBy(id, replacedById) {
+    try {
+      await RefreshToken.update({ replaced_by_id: replacedById }, { where: { id } });
+    } catch (error) {
+      throw translateDatabaseError(error, '更新刷新令牌失败');
+    }
+  }
+
+  /**
+   * 吊销整个令牌家族
+   * @param {string} familyId - 令牌家族标识
+   * @returns {Promise<number>} 被吊销的令牌数量
+   */
+  async revokeFamily(familyId) {
+    try {
+      const [updatedRowsCount] = await RefreshToken.update(
+        { revoked_at: new Date() },
+        { where: { family_id: familyId, revoked_at: null } }
+      );
+      return updatedRowsCount;
+    } catch (error) {
+      throw translateDatabaseError(error, '吊销令牌家族失败');
+    }
+  }
+
+  /**
+   * 吊销用户的全部令牌
+   * @param {number} userId - 用户ID
+   * @returns {Promise<number>} 被吊销的令牌数量
+   */
+  async revokeAllForUser(userId) {
+    try {
+      const [updatedRowsCount] = await RefreshToken.update(
+        { revoked_at: new Date() },
+        { where: { user_id: userId, revoked_at: null } }
+      );
+      return updatedRowsCount;
+    } catch (error) {
+      throw translateDatabaseError(error, '吊销用户令牌失败');
+    }
+  }
+
+  /**
+   * 清理已过期的令牌
+   * @returns {Promise<number>} 删除的记录数量
+   */
+  async deleteExpired() {
+    try {
+      return await RefreshToken.destroy({
+        where: { expires_at: { [Op.lt]: new Date() } }
+      });
+    } catch (error) {
+      throw translateDatabaseError(error, '清理过期刷新令牌失败');
+    }
+  }
+}
+
+export default new RefreshTokenRepository();
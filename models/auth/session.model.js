@@ -0,0 +1,111 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../../config/db.config.js';
+import User from '../user/user.model.js';
+
+/**
+ * 登录会话数据模型
+ * 每次登录创建一个会话，会话ID即该次登录刷新令牌的family_id
+ */
+const Session = sequelize.define('Session', {
+  // 主键ID
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4,
+    comment: '会话唯一标识'
+  },
+
+  // 所属用户
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '所属用户ID'
+  },
+
+  // 设备描述
+  device: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: '根据User-Agent识别的设备描述'
+  },
+
+  // 客户端IP
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    comment: '最近一次活动的客户端IP'
+  },
+
+  // 用户代理
+  user_agent: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '客户端User-Agent'
+  },
+
+  // 最后活跃时间
+  last_seen_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '最后活跃时间'
+  },
+
+  // 过期时间
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '会话过期时间，随刷新令牌轮换顺延'
+  },
+
+  // 注销时间
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '会话注销时间'
+  }
+}, {
+  // 表名
+  tableName: 'sessions',
+
+  // 会话记录无需软删除
+  paranoid: false,
+
+  // 索引定义
+  indexes: [
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+// 关联关系
+User.hasMany(Session, { foreignKey: 'user_id', as: 'sessions', onDelete: 'CASCADE' });
+Session.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+/**
+ * 实例方法：判断会话当前是否有效
+ * @returns {boolean} 未注销且未过期时返回true
+ */
+Session.prototype.isActive = function() {
+  return !this.revoked_at && new Date(this.expires_at) > new Date();
+};
+
+/**
+ * 实例方法：获取对外展示的会话信息
+ * @param {string|null} currentSessionId - 当前请求所属的会话ID
+ * @returns {Object} 会话信息
+ */
+Session.prototype.getPublicInfo = function(currentSessionId = null) {
+  return {
+    id: this.id,
+    device: this.device,
+    ip_address: this.ip_address,
+    user_agent: this.user_agent,
+    created_at: this.createdAt,
+    last_seen_at: this.last_seen_at,
+    expires_at: this.expires_at,
+    current: this.id === currentSessionId
+  };
+};
+
+export default Session;
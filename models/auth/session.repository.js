@@ -0,0 +1,106 @@
+import Session from './session.model.js';
+import { Op } from 'sequelize';
+import { translateDatabaseError } from '../../errors/database.error.js';
+
+/**
+ * 登录会话数据访问层
+ */
+class SessionRepository {
+
+  /**
+   * 创建会话
+   * @param {Object} sessionData - 会话数据
+   * @returns {Promise<Session>} 创建的会话实例
+   */
+  async create(sessionData) {
+    try {
+      return await Session.create(sessionData);
+    } catch (error) {
+      throw translateDatabaseError(error, '创建会话失败');
+    }
+  }
+
+  /**
+   * 根据ID查找会话
+   * @param {string} id - 会话ID
+   * @returns {Promise<Session|null>} 会话实例或null
+   */
+  async findById(id) {
+    try {
+      return await Session.findByPk(id);
+    } catch (error) {
+      throw translateDatabaseError(error, '查找会话失败');
+    }
+  }
+
+  /**
+   * 获取用户当前有效的会话，按最后活跃时间倒序
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Array<Session>>} 会话列表
+   */
+  async findActiveByUser(userId) {
+    try {
+      return await Session.findAll({
+        where: {
+          user_id: userId,
+          revoked_at: null,
+          expires_at: { [Op.gt]: new Date() }
+        },
+        order: [['last_seen_at', 'DESC'], ['created_at', 'DESC']]
+      });
+    } catch (error) {
+      throw translateDatabaseError(error, '获取会话列表失败');
+    }
+  }
+
+  /**
+   * 更新会话活动信息
+   * @param {string} id - 会话ID
+   * @param {Object} values - 需要更新的字段
+   * @returns {Promise<number>} 更新的记录数量
+   */
+  async update(id, values) {
+    try {
+      const [updatedRowsCount] = await Session.update(values, { where: { id } });
+      return updatedRowsCount;
+    } catch (error) {
+      throw translateDatabaseError(error, '更新会话失败');
+    }
+  }
+
+  /**
+   * 注销单个会话
+   * @param {string} id - 会话ID
+   * @returns {Promise<boolean>} 是否有会话被注销
+   */
+  async revoke(id) {
+    try {
+      const [updatedRowsCount] = await Session.update(
+        { revoked_at: new Date() },
+        { where: { id, revoked_at: null } }
+      );
+      return updatedRowsCount > 0;
+    } catch (error) {
+      throw translateDatabaseError(error, '注销会话失败');
+    }
+  }
+
+  /**
+   * 注销用户的全部会话
+   * @param {number} userId - 用户ID
+   * @returns {Promise<number>} 被注销的会话数量
+   */
+  async revokeAllForUser(userId) {
+    try {
+      const [updatedRowsCount] = await Session.update(
+        { revoked_at: new Date() },
+        { where: { user_id: userId, revoked_at: null } }
+      );
+      return updatedRowsCount;
+    } catch (error) {
+      throw translateDatabaseError(error, '注销用户会话失败');
+    }
+  }
+}
+
+export default new SessionRepository();
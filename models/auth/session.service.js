@@ -0,0 +1,182 @@
+import sessionRepository from "./session.repository.js";
+import refreshTokenRepository from "./refresh-token.repository.js";
+import userRepository from "../user/user.repository.js";
+import { authConfig } from "../../config/app.config.js";
+import { NotFoundError } from "../../errors/app.error.js";
+
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Chrome", /Chrome\//],
+  ["Firefox", /Firefox\//],
+  ["Safari", /Safari\//],
+];
+
+const PLATFORMS = [
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux/],
+];
+
+/**
+ * 根据User-Agent生成简短的设备描述，例如 "Chrome on Windows"
+ * @param {string|null} userAgent - 客户端User-Agent
+ * @returns {string|null} 设备描述，无法识别时返回null
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return null;
+  }
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+  if (!browser && !platform) {
+    return userAgent.substring(0, 100);
+  }
+  return [browser?.[0], platform?.[0]].filter(Boolean).join(" on ");
+};
+
+/**
+ * 登录会话业务逻辑层
+ * 会话与刷新令牌家族一一对应，注销会话时同时吊销该家族的刷新令牌。
+ * 会话管理接口使用的方法失败时抛出 errors/app.error.js 中的错误
+ */
+class SessionService {
+  /**
+   * 为新登录创建会话
+   * 异常直接抛出由调用方处理
+   * @param {Object} user - 用户实例
+   * @param {Object} context - 客户端信息 { ip, userAgent }
+   * @returns {Promise<Object>} 会话实例
+   */
+  async start(user, context = {}) {
+    const userAgent = context.userAgent
+      ? context.userAgent.substring(0, 255)
+      : null;
+    return await sessionRepository.create({
+      user_id: user.id,
+      device: describeDevice(userAgent),
+      ip_address: context.ip || null,
+      user_agent: userAgent,
+      last_seen_at: new Date(),
+      expires_at: new Date(Date.now() + authConfig.refreshTokenExpiresIn * 1000),
+    });
+  }
+
+  /**
+   * 校验会话是否有效，有效时按间隔刷新最后活跃时间
+   * 异常直接抛出由调用方处理
+   * @param {string} sessionId - 会话ID
+   * @param {number} userId - 令牌所属用户ID
+   * @returns {Promise<Object|null>} 有效的会话实例或null
+   */
+  async validate(sessionId, userId) {
+    const session = await sessionRepository.findById(sessionId);
+    if (!session || session.user_id !== userId || !session.isActive()) {
+      return null;
+    }
+
+    const lastSeen = session.last_seen_at ? new Date(session.last_seen_at).getTime() : 0;
+    if (Date.now() - lastSeen > authConfig.sessionTouchInterval * 1000) {
+      await sessionRepository.update(session.id, { last_seen_at: new Date() });
+    }
+    return session;
+  }
+
+  /**
+   * 刷新令牌轮换时顺延会话并记录最新的客户端信息
+   * 异常直接抛出由调用方处理
+   * @param {string} sessionId - 会话ID
+   * @param {Object} context - 客户端信息 { ip, userAgent }
+   */
+  async extend(sessionId, context = {}) {
+    const values = {
+      last_seen_at: new Date(),
+      expires_at: new Date(Date.now() + authConfig.refreshTokenExpiresIn * 1000),
+    };
+    if (context.ip) {
+      values.ip_address = context.ip;
+    }
+    await sessionRepository.update(sessionId, values);
+  }
+
+  /**
+   * 结束会话并吊销其刷新令牌
+   * 异常直接抛出由调用方处理
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<boolean>} 会话此前是否有效
+   */
+  async end(sessionId) {
+    const revoked = await sessionRepository.revoke(sessionId);
+    await refreshTokenRepository.revokeFamily(sessionId);
+    return revoked;
+  }
+
+  /**
+   * 结束用户的全部会话并吊销其全部刷新令牌
+   * 用于修改密码、重置密码和账户停用等场景
+   * 异常直接抛出由调用方处理
+   * @param {number} userId - 用户ID
+   * @returns {Promise<number>} 被注销的会话数量
+   */
+  async endAllForUser(userId) {
+    const count = await sessionRepository.revokeAllForUser(userId);
+    await refreshTokenRepository.revokeAllForUser(userId);
+    return count;
+  }
+
+  /**
+   * 获取用户当前有效的会话
+   * @param {number} userId - 用户ID
+   * @param {string|null} currentSessionId - 当前请求所属的会话ID，用于标记当前会话
+   * @returns {Promise<Array<Object>>} 会话列表
+   * @throws {NotFoundError} 用户不存在
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError("user.notFound", { code: "USER_NOT_FOUND" });
+    }
+
+    const sessions = await sessionRepository.findActiveByUser(userId);
+    return sessions.map((session) => session.getPublicInfo(currentSessionId));
+  }
+
+  /**
+   * 注销用户的指定会话
+   * @param {number} userId - 用户ID
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} 会话不存在、不属于该用户或已失效
+   */
+  async revokeSession(userId, sessionId) {
+    const session = sessionId ? await sessionRepository.findById(sessionId) : null;
+    if (!session || session.user_id !== userId || !session.isActive()) {
+      throw new NotFoundError("session.notFound", {
+        code: "SESSION_NOT_FOUND",
+        details: [{ field: null, message: "session.notFoundDetail" }],
+      });
+    }
+
+    await this.end(session.id);
+  }
+
+  /**
+   * 注销用户的全部会话（退出所有设备）
+   * @param {number} userId - 用户ID
+   * @returns {Promise<number>} 被注销的会话数量
+   * @throws {NotFoundError} 用户不存在
+   */
+  async revokeAllSessions(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError("user.notFound", { code: "USER_NOT_FOUND" });
+    }
+
+    return await this.endAllForUser(userId);
+  }
+}
+
+export { describeDevice };
+export default new SessionService();
@@ -0,0 +1,149 @@
+import { createHmac, randomBytes } from "crypto";
+
+/**
+ * TOTP（RFC 6238）工具函数
+ * 使用 HMAC-SHA1、6位数字、30秒步长，兼容主流身份验证器App
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const PERIOD = 30;
+
+/**
+ * Base32编码（RFC 4648，不补齐）
+ * @param {Buffer} buffer - 原始字节
+ * @returns {string} Base32字符串
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Base32解码，忽略空格、补齐符和大小写
+ * @param {string} input - Base32字符串
+ * @returns {Buffer} 原始字节
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("无效的Base32字符");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * 生成TOTP密钥
+ * @returns {string} Base32编码的160位密钥
+ */
+const generateSecret = () => base32Encode(randomBytes(20));
+
+/**
+ * 计算时间对应的步数
+ * @param {number} timestamp - 毫秒时间戳
+ * @returns {number} 步数
+ */
+const getTimeStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / PERIOD);
+
+/**
+ * 生成指定步数的验证码
+ * @param {string} secret - Base32密钥
+ * @param {number} step - 步数
+ * @returns {string} 6位验证码
+ */
+const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * 校验验证码，允许前后各一个步长的时钟偏差
+ * @param {string} secret - Base32密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {Object} options - 校验选项
+ * @param {number} options.window - 允许偏差的步数
+ * @param {number} options.timestamp - 当前毫秒时间戳
+ * @returns {number|null} 匹配的步数，不匹配时返回null
+ */
+const verifyCode = (secret, code, { window = 1, timestamp = Date.now() } = {}) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+  for (let offset = -window; offset <= window; offset++) {
+    if (generateCode(secret, currentStep + offset) === normalized) {
+      return currentStep + offset;
+    }
+  }
+  return null;
+};
+
+/**
+ * 生成身份验证器App可识别的otpauth URI
+ * @param {Object} params - URI参数
+ * @param {string} params.secret - Base32密钥
+ * @param {string} params.accountName - 账户名
+ * @param {string} params.issuer - 签发者
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+};
@@ -0,0 +1,111 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../../config/db.config.js';
+import User from '../user/user.model.js';
+
+/**
+ * 双因素认证数据模型
+ * 每个用户一条记录，enabled_at 为空表示已生成密钥但尚未确认启用
+ */
+const TwoFactor = sequelize.define('TwoFactor', {
+  // 主键ID
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '记录唯一标识'
+  },
+
+  // 所属用户
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    comment: '所属用户ID'
+  },
+
+  // TOTP密钥
+  secret: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'Base32编码的TOTP密钥'
+  },
+
+  // 启用时间
+  enabled_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '确认启用时间，为空表示尚未启用'
+  },
+
+  // 最近使用的时间步
+  last_used_step: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '最近一次验证通过的TOTP时间步，用于防止验证码重放'
+  }
+}, {
+  // 表名
+  tableName: 'two_factor_credentials',
+
+  // 凭据记录无需软删除
+  paranoid: false
+});
+
+/**
+ * 备用恢复码数据模型
+ * 仅保存恢复码哈希，每个恢复码只能使用一次
+ */
+export const BackupCode = sequelize.define('BackupCode', {
+  // 主键ID
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '记录唯一标识'
+  },
+
+  // 所属用户
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '所属用户ID'
+  },
+
+  // 恢复码哈希
+  code_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: '恢复码的SHA-256哈希值'
+  },
+
+  // 使用时间
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '使用时间，为空表示尚未使用'
+  }
+}, {
+  tableName: 'two_factor_backup_codes',
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['user_id', 'code_hash']
+    }
+  ]
+});
+
+// 关联关系
+User.hasOne(TwoFactor, { foreignKey: 'user_id', as: 'twoFactor', onDelete: 'CASCADE' });
+TwoFactor.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(BackupCode, { foreignKey: 'user_id', as: 'backupCodes', onDelete: 'CASCADE' });
+BackupCode.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+/**
+ * 实例方法：判断双因素认证是否已启用
+ * @returns {boolean} 是否已启用
+ */
+TwoFactor.prototype.isEnabled = function() {
+  return !!this.enabled_at;
+};
+
+export default TwoFactor;
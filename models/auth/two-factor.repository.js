@@ -0,0 +1,116 @@
+import TwoFactor, { BackupCode } from './two-factor.model.js';
+import { Op } from 'sequelize';
+import { translateDatabaseError } from '../../errors/database.error.js';
+
+/**
+ * 双因素认证数据访问层
+ */
+class TwoFactorRepository {
+
+  /**
+   * 根据用户ID查找双因素认证记录
+   * @param {number} userId - 用户ID
+   * @returns {Promise<TwoFactor|null>} 记录或null
+   */
+  async findByUserId(userId) {
+    try {
+      return await TwoFactor.findOne({ where: { user_id: userId } });
+    } catch (error) {
+      throw translateDatabaseError(error, '查找双因素认证记录失败');
+    }
+  }
+
+  /**
+   * 保存待启用的密钥，覆盖之前未启用的密钥
+   * @param {number} userId - 用户ID
+   * @param {string} secret - Base32密钥
+   * @returns {Promise<void>}
+   */
+  async savePendingSecret(userId, secret) {
+    try {
+      await TwoFactor.upsert({
+        user_id: userId,
+        secret,
+        enabled_at: null,
+        last_used_step: null
+      });
+    } catch (error) {
+      throw translateDatabaseError(error, '保存双因素认证密钥失败');
+    }
+  }
+
+  /**
+   * 更新双因素认证记录
+   * @param {number} userId - 用户ID
+   * @param {Object} values - 要更新的字段
+   * @returns {Promise<number>} 更新的记录数量
+   */
+  async update(userId, values) {
+    try {
+      const [updatedRowsCount] = await TwoFactor.update(values, { where: { user_id: userId } });
+      return updatedRowsCount;
+    } catch (error) {
+      throw translateDatabaseError(error, '更新双因素认证记录失败');
+    }
+  }
+
+  /**
+   * 记录已使用的TOTP时间步
+   * 仅当时间步大于上次使用的时间步时更新，保证同一验证码并发提交时只有一次成功
+   * @param {number} userId - 用户ID
+   * @param {number} step - 时间步
+   * @returns {Promise<boolean>} 是否记录成功
+   */
+  async useStep(userId, step) {
+    try {
+      const [updatedRowsCount] = await TwoFactor.update(
+        { last_used_step: step },
+        {
+          where: {
+            user_id: userId,
+            [Op.or]: [{ last_used_step: null }, { last_used_step: { [Op.lt]: step } }]
+          }
+        }
+      );
+      return updatedRowsCount > 0;
+    } catch (error) {
+      throw translateDatabaseError(error, '更新双因素认证记录失败');
+    }
+  }
+
+  /**
+   * 替换用户的全部恢复码
+   * @param {number} userId - 用户ID
+   * @param {Array<string>} codeHashes - 恢复码哈希列表
+   * @returns {Promise<void>}
+   */
+  async replaceBackupCodes(userId, codeHashes) {
+    try {
+      await BackupCode.destroy({ where: { user_id: userId } });
+      await BackupCode.bulkCreate(codeHashes.map((codeHash) => ({ user_id: userId, code_hash: codeHash })));
+    } catch (error) {
+      throw translateDatabaseError(error, '保存恢复码失败');
+    }
+  }
+
+  /**
+   * 消费一个未使用的恢复码
+   * 仅更新尚未使用的记录，保证恢复码只能使用一次
+   * @param {number} userId - 用户ID
+   * @param {string} codeHash - 恢复码哈希
+   * @returns {Promise<boolean>} 是否消费成功
+   */
+  async consumeBackupCode(userId, codeHash) {
+    try {
+      const [updatedRowsCount] = await BackupCode.update(
+        { used_at: new Date() },
+        { where: { user_id: userId, code_hash: codeHash, used_at: null } }
+      );
+      return updatedRowsCount > 0;
+    } catch (error) {
+      throw translateDatabaseError(error, '使用恢复码失败');
+    }
+  }
+}
+
+export default new TwoFactorRepository();
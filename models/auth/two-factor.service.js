@@ -0,0 +1,250 @@
+import twoFactorRepository from "./two-factor.repository.js";
+import userRepository from "../user/user.repository.js";
+import { USER_VIEWS, serializeUser } from "../user/user.serializer.js";
+import authService, { hashToken } from "./auth.service.js";
+import loginThrottleService from "./login-throttle.service.js";
+import loginHistoryService from "./login-history.service.js";
+import { generateSecret, verifyCode, buildOtpauthUri } from "./totp.js";
+import { authConfig } from "../../config/app.config.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} from "../../errors/app.error.js";
+import { randomBytes } from "crypto";
+
+/**
+ * 规范化恢复码：忽略大小写、空格和连字符
+ * @param {string} code - 用户输入的恢复码
+ * @returns {string} 规范化后的恢复码
+ */
+const normalizeBackupCode = (code) =>
+  String(code || "").toLowerCase().replace(/[\s-]/g, "");
+
+/**
+ * 生成一组恢复码
+ * @returns {Array<string>} 形如 a1b2c-3d4e5 的明文恢复码
+ */
+const generateBackupCodes = () =>
+  Array.from({ length: authConfig.backupCodeCount }, () => {
+    const code = randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+/**
+ * 双因素认证业务逻辑层
+ * 负责TOTP密钥绑定、恢复码以及两步登录的第二步验证。
+ * 绑定相关方法失败时抛出 errors/app.error.js 中的错误；两步登录返回登录结果对象，由控制器统一处理
+ */
+class TwoFactorService {
+  /**
+   * 生成待启用的TOTP密钥
+   * 重复调用会覆盖之前未确认的密钥
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Object>} 密钥和otpauth URI { secret, otpauthUri }
+   * @throws {NotFoundError|ConflictError} 用户不存在或已启用双因素认证
+   */
+  async setup(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError("user.notFound", { code: "USER_NOT_FOUND" });
+    }
+
+    const existing = await twoFactorRepository.findByUserId(userId);
+    if (existing && existing.isEnabled()) {
+      throw new ConflictError("twoFactor.alreadyEnabled", {
+        code: "TWO_FACTOR_ALREADY_ENABLED",
+        details: [{ field: null, message: "twoFactor.noRebind" }],
+      });
+    }
+
+    const secret = generateSecret();
+    await twoFactorRepository.savePendingSecret(userId, secret);
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: authConfig.issuer,
+      }),
+    };
+  }
+
+  /**
+   * 使用验证码确认启用双因素认证，并生成恢复码
+   * 明文恢复码只在此时返回一次
+   * @param {number} userId - 用户ID
+   * @param {string} code - 身份验证器App显示的验证码
+   * @returns {Promise<Object>} 恢复码 { backupCodes }
+   * @throws {ValidationError|ConflictError} 未生成密钥、验证码错误或已启用双因素认证
+   */
+  async enable(userId, code) {
+    const record = await twoFactorRepository.findByUserId(userId);
+    if (!record) {
+      throw new ValidationError("twoFactor.setupRequired", {
+        code: "TWO_FACTOR_SETUP_REQUIRED",
+        details: [{ field: null, message: "twoFactor.pendingSecretNotFound" }],
+      });
+    }
+
+    if (record.isEnabled()) {
+      throw new ConflictError("twoFactor.alreadyEnabled", {
+        code: "TWO_FACTOR_ALREADY_ENABLED",
+        details: [{ field: null, message: "twoFactor.noReenable" }],
+      });
+    }
+
+    const step = verifyCode(record.secret, code);
+    if (step === null) {
+      throw new ValidationError("twoFactor.codeInvalid", {
+        code: "INVALID_TWO_FACTOR_CODE",
+        details: [{ field: "code", message: "twoFactor.enterCurrentCode" }],
+      });
+    }
+
+    const backupCodes = generateBackupCodes();
+    await twoFactorRepository.update(userId, {
+      enabled_at: new Date(),
+      last_used_step: step,
+    });
+    await twoFactorRepository.replaceBackupCodes(
+      userId,
+      backupCodes.map((backupCode) => hashToken(normalizeBackupCode(backupCode)))
+    );
+
+    return { backupCodes };
+  }
+
+  /**
+   * 判断用户是否已启用双因素认证
+   * 异常直接抛出由调用方处理
+   * @param {number} userId - 用户ID
+   * @returns {Promise<boolean>} 是否已启用
+   */
+  async isEnabled(userId) {
+    const record = await twoFactorRepository.findByUserId(userId);
+    return !!record && record.isEnabled();
+  }
+
+  /**
+   * 为密码校验通过的用户创建登录挑战
+   * @param {Object} user - 用户实例
+   * @returns {Object} 挑战令牌及有效期
+   */
+  createChallenge(user) {
+    return {
+      challengeToken: authService.signChallengeToken(user),
+      expiresIn: authConfig.mfaChallengeExpiresIn,
+    };
+  }
+
+  /**
+   * 校验TOTP验证码或恢复码
+   * 已使用过的TOTP时间步不能再次使用，并发提交同一验证码时以数据库的条件更新为准
+   * @param {Object} record - 双因素认证记录
+   * @param {string} code - 验证码或恢复码
+   * @returns {Promise<boolean>} 是否通过
+   */
+  async verifySecondFactor(record, code) {
+    const step = verifyCode(record.secret, code);
+    if (step !== null) {
+      if (record.last_used_step !== null && step <= record.last_used_step) {
+        return false;
+      }
+      return await twoFactorRepository.useStep(record.user_id, step);
+    }
+
+    const backupCode = normalizeBackupCode(code);
+    if (!backupCode) {
+      return false;
+    }
+    return await twoFactorRepository.consumeBackupCode(
+      record.user_id,
+      hashToken(backupCode)
+    );
+  }
+
+  /**
+   * 完成两步登录的第二步验证
+   * 验证失败与密码错误共用登录失败计数
+   * @param {string} challengeToken - 登录挑战令牌
+   * @param {string} code - 验证码或恢复码
+   * @param {Object} context - 客户端信息 { ip, userAgent }
+   * @returns {Promise<Object>} 验证结果，成功时 data 为本人视图的用户信息
+   */
+  async verifyLogin(challengeToken, code, context = {}) {
+    const invalidChallenge = {
+      success: false,
+      message: "twoFactor.challengeInvalid",
+      errors: ["auth.relogin"],
+    };
+
+    const userId = challengeToken
+      ? authService.verifyChallengeToken(challengeToken)
+      : null;
+    if (!userId) {
+      return invalidChallenge;
+    }
+
+    const user = await userRepository.findById(userId);
+    const record = user
+      ? await twoFactorRepository.findByUserId(user.id)
+      : null;
+    if (!user || user.status !== "active" || !record || !record.isEnabled()) {
+      return invalidChallenge;
+    }
+
+    const attempt = {
+      userId: user.id,
+      identifier: user.username,
+      ip: context.ip || null,
+      userAgent: context.userAgent || null,
+    };
+
+    const retryAfter = await loginThrottleService.getRetryAfter(
+      user,
+      user.username,
+      attempt.ip
+    );
+    if (retryAfter > 0) {
+      await loginHistoryService.record({
+        ...attempt,
+        success: false,
+        failureReason: "account_locked",
+      });
+      return {
+        success: false,
+        message: "auth.tooManyAttempts",
+        errors: [{ key: "auth.retryAfter", params: { seconds: retryAfter } }],
+        retryAfter,
+      };
+    }
+
+    if (!(await this.verifySecondFactor(record, code))) {
+      await loginThrottleService.recordFailure(user, user.username, attempt.ip);
+      await loginHistoryService.record({
+        ...attempt,
+        success: false,
+        failureReason: "invalid_mfa_code",
+      });
+      return {
+        success: false,
+        message: "twoFactor.codeInvalid",
+        errors: ["twoFactor.codeOrRecoveryCodeInvalid"],
+      };
+    }
+
+    await loginThrottleService.recordSuccess(user);
+    await user.updateLastLogin(attempt.ip);
+    await loginHistoryService.record({ ...attempt, success: true });
+
+    return {
+      success: true,
+      message: "auth.loginSucceeded",
+      data: serializeUser(user, USER_VIEWS.SELF),
+    };
+  }
+}
+
+export default new TwoFactorService();
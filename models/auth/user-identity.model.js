@@ -0,0 +1,89 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../../config/db.config.js';
+import User from '../user/user.model.js';
+
+/**
+ * 第三方身份绑定数据模型
+ * 记录用户绑定的外部身份（身份提供方 + 该提供方下的唯一标识sub）
+ */
+const UserIdentity = sequelize.define('UserIdentity', {
+  // 主键ID
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '绑定记录唯一标识'
+  },
+
+  // 所属用户
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '所属用户ID'
+  },
+
+  // 身份提供方
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: '身份提供方名称'
+  },
+
+  // 外部身份标识
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: '身份提供方下的用户唯一标识（sub）'
+  },
+
+  // 外部邮箱
+  email: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: '身份提供方返回的邮箱，仅用于展示'
+  },
+
+  // 最后登录时间
+  last_login_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '最后一次通过该身份登录的时间'
+  }
+}, {
+  // 表名
+  tableName: 'user_identities',
+
+  // 解绑后直接删除，以便重新绑定
+  paranoid: false,
+
+  // 索引定义
+  indexes: [
+    {
+      unique: true,
+      fields: ['provider', 'subject']
+    },
+    {
+      unique: true,
+      fields: ['user_id', 'provider']
+    }
+  ]
+});
+
+// 关联关系
+User.hasMany(UserIdentity, { foreignKey: 'user_id', as: 'identities', onDelete: 'CASCADE' });
+UserIdentity.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+/**
+ * 实例方法：获取对外展示的绑定信息
+ * @returns {Object} 绑定信息
+ */
+UserIdentity.prototype.getPublicInfo = function() {
+  return {
+    provider: this.provider,
+    email: this.email,
+    linked_at: this.createdAt,
+    last_login_at: this.last_login_at
+  };
+};
+
+export default UserIdentity;
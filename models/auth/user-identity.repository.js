@@ -0,0 +1,99 @@
+import UserIdentity from './user-identity.model.js';
+import { translateDatabaseError } from '../../errors/database.error.js';
+
+/**
+ * 第三方身份绑定数据访问层
+ */
+class UserIdentityRepository {
+
+  /**
+   * 创建绑定记录
+   * @param {Object} identityData - 绑定数据
+   * @returns {Promise<UserIdentity>} 创建的记录
+   */
+  async create(identityData) {
+    try {
+      return await UserIdentity.create(identityData);
+    } catch (error) {
+      throw translateDatabaseError(error, '绑定第三方账号失败');
+    }
+  }
+
+  /**
+   * 根据身份提供方和外部标识查找绑定
+   * @param {string} provider - 身份提供方
+   * @param {string} subject - 外部身份标识
+   * @returns {Promise<UserIdentity|null>} 绑定记录或null
+   */
+  async findByProviderSubject(provider, subject) {
+    try {
+      return await UserIdentity.findOne({ where: { provider, subject } });
+    } catch (error) {
+      throw translateDatabaseError(error, '查找第三方账号绑定失败');
+    }
+  }
+
+  /**
+   * 查找用户在指定身份提供方的绑定
+   * @param {number} userId - 用户ID
+   * @param {string} provider - 身份提供方
+   * @returns {Promise<UserIdentity|null>} 绑定记录或null
+   */
+  async findByUserAndProvider(userId, provider) {
+    try {
+      return await UserIdentity.findOne({ where: { user_id: userId, provider } });
+    } catch (error) {
+      throw translateDatabaseError(error, '查找第三方账号绑定失败');
+    }
+  }
+
+  /**
+   * 获取用户的全部绑定
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Array<UserIdentity>>} 绑定列表
+   */
+  async findByUser(userId) {
+    try {
+      return await UserIdentity.findAll({
+        where: { user_id: userId },
+        order: [['provider', 'ASC']]
+      });
+    } catch (error) {
+      throw translateDatabaseError(error, '获取第三方账号绑定失败');
+    }
+  }
+
+  /**
+   * 更新绑定记录
+   * @param {number} id - 记录ID
+   * @param {Object} values - 需要更新的字段
+   * @returns {Promise<number>} 更新的记录数量
+   */
+  async update(id, values) {
+    try {
+      const [updatedRowsCount] = await UserIdentity.update(values, { where: { id } });
+      return updatedRowsCount;
+    } catch (error) {
+      throw translateDatabaseError(error, '更新第三方账号绑定失败');
+    }
+  }
+
+  /**
+   * 解除用户在指定身份提供方的绑定
+   * @param {number} userId - 用户ID
+   * @param {string} provider - 身份提供方
+   * @returns {Promise<boolean>} 是否有记录被删除
+   */
+  async remove(userId, provider) {
+    try {
+      const deletedRowsCount = await UserIdentity.destroy({
+        where: { user_id: userId, provider }
+      });
+      return deletedRowsCount > 0;
+    } catch (error) {
+      throw translateDatabaseError(error, '解除第三方账号绑定失败');
+    }
+  }
+}
+
+export default new UserIdentityRepository();
@@ -0,0 +1,140 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../../config/db.config.js';
+import User from '../user/user.model.js';
+
+/**
+ * 角色数据模型
+ * 角色是权限的集合，用户通过user_roles关联获得角色
+ */
+const Role = sequelize.define('Role', {
+  // 主键ID
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '角色唯一标识'
+  },
+
+  // 角色名
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true,
+      is: /^[a-z][a-z0-9_-]*$/
+    },
+    comment: '角色名，唯一标识'
+  },
+
+  // 角色描述
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '角色描述'
+  },
+
+  // 是否系统内置
+  is_system: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+    comment: '是否为系统内置角色'
+  }
+}, {
+  // 表名
+  tableName: 'roles',
+
+  // 角色记录无需软删除
+  paranoid: false
+});
+
+/**
+ * 权限数据模型
+ * 权限名采用"资源:操作"格式，例如 users:delete
+ */
+export const Permission = sequelize.define('Permission', {
+  // 主键ID
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    comment: '权限唯一标识'
+  },
+
+  // 权限名
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true,
+      is: /^[a-z_]+:[a-z_]+$/
+    },
+    comment: '权限名，格式为 资源:操作'
+  },
+
+  // 权限描述
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '权限描述'
+  }
+}, {
+  // 表名
+  tableName: 'permissions',
+
+  // 权限记录无需软删除
+  paranoid: false
+});
+
+/**
+ * 角色-权限关联模型
+ */
+export const RolePermission = sequelize.define('RolePermission', {
+  role_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    comment: '角色ID'
+  },
+  permission_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    comment: '权限ID'
+  }
+}, {
+  tableName: 'role_permissions',
+  paranoid: false
+});
+
+/**
+ * 用户-角色关联模型
+ */
+export const UserRole = sequelize.define('UserRole', {
+  user_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    comment: '用户ID'
+  },
+  role_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    comment: '角色ID'
+  },
+  granted_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '授予该角色的操作人ID，系统分配时为空'
+  }
+}, {
+  tableName: 'user_roles',
+  paranoid: false
+});
+
+// 关联关系
+Role.belongsToMany(Permission, { through: RolePermission, foreignKey: 'role_id', otherKey: 'permission_id', as: 'permissions' });
+Permission.belongsToMany(Role, { through: RolePermission, foreignKey: 'permission_id', otherKey: 'role_id', as: 'roles' });
+User.belongsToMany(Role, { through: UserRole, foreignKey: 'user_id', otherKey: 'role_id', as: 'roles' });
+Role.belongsToMany(User, { through: UserRole, foreignKey: 'role_id', otherKey: 'user_id', as: 'users' });
+
+export default Role;
@@ -0,0 +1,150 @@
+import Role, { Permission, UserRole } from './role.model.js';
+import User from '../user/user.model.js';
+import { translateDatabaseError } from '../../errors/database.error.js';
+
+/**
+ * 角色数据访问层
+ * 提供角色、权限及用户角色关联的数据操作
+ */
+class RoleRepository {
+
+  /**
+   * 获取全部角色（含权限）
+   * @returns {Promise<Array<Role>>} 角色列表
+   */
+  async findAll() {
+    try {
+      return await Role.findAll({
+        include: [{ model: Permission, as: 'permissions', through: { attributes: [] } }],
+        order: [['name', 'ASC']]
+      });
+    } catch (error) {
+      throw translateDatabaseError(error, '获取角色列表失败');
+    }
+  }
+
+  /**
+   * 根据角色名查找角色
+   * @param {string} name - 角色名
+   * @returns {Promise<Role|null>} 角色实例或null
+   */
+  async findByName(name) {
+    try {
+      return await Role.findOne({ where: { name } });
+    } catch (error) {
+      throw translateDatabaseError(error, '根据名称查找角色失败');
+    }
+  }
+
+  /**
+   * 获取用户拥有的角色（含权限）
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Array<Role>>} 角色列表
+   */
+  async findUserRoles(userId) {
+    try {
+      return await Role.findAll({
+        include: [
+          { model: User, as: 'users', where: { id: userId }, attributes: [], through: { attributes: [] } },
+          { model: Permission, as: 'permissions', through: { attributes: [] } }
+        ],
+        order: [['name', 'ASC']]
+      });
+    } catch (error) {
+      throw translateDatabaseError(error, '获取用户角色失败');
+    }
+  }
+
+  /**
+   * 为用户授予角色
+   * @param {number} userId - 用户ID
+   * @param {number} roleId - 角色ID
+   * @param {number} grantedBy - 操作人ID
+   * @returns {Promise<boolean>} 是否新增了关联（已拥有时返回false）
+   */
+  async assignToUser(userId, roleId, grantedBy = null) {
+    try {
+      const [, created] = await UserRole.findOrCreate({
+        where: { user_id: userId, role_id: roleId },
+        defaults: { granted_by: grantedBy }
+      });
+      return created;
+    } catch (error) {
+      throw translateDatabaseError(error, '授予用户角色失败');
+    }
+  }
+
+  /**
+   * 撤销用户角色
+   * @param {number} userId - 用户ID
+   * @param {number} roleId - 角色ID
+   * @returns {Promise<boolean>} 是否有关联被删除
+   */
+  async removeFromUser(userId, roleId) {
+    try {
+      const deletedRowsCount = await UserRole.destroy({
+        where: { user_id: userId, role_id: roleId }
+      });
+      return deletedRowsCount > 0;
+    } catch (error) {
+      throw translateDatabaseError(error, '撤销用户角色失败');
+    }
+  }
+
+  /**
+   * 统计拥有指定角色的用户数量
+   * @param {number} roleId - 角色ID
+   * @returns {Promise<number>} 用户数量
+   */
+  async countUsersWithRole(roleId) {
+    try {
+      return await UserRole.count({ where: { role_id: roleId } });
+    } catch (error) {
+      throw translateDatabaseError(error, '统计角色用户数量失败');
+    }
+  }
+
+  /**
+   * 确保权限存在（不存在则创建，存在则更新描述）
+   * @param {string} name - 权限名
+   * @param {string} description - 权限描述
+   * @returns {Promise<Permission>} 权限实例
+   */
+  async upsertPermission(name, description) {
+    try {
+      const [permission, created] = await Permission.findOrCreate({
+        where: { name },
+        defaults: { description }
+      });
+      if (!created && permission.description !== description) {
+        await permission.update({ description });
+      }
+      return permission;
+    } catch (error) {
+      throw translateDatabaseError(error, '写入权限失败');
+    }
+  }
+
+  /**
+   * 确保系统角色存在并同步其权限
+   * @param {string} name - 角色名
+   * @param {string} description - 角色描述
+   * @param {Array<Permission>} permissions - 角色拥有的权限
+   * @returns {Promise<Role>} 角色实例
+   */
+  async upsertSystemRole(name, description, permissions) {
+    try {
+      const [role] = await Role.findOrCreate({
+        where: { name },
+        defaults: { description, is_system: true }
+      });
+      await role.update({ description, is_system: true });
+      await role.setPermissions(permissions);
+      return role;
+    } catch (error) {
+      throw translateDatabaseError(error, '写入系统角色失败');
+    }
+  }
+}
+
+export default new RoleRepository();
@@ -0,0 +1,200 @@
+import roleRepository from "./role.repository.js";
+import userRepository from "../user/user.repository.js";
+import { rbacConfig } from "../../config/app.config.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} from "../../errors/app.error.js";
+
+/**
+ * 转换角色为对外输出格式
+ * @param {Object} role - 角色实例
+ * @returns {Object} 角色信息（权限仅保留名称）
+ */
+const formatRole = (role) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  is_system: role.is_system,
+  permissions: (role.permissions || []).map((permission) => permission.name),
+});
+
+/**
+ * 角色不存在时抛出的错误
+ * @param {string} roleName - 角色名
+ * @returns {NotFoundError} 错误实例
+ */
+const roleNotFound = (roleName) =>
+  new NotFoundError("role.notFound", {
+    code: "ROLE_NOT_FOUND",
+    details: [{ field: "role", message: { key: "role.notFoundDetail", params: { role: roleName } } }],
+  });
+
+/**
+ * 角色权限业务逻辑层
+ * 处理角色初始化、用户角色授予/撤销以及权限查询。
+ * 方法成功时直接返回数据，失败时抛出 errors/app.error.js 中的错误
+ */
+class RoleService {
+  /**
+   * 写入配置中的默认权限和系统角色（幂等）
+   * @returns {Promise<void>}
+   */
+  async ensureDefaultRoles() {
+    const permissions = {};
+    for (const [name, description] of Object.entries(
+      rbacConfig.permissions
+    )) {
+      permissions[name] = await roleRepository.upsertPermission(
+        name,
+        description
+      );
+    }
+
+    for (const [name, definition] of Object.entries(rbacConfig.roles)) {
+      await roleRepository.upsertSystemRole(
+        name,
+        definition.description,
+        definition.permissions.map((permission) => permissions[permission])
+      );
+    }
+  }
+
+  /**
+   * 获取全部角色
+   * @returns {Promise<Array<Object>>} 角色列表
+   */
+  async getRoles() {
+    const roles = await roleRepository.findAll();
+    return roles.map(formatRole);
+  }
+
+  /**
+   * 获取用户的角色
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Array<Object>>} 角色列表
+   * @throws {NotFoundError} 用户不存在
+   */
+  async getUserRoles(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError("user.notFound", { code: "USER_NOT_FOUND" });
+    }
+
+    const roles = await roleRepository.findUserRoles(userId);
+    return roles.map(formatRole);
+  }
+
+  /**
+   * 获取用户拥有的全部权限名
+   * 供认证中间件做权限判断，异常直接抛出由调用方处理
+   * @param {number} userId - 用户ID
+   * @returns {Promise<Array<string>>} 去重后的权限名列表
+   */
+  async getUserPermissions(userId) {
+    const roles = await roleRepository.findUserRoles(userId);
+    const permissions = new Set();
+    roles.forEach((role) => {
+      (role.permissions || []).forEach((permission) =>
+        permissions.add(permission.name)
+      );
+    });
+    return [...permissions];
+  }
+
+  /**
+   * 为用户授予角色
+   * @param {number} userId - 用户ID
+   * @param {string} roleName - 角色名
+   * @param {number} grantedBy - 操作人ID
+   * @returns {Promise<void>}
+   * @throws {ValidationError|NotFoundError|ConflictError} 缺少角色名、用户或角色不存在、用户已拥有该角色
+   */
+  async assignRole(userId, roleName, grantedBy = null) {
+    if (!roleName) {
+      throw new ValidationError("role.nameRequired", {
+        details: [
+          { field: "role", message: { key: "common.missingParameter", params: { name: "role" } } },
+        ],
+      });
+    }
+
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError("user.notFound", { code: "USER_NOT_FOUND" });
+    }
+
+    const role = await roleRepository.findByName(roleName);
+    if (!role) {
+      throw roleNotFound(roleName);
+    }
+
+    const created = await roleRepository.assignToUser(
+      userId,
+      role.id,
+      grantedBy
+    );
+    if (!created) {
+      throw new ConflictError("role.alreadyAssigned", {
+        code: "ROLE_ALREADY_ASSIGNED",
+        details: [
+          { field: "role", message: { key: "role.alreadyAssignedDetail", params: { role: roleName } } },
+        ],
+      });
+    }
+  }
+
+  /**
+   * 撤销用户角色
+   * 不允许撤销系统中最后一个管理员，避免失去管理入口
+   * @param {number} userId - 用户ID
+   * @param {string} roleName - 角色名
+   * @returns {Promise<void>}
+   * @throws {NotFoundError|ConflictError} 角色不存在、用户未拥有该角色或撤销最后一个管理员
+   */
+  async revokeRole(userId, roleName) {
+    const role = await roleRepository.findByName(roleName);
+    if (!role) {
+      throw roleNotFound(roleName);
+    }
+
+    const userRoles = await roleRepository.findUserRoles(userId);
+    if (!userRoles.some((userRole) => userRole.id === role.id)) {
+      throw new NotFoundError("role.notAssigned", {
+        code: "ROLE_NOT_ASSIGNED",
+        details: [
+          { field: "role", message: { key: "role.notAssignedDetail", params: { role: roleName } } },
+        ],
+      });
+    }
+
+    if (role.name === "admin") {
+      const adminCount = await roleRepository.countUsersWithRole(role.id);
+      if (adminCount <= 1) {
+        throw new ConflictError("role.lastAdmin", {
+          code: "LAST_ADMIN",
+          details: [{ field: "role", message: "role.lastAdminDetail" }],
+        });
+      }
+    }
+
+    await roleRepository.removeFromUser(userId, role.id);
+  }
+
+  /**
+   * 为新用户分配默认角色
+   * @param {number} userId - 用户ID
+   * @returns {Promise<boolean>} 是否分配成功（默认角色未初始化时返回false）
+   */
+  async assignDefaultRole(userId) {
+    const role = await roleRepository.findByName(rbacConfig.defaultRole);
+    if (!role) {
+      return false;
+    }
+    await roleRepository.assignToUser(userId, role.id);
+    return true;
+  }
+}
+
+export default new RoleService();
@@ -0,0 +1,85 @@
+/**
+ * 用户输入DTO
+ * 声明创建和更新用户时各身份可写的字段，防止客户端通过请求体直接写入
+ * email_verified、status、login_count、password_hash 等由系统维护的字段
+ */
+
+import { ValidationError } from "../../errors/app.error.js";
+import { inputConfig } from "../../config/app.config.js";
+
+/**
+ * 写入身份
+ * - SELF: 用户操作自己的账户（含注册）
+ * - ADMIN: 拥有 users:update 权限的管理员
+ */
+export const WRITE_SCOPES = Object.freeze({
+  SELF: "self",
+  ADMIN: "admin",
+});
+
+// 用户可自行维护的个人资料字段
+const PROFILE_FIELDS = ["full_name", "phone", "birth_date", "gender", "avatar_url", "preferences"];
+
+/**
+ * 各操作、各身份可写的字段
+ * 密码只能在注册时设置，之后通过修改密码接口或重置密码流程变更
+ */
+export const USER_WRITABLE_FIELDS = Object.freeze({
+  create: Object.freeze({
+    [WRITE_SCOPES.SELF]: Object.freeze(["username", "email", "password", ...PROFILE_FIELDS]),
+    [WRITE_SCOPES.ADMIN]: Object.freeze(["username", "email", "password", ...PROFILE_FIELDS, "status"]),
+  }),
+  update: Object.freeze({
+    [WRITE_SCOPES.SELF]: Object.freeze(["username", "email", ...PROFILE_FIELDS]),
+    [WRITE_SCOPES.ADMIN]: Object.freeze(["username", "email", ...PROFILE_FIELDS, "status"]),
+  }),
+});
+
+/**
+ * 按允许的字段过滤输入
+ * @param {Object} input - 请求体
+ * @param {Array<string>} allowed - 可写字段
+ * @param {Object} options - 选项
+ * @param {string} options.policy - 不可写字段的处理方式：strip 丢弃，reject 抛出错误，默认取自 input.nonWritableFields 配置
+ * @returns {Object} 只包含可写字段的新对象
+ * @throws {ValidationError} policy 为 reject 且包含不可写字段，details 列出每个被拒绝的字段
+ */
+export const pickWritableFields = (input, allowed, { policy = inputConfig.nonWritableFields } = {}) => {
+  const data = {};
+  const rejected = [];
+
+  for (const [field, value] of Object.entries(input || {})) {
+    if (allowed.includes(field)) {
+      data[field] = value;
+    } else {
+      rejected.push(field);
+    }
+  }
+
+  if (rejected.length > 0 && policy === "reject") {
+    throw new ValidationError("errors.fieldNotWritable", {
+      code: "FIELD_NOT_WRITABLE",
+      details: rejected.map((field) => ({ field, message: "validation.notWritable" })),
+    });
+  }
+
+  return data;
+};
+
+/**
+ * 过滤创建用户的输入
+ * @param {Object} input - 请求体
+ * @param {string} scope - 写入身份，取值见 WRITE_SCOPES
+ * @returns {Object} 可写入的用户数据
+ */
+export const toUserCreateInput = (input, scope = WRITE_SCOPES.SELF) =>
+  pickWritableFields(input, USER_WRITABLE_FIELDS.create[scope]);
+
+/**
+ * 过滤更新用户的输入
+ * @param {Object} input - 请求体
+ * @param {string} scope - 写入身份，取值见 WRITE_SCOPES
+ * @returns {Object} 可写入的用户数据
+ */
+export const toUserUpdateInput = (input, scope = WRITE_SCOPES.SELF) =>
+  pickWritableFields(input, USER_WRITABLE_FIELDS.update[scope]);
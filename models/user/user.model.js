@@ -199,24 +199,6 @@ const User = sequelize.define('User', {
   }
 });
 
-/**
- * 实例方法：获取用户公开信息
- * @returns {Object} 用户公开信息
- */
-User.prototype.getPublicInfo = function() {
-  return {
-    id: this.id,
-    username: this.username,
-    email: this.email,
-    full_name: this.full_name,
-    avatar_url: this.avatar_url,
-    status: this.status,
-    email_verified: this.email_verified,
-    created_at: this.created_at,
-    updated_at: this.updated_at
-  };
-};
-
 /**
  * 实例方法：更新最后登录信息
  * @param {string} ip - 登录IP地址
@@ -1,5 +1,23 @@
 import User from './user.model.js';
 import { Op } from 'sequelize';
+import { translateDatabaseError } from '../../errors/database.error.js';
+
+/**
+ * 构建按用户名、姓名或邮箱模糊匹配关键词的查询条件
+ * PostgreSQL 的 LIKE 区分大小写，使用 ILIKE 与 SQLite/MySQL 的行为保持一致
+ * @param {string} keyword - 搜索关键词
+ * @returns {Object} where 条件
+ */
+const keywordCondition = (keyword) => {
+  const operator = User.sequelize.getDialect() === 'postgres' ? Op.iLike : Op.like;
+  const pattern = `%${keyword}%`;
+
+  return {
+    [Op.or]: ['username', 'full_name', 'email'].map((field) => ({
+      [field]: { [operator]: pattern }
+    }))
+  };
+};
 
 /**
  * 用户数据访问层
@@ -16,7 +34,7 @@ class UserRepository {
     try {
       return await User.create(userData);
     } catch (error) {
-      throw new Error(`创建用户失败: ${error.message}`);
+      throw translateDatabaseError(error, '创建用户失败');
     }
   }
 
@@ -30,7 +48,7 @@ class UserRepository {
     try {
       return await User.findByPk(id, options);
     } catch (error) {
-      throw new Error(`根据ID查找用户失败: ${error.message}`);
+      throw translateDatabaseError(error, '根据ID查找用户失败');
     }
   }
 
@@ -47,7 +65,7 @@ class UserRepository {
         ...options
       });
     } catch (error) {
-      throw new Error(`根据用户名查找用户失败: ${error.message}`);
+      throw translateDatabaseError(error, '根据用户名查找用户失败');
     }
   }
 
@@ -64,7 +82,7 @@ class UserRepository {
         ...options
       });
     } catch (error) {
-      throw new Error(`根据邮箱查找用户失败: ${error.message}`);
+      throw translateDatabaseError(error, '根据邮箱查找用户失败');
     }
   }
 
@@ -86,7 +104,7 @@ class UserRepository {
         ...options
       });
     } catch (error) {
-      throw new Error(`根据用户名或邮箱查找用户失败: ${error.message}`);
+      throw translateDatabaseError(error, '根据用户名或邮箱查找用户失败');
     }
   }
 
@@ -96,7 +114,11 @@ class UserRepository {
    * @param {number} options.page - 页码（从1开始）
    * @param {number} options.limit - 每页数量
    * @param {Object} options.where - 查询条件
-   * @param {Array} options.order - 排序条件
+   * @param {string} options.status - 按账户状态筛选
+   * @param {string} options.search - 按用户名、姓名或邮箱模糊搜索
+   * @param {string} options.sortBy - 排序字段，未传入 order 时生效
+   * @param {string} options.sortOrder - 排序方向 ASC 或 DESC，默认 ASC
+   * @param {Array} options.order - 排序条件，默认按创建时间倒序
    * @returns {Promise<Object>} 包含用户列表和分页信息的对象
    */
   async findAll(options = {}) {
@@ -105,14 +127,25 @@ class UserRepository {
         page = 1,
         limit = 10,
         where = {},
-        order = [['created_at', 'DESC']],
+        status,
+        search,
+        sortBy,
+        sortOrder = 'ASC',
+        order = sortBy ? [[sortBy, sortOrder]] : [['created_at', 'DESC']],
         ...otherOptions
       } = options;
 
       const offset = (page - 1) * limit;
+      const conditions = { ...where };
+      if (status) {
+        conditions.status = status;
+      }
+      if (search) {
+        Object.assign(conditions, keywordCondition(search));
+      }
 
       const { count, rows } = await User.findAndCountAll({
-        where,
+        where: conditions,
         order,
         limit: parseInt(limit),
         offset: parseInt(offset),
@@ -129,10 +162,20 @@ class UserRepository {
         }
       };
     } catch (error) {
-      throw new Error(`获取用户列表失败: ${error.message}`);
+      throw translateDatabaseError(error, '获取用户列表失败');
     }
   }
 
+  /**
+   * 按关键词模糊搜索用户名、姓名和邮箱
+   * @param {string} keyword - 搜索关键词
+   * @param {Object} options - 分页选项，同 findAll
+   * @returns {Promise<Object>} 包含用户列表和分页信息的对象
+   */
+  async search(keyword, options = {}) {
+    return this.findAll({ ...options, search: keyword });
+  }
+
   /**
    * 更新用户信息
    * @param {number} id - 用户ID
@@ -141,18 +184,16 @@ class UserRepository {
    */
   async update(id, updateData) {
     try {
-      const [updatedRowsCount] = await User.update(updateData, {
-        where: { id },
-        returning: true
-      });
-
-      if (updatedRowsCount === 0) {
+      // 通过实例更新：各数据库对 returning 的支持不同，MySQL 的受影响行数也不包含值未变化的行，
+      // 不能据此判断用户是否存在；实例更新同时会触发 beforeUpdate 钩子
+      const user = await this.findById(id);
+      if (!user) {
         return null;
       }
 
-      return await this.findById(id);
+      return await user.update(updateData);
     } catch (error) {
-      throw new Error(`更新用户失败: ${error.message}`);
+      throw translateDatabaseError(error, '更新用户失败');
     }
   }
 
@@ -171,7 +212,7 @@ class UserRepository {
       await user.destroy();
       return true;
     } catch (error) {
-      throw new Error(`软删除用户失败: ${error.message}`);
+      throw translateDatabaseError(error, '软删除用户失败');
     }
   }
 
@@ -189,7 +230,7 @@ class UserRepository {
 
       return deletedRowsCount > 0;
     } catch (error) {
-      throw new Error(`硬删除用户失败: ${error.message}`);
+      throw translateDatabaseError(error, '硬删除用户失败');
     }
   }
 
@@ -208,7 +249,7 @@ class UserRepository {
       await user.restore();
       return user;
     } catch (error) {
-      throw new Error(`恢复用户失败: ${error.message}`);
+      throw translateDatabaseError(error, '恢复用户失败');
     }
   }
 
@@ -228,7 +269,7 @@ class UserRepository {
       const user = await User.findOne({ where });
       return !!user;
     } catch (error) {
-      throw new Error(`检查用户名是否存在失败: ${error.message}`);
+      throw translateDatabaseError(error, '检查用户名是否存在失败');
     }
   }
 
@@ -248,7 +289,7 @@ class UserRepository {
       const user = await User.findOne({ where });
       return !!user;
     } catch (error) {
-      throw new Error(`检查邮箱是否存在失败: ${error.message}`);
+      throw translateDatabaseError(error, '检查邮箱是否存在失败');
     }
   }
 
@@ -279,7 +320,7 @@ class UserRepository {
         verificationRate: total > 0 ? (verified / total * 100).toFixed(2) : 0
       };
     } catch (error) {
-      throw new Error(`获取用户统计信息失败: ${error.message}`);
+      throw translateDatabaseError(error, '获取用户统计信息失败');
     }
   }
 }
@@ -0,0 +1,151 @@
+/**
+ * 用户输出序列化
+ * 按调用者身份选择输出视图，所有接口返回的用户信息都经由这里生成；
+ * 视图只包含显式列出的字段，password_hash 等敏感字段在任何视图中都不会输出
+ */
+
+/**
+ * 输出视图
+ * - PUBLIC: 其他用户看到的基本资料
+ * - SELF: 用户本人看到的完整资料
+ * - ADMIN: 拥有 users:update 权限的管理员，额外包含登录统计和元数据
+ * - EXPORT: 个人数据导出，包含关联的第三方账号、会话、API密钥和登录记录
+ */
+export const USER_VIEWS = Object.freeze({
+  PUBLIC: "public",
+  SELF: "self",
+  ADMIN: "admin",
+  EXPORT: "export",
+});
+
+// 任何视图都不能输出的字段
+export const SECRET_FIELDS = Object.freeze(["password_hash"]);
+
+// 输出字段与模型属性名不同的字段：时间戳在模型上为 createdAt/updatedAt，输出时与其他字段一样使用下划线命名
+export const FIELD_ATTRIBUTES = Object.freeze({
+  created_at: "createdAt",
+  updated_at: "updatedAt",
+});
+
+/**
+ * 关联资源的输出方式，键为模型关联名
+ * 关联资源只在查询时已加载且视图允许时输出，各资源复用自身模型的 getPublicInfo，同样不包含令牌、密钥哈希等字段
+ */
+const NESTED_RESOURCES = {
+  roles: { key: "roles", serialize: (role) => ({ name: role.name, description: role.description }) },
+  identities: { key: "identities", serialize: (identity) => identity.getPublicInfo() },
+  sessions: { key: "sessions", serialize: (session) => session.getPublicInfo() },
+  apiKeys: { key: "api_keys", serialize: (apiKey) => apiKey.getPublicInfo() },
+  loginHistories: { key: "login_history", serialize: (login) => login.getPublicInfo() },
+};
+
+/**
+ * 定义视图，列出的敏感字段会被忽略
+ * @param {Array<string>} fields - 输出字段
+ * @param {Array<string>} include - 允许输出的关联资源
+ * @returns {Object} 冻结的视图定义
+ */
+const defineView = (fields, include = []) =>
+  Object.freeze({
+    fields: Object.freeze(fields.filter((field) => !SECRET_FIELDS.includes(field))),
+    include: Object.freeze(include),
+  });
+
+const PUBLIC_FIELDS = ["id", "username", "full_name", "avatar_url", "created_at"];
+const SELF_FIELDS = [
+  ...PUBLIC_FIELDS,
+  "email",
+  "email_verified",
+  "email_verified_at",
+  "phone",
+  "birth_date",
+  "gender",
+  "status",
+  "preferences",
+  "last_login_at",
+  "updated_at",
+];
+const ADMIN_FIELDS = [...SELF_FIELDS, "last_login_ip", "login_count", "metadata"];
+
+/**
+ * 各视图输出的字段和关联资源
+ */
+export const USER_VIEW_DEFINITIONS = Object.freeze({
+  [USER_VIEWS.PUBLIC]: defineView(PUBLIC_FIELDS),
+  [USER_VIEWS.SELF]: defineView(SELF_FIELDS, ["roles"]),
+  [USER_VIEWS.ADMIN]: defineView(ADMIN_FIELDS, ["roles"]),
+  [USER_VIEWS.EXPORT]: defineView(ADMIN_FIELDS, Object.keys(NESTED_RESOURCES)),
+});
+
+/**
+ * 按调用者身份选择视图
+ * 管理员看到 admin 视图，本人看到 self 视图，其余调用者（包括未登录）只能看到 public 视图；
+ * export 视图只用于个人数据导出，不会在这里被选中
+ * @param {Object|null} viewer - 调用者 { id, canManage }
+ * @param {Object} user - 被查看的用户，至少包含 id
+ * @returns {string} 视图名，取值见 USER_VIEWS
+ */
+export const selectUserView = (viewer, user) => {
+  if (viewer && viewer.canManage) {
+    return USER_VIEWS.ADMIN;
+  }
+  if (viewer && viewer.id === user.id) {
+    return USER_VIEWS.SELF;
+  }
+  return USER_VIEWS.PUBLIC;
+};
+
+/**
+ * 获取视图定义
+ * @param {string} view - 视图名
+ * @returns {Object} 视图定义
+ * @throws {Error} 未知的视图
+ */
+const getViewDefinition = (view) => {
+  const definition = USER_VIEW_DEFINITIONS[view];
+  if (!definition) {
+    throw new Error(`未知的用户视图: ${view}`);
+  }
+  return definition;
+};
+
+/**
+ * 获取视图需要预先加载的关联资源，供查询时作为 include 使用
+ * @param {string} view - 视图名
+ * @returns {Array<string>} 关联名
+ */
+export const getViewIncludes = (view) => [...getViewDefinition(view).include];
+
+/**
+ * 按视图序列化用户
+ * @param {Object} user - 用户实例
+ * @param {string} view - 视图名，默认为 public
+ * @returns {Object} 输出数据
+ */
+export const serializeUser = (user, view = USER_VIEWS.PUBLIC) => {
+  const { fields, include } = getViewDefinition(view);
+  const data = {};
+
+  for (const field of fields) {
+    data[field] = user[FIELD_ATTRIBUTES[field] || field];
+  }
+
+  for (const association of include) {
+    const value = user[association];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    const { key, serialize } = NESTED_RESOURCES[association];
+    data[key] = Array.isArray(value) ? value.map(serialize) : serialize(value);
+  }
+
+  return data;
+};
+
+/**
+ * 按调用者身份序列化用户
+ * @param {Object} user - 用户实例
+ * @param {Object|null} viewer - 调用者 { id, canManage }
+ * @returns {Object} 输出数据
+ */
+export const serializeUserFor = (user, viewer) => serializeUser(user, selectUserView(viewer, user));
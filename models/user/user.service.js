@@ -1,415 +1,430 @@
 import userRepository from "./user.repository.js";
+import roleService from "../role/role.service.js";
+import emailVerificationService from "../auth/email-verification.service.js";
+import passwordHistoryService from "../auth/password-history.service.js";
+import sessionService from "../auth/session.service.js";
+import loginThrottleService from "../auth/login-throttle.service.js";
+import loginHistoryService from "../auth/login-history.service.js";
+import twoFactorService from "../auth/two-factor.service.js";
+import { authConfig } from "../../config/app.config.js";
+import { logger } from "../../infrastructure/logger.infrastructure.js";
+import { WRITE_SCOPES, toUserCreateInput, toUserUpdateInput } from "./user.dto.js";
 import {
-  validateUserCreation,
-  validateUserUpdate,
-  validatePaginationParams,
-} from "./user.validation.js";
+  USER_VIEWS,
+  serializeUser,
+  serializeUserFor,
+  selectUserView,
+  getViewIncludes,
+} from "./user.serializer.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} from "../../errors/app.error.js";
 import bcrypt from "bcrypt";
-import { Op } from "sequelize";
+
+// 用户不存在时参与比对的占位哈希，使响应耗时与密码错误时一致
+const DUMMY_PASSWORD_HASH =
+  "$2b$12$DLjEp0M1VwQcyh/yKp10Y.C67Dr5HqE7US1RKb7K7nM6pJjbnyoWe";
+
+// 登录失败的统一响应，不区分用户不存在、密码错误和账户状态
+const INVALID_CREDENTIALS = {
+  success: false,
+  message: "auth.invalidCredentials",
+  errors: ["auth.invalidCredentialsDetail"],
+};
+
+/**
+ * 用户不存在时抛出的错误
+ * @returns {NotFoundError} 错误实例
+ */
+const userNotFound = () =>
+  new NotFoundError("user.notFound", { code: "USER_NOT_FOUND" });
+
+/**
+ * 发送邮箱验证邮件
+ * 调用时用户数据已经写入，发送失败只输出错误日志，用户可稍后重新申请验证邮件
+ * @param {Object} user - 用户实例
+ */
+const sendVerificationEmail = async (user) => {
+  try {
+    await emailVerificationService.sendVerificationEmail(user);
+  } catch (error) {
+    logger.error("发送验证邮件失败", { component: "user", userId: user.id, error });
+  }
+};
 
 /**
  * 用户业务逻辑层
- * 处理用户相关的业务逻辑，调用repository进行数据操作
+ * 处理用户相关的业务逻辑，调用repository进行数据操作。
+ * 除登录外的方法成功时直接返回数据，失败时抛出 errors/app.error.js 中的错误，由错误处理中间件渲染。
+ * 错误和结果对象中的 message 均为消息键（见 locales/），响应时按请求语言翻译
  */
 class UserService {
   /**
    * 创建新用户
-   * @param {Object} userData - 用户数据
-   * @returns {Promise<Object>} 创建结果
+   * @param {Object} input - 用户数据，字段格式已由路由的请求结构校验（见 routes/schemas/user.schemas.js），
+   *   只有当前身份可写的字段会被使用（见 user.dto.js）
+   * @param {Object} options - 选项
+   * @param {string} options.scope - 写入身份，默认为用户本人注册
+   * @returns {Promise<Object>} 注册者本人视图的用户信息
+   * @throws {ValidationError|ConflictError} 包含不可写字段（reject 策略）或用户名、邮箱已被使用
    */
-  async createUser(userData) {
-    try {
-      // 1. 数据验证
-      const validation = validateUserCreation(userData);
-      if (!validation.isValid) {
-        return {
-          success: false,
-          message: "数据验证失败",
-          errors: validation.errors,
-        };
-      }
-
-      // 2. 检查用户名是否已存在
-      const usernameExists = await userRepository.isUsernameExists(
-        userData.username
-      );
-      if (usernameExists) {
-        return {
-          success: false,
-          message: "用户名已存在",
-          errors: ["用户名已被使用"],
-        };
-      }
-
-      // 3. 检查邮箱是否已存在
-      const emailExists = await userRepository.isEmailExists(userData.email);
-      if (emailExists) {
-        return {
-          success: false,
-          message: "邮箱已存在",
-          errors: ["邮箱地址已被使用"],
-        };
-      }
-
-      // 4. 密码加密
-      const saltRounds = 12;
-      const passwordHash = await bcrypt.hash(userData.password, saltRounds);
-
-      // 5. 准备用户数据
-      const userDataToCreate = {
-        ...userData,
-        password_hash: passwordHash,
-        email: userData.email.toLowerCase(),
-      };
+  async createUser(input, { scope = WRITE_SCOPES.SELF } = {}) {
+    // 1. 过滤不可写字段，避免客户端写入 email_verified、status 等系统字段
+    const userData = toUserCreateInput(input, scope);
+
+    // 2. 检查用户名是否已存在
+    if (await userRepository.isUsernameExists(userData.username)) {
+      throw new ConflictError("user.usernameTaken", {
+        code: "USERNAME_TAKEN",
+        details: [{ field: "username", message: "user.usernameInUse" }],
+      });
+    }
 
-      // 移除明文密码
-      delete userDataToCreate.password;
+    // 3. 检查邮箱是否已存在
+    if (await userRepository.isEmailExists(userData.email)) {
+      throw new ConflictError("user.emailTaken", {
+        code: "EMAIL_TAKEN",
+        details: [{ field: "email", message: "user.emailInUse" }],
+      });
+    }
 
-      // 6. 创建用户
-      const user = await userRepository.create(userDataToCreate);
+    // 4. 密码加密
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(userData.password, saltRounds);
 
-      return {
-        success: true,
-        message: "用户创建成功",
-        data: user.getPublicInfo(),
-      };
-    } catch (error) {
-      return {
-        success: false,
-        message: "创建用户失败",
-        errors: [error.message],
-      };
-    }
+    // 5. 准备用户数据
+    const userDataToCreate = {
+      ...userData,
+      password_hash: passwordHash,
+      email: userData.email.toLowerCase(),
+    };
+
+    // 移除明文密码
+    delete userDataToCreate.password;
+
+    // 6. 创建用户
+    const user = await userRepository.create(userDataToCreate);
+
+    // 7. 分配默认角色并记录初始密码
+    await roleService.assignDefaultRole(user.id);
+    await passwordHistoryService.record(user.id, passwordHash);
+
+    // 8. 发送邮箱验证邮件（发送失败不影响注册，用户可稍后重新申请）
+    await sendVerificationEmail(user);
+
+    return serializeUser(user, USER_VIEWS.SELF);
   }
 
   /**
    * 根据ID获取用户信息
    * @param {number} id - 用户ID
-   * @param {boolean} includePrivate - 是否包含私有信息
-   * @returns {Promise<Object>} 查询结果
+   * @param {Object} options - 选项
+   * @param {Object} options.viewer - 调用者 { id, canManage }，决定输出视图（见 user.serializer.js）
+   * @returns {Promise<Object>} 用户信息
+   * @throws {NotFoundError} 用户不存在
    */
-  async getUserById(id, includePrivate = false) {
-    try {
-      const user = await userRepository.findById(id);
-
-      if (!user) {
-        return {
-          success: false,
-          message: "用户不存在",
-          data: null,
-        };
-      }
-
-      return {
-        success: true,
-        message: "获取用户信息成功",
-        data: includePrivate ? user : user.getPublicInfo(),
-      };
-    } catch (error) {
-      return {
-        success: false,
-        message: "获取用户信息失败",
-        errors: [error.message],
-      };
+  async getUserById(id, { viewer = null } = {}) {
+    const view = selectUserView(viewer, { id });
+    const user = await userRepository.findById(id, { include: getViewIncludes(view) });
+    if (!user) {
+      throw userNotFound();
     }
+
+    return serializeUser(user, view);
   }
 
   /**
    * 根据用户名获取用户信息
    * @param {string} username - 用户名
-   * @returns {Promise<Object>} 查询结果
+   * @param {Object} options - 选项
+   * @param {Object} options.viewer - 调用者 { id, canManage }，决定输出视图
+   * @returns {Promise<Object>} 用户信息
+   * @throws {NotFoundError} 用户不存在
    */
-  async getUserByUsername(username) {
-    try {
-      const user = await userRepository.findByUsername(username);
-
-      if (!user) {
-        return {
-          success: false,
-          message: "用户不存在",
-          data: null,
-        };
-      }
+  async getUserByUsername(username, { viewer = null } = {}) {
+    const user = await userRepository.findByUsername(username);
+    if (!user) {
+      throw userNotFound();
+    }
 
-      return {
-        success: true,
-        message: "获取用户信息成功",
-        data: user.getPublicInfo(),
-      };
-    } catch (error) {
-      return {
-        success: false,
-        message: "获取用户信息失败",
-        errors: [error.message],
-      };
+    return serializeUserFor(user, viewer);
+  }
+
+  /**
+   * 导出用户的个人数据
+   * 包含全部非敏感字段以及角色、第三方账号、会话、API密钥和登录记录
+   * @param {number} id - 用户ID
+   * @returns {Promise<Object>} 导出视图的用户信息
+   * @throws {NotFoundError} 用户不存在
+   */
+  async exportUser(id) {
+    const user = await userRepository.findById(id, {
+      include: getViewIncludes(USER_VIEWS.EXPORT),
+    });
+    if (!user) {
+      throw userNotFound();
     }
+
+    return serializeUser(user, USER_VIEWS.EXPORT);
   }
 
   /**
    * 获取用户列表
    * @param {Object} options - 查询选项
-   * @returns {Promise<Object>} 查询结果
+   * @param {Object} context - 调用上下文
+   * @param {Object} context.viewer - 调用者 { id, canManage }，逐条决定输出视图
+   * @returns {Promise<Object>} { users, pagination }
    */
-  async getUserList(options = {}) {
-    try {
-      // 验证分页参数
-      const paginationValidation = validatePaginationParams(options);
-      if (!paginationValidation.isValid) {
-        return {
-          success: false,
-          message: "分页参数验证失败",
-          errors: paginationValidation.errors,
-        };
-      }
-
-      const result = await userRepository.findAll(options);
-
-      // 转换为公开信息
-      const publicUsers = result.users.map((user) => user.getPublicInfo());
+  async getUserList(options = {}, { viewer = null } = {}) {
+    const result = await userRepository.findAll(options);
 
-      return {
-        success: true,
-        message: "获取用户列表成功",
-        data: {
-          users: publicUsers,
-          pagination: result.pagination,
-        },
-      };
-    } catch (error) {
-      return {
-        success: false,
-        message: "获取用户列表失败",
-        errors: [error.message],
-      };
-    }
+    return {
+      users: result.users.map((user) => serializeUserFor(user, viewer)),
+      pagination: result.pagination,
+    };
   }
 
   /**
    * 更新用户信息
    * @param {number} id - 用户ID
-   * @param {Object} updateData - 更新数据
-   * @returns {Promise<Object>} 更新结果
+   * @param {Object} input - 更新数据，字段格式已由路由的请求结构校验，只有当前身份可写的字段会被使用（见 user.dto.js）
+   * @param {Object} options - 选项
+   * @param {string} options.scope - 写入身份：用户本人只能修改个人资料，管理员还可以修改账户状态
+   * @param {Object} options.viewer - 调用者 { id, canManage }，决定输出视图
+   * @returns {Promise<Object>} 更新后的用户信息
+   * @throws {ValidationError|NotFoundError|ConflictError} 包含不可写字段（reject 策略）、用户不存在或用户名、邮箱已被使用
    */
-  async updateUser(id, updateData) {
-    try {
-      // 1. 数据验证
-      const validation = validateUserUpdate(updateData);
-      if (!validation.isValid) {
-        return {
-          success: false,
-          message: "数据验证失败",
-          errors: validation.errors,
-        };
-      }
-
-      // 2. 检查用户是否存在
-      const existingUser = await userRepository.findById(id);
-      if (!existingUser) {
-        return {
-          success: false,
-          message: "用户不存在",
-          errors: ["指定的用户不存在"],
-        };
-      }
-
-      // 3. 检查用户名唯一性（如果要更新用户名）
-      if (
-        updateData.username &&
-        updateData.username !== existingUser.username
-      ) {
-        const usernameExists = await userRepository.isUsernameExists(
-          updateData.username,
-          id
-        );
-        if (usernameExists) {
-          return {
-            success: false,
-            message: "用户名已存在",
-            errors: ["用户名已被其他用户使用"],
-          };
-        }
-      }
-
-      // 4. 检查邮箱唯一性（如果要更新邮箱）
-      if (
-        updateData.email &&
-        updateData.email.toLowerCase() !== existingUser.email
-      ) {
-        const emailExists = await userRepository.isEmailExists(
-          updateData.email,
-          id
-        );
-        if (emailExists) {
-          return {
-            success: false,
-            message: "邮箱已存在",
-            errors: ["邮箱地址已被其他用户使用"],
-          };
-        }
-      }
-
-      // 5. 处理密码更新
-      const dataToUpdate = { ...updateData };
-      if (updateData.password) {
-        const saltRounds = 12;
-        dataToUpdate.password_hash = await bcrypt.hash(
-          updateData.password,
-          saltRounds
-        );
-        delete dataToUpdate.password;
-      }
-
-      // 6. 处理邮箱格式
-      if (dataToUpdate.email) {
-        dataToUpdate.email = dataToUpdate.email.toLowerCase();
-      }
-
-      // 7. 更新用户
-      const updatedUser = await userRepository.update(id, dataToUpdate);
+  async updateUser(id, input, { scope = WRITE_SCOPES.SELF, viewer = null } = {}) {
+    // 1. 过滤当前身份不可写的字段
+    const updateData = toUserUpdateInput(input, scope);
+
+    // 2. 检查用户是否存在
+    const existingUser = await userRepository.findById(id);
+    if (!existingUser) {
+      throw userNotFound();
+    }
 
-      return {
-        success: true,
-        message: "用户信息更新成功",
-        data: updatedUser.getPublicInfo(),
-      };
-    } catch (error) {
-      return {
-        success: false,
-        message: "更新用户信息失败",
-        errors: [error.message],
-      };
+    // 3. 检查用户名唯一性（如果要更新用户名）
+    if (
+      updateData.username &&
+      updateData.username !== existingUser.username &&
+      (await userRepository.isUsernameExists(updateData.username, id))
+    ) {
+      throw new ConflictError("user.usernameTaken", {
+        code: "USERNAME_TAKEN",
+        details: [{ field: "username", message: "user.usernameInUseByOther" }],
+      });
+    }
+
+    // 4. 检查邮箱唯一性（如果要更新邮箱）
+    if (
+      updateData.email &&
+      updateData.email.toLowerCase() !== existingUser.email &&
+      (await userRepository.isEmailExists(updateData.email, id))
+    ) {
+      throw new ConflictError("user.emailTaken", {
+        code: "EMAIL_TAKEN",
+        details: [{ field: "email", message: "user.emailInUseByOther" }],
+      });
     }
+
+    // 5. 处理邮箱格式，邮箱变更后需要重新验证
+    const dataToUpdate = { ...updateData };
+    const emailChanged =
+      !!dataToUpdate.email &&
+      dataToUpdate.email.toLowerCase() !== existingUser.email;
+    if (dataToUpdate.email) {
+      dataToUpdate.email = dataToUpdate.email.toLowerCase();
+    }
+    if (emailChanged) {
+      dataToUpdate.email_verified = false;
+      dataToUpdate.email_verified_at = null;
+    }
+
+    // 6. 更新用户
+    const updatedUser = await userRepository.update(id, dataToUpdate);
+
+    // 7. 向新邮箱发送验证邮件（发送失败不影响更新）
+    if (emailChanged) {
+      await sendVerificationEmail(updatedUser);
+    }
+
+    // 8. 账户被停用时注销其全部登录会话
+    if (
+      dataToUpdate.status === "suspended" &&
+      existingUser.status !== "suspended"
+    ) {
+      await sessionService.endAllForUser(id);
+    }
+
+    return serializeUserFor(updatedUser, viewer);
   }
 
   /**
    * 删除用户（软删除）
    * @param {number} id - 用户ID
-   * @returns {Promise<Object>} 删除结果
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} 用户不存在
    */
   async deleteUser(id) {
-    try {
-      const success = await userRepository.softDelete(id);
+    const deleted = await userRepository.softDelete(id);
+    if (!deleted) {
+      throw userNotFound();
+    }
+  }
 
-      if (!success) {
-        return {
-          success: false,
-          message: "用户不存在",
-          errors: ["指定的用户不存在"],
-        };
-      }
+  /**
+   * 修改密码
+   * 需要校验当前密码，且新密码不能与最近使用过的密码相同；
+   * 修改成功后吊销该用户的全部刷新令牌，其他会话需要重新登录
+   * @param {number} id - 用户ID
+   * @param {Object} passwordData - 包含 currentPassword 和 newPassword，密码强度已由路由的请求结构校验
+   * @returns {Promise<void>}
+   * @throws {ValidationError|NotFoundError} 当前密码错误、新密码近期用过或用户不存在
+   */
+  async changePassword(id, { currentPassword, newPassword }) {
+    // 1. 检查用户是否存在
+    const user = await userRepository.findById(id);
+    if (!user) {
+      throw userNotFound();
+    }
 
-      return {
-        success: true,
-        message: "用户删除成功",
-      };
-    } catch (error) {
-      return {
-        success: false,
-        message: "删除用户失败",
-        errors: [error.message],
-      };
+    // 2. 校验当前密码（不使用401，避免客户端误以为登录已失效）
+    const isPasswordValid = await bcrypt.compare(
+      currentPassword,
+      user.password_hash
+    );
+    if (!isPasswordValid) {
+      throw new ValidationError("user.currentPasswordWrong", {
+        code: "INVALID_CURRENT_PASSWORD",
+        details: [{ field: "currentPassword", message: "user.currentPasswordHint" }],
+      });
+    }
+
+    // 3. 检查是否重复使用最近的密码
+    if (await passwordHistoryService.isRecentlyUsed(user, newPassword)) {
+      throw new ValidationError("user.newPasswordRejected", {
+        code: "PASSWORD_RECENTLY_USED",
+        details: [
+          {
+            field: "newPassword",
+            message: {
+              key: "user.passwordRecentlyUsed",
+              params: { limit: authConfig.passwordHistoryLimit },
+            },
+          },
+        ],
+      });
     }
+
+    // 4. 更新密码并记录历史
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+    await userRepository.update(id, { password_hash: passwordHash });
+    await passwordHistoryService.record(id, passwordHash);
+
+    // 5. 使现有登录会话失效
+    await sessionService.endAllForUser(id);
   }
 
   /**
    * 用户登录验证
+   * 按账户和IP统计失败次数，超过阈值后临时锁定；
+   * 被锁定时返回的 retryAfter 为剩余锁定秒数。每次尝试都会写入登录历史；
+   * 已启用双因素认证的用户返回 mfaRequired 和登录挑战。
+   * 登录结果有锁定、挑战等多种分支，且与双因素认证、第三方登录共用响应逻辑，因此仍返回结果对象而不抛出错误
    * @param {string} identifier - 用户名或邮箱
    * @param {string} password - 密码
    * @param {string} loginIp - 登录IP
+   * @param {string} userAgent - 客户端User-Agent
    * @returns {Promise<Object>} 登录结果
    */
-  async authenticateUser(identifier, password, loginIp = null) {
-    try {
-      // 1. 查找用户
-      const user = await userRepository.findByUsernameOrEmail(identifier);
-      if (!user) {
-        return {
-          success: false,
-          message: "用户名或密码错误",
-          errors: ["登录凭据无效"],
-        };
-      }
-
-      // 2. 检查用户状态
-      if (user.status !== "active") {
-        return {
-          success: false,
-          message: "账户已被禁用",
-          errors: ["账户状态异常，请联系管理员"],
-        };
-      }
-
-      // 3. 验证密码
-      const isPasswordValid = await bcrypt.compare(
-        password,
-        user.password_hash
-      );
-      if (!isPasswordValid) {
-        return {
-          success: false,
-          message: "用户名或密码错误",
-          errors: ["登录凭据无效"],
-        };
-      }
-
-      // 4. 更新登录信息
-      await user.updateLastLogin(loginIp);
+  async authenticateUser(identifier, password, loginIp = null, userAgent = null) {
+    if (!identifier || !password) {
+      return { ...INVALID_CREDENTIALS };
+    }
 
-      return {
-        success: true,
-        message: "登录成功",
-        data: user.getPublicInfo(),
-      };
-    } catch (error) {
+    // 1. 查找用户
+    const user = await userRepository.findByUsernameOrEmail(identifier);
+    const attempt = {
+      userId: user ? user.id : null,
+      identifier,
+      ip: loginIp,
+      userAgent,
+    };
+
+    // 2. 检查是否处于锁定期，锁定期内不再校验密码
+    const retryAfter = await loginThrottleService.getRetryAfter(
+      user,
+      identifier,
+      loginIp
+    );
+    if (retryAfter > 0) {
+      await loginHistoryService.record({
+        ...attempt,
+        success: false,
+        failureReason: "account_locked",
+      });
       return {
         success: false,
-        message: "登录失败",
-        errors: [error.message],
+        message: "auth.tooManyAttempts",
+        errors: [{ key: "auth.retryAfter", params: { seconds: retryAfter } }],
+        retryAfter,
       };
     }
-  }
 
-  /**
-   * 验证邮箱
-   * @param {number} id - 用户ID
-   * @returns {Promise<Object>} 验证结果
-   */
-  async verifyEmail(id) {
-    try {
-      const user = await userRepository.findById(id);
-      if (!user) {
-        return {
-          success: false,
-          message: "用户不存在",
-          errors: ["指定的用户不存在"],
-        };
-      }
-
-      if (user.email_verified) {
-        return {
-          success: false,
-          message: "邮箱已验证",
-          errors: ["邮箱已经验证过了"],
-        };
-      }
-
-      const updatedUser = await userRepository.update(id, {
-        email_verified: true,
-        email_verified_at: new Date(),
+    // 3. 验证密码（用户不存在时同样执行一次比对）
+    const isPasswordValid = await bcrypt.compare(
+      password,
+      user ? user.password_hash : DUMMY_PASSWORD_HASH
+    );
+    if (!user || !isPasswordValid) {
+      await loginThrottleService.recordFailure(user, identifier, loginIp);
+      await loginHistoryService.record({
+        ...attempt,
+        success: false,
+        failureReason: "invalid_credentials",
       });
+      return { ...INVALID_CREDENTIALS };
+    }
 
+    // 4. 检查用户状态（仅在密码正确后提示，避免暴露账户状态）
+    if (user.status !== "active") {
+      await loginHistoryService.record({
+        ...attempt,
+        success: false,
+        failureReason: "account_disabled",
+      });
       return {
-        success: true,
-        message: "邮箱验证成功",
-        data: updatedUser.getPublicInfo(),
+        success: false,
+        message: "auth.accountDisabled",
+        errors: ["auth.accountDisabledDetail"],
       };
-    } catch (error) {
+    }
+
+    // 5. 已启用双因素认证时返回登录挑战，验证码通过后才算登录成功
+    //    此时不清除失败计数，避免借助正确密码重置验证码的尝试次数
+    if (await twoFactorService.isEnabled(user.id)) {
       return {
-        success: false,
-        message: "邮箱验证失败",
-        errors: [error.message],
+        success: true,
+        message: "auth.mfaRequired",
+        mfaRequired: true,
+        data: twoFactorService.createChallenge(user),
       };
     }
+
+    // 6. 清除失败计数并更新登录信息
+    await loginThrottleService.recordSuccess(user);
+    await user.updateLastLogin(loginIp);
+    await loginHistoryService.record({ ...attempt, success: true });
+
+    return {
+      success: true,
+      message: "auth.loginSucceeded",
+      data: serializeUser(user, USER_VIEWS.SELF),
+    };
   }
 
   /**
@@ -417,64 +432,27 @@ class UserService {
    * @returns {Promise<Object>} 统计结果
    */
   async getUserStatistics() {
-    try {
-      const statistics = await userRepository.getStatistics();
-
-      return {
-        success: true,
-        message: "获取统计信息成功",
-        data: statistics,
-      };
-    } catch (error) {
-      return {
-        success: false,
-        message: "获取统计信息失败",
-        errors: [error.message],
-      };
-    }
+    return await userRepository.getStatistics();
   }
 
   /**
    * 搜索用户
    * @param {string} keyword - 搜索关键词
    * @param {Object} options - 搜索选项
-   * @returns {Promise<Object>} 搜索结果
+   * @param {Object} context - 调用上下文
+   * @param {Object} context.viewer - 调用者 { id, canManage }，逐条决定输出视图
+   * @returns {Promise<Object>} { users, pagination, keyword }
    */
-  async searchUsers(keyword, options = {}) {
-    try {
-      const { page = 1, limit = 10 } = options;
-
-      const searchOptions = {
-        page,
-        limit,
-        where: {
-          [Op.or]: [
-            { username: { [Op.like]: `%${keyword}%` } },
-            { full_name: { [Op.like]: `%${keyword}%` } },
-            { email: { [Op.like]: `%${keyword}%` } },
-          ],
-        },
-      };
+  async searchUsers(keyword, options = {}, { viewer = null } = {}) {
+    const { page = 1, limit = 10, sortBy, sortOrder } = options;
 
-      const result = await userRepository.findAll(searchOptions);
-      const publicUsers = result.users.map((user) => user.getPublicInfo());
+    const result = await userRepository.search(keyword, { page, limit, sortBy, sortOrder });
 
-      return {
-        success: true,
-        message: "搜索用户成功",
-        data: {
-          users: publicUsers,
-          pagination: result.pagination,
-          keyword,
-        },
-      };
-    } catch (error) {
-      return {
-        success: false,
-        message: "搜索用户失败",
-        errors: [error.message],
-      };
-    }
+    return {
+      users: result.users.map((user) => serializeUserFor(user, viewer)),
+      pagination: result.pagination,
+      keyword,
+    };
   }
 }
 
@@ -1,8 +1,17 @@
 /**
  * 用户数据验证层
- * 提供用户数据的输入验证和业务逻辑验证
+ * 提供用户字段的单字段校验，路由请求结构（routes/schemas/user.schemas.js）通过 check 复用这些规则。
+ * 错误信息为消息键（见 locales/），带长度等限制的为 { key, params }
  */
 
+// 字段长度和取值限制
+const USERNAME_LENGTH = { min: 3, max: 50 };
+const EMAIL_MAX_LENGTH = 100;
+const PASSWORD_LENGTH = { min: 6, max: 128 };
+const FULL_NAME_LENGTH = { min: 2, max: 100 };
+const MAX_AGE = 150;
+const AVATAR_URL_MAX_LENGTH = 500;
+
 /**
  * 验证用户名格式
  * @param {string} username - 用户名
@@ -12,19 +21,19 @@ export const validateUsername = (username) => {
   const errors = [];
 
   if (!username) {
-    errors.push('用户名不能为空');
+    errors.push('user.usernameRequired');
   } else {
-    if (username.length < 3) {
-      errors.push('用户名长度不能少于3个字符');
+    if (username.length < USERNAME_LENGTH.min) {
+      errors.push({ key: 'user.usernameTooShort', params: { min: USERNAME_LENGTH.min } });
     }
-    if (username.length > 50) {
-      errors.push('用户名长度不能超过50个字符');
+    if (username.length > USERNAME_LENGTH.max) {
+      errors.push({ key: 'user.usernameTooLong', params: { max: USERNAME_LENGTH.max } });
     }
     if (!/^[a-zA-Z0-9_]+$/.test(username)) {
-      errors.push('用户名只能包含字母、数字和下划线');
+      errors.push('user.usernameInvalidChars');
     }
     if (/^[0-9]/.test(username)) {
-      errors.push('用户名不能以数字开头');
+      errors.push('user.usernameStartsWithDigit');
     }
   }
 
@@ -43,14 +52,14 @@ export const validateEmail = (email) => {
   const errors = [];
 
   if (!email) {
-    errors.push('邮箱地址不能为空');
+    errors.push('user.emailRequired');
   } else {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(email)) {
-      errors.push('邮箱地址格式不正确');
+      errors.push('user.emailInvalid');
     }
-    if (email.length > 100) {
-      errors.push('邮箱地址长度不能超过100个字符');
+    if (email.length > EMAIL_MAX_LENGTH) {
+      errors.push({ key: 'user.emailTooLong', params: { max: EMAIL_MAX_LENGTH } });
     }
   }
 
@@ -69,25 +78,25 @@ export const validatePassword = (password) => {
   const errors = [];
 
   if (!password) {
-    errors.push('密码不能为空');
+    errors.push('user.passwordRequired');
   } else {
-    if (password.length < 6) {
-      errors.push('密码长度不能少于6个字符');
+    if (password.length < PASSWORD_LENGTH.min) {
+      errors.push({ key: 'user.passwordTooShort', params: { min: PASSWORD_LENGTH.min } });
     }
-    if (password.length > 128) {
-      errors.push('密码长度不能超过128个字符');
+    if (password.length > PASSWORD_LENGTH.max) {
+      errors.push({ key: 'user.passwordTooLong', params: { max: PASSWORD_LENGTH.max } });
     }
     if (!/(?=.*[a-z])/.test(password)) {
-      errors.push('密码必须包含至少一个小写字母');
+      errors.push('user.passwordNeedsLowercase');
     }
     if (!/(?=.*[A-Z])/.test(password)) {
-      errors.push('密码必须包含至少一个大写字母');
+      errors.push('user.passwordNeedsUppercase');
     }
     if (!/(?=.*\d)/.test(password)) {
-      errors.push('密码必须包含至少一个数字');
+      errors.push('user.passwordNeedsDigit');
     }
     if (!/(?=.*[@$!%*?&])/.test(password)) {
-      errors.push('密码必须包含至少一个特殊字符(@$!%*?&)');
+      errors.push({ key: 'user.passwordNeedsSpecial', params: { chars: '@$!%*?&' } });
     }
   }
 
@@ -109,7 +118,7 @@ export const validatePhone = (phone) => {
     // 中国大陆手机号验证
     const phoneRegex = /^1[3-9]\d{9}$/;
     if (!phoneRegex.test(phone)) {
-      errors.push('手机号格式不正确');
+      errors.push('user.phoneInvalid');
     }
   }
 
@@ -128,14 +137,14 @@ export const validateFullName = (fullName) => {
   const errors = [];
 
   if (fullName) {
-    if (fullName.length < 2) {
-      errors.push('真实姓名长度不能少于2个字符');
+    if (fullName.length < FULL_NAME_LENGTH.min) {
+      errors.push({ key: 'user.fullNameTooShort', params: { min: FULL_NAME_LENGTH.min } });
     }
-    if (fullName.length > 100) {
-      errors.push('真实姓名长度不能超过100个字符');
+    if (fullName.length > FULL_NAME_LENGTH.max) {
+      errors.push({ key: 'user.fullNameTooLong', params: { max: FULL_NAME_LENGTH.max } });
     }
     if (!/^[\u4e00-\u9fa5a-zA-Z\s]+$/.test(fullName)) {
-      errors.push('真实姓名只能包含中文、英文字母和空格');
+      errors.push('user.fullNameInvalidChars');
     }
   }
 
@@ -158,18 +167,18 @@ export const validateBirthDate = (birthDate) => {
     const now = new Date();
     
     if (isNaN(date.getTime())) {
-      errors.push('生日格式不正确');
+      errors.push('user.birthDateInvalid');
     } else {
       if (date > now) {
-        errors.push('生日不能是未来日期');
+        errors.push('user.birthDateInFuture');
       }
       
       const age = now.getFullYear() - date.getFullYear();
-      if (age > 150) {
-        errors.push('年龄不能超过150岁');
+      if (age > MAX_AGE) {
+        errors.push({ key: 'user.ageTooLarge', params: { max: MAX_AGE } });
       }
       if (age < 0) {
-        errors.push('生日不能是未来日期');
+        errors.push('user.birthDateInFuture');
       }
     }
   }
@@ -191,7 +200,7 @@ export const validateGender = (gender) => {
   if (gender) {
     const validGenders = ['male', 'female', 'other'];
     if (!validGenders.includes(gender)) {
-      errors.push('性别值不正确，只能是 male、female 或 other');
+      errors.push('user.genderInvalid');
     }
   }
 
@@ -212,7 +221,7 @@ export const validateStatus = (status) => {
   if (status) {
     const validStatuses = ['active', 'inactive', 'suspended', 'deleted'];
     if (!validStatuses.includes(status)) {
-      errors.push('用户状态值不正确');
+      errors.push('user.statusInvalid');
     }
   }
 
@@ -233,11 +242,11 @@ export const validateAvatarUrl = (avatarUrl) => {
   if (avatarUrl) {
     try {
       new URL(avatarUrl);
-      if (avatarUrl.length > 500) {
-        errors.push('头像URL长度不能超过500个字符');
+      if (avatarUrl.length > AVATAR_URL_MAX_LENGTH) {
+        errors.push({ key: 'user.avatarUrlTooLong', params: { max: AVATAR_URL_MAX_LENGTH } });
       }
     } catch {
-      errors.push('头像URL格式不正确');
+      errors.push('user.avatarUrlInvalid');
     }
   }
 
@@ -246,176 +255,3 @@ export const validateAvatarUrl = (avatarUrl) => {
     errors
   };
 };
-
-/**
- * 验证用户创建数据
- * @param {Object} userData - 用户数据
- * @returns {Object} 验证结果
- */
-export const validateUserCreation = (userData) => {
-  const errors = [];
-  
-  // 必填字段验证
-  const usernameValidation = validateUsername(userData.username);
-  if (!usernameValidation.isValid) {
-    errors.push(...usernameValidation.errors);
-  }
-
-  const emailValidation = validateEmail(userData.email);
-  if (!emailValidation.isValid) {
-    errors.push(...emailValidation.errors);
-  }
-
-  const passwordValidation = validatePassword(userData.password);
-  if (!passwordValidation.isValid) {
-    errors.push(...passwordValidation.errors);
-  }
-
-  // 可选字段验证
-  if (userData.full_name) {
-    const fullNameValidation = validateFullName(userData.full_name);
-    if (!fullNameValidation.isValid) {
-      errors.push(...fullNameValidation.errors);
-    }
-  }
-
-  if (userData.phone) {
-    const phoneValidation = validatePhone(userData.phone);
-    if (!phoneValidation.isValid) {
-      errors.push(...phoneValidation.errors);
-    }
-  }
-
-  if (userData.birth_date) {
-    const birthDateValidation = validateBirthDate(userData.birth_date);
-    if (!birthDateValidation.isValid) {
-      errors.push(...birthDateValidation.errors);
-    }
-  }
-
-  if (userData.gender) {
-    const genderValidation = validateGender(userData.gender);
-    if (!genderValidation.isValid) {
-      errors.push(...genderValidation.errors);
-    }
-  }
-
-  if (userData.avatar_url) {
-    const avatarValidation = validateAvatarUrl(userData.avatar_url);
-    if (!avatarValidation.isValid) {
-      errors.push(...avatarValidation.errors);
-    }
-  }
-
-  return {
-    isValid: errors.length === 0,
-    errors
-  };
-};
-
-/**
- * 验证用户更新数据
- * @param {Object} userData - 用户数据
- * @returns {Object} 验证结果
- */
-export const validateUserUpdate = (userData) => {
-  const errors = [];
-  
-  // 可选字段验证（更新时所有字段都是可选的）
-  if (userData.username !== undefined) {
-    const usernameValidation = validateUsername(userData.username);
-    if (!usernameValidation.isValid) {
-      errors.push(...usernameValidation.errors);
-    }
-  }
-
-  if (userData.email !== undefined) {
-    const emailValidation = validateEmail(userData.email);
-    if (!emailValidation.isValid) {
-      errors.push(...emailValidation.errors);
-    }
-  }
-
-  if (userData.password !== undefined) {
-    const passwordValidation = validatePassword(userData.password);
-    if (!passwordValidation.isValid) {
-      errors.push(...passwordValidation.errors);
-    }
-  }
-
-  if (userData.full_name !== undefined) {
-    const fullNameValidation = validateFullName(userData.full_name);
-    if (!fullNameValidation.isValid) {
-      errors.push(...fullNameValidation.errors);
-    }
-  }
-
-  if (userData.phone !== undefined) {
-    const phoneValidation = validatePhone(userData.phone);
-    if (!phoneValidation.isValid) {
-      errors.push(...phoneValidation.errors);
-    }
-  }
-
-  if (userData.birth_date !== undefined) {
-    const birthDateValidation = validateBirthDate(userData.birth_date);
-    if (!birthDateValidation.isValid) {
-      errors.push(...birthDateValidation.errors);
-    }
-  }
-
-  if (userData.gender !== undefined) {
-    const genderValidation = validateGender(userData.gender);
-    if (!genderValidation.isValid) {
-      errors.push(...genderValidation.errors);
-    }
-  }
-
-  if (userData.status !== undefined) {
-    const statusValidation = validateStatus(userData.status);
-    if (!statusValidation.isValid) {
-      errors.push(...statusValidation.errors);
-    }
-  }
-
-  if (userData.avatar_url !== undefined) {
-    const avatarValidation = validateAvatarUrl(userData.avatar_url);
-    if (!avatarValidation.isValid) {
-      errors.push(...avatarValidation.errors);
-    }
-  }
-
-  return {
-    isValid: errors.length === 0,
-    errors
-  };
-};
-
-/**
- * 验证分页参数
- * @param {Object} params - 分页参数
- * @returns {Object} 验证结果
- */
-export const validatePaginationParams = (params) => {
-  const errors = [];
-  const { page, limit } = params;
-
-  if (page !== undefined) {
-    const pageNum = parseInt(page);
-    if (isNaN(pageNum) || pageNum < 1) {
-      errors.push('页码必须是大于0的整数');
-    }
-  }
-
-  if (limit !== undefined) {
-    const limitNum = parseInt(limit);
-    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
-      errors.push('每页数量必须是1-100之间的整数');
-    }
-  }
-
-  return {
-    isValid: errors.length === 0,
-    errors
-  };
-};
\ No newline at end of file
@@ -4,13 +4,16 @@
  */
 
 import Router from "@koa/router";
+import { translate } from "../infrastructure/i18n.infrastructure.js";
+import { getLocale } from "../middleware/i18n.middleware.js";
 const router = new Router();
 
 /**
  * 根路径路由 - 欢迎页面
+ * 响应体是纯文本，不经过国际化中间件的消息键翻译，直接按请求语言取文案
  */
 router.get("/", async (ctx) => {
-    ctx.body = "欢迎使用 Koa.js API 服务器";
+    ctx.body = translate("app.welcome", {}, getLocale(ctx));
     ctx.status = 200;
 });
 
@@ -0,0 +1,22 @@
+/**
+ * 健康检查路由模块
+ * 探针均允许匿名访问，供负载均衡和容器编排系统调用
+ */
+
+import Router from '@koa/router';
+import healthController from '../controllers/health/health.controller.js';
+
+const router = new Router({
+  prefix: '/health'
+});
+
+// 完整健康报告
+router.get('/', healthController.report);
+
+// 存活探针
+router.get('/live', healthController.live);
+
+// 就绪探针
+router.get('/ready', healthController.ready);
+
+export default router;
@@ -5,7 +5,9 @@
 
 import Router from "@koa/router";
 import basicRoutes from "./basic.routes.js";
+import healthRoutes from "./health.routes.js";
 import userRoutes from "./user.routes.js";
+import roleRoutes from "./role.routes.js";
 
 const router = new Router();
 
@@ -15,10 +17,18 @@ const router = new Router();
 router.use(basicRoutes.routes());
 router.use(basicRoutes.allowedMethods());
 
+// 健康检查路由模块
+router.use(healthRoutes.routes());
+router.use(healthRoutes.allowedMethods());
+
 // 用户路由模块
 router.use(userRoutes.routes());
 router.use(userRoutes.allowedMethods());
 
+// 角色路由模块
+router.use(roleRoutes.routes());
+router.use(roleRoutes.allowedMethods());
+
 /**
  * 设置应用路由
  * @param {Object} app - Koa应用实例
@@ -28,4 +38,5 @@ const setupRoutes = (app) => {
   app.use(router.allowedMethods());
 };
 
+export { router };
 export default setupRoutes;
@@ -0,0 +1,17 @@
+/**
+ * 角色路由模块
+ * 定义角色管理相关的API路由
+ */
+
+import Router from '@koa/router';
+import roleController from '../controllers/role/role.controller.js';
+import { requirePermission } from '../middleware/auth.middleware.js';
+
+const router = new Router({
+  prefix: '/api/roles'
+});
+
+// 获取角色列表
+router.get('/', requirePermission('roles:read'), roleController.getRoles);
+
+export default router;
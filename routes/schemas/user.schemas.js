@@ -0,0 +1,360 @@
+/**
+ * 用户路由请求结构
+ * 键与 UserController / RoleController 的处理函数同名，供 routes/user.routes.js 通过 validate() 使用；
+ * 只描述请求的形状和字段格式，用户名是否重复、当前身份能否写入某字段等业务规则仍由服务层判断
+ */
+
+import {
+  validateUsername,
+  validatePassword,
+  validateFullName,
+  validateBirthDate
+} from '../../models/user/user.validation.js';
+import { apiKeyConfig, rbacConfig } from '../../config/app.config.js';
+import { SUPPORTED_LOCALES } from '../../infrastructure/i18n.infrastructure.js';
+
+/**
+ * 复用 user.validation.js 中的单字段校验作为自定义校验
+ * @param {Function} validator - 返回 { errors } 的校验函数，errors 为消息键或 { key, params }
+ * @returns {Function} 结构中的 check
+ */
+const rule = (validator) => (value) => validator(value).errors;
+
+/**
+ * 定义 object 结构
+ * @param {Object} properties - 字段结构
+ * @param {Array<string>} required - 必填字段
+ * @returns {Object} 结构
+ */
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+
+const fields = {
+  id: { type: 'integer', minimum: 1, description: '用户ID' },
+  page: { type: 'integer', minimum: 1, default: 1, description: '页码' },
+  limit: { type: 'integer', minimum: 1, maximum: 100, default: 10, description: '每页数量' },
+  sortOrder: { type: 'string', enum: ['ASC', 'DESC'], description: '排序方向' },
+  provider: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$', maxLength: 50, description: '身份提供方' },
+  username: {
+    type: 'string',
+    minLength: 3,
+    maxLength: 50,
+    pattern: '^[a-zA-Z_][a-zA-Z0-9_]*$',
+    description: '用户名，只能包含字母、数字和下划线，不能以数字开头',
+    check: rule(validateUsername)
+  },
+  email: { type: 'string', format: 'email', maxLength: 100, description: '邮箱地址' },
+  password: {
+    type: 'string',
+    minLength: 6,
+    maxLength: 128,
+    description: '密码，必须包含大小写字母、数字和特殊字符(@$!%*?&)',
+    check: rule(validatePassword)
+  },
+  status: { type: 'string', enum: ['active', 'inactive', 'suspended', 'deleted'], description: '账户状态' },
+  refreshToken: { type: 'string', minLength: 1, description: '刷新令牌' },
+  code: { type: 'string', minLength: 1, description: '验证码或授权码' }
+};
+
+// 个人资料字段，可选字段传 null 表示清空
+const profileFields = {
+  full_name: {
+    type: 'string',
+    nullable: true,
+    maxLength: 100,
+    description: '真实姓名',
+    check: rule(validateFullName)
+  },
+  phone: { type: 'string', nullable: true, pattern: '^1[3-9]\\d{9}$', description: '手机号（中国大陆）' },
+  birth_date: {
+    type: 'string',
+    nullable: true,
+    format: 'date',
+    description: '生日（YYYY-MM-DD）',
+    check: rule(validateBirthDate)
+  },
+  gender: { type: 'string', nullable: true, enum: ['male', 'female', 'other'], description: '性别' },
+  avatar_url: { type: 'string', nullable: true, format: 'uri', maxLength: 500, description: '头像URL' },
+  preferences: {
+    type: 'object',
+    nullable: true,
+    properties: {
+      locale: { type: 'string', enum: [...SUPPORTED_LOCALES], description: '响应和通知邮件使用的语言' }
+    },
+    additionalProperties: true,
+    description: '偏好设置'
+  }
+};
+
+const userParams = object({ id: fields.id }, ['id']);
+const providerParams = object({ id: fields.id, provider: fields.provider }, ['id', 'provider']);
+const oidcCallbackBody = object(
+  {
+    code: fields.code,
+    state: { type: 'string', minLength: 1, description: '发起授权时返回的state' }
+  },
+  ['code', 'state']
+);
+
+export default {
+  // 用户认证
+  authenticateUser: {
+    summary: '用户登录',
+    body: object(
+      {
+        identifier: { type: 'string', minLength: 1, maxLength: 100, description: '用户名或邮箱' },
+        password: { type: 'string', minLength: 1, description: '密码' }
+      },
+      ['identifier', 'password']
+    )
+  },
+  verifyTwoFactorLogin: {
+    summary: '完成双因素认证登录',
+    body: object(
+      {
+        challengeToken: { type: 'string', minLength: 1, description: '登录时返回的挑战令牌' },
+        code: { ...fields.code, description: '动态验证码或恢复码' }
+      },
+      ['challengeToken', 'code']
+    )
+  },
+  getOidcProviders: {
+    summary: '获取已启用的第三方身份提供方'
+  },
+  startOidcLogin: {
+    summary: '发起第三方登录授权',
+    params: object({ provider: fields.provider }, ['provider'])
+  },
+  completeOidcLogin: {
+    summary: '第三方登录回调',
+    params: object({ provider: fields.provider }, ['provider']),
+    body: oidcCallbackBody
+  },
+  refreshToken: {
+    summary: '刷新访问令牌',
+    body: object({ refreshToken: fields.refreshToken }, ['refreshToken'])
+  },
+  logout: {
+    summary: '退出登录',
+    body: object({ refreshToken: fields.refreshToken }, ['refreshToken'])
+  },
+  forgotPassword: {
+    summary: '申请重置密码',
+    body: object({ email: fields.email }, ['email'])
+  },
+  resetPassword: {
+    summary: '使用重置令牌设置新密码',
+    body: object(
+      {
+        token: { type: 'string', minLength: 1, description: '重置令牌' },
+        password: fields.password
+      },
+      ['token', 'password']
+    )
+  },
+
+  // 用户管理
+  createUser: {
+    summary: '创建新用户（注册）',
+    body: object(
+      {
+        username: fields.username,
+        email: fields.email,
+        password: fields.password,
+        ...profileFields
+      },
+      ['username', 'email', 'password']
+    )
+  },
+  getUserList: {
+    summary: '获取用户列表',
+    query: object({
+      page: fields.page,
+      limit: fields.limit,
+      status: fields.status,
+      search: { type: 'string', maxLength: 100, description: '按用户名、邮箱或姓名模糊搜索' },
+      sortBy: {
+        type: 'string',
+        enum: ['created_at', 'updated_at', 'username', 'email', 'last_login_at'],
+        default: 'created_at',
+        description: '排序字段'
+      },
+      sortOrder: { ...fields.sortOrder, default: 'DESC' }
+    })
+  },
+  searchUsers: {
+    summary: '搜索用户',
+    query: object(
+      {
+        keyword: { type: 'string', minLength: 1, maxLength: 100, description: '搜索关键词' },
+        page: fields.page,
+        limit: fields.limit,
+        sortBy: {
+          type: 'string',
+          enum: ['created_at', 'updated_at', 'username', 'email', 'last_login_at'],
+          default: 'username',
+          description: '排序字段'
+        },
+        sortOrder: { ...fields.sortOrder, default: 'ASC' }
+      },
+      ['keyword']
+    )
+  },
+  getUserStatistics: {
+    summary: '获取用户统计信息'
+  },
+  getUserByUsername: {
+    summary: '根据用户名获取用户信息',
+    params: object({ username: { type: 'string', minLength: 1, maxLength: 50, description: '用户名' } }, ['username'])
+  },
+  verifyEmail: {
+    summary: '通过验证链接确认邮箱',
+    query: object({ token: { type: 'string', minLength: 1, description: '邮箱验证令牌' } }, ['token'])
+  },
+  getUserById: {
+    summary: '根据ID获取用户详情',
+    params: userParams
+  },
+  updateUser: {
+    summary: '更新用户信息',
+    description: '用户本人只能修改个人资料，拥有 users:update 权限的管理员还可以修改账户状态',
+    params: userParams,
+    body: object({
+      username: fields.username,
+      email: fields.email,
+      ...profileFields,
+      status: fields.status
+    })
+  },
+  exportUser: {
+    summary: '导出个人数据',
+    params: userParams
+  },
+  changePassword: {
+    summary: '修改密码',
+    params: userParams,
+    body: {
+      ...object(
+        {
+          currentPassword: { type: 'string', minLength: 1, description: '当前密码' },
+          newPassword: fields.password
+        },
+        ['currentPassword', 'newPassword']
+      ),
+      check: ({ currentPassword, newPassword }) =>
+        currentPassword === newPassword ? [{ field: 'newPassword', message: 'user.passwordUnchanged' }] : []
+    }
+  },
+  setupTwoFactor: {
+    summary: '生成双因素认证密钥',
+    params: userParams
+  },
+  enableTwoFactor: {
+    summary: '确认启用双因素认证',
+    params: userParams,
+    body: object({ code: { ...fields.code, description: '认证器应用中的动态验证码' } }, ['code'])
+  },
+  getUserLogins: {
+    summary: '获取用户登录记录',
+    params: userParams,
+    query: object({
+      page: fields.page,
+      limit: fields.limit,
+      success: { type: 'boolean', description: '只查看成功或失败的登录' }
+    })
+  },
+  getUserIdentities: {
+    summary: '获取用户绑定的第三方账号',
+    params: userParams
+  },
+  startIdentityLink: {
+    summary: '发起第三方账号绑定授权',
+    params: providerParams
+  },
+  linkIdentity: {
+    summary: '完成第三方账号绑定',
+    params: providerParams,
+    body: oidcCallbackBody
+  },
+  unlinkIdentity: {
+    summary: '解除第三方账号绑定',
+    params: providerParams
+  },
+  getUserSessions: {
+    summary: '获取用户当前的登录会话',
+    params: userParams
+  },
+  revokeAllUserSessions: {
+    summary: '退出所有设备',
+    params: userParams
+  },
+  revokeUserSession: {
+    summary: '注销指定会话',
+    params: object(
+      { id: fields.id, sessionId: { type: 'string', minLength: 1, description: '会话ID' } },
+      ['id', 'sessionId']
+    )
+  },
+  getApiKeys: {
+    summary: '获取用户的API密钥',
+    params: userParams
+  },
+  createApiKey: {
+    summary: '创建API密钥',
+    description: '明文密钥只在创建时返回一次，授权范围不能超出创建者自身的权限',
+    params: userParams,
+    body: object(
+      {
+        name: { type: 'string', minLength: 1, maxLength: 100, description: '密钥名称' },
+        scopes: {
+          type: 'array',
+          items: { type: 'string', enum: Object.keys(rbacConfig.permissions) },
+          description: '授权范围'
+        },
+        expiresInDays: {
+          type: 'integer',
+          minimum: 1,
+          maximum: apiKeyConfig.maxExpiresInDays,
+          description: `有效天数，默认 ${apiKeyConfig.defaultExpiresInDays} 天`
+        }
+      },
+      ['name']
+    )
+  },
+  revokeApiKey: {
+    summary: '吊销API密钥',
+    params: object(
+      { id: fields.id, keyId: { type: 'integer', minimum: 1, description: 'API密钥ID' } },
+      ['id', 'keyId']
+    )
+  },
+  unlockUser: {
+    summary: '解除账户登录锁定',
+    params: userParams
+  },
+  deleteUser: {
+    summary: '删除用户',
+    params: userParams
+  },
+  sendVerificationEmail: {
+    summary: '重新发送邮箱验证邮件',
+    params: userParams
+  },
+
+  // 用户角色管理
+  getUserRoles: {
+    summary: '获取用户角色',
+    params: userParams
+  },
+  assignRole: {
+    summary: '授予用户角色',
+    params: userParams,
+    body: object({ role: { type: 'string', minLength: 1, maxLength: 50, description: '角色名' } }, ['role'])
+  },
+  revokeRole: {
+    summary: '撤销用户角色',
+    params: object(
+      { id: fields.id, role: { type: 'string', minLength: 1, maxLength: 50, description: '角色名' } },
+      ['id', 'role']
+    )
+  }
+};
@@ -5,45 +5,141 @@
 
 import Router from '@koa/router';
 import userController from '../controllers/user/user.controller.js';
+import roleController from '../controllers/role/role.controller.js';
+import { authorize, requirePermission, ACCESS_LEVELS } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import schemas from './schemas/user.schemas.js';
 
 const router = new Router({
   prefix: '/api/users'
 });
 
+const { PUBLIC, AUTHENTICATED, SELF } = ACCESS_LEVELS;
+
+// 管理登录凭据的路由只允许使用访问令牌，API密钥不能用来修改密码、签发新密钥等
+const INTERACTIVE = { apiKey: false };
+
 /**
  * 用户认证相关路由
  */
 // 用户登录
-router.post('/auth/login', userController.authenticateUser);
+router.post('/auth/login', authorize(PUBLIC), validate(schemas.authenticateUser), userController.authenticateUser);
+
+// 完成双因素认证登录
+router.post('/auth/2fa/verify', authorize(PUBLIC), validate(schemas.verifyTwoFactorLogin), userController.verifyTwoFactorLogin);
+
+// 获取已启用的第三方身份提供方
+router.get('/auth/oidc/providers', authorize(PUBLIC), validate(schemas.getOidcProviders), userController.getOidcProviders);
+
+// 发起第三方登录授权
+router.post('/auth/oidc/:provider/authorize', authorize(PUBLIC), validate(schemas.startOidcLogin), userController.startOidcLogin);
+
+// 第三方登录回调（提交授权码和state）
+router.post('/auth/oidc/:provider/callback', authorize(PUBLIC), validate(schemas.completeOidcLogin), userController.completeOidcLogin);
+
+// 刷新访问令牌
+router.post('/auth/refresh', authorize(PUBLIC), validate(schemas.refreshToken), userController.refreshToken);
+
+// 退出登录
+router.post('/auth/logout', authorize(PUBLIC), validate(schemas.logout), userController.logout);
+
+// 申请重置密码
+router.post('/auth/forgot-password', authorize(PUBLIC), validate(schemas.forgotPassword), userController.forgotPassword);
+
+// 使用重置令牌设置新密码
+router.post('/auth/reset-password', authorize(PUBLIC), validate(schemas.resetPassword), userController.resetPassword);
 
 /**
  * 用户管理相关路由
  */
-// 创建新用户
-router.post('/', userController.createUser);
+// 创建新用户（注册）
+router.post('/', authorize(PUBLIC), validate(schemas.createUser), userController.createUser);
 
 // 获取用户列表
-router.get('/', userController.getUserList);
+router.get('/', authorize(AUTHENTICATED), validate(schemas.getUserList), userController.getUserList);
 
 // 搜索用户
-router.get('/search', userController.searchUsers);
+router.get('/search', authorize(AUTHENTICATED), validate(schemas.searchUsers), userController.searchUsers);
 
 // 获取用户统计信息
-router.get('/statistics', userController.getUserStatistics);
+router.get('/statistics', requirePermission('users:statistics'), validate(schemas.getUserStatistics), userController.getUserStatistics);
 
 // 根据用户名获取用户信息
-router.get('/username/:username', userController.getUserByUsername);
+router.get('/username/:username', authorize(AUTHENTICATED), validate(schemas.getUserByUsername), userController.getUserByUsername);
+
+// 通过验证链接确认邮箱
+router.get('/verify-email', authorize(PUBLIC), validate(schemas.verifyEmail), userController.verifyEmail);
 
 // 根据ID获取用户详情
-router.get('/:id', userController.getUserById);
+router.get('/:id', authorize(AUTHENTICATED), validate(schemas.getUserById), userController.getUserById);
 
 // 更新用户信息
-router.put('/:id', userController.updateUser);
+router.put('/:id', authorize(SELF, { permission: 'users:update' }), validate(schemas.updateUser), userController.updateUser);
+
+// 导出个人数据（仅限本人）
+router.get('/:id/export', authorize(SELF, INTERACTIVE), validate(schemas.exportUser), userController.exportUser);
+
+// 修改密码（需要当前密码，仅限本人）
+router.put('/:id/password', authorize(SELF, INTERACTIVE), validate(schemas.changePassword), userController.changePassword);
+
+// 生成双因素认证密钥
+router.post('/:id/2fa/setup', authorize(SELF, INTERACTIVE), validate(schemas.setupTwoFactor), userController.setupTwoFactor);
+
+// 确认启用双因素认证
+router.post('/:id/2fa/enable', authorize(SELF, INTERACTIVE), validate(schemas.enableTwoFactor), userController.enableTwoFactor);
+
+// 获取用户登录记录
+router.get('/:id/logins', authorize(SELF, { permission: 'users:audit' }), validate(schemas.getUserLogins), userController.getUserLogins);
+
+// 获取用户绑定的第三方账号
+router.get('/:id/identities', authorize(SELF, INTERACTIVE), validate(schemas.getUserIdentities), userController.getUserIdentities);
+
+// 发起第三方账号绑定授权
+router.post('/:id/identities/:provider/authorize', authorize(SELF, INTERACTIVE), validate(schemas.startIdentityLink), userController.startIdentityLink);
+
+// 完成第三方账号绑定（提交授权码和state）
+router.post('/:id/identities/:provider', authorize(SELF, INTERACTIVE), validate(schemas.linkIdentity), userController.linkIdentity);
+
+// 解除第三方账号绑定
+router.delete('/:id/identities/:provider', authorize(SELF, INTERACTIVE), validate(schemas.unlinkIdentity), userController.unlinkIdentity);
+
+// 获取用户当前的登录会话
+router.get('/:id/sessions', authorize(SELF, { ...INTERACTIVE, permission: 'users:sessions' }), validate(schemas.getUserSessions), userController.getUserSessions);
+
+// 退出所有设备（注销全部会话）
+router.delete('/:id/sessions', authorize(SELF, { ...INTERACTIVE, permission: 'users:sessions' }), validate(schemas.revokeAllUserSessions), userController.revokeAllUserSessions);
+
+// 注销指定会话
+router.delete('/:id/sessions/:sessionId', authorize(SELF, { ...INTERACTIVE, permission: 'users:sessions' }), validate(schemas.revokeUserSession), userController.revokeUserSession);
+
+// 获取用户的API密钥
+router.get('/:id/api-keys', authorize(SELF, INTERACTIVE), validate(schemas.getApiKeys), userController.getApiKeys);
+
+// 创建API密钥（明文只返回一次）
+router.post('/:id/api-keys', authorize(SELF, INTERACTIVE), validate(schemas.createApiKey), userController.createApiKey);
+
+// 吊销API密钥
+router.delete('/:id/api-keys/:keyId', authorize(SELF, INTERACTIVE), validate(schemas.revokeApiKey), userController.revokeApiKey);
+
+// 解除账户登录锁定
+router.post('/:id/unlock', requirePermission('users:unlock'), validate(schemas.unlockUser), userController.unlockUser);
 
 // 删除用户
-router.delete('/:id', userController.deleteUser);
+router.delete('/:id', authorize(SELF, { permission: 'users:delete' }), validate(schemas.deleteUser), userController.deleteUser);
+
+// 重新发送邮箱验证邮件
+router.post('/:id/verify-email', authorize(SELF), validate(schemas.sendVerificationEmail), userController.sendVerificationEmail);
+
+/**
+ * 用户角色管理路由
+ */
+// 获取用户角色
+router.get('/:id/roles', authorize(SELF, { permission: 'roles:read' }), validate(schemas.getUserRoles), roleController.getUserRoles);
+
+// 授予用户角色
+router.post('/:id/roles', requirePermission('roles:assign'), validate(schemas.assignRole), roleController.assignRole);
 
-// 验证用户邮箱
-router.post('/:id/verify-email', userController.verifyEmail);
+// 撤销用户角色
+router.delete('/:id/roles/:role', requirePermission('roles:assign'), validate(schemas.revokeRole), roleController.revokeRole);
 
-export default router;
\ No newline at end of file
+export default router;
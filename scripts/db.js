@@ -0,0 +1,160 @@
+/**
+ * 数据库管理命令行
+ * 用法：
+ *   node scripts/db.js migrate [--baseline]  执行所有待执行的迁移
+ *   node scripts/db.js rollback [--steps N]  回滚最近的 N 个迁移（默认1个）
+ *   node scripts/db.js status                查看迁移状态
+ *   node scripts/db.js seed [--only 名称]    写入当前环境的种子数据，可重复执行
+ *   node scripts/db.js seed:undo [--only 名称] 删除种子写入的数据
+ */
+
+import { parseArgs } from "util";
+import {
+    ensureDatabaseDirectory,
+    closeDatabaseConnection,
+} from "../infrastructure/db.infrastructure.js";
+import {
+    migrate,
+    rollback,
+    getMigrationStatus,
+    verifySchemaVersion,
+} from "../infrastructure/migration.infrastructure.js";
+import { runSeeders, undoSeeders } from "../infrastructure/seed.infrastructure.js";
+import roleService from "../models/role/role.service.js";
+import { setMailTransport } from "../infrastructure/mailer.infrastructure.js";
+import { serverConfig } from "../config/app.config.js";
+
+const STATUS_LABELS = {
+    applied: "✅ 已执行",
+    pending: "⏳ 待执行",
+    missing: "❓ 文件缺失",
+};
+
+/**
+ * 种子数据依赖最新的表结构，存在未执行的迁移时拒绝执行
+ */
+const assertSchemaUpToDate = async () => {
+    const { upToDate, pending } = await verifySchemaVersion();
+    if (!upToDate) {
+        throw new Error(
+            pending.length > 0
+                ? `存在未执行的迁移: ${pending.join(", ")}，请先运行 npm run db:migrate`
+                : "数据库结构版本与代码不一致"
+        );
+    }
+};
+
+const commands = {
+    /**
+     * 执行迁移
+     * @param {Object} options - 命令行选项
+     */
+    async migrate({ baseline }) {
+        const executed = await migrate({ baseline });
+        if (baseline) {
+            console.log("📌 已将初始迁移记录为已执行");
+        }
+        if (executed.length === 0) {
+            console.log("✅ 没有待执行的迁移");
+            return;
+        }
+        executed.forEach((name) => console.log(`⬆️  已执行 ${name}`));
+    },
+
+    /**
+     * 回滚迁移
+     * @param {Object} options - 命令行选项
+     */
+    async rollback({ steps }) {
+        const count = Number.parseInt(steps, 10);
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error("--steps 必须是正整数");
+        }
+
+        const reverted = await rollback({ steps: count });
+        if (reverted.length === 0) {
+            console.log("✅ 没有可回滚的迁移");
+            return;
+        }
+        reverted.forEach((name) => console.log(`⬇️  已回滚 ${name}`));
+    },
+
+    /**
+     * 查看迁移状态
+     */
+    async status() {
+        const status = await getMigrationStatus();
+        if (status.length === 0) {
+            console.log("没有迁移文件");
+            return;
+        }
+        status.forEach(({ name, status: state, appliedAt }) => {
+            const time = appliedAt ? `  ${new Date(appliedAt).toISOString()}` : "";
+            console.log(`${STATUS_LABELS[state]}  ${name}${time}`);
+        });
+    },
+
+    /**
+     * 写入种子数据
+     * @param {Object} options - 命令行选项
+     */
+    async seed({ only }) {
+        await assertSchemaUpToDate();
+        // 种子用户直接标记为邮箱已验证，不需要发送验证邮件
+        setMailTransport({ name: "discard", send: async () => ({ accepted: [] }) });
+
+        // 与应用启动时一致，先写入默认角色，新用户才能分配到默认角色
+        await roleService.ensureDefaultRoles();
+
+        const results = await runSeeders({ only });
+        if (results.length === 0) {
+            console.log(`✅ ${serverConfig.env} 环境没有需要执行的种子`);
+            return;
+        }
+        results.forEach(({ name, created }) => {
+            console.log(`🌱 ${name}: ${created.length > 0 ? `新增 ${created.join(", ")}` : "数据已存在，跳过"}`);
+        });
+    },
+
+    /**
+     * 删除种子数据
+     * @param {Object} options - 命令行选项
+     */
+    async "seed:undo"({ only }) {
+        await assertSchemaUpToDate();
+        const results = await undoSeeders({ only });
+        results.forEach(({ name, removed }) => {
+            console.log(`🗑️  ${name}: ${removed.length > 0 ? `已删除 ${removed.join(", ")}` : "没有需要删除的数据"}`);
+        });
+    },
+};
+
+const main = async () => {
+    const { positionals, values } = parseArgs({
+        allowPositionals: true,
+        options: {
+            steps: { type: "string", default: "1" },
+            baseline: { type: "boolean", default: false },
+            only: { type: "string", multiple: true, default: [] },
+        },
+    });
+    const [command] = positionals;
+
+    if (!Object.hasOwn(commands, command)) {
+        console.error(`❌ 未知命令: ${command || "(空)"}，可用命令: ${Object.keys(commands).join(", ")}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        ensureDatabaseDirectory();
+        await commands[command](values);
+    } catch (error) {
+        console.error(`❌ ${command} 失败:`, error.message);
+        process.exitCode = 1;
+    } finally {
+        await closeDatabaseConnection();
+    }
+};
+
+main();
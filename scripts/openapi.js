@@ -0,0 +1,35 @@
+/**
+ * 生成 OpenAPI 文档
+ * 用法：
+ *   node scripts/openapi.js                  输出到标准输出
+ *   node scripts/openapi.js --output 文件路径  写入文件
+ */
+
+import { writeFileSync } from "fs";
+import { parseArgs } from "util";
+import { router } from "../routes/index.js";
+import { buildOpenApiDocument } from "../infrastructure/openapi.infrastructure.js";
+import { APP_VERSION } from "../infrastructure/health.infrastructure.js";
+
+const main = () => {
+    const { values } = parseArgs({
+        options: {
+            output: { type: "string" },
+        },
+    });
+
+    const document = buildOpenApiDocument(router, {
+        title: "Koa Server API",
+        version: APP_VERSION,
+    });
+    const json = `${JSON.stringify(document, null, 2)}\n`;
+
+    if (!values.output) {
+        process.stdout.write(json);
+        return;
+    }
+    writeFileSync(values.output, json);
+    console.log(`📄 已生成 ${values.output}，共 ${Object.keys(document.paths).length} 个路径`);
+};
+
+main();
@@ -0,0 +1,66 @@
+/**
+ * 初始管理员账户
+ * 账户信息来自 seed.admin 配置；账户已存在时只确保其拥有管理员角色，不修改密码
+ */
+
+import { randomBytes } from "crypto";
+import userRepository from "../models/user/user.repository.js";
+import roleRepository from "../models/role/role.repository.js";
+import { createUser } from "./factories/user.factory.js";
+
+const ADMIN_ROLE = "admin";
+
+/**
+ * 生成满足密码强度要求的随机密码
+ * @returns {string} 随机密码
+ */
+const generatePassword = () => `${randomBytes(12).toString("base64url")}Aa1!`;
+
+/**
+ * 确保用户拥有管理员角色
+ * @param {number} userId - 用户ID
+ */
+const ensureAdminRole = async (userId) => {
+  const role = await roleRepository.findByName(ADMIN_ROLE);
+  if (!role) {
+    throw new Error(`角色 ${ADMIN_ROLE} 不存在，请先初始化默认角色`);
+  }
+  await roleRepository.assignToUser(userId, role.id);
+};
+
+export const run = async ({ config, log }) => {
+  const { username, email, password } = config.admin;
+
+  const existing = await userRepository.findByUsername(username);
+  if (existing) {
+    await ensureAdminRole(existing.id);
+    return [];
+  }
+
+  const initialPassword = password || generatePassword();
+  const admin = await createUser({
+    username,
+    email,
+    password: initialPassword,
+    full_name: "系统管理员",
+    phone: null,
+    birth_date: null,
+    gender: null,
+  });
+  await ensureAdminRole(admin.id);
+
+  if (!password) {
+    log(`🔑 管理员 ${username} 的初始密码: ${initialPassword}（仅显示一次，请登录后立即修改）`);
+  }
+  return [username];
+};
+
+export const undo = async ({ config }) => {
+  const admin = await userRepository.findByUsername(config.admin.username);
+  if (!admin) {
+    return [];
+  }
+
+  await userRepository.hardDelete(admin.id);
+  return [admin.username];
+};
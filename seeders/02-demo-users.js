@@ -0,0 +1,55 @@
+/**
+ * 演示用户
+ * 仅在开发和测试环境写入，数量和密码来自 seed 配置
+ */
+
+import userRepository from "../models/user/user.repository.js";
+import { buildMany, createUser } from "./factories/user.factory.js";
+
+export const environments = ["development", "test"];
+
+// 真实姓名不允许包含数字，超过列表长度时循环使用
+const DEMO_NAMES = ["张伟", "王芳", "李娜", "刘洋", "陈静", "杨磊", "赵敏", "黄强", "周婷", "吴昊"];
+
+/**
+ * 构造演示用户数据
+ * @param {Object} config - 种子数据配置
+ * @returns {Array<Object>} 用户输入数据
+ */
+const demoUsers = (config) =>
+  buildMany(config.demoUserCount, (index) => ({
+    username: `demo${index}`,
+    email: `demo${index}@example.com`,
+    password: config.demoPassword,
+    full_name: DEMO_NAMES[(index - 1) % DEMO_NAMES.length],
+    phone: `1380000${String(index).padStart(4, "0")}`,
+    gender: index % 2 === 1 ? "male" : "female",
+  }));
+
+export const run = async ({ config }) => {
+  const created = [];
+
+  for (const data of demoUsers(config)) {
+    if (await userRepository.isUsernameExists(data.username)) {
+      continue;
+    }
+    await createUser(data);
+    created.push(data.username);
+  }
+
+  return created;
+};
+
+export const undo = async ({ config }) => {
+  const removed = [];
+
+  for (const { username } of demoUsers(config)) {
+    const user = await userRepository.findByUsername(username);
+    if (user) {
+      await userRepository.hardDelete(user.id);
+      removed.push(username);
+    }
+  }
+
+  return removed;
+};
@@ -0,0 +1,80 @@
+/**
+ * 用户数据工厂
+ * 种子数据和测试共用，保证两边构造的用户数据满足相同的校验规则
+ */
+
+import userService from "../../models/user/user.service.js";
+import userRepository from "../../models/user/user.repository.js";
+import { USER_VIEWS, serializeUser } from "../../models/user/user.serializer.js";
+import { validateSchema } from "../../middleware/validate.middleware.js";
+import { ValidationError } from "../../errors/app.error.js";
+import userSchemas from "../../routes/schemas/user.schemas.js";
+
+// 满足密码强度要求的默认密码
+export const DEFAULT_PASSWORD = "Password123!";
+
+// 不对应任何明文的占位密码哈希，用于绕过业务层直接写库的场景
+export const PLACEHOLDER_PASSWORD_HASH = "$2b$10$abcdefghijklmnopqrstuvwxyz123456789";
+
+/**
+ * 构造注册用户的输入数据（明文密码），可直接传给 UserService.createUser
+ * @param {Object} overrides - 覆盖的字段
+ * @returns {Object} 用户输入数据
+ */
+export const buildUserData = (overrides = {}) => ({
+  username: "testuser",
+  email: "test@example.com",
+  password: DEFAULT_PASSWORD,
+  full_name: "测试用户",
+  phone: "13800138000",
+  birth_date: "1990-01-01",
+  gender: "male",
+  ...overrides,
+});
+
+/**
+ * 构造可直接写入 users 表的数据（密码哈希为占位值）
+ * @param {Object} overrides - 覆盖的字段
+ * @returns {Object} 用户记录数据
+ */
+export const buildUserRecord = (overrides = {}) => {
+  const { password, ...data } = buildUserData();
+  return { ...data, password_hash: PLACEHOLDER_PASSWORD_HASH, ...overrides };
+};
+
+/**
+ * 按序号批量构造数据
+ * @param {number} count - 数量
+ * @param {Function} build - 构造函数，参数为从1开始的序号
+ * @returns {Array<Object>} 构造结果
+ */
+export const buildMany = (count, build) =>
+  Array.from({ length: count }, (_, index) => build(index + 1));
+
+/**
+ * 通过业务层创建用户（字段校验、密码加密、默认角色、密码历史与正常注册一致）
+ * @param {Object} overrides - 覆盖的字段
+ * @param {Object} options - 选项
+ * @param {boolean} options.verified - 是否标记邮箱已验证，默认true
+ * @returns {Promise<Object>} 本人视图的用户信息（见 user.serializer.js）
+ * @throws {ValidationError} 数据不满足注册接口的请求结构，例如配置的管理员密码强度不足
+ */
+export const createUser = async (overrides = {}, { verified = true } = {}) => {
+  const { value, details } = validateSchema(buildUserData(overrides), userSchemas.createUser.body);
+  if (details.length > 0) {
+    throw new ValidationError("errors.validationFailed", {
+      details: details.map(({ field, message }) => ({ field, message })),
+    });
+  }
+
+  const user = await userService.createUser(value);
+  if (!verified) {
+    return user;
+  }
+
+  const updated = await userRepository.update(user.id, {
+    email_verified: true,
+    email_verified_at: new Date(),
+  });
+  return serializeUser(updated, USER_VIEWS.SELF);
+};
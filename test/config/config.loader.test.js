@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadConfig, loadEnvFiles, parseEnvFile, ConfigError } from '../../config/config.loader.js';
+
+describe('Config Loader', () => {
+    let rootDir;
+
+    beforeEach(async () => {
+        rootDir = await mkdtemp(join(tmpdir(), 'config-'));
+    });
+
+    afterEach(async () => {
+        await rm(rootDir, { recursive: true, force: true });
+    });
+
+    /**
+     * 在不读取真实环境变量的情况下加载配置
+     */
+    const load = (processEnv = {}) => loadConfig({ processEnv, rootDir });
+
+    describe('parseEnvFile', () => {
+        it('应该解析注释、export前缀和引号', () => {
+            const variables = parseEnvFile([
+                '# 注释',
+                '',
+                'PORT=8080',
+                'export HOST=0.0.0.0',
+                'MAIL_FROM="App <no-reply@example.com>"',
+                "JWT_ACCESS_SECRET='a#b'",
+                'CORS_ORIGIN=https://example.com # 行尾注释',
+                'MULTILINE="a\\nb"',
+                'invalid line'
+            ].join('\n'));
+
+            expect(variables).toEqual({
+                PORT: '8080',
+                HOST: '0.0.0.0',
+                MAIL_FROM: 'App <no-reply@example.com>',
+                JWT_ACCESS_SECRET: 'a#b',
+                CORS_ORIGIN: 'https://example.com',
+                MULTILINE: 'a\nb'
+            });
+        });
+    });
+
+    describe('loadEnvFiles', () => {
+        it('应该按优先级合并 .env 系列文件', async () => {
+            await writeFile(join(rootDir, '.env'), 'PORT=1000\nHOST=base\nMAIL_FROM=base');
+            await writeFile(join(rootDir, '.env.development'), 'PORT=2000\nHOST=env');
+            await writeFile(join(rootDir, '.env.local'), 'PORT=3000');
+
+            expect(loadEnvFiles(rootDir, {})).toEqual({ PORT: '3000', HOST: 'env', MAIL_FROM: 'base' });
+        });
+
+        it('应该在测试环境忽略 .env.local', async () => {
+            await writeFile(join(rootDir, '.env'), 'PORT=1000');
+            await writeFile(join(rootDir, '.env.local'), 'PORT=3000');
+
+            expect(loadEnvFiles(rootDir, { NODE_ENV: 'test' })).toEqual({ PORT: '1000' });
+        });
+    });
+
+    describe('loadConfig', () => {
+        it('应该在没有覆盖时使用默认配置', () => {
+            const config = load();
+
+            expect(config.server).toEqual({ port: 3610, host: 'localhost', env: 'development', shutdownTimeout: 10000 });
+            expect(config.bodyParser.jsonLimit).toBe('100mb');
+        });
+
+        it('应该合并环境配置文件', () => {
+            const config = load({
+                NODE_ENV: 'production',
+                CORS_ORIGIN: 'https://example.com',
+                JWT_ACCESS_SECRET: 'x'.repeat(32)
+            });
+
+            expect(config.server.env).toBe('production');
+            expect(config.bodyParser.jsonLimit).toBe('1mb');
+            expect(config.mail.transport).toBe('file');
+            // 未覆盖的配置仍来自默认配置
+            expect(config.bodyParser.enableTypes).toEqual(['json', 'form']);
+        });
+
+        it('应该按类型转换环境变量', () => {
+            const config = load({
+                PORT: '8080',
+                DB_LOGGING: 'true',
+                OIDC_GOOGLE_CLIENT_ID: 'client',
+                OIDC_GOOGLE_CLIENT_SECRET: 'secret'
+            });
+
+            expect(config.server.port).toBe(8080);
+            expect(config.database.logging).toBe(true);
+            expect(config.oidc.providers.google.clientId).toBe('client');
+        });
+
+        it('应该让环境变量优先于 .env 文件', async () => {
+            await writeFile(join(rootDir, '.env'), 'PORT=1000\nHOST=from-file');
+
+            const config = load({ PORT: '2000' });
+
+            expect(config.server.port).toBe(2000);
+            expect(config.server.host).toBe('from-file');
+        });
+
+        it('应该返回深度冻结的配置', () => {
+            const config = load();
+
+            expect(Object.isFrozen(config)).toBe(true);
+            expect(Object.isFrozen(config.rbac.roles.admin.permissions)).toBe(true);
+            expect(() => { config.server.port = 1; }).toThrow(TypeError);
+        });
+
+        it('应该不修改默认配置', () => {
+            load({ PORT: '8080' });
+
+            expect(load().server.port).toBe(3610);
+        });
+
+        it('应该一次列出所有校验问题并注明来源', () => {
+            let error;
+            try {
+                load({ PORT: '70000', DB_LOGGING: 'maybe', MAIL_TRANSPORT: 'smtp' });
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error).toBeInstanceOf(ConfigError);
+            expect(error.problems).toHaveLength(3);
+            expect(error.problems).toEqual(expect.arrayContaining([
+                'server.port: 不能大于 65535，当前为 70000（环境变量 PORT）',
+                'database.logging: 必须是布尔值，当前为 "maybe"（环境变量 DB_LOGGING）',
+                'mail.transport: 必须是 console、file 之一，当前为 "smtp"（环境变量 MAIL_TRANSPORT）'
+            ]));
+            expect(error.message).toContain('配置校验失败');
+        });
+
+        it('应该拒绝未知的运行环境', () => {
+            expect(() => load({ NODE_ENV: 'staging' })).toThrow('server.env: 必须是 development、test、production 之一');
+        });
+
+        it('应该在生产环境要求显式配置密钥和跨域来源', () => {
+            let error;
+            try {
+                load({ NODE_ENV: 'production' });
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error.problems).toEqual(expect.arrayContaining([
+                'cors.origin: 生产环境必须通过 CORS_ORIGIN 指定允许的来源',
+                'auth.accessTokenSecret: 生产环境必须通过 JWT_ACCESS_SECRET 设置至少32个字符的签名密钥'
+            ]));
+        });
+
+        it('应该校验数据库类型与连接地址', () => {
+            expect(() => load({ DB_DIALECT: 'postgres' }))
+                .toThrow('数据库类型为 postgres 时必须通过 DATABASE_URL 指定连接地址');
+            expect(() => load({ DB_DIALECT: 'mysql', DATABASE_URL: 'postgres://localhost/app' }))
+                .toThrow('连接地址与数据库类型 mysql 不匹配');
+            expect(() => load({ DATABASE_URL: 'postgres://localhost/app' }))
+                .toThrow('不使用 DATABASE_URL');
+
+            const config = load({ DB_DIALECT: 'postgres', DATABASE_URL: 'postgresql://localhost/app', DB_POOL_MAX: '20' });
+            expect(config.database.pool.max).toBe(20);
+        });
+
+        it('应该要求已启用的身份提供方配置完整', () => {
+            expect(() => load({ OIDC_GOOGLE_CLIENT_ID: 'client' }))
+                .toThrow('身份提供方 google 已启用但缺少 clientSecret');
+        });
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import roleController from '../../../controllers/role/role.controller.js';
+import roleService from '../../../models/role/role.service.js';
+import { NotFoundError, ConflictError } from '../../../errors/app.error.js';
+
+// Mock roleService
+vi.mock('../../../models/role/role.service.js');
+
+describe('RoleController', () => {
+    let ctx;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+
+        // Mock Koa context
+        ctx = {
+            request: {
+                body: {}
+            },
+            params: {},
+            state: {
+                user: { id: 1 }
+            },
+            status: 200,
+            body: {}
+        };
+    });
+
+    describe('getRoles', () => {
+        it('应该返回角色列表', async () => {
+            const roles = [{ name: 'admin', permissions: ['users:delete'] }];
+            roleService.getRoles.mockResolvedValue(roles);
+
+            await roleController.getRoles(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body).toEqual({
+                success: true,
+                message: 'role.listFetched',
+                data: roles
+            });
+        });
+
+        it('应该将服务异常交给错误处理中间件', async () => {
+            roleService.getRoles.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(roleController.getRoles(ctx)).rejects.toThrow('数据库错误');
+        });
+    });
+
+    describe('getUserRoles', () => {
+        it('应该返回用户角色', async () => {
+            ctx.params = { id: 5 };
+            roleService.getUserRoles.mockResolvedValue([]);
+
+            await roleController.getUserRoles(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(roleService.getUserRoles).toHaveBeenCalledWith(5);
+        });
+
+        it('应该将用户不存在的错误交给错误处理中间件', async () => {
+            ctx.params = { id: 999 };
+            roleService.getUserRoles.mockRejectedValue(new NotFoundError('user.notFound', { code: 'USER_NOT_FOUND' }));
+
+            await expect(roleController.getUserRoles(ctx)).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
+        });
+    });
+
+    describe('assignRole', () => {
+        it('应该以当前用户为操作人授予角色', async () => {
+            ctx.params = { id: 5 };
+            ctx.request.body = { role: 'admin' };
+            roleService.assignRole.mockResolvedValue();
+
+            await roleController.assignRole(ctx);
+
+            expect(ctx.status).toBe(201);
+            expect(ctx.body).toEqual({ success: true, message: 'role.assigned' });
+            expect(roleService.assignRole).toHaveBeenCalledWith(5, 'admin', 1);
+        });
+
+        it('应该将角色不存在的错误交给错误处理中间件', async () => {
+            ctx.params = { id: 5 };
+            ctx.request.body = { role: 'ghost' };
+            roleService.assignRole.mockRejectedValue(new NotFoundError('role.notFound', { code: 'ROLE_NOT_FOUND' }));
+
+            await expect(roleController.assignRole(ctx)).rejects.toMatchObject({ status: 404, code: 'ROLE_NOT_FOUND' });
+            expect(ctx.status).toBe(200);
+        });
+    });
+
+    describe('revokeRole', () => {
+        it('应该撤销用户角色', async () => {
+            ctx.params = { id: 5, role: 'admin' };
+            roleService.revokeRole.mockResolvedValue();
+
+            await roleController.revokeRole(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(roleService.revokeRole).toHaveBeenCalledWith(5, 'admin');
+        });
+
+        it('应该将撤销最后一个管理员的冲突交给错误处理中间件', async () => {
+            ctx.params = { id: 1, role: 'admin' };
+            roleService.revokeRole.mockRejectedValue(new ConflictError('role.lastAdmin', { code: 'LAST_ADMIN' }));
+
+            await expect(roleController.revokeRole(ctx)).rejects.toMatchObject({ status: 409, code: 'LAST_ADMIN' });
+        });
+    });
+});
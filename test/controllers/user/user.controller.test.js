@@ -1,9 +1,28 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import userController from '../../../controllers/user/user.controller.js';
 import userService from '../../../models/user/user.service.js';
+import authService from '../../../models/auth/auth.service.js';
+import emailVerificationService from '../../../models/auth/email-verification.service.js';
+import passwordResetService from '../../../models/auth/password-reset.service.js';
+import loginThrottleService from '../../../models/auth/login-throttle.service.js';
+import loginHistoryService from '../../../models/auth/login-history.service.js';
+import twoFactorService from '../../../models/auth/two-factor.service.js';
+import sessionService from '../../../models/auth/session.service.js';
+import oidcService from '../../../models/auth/oidc.service.js';
+import apiKeyService from '../../../models/auth/api-key.service.js';
+import { ValidationError, NotFoundError, ConflictError } from '../../../errors/app.error.js';
 
 // Mock userService
 vi.mock('../../../models/user/user.service.js');
+vi.mock('../../../models/auth/auth.service.js');
+vi.mock('../../../models/auth/email-verification.service.js');
+vi.mock('../../../models/auth/password-reset.service.js');
+vi.mock('../../../models/auth/login-throttle.service.js');
+vi.mock('../../../models/auth/login-history.service.js');
+vi.mock('../../../models/auth/two-factor.service.js');
+vi.mock('../../../models/auth/session.service.js');
+vi.mock('../../../models/auth/oidc.service.js');
+vi.mock('../../../models/auth/api-key.service.js');
 
 describe('UserController', () => {
     let ctx;
@@ -15,10 +34,13 @@ describe('UserController', () => {
         ctx = {
             request: {
                 body: {},
-                ip: '127.0.0.1'
+                ip: '127.0.0.1',
+                header: {}
             },
             query: {},
             params: {},
+            // 路由的请求结构校验通过后写入的查询参数
+            state: { query: {} },
             status: 200,
             body: {}
         };
@@ -31,99 +53,61 @@ describe('UserController', () => {
                 email: 'test@example.com',
                 password: 'password123'
             };
-
-            const mockResult = {
-                success: true,
-                data: {
-                    id: 1,
-                    username: 'testuser',
-                    email: 'test@example.com'
-                }
+            const mockUser = {
+                id: 1,
+                username: 'testuser',
+                email: 'test@example.com'
             };
 
             ctx.request.body = mockUserData;
-            userService.createUser.mockResolvedValue(mockResult);
+            userService.createUser.mockResolvedValue(mockUser);
 
             await userController.createUser(ctx);
 
             expect(ctx.status).toBe(201);
             expect(ctx.body).toEqual({
                 success: true,
-                message: '用户创建成功',
-                data: mockResult.data
+                message: 'user.created',
+                data: mockUser
             });
             expect(userService.createUser).toHaveBeenCalledWith(mockUserData);
         });
 
-        it('应该在创建失败时返回400错误', async () => {
-            const mockUserData = {
-                username: 'testuser',
-                email: 'invalid-email'
-            };
-
-            const mockResult = {
-                success: false,
-                message: '数据验证失败',
-                errors: ['邮箱格式不正确']
-            };
-
-            ctx.request.body = mockUserData;
-            userService.createUser.mockResolvedValue(mockResult);
-
-            await userController.createUser(ctx);
-
-            expect(ctx.status).toBe(400);
-            expect(ctx.body).toEqual({
-                success: false,
-                message: '数据验证失败',
-                errors: ['邮箱格式不正确']
-            });
-        });
-
-        it('应该在服务异常时返回500错误', async () => {
+        it('应该把服务层抛出的错误交给错误处理中间件', async () => {
+            const error = new ConflictError('user.usernameTaken', { code: 'USERNAME_TAKEN' });
             ctx.request.body = { username: 'testuser' };
-            userService.createUser.mockRejectedValue(new Error('数据库连接失败'));
-
-            await userController.createUser(ctx);
+            userService.createUser.mockRejectedValue(error);
 
-            expect(ctx.status).toBe(500);
-            expect(ctx.body).toEqual({
-                success: false,
-                message: '服务器内部错误',
-                error: '数据库连接失败'
-            });
+            await expect(userController.createUser(ctx)).rejects.toBe(error);
+            expect(ctx.status).toBe(200);
         });
     });
 
     describe('getUserList', () => {
         it('应该成功获取用户列表', async () => {
-            const mockResult = {
-                success: true,
-                data: {
-                    users: [
-                        { id: 1, username: 'user1' },
-                        { id: 2, username: 'user2' }
-                    ],
-                    pagination: {
-                        total: 2,
-                        page: 1,
-                        limit: 10,
-                        totalPages: 1
-                    }
+            const mockData = {
+                users: [
+                    { id: 1, username: 'user1' },
+                    { id: 2, username: 'user2' }
+                ],
+                pagination: {
+                    total: 2,
+                    page: 1,
+                    limit: 10,
+                    totalPages: 1
                 }
             };
 
-            ctx.query = { page: '1', limit: '10' };
-            userService.getUserList.mockResolvedValue(mockResult);
+            ctx.state.query = { page: 1, limit: 10, sortBy: 'created_at', sortOrder: 'DESC' };
+            userService.getUserList.mockResolvedValue(mockData);
 
             await userController.getUserList(ctx);
 
             expect(ctx.status).toBe(200);
             expect(ctx.body).toEqual({
                 success: true,
-                message: '获取用户列表成功',
-                data: mockResult.data,
-                pagination: mockResult.pagination
+                message: 'user.listFetched',
+                data: mockData
             });
             expect(userService.getUserList).toHaveBeenCalledWith({
                 page: 1,
@@ -132,195 +116,105 @@ describe('UserController', () => {
                 search: undefined,
                 sortBy: 'created_at',
                 sortOrder: 'DESC'
-            });
+            }, { viewer: { id: null, canManage: false } });
         });
 
-        it('应该使用默认分页参数', async () => {
-            const mockResult = {
-                success: true,
-                data: { users: [], pagination: {} }
-            };
-
-            userService.getUserList.mockResolvedValue(mockResult);
+        it('应该把筛选和排序参数传给服务层', async () => {
+            ctx.state.query = { page: 2, limit: 20, status: 'active', search: 'test', sortBy: 'username', sortOrder: 'ASC' };
+            userService.getUserList.mockResolvedValue({ users: [], pagination: {} });
 
             await userController.getUserList(ctx);
 
             expect(userService.getUserList).toHaveBeenCalledWith({
-                page: 1,
-                limit: 10,
-                status: undefined,
-                search: undefined,
-                sortBy: 'created_at',
-                sortOrder: 'DESC'
-            });
-        });
-
-        it('应该在获取失败时返回400错误', async () => {
-            const mockResult = {
-                success: false,
-                message: '分页参数验证失败',
-                errors: ['页码必须大于0']
-            };
-
-            userService.getUserList.mockResolvedValue(mockResult);
-
-            await userController.getUserList(ctx);
-
-            expect(ctx.status).toBe(400);
-            expect(ctx.body).toEqual({
-                success: false,
-                message: '分页参数验证失败',
-                errors: ['页码必须大于0']
-            });
+                page: 2,
+                limit: 20,
+                status: 'active',
+                search: 'test',
+                sortBy: 'username',
+                sortOrder: 'ASC'
+            }, { viewer: { id: null, canManage: false } });
         });
 
-        it('应该在服务异常时返回500错误', async () => {
+        it('应该把服务异常交给错误处理中间件', async () => {
             userService.getUserList.mockRejectedValue(new Error('数据库错误'));
 
-            await userController.getUserList(ctx);
-
-            expect(ctx.status).toBe(500);
-            expect(ctx.body).toEqual({
-                success: false,
-                message: '服务器内部错误',
-                error: '数据库错误'
-            });
+            await expect(userController.getUserList(ctx)).rejects.toThrow('数据库错误');
         });
     });
 
     describe('getUserById', () => {
         it('应该成功获取用户信息', async () => {
-            const mockResult = {
-                success: true,
-                data: {
-                    id: 1,
-                    username: 'testuser',
-                    email: 'test@example.com'
-                }
+            const mockUser = {
+                id: 1,
+                username: 'testuser',
+                email: 'test@example.com'
             };
 
-            ctx.params = { id: '1' };
-            userService.getUserById.mockResolvedValue(mockResult);
+            ctx.params = { id: 1 };
+            userService.getUserById.mockResolvedValue(mockUser);
 
             await userController.getUserById(ctx);
 
             expect(ctx.status).toBe(200);
             expect(ctx.body).toEqual({
                 success: true,
-                message: '获取用户信息成功',
-                data: mockResult.data
+                message: 'user.fetched',
+                data: mockUser
             });
-            expect(userService.getUserById).toHaveBeenCalledWith(1, false);
+            expect(userService.getUserById).toHaveBeenCalledWith(1, { viewer: { id: null, canManage: false } });
         });
 
-        it('应该支持包含私有信息的查询', async () => {
-            const mockResult = {
-                success: true,
-                data: {
-                    id: 1,
-                    username: 'testuser',
-                    email: 'test@example.com',
-                    password_hash: 'hashedpassword'
-                }
-            };
-
-            ctx.params = { id: '1' };
+        it('应该按调用者身份而不是查询参数选择输出视图', async () => {
+            ctx.params = { id: 1 };
             ctx.query = { include_private: 'true' };
-            userService.getUserById.mockResolvedValue(mockResult);
+            ctx.state = { user: { id: 1 }, permissions: [] };
+            userService.getUserById.mockResolvedValue({ id: 1 });
 
             await userController.getUserById(ctx);
 
-            expect(userService.getUserById).toHaveBeenCalledWith(1, true);
-        });
-
-        it('应该在用户不存在时返回404错误', async () => {
-            const mockResult = {
-                success: false,
-                message: '用户不存在'
-            };
-
-            ctx.params = { id: '999' };
-            userService.getUserById.mockResolvedValue(mockResult);
+            expect(userService.getUserById).toHaveBeenCalledWith(1, { viewer: { id: 1, canManage: false } });
 
+            ctx.state = { user: { id: 7 }, permissions: ['users:update'] };
             await userController.getUserById(ctx);
 
-            expect(ctx.status).toBe(404);
-            expect(ctx.body).toEqual({
-                success: false,
-                message: '用户不存在'
-            });
+            expect(userService.getUserById).toHaveBeenLastCalledWith(1, { viewer: { id: 7, canManage: true } });
         });
 
-        it('应该在服务异常时返回500错误', async () => {
-            ctx.params = { id: '1' };
-            userService.getUserById.mockRejectedValue(new Error('数据库错误'));
-
-            await userController.getUserById(ctx);
+        it('应该在用户不存在时抛出NotFoundError', async () => {
+            ctx.params = { id: 999 };
+            userService.getUserById.mockRejectedValue(new NotFoundError('user.notFound', { code: 'USER_NOT_FOUND' }));
 
-            expect(ctx.status).toBe(500);
-            expect(ctx.body).toEqual({
-                success: false,
-                message: '服务器内部错误',
-                error: '数据库错误'
-            });
+            await expect(userController.getUserById(ctx)).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
         });
     });
 
     describe('getUserByUsername', () => {
         it('应该成功根据用户名获取用户信息', async () => {
-            const mockResult = {
-                success: true,
-                data: {
-                    id: 1,
-                    username: 'testuser',
-                    email: 'test@example.com'
-                }
+            const mockUser = {
+                id: 1,
+                username: 'testuser',
+                email: 'test@example.com'
             };
 
             ctx.params = { username: 'testuser' };
-            userService.getUserByUsername.mockResolvedValue(mockResult);
+            userService.getUserByUsername.mockResolvedValue(mockUser);
 
             await userController.getUserByUsername(ctx);
 
             expect(ctx.status).toBe(200);
             expect(ctx.body).toEqual({
                 success: true,
-                message: '获取用户信息成功',
-                data: mockResult.data
+                message: 'user.fetched',
+                data: mockUser
             });
-            expect(userService.getUserByUsername).toHaveBeenCalledWith('testuser');
+            expect(userService.getUserByUsername).toHaveBeenCalledWith('testuser', { viewer: { id: null, canManage: false } });
         });
 
-        it('应该在用户不存在时返回404错误', async () => {
-            const mockResult = {
-                success: false,
-                message: '用户不存在'
-            };
-
+        it('应该在用户不存在时抛出NotFoundError', async () => {
             ctx.params = { username: 'nonexistent' };
-            userService.getUserByUsername.mockResolvedValue(mockResult);
-
-            await userController.getUserByUsername(ctx);
-
-            expect(ctx.status).toBe(404);
-            expect(ctx.body).toEqual({
-                success: false,
-                message: '用户不存在'
-            });
-        });
-
-        it('应该在服务异常时返回500错误', async () => {
-            ctx.params = { username: 'testuser' };
-            userService.getUserByUsername.mockRejectedValue(new Error('数据库错误'));
+            userService.getUserByUsername.mockRejectedValue(new NotFoundError('user.notFound'));
 
-            await userController.getUserByUsername(ctx);
-
-            expect(ctx.status).toBe(500);
-            expect(ctx.body).toEqual({
-                success: false,
-                message: '服务器内部错误',
-                error: '数据库错误'
-            });
+            await expect(userController.getUserByUsername(ctx)).rejects.toBeInstanceOf(NotFoundError);
         });
     });
 
@@ -330,118 +224,93 @@ describe('UserController', () => {
                 full_name: 'Updated Name',
                 email: 'updated@example.com'
             };
-
-            const mockResult = {
-                success: true,
-                data: {
-                    id: 1,
-                    username: 'testuser',
-                    full_name: 'Updated Name',
-                    email: 'updated@example.com'
-                }
+            const mockUser = {
+                id: 1,
+                username: 'testuser',
+                full_name: 'Updated Name',
+                email: 'updated@example.com'
             };
 
-            ctx.params = { id: '1' };
+            ctx.params = { id: 1 };
             ctx.request.body = mockUpdateData;
-            userService.updateUser.mockResolvedValue(mockResult);
+            userService.updateUser.mockResolvedValue(mockUser);
 
             await userController.updateUser(ctx);
 
             expect(ctx.status).toBe(200);
             expect(ctx.body).toEqual({
                 success: true,
-                message: '用户信息更新成功',
-                data: mockResult.data
+                message: 'user.updated',
+                data: mockUser
+            });
+            expect(userService.updateUser).toHaveBeenCalledWith(1, mockUpdateData, {
+                scope: 'self',
+                viewer: { id: null, canManage: false }
             });
-            expect(userService.updateUser).toHaveBeenCalledWith(1, mockUpdateData);
         });
 
-        it('应该在更新失败时返回400错误', async () => {
-            const mockResult = {
-                success: false,
-                message: '数据验证失败',
-                errors: ['邮箱格式不正确']
-            };
-
-            ctx.params = { id: '1' };
-            ctx.request.body = { email: 'invalid-email' };
-            userService.updateUser.mockResolvedValue(mockResult);
+        it('应该在拥有 users:update 权限时按管理员身份更新', async () => {
+            ctx.params = { id: 2 };
+            ctx.request.body = { status: 'suspended' };
+            ctx.state = { user: { id: 1 }, permissions: ['users:update'] };
+            userService.updateUser.mockResolvedValue({ id: 2 });
 
             await userController.updateUser(ctx);
 
-            expect(ctx.status).toBe(400);
-            expect(ctx.body).toEqual({
-                success: false,
-                message: '数据验证失败',
-                errors: ['邮箱格式不正确']
+            expect(userService.updateUser).toHaveBeenCalledWith(2, { status: 'suspended' }, {
+                scope: 'admin',
+                viewer: { id: 1, canManage: true }
             });
         });
 
-        it('应该在服务异常时返回500错误', async () => {
-            ctx.params = { id: '1' };
-            ctx.request.body = { full_name: 'Updated Name' };
-            userService.updateUser.mockRejectedValue(new Error('数据库错误'));
-
-            await userController.updateUser(ctx);
+        it('应该把服务层抛出的错误交给错误处理中间件', async () => {
+            const error = new ConflictError('user.emailTaken', { code: 'EMAIL_TAKEN' });
+            ctx.params = { id: 1 };
+            ctx.request.body = { email: 'taken@example.com' };
+            userService.updateUser.mockRejectedValue(error);
 
-            expect(ctx.status).toBe(500);
-            expect(ctx.body).toEqual({
-                success: false,
-                message: '服务器内部错误',
-                error: '数据库错误'
-            });
+            await expect(userController.updateUser(ctx)).rejects.toBe(error);
         });
     });
 
-    describe('deleteUser', () => {
-        it('应该成功删除用户', async () => {
-            const mockResult = {
-                success: true
-            };
-
-            ctx.params = { id: '1' };
-            userService.deleteUser.mockResolvedValue(mockResult);
+    describe('exportUser', () => {
+        it('应该返回导出的个人数据', async () => {
+            const mockData = { id: 1, username: 'testuser', roles: [], sessions: [] };
+            ctx.params = { id: 1 };
+            userService.exportUser.mockResolvedValue(mockData);
 
-            await userController.deleteUser(ctx);
+            await userController.exportUser(ctx);
 
             expect(ctx.status).toBe(200);
             expect(ctx.body).toEqual({
                 success: true,
-                message: '用户删除成功'
+                message: 'user.exported',
+                data: mockData
             });
-            expect(userService.deleteUser).toHaveBeenCalledWith(1);
+            expect(userService.exportUser).toHaveBeenCalledWith(1);
         });
+    });
 
-        it('应该在删除失败时返回400错误', async () => {
-            const mockResult = {
-                success: false,
-                message: '用户不存在'
-            };
-
-            ctx.params = { id: '999' };
-            userService.deleteUser.mockResolvedValue(mockResult);
+    describe('deleteUser', () => {
+        it('应该成功删除用户', async () => {
+            ctx.params = { id: 1 };
+            userService.deleteUser.mockResolvedValue();
 
             await userController.deleteUser(ctx);
 
-            expect(ctx.status).toBe(400);
+            expect(ctx.status).toBe(200);
             expect(ctx.body).toEqual({
-                success: false,
-                message: '用户不存在'
+                success: true,
+                message: 'user.deleted'
             });
+            expect(userService.deleteUser).toHaveBeenCalledWith(1);
         });
 
-        it('应该在服务异常时返回500错误', async () => {
-            ctx.params = { id: '1' };
-            userService.deleteUser.mockRejectedValue(new Error('数据库错误'));
-
-            await userController.deleteUser(ctx);
+        it('应该在用户不存在时抛出NotFoundError', async () => {
+            ctx.params = { id: 999 };
+            userService.deleteUser.mockRejectedValue(new NotFoundError('user.notFound'));
 
-            expect(ctx.status).toBe(500);
-            expect(ctx.body).toEqual({
-                success: false,
-                message: '服务器内部错误',
-                error: '数据库错误'
-            });
+            await expect(userController.deleteUser(ctx)).rejects.toMatchObject({ status: 404 });
         });
     });
 
@@ -461,30 +330,48 @@ describe('UserController', () => {
                 }
             };
 
+            const mockTokens = {
+                tokenType: 'Bearer',
+                accessToken: 'access-token',
+                expiresIn: 900,
+                refreshToken: 'refresh-token',
+                refreshTokenExpiresIn: 604800
+            };
+
             ctx.request.body = mockLoginData;
             ctx.request.ip = '192.168.1.1';
+            ctx.request.header['user-agent'] = 'vitest';
             userService.authenticateUser.mockResolvedValue(mockResult);
+            authService.issueTokens.mockResolvedValue({ record: { id: 1 }, tokens: mockTokens });
 
             await userController.authenticateUser(ctx);
 
             expect(ctx.status).toBe(200);
             expect(ctx.body).toEqual({
                 success: true,
-                message: '登录成功',
-                data: mockResult.data
+                message: 'auth.loginSucceeded',
+                data: {
+                    user: mockResult.data,
+                    ...mockTokens
+                }
             });
             expect(userService.authenticateUser).toHaveBeenCalledWith(
                 'testuser',
                 'password123',
-                '192.168.1.1'
+                '192.168.1.1',
+                'vitest'
             );
+            expect(authService.issueTokens).toHaveBeenCalledWith(mockResult.data, {
+                ip: '192.168.1.1',
+                userAgent: 'vitest'
+            });
         });
 
-        it('应该在认证失败时返回401错误', async () => {
+        it('应该在认证失败时抛出401错误', async () => {
             const mockResult = {
                 success: false,
-                message: '用户名或密码错误',
-                errors: ['登录凭据无效']
+                message: 'auth.invalidCredentials',
+                errors: ['auth.invalidCredentialsDetail']
             };
 
             ctx.request.body = {
@@ -493,230 +380,846 @@ describe('UserController', () => {
             };
             userService.authenticateUser.mockResolvedValue(mockResult);
 
+            await expect(userController.authenticateUser(ctx)).rejects.toMatchObject({ status: 401, messageKey: 'auth.invalidCredentials' });
+            expect(authService.issueTokens).not.toHaveBeenCalled();
+        });
+
+        it('应该在启用双因素认证时返回登录挑战而不签发令牌', async () => {
+            ctx.request.body = {
+                identifier: 'testuser',
+                password: 'password123'
+            };
+            userService.authenticateUser.mockResolvedValue({
+                success: true,
+                message: 'auth.mfaRequired',
+                mfaRequired: true,
+                data: { challengeToken: 'challenge', expiresIn: 300 }
+            });
+
             await userController.authenticateUser(ctx);
 
-            expect(ctx.status).toBe(401);
+            expect(ctx.status).toBe(200);
             expect(ctx.body).toEqual({
+                success: true,
+                message: 'auth.mfaRequired',
+                data: {
+                    mfaRequired: true,
+                    challengeToken: 'challenge',
+                    expiresIn: 300
+                }
+            });
+            expect(authService.issueTokens).not.toHaveBeenCalled();
+        });
+
+        it('应该在账户被锁定时抛出429错误并设置Retry-After', async () => {
+            ctx.set = vi.fn();
+            ctx.request.body = {
+                identifier: 'testuser',
+                password: 'password123'
+            };
+            userService.authenticateUser.mockResolvedValue({
                 success: false,
-                message: '用户名或密码错误',
-                errors: ['登录凭据无效']
+                message: 'auth.tooManyAttempts',
+                errors: ['请在120秒后重试'],
+                retryAfter: 120
+            });
+
+            await expect(userController.authenticateUser(ctx)).rejects.toMatchObject({
+                status: 429,
+                code: 'LOGIN_LOCKED',
+                messageKey: 'auth.tooManyAttempts',
+                details: [{ field: null, message: '请在120秒后重试' }]
             });
+            expect(ctx.set).toHaveBeenCalledWith('Retry-After', '120');
+            expect(authService.issueTokens).not.toHaveBeenCalled();
         });
 
-        it('应该在服务异常时返回500错误', async () => {
+        it('应该将服务异常交给错误处理中间件', async () => {
             ctx.request.body = {
                 identifier: 'testuser',
                 password: 'password123'
             };
             userService.authenticateUser.mockRejectedValue(new Error('数据库错误'));
 
-            await userController.authenticateUser(ctx);
-
-            expect(ctx.status).toBe(500);
-            expect(ctx.body).toEqual({
-                success: false,
-                message: '服务器内部错误',
-                error: '数据库错误'
-            });
+            await expect(userController.authenticateUser(ctx)).rejects.toThrow('数据库错误');
         });
     });
 
-    describe('verifyEmail', () => {
-        it('应该成功验证邮箱', async () => {
+    describe('refreshToken', () => {
+        it('应该成功刷新令牌', async () => {
             const mockResult = {
                 success: true,
                 data: {
-                    id: 1,
-                    username: 'testuser',
-                    email_verified: true
+                    tokenType: 'Bearer',
+                    accessToken: 'new-access-token',
+                    refreshToken: 'new-refresh-token'
                 }
             };
 
-            ctx.params = { id: '1' };
-            userService.verifyEmail.mockResolvedValue(mockResult);
+            ctx.request.body = { refreshToken: 'old-refresh-token' };
+            authService.refreshTokens.mockResolvedValue(mockResult);
 
-            await userController.verifyEmail(ctx);
+            await userController.refreshToken(ctx);
 
             expect(ctx.status).toBe(200);
             expect(ctx.body).toEqual({
                 success: true,
-                message: '邮箱验证成功',
+                message: 'auth.tokenRefreshed',
                 data: mockResult.data
             });
-            expect(userService.verifyEmail).toHaveBeenCalledWith(1);
+            expect(authService.refreshTokens).toHaveBeenCalledWith('old-refresh-token', {
+                ip: '127.0.0.1',
+                userAgent: null
+            });
         });
 
-        it('应该在验证失败时返回400错误', async () => {
-            const mockResult = {
+        it('应该在刷新令牌无效时抛出401错误', async () => {
+            ctx.request.body = { refreshToken: 'invalid' };
+            authService.refreshTokens.mockResolvedValue({
                 success: false,
-                message: '邮箱已验证'
-            };
+                message: 'auth.refreshTokenInvalid',
+                errors: ['auth.refreshTokenNotFound']
+            });
 
-            ctx.params = { id: '1' };
-            userService.verifyEmail.mockResolvedValue(mockResult);
+            await expect(userController.refreshToken(ctx)).rejects.toMatchObject({ status: 401, messageKey: 'auth.refreshTokenInvalid' });
+        });
 
-            await userController.verifyEmail(ctx);
+        it('应该将服务异常交给错误处理中间件', async () => {
+            authService.refreshTokens.mockRejectedValue(new Error('数据库错误'));
 
-            expect(ctx.status).toBe(400);
-            expect(ctx.body).toEqual({
-                success: false,
-                message: '邮箱已验证'
-            });
+            await expect(userController.refreshToken(ctx)).rejects.toThrow('数据库错误');
         });
+    });
 
-        it('应该在服务异常时返回500错误', async () => {
-            ctx.params = { id: '1' };
-            userService.verifyEmail.mockRejectedValue(new Error('数据库错误'));
+    describe('logout', () => {
+        it('应该成功退出登录', async () => {
+            ctx.request.body = { refreshToken: 'refresh-token' };
+            authService.revokeRefreshToken.mockResolvedValue();
 
-            await userController.verifyEmail(ctx);
+            await userController.logout(ctx);
 
-            expect(ctx.status).toBe(500);
+            expect(ctx.status).toBe(200);
             expect(ctx.body).toEqual({
-                success: false,
-                message: '服务器内部错误',
-                error: '数据库错误'
+                success: true,
+                message: 'auth.loggedOut'
             });
+            expect(authService.revokeRefreshToken).toHaveBeenCalledWith('refresh-token');
         });
-    });
 
-    describe('searchUsers', () => {
-        it('应该成功搜索用户', async () => {
-            const mockResult = {
-                success: true,
-                data: {
-                    users: [
-                        { id: 1, username: 'testuser' }
-                    ],
-                    pagination: {
-                        total: 1,
-                        page: 1,
-                        limit: 10,
-                        totalPages: 1
-                    },
-                    keyword: 'test'
-                }
-            };
+        it('应该在令牌无效时抛出400错误', async () => {
+            ctx.request.body = {};
+            authService.revokeRefreshToken.mockRejectedValue(new ValidationError('auth.refreshTokenRequired'));
+
+            await expect(userController.logout(ctx)).rejects.toMatchObject({ status: 400, messageKey: 'auth.refreshTokenRequired' });
+        });
+    });
 
-            ctx.query = { keyword: 'test', page: '1', limit: '10' };
-            userService.searchUsers.mockResolvedValue(mockResult);
+    describe('verifyTwoFactorLogin', () => {
+        it('应该在验证码正确时签发令牌', async () => {
+            const user = { id: 1, username: 'testuser' };
+            const tokens = { tokenType: 'Bearer', accessToken: 'access-token', refreshToken: 'refresh-token' };
+            ctx.request.body = { challengeToken: 'challenge', code: '123456' };
+            ctx.request.header['user-agent'] = 'vitest';
+            twoFactorService.verifyLogin.mockResolvedValue({ success: true, data: user });
+            authService.issueTokens.mockResolvedValue({ record: { id: 1 }, tokens });
 
-            await userController.searchUsers(ctx);
+            await userController.verifyTwoFactorLogin(ctx);
 
             expect(ctx.status).toBe(200);
             expect(ctx.body).toEqual({
                 success: true,
-                message: '搜索用户成功',
-                data: mockResult.data,
-                pagination: mockResult.pagination
+                message: 'auth.loginSucceeded',
+                data: { user, ...tokens }
             });
-            expect(userService.searchUsers).toHaveBeenCalledWith('test', {
-                page: 1,
-                limit: 10,
-                sortBy: 'username',
-                sortOrder: 'ASC'
+            expect(twoFactorService.verifyLogin).toHaveBeenCalledWith('challenge', '123456', {
+                ip: '127.0.0.1',
+                userAgent: 'vitest'
             });
         });
 
-        it('应该在缺少关键词时返回400错误', async () => {
-            ctx.query = {};
-
-            await userController.searchUsers(ctx);
-
-            expect(ctx.status).toBe(400);
-            expect(ctx.body).toEqual({
+        it('应该在验证码错误时抛出401错误', async () => {
+            ctx.request.body = { challengeToken: 'challenge', code: '000000' };
+            twoFactorService.verifyLogin.mockResolvedValue({
                 success: false,
-                message: '搜索关键词不能为空'
+                message: 'twoFactor.codeInvalid',
+                errors: ['twoFactor.codeOrRecoveryCodeInvalid']
             });
-            expect(userService.searchUsers).not.toHaveBeenCalled();
+
+            await expect(userController.verifyTwoFactorLogin(ctx)).rejects.toMatchObject({ status: 401, messageKey: 'twoFactor.codeInvalid' });
+            expect(authService.issueTokens).not.toHaveBeenCalled();
         });
 
-        it('应该在搜索失败时返回400错误', async () => {
-            const mockResult = {
+        it('应该在尝试次数过多时抛出429错误', async () => {
+            ctx.set = vi.fn();
+            ctx.request.body = { challengeToken: 'challenge', code: '000000' };
+            twoFactorService.verifyLogin.mockResolvedValue({
                 success: false,
-                message: '搜索失败'
-            };
+                message: 'auth.tooManyAttempts',
+                errors: ['请在60秒后重试'],
+                retryAfter: 60
+            });
+
+            await expect(userController.verifyTwoFactorLogin(ctx)).rejects.toMatchObject({ status: 429, code: 'LOGIN_LOCKED' });
+            expect(ctx.set).toHaveBeenCalledWith('Retry-After', '60');
+        });
+    });
 
-            ctx.query = { keyword: 'test' };
-            userService.searchUsers.mockResolvedValue(mockResult);
+    describe('getOidcProviders', () => {
+        it('应该返回已启用的身份提供方', async () => {
+            oidcService.listProviders.mockReturnValue([{ name: 'google', displayName: 'Google' }]);
 
-            await userController.searchUsers(ctx);
+            await userController.getOidcProviders(ctx);
 
-            expect(ctx.status).toBe(400);
-            expect(ctx.body).toEqual({
-                success: false,
-                message: '搜索失败'
-            });
+            expect(ctx.status).toBe(200);
+            expect(ctx.body.data).toEqual([{ name: 'google', displayName: 'Google' }]);
         });
+    });
 
-        it('应该在服务异常时返回500错误', async () => {
-            ctx.query = { keyword: 'test' };
-            userService.searchUsers.mockRejectedValue(new Error('数据库错误'));
+    describe('startOidcLogin', () => {
+        it('应该返回授权地址', async () => {
+            const data = { authorizationUrl: 'https://idp.example.com/authorize?state=s', state: 's', expiresIn: 600 };
+            ctx.params = { provider: 'google' };
+            oidcService.createAuthorization.mockResolvedValue(data);
 
-            await userController.searchUsers(ctx);
+            await userController.startOidcLogin(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body).toEqual({ success: true, message: 'oidc.authorizationCreated', data });
+            expect(oidcService.createAuthorization).toHaveBeenCalledWith('google');
+        });
+
+        it('应该在身份提供方不可用时抛出404错误', async () => {
+            ctx.params = { provider: 'unknown' };
+            oidcService.createAuthorization.mockRejectedValue(
+                new NotFoundError('oidc.providerUnsupported', { code: 'OIDC_PROVIDER_NOT_FOUND' })
+            );
+
+            await expect(userController.startOidcLogin(ctx)).rejects.toMatchObject({ status: 404, code: 'OIDC_PROVIDER_NOT_FOUND' });
+        });
+    });
+
+    describe('completeOidcLogin', () => {
+        it('应该在第三方登录成功时签发令牌', async () => {
+            const user = { id: 1, username: 'testuser' };
+            const tokens = { tokenType: 'Bearer', accessToken: 'access-token', refreshToken: 'refresh-token' };
+            ctx.params = { provider: 'google' };
+            ctx.request.body = { code: 'code', state: 'state' };
+            oidcService.login.mockResolvedValue({ success: true, data: user });
+            authService.issueTokens.mockResolvedValue({ record: { id: 1 }, tokens });
 
-            expect(ctx.status).toBe(500);
+            await userController.completeOidcLogin(ctx);
+
+            expect(ctx.status).toBe(200);
             expect(ctx.body).toEqual({
+                success: true,
+                message: 'auth.loginSucceeded',
+                data: { user, ...tokens }
+            });
+            expect(oidcService.login).toHaveBeenCalledWith('google', { code: 'code', state: 'state' }, {
+                ip: '127.0.0.1',
+                userAgent: null
+            });
+        });
+
+        it('应该在需要双因素认证时返回登录挑战', async () => {
+            ctx.params = { provider: 'google' };
+            oidcService.login.mockResolvedValue({
+                success: true,
+                message: 'auth.mfaRequired',
+                mfaRequired: true,
+                data: { challengeToken: 'challenge', expiresIn: 300 }
+            });
+
+            await userController.completeOidcLogin(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body.data).toEqual({ mfaRequired: true, challengeToken: 'challenge', expiresIn: 300 });
+            expect(authService.issueTokens).not.toHaveBeenCalled();
+        });
+
+        it('应该在第三方账号未绑定时抛出401错误', async () => {
+            ctx.params = { provider: 'google' };
+            oidcService.login.mockResolvedValue({
                 success: false,
-                message: '服务器内部错误',
-                error: '数据库错误'
+                message: 'oidc.identityNotLinked',
+                errors: ['oidc.linkFromSettings']
             });
+
+            await expect(userController.completeOidcLogin(ctx)).rejects.toMatchObject({ status: 401, messageKey: 'oidc.identityNotLinked' });
         });
     });
 
-    describe('getUserStatistics', () => {
-        it('应该成功获取用户统计信息', async () => {
-            const mockResult = {
+    describe('第三方账号绑定', () => {
+        it('应该返回用户绑定的第三方账号', async () => {
+            ctx.params = { id: 1 };
+            oidcService.listIdentities.mockResolvedValue([{ provider: 'google' }]);
+
+            await userController.getUserIdentities(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body.data).toEqual([{ provider: 'google' }]);
+            expect(oidcService.listIdentities).toHaveBeenCalledWith(1);
+        });
+
+        it('应该为当前用户发起绑定授权', async () => {
+            ctx.params = { id: 1, provider: 'google' };
+            oidcService.createAuthorization.mockResolvedValue({});
+
+            await userController.startIdentityLink(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(oidcService.createAuthorization).toHaveBeenCalledWith('google', 1);
+        });
+
+        it('应该在绑定成功时返回201', async () => {
+            ctx.params = { id: 1, provider: 'google' };
+            ctx.request.body = { code: 'code', state: 'state' };
+            oidcService.linkIdentity.mockResolvedValue({ provider: 'google' });
+
+            await userController.linkIdentity(ctx);
+
+            expect(ctx.status).toBe(201);
+            expect(ctx.body.data).toEqual({ provider: 'google' });
+            expect(oidcService.linkIdentity).toHaveBeenCalledWith(1, 'google', { code: 'code', state: 'state' });
+        });
+
+        it('应该在第三方账号已绑定其他用户时抛出409错误', async () => {
+            ctx.params = { id: 1, provider: 'google' };
+            oidcService.linkIdentity.mockRejectedValue(
+                new ConflictError('oidc.identityLinkedToOther', { code: 'OIDC_IDENTITY_LINKED_TO_OTHER' })
+            );
+
+            await expect(userController.linkIdentity(ctx)).rejects.toMatchObject({ status: 409, code: 'OIDC_IDENTITY_LINKED_TO_OTHER' });
+        });
+
+        it('应该解除第三方账号绑定', async () => {
+            ctx.params = { id: 1, provider: 'google' };
+            oidcService.unlinkIdentity.mockResolvedValue();
+
+            await userController.unlinkIdentity(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body).toEqual({ success: true, message: 'oidc.unlinked' });
+            expect(oidcService.unlinkIdentity).toHaveBeenCalledWith(1, 'google');
+        });
+
+        it('应该将服务异常交给错误处理中间件', async () => {
+            ctx.params = { id: 1, provider: 'google' };
+            oidcService.unlinkIdentity.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(userController.unlinkIdentity(ctx)).rejects.toThrow('数据库错误');
+        });
+    });
+
+    describe('API密钥', () => {
+        it('应该创建API密钥并返回201', async () => {
+            ctx.params = { id: 1 };
+            ctx.request.body = { name: 'CI', scopes: ['users:audit'] };
+            apiKeyService.createKey.mockResolvedValue({ id: 7, key: 'ak_12345678_secret' });
+
+            await userController.createApiKey(ctx);
+
+            expect(ctx.status).toBe(201);
+            expect(ctx.body.data.key).toBe('ak_12345678_secret');
+            expect(apiKeyService.createKey).toHaveBeenCalledWith(1, { name: 'CI', scopes: ['users:audit'] });
+        });
+
+        it('应该在创建失败时抛出400错误', async () => {
+            ctx.params = { id: 1 };
+            apiKeyService.createKey.mockRejectedValue(new ValidationError('errors.validationFailed', {
+                details: [{ field: 'name', message: 'apiKey.nameRequired' }]
+            }));
+
+            await expect(userController.createApiKey(ctx)).rejects.toMatchObject({
+                status: 400,
+                code: 'VALIDATION_FAILED',
+                details: [{ field: 'name', message: 'apiKey.nameRequired' }]
+            });
+            expect(ctx.status).toBe(200);
+        });
+
+        it('应该返回API密钥列表', async () => {
+            ctx.params = { id: 1 };
+            apiKeyService.listKeys.mockResolvedValue([{ id: 7 }]);
+
+            await userController.getApiKeys(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body.data).toEqual([{ id: 7 }]);
+        });
+
+        it('应该吊销API密钥', async () => {
+            ctx.params = { id: 1, keyId: 7 };
+            apiKeyService.revokeKey.mockResolvedValue();
+
+            await userController.revokeApiKey(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(apiKeyService.revokeKey).toHaveBeenCalledWith(1, 7);
+        });
+
+        it('应该在密钥不存在时抛出404错误', async () => {
+            ctx.params = { id: 1, keyId: 99 };
+            apiKeyService.revokeKey.mockRejectedValue(new NotFoundError('apiKey.notFound', { code: 'API_KEY_NOT_FOUND' }));
+
+            await expect(userController.revokeApiKey(ctx)).rejects.toMatchObject({ status: 404, code: 'API_KEY_NOT_FOUND' });
+        });
+
+        it('应该将服务异常交给错误处理中间件', async () => {
+            ctx.params = { id: 1 };
+            apiKeyService.listKeys.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(userController.getApiKeys(ctx)).rejects.toThrow('数据库错误');
+        });
+    });
+
+    describe('setupTwoFactor', () => {
+        it('应该返回密钥和otpauth URI', async () => {
+            const data = { secret: 'SECRET', otpauthUri: 'otpauth://totp/koa-server:test%40example.com?secret=SECRET' };
+            ctx.params = { id: 1 };
+            twoFactorService.setup.mockResolvedValue(data);
+
+            await userController.setupTwoFactor(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body).toEqual({
                 success: true,
-                data: {
-                    total: 100,
-                    active: 80,
-                    verified: 60,
-                    todayRegistered: 5,
-                    verificationRate: 0.6
-                }
+                message: 'twoFactor.secretGenerated',
+                data
+            });
+            expect(twoFactorService.setup).toHaveBeenCalledWith(1);
+        });
+
+        it('应该在已启用时抛出409错误', async () => {
+            ctx.params = { id: 1 };
+            twoFactorService.setup.mockRejectedValue(
+                new ConflictError('twoFactor.alreadyEnabled', { code: 'TWO_FACTOR_ALREADY_ENABLED' })
+            );
+
+            await expect(userController.setupTwoFactor(ctx)).rejects.toMatchObject({ status: 409, code: 'TWO_FACTOR_ALREADY_ENABLED' });
+        });
+    });
+
+    describe('enableTwoFactor', () => {
+        it('应该启用并返回恢复码', async () => {
+            ctx.params = { id: 1 };
+            ctx.request.body = { code: '123456' };
+            twoFactorService.enable.mockResolvedValue({ backupCodes: ['aaaaa-bbbbb'] });
+
+            await userController.enableTwoFactor(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body.data).toEqual({ backupCodes: ['aaaaa-bbbbb'] });
+            expect(twoFactorService.enable).toHaveBeenCalledWith(1, '123456');
+        });
+
+        it('应该在验证码错误时抛出400错误', async () => {
+            ctx.params = { id: 1 };
+            ctx.request.body = { code: '000000' };
+            twoFactorService.enable.mockRejectedValue(new ValidationError('twoFactor.codeInvalid'));
+
+            await expect(userController.enableTwoFactor(ctx)).rejects.toMatchObject({ status: 400, messageKey: 'twoFactor.codeInvalid' });
+        });
+
+        it('应该将服务异常交给错误处理中间件', async () => {
+            ctx.params = { id: 1 };
+            twoFactorService.enable.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(userController.enableTwoFactor(ctx)).rejects.toThrow('数据库错误');
+        });
+    });
+
+    describe('getUserLogins', () => {
+        it('应该分页返回用户登录记录', async () => {
+            const mockResult = {
+                logins: [{ id: 1, success: true }],
+                pagination: { total: 1, page: 2, limit: 5, totalPages: 1 }
             };
 
-            userService.getUserStatistics.mockResolvedValue(mockResult);
+            ctx.params = { id: 1 };
+            ctx.state.query = { page: 2, limit: 5 };
+            loginHistoryService.getUserLogins.mockResolvedValue(mockResult);
 
-            await userController.getUserStatistics(ctx);
+            await userController.getUserLogins(ctx);
 
             expect(ctx.status).toBe(200);
             expect(ctx.body).toEqual({
                 success: true,
-                message: '获取用户统计信息成功',
-                data: mockResult.data
+                message: 'loginHistory.fetched',
+                data: mockResult
             });
-            expect(userService.getUserStatistics).toHaveBeenCalled();
+            expect(loginHistoryService.getUserLogins).toHaveBeenCalledWith(1, { page: 2, limit: 5 });
         });
 
-        it('应该在获取失败时返回400错误', async () => {
-            const mockResult = {
-                success: false,
-                message: '获取统计信息失败'
+        it('应该支持按是否成功筛选', async () => {
+            ctx.params = { id: 1 };
+            ctx.state.query = { page: 1, limit: 10, success: false };
+            loginHistoryService.getUserLogins.mockResolvedValue({});
+
+            await userController.getUserLogins(ctx);
+
+            expect(loginHistoryService.getUserLogins).toHaveBeenCalledWith(1, { page: 1, limit: 10, success: false });
+        });
+
+        it('应该在用户不存在时抛出404错误', async () => {
+            ctx.params = { id: 999 };
+            loginHistoryService.getUserLogins.mockRejectedValue(new NotFoundError('user.notFound', { code: 'USER_NOT_FOUND' }));
+
+            await expect(userController.getUserLogins(ctx)).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
+        });
+
+        it('应该将服务异常交给错误处理中间件', async () => {
+            ctx.params = { id: 1 };
+            loginHistoryService.getUserLogins.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(userController.getUserLogins(ctx)).rejects.toThrow('数据库错误');
+        });
+    });
+
+    describe('getUserSessions', () => {
+        it('应该在本人查看时标记当前会话', async () => {
+            ctx.params = { id: 1 };
+            ctx.state = { user: { id: 1 }, sessionId: 'session-1' };
+            sessionService.listSessions.mockResolvedValue([{ id: 'session-1', current: true }]);
+
+            await userController.getUserSessions(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body).toEqual({
+                success: true,
+                message: 'session.listFetched',
+                data: [{ id: 'session-1', current: true }]
+            });
+            expect(sessionService.listSessions).toHaveBeenCalledWith(1, 'session-1');
+        });
+
+        it('应该在查看他人会话时不标记当前会话', async () => {
+            ctx.params = { id: 2 };
+            ctx.state = { user: { id: 1 }, sessionId: 'session-1' };
+            sessionService.listSessions.mockResolvedValue([]);
+
+            await userController.getUserSessions(ctx);
+
+            expect(sessionService.listSessions).toHaveBeenCalledWith(2, null);
+        });
+
+        it('应该在用户不存在时抛出404错误', async () => {
+            ctx.params = { id: 999 };
+            ctx.state = { user: { id: 999 } };
+            sessionService.listSessions.mockRejectedValue(new NotFoundError('user.notFound', { code: 'USER_NOT_FOUND' }));
+
+            await expect(userController.getUserSessions(ctx)).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
+        });
+
+        it('应该将服务异常交给错误处理中间件', async () => {
+            ctx.params = { id: 1 };
+            sessionService.listSessions.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(userController.getUserSessions(ctx)).rejects.toThrow('数据库错误');
+        });
+    });
+
+    describe('revokeUserSession', () => {
+        it('应该注销指定会话', async () => {
+            ctx.params = { id: 1, sessionId: 'session-2' };
+            sessionService.revokeSession.mockResolvedValue();
+
+            await userController.revokeUserSession(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body).toEqual({ success: true, message: 'session.revoked' });
+            expect(sessionService.revokeSession).toHaveBeenCalledWith(1, 'session-2');
+        });
+
+        it('应该在会话不存在时抛出404错误', async () => {
+            ctx.params = { id: 1, sessionId: 'unknown' };
+            sessionService.revokeSession.mockRejectedValue(new NotFoundError('session.notFound', { code: 'SESSION_NOT_FOUND' }));
+
+            await expect(userController.revokeUserSession(ctx)).rejects.toMatchObject({ status: 404, code: 'SESSION_NOT_FOUND' });
+        });
+    });
+
+    describe('revokeAllUserSessions', () => {
+        it('应该注销用户的全部会话', async () => {
+            ctx.params = { id: 1 };
+            sessionService.revokeAllSessions.mockResolvedValue(3);
+
+            await userController.revokeAllUserSessions(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body).toEqual({
+                success: true,
+                message: 'session.allRevoked',
+                data: { revoked: 3 }
+            });
+            expect(sessionService.revokeAllSessions).toHaveBeenCalledWith(1);
+        });
+
+        it('应该将服务异常交给错误处理中间件', async () => {
+            ctx.params = { id: 1 };
+            sessionService.revokeAllSessions.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(userController.revokeAllUserSessions(ctx)).rejects.toThrow('数据库错误');
+        });
+    });
+
+    describe('unlockUser', () => {
+        it('应该成功解除账户锁定', async () => {
+            ctx.params = { id: 5 };
+            loginThrottleService.unlockUser.mockResolvedValue(true);
+
+            await userController.unlockUser(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body).toEqual({
+                success: true,
+                message: 'loginThrottle.unlocked'
+            });
+            expect(loginThrottleService.unlockUser).toHaveBeenCalledWith(5);
+        });
+
+        it('应该在账户未被锁定时返回提示', async () => {
+            ctx.params = { id: 5 };
+            loginThrottleService.unlockUser.mockResolvedValue(false);
+
+            await userController.unlockUser(ctx);
+
+            expect(ctx.body).toEqual({
+                success: true,
+                message: 'loginThrottle.notLocked'
+            });
+        });
+
+        it('应该在用户不存在时抛出404错误', async () => {
+            ctx.params = { id: 999 };
+            loginThrottleService.unlockUser.mockRejectedValue(new NotFoundError('user.notFound', { code: 'USER_NOT_FOUND' }));
+
+            await expect(userController.unlockUser(ctx)).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
+        });
+
+        it('应该将服务异常交给错误处理中间件', async () => {
+            ctx.params = { id: 5 };
+            loginThrottleService.unlockUser.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(userController.unlockUser(ctx)).rejects.toThrow('数据库错误');
+        });
+    });
+
+    describe('changePassword', () => {
+        it('应该成功修改密码', async () => {
+            const passwordData = { currentPassword: 'OldPass123!', newPassword: 'NewPass123!' };
+            ctx.params = { id: 1 };
+            ctx.request.body = passwordData;
+            userService.changePassword.mockResolvedValue();
+
+            await userController.changePassword(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body).toEqual({
+                success: true,
+                message: 'user.passwordChanged'
+            });
+            expect(userService.changePassword).toHaveBeenCalledWith(1, passwordData);
+        });
+
+        it('应该在当前密码错误时抛出ValidationError', async () => {
+            ctx.params = { id: 1 };
+            ctx.request.body = { currentPassword: 'wrong', newPassword: 'NewPass123!' };
+            userService.changePassword.mockRejectedValue(
+                new ValidationError('user.currentPasswordWrong', { code: 'INVALID_CURRENT_PASSWORD' })
+            );
+
+            await expect(userController.changePassword(ctx)).rejects.toMatchObject({
+                status: 400,
+                code: 'INVALID_CURRENT_PASSWORD'
+            });
+        });
+    });
+
+    describe('forgotPassword', () => {
+        it('应该返回统一的提示信息', async () => {
+            ctx.request.body = { email: 'test@example.com' };
+            passwordResetService.requestReset.mockResolvedValue();
+
+            await userController.forgotPassword(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body).toEqual({
+                success: true,
+                message: 'passwordReset.requested'
+            });
+            expect(passwordResetService.requestReset).toHaveBeenCalledWith('test@example.com');
+        });
+
+        it('应该在缺少邮箱时抛出400错误', async () => {
+            ctx.request.body = {};
+            passwordResetService.requestReset.mockRejectedValue(new ValidationError('passwordReset.emailRequired'));
+
+            await expect(userController.forgotPassword(ctx)).rejects.toMatchObject({
+                status: 400,
+                messageKey: 'passwordReset.emailRequired'
+            });
+        });
+
+        it('应该将服务异常交给错误处理中间件', async () => {
+            ctx.request.body = { email: 'test@example.com' };
+            passwordResetService.requestReset.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(userController.forgotPassword(ctx)).rejects.toThrow('数据库错误');
+        });
+    });
+
+    describe('resetPassword', () => {
+        it('应该成功重置密码', async () => {
+            ctx.request.body = { token: 'reset-token', password: 'NewPass123!' };
+            passwordResetService.resetPassword.mockResolvedValue();
+
+            await userController.resetPassword(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body).toEqual({
+                success: true,
+                message: 'passwordReset.succeededRelogin'
+            });
+            expect(passwordResetService.resetPassword).toHaveBeenCalledWith('reset-token', 'NewPass123!');
+        });
+
+        it('应该在令牌无效时抛出400错误', async () => {
+            ctx.request.body = { token: 'bad-token', password: 'NewPass123!' };
+            passwordResetService.resetPassword.mockRejectedValue(
+                new ValidationError('passwordReset.linkInvalid', { code: 'INVALID_RESET_TOKEN' })
+            );
+
+            await expect(userController.resetPassword(ctx)).rejects.toMatchObject({ status: 400, code: 'INVALID_RESET_TOKEN' });
+        });
+    });
+
+    describe('sendVerificationEmail', () => {
+        it('应该成功发送验证邮件', async () => {
+            ctx.params = { id: 1 };
+            emailVerificationService.requestVerification.mockResolvedValue();
+
+            await userController.sendVerificationEmail(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body).toEqual({
+                success: true,
+                message: 'emailVerification.sent'
+            });
+            expect(emailVerificationService.requestVerification).toHaveBeenCalledWith(1);
+        });
+
+        it('应该在邮箱已验证时抛出409错误', async () => {
+            ctx.params = { id: 1 };
+            emailVerificationService.requestVerification.mockRejectedValue(
+                new ConflictError('emailVerification.alreadyVerified', { code: 'EMAIL_ALREADY_VERIFIED' })
+            );
+
+            await expect(userController.sendVerificationEmail(ctx)).rejects.toMatchObject({ status: 409, code: 'EMAIL_ALREADY_VERIFIED' });
+        });
+
+        it('应该将服务异常交给错误处理中间件', async () => {
+            ctx.params = { id: 1 };
+            emailVerificationService.requestVerification.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(userController.sendVerificationEmail(ctx)).rejects.toThrow('数据库错误');
+        });
+    });
+
+    describe('verifyEmail', () => {
+        it('应该使用令牌成功验证邮箱且不返回用户资料', async () => {
+            ctx.state.query = { token: 'abc123' };
+            emailVerificationService.verifyEmail.mockResolvedValue();
+
+            await userController.verifyEmail(ctx);
+
+            expect(ctx.status).toBe(200);
+            expect(ctx.body).toEqual({
+                success: true,
+                message: 'emailVerification.succeeded'
+            });
+            expect(emailVerificationService.verifyEmail).toHaveBeenCalledWith('abc123');
+        });
+
+        it('应该在令牌无效时抛出400错误', async () => {
+            ctx.state.query = { token: 'used-token' };
+            emailVerificationService.verifyEmail.mockRejectedValue(
+                new ValidationError('emailVerification.linkInvalid', { code: 'INVALID_VERIFICATION_TOKEN' })
+            );
+
+            await expect(userController.verifyEmail(ctx)).rejects.toMatchObject({ status: 400, code: 'INVALID_VERIFICATION_TOKEN' });
+        });
+
+        it('应该将服务异常交给错误处理中间件', async () => {
+            ctx.state.query = { token: 'abc123' };
+            emailVerificationService.verifyEmail.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(userController.verifyEmail(ctx)).rejects.toThrow('数据库错误');
+        });
+    });
+
+    describe('searchUsers', () => {
+        it('应该成功搜索用户', async () => {
+            const mockData = {
+                users: [
+                    { id: 1, username: 'testuser' }
+                ],
+                pagination: {
+                    total: 1,
+                    page: 1,
+                    limit: 10,
+                    totalPages: 1
+                },
+                keyword: 'test'
             };
 
-            userService.getUserStatistics.mockResolvedValue(mockResult);
+            ctx.state.query = { keyword: 'test', page: 1, limit: 10, sortBy: 'username', sortOrder: 'ASC' };
+            userService.searchUsers.mockResolvedValue(mockData);
 
-            await userController.getUserStatistics(ctx);
+            await userController.searchUsers(ctx);
 
-            expect(ctx.status).toBe(400);
+            expect(ctx.status).toBe(200);
             expect(ctx.body).toEqual({
-                success: false,
-                message: '获取统计信息失败'
+                success: true,
+                message: 'user.searched',
+                data: mockData
             });
+            expect(userService.searchUsers).toHaveBeenCalledWith('test', {
+                page: 1,
+                limit: 10,
+                sortBy: 'username',
+                sortOrder: 'ASC'
+            }, { viewer: { id: null, canManage: false } });
         });
+    });
 
-        it('应该在服务异常时返回500错误', async () => {
-            userService.getUserStatistics.mockRejectedValue(new Error('数据库错误'));
+    describe('getUserStatistics', () => {
+        it('应该成功获取用户统计信息', async () => {
+            const mockStatistics = {
+                total: 100,
+                active: 80,
+                verified: 60,
+                todayRegistered: 5,
+                verificationRate: 0.6
+            };
+
+            userService.getUserStatistics.mockResolvedValue(mockStatistics);
 
             await userController.getUserStatistics(ctx);
 
-            expect(ctx.status).toBe(500);
+            expect(ctx.status).toBe(200);
             expect(ctx.body).toEqual({
-                success: false,
-                message: '服务器内部错误',
-                error: '数据库错误'
+                success: true,
+                message: 'user.statisticsFetched',
+                data: mockStatistics
             });
+            expect(userService.getUserStatistics).toHaveBeenCalled();
+        });
+
+        it('应该把服务异常交给错误处理中间件', async () => {
+            userService.getUserStatistics.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(userController.getUserStatistics(ctx)).rejects.toThrow('数据库错误');
         });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  toDetails
+} from '../../errors/app.error.js';
+
+describe('App Errors', () => {
+  it.each([
+    [ValidationError, 400, 'VALIDATION_FAILED'],
+    [UnauthorizedError, 401, 'UNAUTHORIZED'],
+    [ForbiddenError, 403, 'FORBIDDEN'],
+    [NotFoundError, 404, 'NOT_FOUND'],
+    [ConflictError, 409, 'CONFLICT'],
+    [TooManyRequestsError, 429, 'TOO_MANY_REQUESTS']
+  ])('%o 应该带有默认状态码和错误码', (ErrorClass, status, code) => {
+    const error = new ErrorClass();
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.status).toBe(status);
+    expect(error.code).toBe(code);
+    expect(error.details).toEqual([]);
+    expect(error.expose).toBe(true);
+    expect(error.name).toBe(ErrorClass.name);
+  });
+
+  it('应该支持自定义错误码和字段详情', () => {
+    const details = [{ field: 'username', message: '用户名已被使用' }];
+    const error = new ConflictError('用户名已存在', { code: 'USERNAME_TAKEN', details });
+
+    expect(error.message).toBe('用户名已存在');
+    expect(error.code).toBe('USERNAME_TAKEN');
+    expect(error.details).toBe(details);
+  });
+
+  it('应该用默认语言的文案作为错误信息并保留消息键和插值参数', () => {
+    const error = new ValidationError({ key: 'auth.retryAfter', params: { seconds: 30 } });
+
+    expect(error.message).toBe('请在30秒后重试');
+    expect(error.messageKey).toBe('auth.retryAfter');
+    expect(error.messageParams).toEqual({ seconds: 30 });
+    expect(new NotFoundError().message).toBe('资源不存在');
+  });
+
+  it('应该原样使用不是消息键的错误信息', () => {
+    const error = new AppError('boom');
+
+    expect(error.message).toBe('boom');
+    expect(error.messageKey).toBeNull();
+  });
+
+  it('应该不对外暴露5xx错误', () => {
+    expect(new AppError('boom').expose).toBe(false);
+  });
+
+  it('应该把错误信息列表转换为错误详情', () => {
+    expect(toDetails(['a', 'b'])).toEqual([
+      { field: null, message: 'a' },
+      { field: null, message: 'b' }
+    ]);
+    expect(toDetails()).toEqual([]);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import {
+  UniqueConstraintError,
+  ForeignKeyConstraintError,
+  ValidationError as SequelizeValidationError,
+  ValidationErrorItem,
+  DatabaseError as SequelizeDatabaseError
+} from 'sequelize';
+import { AppError, ConflictError, ValidationError, NotFoundError } from '../../errors/app.error.js';
+import { DatabaseError, translateDatabaseError, isDatabaseError } from '../../errors/database.error.js';
+
+describe('Database Errors', () => {
+  it('应该把唯一约束冲突转换为带字段详情的409错误', () => {
+    const error = translateDatabaseError(
+      new UniqueConstraintError({
+        errors: [new ValidationErrorItem('email must be unique', 'unique violation', 'email', 'a@b.com')]
+      }),
+      '创建用户失败'
+    );
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.code).toBe('DUPLICATE_ENTRY');
+    expect(error.details).toEqual([{ field: 'email', message: { key: 'database.duplicateField', params: { field: 'email' } } }]);
+  });
+
+  it('应该把模型校验失败转换为400错误且不包含原始信息', () => {
+    const error = translateDatabaseError(
+      new SequelizeValidationError('Validation error', [
+        new ValidationErrorItem('Validation isEmail on email failed', 'Validation error', 'email', 'bad')
+      ]),
+      '创建用户失败'
+    );
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details).toEqual([{ field: 'email', message: { key: 'database.invalidField', params: { field: 'email' } } }]);
+  });
+
+  it('应该把外键约束错误转换为409错误', () => {
+    const error = translateDatabaseError(
+      new ForeignKeyConstraintError({ parent: new Error('FOREIGN KEY constraint failed') }),
+      '分配角色失败'
+    );
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.code).toBe('FOREIGN_KEY_CONSTRAINT');
+  });
+
+  it('应该把其他错误转换为只包含操作描述的DatabaseError', () => {
+    const cause = new Error('SQLITE_ERROR: no such table: users');
+    const error = translateDatabaseError(cause, '根据ID查找用户失败');
+
+    expect(error).toBeInstanceOf(DatabaseError);
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.status).toBe(500);
+    expect(error.code).toBe('DATABASE_ERROR');
+    expect(error.message).toBe('根据ID查找用户失败');
+    expect(error.cause).toBe(cause);
+    expect(error.expose).toBe(false);
+  });
+
+  it('应该原样返回应用错误', () => {
+    const error = new NotFoundError();
+
+    expect(translateDatabaseError(error, '查找失败')).toBe(error);
+  });
+
+  it('应该识别 Sequelize 错误', () => {
+    expect(isDatabaseError(new SequelizeDatabaseError(new Error('boom')))).toBe(true);
+    expect(isDatabaseError(new Error('boom'))).toBe(false);
+  });
+});
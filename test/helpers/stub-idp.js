@@ -0,0 +1,151 @@
+/**
+ * 本地OpenID Connect身份提供方替身
+ * 在随机端口上提供发现文档、JWKS和令牌端点，按规范校验PKCE和客户端凭据，
+ * 用于在不访问外部网络的情况下测试完整的授权码流程
+ */
+
+import { createServer } from 'http';
+import { createHash, generateKeyPairSync, randomBytes } from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const generateSigningKey = () => ({
+    kid: randomBytes(8).toString('hex'),
+    ...generateKeyPairSync('rsa', { modulusLength: 2048 })
+});
+
+const readBody = (req) => new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+});
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * 创建身份提供方替身
+ * @param {Object} options - 选项
+ * @param {string} options.clientId - 客户端ID
+ * @param {string} options.clientSecret - 客户端密钥
+ * @returns {Object} 替身实例
+ */
+export const createStubIdp = ({ clientId = 'stub-client', clientSecret = 'stub-secret' } = {}) => {
+    let signingKey = generateSigningKey();
+    let issuer = null;
+    const codes = new Map();
+    const tokenRequests = [];
+
+    const server = createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, issuer);
+
+        if (req.method === 'GET' && pathname === '/.well-known/openid-configuration') {
+            return sendJson(res, 200, {
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                jwks_uri: `${issuer}/jwks`,
+                code_challenge_methods_supported: ['S256']
+            });
+        }
+
+        if (req.method === 'GET' && pathname === '/jwks') {
+            const jwk = signingKey.publicKey.export({ format: 'jwk' });
+            return sendJson(res, 200, { keys: [{ ...jwk, kid: signingKey.kid, use: 'sig', alg: 'RS256' }] });
+        }
+
+        if (req.method === 'POST' && pathname === '/token') {
+            const params = await readBody(req);
+            tokenRequests.push(params);
+
+            const expectedAuth = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+            if (req.headers.authorization !== expectedAuth) {
+                return sendJson(res, 401, { error: 'invalid_client' });
+            }
+
+            const grant = codes.get(params.get('code'));
+            codes.delete(params.get('code'));
+            const verifier = params.get('code_verifier') || '';
+            const challenge = createHash('sha256').update(verifier).digest('base64url');
+            if (!grant || grant.redirectUri !== params.get('redirect_uri') || grant.codeChallenge !== challenge) {
+                return sendJson(res, 400, { error: 'invalid_grant', error_description: '授权码无效' });
+            }
+
+            const idToken = jwt.sign(
+                { nonce: grant.nonce, ...grant.claims },
+                signingKey.privateKey,
+                { algorithm: 'RS256', keyid: signingKey.kid, issuer, audience: clientId, expiresIn: 300 }
+            );
+            return sendJson(res, 200, { access_token: 'stub-access-token', token_type: 'Bearer', id_token: idToken });
+        }
+
+        sendJson(res, 404, { error: 'not_found' });
+    });
+
+    return {
+        clientId,
+        tokenRequests,
+
+        /**
+         * 启动替身服务
+         * @returns {Promise<string>} issuer地址
+         */
+        async start() {
+            await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+            issuer = `http://127.0.0.1:${server.address().port}`;
+            return issuer;
+        },
+
+        /**
+         * 关闭替身服务
+         */
+        async stop() {
+            await new Promise((resolve) => server.close(resolve));
+        },
+
+        /**
+         * 生成供被测代码使用的提供方配置
+         * @returns {Object} 提供方配置
+         */
+        providerConfig() {
+            return {
+                displayName: 'Stub IdP',
+                issuer,
+                clientId,
+                clientSecret,
+                redirectUri: 'http://localhost:3610/oauth/stub/callback',
+                scopes: ['openid', 'email']
+            };
+        },
+
+        /**
+         * 模拟用户在授权页面同意授权
+         * @param {string} authorizationUrl - 被测代码生成的授权地址
+         * @param {Object} claims - 写入ID令牌的声明
+         * @returns {Object} 回调参数 { code, state }
+         */
+        approve(authorizationUrl, claims = { sub: 'stub-user-1', email: 'stub@example.com' }) {
+            const params = new URL(authorizationUrl).searchParams;
+            if (params.get('client_id') !== clientId || params.get('code_challenge_method') !== 'S256') {
+                throw new Error('授权请求参数不正确');
+            }
+
+            const code = randomBytes(16).toString('hex');
+            codes.set(code, {
+                redirectUri: params.get('redirect_uri'),
+                codeChallenge: params.get('code_challenge'),
+                nonce: params.get('nonce'),
+                claims
+            });
+            return { code, state: params.get('state') };
+        },
+
+        /**
+         * 轮换签名密钥
+         */
+        rotateKeys() {
+            signingKey = generateSigningKey();
+        }
+    };
+};
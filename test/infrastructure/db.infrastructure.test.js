@@ -1,16 +1,18 @@
-import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { existsSync, mkdirSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { dbConfig } from '../../config/db.config.js';
 import {
   sequelize,
   initializeDatabase,
   testDatabaseConnection,
-  syncDatabase,
+  checkSchemaVersion,
   closeDatabaseConnection,
   getDatabaseStatus,
   ensureDatabaseDirectory
 } from '../../infrastructure/db.infrastructure.js';
+import roleService from '../../models/role/role.service.js';
+import { verifySchemaVersion } from '../../infrastructure/migration.infrastructure.js';
 
 // 模拟文件系统操作
 vi.mock('fs', () => ({
@@ -20,15 +22,9 @@ vi.mock('fs', () => ({
 
 // 模拟路径操作
 vi.mock('path', () => ({
-  join: vi.fn(),
   dirname: vi.fn()
 }));
 
-// 模拟 URL 操作
-vi.mock('url', () => ({
-  fileURLToPath: vi.fn()
-}));
-
 // 模拟 Sequelize 实例
 vi.mock('../../config/db.config.js', () => ({
   sequelize: {
@@ -41,34 +37,54 @@ vi.mock('../../config/db.config.js', () => ({
       pool: null
     },
     models: {}
+  },
+  dbConfig: {
+    dialect: 'sqlite',
+    storage: '/mock/path/to/database/app.db'
   }
 }));
 
 // 模拟用户模型
 vi.mock('../../models/user/user.model.js', () => ({}));
+vi.mock('../../models/auth/refresh-token.model.js', () => ({}));
+vi.mock('../../models/auth/action-token.model.js', () => ({}));
+vi.mock('../../models/auth/password-history.model.js', () => ({}));
+vi.mock('../../models/auth/login-throttle.model.js', () => ({}));
+vi.mock('../../models/auth/login-history.model.js', () => ({}));
+vi.mock('../../models/auth/two-factor.model.js', () => ({}));
+vi.mock('../../models/auth/session.model.js', () => ({}));
+vi.mock('../../models/auth/oidc-state.model.js', () => ({}));
+vi.mock('../../models/auth/user-identity.model.js', () => ({}));
+vi.mock('../../models/auth/api-key.model.js', () => ({}));
+vi.mock('../../models/role/role.model.js', () => ({}));
+
+// 模拟日志，数据库模块使用的子日志器即 log
+const log = vi.hoisted(() => ({ debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }));
+vi.mock('../../infrastructure/logger.infrastructure.js', () => ({
+  logger: { ...log, child: () => log }
+}));
 
-describe('Database Infrastructure', () => {
-  let consoleSpy;
+// 模拟迁移
+vi.mock('../../infrastructure/migration.infrastructure.js', () => ({
+  verifySchemaVersion: vi.fn()
+}));
+
+// 模拟角色服务
+vi.mock('../../models/role/role.service.js', () => ({
+  default: {
+    ensureDefaultRoles: vi.fn()
+  }
+}));
 
+describe('Database Infrastructure', () => {
   beforeEach(() => {
     // 重置所有模拟
     vi.clearAllMocks();
-    
-    // 模拟 console 方法
-    consoleSpy = {
-      log: vi.spyOn(console, 'log').mockImplementation(() => {}),
-      error: vi.spyOn(console, 'error').mockImplementation(() => {})
-    };
 
     // 设置默认的模拟返回值
-    fileURLToPath.mockReturnValue('/mock/path/to/file.js');
-    dirname.mockReturnValue('/mock/path/to');
-    join.mockReturnValue('/mock/path/to/database');
-  });
-
-  afterEach(() => {
-    consoleSpy.log.mockRestore();
-    consoleSpy.error.mockRestore();
+    dirname.mockReturnValue('/mock/path/to/database');
+    dbConfig.dialect = 'sqlite';
+    dbConfig.storage = '/mock/path/to/database/app.db';
   });
 
   describe('ensureDatabaseDirectory', () => {
@@ -79,7 +95,7 @@ describe('Database Infrastructure', () => {
 
       expect(existsSync).toHaveBeenCalledWith('/mock/path/to/database');
       expect(mkdirSync).toHaveBeenCalledWith('/mock/path/to/database', { recursive: true });
-      expect(consoleSpy.log).toHaveBeenCalledWith('📁 数据库目录已创建:', '/mock/path/to/database');
+      expect(log.info).toHaveBeenCalledWith('数据库目录已创建', { directory: '/mock/path/to/database' });
     });
 
     it('应该在目录已存在时跳过创建', () => {
@@ -89,7 +105,25 @@ describe('Database Infrastructure', () => {
 
       expect(existsSync).toHaveBeenCalledWith('/mock/path/to/database');
       expect(mkdirSync).not.toHaveBeenCalled();
-      expect(consoleSpy.log).not.toHaveBeenCalled();
+      expect(log.info).not.toHaveBeenCalled();
+    });
+
+    it('应该在使用内存数据库时跳过创建', () => {
+      dbConfig.storage = ':memory:';
+
+      ensureDatabaseDirectory();
+
+      expect(existsSync).not.toHaveBeenCalled();
+      expect(mkdirSync).not.toHaveBeenCalled();
+    });
+
+    it('应该在使用 PostgreSQL 时跳过创建', () => {
+      dbConfig.dialect = 'postgres';
+      delete dbConfig.storage;
+
+      ensureDatabaseDirectory();
+
+      expect(existsSync).not.toHaveBeenCalled();
     });
   });
 
@@ -101,7 +135,7 @@ describe('Database Infrastructure', () => {
 
       expect(result).toBe(true);
       expect(sequelize.authenticate).toHaveBeenCalledOnce();
-      expect(consoleSpy.log).toHaveBeenCalledWith('✅ SQLite数据库连接成功');
+      expect(log.info).toHaveBeenCalledWith('数据库连接成功', { dialect: 'sqlite' });
     });
 
     it('应该在连接失败时返回 false', async () => {
@@ -112,50 +146,70 @@ describe('Database Infrastructure', () => {
 
       expect(result).toBe(false);
       expect(sequelize.authenticate).toHaveBeenCalledOnce();
-      expect(consoleSpy.error).toHaveBeenCalledWith('❌ SQLite数据库连接失败:', 'Connection failed');
+      expect(log.error).toHaveBeenCalledWith('数据库连接失败', { dialect: 'sqlite', error });
+    });
+
+    it('应该在日志中显示当前数据库类型', async () => {
+      dbConfig.dialect = 'postgres';
+      sequelize.authenticate.mockResolvedValue();
+
+      await testDatabaseConnection();
+
+      expect(log.info).toHaveBeenCalledWith('数据库连接成功', { dialect: 'postgres' });
+    });
+
+    it('应该在 quiet 模式下只输出失败日志', async () => {
+      sequelize.authenticate.mockResolvedValue();
+      await testDatabaseConnection({ quiet: true });
+      expect(log.info).not.toHaveBeenCalled();
+
+      sequelize.authenticate.mockRejectedValue(new Error('Connection failed'));
+      await testDatabaseConnection({ quiet: true });
+      expect(log.error).toHaveBeenCalledWith('数据库连接失败', { dialect: 'sqlite', error: expect.any(Error) });
     });
   });
 
-  describe('syncDatabase', () => {
-    it('应该使用默认选项同步数据库', async () => {
-      sequelize.sync.mockResolvedValue();
+  describe('checkSchemaVersion', () => {
+    it('应该在数据库结构为最新版本时返回 true', async () => {
+      verifySchemaVersion.mockResolvedValue({ upToDate: true, pending: [], missing: [] });
 
-      const result = await syncDatabase();
+      const result = await checkSchemaVersion();
 
       expect(result).toBe(true);
-      expect(sequelize.sync).toHaveBeenCalledWith({ force: false, alter: false });
-      expect(consoleSpy.log).toHaveBeenCalledWith('🔄 开始同步数据库模型...');
-      expect(consoleSpy.log).toHaveBeenCalledWith('✅ 数据库模型同步完成');
+      expect(log.info).toHaveBeenCalledWith('数据库结构已是最新版本');
     });
 
-    it('应该使用 force 选项同步数据库', async () => {
-      sequelize.sync.mockResolvedValue();
+    it('应该在存在未执行的迁移时返回 false 并提示执行迁移', async () => {
+      verifySchemaVersion.mockResolvedValue({ upToDate: false, pending: ['20260101000000-a', '20260102000000-b'], missing: [] });
 
-      const result = await syncDatabase({ force: true });
+      const result = await checkSchemaVersion();
 
-      expect(result).toBe(true);
-      expect(sequelize.sync).toHaveBeenCalledWith({ force: true, alter: false });
-      expect(consoleSpy.log).toHaveBeenCalledWith('🔥 数据库表已强制重建');
+      expect(result).toBe(false);
+      expect(log.error).toHaveBeenCalledWith(
+        '存在未执行的数据库迁移，请先运行 npm run db:migrate',
+        { pending: ['20260101000000-a', '20260102000000-b'] }
+      );
     });
 
-    it('应该使用 alter 选项同步数据库', async () => {
-      sequelize.sync.mockResolvedValue();
+    it('应该在数据库中存在未知迁移时返回 false', async () => {
+      verifySchemaVersion.mockResolvedValue({ upToDate: false, pending: [], missing: ['20270101000000-future'] });
 
-      const result = await syncDatabase({ alter: true });
+      const result = await checkSchemaVersion();
 
-      expect(result).toBe(true);
-      expect(sequelize.sync).toHaveBeenCalledWith({ force: false, alter: true });
-      expect(consoleSpy.log).toHaveBeenCalledWith('🔧 数据库表结构已更新');
+      expect(result).toBe(false);
+      expect(log.error).toHaveBeenCalledWith(
+        '数据库中存在代码里没有的迁移，请确认部署的代码版本',
+        { missing: ['20270101000000-future'] }
+      );
     });
 
-    it('应该在同步失败时返回 false', async () => {
-      const error = new Error('Sync failed');
-      sequelize.sync.mockRejectedValue(error);
+    it('应该在校验出错时返回 false', async () => {
+      verifySchemaVersion.mockRejectedValue(new Error('no such table'));
 
-      const result = await syncDatabase();
+      const result = await checkSchemaVersion();
 
       expect(result).toBe(false);
-      expect(consoleSpy.error).toHaveBeenCalledWith('❌ 数据库模型同步失败:', 'Sync failed');
+      expect(log.error).toHaveBeenCalledWith('数据库结构版本校验失败', { error: expect.objectContaining({ message: 'no such table' }) });
     });
   });
 
@@ -164,29 +218,28 @@ describe('Database Infrastructure', () => {
       // 模拟成功的依赖函数
       existsSync.mockReturnValue(false);
       sequelize.authenticate.mockResolvedValue();
-      sequelize.sync.mockResolvedValue();
+      verifySchemaVersion.mockResolvedValue({ upToDate: true, pending: [], missing: [] });
+      roleService.ensureDefaultRoles.mockResolvedValue({ success: true });
     });
 
     it('应该成功初始化数据库', async () => {
       const result = await initializeDatabase();
 
       expect(result).toBe(true);
-      expect(consoleSpy.log).toHaveBeenCalledWith('🚀 开始初始化SQLite数据库...');
-      expect(consoleSpy.log).toHaveBeenCalledWith('🎉 SQLite数据库初始化完成');
+      expect(log.info).toHaveBeenCalledWith('开始初始化数据库', { dialect: 'sqlite' });
+      expect(log.info).toHaveBeenCalledWith('数据库初始化完成', { dialect: 'sqlite' });
       
       // 验证调用顺序
       expect(existsSync).toHaveBeenCalled();
       expect(sequelize.authenticate).toHaveBeenCalled();
-      expect(sequelize.sync).toHaveBeenCalled();
+      expect(verifySchemaVersion).toHaveBeenCalled();
     });
 
-    it('应该传递选项给 syncDatabase', async () => {
-      const options = { force: true, alter: true };
-      
-      const result = await initializeDatabase(options);
+    it('应该不再自动同步表结构', async () => {
+      const result = await initializeDatabase();
 
       expect(result).toBe(true);
-      expect(sequelize.sync).toHaveBeenCalledWith(options);
+      expect(sequelize.sync).not.toHaveBeenCalled();
     });
 
     it('应该在连接失败时返回 false', async () => {
@@ -195,16 +248,34 @@ describe('Database Infrastructure', () => {
       const result = await initializeDatabase();
 
       expect(result).toBe(false);
-      expect(consoleSpy.error).toHaveBeenCalledWith('❌ 数据库初始化失败:', '数据库连接失败');
+      expect(log.error).toHaveBeenCalledWith('数据库初始化失败', { error: expect.objectContaining({ message: '数据库连接失败' }) });
     });
 
-    it('应该在同步失败时返回 false', async () => {
-      sequelize.sync.mockRejectedValue(new Error('Sync failed'));
+    it('应该在数据库结构不是最新版本时返回 false', async () => {
+      verifySchemaVersion.mockResolvedValue({ upToDate: false, pending: ['20260101000000-a'], missing: [] });
 
       const result = await initializeDatabase();
 
       expect(result).toBe(false);
-      expect(consoleSpy.error).toHaveBeenCalledWith('❌ 数据库初始化失败:', '数据库模型同步失败');
+      expect(roleService.ensureDefaultRoles).not.toHaveBeenCalled();
+      expect(log.error).toHaveBeenCalledWith('数据库初始化失败', { error: expect.objectContaining({ message: '数据库结构不是最新版本' }) });
+    });
+
+    it('应该在同步后写入默认角色', async () => {
+      const result = await initializeDatabase();
+
+      expect(result).toBe(true);
+      expect(roleService.ensureDefaultRoles).toHaveBeenCalledOnce();
+    });
+
+    it('应该在默认角色写入失败时返回 false', async () => {
+      const error = new Error('写入权限失败');
+      roleService.ensureDefaultRoles.mockRejectedValue(error);
+
+      const result = await initializeDatabase();
+
+      expect(result).toBe(false);
+      expect(log.error).toHaveBeenCalledWith('数据库初始化失败', { error });
     });
   });
 
@@ -215,7 +286,7 @@ describe('Database Infrastructure', () => {
       await closeDatabaseConnection();
 
       expect(sequelize.close).toHaveBeenCalledOnce();
-      expect(consoleSpy.log).toHaveBeenCalledWith('🔌 数据库连接已关闭');
+      expect(log.info).toHaveBeenCalledWith('数据库连接已关闭');
     });
 
     it('应该处理关闭连接时的错误', async () => {
@@ -225,17 +296,17 @@ describe('Database Infrastructure', () => {
       await closeDatabaseConnection();
 
       expect(sequelize.close).toHaveBeenCalledOnce();
-      expect(consoleSpy.error).toHaveBeenCalledWith('❌ 关闭数据库连接失败:', 'Close failed');
+      expect(log.error).toHaveBeenCalledWith('关闭数据库连接失败', { error });
     });
   });
 
   describe('getDatabaseStatus', () => {
-    it('应该返回连接状态信息（已连接）', () => {
+    it('应该返回连接状态信息（已连接）', async () => {
       sequelize.getDialect.mockReturnValue('sqlite');
-      sequelize.connectionManager.pool = { /* mock pool */ };
+      sequelize.authenticate.mockResolvedValue();
       sequelize.models = { User: {}, Post: {} };
 
-      const status = getDatabaseStatus();
+      const status = await getDatabaseStatus();
 
       expect(status).toEqual({
         dialect: 'sqlite',
@@ -244,15 +315,15 @@ describe('Database Infrastructure', () => {
       });
     });
 
-    it('应该返回连接状态信息（未连接）', () => {
-      sequelize.getDialect.mockReturnValue('sqlite');
-      sequelize.connectionManager.pool = null;
+    it('应该返回连接状态信息（未连接）', async () => {
+      sequelize.getDialect.mockReturnValue('postgres');
+      sequelize.authenticate.mockRejectedValue(new Error('ECONNREFUSED'));
       sequelize.models = {};
 
-      const status = getDatabaseStatus();
+      const status = await getDatabaseStatus();
 
       expect(status).toEqual({
-        dialect: 'sqlite',
+        dialect: 'postgres',
         connectionState: 'disconnected',
         modelCount: 0
       });
@@ -263,21 +334,23 @@ describe('Database Infrastructure', () => {
     it('应该按正确顺序执行完整的初始化流程', async () => {
       existsSync.mockReturnValue(false);
       sequelize.authenticate.mockResolvedValue();
-      sequelize.sync.mockResolvedValue();
+      verifySchemaVersion.mockResolvedValue({ upToDate: true, pending: [], missing: [] });
+      roleService.ensureDefaultRoles.mockResolvedValue({ success: true });
 
-      const result = await initializeDatabase({ force: true });
+      const result = await initializeDatabase();
 
       expect(result).toBe(true);
 
       // 验证关键日志消息存在
-      const logMessages = consoleSpy.log.mock.calls.map(call => call[0]);
+      const logMessages = log.info.mock.calls.map(call => call[0]);
       
-      expect(logMessages).toContain('📁 数据库目录已创建:');
-      expect(logMessages).toContain('🚀 开始初始化SQLite数据库...');
-      expect(logMessages).toContain('✅ SQLite数据库连接成功');
-      expect(logMessages).toContain('🔄 开始同步数据库模型...');
-      expect(logMessages).toContain('🔥 数据库表已强制重建');
-      expect(logMessages).toContain('🎉 SQLite数据库初始化完成');
+      expect(logMessages).toEqual([
+        '开始初始化数据库',
+        '数据库目录已创建',
+        '数据库连接成功',
+        '数据库结构已是最新版本',
+        '数据库初始化完成'
+      ]);
     });
 
     it('应该在任何步骤失败时停止初始化', async () => {
@@ -287,8 +360,8 @@ describe('Database Infrastructure', () => {
       const result = await initializeDatabase();
 
       expect(result).toBe(false);
-      expect(sequelize.sync).not.toHaveBeenCalled();
-      expect(consoleSpy.error).toHaveBeenCalledWith('❌ 数据库初始化失败:', '数据库连接失败');
+      expect(verifySchemaVersion).not.toHaveBeenCalled();
+      expect(log.error).toHaveBeenCalledWith('数据库初始化失败', { error: expect.objectContaining({ message: '数据库连接失败' }) });
     });
   });
 
@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { statfs } from 'fs/promises';
+import { dbConfig } from '../../config/db.config.js';
+import { serverConfig } from '../../config/app.config.js';
+import { testDatabaseConnection } from '../../infrastructure/db.infrastructure.js';
+import { verifySchemaVersion } from '../../infrastructure/migration.infrastructure.js';
+import { isShuttingDown } from '../../infrastructure/server.infrastructure.js';
+import { APP_VERSION, checkReadiness, getHealthReport } from '../../infrastructure/health.infrastructure.js';
+
+vi.mock('fs/promises', async (importOriginal) => ({
+    ...(await importOriginal()),
+    statfs: vi.fn()
+}));
+
+vi.mock('../../config/db.config.js', () => ({
+    dbConfig: { dialect: 'sqlite', storage: '/data/app.db' }
+}));
+
+vi.mock('../../config/app.config.js', () => ({
+    serverConfig: { env: 'test' },
+    healthConfig: { checkTimeout: 50, minFreeDiskMb: 100 }
+}));
+
+vi.mock('../../infrastructure/db.infrastructure.js', () => ({
+    testDatabaseConnection: vi.fn()
+}));
+
+vi.mock('../../infrastructure/migration.infrastructure.js', () => ({
+    verifySchemaVersion: vi.fn()
+}));
+
+vi.mock('../../infrastructure/server.infrastructure.js', () => ({
+    isShuttingDown: vi.fn()
+}));
+
+describe('Health Infrastructure', () => {
+    const MB = 1024 * 1024;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        serverConfig.env = 'test';
+        dbConfig.dialect = 'sqlite';
+        dbConfig.storage = '/data/app.db';
+        testDatabaseConnection.mockResolvedValue(true);
+        verifySchemaVersion.mockResolvedValue({ upToDate: true, pending: [], missing: [] });
+        statfs.mockResolvedValue({ bavail: 500, bsize: MB });
+        isShuttingDown.mockReturnValue(false);
+    });
+
+    describe('checkReadiness', () => {
+        it('应该在所有依赖可用时返回 healthy', async () => {
+            const { healthy, checks } = await checkReadiness();
+
+            expect(healthy).toBe(true);
+            expect(checks.server).toMatchObject({ status: 'up', shuttingDown: false });
+            expect(checks.database).toMatchObject({ status: 'up', dialect: 'sqlite' });
+            expect(checks.disk).toMatchObject({ status: 'up', freeMb: 500, minFreeMb: 100 });
+            expect(checks.migrations).toMatchObject({ status: 'up', pending: [], missing: [] });
+            Object.values(checks).forEach((check) => expect(check.latencyMs).toEqual(expect.any(Number)));
+            expect(testDatabaseConnection).toHaveBeenCalledWith({ quiet: true });
+            expect(statfs).toHaveBeenCalledWith('/data');
+        });
+
+        it('应该在开始优雅关闭后返回不可用', async () => {
+            isShuttingDown.mockReturnValue(true);
+
+            const { healthy, checks } = await checkReadiness();
+
+            expect(healthy).toBe(false);
+            expect(checks.server).toMatchObject({ status: 'down', shuttingDown: true });
+        });
+
+        it('应该在数据库连接失败时返回不可用', async () => {
+            testDatabaseConnection.mockResolvedValue(false);
+
+            const { healthy, checks } = await checkReadiness();
+
+            expect(healthy).toBe(false);
+            expect(checks.database).toMatchObject({ status: 'down', error: '数据库连接失败' });
+        });
+
+        it('应该在磁盘剩余空间不足时返回不可用', async () => {
+            statfs.mockResolvedValue({ bavail: 10, bsize: MB });
+
+            const { healthy, checks } = await checkReadiness();
+
+            expect(healthy).toBe(false);
+            expect(checks.disk).toMatchObject({ status: 'down', freeMb: 10 });
+        });
+
+        it('应该在非SQLite或内存数据库时跳过磁盘检查', async () => {
+            dbConfig.storage = ':memory:';
+            expect((await checkReadiness()).checks.disk.status).toBe('skipped');
+
+            dbConfig.dialect = 'postgres';
+            const { healthy, checks } = await checkReadiness();
+
+            expect(healthy).toBe(true);
+            expect(checks.disk.status).toBe('skipped');
+            expect(statfs).not.toHaveBeenCalled();
+        });
+
+        it('应该在存在未执行的迁移时返回不可用', async () => {
+            verifySchemaVersion.mockResolvedValue({ upToDate: false, pending: ['20260101000000-a'], missing: [] });
+
+            const { healthy, checks } = await checkReadiness();
+
+            expect(healthy).toBe(false);
+            expect(checks.migrations).toMatchObject({ status: 'down', pending: ['20260101000000-a'] });
+        });
+
+        it('应该把超时的检查视为不可用', async () => {
+            testDatabaseConnection.mockReturnValue(new Promise(() => {}));
+
+            const { healthy, checks } = await checkReadiness();
+
+            expect(healthy).toBe(false);
+            expect(checks.database).toMatchObject({ status: 'down', error: '检查超时（50ms）' });
+        });
+
+        it('应该在生产环境隐藏异常原文', async () => {
+            serverConfig.env = 'production';
+            statfs.mockRejectedValue(new Error("ENOENT: no such file or directory, statfs '/data'"));
+
+            const { checks } = await checkReadiness();
+
+            expect(checks.disk).toMatchObject({ status: 'down', error: '检查失败' });
+        });
+    });
+
+    describe('getHealthReport', () => {
+        it('应该包含版本、运行时长和各项检查结果', async () => {
+            const report = await getHealthReport();
+
+            expect(report).toMatchObject({
+                status: 'ok',
+                version: APP_VERSION,
+                uptime: expect.any(Number),
+                timestamp: expect.any(String),
+                checks: {
+                    database: expect.objectContaining({ status: 'up' }),
+                    disk: expect.objectContaining({ status: 'up' }),
+                    migrations: expect.objectContaining({ status: 'up' })
+                }
+            });
+            expect(APP_VERSION).toMatch(/^\d+\.\d+\.\d+/);
+        });
+
+        it('应该在任一依赖不可用时返回 error', async () => {
+            testDatabaseConnection.mockResolvedValue(false);
+
+            expect((await getHealthReport()).status).toBe('error');
+        });
+    });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import zhCN from '../../locales/zh-CN.js';
+import en from '../../locales/en.js';
+import {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    hasMessage,
+    translate,
+    localizeMessage,
+    localizeBody,
+    parseAcceptLanguage,
+    resolveLocale,
+    negotiateLocale
+} from '../../infrastructure/i18n.infrastructure.js';
+
+/**
+ * 列出消息目录中的全部消息键
+ */
+const keysOf = (catalog, prefix = '') => Object.entries(catalog).flatMap(([name, value]) =>
+    (typeof value === 'string' ? [`${prefix}${name}`] : keysOf(value, `${prefix}${name}.`)));
+
+/**
+ * 列出文案中的插值参数
+ */
+const placeholdersOf = (template) => (template.match(/\{\w+\}/g) || []).sort();
+
+describe('I18n Infrastructure', () => {
+    describe('消息目录', () => {
+        it('应该在每种语言中定义相同的消息键和插值参数', () => {
+            const keys = keysOf(zhCN);
+
+            expect(keysOf(en).sort()).toEqual([...keys].sort());
+            keys.forEach((key) => {
+                expect(placeholdersOf(translate(key, {}, 'en')), key).toEqual(placeholdersOf(translate(key)));
+            });
+        });
+
+        it('应该以简体中文作为默认语言', () => {
+            expect(DEFAULT_LOCALE).toBe('zh-CN');
+            expect(SUPPORTED_LOCALES).toEqual(['zh-CN', 'en']);
+            expect(Object.isFrozen(SUPPORTED_LOCALES)).toBe(true);
+        });
+    });
+
+    describe('translate', () => {
+        it('应该按语言取出文案并插值', () => {
+            expect(translate('user.notFound')).toBe('用户不存在');
+            expect(translate('user.notFound', {}, 'en')).toBe('User not found');
+            expect(translate('auth.retryAfter', { seconds: 30 }, 'en')).toBe('Please try again in 30 seconds');
+        });
+
+        it('应该按语言的分隔符拼接数组参数', () => {
+            expect(translate('validation.enum', { values: ['male', 'female'] })).toBe('必须是 male、female 之一');
+            expect(translate('validation.enum', { values: ['male', 'female'] }, 'en')).toContain('male, female');
+        });
+
+        it('应该保留缺少参数的占位符', () => {
+            expect(translate('auth.retryAfter')).toBe('请在{seconds}秒后重试');
+        });
+
+        it('应该对未知的语言使用默认语言，对未知的消息键原样返回', () => {
+            expect(translate('user.notFound', {}, 'fr')).toBe('用户不存在');
+            expect(translate('SQLITE_BUSY: database is locked', {}, 'en')).toBe('SQLITE_BUSY: database is locked');
+            expect(translate('user')).toBe('user');
+        });
+
+        it('应该只把指向文案的键识别为消息键', () => {
+            expect(hasMessage('user.notFound')).toBe(true);
+            expect(hasMessage('user')).toBe(false);
+            expect(hasMessage('用户不存在')).toBe(false);
+            expect(hasMessage(undefined)).toBe(false);
+        });
+    });
+
+    describe('localizeBody', () => {
+        it('应该翻译 message、errors 和 details 并带上消息键', () => {
+            const body = {
+                success: false,
+                message: 'errors.validationFailed',
+                errors: [{ key: 'validation.minLength', params: { min: 3 } }, '原始错误'],
+                details: [{ field: 'username', message: 'validation.required' }],
+                data: { message: 'user.notFound' }
+            };
+
+            expect(localizeBody(body, 'en')).toEqual({
+                success: false,
+                message: 'Validation failed',
+                messageKey: 'errors.validationFailed',
+                errors: [translate('validation.minLength', { min: 3 }, 'en'), '原始错误'],
+                details: [{ field: 'username', message: translate('validation.required', {}, 'en'), messageKey: 'validation.required' }],
+                data: { message: 'user.notFound' }
+            });
+            expect(body.message).toBe('errors.validationFailed');
+        });
+
+        it('应该为不是消息键的信息返回空的消息键', () => {
+            expect(localizeMessage('Test error', 'en')).toEqual({ message: 'Test error', messageKey: null });
+        });
+
+        it('应该原样返回不是普通对象的响应体', () => {
+            const buffer = Buffer.from('user.notFound');
+
+            expect(localizeBody(null, 'en')).toBeNull();
+            expect(localizeBody('user.notFound', 'en')).toBe('user.notFound');
+            expect(localizeBody(buffer, 'en')).toBe(buffer);
+        });
+    });
+
+    describe('语言协商', () => {
+        it('应该按权重解析 Accept-Language', () => {
+            expect(parseAcceptLanguage('fr;q=0.5, en-US, zh;q=0.8, *;q=0.1, de;q=0')).toEqual(['en-US', 'zh', 'fr']);
+            expect(parseAcceptLanguage(undefined)).toEqual([]);
+        });
+
+        it('应该先按完整标签再按主语言匹配支持的语言', () => {
+            expect(resolveLocale('zh-cn')).toBe('zh-CN');
+            expect(resolveLocale('en-GB')).toBe('en');
+            expect(resolveLocale('zh-TW')).toBe('zh-CN');
+            expect(resolveLocale('fr', null, 'en')).toBe('en');
+            expect(resolveLocale('fr')).toBe(DEFAULT_LOCALE);
+        });
+
+        it('应该优先使用用户在偏好设置中保存的语言', () => {
+            expect(negotiateLocale('zh-CN', { preferences: { locale: 'en' } })).toBe('en');
+            expect(negotiateLocale('en', { preferences: { locale: 'fr' } })).toBe('en');
+            expect(negotiateLocale('en', { preferences: {} })).toBe('en');
+            expect(negotiateLocale('')).toBe(DEFAULT_LOCALE);
+        });
+    });
+});
@@ -0,0 +1,252 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+    logger,
+    createLogger,
+    configureLogger,
+    createJsonTransport,
+    createPrettyTransport,
+    createFileTransport,
+    redact
+} from '../../infrastructure/logger.infrastructure.js';
+
+/**
+ * 创建把日志记录收集到数组中的传输层
+ */
+const createMemoryTransport = () => {
+    const entries = [];
+    return { entries, write: (entry) => entries.push(entry) };
+};
+
+/**
+ * 创建收集输出内容的流
+ */
+const createStream = () => {
+    const chunks = [];
+    return { chunks, write: (chunk) => chunks.push(chunk) };
+};
+
+describe('Logger Infrastructure', () => {
+    describe('createLogger', () => {
+        it('应该只输出不低于最低级别的日志', () => {
+            const transport = createMemoryTransport();
+            const log = createLogger({ level: 'warn', transports: [transport] });
+
+            log.debug('调试');
+            log.info('信息');
+            log.warn('警告');
+            log.error('错误');
+
+            expect(transport.entries.map((entry) => entry.level)).toEqual(['warn', 'error']);
+            expect(log.isLevelEnabled('info')).toBe(false);
+            expect(log.isLevelEnabled('error')).toBe(true);
+        });
+
+        it('应该在 silent 级别下不输出任何日志', () => {
+            const transport = createMemoryTransport();
+            const log = createLogger({ level: 'silent', transports: [transport] });
+
+            log.error('错误');
+
+            expect(transport.entries).toEqual([]);
+        });
+
+        it('应该输出带时间、级别、信息和字段的结构化记录', () => {
+            const transport = createMemoryTransport();
+            const log = createLogger({ transports: [transport] });
+
+            log.info('数据库连接成功', { dialect: 'sqlite' });
+
+            expect(transport.entries).toEqual([{
+                time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+                level: 'info',
+                message: '数据库连接成功',
+                dialect: 'sqlite'
+            }]);
+        });
+
+        it('应该让子日志器继承并合并绑定的字段', () => {
+            const transport = createMemoryTransport();
+            const child = createLogger({ transports: [transport], bindings: { service: 'api' } })
+                .child({ requestId: 'req-1' })
+                .child({ component: 'database' });
+
+            child.info('查询完成', { requestId: 'req-2' });
+
+            expect(transport.entries[0]).toMatchObject({
+                service: 'api',
+                component: 'database',
+                requestId: 'req-2'
+            });
+            expect(child.bindings).toEqual({ service: 'api', requestId: 'req-1', component: 'database' });
+        });
+
+        it('应该在传输层写入失败时继续写入其他传输层', () => {
+            const stderrSpy = vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+            const transport = createMemoryTransport();
+            const broken = { name: 'broken', write: () => { throw new Error('disk full'); } };
+            const log = createLogger({ transports: [broken, transport] });
+
+            expect(() => log.error('错误')).not.toThrow();
+            expect(transport.entries).toHaveLength(1);
+            expect(stderrSpy).toHaveBeenCalledWith(expect.stringContaining('disk full'));
+
+            stderrSpy.mockRestore();
+        });
+    });
+
+    describe('redact', () => {
+        const keys = new Set(['password', 'password_hash', 'authorization']);
+
+        it('应该不区分大小写地替换任意层级的敏感字段', () => {
+            const value = {
+                username: 'alice',
+                password: 'secret',
+                headers: { Authorization: 'Bearer token', accept: 'application/json' },
+                users: [{ password_hash: '$2b$12$hash' }]
+            };
+
+            expect(redact(value, keys)).toEqual({
+                username: 'alice',
+                password: '[REDACTED]',
+                headers: { Authorization: '[REDACTED]', accept: 'application/json' },
+                users: [{ password_hash: '[REDACTED]' }]
+            });
+            expect(value.password).toBe('secret');
+        });
+
+        it('应该展开错误并处理 toJSON 和循环引用', () => {
+            const error = new Error('boom', { cause: new Error('root') });
+            error.code = 'E_BOOM';
+            const model = { toJSON: () => ({ id: 1, password_hash: 'hash' }) };
+            const circular = { name: 'a' };
+            circular.self = circular;
+
+            const result = redact({ error, model, circular }, keys);
+
+            expect(result.error).toMatchObject({
+                name: 'Error',
+                message: 'boom',
+                code: 'E_BOOM',
+                stack: expect.any(String),
+                cause: { name: 'Error', message: 'root' }
+            });
+            expect(result.model).toEqual({ id: 1, password_hash: '[REDACTED]' });
+            expect(result.circular).toEqual({ name: 'a', self: '[Circular]' });
+        });
+
+        it('应该保留重复出现但不构成循环的对象', () => {
+            const shared = { id: 1 };
+
+            expect(redact({ a: shared, b: shared }, keys)).toEqual({ a: { id: 1 }, b: { id: 1 } });
+        });
+
+        it('应该按配置对应用日志器的字段脱敏', () => {
+            const transport = createMemoryTransport();
+            const log = createLogger({ transports: [transport], redact: ['Password'] });
+
+            log.info('登录', { body: { username: 'alice', password: 'secret' } });
+
+            expect(transport.entries[0].body).toEqual({ username: 'alice', password: '[REDACTED]' });
+        });
+    });
+
+    describe('传输层', () => {
+        it('应该每条日志输出一行JSON', () => {
+            const stream = createStream();
+
+            createJsonTransport({ stream }).write({ time: 't', level: 'info', message: '信息', id: 1 });
+
+            expect(stream.chunks).toEqual(['{"time":"t","level":"info","message":"信息","id":1}\n']);
+        });
+
+        it('应该输出便于阅读的单行文本并把堆栈放在下一行', () => {
+            const stream = createStream();
+            const transport = createPrettyTransport({ stream, colors: false });
+
+            transport.write({ time: '2024-01-01T10:00:00.000Z', level: 'info', message: '启动', port: 3610 });
+            transport.write({
+                time: '2024-01-01T10:00:01.000Z',
+                level: 'error',
+                message: '失败',
+                error: { message: 'boom', stack: 'Error: boom\n    at test' }
+            });
+
+            expect(stream.chunks).toEqual([
+                '10:00:00.000 INFO  启动 {"port":3610}\n',
+                '10:00:01.000 ERROR 失败 {"error":{"message":"boom"}}\nError: boom\n    at test\n'
+            ]);
+        });
+
+        describe('createFileTransport', () => {
+            let directory;
+
+            beforeEach(async () => {
+                directory = await mkdtemp(join(tmpdir(), 'logger-'));
+            });
+
+            afterEach(async () => {
+                await rm(directory, { recursive: true, force: true });
+            });
+
+            it('应该追加JSON行并自动创建目录', async () => {
+                const path = join(directory, 'logs', 'app.log');
+                const transport = createFileTransport({ path, maxSize: 1024, maxFiles: 2 });
+
+                transport.write({ level: 'info', message: 'a' });
+                transport.write({ level: 'info', message: 'b' });
+
+                const lines = (await readFile(path, 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+                expect(lines.map((line) => line.message)).toEqual(['a', 'b']);
+            });
+
+            it('应该在超过大小后轮转并只保留指定数量的文件', async () => {
+                const path = join(directory, 'app.log');
+                const transport = createFileTransport({ path, maxSize: 10, maxFiles: 2 });
+
+                ['1', '2', '3', '4'].forEach((message) => transport.write({ message }));
+
+                expect((await readdir(directory)).sort()).toEqual(['app.log.1', 'app.log.2']);
+                expect(JSON.parse(await readFile(`${path}.1`, 'utf8')).message).toBe('4');
+                expect(JSON.parse(await readFile(`${path}.2`, 'utf8')).message).toBe('3');
+            });
+        });
+    });
+
+    describe('configureLogger', () => {
+        let previous;
+
+        beforeEach(() => {
+            previous = configureLogger({});
+        });
+
+        afterEach(() => {
+            configureLogger(previous);
+        });
+
+        it('应该同时作用于已创建的子日志器', () => {
+            const transport = createMemoryTransport();
+            const child = logger.child({ component: 'test' });
+
+            configureLogger({ level: 'debug', transports: [transport] });
+            child.debug('调试');
+
+            expect(transport.entries).toEqual([expect.objectContaining({ level: 'debug', component: 'test' })]);
+        });
+
+        it('应该返回修改前的设置', () => {
+            const transport = createMemoryTransport();
+
+            configureLogger({ level: 'error', transports: [transport] });
+
+            expect(configureLogger({ level: 'info' })).toEqual({ level: 'error', transports: [transport] });
+        });
+
+        it('应该拒绝不支持的级别和没有实现 write 的传输层', () => {
+            expect(() => configureLogger({ level: 'verbose' })).toThrow('不支持的日志级别: verbose');
+            expect(() => configureLogger({ transports: [{}] })).toThrow('日志传输层必须实现 write(entry) 方法');
+        });
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+    sendMail,
+    setMailTransport,
+    createConsoleTransport,
+    createFileTransport
+} from '../../infrastructure/mailer.infrastructure.js';
+import { logger } from '../../infrastructure/logger.infrastructure.js';
+
+describe('Mailer Infrastructure', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    describe('setMailTransport', () => {
+        it('应该拒绝未实现send方法的传输层', () => {
+            expect(() => setMailTransport({})).toThrow('邮件传输层必须实现 send(message) 方法');
+            expect(() => setMailTransport(null)).toThrow();
+        });
+    });
+
+    describe('sendMail', () => {
+        it('应该通过注入的传输层发送并补充发件人', async () => {
+            const transport = { send: vi.fn().mockResolvedValue({ accepted: ['a@example.com'] }) };
+            setMailTransport(transport);
+
+            const result = await sendMail({ to: 'a@example.com', subject: '主题', text: '正文' });
+
+            expect(result).toEqual({ accepted: ['a@example.com'] });
+            expect(transport.send).toHaveBeenCalledWith({
+                from: 'no-reply@localhost',
+                to: 'a@example.com',
+                subject: '主题',
+                text: '正文'
+            });
+        });
+    });
+
+    describe('createConsoleTransport', () => {
+        it('应该将邮件写入应用日志', async () => {
+            const logSpy = vi.spyOn(logger, 'info');
+            const message = { to: 'a@example.com', subject: '主题' };
+
+            const result = await createConsoleTransport().send(message);
+
+            expect(result).toEqual({ accepted: ['a@example.com'] });
+            expect(logSpy).toHaveBeenCalledWith('邮件已输出到控制台', { component: 'mailer', mail: message });
+        });
+    });
+
+    describe('createFileTransport', () => {
+        it('应该将邮件写入JSON文件', async () => {
+            const directory = await mkdtemp(join(tmpdir(), 'mailer-'));
+
+            try {
+                const result = await createFileTransport(directory).send({ to: 'a@example.com', subject: '主题' });
+
+                const saved = JSON.parse(await readFile(result.path, 'utf8'));
+                expect(saved).toMatchObject({ to: 'a@example.com', subject: '主题' });
+                expect(saved.sentAt).toBeDefined();
+            } finally {
+                await rm(directory, { recursive: true, force: true });
+            }
+        });
+    });
+});
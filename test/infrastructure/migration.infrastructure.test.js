@@ -0,0 +1,217 @@
+import { describe, it, expect, beforeEach, afterEach, afterAll } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { sequelize } from '../../config/db.config.js';
+// 导入所有模型，用于与迁移创建的表结构对比
+import '../../infrastructure/db.infrastructure.js';
+import {
+    MIGRATION_TABLE,
+    getMigrationStatus,
+    migrate,
+    rollback,
+    verifySchemaVersion
+} from '../../infrastructure/migration.infrastructure.js';
+
+/**
+ * 生成创建单张表的迁移文件内容
+ */
+const tableMigration = (table) => `
+export const up = async ({ queryInterface, DataTypes, transaction }) => {
+    await queryInterface.createTable('${table}', { id: { type: DataTypes.INTEGER, primaryKey: true } }, { transaction });
+};
+
+export const down = async ({ queryInterface, transaction }) => {
+    await queryInterface.dropTable('${table}', { transaction });
+};
+`;
+
+describe('Migration Infrastructure', () => {
+    const queryInterface = sequelize.getQueryInterface();
+    let directory;
+
+    const tableExists = async (table) => (await queryInterface.showAllTables()).includes(table);
+
+    beforeEach(async () => {
+        await queryInterface.dropAllTables();
+        directory = await mkdtemp(join(tmpdir(), 'migrations-'));
+        await writeFile(join(directory, '20260101000000-create-alpha.js'), tableMigration('alpha'));
+        await writeFile(join(directory, '20260102000000-create-beta.js'), tableMigration('beta'));
+        // 不符合命名规则的文件会被忽略
+        await writeFile(join(directory, 'README.md'), '# migrations');
+    });
+
+    afterEach(async () => {
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    describe('migrate', () => {
+        it('应该按顺序执行所有待执行的迁移并记录', async () => {
+            const executed = await migrate({ directory });
+
+            expect(executed).toEqual(['20260101000000-create-alpha', '20260102000000-create-beta']);
+            expect(await tableExists('alpha')).toBe(true);
+            expect(await tableExists('beta')).toBe(true);
+            expect(await tableExists(MIGRATION_TABLE)).toBe(true);
+        });
+
+        it('应该跳过已执行的迁移', async () => {
+            await migrate({ directory });
+            await writeFile(join(directory, '20260103000000-create-gamma.js'), tableMigration('gamma'));
+
+            expect(await migrate({ directory })).toEqual(['20260103000000-create-gamma']);
+            expect(await migrate({ directory })).toEqual([]);
+        });
+
+        it('应该在迁移失败时停止并保留之前的执行记录', async () => {
+            await writeFile(join(directory, '20260103000000-broken.js'), `
+export const up = async ({ queryInterface, DataTypes, transaction }) => {
+    await queryInterface.createTable('gamma', { id: { type: DataTypes.INTEGER, primaryKey: true } }, { transaction });
+    throw new Error('迁移出错');
+};
+export const down = async () => {};
+`);
+
+            await expect(migrate({ directory })).rejects.toThrow('迁移出错');
+
+            const status = await getMigrationStatus({ directory });
+            expect(status.map((item) => item.status)).toEqual(['applied', 'applied', 'pending']);
+            // 失败的迁移在事务中回滚，已创建的表不会残留
+            expect(await tableExists('gamma')).toBe(false);
+        });
+
+        it('应该拒绝缺少 down 函数的迁移文件', async () => {
+            await writeFile(join(directory, '20260103000000-no-down.js'), 'export const up = async () => {};');
+
+            await expect(migrate({ directory })).rejects.toThrow('必须导出 up 和 down 函数');
+        });
+
+        it('应该在 baseline 模式下只记录第一个迁移而不执行', async () => {
+            const executed = await migrate({ directory, baseline: true });
+
+            expect(executed).toEqual(['20260102000000-create-beta']);
+            expect(await tableExists('alpha')).toBe(false);
+            expect(await tableExists('beta')).toBe(true);
+            expect((await verifySchemaVersion({ directory })).upToDate).toBe(true);
+        });
+    });
+
+    describe('rollback', () => {
+        it('应该回滚最近执行的迁移', async () => {
+            await migrate({ directory });
+
+            expect(await rollback({ directory })).toEqual(['20260102000000-create-beta']);
+            expect(await tableExists('beta')).toBe(false);
+            expect(await tableExists('alpha')).toBe(true);
+        });
+
+        it('应该按 steps 回滚多个迁移', async () => {
+            await migrate({ directory });
+
+            expect(await rollback({ directory, steps: 5 })).toEqual([
+                '20260102000000-create-beta',
+                '20260101000000-create-alpha'
+            ]);
+            expect(await tableExists('alpha')).toBe(false);
+        });
+
+        it('应该在迁移文件不存在时拒绝回滚', async () => {
+            await migrate({ directory });
+            await rm(join(directory, '20260102000000-create-beta.js'));
+
+            await expect(rollback({ directory })).rejects.toThrow('迁移文件不存在');
+        });
+    });
+
+    describe('getMigrationStatus / verifySchemaVersion', () => {
+        it('应该列出待执行的迁移', async () => {
+            await migrate({ directory });
+            await writeFile(join(directory, '20260103000000-create-gamma.js'), tableMigration('gamma'));
+
+            const status = await getMigrationStatus({ directory });
+
+            expect(status.map(({ name, status }) => [name, status])).toEqual([
+                ['20260101000000-create-alpha', 'applied'],
+                ['20260102000000-create-beta', 'applied'],
+                ['20260103000000-create-gamma', 'pending']
+            ]);
+            expect(status[0].appliedAt).toBeTruthy();
+            expect(status[2].appliedAt).toBeNull();
+            expect(await verifySchemaVersion({ directory })).toEqual({
+                upToDate: false,
+                pending: ['20260103000000-create-gamma'],
+                missing: []
+            });
+        });
+
+        it('应该在未执行过迁移的数据库上只读地报告所有迁移待执行', async () => {
+            expect(await verifySchemaVersion({ directory })).toEqual({
+                upToDate: false,
+                pending: ['20260101000000-create-alpha', '20260102000000-create-beta'],
+                missing: []
+            });
+            expect(await tableExists(MIGRATION_TABLE)).toBe(false);
+        });
+
+        it('应该缓存迁移文件列表', async () => {
+            await migrate({ directory });
+            expect((await verifySchemaVersion({ directory })).upToDate).toBe(true);
+
+            await writeFile(join(directory, '20260103000000-create-gamma.js'), tableMigration('gamma'));
+
+            expect((await verifySchemaVersion({ directory })).upToDate).toBe(true);
+            expect((await getMigrationStatus({ directory })).at(-1).status).toBe('pending');
+        });
+
+        it('应该发现数据库中有但代码中没有的迁移', async () => {
+            await migrate({ directory });
+            await rm(join(directory, '20260102000000-create-beta.js'));
+
+            expect(await verifySchemaVersion({ directory })).toEqual({
+                upToDate: false,
+                pending: [],
+                missing: ['20260102000000-create-beta']
+            });
+        });
+    });
+
+    describe('项目迁移', () => {
+        it('应该创建与所有模型定义一致的表结构', async () => {
+            await migrate();
+
+            expect(Object.keys(sequelize.models).length).toBeGreaterThan(0);
+            for (const model of Object.values(sequelize.models)) {
+                const columns = await queryInterface.describeTable(model.getTableName());
+                const attributes = Object.values(model.getAttributes()).map((attribute) => attribute.field);
+
+                expect(Object.keys(columns).sort(), model.name).toEqual(attributes.sort());
+            }
+            expect((await verifySchemaVersion()).upToDate).toBe(true);
+        });
+
+        it('应该在 baseline 模式下只跳过 users 表并创建其余的表', async () => {
+            // 模拟引入迁移之前通过 sync 创建的数据库
+            await sequelize.models.User.sync();
+
+            const executed = await migrate({ baseline: true });
+
+            expect(executed).not.toContain('20261018000000-initial-schema');
+            expect(executed.length).toBeGreaterThan(0);
+            for (const model of Object.values(sequelize.models)) {
+                expect(await tableExists(model.getTableName()), model.name).toBe(true);
+            }
+            expect((await verifySchemaVersion()).upToDate).toBe(true);
+        });
+
+        it('应该能完整回滚', async () => {
+            await migrate();
+            await rollback({ steps: Infinity });
+
+            expect(await queryInterface.showAllTables()).toEqual([MIGRATION_TABLE]);
+        });
+    });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createHash } from 'crypto';
+import {
+    discover,
+    createPkcePair,
+    buildAuthorizationUrl,
+    exchangeCode,
+    authenticateWithCode,
+    clearOidcCache,
+    OidcRejectedError
+} from '../../infrastructure/oidc.infrastructure.js';
+import { createStubIdp } from '../helpers/stub-idp.js';
+
+describe('OIDC Infrastructure', () => {
+    const idp = createStubIdp();
+    let provider;
+
+    beforeAll(async () => {
+        await idp.start();
+        provider = idp.providerConfig();
+    });
+
+    afterAll(async () => {
+        await idp.stop();
+    });
+
+    beforeEach(() => {
+        clearOidcCache();
+    });
+
+    /**
+     * 发起授权并模拟用户同意，返回回调参数和本地保存的授权信息
+     */
+    const authorize = async (claims) => {
+        const { codeVerifier, codeChallenge } = createPkcePair();
+        const nonce = 'nonce-1';
+        const url = await buildAuthorizationUrl(provider, { state: 'state-1', nonce, codeChallenge });
+        const { code } = idp.approve(url, claims);
+        return { code, codeVerifier, nonce };
+    };
+
+    describe('createPkcePair', () => {
+        it('应该生成S256 challenge', () => {
+            const { codeVerifier, codeChallenge } = createPkcePair();
+
+            expect(codeVerifier.length).toBeGreaterThanOrEqual(43);
+            expect(codeChallenge).toBe(createHash('sha256').update(codeVerifier).digest('base64url'));
+        });
+    });
+
+    describe('discover', () => {
+        it('应该获取并缓存发现文档', async () => {
+            const metadata = await discover(provider.issuer);
+
+            expect(metadata.token_endpoint).toBe(`${provider.issuer}/token`);
+            expect(await discover(`${provider.issuer}/`)).toBe(metadata);
+        });
+
+        it('应该在身份提供方不可达时抛出错误', async () => {
+            await expect(discover('http://127.0.0.1:1')).rejects.toThrow();
+        });
+    });
+
+    describe('buildAuthorizationUrl', () => {
+        it('应该包含授权码流程和PKCE参数', async () => {
+            const url = new URL(await buildAuthorizationUrl(provider, {
+                state: 'state-1',
+                nonce: 'nonce-1',
+                codeChallenge: 'challenge'
+            }));
+
+            expect(url.origin + url.pathname).toBe(`${provider.issuer}/authorize`);
+            expect(Object.fromEntries(url.searchParams)).toEqual({
+                response_type: 'code',
+                client_id: 'stub-client',
+                redirect_uri: provider.redirectUri,
+                scope: 'openid email',
+                state: 'state-1',
+                nonce: 'nonce-1',
+                code_challenge: 'challenge',
+                code_challenge_method: 'S256'
+            });
+        });
+    });
+
+    describe('authenticateWithCode', () => {
+        it('应该换取并校验ID令牌', async () => {
+            const { code, codeVerifier, nonce } = await authorize();
+
+            const claims = await authenticateWithCode(provider, { code, codeVerifier, nonce });
+
+            expect(claims.sub).toBe('stub-user-1');
+            expect(claims.email).toBe('stub@example.com');
+            expect(claims.aud).toBe('stub-client');
+            expect(idp.tokenRequests.at(-1).get('code_verifier')).toBe(codeVerifier);
+        });
+
+        it('应该在PKCE verifier不匹配时失败', async () => {
+            const { code } = await authorize();
+
+            await expect(exchangeCode(provider, { code, codeVerifier: 'wrong-verifier' }))
+                .rejects.toThrow(OidcRejectedError);
+            await expect(exchangeCode(provider, { code, codeVerifier: 'wrong-verifier' }))
+                .rejects.toThrow('身份提供方请求失败(400): 授权码无效');
+        });
+
+        it('应该拒绝重复使用的授权码', async () => {
+            const { code, codeVerifier, nonce } = await authorize();
+            await authenticateWithCode(provider, { code, codeVerifier, nonce });
+
+            await expect(authenticateWithCode(provider, { code, codeVerifier, nonce })).rejects.toThrow('授权码无效');
+        });
+
+        it('应该拒绝nonce不匹配的ID令牌', async () => {
+            const { code, codeVerifier, nonce } = await authorize({ sub: 'stub-user-1', nonce: 'other-nonce' });
+
+            await expect(authenticateWithCode(provider, { code, codeVerifier, nonce }))
+                .rejects.toThrow(new OidcRejectedError('ID令牌nonce不匹配'));
+        });
+
+        it('应该拒绝客户端凭据错误的请求', async () => {
+            const { code, codeVerifier, nonce } = await authorize();
+
+            const error = await authenticateWithCode({ ...provider, clientSecret: 'wrong' }, { code, codeVerifier, nonce })
+                .catch((thrown) => thrown);
+
+            // 客户端凭据错误是配置问题，不属于用户可重试的授权失败
+            expect(error.message).toContain('invalid_client');
+            expect(error).not.toBeInstanceOf(OidcRejectedError);
+        });
+
+        it('应该在签名密钥轮换后重新获取公钥', async () => {
+            const first = await authorize();
+            await authenticateWithCode(provider, first);
+
+            idp.rotateKeys();
+            const second = await authorize();
+            const claims = await authenticateWithCode(provider, second);
+
+            expect(claims.sub).toBe('stub-user-1');
+        });
+    });
+});
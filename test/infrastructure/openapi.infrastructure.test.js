@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import Router from '@koa/router';
+import { validate } from '../../middleware/validate.middleware.js';
+import { OPENAPI_VERSION, toOpenApiSchema, buildOpenApiDocument } from '../../infrastructure/openapi.infrastructure.js';
+import { router as appRouter } from '../../routes/index.js';
+
+const handler = async function getItem(ctx) {
+    ctx.body = {};
+};
+
+describe('OpenAPI Infrastructure', () => {
+    describe('toOpenApiSchema', () => {
+        it('应该去掉自定义校验和空的必填列表', () => {
+            const schema = {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', check: () => [] },
+                    tags: { type: 'array', items: { type: 'string', check: () => [] } }
+                },
+                required: [],
+                check: () => []
+            };
+
+            expect(toOpenApiSchema(schema)).toEqual({
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    tags: { type: 'array', items: { type: 'string' } }
+                }
+            });
+        });
+    });
+
+    describe('buildOpenApiDocument', () => {
+        const buildRouter = () => {
+            const child = new Router({ prefix: '/api/items' });
+            child.get('/', handler);
+            child.put('/:id', validate({
+                summary: '更新条目',
+                params: { type: 'object', properties: { id: { type: 'integer', minimum: 1, description: '条目ID' } }, required: ['id'] },
+                query: { type: 'object', properties: { dryRun: { type: 'boolean' } }, required: [] },
+                body: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] }
+            }), handler);
+
+            const router = new Router();
+            router.use(child.routes());
+            router.use(child.allowedMethods());
+            return router;
+        };
+
+        it('应该展开嵌套路由并转换路径参数', () => {
+            const document = buildOpenApiDocument(buildRouter(), { title: 'Test', version: '1.0.0' });
+
+            expect(document.openapi).toBe(OPENAPI_VERSION);
+            expect(document.info).toEqual({ title: 'Test', version: '1.0.0' });
+            expect(Object.keys(document.paths)).toEqual(['/api/items', '/api/items/{id}']);
+            // HEAD 由 GET 自动生成，不单独列出
+            expect(Object.keys(document.paths['/api/items'])).toEqual(['get']);
+        });
+
+        it('应该从请求结构生成参数和请求体', () => {
+            const operation = buildOpenApiDocument(buildRouter(), {}).paths['/api/items/{id}'].put;
+
+            expect(operation).toMatchObject({ operationId: 'getItem', tags: ['items'], summary: '更新条目' });
+            expect(operation.parameters).toEqual([
+                { name: 'id', in: 'path', required: true, description: '条目ID', schema: { type: 'integer', minimum: 1 } },
+                { name: 'dryRun', in: 'query', required: false, schema: { type: 'boolean' } }
+            ]);
+            expect(operation.requestBody.content['application/json'].schema).toEqual({
+                type: 'object',
+                properties: { name: { type: 'string' } },
+                required: ['name']
+            });
+            expect(Object.keys(operation.responses)).toEqual(['200', '400']);
+        });
+
+        it('应该包含没有声明请求结构的路由', () => {
+            const operation = buildOpenApiDocument(buildRouter(), {}).paths['/api/items'].get;
+
+            expect(operation).not.toHaveProperty('parameters');
+            expect(operation).not.toHaveProperty('requestBody');
+            expect(Object.keys(operation.responses)).toEqual(['200']);
+        });
+
+        it('应该为应用中每个用户接口生成带摘要的文档', () => {
+            const document = buildOpenApiDocument(appRouter, { title: 'API', version: '1.0.0' });
+            const operations = Object.entries(document.paths)
+                .filter(([path]) => path.startsWith('/api/users'))
+                .flatMap(([, methods]) => Object.values(methods));
+
+            expect(operations.length).toBeGreaterThan(0);
+            operations.forEach((operation) => expect(operation.summary).toBeTruthy());
+            expect(document.paths['/api/users/{id}'].get.parameters[0]).toMatchObject({ name: 'id', in: 'path' });
+        });
+    });
+});
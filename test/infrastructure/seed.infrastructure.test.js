@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import bcrypt from 'bcrypt';
+import { runSeeders, undoSeeders } from '../../infrastructure/seed.infrastructure.js';
+import { setMailTransport } from '../../infrastructure/mailer.infrastructure.js';
+import userRepository from '../../models/user/user.repository.js';
+import roleService from '../../models/role/role.service.js';
+import { UserRole } from '../../models/role/role.model.js';
+import { buildUserData, buildUserRecord, buildMany, createUser, DEFAULT_PASSWORD } from '../../seeders/factories/user.factory.js';
+import { setupTestDatabase, cleanupTestDatabase, closeDatabase } from '../setup.js';
+
+// 减少演示用户数量，避免密码哈希拖慢测试
+vi.mock('../../config/app.config.js', async (importOriginal) => {
+    const actual = await importOriginal();
+    return {
+        ...actual,
+        seedConfig: { ...actual.seedConfig, admin: { ...actual.seedConfig.admin }, demoUserCount: 2 }
+    };
+});
+
+describe('Seed Infrastructure', () => {
+    const log = vi.fn();
+    const sentMails = [];
+
+    beforeAll(async () => {
+        await setupTestDatabase();
+        await roleService.ensureDefaultRoles();
+        setMailTransport({ name: 'memory', send: async (message) => sentMails.push(message) });
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await cleanupTestDatabase();
+        log.mockClear();
+        sentMails.length = 0;
+    });
+
+    const roleNames = async (userId) => {
+        const roles = await roleService.getUserRoles(userId);
+        return roles.map((role) => role.name);
+    };
+
+    describe('runSeeders', () => {
+        it('应该创建管理员和演示用户', async () => {
+            const results = await runSeeders({ environment: 'development', log });
+
+            expect(results).toEqual([
+                { name: '01-admin', created: ['admin'] },
+                { name: '02-demo-users', created: ['demo1', 'demo2'] }
+            ]);
+
+            const admin = await userRepository.findByUsername('admin');
+            expect(admin.email_verified).toBe(true);
+            expect(await roleNames(admin.id)).toEqual(expect.arrayContaining(['admin', 'user']));
+
+            const demo = await userRepository.findByUsername('demo1');
+            expect(await bcrypt.compare('Demo123!', demo.password_hash)).toBe(true);
+            expect(await roleNames(demo.id)).toEqual(['user']);
+        });
+
+        it('应该在未配置管理员密码时生成随机密码并输出', async () => {
+            await runSeeders({ environment: 'development', only: ['admin'], log });
+
+            expect(log).toHaveBeenCalledTimes(1);
+            const [password] = log.mock.calls[0][0].match(/初始密码: (\S+)（/).slice(1);
+            const admin = await userRepository.findByUsername('admin');
+            expect(await bcrypt.compare(password, admin.password_hash)).toBe(true);
+        });
+
+        it('应该可以重复执行且不修改已有数据', async () => {
+            await runSeeders({ environment: 'development', log });
+            const admin = await userRepository.findByUsername('admin');
+
+            const results = await runSeeders({ environment: 'development', log });
+
+            expect(results.every((result) => result.created.length === 0)).toBe(true);
+            expect((await userRepository.findByUsername('admin')).password_hash).toBe(admin.password_hash);
+        });
+
+        it('应该为已存在的管理员账户补充管理员角色', async () => {
+            const user = await createUser({ username: 'admin', email: 'admin@example.com' });
+            expect(await roleNames(user.id)).toEqual(['user']);
+
+            const results = await runSeeders({ environment: 'development', only: ['admin'], log });
+
+            expect(results).toEqual([{ name: '01-admin', created: [] }]);
+            expect(await roleNames(user.id)).toContain('admin');
+        });
+
+        it('应该在生产环境只执行不限定环境的种子', async () => {
+            const results = await runSeeders({ environment: 'production', log });
+
+            expect(results.map((result) => result.name)).toEqual(['01-admin']);
+            expect(await userRepository.findByUsername('demo1')).toBeNull();
+        });
+
+        it('应该拒绝不存在的种子名称', async () => {
+            await expect(runSeeders({ only: ['nope'], log })).rejects.toThrow('种子不存在: nope');
+        });
+    });
+
+    describe('undoSeeders', () => {
+        it('应该按相反顺序删除种子写入的数据', async () => {
+            await runSeeders({ environment: 'development', log });
+
+            const results = await undoSeeders({ environment: 'development', log });
+
+            expect(results).toEqual([
+                { name: '02-demo-users', removed: ['demo1', 'demo2'] },
+                { name: '01-admin', removed: ['admin'] }
+            ]);
+            expect(await userRepository.findByUsername('admin')).toBeNull();
+            expect(await UserRole.count()).toBe(0);
+        });
+
+        it('应该只删除指定的种子数据', async () => {
+            await runSeeders({ environment: 'development', log });
+
+            await undoSeeders({ environment: 'development', only: ['02-demo-users'], log });
+
+            expect(await userRepository.findByUsername('demo1')).toBeNull();
+            expect(await userRepository.findByUsername('admin')).not.toBeNull();
+        });
+    });
+
+    describe('用户数据工厂', () => {
+        it('应该构造满足校验规则的用户数据', async () => {
+            const user = await createUser({ username: 'factory', email: 'factory@example.com' }, { verified: false });
+
+            expect(user.email_verified).toBe(false);
+            expect(sentMails).toHaveLength(1);
+            const record = await userRepository.findByUsername('factory');
+            expect(await bcrypt.compare(DEFAULT_PASSWORD, record.password_hash)).toBe(true);
+        });
+
+        it('应该在邮件传输层不可用时仍完成注册', async () => {
+            setMailTransport({ name: 'broken', send: async () => { throw new Error('SMTP down'); } });
+
+            try {
+                const user = await createUser({ username: 'nomail', email: 'nomail@example.com' }, { verified: false });
+
+                expect(user.username).toBe('nomail');
+                const record = await userRepository.findByUsername('nomail');
+                expect(await roleNames(record.id)).toEqual(['user']);
+            } finally {
+                setMailTransport({ name: 'memory', send: async (message) => sentMails.push(message) });
+            }
+        });
+
+        it('应该构造可直接写库的记录和批量数据', () => {
+            expect(buildUserRecord()).not.toHaveProperty('password');
+            expect(buildUserRecord().password_hash).toBeDefined();
+            expect(buildUserData({ username: 'other' }).username).toBe('other');
+            expect(buildMany(3, (i) => i * 2)).toEqual([2, 4, 6]);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import http from 'http';
+import Koa from 'koa';
+
+/**
+ * 通过 keep-alive 连接发送请求
+ */
+const get = (port, path, agent) => new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path, agent }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    });
+    req.on('error', reject);
+});
+
+/**
+ * 等待服务器收到指定数量的请求
+ */
+const waitForRequests = async (getCount, server, count) => {
+    while (getCount(server) < count) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+};
+
+describe('Server Infrastructure', () => {
+    let serverInfrastructure;
+    let app;
+    let agent;
+    let releaseSlowRequest;
+
+    beforeEach(async () => {
+        // 关闭状态是模块级的，每个用例重新加载模块
+        vi.resetModules();
+        serverInfrastructure = await import('../../infrastructure/server.infrastructure.js');
+
+        app = new Koa();
+        app.use(async (ctx) => {
+            if (ctx.path === '/slow') {
+                await new Promise((resolve) => { releaseSlowRequest = resolve; });
+            }
+            ctx.body = 'ok';
+        });
+        agent = new http.Agent({ keepAlive: true });
+    });
+
+    afterEach(() => {
+        agent.destroy();
+    });
+
+    it('应该在指定端口启动服务器', async () => {
+        const server = await serverInfrastructure.startHttpServer(app, { port: 0, host: '127.0.0.1' });
+        const { port } = server.address();
+
+        const response = await get(port, '/', agent);
+
+        expect(response.status).toBe(200);
+        expect(serverInfrastructure.isShuttingDown()).toBe(false);
+        await serverInfrastructure.stopHttpServer(server);
+    });
+
+    it('应该在端口被占用时拒绝启动', async () => {
+        const server = await serverInfrastructure.startHttpServer(app, { port: 0, host: '127.0.0.1' });
+        const { port } = server.address();
+
+        await expect(
+            serverInfrastructure.startHttpServer(app, { port, host: '127.0.0.1' })
+        ).rejects.toThrow('EADDRINUSE');
+        await serverInfrastructure.stopHttpServer(server);
+    });
+
+    it('应该等待进行中的请求完成后再关闭，并断开 keep-alive 连接', async () => {
+        const server = await serverInfrastructure.startHttpServer(app, { port: 0, host: '127.0.0.1' });
+        const { port } = server.address();
+        // 建立一个空闲的 keep-alive 连接
+        await get(port, '/', agent);
+
+        const slow = get(port, '/slow', new http.Agent({ keepAlive: true }));
+        await waitForRequests(serverInfrastructure.getActiveRequestCount, server, 1);
+
+        const stopping = serverInfrastructure.stopHttpServer(server, { timeout: 5000 });
+        expect(serverInfrastructure.isShuttingDown()).toBe(true);
+
+        // 不再接受新连接
+        await expect(get(port, '/', new http.Agent())).rejects.toThrow('ECONNREFUSED');
+
+        releaseSlowRequest();
+        const response = await slow;
+        expect(response.status).toBe(200);
+        expect(response.body).toBe('ok');
+
+        await expect(stopping).resolves.toEqual({ drained: true, aborted: 0 });
+        expect(server.listening).toBe(false);
+    });
+
+    it('应该通知关闭期间完成的请求断开连接', async () => {
+        const server = await serverInfrastructure.startHttpServer(app, { port: 0, host: '127.0.0.1' });
+        const { port } = server.address();
+
+        const slow = get(port, '/slow', agent);
+        await waitForRequests(serverInfrastructure.getActiveRequestCount, server, 1);
+        const stopping = serverInfrastructure.stopHttpServer(server, { timeout: 5000 });
+        releaseSlowRequest();
+
+        expect((await slow).headers.connection).toBe('close');
+        await expect(stopping).resolves.toEqual({ drained: true, aborted: 0 });
+    });
+
+    it('应该在超时后强制断开未完成的请求', async () => {
+        const server = await serverInfrastructure.startHttpServer(app, { port: 0, host: '127.0.0.1' });
+        const { port } = server.address();
+
+        const slow = get(port, '/slow', agent).catch((error) => error);
+        await waitForRequests(serverInfrastructure.getActiveRequestCount, server, 1);
+
+        const result = await serverInfrastructure.stopHttpServer(server, { timeout: 50 });
+
+        expect(result).toEqual({ drained: false, aborted: 1 });
+        expect(await slow).toBeInstanceOf(Error);
+        releaseSlowRequest();
+    });
+});
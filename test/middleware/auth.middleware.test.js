@@ -0,0 +1,349 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { authenticate, authorize, requirePermission, hasPermission, ACCESS_LEVELS } from '../../middleware/auth.middleware.js';
+import authService from '../../models/auth/auth.service.js';
+import roleService from '../../models/role/role.service.js';
+import apiKeyService from '../../models/auth/api-key.service.js';
+import { UnauthorizedError, ForbiddenError } from '../../errors/app.error.js';
+
+// 模拟认证服务
+vi.mock('../../models/auth/auth.service.js', () => ({
+  default: {
+    resolveAccessToken: vi.fn()
+  }
+}));
+
+// 模拟API密钥服务
+vi.mock('../../models/auth/api-key.service.js', () => ({
+  default: {
+    authenticate: vi.fn()
+  }
+}));
+
+// 模拟角色服务
+vi.mock('../../models/role/role.service.js', () => ({
+  default: {
+    getUserPermissions: vi.fn()
+  }
+}));
+
+describe('Auth Middleware', () => {
+  let ctx;
+  let next;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    ctx = {
+      request: { header: {} },
+      params: {},
+      state: {},
+      status: 404,
+      body: undefined
+    };
+
+    next = vi.fn().mockResolvedValue();
+  });
+
+  describe('authenticate', () => {
+    it('应该在没有Authorization头时直接放行', async () => {
+      await authenticate(ctx, next);
+
+      expect(next).toHaveBeenCalledOnce();
+      expect(ctx.state.user).toBeUndefined();
+      expect(authService.resolveAccessToken).not.toHaveBeenCalled();
+    });
+
+    it('应该忽略非Bearer认证方式', async () => {
+      ctx.request.header.authorization = 'Basic dXNlcjpwYXNz';
+
+      await authenticate(ctx, next);
+
+      expect(authService.resolveAccessToken).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledOnce();
+    });
+
+    it('应该在令牌有效时加载用户', async () => {
+      const user = { id: 1, status: 'active' };
+      ctx.request.header.authorization = 'Bearer valid-token';
+      authService.resolveAccessToken.mockResolvedValue({ success: true, data: user, sessionId: 'session-1' });
+
+      await authenticate(ctx, next);
+
+      expect(authService.resolveAccessToken).toHaveBeenCalledWith('valid-token');
+      expect(ctx.state.user).toBe(user);
+      expect(ctx.state.sessionId).toBe('session-1');
+      expect(next).toHaveBeenCalledOnce();
+    });
+
+    it('应该在令牌无效时记录401错误并继续执行', async () => {
+      ctx.request.header.authorization = 'Bearer invalid-token';
+      authService.resolveAccessToken.mockResolvedValue({
+        success: false,
+        message: '访问令牌无效或已过期',
+        errors: ['请重新登录或刷新令牌']
+      });
+
+      await authenticate(ctx, next);
+
+      expect(ctx.state.user).toBeUndefined();
+      expect(ctx.state.authError).toBeInstanceOf(UnauthorizedError);
+      expect(ctx.state.authError).toMatchObject({ status: 401, code: 'INVALID_TOKEN' });
+      expect(next).toHaveBeenCalledOnce();
+    });
+
+    it.each(['inactive', 'suspended'])('应该拒绝状态为%s的账户', async (status) => {
+      ctx.request.header.authorization = 'Bearer valid-token';
+      authService.resolveAccessToken.mockResolvedValue({ success: true, data: { id: 1, status } });
+
+      await authenticate(ctx, next);
+
+      expect(ctx.state.user).toBeUndefined();
+      expect(ctx.state.authError).toMatchObject({ status: 403, code: 'ACCOUNT_DISABLED', message: '账户已被禁用' });
+    });
+
+    it('应该在没有Bearer令牌时使用X-API-Key认证', async () => {
+      const user = { id: 1, status: 'active' };
+      ctx.request.header['x-api-key'] = 'ak_12345678_secret';
+      apiKeyService.authenticate.mockResolvedValue({
+        success: true,
+        data: user,
+        apiKey: { id: 7, scopes: ['users:audit'] }
+      });
+
+      await authenticate(ctx, next);
+
+      expect(apiKeyService.authenticate).toHaveBeenCalledWith('ak_12345678_secret');
+      expect(ctx.state.user).toBe(user);
+      expect(ctx.state.apiKey).toEqual({ id: 7, scopes: ['users:audit'] });
+      expect(ctx.state.sessionId).toBeUndefined();
+      expect(next).toHaveBeenCalledOnce();
+    });
+
+    it('应该在同时提供两种凭据时优先使用Bearer令牌', async () => {
+      ctx.request.header.authorization = 'Bearer valid-token';
+      ctx.request.header['x-api-key'] = 'ak_12345678_secret';
+      authService.resolveAccessToken.mockResolvedValue({ success: true, data: { id: 1, status: 'active' }, sessionId: 's' });
+
+      await authenticate(ctx, next);
+
+      expect(apiKeyService.authenticate).not.toHaveBeenCalled();
+      expect(ctx.state.apiKey).toBeUndefined();
+    });
+
+    it('应该在API密钥无效时记录401错误', async () => {
+      ctx.request.header['x-api-key'] = 'ak_invalid';
+      apiKeyService.authenticate.mockResolvedValue({
+        success: false,
+        message: 'API密钥无效或已过期',
+        errors: ['请检查X-API-Key请求头']
+      });
+
+      await authenticate(ctx, next);
+
+      expect(ctx.state.user).toBeUndefined();
+      expect(ctx.state.authError).toMatchObject({ status: 401, code: 'INVALID_API_KEY', message: 'API密钥无效或已过期' });
+    });
+
+    it('应该拒绝被禁用账户的API密钥', async () => {
+      ctx.request.header['x-api-key'] = 'ak_12345678_secret';
+      apiKeyService.authenticate.mockResolvedValue({
+        success: true,
+        data: { id: 1, status: 'suspended' },
+        apiKey: { id: 7, scopes: [] }
+      });
+
+      await authenticate(ctx, next);
+
+      expect(ctx.state.user).toBeUndefined();
+      expect(ctx.state.authError).toMatchObject({ status: 403 });
+    });
+  });
+
+  describe('authorize', () => {
+    it('应该允许匿名访问公开路由', async () => {
+      await authorize(ACCESS_LEVELS.PUBLIC)(ctx, next);
+
+      expect(next).toHaveBeenCalledOnce();
+    });
+
+    it('应该默认要求登录', async () => {
+      await expect(authorize()(ctx, next)).rejects.toMatchObject({ status: 401, code: 'UNAUTHORIZED' });
+
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('应该抛出认证阶段记录的错误', async () => {
+      const authError = new ForbiddenError('账户已被禁用', { code: 'ACCOUNT_DISABLED' });
+      ctx.state.authError = authError;
+
+      await expect(authorize(ACCESS_LEVELS.AUTHENTICATED)(ctx, next)).rejects.toBe(authError);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('应该允许已登录用户访问', async () => {
+      ctx.state.user = { id: 1 };
+
+      await authorize(ACCESS_LEVELS.AUTHENTICATED)(ctx, next);
+
+      expect(next).toHaveBeenCalledOnce();
+    });
+
+    it('应该只允许用户操作自己的资源', async () => {
+      ctx.state.user = { id: 1 };
+      ctx.params.id = '1';
+
+      await authorize(ACCESS_LEVELS.SELF)(ctx, next);
+
+      expect(next).toHaveBeenCalledOnce();
+    });
+
+    it('应该拒绝操作他人资源', async () => {
+      ctx.state.user = { id: 1 };
+      ctx.params.id = '2';
+
+      await expect(authorize(ACCESS_LEVELS.SELF)(ctx, next)).rejects.toMatchObject({ status: 403, code: 'FORBIDDEN' });
+
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('应该允许拥有指定权限的用户操作他人资源', async () => {
+      ctx.state.user = { id: 1 };
+      ctx.params.id = '2';
+      roleService.getUserPermissions.mockResolvedValue(['users:delete']);
+
+      await authorize(ACCESS_LEVELS.SELF, { permission: 'users:delete' })(ctx, next);
+
+      expect(next).toHaveBeenCalledOnce();
+      expect(roleService.getUserPermissions).toHaveBeenCalledWith(1);
+    });
+
+    it('应该在本人访问时不查询权限', async () => {
+      ctx.state.user = { id: 1 };
+      ctx.params.id = '1';
+
+      await authorize(ACCESS_LEVELS.SELF, { permission: 'users:delete' })(ctx, next);
+
+      expect(next).toHaveBeenCalledOnce();
+      expect(roleService.getUserPermissions).not.toHaveBeenCalled();
+    });
+
+    it('应该支持自定义路由参数名', async () => {
+      ctx.state.user = { id: 5 };
+      ctx.params.userId = '5';
+
+      await authorize(ACCESS_LEVELS.SELF, { param: 'userId' })(ctx, next);
+
+      expect(next).toHaveBeenCalledOnce();
+    });
+
+    it('应该拒绝使用API密钥访问仅限交互登录的路由', async () => {
+      ctx.state.user = { id: 1 };
+      ctx.state.apiKey = { id: 7, scopes: [] };
+      ctx.params.id = '1';
+
+      await expect(authorize(ACCESS_LEVELS.SELF, { apiKey: false })(ctx, next)).rejects.toMatchObject({
+        status: 403,
+        code: 'API_KEY_NOT_ALLOWED',
+        message: '该操作不支持API密钥'
+      });
+
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('应该要求API密钥访问本人资源时也具备路由权限的scope', async () => {
+      ctx.state.user = { id: 1 };
+      ctx.state.apiKey = { id: 7, scopes: [] };
+      ctx.params.id = '1';
+
+      await expect(authorize(ACCESS_LEVELS.SELF, { permission: 'users:delete' })(ctx, next)).rejects.toMatchObject({
+        status: 403,
+        code: 'PERMISSION_DENIED'
+      });
+
+      ctx.state.apiKey.scopes = ['users:delete'];
+      await authorize(ACCESS_LEVELS.SELF, { permission: 'users:delete' })(ctx, next);
+
+      expect(next).toHaveBeenCalledOnce();
+      expect(roleService.getUserPermissions).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝使用API密钥访问未声明权限的本人路由', async () => {
+      ctx.state.user = { id: 1 };
+      ctx.state.apiKey = { id: 7, scopes: ['users:update'] };
+      ctx.params.id = '1';
+
+      await expect(authorize(ACCESS_LEVELS.SELF)(ctx, next)).rejects.toMatchObject({
+        status: 403,
+        code: 'API_KEY_NOT_ALLOWED'
+      });
+
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('应该允许访问令牌访问仅限交互登录的路由', async () => {
+      ctx.state.user = { id: 1 };
+      ctx.params.id = '1';
+
+      await authorize(ACCESS_LEVELS.SELF, { apiKey: false })(ctx, next);
+
+      expect(next).toHaveBeenCalledOnce();
+    });
+  });
+
+  describe('hasPermission', () => {
+    it('应该在未登录时返回false', async () => {
+      expect(await hasPermission(ctx, 'users:delete')).toBe(false);
+      expect(roleService.getUserPermissions).not.toHaveBeenCalled();
+    });
+
+    it('应该在同一请求内缓存权限', async () => {
+      ctx.state.user = { id: 1 };
+      roleService.getUserPermissions.mockResolvedValue(['users:delete']);
+
+      expect(await hasPermission(ctx, 'users:delete')).toBe(true);
+      expect(await hasPermission(ctx, 'roles:assign')).toBe(false);
+      expect(roleService.getUserPermissions).toHaveBeenCalledOnce();
+      expect(ctx.state.permissions).toEqual(['users:delete']);
+    });
+
+    it('应该把API密钥请求的权限限制在密钥scopes之内', async () => {
+      ctx.state.user = { id: 1 };
+      ctx.state.apiKey = { id: 7, scopes: ['users:audit', 'roles:assign'] };
+      roleService.getUserPermissions.mockResolvedValue(['users:audit', 'users:delete']);
+
+      expect(await hasPermission(ctx, 'users:audit')).toBe(true);
+      expect(await hasPermission(ctx, 'users:delete')).toBe(false);
+      expect(await hasPermission(ctx, 'roles:assign')).toBe(false);
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('应该拒绝未登录请求', async () => {
+      await expect(requirePermission('users:statistics')(ctx, next)).rejects.toMatchObject({ status: 401 });
+
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('应该拒绝缺少权限的用户', async () => {
+      ctx.state.user = { id: 1 };
+      roleService.getUserPermissions.mockResolvedValue([]);
+
+      await expect(requirePermission('users:statistics')(ctx, next)).rejects.toMatchObject({
+        status: 403,
+        code: 'PERMISSION_DENIED',
+        message: '权限不足',
+        messageKey: 'auth.permissionDenied',
+        details: [{ field: null, message: { key: 'auth.missingPermission', params: { permission: 'users:statistics' } } }]
+      });
+    });
+
+    it('应该放行拥有权限的用户', async () => {
+      ctx.state.user = { id: 1 };
+      roleService.getUserPermissions.mockResolvedValue(['users:statistics']);
+
+      await requirePermission('users:statistics')(ctx, next);
+
+      expect(next).toHaveBeenCalledOnce();
+    });
+  });
+});
@@ -1,5 +1,31 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { errorHandler } from '../../middleware/error.middleware.js';
+import { ValidationError, NotFoundError, ConflictError, UnauthorizedError, ForbiddenError } from '../../errors/app.error.js';
+import { DatabaseError } from '../../errors/database.error.js';
+import { serverConfig } from '../../config/app.config.js';
+import { logger } from '../../infrastructure/logger.infrastructure.js';
+import { UniqueConstraintError, ValidationErrorItem } from 'sequelize';
+
+// 配置对象是冻结的，用可修改的副本切换运行环境
+vi.mock('../../config/app.config.js', () => ({ serverConfig: { env: 'test' } }));
+
+// 未经日志中间件的请求使用应用日志器
+vi.mock('../../infrastructure/logger.infrastructure.js', () => ({
+  logger: { error: vi.fn() }
+}));
+
+/**
+ * 生成不含字段详情的错误响应
+ */
+const envelope = (code, message, { requestId = null, messageKey = null } = {}) => ({
+  success: false,
+  code,
+  message,
+  messageKey,
+  errors: [],
+  details: [],
+  requestId
+});
 
 describe('Error Middleware', () => {
   let ctx;
@@ -15,7 +41,11 @@ describe('Error Middleware', () => {
     ctx = {
       status: 200,
       body: null,
-      app: mockApp
+      app: mockApp,
+      state: {},
+      get: vi.fn(() => ''),
+      set: vi.fn(),
+      vary: vi.fn()
     };
 
     next = vi.fn();
@@ -50,19 +80,18 @@ describe('Error Middleware', () => {
       error.status = 400;
       next.mockRejectedValue(error);
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const errorSpy = vi.spyOn(logger, 'error');
 
       await errorHandler(ctx, next);
 
       expect(ctx.status).toBe(400);
-      expect(ctx.body).toEqual({
-        success: false,
-        message: 'Test error'
-      });
-      expect(consoleSpy).toHaveBeenCalledWith('❌ [Error Handler] Unhandled Error:', error);
+      expect(ctx.body).toEqual(envelope('BAD_REQUEST', 'Test error'));
+      // 4xx错误由日志中间件记录，这里不重复记录
+      expect(errorSpy).not.toHaveBeenCalled();
       expect(mockApp.emit).toHaveBeenCalledWith('error', error, ctx);
+      expect(ctx.state.errorHandled).toBe(true);
 
-      consoleSpy.mockRestore();
+      errorSpy.mockRestore();
     });
 
     it('应该处理带有 statusCode 属性的错误', async () => {
@@ -70,34 +99,28 @@ describe('Error Middleware', () => {
       error.statusCode = 422;
       next.mockRejectedValue(error);
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const errorSpy = vi.spyOn(logger, 'error');
 
       await errorHandler(ctx, next);
 
       expect(ctx.status).toBe(422);
-      expect(ctx.body).toEqual({
-        success: false,
-        message: 'Status code error'
-      });
+      expect(ctx.body).toEqual(envelope('UNPROCESSABLE_ENTITY', 'Status code error'));
 
-      consoleSpy.mockRestore();
+      errorSpy.mockRestore();
     });
 
     it('应该为没有状态码的错误设置默认状态码 500', async () => {
       const error = new Error('Generic error');
       next.mockRejectedValue(error);
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const errorSpy = vi.spyOn(logger, 'error');
 
       await errorHandler(ctx, next);
 
       expect(ctx.status).toBe(500);
-      expect(ctx.body).toEqual({
-        success: false,
-        message: 'Generic error'
-      });
+      expect(ctx.body).toMatchObject(envelope('INTERNAL_ERROR', 'Generic error'));
 
-      consoleSpy.mockRestore();
+      errorSpy.mockRestore();
     });
 
     it('应该为没有消息的错误设置默认消息', async () => {
@@ -105,34 +128,28 @@ describe('Error Middleware', () => {
       error.status = 404;
       next.mockRejectedValue(error);
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const errorSpy = vi.spyOn(logger, 'error');
 
       await errorHandler(ctx, next);
 
       expect(ctx.status).toBe(404);
-      expect(ctx.body).toEqual({
-        success: false,
-        message: 'Internal Server Error'
-      });
+      expect(ctx.body).toEqual(envelope('NOT_FOUND', 'Internal Server Error'));
 
-      consoleSpy.mockRestore();
+      errorSpy.mockRestore();
     });
 
     it('应该处理非 Error 对象的异常', async () => {
       const error = 'String error';
       next.mockRejectedValue(error);
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const errorSpy = vi.spyOn(logger, 'error');
 
       await errorHandler(ctx, next);
 
       expect(ctx.status).toBe(500);
-      expect(ctx.body).toEqual({
-        success: false,
-        message: 'Internal Server Error'
-      });
+      expect(ctx.body).toEqual(envelope('INTERNAL_ERROR', 'Internal Server Error'));
 
-      consoleSpy.mockRestore();
+      errorSpy.mockRestore();
     });
 
     it('应该触发应用的错误事件', async () => {
@@ -140,27 +157,173 @@ describe('Error Middleware', () => {
       error.status = 403;
       next.mockRejectedValue(error);
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const errorSpy = vi.spyOn(logger, 'error');
 
       await errorHandler(ctx, next);
 
       expect(mockApp.emit).toHaveBeenCalledWith('error', error, ctx);
       expect(mockApp.emit).toHaveBeenCalledTimes(1);
 
-      consoleSpy.mockRestore();
+      errorSpy.mockRestore();
     });
 
     it('应该记录错误日志', async () => {
       const error = new Error('Log test error');
       next.mockRejectedValue(error);
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const errorSpy = vi.spyOn(logger, 'error');
+
+      await errorHandler(ctx, next);
+
+      expect(errorSpy).toHaveBeenCalledWith('未处理的错误', { error });
+
+      errorSpy.mockRestore();
+    });
+
+    it('应该使用日志中间件创建的请求日志器记录错误', async () => {
+      const error = new Error('Request log error');
+      ctx.state.logger = { error: vi.fn() };
+      next.mockRejectedValue(error);
+
+      const errorSpy = vi.spyOn(logger, 'error');
+
+      await errorHandler(ctx, next);
+
+      expect(ctx.state.logger.error).toHaveBeenCalledWith('未处理的错误', { error });
+      expect(errorSpy).not.toHaveBeenCalled();
+
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('应用错误', () => {
+    it('应该渲染错误码、字段详情和请求ID', async () => {
+      ctx.state = { requestId: 'req-1' };
+      next.mockRejectedValue(new ValidationError('errors.validationFailed', {
+        details: [{ field: 'email', message: 'user.emailInvalid' }]
+      }));
+
+      await errorHandler(ctx, next);
+
+      expect(ctx.status).toBe(400);
+      expect(ctx.body).toEqual({
+        success: false,
+        code: 'VALIDATION_FAILED',
+        message: '数据验证失败',
+        messageKey: 'errors.validationFailed',
+        errors: ['邮箱地址格式不正确'],
+        details: [{ field: 'email', message: '邮箱地址格式不正确', messageKey: 'user.emailInvalid' }],
+        requestId: 'req-1'
+      });
+    });
+
+    it.each([
+      [new UnauthorizedError(), 401, 'UNAUTHORIZED'],
+      [new ForbiddenError(), 403, 'FORBIDDEN'],
+      [new NotFoundError('user.notFound', { code: 'USER_NOT_FOUND' }), 404, 'USER_NOT_FOUND'],
+      [new ConflictError('user.usernameTaken', { code: 'USERNAME_TAKEN' }), 409, 'USERNAME_TAKEN']
+    ])('应该按错误类型设置状态码 %#', async (error, status, code) => {
+      next.mockRejectedValue(error);
+
+      await errorHandler(ctx, next);
+
+      expect(ctx.status).toBe(status);
+      expect(ctx.body.code).toBe(code);
+    });
+
+    it('应该按请求语言翻译错误信息并保留消息键', async () => {
+      ctx.get = vi.fn(() => 'en-US,en;q=0.9');
+      next.mockRejectedValue(new NotFoundError('user.notFound', { code: 'USER_NOT_FOUND' }));
 
       await errorHandler(ctx, next);
 
-      expect(consoleSpy).toHaveBeenCalledWith('❌ [Error Handler] Unhandled Error:', error);
+      expect(ctx.body).toMatchObject({ message: 'User not found', messageKey: 'user.notFound' });
+      expect(ctx.set).toHaveBeenCalledWith('Content-Language', 'en');
+      expect(ctx.vary).toHaveBeenCalledWith('Accept-Language');
+    });
+
+    it('应该不为预期的业务错误记录错误日志', async () => {
+      const errorSpy = vi.spyOn(logger, 'error');
+      next.mockRejectedValue(new NotFoundError());
+
+      await errorHandler(ctx, next);
+
+      expect(errorSpy).not.toHaveBeenCalled();
+      expect(mockApp.emit).toHaveBeenCalledOnce();
 
-      consoleSpy.mockRestore();
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('错误信息暴露策略', () => {
+    const originalEnv = serverConfig.env;
+    let errorSpy;
+
+    beforeEach(() => {
+      errorSpy = vi.spyOn(logger, 'error');
+    });
+
+    afterEach(() => {
+      serverConfig.env = originalEnv;
+      errorSpy.mockRestore();
+    });
+
+    it('应该在生产环境隐藏5xx错误的内部信息并保留请求ID', async () => {
+      serverConfig.env = 'production';
+      ctx.state = { requestId: 'req-500' };
+      next.mockRejectedValue(new DatabaseError('创建用户失败', { cause: new Error('SQLITE_BUSY: database is locked') }));
+
+      await errorHandler(ctx, next);
+
+      expect(ctx.status).toBe(500);
+      expect(ctx.body).toEqual(envelope('INTERNAL_ERROR', '服务器内部错误', { requestId: 'req-500', messageKey: 'errors.internal' }));
+    });
+
+    it('应该在生产环境保留4xx错误的信息', async () => {
+      serverConfig.env = 'production';
+      next.mockRejectedValue(new NotFoundError('user.notFound', { code: 'USER_NOT_FOUND' }));
+
+      await errorHandler(ctx, next);
+
+      expect(ctx.status).toBe(404);
+      expect(ctx.body).toEqual(envelope('USER_NOT_FOUND', '用户不存在', { messageKey: 'user.notFound' }));
+    });
+
+    it('应该在开发环境返回5xx错误的调试信息', async () => {
+      serverConfig.env = 'development';
+      next.mockRejectedValue(new DatabaseError('创建用户失败', { cause: new Error('SQLITE_BUSY: database is locked') }));
+
+      await errorHandler(ctx, next);
+
+      expect(ctx.status).toBe(500);
+      expect(ctx.body).toMatchObject({
+        code: 'DATABASE_ERROR',
+        message: '创建用户失败',
+        debug: {
+          name: 'DatabaseError',
+          message: '创建用户失败',
+          cause: { name: 'Error', message: 'SQLITE_BUSY: database is locked' }
+        }
+      });
+      expect(ctx.body.debug.stack).toContain('DatabaseError');
+    });
+
+    it('应该将未转换的唯一约束错误渲染为409', async () => {
+      serverConfig.env = 'production';
+      next.mockRejectedValue(new UniqueConstraintError({
+        errors: [new ValidationErrorItem('username must be unique', 'unique violation', 'username', 'alice')]
+      }));
+
+      await errorHandler(ctx, next);
+
+      expect(ctx.status).toBe(409);
+      expect(ctx.body).toMatchObject({
+        code: 'DUPLICATE_ENTRY',
+        message: '数据已存在',
+        messageKey: 'database.duplicateEntry',
+        details: [{ field: 'username', message: 'username已被使用', messageKey: 'database.duplicateField' }]
+      });
+      expect(errorSpy).not.toHaveBeenCalled();
     });
   });
 
@@ -168,33 +331,27 @@ describe('Error Middleware', () => {
     it('应该处理 null 错误', async () => {
       next.mockRejectedValue(null);
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const errorSpy = vi.spyOn(logger, 'error');
 
       await errorHandler(ctx, next);
 
       expect(ctx.status).toBe(500);
-      expect(ctx.body).toEqual({
-        success: false,
-        message: 'Internal Server Error'
-      });
+      expect(ctx.body).toEqual(envelope('INTERNAL_ERROR', 'Internal Server Error'));
 
-      consoleSpy.mockRestore();
+      errorSpy.mockRestore();
     });
 
     it('应该处理 undefined 错误', async () => {
       next.mockRejectedValue(undefined);
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const errorSpy = vi.spyOn(logger, 'error');
 
       await errorHandler(ctx, next);
 
       expect(ctx.status).toBe(500);
-      expect(ctx.body).toEqual({
-        success: false,
-        message: 'Internal Server Error'
-      });
+      expect(ctx.body).toEqual(envelope('INTERNAL_ERROR', 'Internal Server Error'));
 
-      consoleSpy.mockRestore();
+      errorSpy.mockRestore();
     });
 
     it('应该处理状态码为 0 的错误', async () => {
@@ -202,17 +359,14 @@ describe('Error Middleware', () => {
       error.status = 0;
       next.mockRejectedValue(error);
 
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const errorSpy = vi.spyOn(logger, 'error');
 
       await errorHandler(ctx, next);
 
       expect(ctx.status).toBe(500);
-      expect(ctx.body).toEqual({
-        success: false,
-        message: 'Zero status error'
-      });
+      expect(ctx.body).toMatchObject(envelope('INTERNAL_ERROR', 'Zero status error'));
 
-      consoleSpy.mockRestore();
+      errorSpy.mockRestore();
     });
   });
 });
\ No newline at end of file
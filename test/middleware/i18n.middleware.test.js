@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import Koa from 'koa';
+import request from 'supertest';
+import i18n, { getLocale } from '../../middleware/i18n.middleware.js';
+
+describe('I18n Middleware', () => {
+  let ctx;
+  let next;
+
+  beforeEach(() => {
+    // 创建模拟的 Koa 上下文
+    ctx = {
+      state: {},
+      body: undefined,
+      get: vi.fn(() => ''),
+      set: vi.fn(),
+      vary: vi.fn()
+    };
+
+    next = vi.fn();
+  });
+
+  describe('getLocale', () => {
+    it('应该按 Accept-Language 协商语言并缓存在 ctx.state 中', () => {
+      ctx.get.mockReturnValue('en-US,en;q=0.9,zh;q=0.8');
+
+      expect(getLocale(ctx)).toBe('en');
+      expect(getLocale(ctx)).toBe('en');
+      expect(ctx.state.locale).toBe('en');
+      expect(ctx.get).toHaveBeenCalledOnce();
+      expect(ctx.get).toHaveBeenCalledWith('Accept-Language');
+    });
+
+    it('应该优先使用当前用户偏好设置中的语言', () => {
+      ctx.get.mockReturnValue('zh-CN');
+      ctx.state.user = { id: 1, preferences: { locale: 'en' } };
+
+      expect(getLocale(ctx)).toBe('en');
+    });
+
+    it('应该在无法协商时使用默认语言', () => {
+      expect(getLocale(ctx)).toBe('zh-CN');
+    });
+  });
+
+  describe('i18n', () => {
+    it('应该翻译响应体并声明响应语言', async () => {
+      ctx.get.mockReturnValue('en');
+      next.mockImplementation(async () => {
+        ctx.body = { success: true, message: 'user.fetched', data: { id: 1 } };
+      });
+
+      await i18n(ctx, next);
+
+      expect(next).toHaveBeenCalledOnce();
+      expect(ctx.body).toEqual({
+        success: true,
+        message: 'User retrieved',
+        messageKey: 'user.fetched',
+        data: { id: 1 }
+      });
+      expect(ctx.set).toHaveBeenCalledWith('Content-Language', 'en');
+      expect(ctx.vary).toHaveBeenCalledWith('Accept-Language');
+    });
+
+    it('应该在调用下游之前确定语言', async () => {
+      ctx.get.mockReturnValue('en');
+      next.mockImplementation(async () => {
+        expect(ctx.state.locale).toBe('en');
+      });
+
+      await i18n(ctx, next);
+
+      expect(next).toHaveBeenCalledOnce();
+    });
+
+    it('应该不改写没有响应体的响应状态', async () => {
+      const app = new Koa();
+      app.use(i18n);
+      app.use(async (ctx) => {
+        ctx.status = 202;
+      });
+
+      const response = await request(app.callback()).get('/').set('Accept-Language', 'en');
+
+      expect(response.status).toBe(202);
+      expect(response.headers['content-language']).toBe('en');
+      expect(response.headers.vary).toBe('Accept-Language');
+    });
+  });
+});
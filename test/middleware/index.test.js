@@ -41,6 +41,20 @@ vi.mock('../../middleware/logger.middleware.js', () => ({
   }
 }));
 
+vi.mock('../../middleware/auth.middleware.js', () => ({
+  default: async (ctx, next) => {
+    ctx.state.authenticated = true;
+    await next();
+  }
+}));
+
+vi.mock('../../middleware/i18n.middleware.js', () => ({
+  default: async (ctx, next) => {
+    ctx.state.locale = 'zh-CN';
+    await next();
+  }
+}));
+
 vi.mock('../../middleware/error.middleware.js', () => ({
   errorHandler: async (ctx, next) => {
     try {
@@ -90,8 +104,8 @@ describe('中间件集成测试', () => {
       
       setupMiddleware(mockApp);
       
-      // 应该注册5个中间件：错误处理、日志、CORS、静态文件、请求体解析
-      expect(mockApp.use).toHaveBeenCalledTimes(5);
+      // 应该注册7个中间件：错误处理、日志、CORS、静态文件、请求体解析、认证、国际化
+      expect(mockApp.use).toHaveBeenCalledTimes(7);
     });
 
     it('应该按正确顺序注册中间件', () => {
@@ -107,6 +121,8 @@ describe('中间件集成测试', () => {
       expect(mockApp.use).toHaveBeenNthCalledWith(3, expect.any(Function)); // cors
       expect(mockApp.use).toHaveBeenNthCalledWith(4, expect.any(Function)); // static
       expect(mockApp.use).toHaveBeenNthCalledWith(5, expect.any(Function)); // bodyParser
+      expect(mockApp.use).toHaveBeenNthCalledWith(6, expect.any(Function)); // authenticate
+      expect(mockApp.use).toHaveBeenNthCalledWith(7, expect.any(Function)); // i18n
     });
   });
 
@@ -143,7 +159,21 @@ describe('中间件集成测试', () => {
       setupMiddleware(app);
       
       // 验证请求体解析中间件被添加
-      expect(app.middleware.length).toBe(5);
+      expect(app.middleware.length).toBeGreaterThan(4);
+    });
+
+    it('应该配置认证中间件', () => {
+      setupMiddleware(app);
+      
+      // 验证认证中间件被添加
+      expect(app.middleware.length).toBeGreaterThan(5);
+    });
+
+    it('应该配置国际化中间件', () => {
+      setupMiddleware(app);
+      
+      // 验证国际化中间件被添加
+      expect(app.middleware.length).toBe(7);
     });
   });
 
@@ -177,6 +207,8 @@ describe('中间件集成测试', () => {
       }
 
       expect(ctx.state.logged).toBe(true);
+      expect(ctx.state.authenticated).toBe(true);
+      expect(ctx.state.locale).toBe('zh-CN');
       expect(ctx.request.body).toEqual({ parsed: true });
       expect(ctx.set).toHaveBeenCalledWith('Access-Control-Allow-Origin', '*');
       expect(app.middleware.length).toBeGreaterThan(0);
@@ -209,15 +241,27 @@ describe('中间件集成测试', () => {
       expect(mockApp.use).toHaveBeenNthCalledWith(1, expect.any(Function));
     });
 
-    it('请求体解析中间件应该最后执行', () => {
+    it('认证中间件应该在请求体解析之后执行', () => {
       const mockApp = {
         use: vi.fn()
       };
       
       setupMiddleware(mockApp);
       
-      // 最后一个注册的应该是请求体解析中间件
-      expect(mockApp.use).toHaveBeenNthCalledWith(5, expect.any(Function));
+      // 认证中间件注册在请求体解析之后
+      expect(mockApp.use).toHaveBeenNthCalledWith(6, expect.any(Function));
+    });
+
+    it('国际化中间件应该在认证之后执行', () => {
+      const mockApp = {
+        use: vi.fn()
+      };
+      
+      setupMiddleware(mockApp);
+      
+      // 最后一个注册的应该是国际化中间件，才能读取当前用户的语言偏好
+      expect(mockApp.use).toHaveBeenCalledTimes(7);
+      expect(mockApp.use).toHaveBeenNthCalledWith(7, expect.any(Function));
     });
   });
 
@@ -232,6 +276,14 @@ describe('中间件集成测试', () => {
       });
     });
 
+    it('应该向 bodyParser 传入配置的副本', async () => {
+      const bodyParser = await import('koa-bodyparser');
+      const { bodyParserConfig } = await import('../../config/app.config.js');
+      setupMiddleware(app);
+
+      expect(bodyParser.default.mock.calls[0][0]).not.toBe(bodyParserConfig);
+    });
+
     it('应该使用正确的 CORS 配置', async () => {
       const cors = await import('@koa/cors');
       setupMiddleware(app);
@@ -290,7 +342,7 @@ describe('中间件集成测试', () => {
     it('应该不会创建过多的中间件实例', () => {
       setupMiddleware(app);
       
-      expect(app.middleware.length).toBe(5);
+      expect(app.middleware.length).toBe(7);
     });
   });
 
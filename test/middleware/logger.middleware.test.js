@@ -1,17 +1,21 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import logger from '../../middleware/logger.middleware.js';
+import { configureLogger, createJsonTransport } from '../../infrastructure/logger.infrastructure.js';
+import { NotFoundError } from '../../errors/app.error.js';
 
 describe('Logger Middleware', () => {
   let ctx;
   let next;
-  let consoleSpy;
+  let lines;
+  let previousLogger;
 
   beforeEach(() => {
     // 创建模拟的 Koa 上下文
     ctx = {
       request: {
         method: 'GET',
-        url: '/test',
+        url: '/test?token=secret',
+        path: '/test',
         header: {
           'user-agent': 'test-agent/1.0'
         }
@@ -24,8 +28,12 @@ describe('Logger Middleware', () => {
 
     next = vi.fn();
     
-    // 模拟 console.log
-    consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    // 把应用日志器的输出收集到数组中，每条日志一行JSON
+    lines = [];
+    previousLogger = configureLogger({
+      level: 'debug',
+      transports: [createJsonTransport({ stream: { write: (line) => lines.push(line) } })]
+    });
     
     // 模拟 Date.now() 和 Date.prototype.toISOString()
     vi.useFakeTimers();
@@ -33,7 +41,7 @@ describe('Logger Middleware', () => {
   });
 
   afterEach(() => {
-    consoleSpy.mockRestore();
+    configureLogger(previousLogger);
     vi.useRealTimers();
   });
 
@@ -48,40 +56,42 @@ describe('Logger Middleware', () => {
       expect(typeof ctx.state.requestId).toBe('string');
       expect(ctx.state.requestId).toHaveLength(8);
 
-      expect(consoleSpy).toHaveBeenCalledOnce();
-      const logCall = consoleSpy.mock.calls[0][0];
+      expect(lines).toHaveLength(1);
+      const logCall = lines[0];
       const logData = JSON.parse(logCall);
 
       expect(logData).toMatchObject({
-        level: 'INFO',
+        level: 'info',
         type: 'REQUEST_COMPLETE',
         method: 'GET',
-        url: '/test',
+        path: '/test',
         status: 200,
         userAgent: 'test-agent/1.0'
       });
-      expect(logData.requestId).toBeDefined();
-      expect(logData.startTimestamp).toBeDefined();
-      expect(logData.endTimestamp).toBeDefined();
-      expect(logData.duration).toMatch(/^\d+ms$/);
+      expect(logData.requestId).toBe(ctx.state.requestId);
+      expect(logData.message).toBe('GET /test 200 0ms');
+      expect(logData).not.toHaveProperty('url');
+      expect(lines[0]).not.toContain('secret');
+      expect(logData.duration).toEqual(expect.any(Number));
     });
 
     it('应该记录 POST 请求', async () => {
       ctx.request.method = 'POST';
       ctx.request.url = '/api/users';
+      ctx.request.path = '/api/users';
       ctx.response.status = 201;
       next.mockResolvedValue();
 
       await logger(ctx, next);
 
-      const logCall = consoleSpy.mock.calls[0][0];
+      const logCall = lines[0];
       const logData = JSON.parse(logCall);
 
       expect(logData).toMatchObject({
-        level: 'INFO',
+        level: 'info',
         type: 'REQUEST_COMPLETE',
         method: 'POST',
-        url: '/api/users',
+        path: '/api/users',
         status: 201
       });
     });
@@ -92,7 +102,7 @@ describe('Logger Middleware', () => {
 
       await logger(ctx, next);
 
-      const logCall = consoleSpy.mock.calls[0][0];
+      const logCall = lines[0];
       const logData = JSON.parse(logCall);
 
       expect(logData.userAgent).toBe('unknown');
@@ -105,7 +115,7 @@ describe('Logger Middleware', () => {
 
       await logger(ctx, next);
 
-      const logCall = consoleSpy.mock.calls[0][0];
+      const logCall = lines[0];
       const logData = JSON.parse(logCall);
 
       expect(logData.userAgent).toHaveLength(100);
@@ -114,40 +124,40 @@ describe('Logger Middleware', () => {
   });
 
   describe('不同状态码的日志级别', () => {
-    it('应该为 2xx 状态码设置 INFO 级别', async () => {
+    it('应该为 2xx 状态码设置 info 级别', async () => {
       ctx.response.status = 200;
       next.mockResolvedValue();
 
       await logger(ctx, next);
 
-      const logCall = consoleSpy.mock.calls[0][0];
+      const logCall = lines[0];
       const logData = JSON.parse(logCall);
 
-      expect(logData.level).toBe('INFO');
+      expect(logData.level).toBe('info');
     });
 
-    it('应该为 4xx 状态码设置 WARN 级别', async () => {
+    it('应该为 4xx 状态码设置 warn 级别', async () => {
       ctx.response.status = 404;
       next.mockResolvedValue();
 
       await logger(ctx, next);
 
-      const logCall = consoleSpy.mock.calls[0][0];
+      const logCall = lines[0];
       const logData = JSON.parse(logCall);
 
-      expect(logData.level).toBe('WARN');
+      expect(logData.level).toBe('warn');
     });
 
-    it('应该为 5xx 状态码设置 ERROR 级别', async () => {
+    it('应该为 5xx 状态码设置 error 级别', async () => {
       ctx.response.status = 500;
       next.mockResolvedValue();
 
       await logger(ctx, next);
 
-      const logCall = consoleSpy.mock.calls[0][0];
+      const logCall = lines[0];
       const logData = JSON.parse(logCall);
 
-      expect(logData.level).toBe('ERROR');
+      expect(logData.level).toBe('error');
     });
   });
 
@@ -158,16 +168,40 @@ describe('Logger Middleware', () => {
 
       await expect(logger(ctx, next)).rejects.toThrow('Test error');
 
-      const logCall = consoleSpy.mock.calls[0][0];
+      const logCall = lines[0];
       const logData = JSON.parse(logCall);
 
-      expect(logData.level).toBe('ERROR');
+      expect(logData).toMatchObject({ level: 'error', status: 500 });
       expect(logData.error).toMatchObject({
         message: 'Test error',
         stack: expect.any(String)
       });
     });
 
+    it('应该把业务层抛出的4xx错误记录为 warn 且不包含堆栈', async () => {
+      next.mockRejectedValue(new NotFoundError('user.notFound', { code: 'USER_NOT_FOUND' }));
+
+      await expect(logger(ctx, next)).rejects.toThrow(NotFoundError);
+
+      const logData = JSON.parse(lines[0]);
+
+      expect(logData).toMatchObject({ level: 'warn', status: 404 });
+      expect(logData.error).toEqual({ code: 'USER_NOT_FOUND', message: '用户不存在' });
+    });
+
+    it('应该按非业务错误自身的状态码记录', async () => {
+      const error = new Error('Payload too large');
+      error.statusCode = 413;
+      next.mockRejectedValue(error);
+
+      await expect(logger(ctx, next)).rejects.toThrow('Payload too large');
+
+      const logData = JSON.parse(lines[0]);
+
+      expect(logData).toMatchObject({ level: 'warn', status: 413, message: 'GET /test 413 0ms' });
+      expect(logData.error).toMatchObject({ message: 'Payload too large' });
+    });
+
     it('应该重新抛出错误以供其他中间件处理', async () => {
       const error = new Error('Test error');
       next.mockRejectedValue(error);
@@ -186,18 +220,18 @@ describe('Logger Middleware', () => {
         // 忽略错误，我们只关心日志
       }
 
-      const logCall = consoleSpy.mock.calls[0][0];
+      const logCall = lines[0];
       const logData = JSON.parse(logCall);
 
       expect(logData).toMatchObject({
-        level: 'ERROR',
+        level: 'error',
         type: 'REQUEST_COMPLETE',
         method: 'GET',
-        url: '/test',
-        status: 200
+        path: '/test',
+        status: 500
       });
       expect(logData.requestId).toBeDefined();
-      expect(logData.duration).toMatch(/^\d+ms$/);
+      expect(logData.duration).toEqual(expect.any(Number));
     });
   });
 
@@ -217,6 +251,22 @@ describe('Logger Middleware', () => {
       expect(requestIds.size).toBe(10); // 所有 ID 都应该是唯一的
     });
 
+    it('应该在上下文状态中提供绑定了请求 ID 的日志器', async () => {
+      next.mockImplementation(async () => {
+        ctx.state.logger.info('处理中', { step: 1 });
+      });
+
+      await logger(ctx, next);
+
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[0])).toMatchObject({
+        level: 'info',
+        message: '处理中',
+        requestId: ctx.state.requestId,
+        step: 1
+      });
+    });
+
     it('应该将请求 ID 添加到上下文状态中', async () => {
       next.mockResolvedValue();
 
@@ -237,22 +287,21 @@ describe('Logger Middleware', () => {
 
       await logger(ctx, next);
 
-      const logCall = consoleSpy.mock.calls[0][0];
+      const logCall = lines[0];
       const logData = JSON.parse(logCall);
 
-      expect(logData.duration).toBe('100ms');
+      expect(logData.duration).toBe(100);
     });
 
-    it('应该记录开始和结束时间戳', async () => {
+    it('应该记录请求结束的时间', async () => {
       next.mockResolvedValue();
 
       await logger(ctx, next);
 
-      const logCall = consoleSpy.mock.calls[0][0];
+      const logCall = lines[0];
       const logData = JSON.parse(logCall);
 
-      expect(logData.startTimestamp).toBe('2024-01-01T10:00:00.000Z');
-      expect(logData.endTimestamp).toBe('2024-01-01T10:00:00.000Z');
+      expect(logData.time).toBe('2024-01-01T10:00:00.000Z');
     });
   });
 
@@ -262,7 +311,7 @@ describe('Logger Middleware', () => {
 
       await logger(ctx, next);
 
-      const logCall = consoleSpy.mock.calls[0][0];
+      const logCall = lines[0];
       
       expect(() => JSON.parse(logCall)).not.toThrow();
     });
@@ -272,12 +321,12 @@ describe('Logger Middleware', () => {
 
       await logger(ctx, next);
 
-      const logCall = consoleSpy.mock.calls[0][0];
+      const logCall = lines[0];
       const logData = JSON.parse(logCall);
 
       const requiredFields = [
-        'level', 'type', 'startTimestamp', 'endTimestamp',
-        'requestId', 'method', 'url', 'status', 'duration', 'userAgent'
+        'time', 'level', 'message', 'type',
+        'requestId', 'method', 'path', 'status', 'duration', 'userAgent'
       ];
 
       requiredFields.forEach(field => {
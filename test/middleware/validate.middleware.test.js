@@ -0,0 +1,202 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { validate, validateSchema } from '../../middleware/validate.middleware.js';
+import { ValidationError } from '../../errors/app.error.js';
+import { inputConfig } from '../../config/app.config.js';
+
+// 配置对象是冻结的，用可修改的副本切换不可写字段的处理方式
+vi.mock('../../config/app.config.js', () => ({ inputConfig: { nonWritableFields: 'strip' } }));
+
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+
+describe('Validate Middleware', () => {
+  beforeEach(() => {
+    inputConfig.nonWritableFields = 'strip';
+  });
+
+  describe('validateSchema', () => {
+    it('应该在查询参数中转换类型并补齐默认值', () => {
+      const schema = object({
+        page: { type: 'integer', default: 1 },
+        ratio: { type: 'number' },
+        active: { type: 'boolean' },
+        tags: { type: 'array', items: { type: 'string' } },
+        sortOrder: { type: 'string', default: 'DESC' }
+      });
+
+      const { value, details } = validateSchema(
+        { ratio: '0.5', active: 'false', tags: 'a, b', sortOrder: '' },
+        schema,
+        { location: 'query' }
+      );
+
+      expect(details).toEqual([]);
+      expect(value).toEqual({ page: 1, ratio: 0.5, active: false, tags: ['a', 'b'], sortOrder: 'DESC' });
+    });
+
+    it('应该不转换请求体中的字符串', () => {
+      const { details } = validateSchema({ page: '2' }, object({ page: { type: 'integer' } }));
+
+      expect(details).toEqual([{ field: 'page', location: 'body', message: 'validation.type.integer', unknown: false }]);
+    });
+
+    it('应该复制默认值，避免多个请求共享同一个对象', () => {
+      const schema = object({ preferences: { type: 'object', additionalProperties: true, default: {} } });
+
+      const first = validateSchema({}, schema).value;
+      first.preferences.theme = 'dark';
+
+      expect(validateSchema({}, schema).value.preferences).toEqual({});
+    });
+
+    it('应该报告缺少的必填字段和 null 值', () => {
+      const schema = object({
+        name: { type: 'string' },
+        nickname: { type: 'string', nullable: true },
+        email: { type: 'string' }
+      }, ['name']);
+
+      const { value, details } = validateSchema({ nickname: null, email: null }, schema);
+
+      expect(value).toEqual({ nickname: null, email: null });
+      expect(details.map(({ field, message }) => ({ field, message }))).toEqual([
+        { field: 'name', message: 'validation.required' },
+        { field: 'email', message: 'validation.required' }
+      ]);
+    });
+
+    it('应该按关键字校验字符串、数字、枚举和数组', () => {
+      const schema = object({
+        username: { type: 'string', minLength: 3, maxLength: 5, pattern: '^[a-z]+$' },
+        email: { type: 'string', format: 'email' },
+        age: { type: 'integer', minimum: 1, maximum: 150 },
+        gender: { type: 'string', enum: ['male', 'female'] },
+        scopes: { type: 'array', maxItems: 2, uniqueItems: true }
+      });
+
+      const { details } = validateSchema({
+        username: 'A1',
+        email: 'invalid',
+        age: 200,
+        gender: 'unknown',
+        scopes: ['a', 'a', 'b']
+      }, schema);
+
+      expect(details.map(({ field, message }) => ({ field, message }))).toEqual([
+        { field: 'username', message: { key: 'validation.minLength', params: { min: 3 } } },
+        { field: 'username', message: 'validation.pattern' },
+        { field: 'email', message: 'validation.format.email' },
+        { field: 'age', message: { key: 'validation.maximum', params: { max: 150 } } },
+        { field: 'gender', message: { key: 'validation.enum', params: { values: ['male', 'female'] } } },
+        { field: 'scopes', message: { key: 'validation.maxItems', params: { max: 2 } } },
+        { field: 'scopes', message: 'validation.uniqueItems' }
+      ]);
+    });
+
+    it('应该使用字段路径报告嵌套对象和数组元素的错误', () => {
+      const schema = object({
+        profile: object({ links: { type: 'array', items: object({ url: { type: 'string', format: 'uri' } }, ['url']) } })
+      });
+
+      const { details } = validateSchema({ profile: { links: [{ url: 'https://example.com' }, { url: 'bad' }, {}] } }, schema);
+
+      expect(details.map(({ field, message }) => ({ field, message }))).toEqual([
+        { field: 'profile.links[1].url', message: 'validation.format.uri' },
+        { field: 'profile.links[2].url', message: 'validation.required' }
+      ]);
+    });
+
+    it('应该按位置和结构处理未声明字段', () => {
+      const schema = object({ name: { type: 'string' } });
+
+      expect(validateSchema({ name: 'a', extra: 1 }, schema)).toEqual({ value: { name: 'a' }, details: [] });
+      expect(validateSchema({ name: 'a', extra: 1 }, schema, { unknown: 'reject' }).details).toEqual([
+        { field: 'extra', location: 'body', message: 'validation.notWritable', unknown: true }
+      ]);
+      expect(validateSchema({ extra: 1 }, { ...schema, additionalProperties: true }, { unknown: 'reject' }).value)
+        .toEqual({ extra: 1 });
+      expect(validateSchema({ extra: 1 }, { ...schema, additionalProperties: false }).details).toHaveLength(1);
+    });
+
+    it('应该只在结构校验通过后执行自定义校验', () => {
+      const check = vi.fn((value) => (value.a === value.b ? [{ field: 'b', message: '不能与 a 相同' }] : []));
+      const schema = { ...object({ a: { type: 'string' }, b: { type: 'string' } }, ['a', 'b']), check };
+
+      expect(validateSchema({ a: 'x' }, schema).details).toHaveLength(1);
+      expect(check).not.toHaveBeenCalled();
+
+      expect(validateSchema({ a: 'x', b: 'x' }, schema).details.map(({ field, message }) => ({ field, message })))
+        .toEqual([{ field: 'b', message: '不能与 a 相同' }]);
+    });
+  });
+
+  describe('validate', () => {
+    const schema = {
+      summary: '测试接口',
+      params: object({ id: { type: 'integer', minimum: 1 } }, ['id']),
+      query: object({ page: { type: 'integer', default: 1 } }),
+      body: object({ name: { type: 'string', minLength: 1 } }, ['name'])
+    };
+    let ctx;
+    let next;
+
+    beforeEach(() => {
+      ctx = {
+        params: { id: '5' },
+        query: { page: '2', unknown: 'x' },
+        request: { body: { name: 'test' } },
+        state: {}
+      };
+      next = vi.fn();
+    });
+
+    it('应该把转换后的数据写回上下文并继续处理', async () => {
+      await validate(schema)(ctx, next);
+
+      expect(next).toHaveBeenCalledOnce();
+      expect(ctx.params).toEqual({ id: 5 });
+      expect(ctx.state.query).toEqual({ page: 2 });
+      expect(ctx.request.body).toEqual({ name: 'test' });
+    });
+
+    it('应该汇总各位置的错误后抛出 ValidationError', async () => {
+      ctx.params = { id: '0' };
+      ctx.query = { page: 'abc' };
+      ctx.request.body = undefined;
+
+      const error = await validate(schema)(ctx, next).catch((e) => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.code).toBe('VALIDATION_FAILED');
+      expect(error.messageKey).toBe('errors.validationFailed');
+      expect(error.details).toEqual([
+        { field: 'id', location: 'params', message: { key: 'validation.minimum', params: { min: 1 } } },
+        { field: 'page', location: 'query', message: 'validation.type.integer' },
+        { field: 'name', location: 'body', message: 'validation.required' }
+      ]);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('应该在 reject 策略下拒绝请求体中的未声明字段，查询参数中的未声明字段仍被丢弃', async () => {
+      inputConfig.nonWritableFields = 'reject';
+      ctx.request.body = { name: 'test', status: 'active' };
+
+      const error = await validate(schema)(ctx, next).catch((e) => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.code).toBe('FIELD_NOT_WRITABLE');
+      expect(error.messageKey).toBe('errors.fieldNotWritable');
+      expect(error.details).toEqual([{ field: 'status', location: 'body', message: 'validation.notWritable' }]);
+    });
+
+    it('应该只校验声明了结构的位置', async () => {
+      await validate({ params: schema.params })(ctx, next);
+
+      expect(ctx.state.query).toBeUndefined();
+      expect(ctx.request.body).toEqual({ name: 'test' });
+    });
+
+    it('应该把结构挂在中间件上供生成接口文档', () => {
+      expect(validate(schema).schema).toBe(schema);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, beforeAll, afterAll, vi } from 'vitest';
+import actionTokenRepository from '../../../models/auth/action-token.repository.js';
+import ActionToken from '../../../models/auth/action-token.model.js';
+import User from '../../../models/user/user.model.js';
+import { setupTestDatabase, cleanupTestDatabase, closeDatabase, createTestUserData } from '../../setup.js';
+
+describe('ActionTokenRepository', () => {
+    let user;
+
+    /**
+     * 构造令牌记录
+     */
+    const buildToken = (overrides = {}) => ({
+        user_id: user.id,
+        purpose: 'email_verification',
+        token_hash: 'a'.repeat(64),
+        target: user.email,
+        expires_at: new Date(Date.now() + 60 * 60 * 1000),
+        ...overrides
+    });
+
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await cleanupTestDatabase();
+        user = await User.create(createTestUserData());
+    });
+
+    describe('create', () => {
+        it('应该创建操作令牌记录', async () => {
+            const record = await actionTokenRepository.create(buildToken());
+
+            const saved = await ActionToken.findByPk(record.id);
+            expect(saved.user_id).toBe(user.id);
+            expect(saved.purpose).toBe('email_verification');
+            expect(saved.target).toBe(user.email);
+            expect(saved.used_at).toBeNull();
+        });
+
+        it('应该在令牌哈希重复时抛出409错误', async () => {
+            await actionTokenRepository.create(buildToken());
+
+            await expect(actionTokenRepository.create(buildToken({ purpose: 'password_reset' })))
+                .rejects.toMatchObject({ status: 409, code: 'DUPLICATE_ENTRY' });
+        });
+    });
+
+    describe('findByHash', () => {
+        it('应该按哈希和用途查找令牌', async () => {
+            const created = await actionTokenRepository.create(buildToken());
+
+            expect((await actionTokenRepository.findByHash('a'.repeat(64), 'email_verification')).id).toBe(created.id);
+            expect(await actionTokenRepository.findByHash('a'.repeat(64), 'password_reset')).toBeNull();
+        });
+    });
+
+    describe('markUsed', () => {
+        it('应该只消费一次尚未使用的令牌', async () => {
+            const record = await actionTokenRepository.create(buildToken());
+
+            expect(await actionTokenRepository.markUsed(record.id)).toBe(true);
+            await record.reload();
+            const usedAt = record.used_at;
+            expect(usedAt).toBeInstanceOf(Date);
+
+            expect(await actionTokenRepository.markUsed(record.id)).toBe(false);
+            await record.reload();
+            expect(record.used_at).toEqual(usedAt);
+        });
+    });
+
+    describe('invalidateForUser', () => {
+        it('应该只作废用户指定用途的未使用令牌', async () => {
+            const otherUser = await User.create(createTestUserData({ username: 'other', email: 'other@example.com' }));
+            await actionTokenRepository.create(buildToken());
+            await actionTokenRepository.create(buildToken({ token_hash: 'b'.repeat(64) }));
+            await actionTokenRepository.create(buildToken({ token_hash: 'c'.repeat(64), used_at: new Date(Date.now() - 1000) }));
+            const reset = await actionTokenRepository.create(buildToken({ token_hash: 'd'.repeat(64), purpose: 'password_reset' }));
+            const other = await actionTokenRepository.create(buildToken({ token_hash: 'e'.repeat(64), user_id: otherUser.id }));
+
+            const count = await actionTokenRepository.invalidateForUser(user.id, 'email_verification');
+
+            expect(count).toBe(2);
+            expect(await ActionToken.count({
+                where: { user_id: user.id, purpose: 'email_verification', used_at: null }
+            })).toBe(0);
+            await reset.reload();
+            await other.reload();
+            expect(reset.used_at).toBeNull();
+            expect(other.used_at).toBeNull();
+        });
+
+        it('应该在更新失败时抛出带上下文的错误', async () => {
+            vi.spyOn(ActionToken, 'update').mockRejectedValueOnce(new Error('连接断开'));
+
+            await expect(actionTokenRepository.invalidateForUser(user.id, 'email_verification'))
+                .rejects.toThrow('作废操作令牌失败');
+        });
+    });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, beforeAll, afterAll } from 'vitest';
+import apiKeyRepository from '../../../models/auth/api-key.repository.js';
+import ApiKey from '../../../models/auth/api-key.model.js';
+import User from '../../../models/user/user.model.js';
+import { setupTestDatabase, cleanupTestDatabase, closeDatabase, createTestUserData } from '../../setup.js';
+
+describe('ApiKeyRepository', () => {
+    let user;
+    let otherUser;
+    let sequence = 0;
+
+    /**
+     * 构造密钥记录，每次生成不同的密钥哈希
+     */
+    const buildKey = (overrides = {}) => {
+        sequence += 1;
+        return {
+            user_id: user.id,
+            name: `key-${sequence}`,
+            prefix: `ak_${sequence}`,
+            key_hash: String(sequence).padStart(64, '0'),
+            scopes: ['users:read'],
+            expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+            ...overrides
+        };
+    };
+
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await cleanupTestDatabase();
+        user = await User.create(createTestUserData());
+        otherUser = await User.create(createTestUserData({ username: 'other', email: 'other@example.com' }));
+    });
+
+    describe('create', () => {
+        it('应该创建密钥记录', async () => {
+            const key = await apiKeyRepository.create(buildKey({ name: 'CI', scopes: ['users:read', 'users:write'] }));
+
+            const saved = await ApiKey.findByPk(key.id);
+            expect(saved.user_id).toBe(user.id);
+            expect(saved.name).toBe('CI');
+            expect(saved.scopes).toEqual(['users:read', 'users:write']);
+            expect(saved.revoked_at).toBeNull();
+        });
+
+        it('应该在密钥哈希重复时抛出409错误', async () => {
+            const data = buildKey();
+            await apiKeyRepository.create(data);
+
+            await expect(apiKeyRepository.create({ ...data, name: 'copy' })).rejects.toMatchObject({
+                status: 409,
+                code: 'DUPLICATE_ENTRY'
+            });
+        });
+    });
+
+    describe('findByHash', () => {
+        it('应该按密钥哈希查找', async () => {
+            const data = buildKey();
+            const key = await apiKeyRepository.create(data);
+
+            expect((await apiKeyRepository.findByHash(data.key_hash)).id).toBe(key.id);
+            expect(await apiKeyRepository.findByHash('f'.repeat(64))).toBeNull();
+        });
+    });
+
+    describe('findActiveByUser', () => {
+        it('应该只返回该用户未吊销且未过期的密钥，按创建时间倒序', async () => {
+            const first = await apiKeyRepository.create(buildKey());
+            const second = await apiKeyRepository.create(buildKey());
+            await apiKeyRepository.create(buildKey({ revoked_at: new Date() }));
+            await apiKeyRepository.create(buildKey({ expires_at: new Date(Date.now() - 1000) }));
+            await apiKeyRepository.create(buildKey({ user_id: otherUser.id }));
+
+            const keys = await apiKeyRepository.findActiveByUser(user.id);
+
+            expect(keys.map(key => key.id)).toEqual([second.id, first.id]);
+        });
+    });
+
+    describe('countActiveByUser', () => {
+        it('应该只统计有效密钥', async () => {
+            await apiKeyRepository.create(buildKey());
+            await apiKeyRepository.create(buildKey());
+            await apiKeyRepository.create(buildKey({ revoked_at: new Date() }));
+            await apiKeyRepository.create(buildKey({ expires_at: new Date(Date.now() - 1000) }));
+            await apiKeyRepository.create(buildKey({ user_id: otherUser.id }));
+
+            expect(await apiKeyRepository.countActiveByUser(user.id)).toBe(2);
+        });
+    });
+
+    describe('touch', () => {
+        it('应该更新最后使用时间', async () => {
+            const key = await apiKeyRepository.create(buildKey());
+
+            expect(await apiKeyRepository.touch(key.id)).toBe(1);
+
+            await key.reload();
+            expect(key.last_used_at).toBeInstanceOf(Date);
+        });
+    });
+
+    describe('revoke', () => {
+        it('应该只吊销属于该用户的有效密钥并返回是否成功', async () => {
+            const key = await apiKeyRepository.create(buildKey());
+
+            expect(await apiKeyRepository.revoke(otherUser.id, key.id)).toBe(false);
+            await key.reload();
+            expect(key.revoked_at).toBeNull();
+
+            expect(await apiKeyRepository.revoke(user.id, key.id)).toBe(true);
+            await key.reload();
+            expect(key.revoked_at).toBeInstanceOf(Date);
+
+            expect(await apiKeyRepository.revoke(user.id, key.id)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import apiKeyService from '../../../models/auth/api-key.service.js';
+import apiKeyRepository from '../../../models/auth/api-key.repository.js';
+import userRepository from '../../../models/user/user.repository.js';
+import roleService from '../../../models/role/role.service.js';
+import { hashToken } from '../../../models/auth/auth.service.js';
+import { apiKeyConfig } from '../../../config/app.config.js';
+
+vi.mock('../../../models/auth/api-key.repository.js');
+vi.mock('../../../models/user/user.repository.js');
+vi.mock('../../../models/role/role.service.js');
+
+const buildKey = (overrides = {}) => ({
+    id: 7,
+    user_id: 1,
+    scopes: [],
+    last_used_at: null,
+    isActive: () => true,
+    getPublicInfo() {
+        return { id: this.id, name: this.name, prefix: this.prefix, scopes: this.scopes };
+    },
+    ...overrides
+});
+
+describe('ApiKeyService', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        userRepository.findById.mockResolvedValue({ id: 1, status: 'active' });
+        roleService.getUserPermissions.mockResolvedValue(['users:audit']);
+        apiKeyRepository.countActiveByUser.mockResolvedValue(0);
+        apiKeyRepository.create.mockImplementation(async (data) => buildKey(data));
+    });
+
+    describe('createKey', () => {
+        it('应该创建密钥并只返回一次明文', async () => {
+            const created = await apiKeyService.createKey(1, { name: ' CI ', scopes: ['users:audit'] });
+
+            expect(created.key).toMatch(/^ak_[0-9a-f]{8}_[\w-]{32}$/);
+            expect(created.key.startsWith(created.prefix)).toBe(true);
+
+            const saved = apiKeyRepository.create.mock.calls[0][0];
+            expect(saved).toMatchObject({ user_id: 1, name: 'CI', scopes: ['users:audit'] });
+            expect(saved.key_hash).toBe(hashToken(created.key));
+            expect(saved).not.toHaveProperty('key');
+            const days = (saved.expires_at.getTime() - Date.now()) / 86400000;
+            expect(Math.round(days)).toBe(apiKeyConfig.defaultExpiresInDays);
+        });
+
+        it('应该拒绝授予用户自己没有的权限', async () => {
+            await expect(apiKeyService.createKey(1, { name: 'CI', scopes: ['users:delete', 'nope'] })).rejects.toMatchObject({
+                status: 400,
+                code: 'VALIDATION_FAILED',
+                details: [
+                    { field: 'scopes', message: { key: 'apiKey.unknownScope', params: { scope: 'nope' } } },
+                    { field: 'scopes', message: { key: 'apiKey.scopeNotHeld', params: { scope: 'users:delete' } } }
+                ]
+            });
+            expect(apiKeyRepository.create).not.toHaveBeenCalled();
+        });
+
+        it.each([0, 1.5, apiKeyConfig.maxExpiresInDays + 1])('应该拒绝非法的有效天数 %s', async (expiresInDays) => {
+            await expect(apiKeyService.createKey(1, { name: 'CI', expiresInDays })).rejects.toMatchObject({
+                status: 400,
+                details: [{ field: 'expiresInDays' }]
+            });
+        });
+
+        it('应该要求密钥名称', async () => {
+            await expect(apiKeyService.createKey(1, {})).rejects.toMatchObject({
+                status: 400,
+                details: [{ field: 'name', message: 'apiKey.nameRequired' }]
+            });
+        });
+
+        it('应该限制每个用户的有效密钥数量', async () => {
+            apiKeyRepository.countActiveByUser.mockResolvedValue(apiKeyConfig.maxKeysPerUser);
+
+            await expect(apiKeyService.createKey(1, { name: 'CI' })).rejects.toMatchObject({
+                status: 409,
+                code: 'API_KEY_LIMIT_REACHED'
+            });
+            expect(apiKeyRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('应该在用户不存在时抛出404错误', async () => {
+            userRepository.findById.mockResolvedValue(null);
+
+            await expect(apiKeyService.createKey(99, { name: 'CI' })).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
+        });
+    });
+
+    describe('revokeKey', () => {
+        it('应该在密钥不存在时抛出404错误', async () => {
+            apiKeyRepository.revoke.mockResolvedValue(false);
+
+            await expect(apiKeyService.revokeKey(1, 7)).rejects.toMatchObject({ status: 404, code: 'API_KEY_NOT_FOUND' });
+        });
+
+        it('应该吊销密钥', async () => {
+            apiKeyRepository.revoke.mockResolvedValue(true);
+
+            await apiKeyService.revokeKey(1, 7);
+
+            expect(apiKeyRepository.revoke).toHaveBeenCalledWith(1, 7);
+        });
+    });
+
+    describe('authenticate', () => {
+        it('应该校验密钥并更新最后使用时间', async () => {
+            const record = buildKey();
+            apiKeyRepository.findByHash.mockResolvedValue(record);
+
+            const result = await apiKeyService.authenticate('ak_12345678_secret');
+
+            expect(result.success).toBe(true);
+            expect(result.data).toEqual({ id: 1, status: 'active' });
+            expect(result.apiKey).toBe(record);
+            expect(apiKeyRepository.findByHash).toHaveBeenCalledWith(hashToken('ak_12345678_secret'));
+            expect(apiKeyRepository.touch).toHaveBeenCalledWith(7);
+        });
+
+        it('应该在最近使用过时不重复写库', async () => {
+            apiKeyRepository.findByHash.mockResolvedValue(buildKey({ last_used_at: new Date() }));
+
+            await apiKeyService.authenticate('ak_12345678_secret');
+
+            expect(apiKeyRepository.touch).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝格式不符的密钥而不查询数据库', async () => {
+            const result = await apiKeyService.authenticate('not-a-key');
+
+            expect(result.success).toBe(false);
+            expect(apiKeyRepository.findByHash).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝已吊销或已过期的密钥', async () => {
+            apiKeyRepository.findByHash.mockResolvedValue(buildKey({ isActive: () => false }));
+
+            const result = await apiKeyService.authenticate('ak_12345678_secret');
+
+            expect(result.success).toBe(false);
+            expect(result.message).toBe('apiKey.invalid');
+        });
+    });
+});
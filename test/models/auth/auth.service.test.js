@@ -0,0 +1,295 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import jwt from 'jsonwebtoken';
+import authService, { hashToken } from '../../../models/auth/auth.service.js';
+import refreshTokenRepository from '../../../models/auth/refresh-token.repository.js';
+import userRepository from '../../../models/user/user.repository.js';
+import sessionService from '../../../models/auth/session.service.js';
+import { authConfig } from '../../../config/app.config.js';
+
+// Mock dependencies
+vi.mock('../../../models/auth/refresh-token.repository.js');
+vi.mock('../../../models/user/user.repository.js');
+vi.mock('../../../models/auth/session.service.js');
+
+const mockUser = { id: 1, username: 'testuser', status: 'active' };
+
+const createRecord = (overrides = {}) => ({
+    id: 10,
+    user_id: 1,
+    family_id: 'family-1',
+    revoked_at: null,
+    isActive: () => true,
+    getUser: vi.fn().mockResolvedValue(mockUser),
+    ...overrides
+});
+
+describe('AuthService', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        refreshTokenRepository.create.mockImplementation(async (data) => ({ id: 11, ...data }));
+        refreshTokenRepository.revoke.mockResolvedValue(true);
+        sessionService.start.mockResolvedValue({ id: 'session-1' });
+        sessionService.validate.mockImplementation(async (sessionId) => ({ id: sessionId }));
+    });
+
+    describe('hashToken', () => {
+        it('应该返回稳定的SHA-256哈希', () => {
+            expect(hashToken('abc')).toBe(hashToken('abc'));
+            expect(hashToken('abc')).toHaveLength(64);
+            expect(hashToken('abc')).not.toBe('abc');
+        });
+    });
+
+    describe('issueTokens', () => {
+        it('应该签发访问令牌并持久化刷新令牌哈希', async () => {
+            const { tokens } = await authService.issueTokens(mockUser, { ip: '127.0.0.1', userAgent: 'vitest' });
+
+            const payload = jwt.verify(tokens.accessToken, authConfig.accessTokenSecret);
+            expect(payload.sub).toBe('1');
+            expect(payload.sid).toBe('session-1');
+            expect(payload.type).toBe('access');
+            expect(payload.iss).toBe(authConfig.issuer);
+            expect(tokens.tokenType).toBe('Bearer');
+            expect(tokens.expiresIn).toBe(authConfig.accessTokenExpiresIn);
+
+            const saved = refreshTokenRepository.create.mock.calls[0][0];
+            expect(saved.user_id).toBe(1);
+            expect(saved.token_hash).toBe(hashToken(tokens.refreshToken));
+            expect(saved.created_by_ip).toBe('127.0.0.1');
+            expect(saved.user_agent).toBe('vitest');
+            expect(saved.family_id).toBe('session-1');
+            expect(sessionService.start).toHaveBeenCalledWith(mockUser, { ip: '127.0.0.1', userAgent: 'vitest' });
+        });
+
+        it('应该在轮换时沿用会话', async () => {
+            await authService.issueTokens(mockUser, {}, 'family-1');
+
+            expect(refreshTokenRepository.create.mock.calls[0][0].family_id).toBe('family-1');
+            expect(sessionService.start).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('resolveAccessToken', () => {
+        it('应该校验访问令牌并加载用户', async () => {
+            userRepository.findById.mockResolvedValue(mockUser);
+            const accessToken = authService.signAccessToken(mockUser, 'session-1');
+
+            const result = await authService.resolveAccessToken(accessToken);
+
+            expect(result.success).toBe(true);
+            expect(result.data).toBe(mockUser);
+            expect(result.sessionId).toBe('session-1');
+            expect(sessionService.validate).toHaveBeenCalledWith('session-1', 1);
+            expect(userRepository.findById).toHaveBeenCalledWith(1);
+        });
+
+        it('应该拒绝所属会话已注销的令牌', async () => {
+            sessionService.validate.mockResolvedValue(null);
+
+            const result = await authService.resolveAccessToken(authService.signAccessToken(mockUser, 'session-1'));
+
+            expect(result.success).toBe(false);
+            expect(result.errors).toEqual(['auth.sessionExpired']);
+            expect(userRepository.findById).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝不属于任何会话的令牌', async () => {
+            const token = jwt.sign({ sub: '1', type: 'access' }, authConfig.accessTokenSecret, { issuer: authConfig.issuer });
+
+            const result = await authService.resolveAccessToken(token);
+
+            expect(result.success).toBe(false);
+            expect(sessionService.validate).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝签名错误的令牌', async () => {
+            const forged = jwt.sign({ sub: '1', type: 'access' }, 'wrong-secret', { issuer: authConfig.issuer });
+
+            const result = await authService.resolveAccessToken(forged);
+
+            expect(result.success).toBe(false);
+            expect(result.message).toBe('auth.accessTokenInvalid');
+            expect(userRepository.findById).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝已过期的令牌', async () => {
+            const expired = jwt.sign({ sub: '1', type: 'access' }, authConfig.accessTokenSecret, {
+                issuer: authConfig.issuer,
+                expiresIn: -10
+            });
+
+            const result = await authService.resolveAccessToken(expired);
+
+            expect(result.success).toBe(false);
+        });
+
+        it('应该拒绝非访问类型的令牌', async () => {
+            const token = jwt.sign({ sub: '1', sid: 'session-1', type: 'refresh' }, authConfig.accessTokenSecret, { issuer: authConfig.issuer });
+
+            const result = await authService.resolveAccessToken(token);
+
+            expect(result.success).toBe(false);
+            expect(result.errors).toEqual(['auth.tokenTypeInvalid']);
+        });
+
+        it('应该在用户不存在时返回错误', async () => {
+            userRepository.findById.mockResolvedValue(null);
+
+            const result = await authService.resolveAccessToken(authService.signAccessToken(mockUser, 'session-1'));
+
+            expect(result.success).toBe(false);
+            expect(result.message).toBe('user.notFound');
+        });
+    });
+
+    describe('challengeToken', () => {
+        it('应该签发并校验登录挑战令牌', () => {
+            const challengeToken = authService.signChallengeToken(mockUser);
+
+            expect(authService.verifyChallengeToken(challengeToken)).toBe(1);
+        });
+
+        it('应该拒绝访问令牌作为挑战令牌', () => {
+            const accessToken = authService.signAccessToken(mockUser, 'session-1');
+
+            expect(authService.verifyChallengeToken(accessToken)).toBeNull();
+        });
+
+        it('应该拒绝无效的挑战令牌', () => {
+            expect(authService.verifyChallengeToken('not-a-jwt')).toBeNull();
+        });
+
+        it('应该拒绝挑战令牌作为访问令牌', async () => {
+            const challengeToken = authService.signChallengeToken(mockUser);
+
+            const result = await authService.resolveAccessToken(challengeToken);
+
+            expect(result.success).toBe(false);
+            expect(userRepository.findById).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('refreshTokens', () => {
+        it('应该轮换刷新令牌', async () => {
+            refreshTokenRepository.findByHash.mockResolvedValue(createRecord());
+
+            const result = await authService.refreshTokens('old-token', { ip: '127.0.0.1' });
+
+            expect(result.success).toBe(true);
+            expect(result.data.refreshToken).not.toBe('old-token');
+            expect(refreshTokenRepository.findByHash).toHaveBeenCalledWith(hashToken('old-token'));
+            expect(refreshTokenRepository.create.mock.calls[0][0].family_id).toBe('family-1');
+            expect(refreshTokenRepository.revoke).toHaveBeenCalledWith(10);
+            expect(refreshTokenRepository.revoke.mock.invocationCallOrder[0])
+                .toBeLessThan(refreshTokenRepository.create.mock.invocationCallOrder[0]);
+            expect(refreshTokenRepository.setReplacedBy).toHaveBeenCalledWith(10, 11);
+            expect(sessionService.extend).toHaveBeenCalledWith('family-1', { ip: '127.0.0.1' });
+        });
+
+        it('应该在会话已注销时拒绝刷新', async () => {
+            refreshTokenRepository.findByHash.mockResolvedValue(createRecord());
+            sessionService.validate.mockResolvedValue(null);
+
+            const result = await authService.refreshTokens('token');
+
+            expect(result.success).toBe(false);
+            expect(result.errors).toEqual(['auth.sessionExpired']);
+            expect(refreshTokenRepository.revokeFamily).toHaveBeenCalledWith('family-1');
+            expect(refreshTokenRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('应该在缺少令牌时返回错误', async () => {
+            const result = await authService.refreshTokens(undefined);
+
+            expect(result.success).toBe(false);
+            expect(result.message).toBe('auth.refreshTokenRequired');
+        });
+
+        it('应该在令牌不存在时返回错误', async () => {
+            refreshTokenRepository.findByHash.mockResolvedValue(null);
+
+            const result = await authService.refreshTokens('unknown');
+
+            expect(result.success).toBe(false);
+            expect(result.message).toBe('auth.refreshTokenInvalid');
+        });
+
+        it('应该在已吊销令牌被重用时注销整个会话', async () => {
+            refreshTokenRepository.findByHash.mockResolvedValue(createRecord({ revoked_at: new Date() }));
+
+            const result = await authService.refreshTokens('reused');
+
+            expect(result.success).toBe(false);
+            expect(sessionService.end).toHaveBeenCalledWith('family-1');
+            expect(refreshTokenRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('应该在并发刷新中吊销失败时按重用处理且不签发新令牌', async () => {
+            refreshTokenRepository.findByHash.mockResolvedValue(createRecord());
+            refreshTokenRepository.revoke.mockResolvedValue(false);
+
+            const result = await authService.refreshTokens('token');
+
+            expect(result.success).toBe(false);
+            expect(result.errors).toEqual(['auth.refreshTokenReused']);
+            expect(sessionService.end).toHaveBeenCalledWith('family-1');
+            expect(refreshTokenRepository.create).not.toHaveBeenCalled();
+            expect(sessionService.extend).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝过期令牌', async () => {
+            refreshTokenRepository.findByHash.mockResolvedValue(createRecord({ isActive: () => false }));
+
+            const result = await authService.refreshTokens('expired');
+
+            expect(result.success).toBe(false);
+            expect(result.message).toBe('auth.refreshTokenExpired');
+        });
+
+        it('应该在用户被禁用时拒绝刷新', async () => {
+            refreshTokenRepository.findByHash.mockResolvedValue(createRecord({
+                getUser: vi.fn().mockResolvedValue({ ...mockUser, status: 'suspended' })
+            }));
+
+            const result = await authService.refreshTokens('token');
+
+            expect(result.success).toBe(false);
+            expect(result.message).toBe('auth.accountDisabled');
+            expect(sessionService.end).toHaveBeenCalledWith('family-1');
+        });
+
+        it('应该在异常时直接抛出', async () => {
+            refreshTokenRepository.findByHash.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(authService.refreshTokens('token')).rejects.toThrow('数据库错误');
+        });
+    });
+
+    describe('revokeRefreshToken', () => {
+        it('应该注销令牌所属会话', async () => {
+            refreshTokenRepository.findByHash.mockResolvedValue(createRecord());
+
+            await authService.revokeRefreshToken('token');
+
+            expect(sessionService.end).toHaveBeenCalledWith('family-1');
+        });
+
+        it('应该在令牌不存在时抛出400错误', async () => {
+            refreshTokenRepository.findByHash.mockResolvedValue(null);
+
+            await expect(authService.revokeRefreshToken('token')).rejects.toMatchObject({
+                status: 400,
+                code: 'INVALID_REFRESH_TOKEN',
+                messageKey: 'auth.refreshTokenInvalid'
+            });
+            expect(sessionService.end).not.toHaveBeenCalled();
+        });
+
+        it('应该在缺少令牌时抛出400错误', async () => {
+            await expect(authService.revokeRefreshToken()).rejects.toMatchObject({
+                status: 400,
+                messageKey: 'auth.refreshTokenRequired'
+            });
+        });
+    });
+});
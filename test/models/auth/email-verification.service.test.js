@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import emailVerificationService from '../../../models/auth/email-verification.service.js';
+import actionTokenRepository from '../../../models/auth/action-token.repository.js';
+import userRepository from '../../../models/user/user.repository.js';
+import { hashToken } from '../../../models/auth/auth.service.js';
+import { sendMail } from '../../../infrastructure/mailer.infrastructure.js';
+
+vi.mock('../../../models/auth/action-token.repository.js');
+vi.mock('../../../models/user/user.repository.js');
+vi.mock('../../../infrastructure/mailer.infrastructure.js', () => ({
+    sendMail: vi.fn()
+}));
+
+describe('EmailVerificationService', () => {
+    const user = { id: 1, username: 'testuser', email: 'test@example.com', email_verified: false };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('sendVerificationEmail', () => {
+        it('应该作废旧令牌、保存新令牌哈希并发送验证链接', async () => {
+            await emailVerificationService.sendVerificationEmail(user);
+
+            expect(actionTokenRepository.invalidateForUser).toHaveBeenCalledWith(1, 'email_verification');
+
+            const mail = sendMail.mock.calls[0][0];
+            expect(mail.to).toBe('test@example.com');
+            const token = mail.text.match(/token=([0-9a-f]+)/)[1];
+
+            const tokenData = actionTokenRepository.create.mock.calls[0][0];
+            expect(tokenData).toMatchObject({
+                user_id: 1,
+                purpose: 'email_verification',
+                token_hash: hashToken(token),
+                target: 'test@example.com'
+            });
+            expect(tokenData.expires_at.getTime()).toBeGreaterThan(Date.now());
+        });
+
+        it('应该在邮件发送失败时直接抛出', async () => {
+            sendMail.mockRejectedValue(new Error('SMTP不可用'));
+
+            await expect(emailVerificationService.sendVerificationEmail(user)).rejects.toThrow('SMTP不可用');
+        });
+    });
+
+    describe('requestVerification', () => {
+        it('应该在用户不存在时抛出404错误', async () => {
+            userRepository.findById.mockResolvedValue(null);
+
+            await expect(emailVerificationService.requestVerification(999)).rejects.toMatchObject({
+                status: 404,
+                code: 'USER_NOT_FOUND'
+            });
+        });
+
+        it('应该拒绝为已验证邮箱重复发送', async () => {
+            userRepository.findById.mockResolvedValue({ ...user, email_verified: true });
+
+            await expect(emailVerificationService.requestVerification(1)).rejects.toMatchObject({
+                status: 409,
+                code: 'EMAIL_ALREADY_VERIFIED',
+                messageKey: 'emailVerification.alreadyVerified'
+            });
+            expect(sendMail).not.toHaveBeenCalled();
+        });
+
+        it('应该为未验证用户发送验证邮件', async () => {
+            userRepository.findById.mockResolvedValue(user);
+            sendMail.mockResolvedValue({});
+
+            await emailVerificationService.requestVerification(1);
+
+            expect(sendMail).toHaveBeenCalledOnce();
+        });
+    });
+
+    describe('verifyEmail', () => {
+        const buildRecord = (overrides = {}) => ({
+            id: 5,
+            user_id: 1,
+            target: 'test@example.com',
+            used_at: null,
+            isExpired: () => false,
+            ...overrides
+        });
+
+        it('应该拒绝空令牌', async () => {
+            await expect(emailVerificationService.verifyEmail(undefined)).rejects.toMatchObject({
+                status: 400,
+                messageKey: 'emailVerification.tokenRequired'
+            });
+        });
+
+        it('应该按令牌哈希查找并完成验证', async () => {
+            actionTokenRepository.findByHash.mockResolvedValue(buildRecord());
+            actionTokenRepository.markUsed.mockResolvedValue(true);
+            userRepository.findById.mockResolvedValue(user);
+            userRepository.update.mockResolvedValue({ id: 1, email: 'user@example.com', email_verified: true });
+
+            // 验证链接可以匿名访问，不返回用户资料
+            expect(await emailVerificationService.verifyEmail('plain-token')).toBeUndefined();
+            expect(actionTokenRepository.findByHash).toHaveBeenCalledWith(hashToken('plain-token'), 'email_verification');
+            expect(actionTokenRepository.markUsed).toHaveBeenCalledWith(5);
+            const [, updateData] = userRepository.update.mock.calls[0];
+            expect(updateData.email_verified).toBe(true);
+            expect(updateData.email_verified_at).toBeInstanceOf(Date);
+        });
+
+        it('应该拒绝不存在或已使用的令牌', async () => {
+            actionTokenRepository.findByHash.mockResolvedValue(buildRecord({ used_at: new Date() }));
+
+            await expect(emailVerificationService.verifyEmail('plain-token')).rejects.toMatchObject({
+                status: 400,
+                code: 'INVALID_VERIFICATION_TOKEN'
+            });
+            expect(userRepository.update).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝过期令牌', async () => {
+            actionTokenRepository.findByHash.mockResolvedValue(buildRecord({ isExpired: () => true }));
+
+            await expect(emailVerificationService.verifyEmail('plain-token')).rejects.toMatchObject({
+                status: 400,
+                code: 'VERIFICATION_TOKEN_EXPIRED',
+                messageKey: 'emailVerification.linkExpired'
+            });
+            expect(actionTokenRepository.markUsed).not.toHaveBeenCalled();
+        });
+
+        it('应该在邮箱变更后拒绝旧令牌', async () => {
+            actionTokenRepository.findByHash.mockResolvedValue(buildRecord());
+            userRepository.findById.mockResolvedValue({ ...user, email: 'new@example.com' });
+
+            await expect(emailVerificationService.verifyEmail('plain-token')).rejects.toMatchObject({
+                code: 'INVALID_VERIFICATION_TOKEN',
+                details: [{ field: 'token', message: 'emailVerification.emailChanged' }]
+            });
+        });
+
+        it('应该在并发消费失败时拒绝验证', async () => {
+            actionTokenRepository.findByHash.mockResolvedValue(buildRecord());
+            userRepository.findById.mockResolvedValue(user);
+            actionTokenRepository.markUsed.mockResolvedValue(false);
+
+            await expect(emailVerificationService.verifyEmail('plain-token')).rejects.toMatchObject({
+                code: 'INVALID_VERIFICATION_TOKEN'
+            });
+            expect(userRepository.update).not.toHaveBeenCalled();
+        });
+    });
+});
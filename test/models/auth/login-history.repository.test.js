@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach, beforeAll, afterAll, vi } from 'vitest';
+import loginHistoryRepository from '../../../models/auth/login-history.repository.js';
+import LoginHistory from '../../../models/auth/login-history.model.js';
+import User from '../../../models/user/user.model.js';
+import { setupTestDatabase, cleanupTestDatabase, closeDatabase, createTestUserData } from '../../setup.js';
+
+describe('LoginHistoryRepository', () => {
+    let user;
+
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await cleanupTestDatabase();
+        user = await User.create(createTestUserData());
+    });
+
+    describe('create', () => {
+        it('应该创建登录记录', async () => {
+            const record = await loginHistoryRepository.create({
+                user_id: user.id,
+                identifier: user.username,
+                success: false,
+                failure_reason: 'invalid_credentials',
+                ip_address: '127.0.0.1'
+            });
+
+            const saved = await LoginHistory.findByPk(record.id);
+            expect(saved.user_id).toBe(user.id);
+            expect(saved.success).toBe(false);
+            expect(saved.failure_reason).toBe('invalid_credentials');
+            expect(saved.ip_address).toBe('127.0.0.1');
+        });
+
+        it('应该允许记录不存在账户的登录尝试', async () => {
+            const record = await loginHistoryRepository.create({ identifier: 'nobody', success: false });
+
+            expect((await LoginHistory.findByPk(record.id)).user_id).toBeNull();
+        });
+
+        it('应该在创建失败时抛出带上下文的错误', async () => {
+            vi.spyOn(LoginHistory, 'create').mockRejectedValueOnce(new Error('磁盘已满'));
+
+            await expect(loginHistoryRepository.create({ success: true })).rejects.toThrow('创建登录记录失败');
+        });
+    });
+
+    describe('findByUser', () => {
+        it('应该只返回该用户的记录并按时间倒序分页', async () => {
+            const otherUser = await User.create(createTestUserData({ username: 'other', email: 'other@example.com' }));
+            const records = [];
+            for (let i = 0; i < 12; i++) {
+                records.push(await loginHistoryRepository.create({ user_id: user.id, success: true }));
+            }
+            await loginHistoryRepository.create({ user_id: otherUser.id, success: true });
+
+            const result = await loginHistoryRepository.findByUser(user.id, { page: 2, limit: 5 });
+
+            expect(result.logins.map(login => login.id)).toEqual(records.slice(2, 7).reverse().map(record => record.id));
+            expect(result.pagination).toEqual({ total: 12, page: 2, limit: 5, totalPages: 3 });
+        });
+
+        it('应该支持按是否成功筛选', async () => {
+            await loginHistoryRepository.create({ user_id: user.id, success: true });
+            const failed = await loginHistoryRepository.create({ user_id: user.id, success: false, failure_reason: 'invalid_mfa_code' });
+
+            const result = await loginHistoryRepository.findByUser(user.id, { success: false });
+
+            expect(result.logins.map(login => login.id)).toEqual([failed.id]);
+            expect(result.pagination.total).toBe(1);
+        });
+    });
+});
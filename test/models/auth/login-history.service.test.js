@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import loginHistoryService from '../../../models/auth/login-history.service.js';
+import loginHistoryRepository from '../../../models/auth/login-history.repository.js';
+import userRepository from '../../../models/user/user.repository.js';
+import { logger } from '../../../infrastructure/logger.infrastructure.js';
+
+vi.mock('../../../models/auth/login-history.repository.js');
+vi.mock('../../../models/user/user.repository.js');
+
+describe('LoginHistoryService', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('record', () => {
+        it('应该写入登录记录', async () => {
+            await loginHistoryService.record({
+                userId: 1,
+                identifier: 'testuser',
+                success: false,
+                failureReason: 'invalid_credentials',
+                ip: '127.0.0.1',
+                userAgent: 'Mozilla/5.0'
+            });
+
+            expect(loginHistoryRepository.create).toHaveBeenCalledWith({
+                user_id: 1,
+                identifier: 'testuser',
+                success: false,
+                failure_reason: 'invalid_credentials',
+                ip_address: '127.0.0.1',
+                user_agent: 'Mozilla/5.0'
+            });
+        });
+
+        it('应该截断过长的字段并忽略成功记录的失败原因', async () => {
+            await loginHistoryService.record({
+                identifier: 'a'.repeat(300),
+                success: true,
+                failureReason: 'invalid_credentials',
+                userAgent: 'b'.repeat(300)
+            });
+
+            const entry = loginHistoryRepository.create.mock.calls[0][0];
+            expect(entry.identifier).toHaveLength(100);
+            expect(entry.user_agent).toHaveLength(255);
+            expect(entry.failure_reason).toBeNull();
+            expect(entry.user_id).toBeNull();
+        });
+
+        it('应该在写入失败时不抛出异常', async () => {
+            const errorSpy = vi.spyOn(logger, 'error');
+            const error = new Error('磁盘已满');
+            loginHistoryRepository.create.mockRejectedValue(error);
+
+            await expect(loginHistoryService.record({ success: true })).resolves.toBeUndefined();
+            expect(errorSpy).toHaveBeenCalledWith('写入登录记录失败', { component: 'login-history', error });
+
+            errorSpy.mockRestore();
+        });
+    });
+
+    describe('getUserLogins', () => {
+        it('应该返回公开的登录记录和分页信息', async () => {
+            const pagination = { total: 1, page: 1, limit: 10, totalPages: 1 };
+            userRepository.findById.mockResolvedValue({ id: 1 });
+            loginHistoryRepository.findByUser.mockResolvedValue({
+                logins: [{ getPublicInfo: () => ({ id: 3, success: true }) }],
+                pagination
+            });
+
+            const result = await loginHistoryService.getUserLogins(1, { page: 1, limit: 10 });
+
+            expect(result).toEqual({ logins: [{ id: 3, success: true }], pagination });
+            expect(loginHistoryRepository.findByUser).toHaveBeenCalledWith(1, { page: 1, limit: 10 });
+        });
+
+        it('应该在用户不存在时抛出404错误', async () => {
+            userRepository.findById.mockResolvedValue(null);
+
+            await expect(loginHistoryService.getUserLogins(999)).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
+            expect(loginHistoryRepository.findByUser).not.toHaveBeenCalled();
+        });
+
+        it('应该在查询异常时直接抛出', async () => {
+            userRepository.findById.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(loginHistoryService.getUserLogins(1)).rejects.toThrow('数据库错误');
+        });
+    });
+});
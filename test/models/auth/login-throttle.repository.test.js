@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach, beforeAll, afterAll, vi } from 'vitest';
+import loginThrottleRepository from '../../../models/auth/login-throttle.repository.js';
+import LoginThrottle from '../../../models/auth/login-throttle.model.js';
+import { setupTestDatabase, cleanupTestDatabase, closeDatabase } from '../../setup.js';
+
+describe('LoginThrottleRepository', () => {
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await cleanupTestDatabase();
+    });
+
+    describe('findAll', () => {
+        it('应该按维度和键批量查询', async () => {
+            await loginThrottleRepository.save('account', 'user:1', { failed_count: 1 });
+            await loginThrottleRepository.save('ip', '127.0.0.1', { failed_count: 2 });
+            await loginThrottleRepository.save('ip', 'user:1', { failed_count: 3 });
+            await loginThrottleRepository.save('account', 'user:2', { failed_count: 4 });
+
+            const records = await loginThrottleRepository.findAll([
+                { scope: 'account', key: 'user:1', limit: 5 },
+                { scope: 'ip', key: '127.0.0.1', limit: 20 }
+            ]);
+
+            expect(records.map(record => record.failed_count).sort()).toEqual([1, 2]);
+        });
+
+        it('应该在查询失败时抛出带上下文的错误', async () => {
+            vi.spyOn(LoginThrottle, 'findAll').mockRejectedValueOnce(new Error('连接断开'));
+
+            await expect(loginThrottleRepository.findAll([])).rejects.toThrow('查询登录失败计数失败');
+        });
+    });
+
+    describe('find', () => {
+        it('应该查找单条记录', async () => {
+            await loginThrottleRepository.save('ip', '127.0.0.1', { failed_count: 2 });
+
+            const record = await loginThrottleRepository.find('ip', '127.0.0.1');
+
+            expect(record.failed_count).toBe(2);
+            expect(await loginThrottleRepository.find('account', '127.0.0.1')).toBeNull();
+        });
+    });
+
+    describe('save', () => {
+        it('应该以维度和键为唯一标识写入记录', async () => {
+            const lockedUntil = new Date(Date.now() + 60 * 1000);
+
+            await loginThrottleRepository.save('account', 'user:1', { failed_count: 1, last_failed_at: new Date() });
+            await loginThrottleRepository.save('account', 'user:1', { failed_count: 5, locked_until: lockedUntil });
+
+            const records = await LoginThrottle.findAll({ where: { scope: 'account', key: 'user:1' } });
+            expect(records).toHaveLength(1);
+            expect(records[0].failed_count).toBe(5);
+            expect(records[0].locked_until).toEqual(lockedUntil);
+        });
+    });
+
+    describe('clear', () => {
+        it('应该只删除指定记录', async () => {
+            await loginThrottleRepository.save('account', 'user:1', { failed_count: 1 });
+            await loginThrottleRepository.save('ip', '127.0.0.1', { failed_count: 1 });
+
+            expect(await loginThrottleRepository.clear('account', 'user:1')).toBe(1);
+            expect(await loginThrottleRepository.clear('account', 'user:1')).toBe(0);
+
+            expect(await loginThrottleRepository.find('account', 'user:1')).toBeNull();
+            expect(await loginThrottleRepository.find('ip', '127.0.0.1')).not.toBeNull();
+        });
+    });
+});
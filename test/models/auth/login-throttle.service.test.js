@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import loginThrottleService from '../../../models/auth/login-throttle.service.js';
+import loginThrottleRepository from '../../../models/auth/login-throttle.repository.js';
+import userRepository from '../../../models/user/user.repository.js';
+import { hashToken } from '../../../models/auth/auth.service.js';
+
+vi.mock('../../../models/auth/login-throttle.repository.js');
+vi.mock('../../../models/user/user.repository.js');
+
+const NOW = new Date('2026-01-01T00:00:00Z');
+
+/**
+ * 构造计数记录
+ */
+const buildRecord = (overrides = {}) => ({
+    failed_count: 0,
+    last_failed_at: null,
+    locked_until: null,
+    isLocked() {
+        return !!this.locked_until && new Date(this.locked_until) > new Date();
+    },
+    ...overrides
+});
+
+describe('LoginThrottleService', () => {
+    const user = { id: 1 };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        vi.useFakeTimers();
+        vi.setSystemTime(NOW);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('buildEntries', () => {
+        it('应该为已存在用户按ID计数，并包含IP维度', () => {
+            expect(loginThrottleService.buildEntries(user, 'TestUser', '127.0.0.1')).toEqual([
+                { scope: 'account', key: 'user:1', limit: 5 },
+                { scope: 'ip', key: '127.0.0.1', limit: 20 }
+            ]);
+        });
+
+        it('应该为不存在的登录标识按小写标识的哈希计数', () => {
+            expect(loginThrottleService.buildEntries(null, 'Nobody', null)).toEqual([
+                { scope: 'account', key: `identifier:${hashToken('nobody')}`, limit: 5 }
+            ]);
+        });
+
+        it('应该让超长登录标识的计数键不超过 key 列长度', () => {
+            const [entry] = loginThrottleService.buildEntries(null, 'x'.repeat(1000), null);
+
+            expect(entry.key.length).toBeLessThanOrEqual(150);
+        });
+    });
+
+    describe('getRetryAfter', () => {
+        it('应该在没有锁定时返回0', async () => {
+            loginThrottleRepository.findAll.mockResolvedValue([buildRecord({ failed_count: 3 })]);
+
+            expect(await loginThrottleService.getRetryAfter(user, 'testuser', '127.0.0.1')).toBe(0);
+        });
+
+        it('应该返回各维度中最长的剩余锁定时间', async () => {
+            loginThrottleRepository.findAll.mockResolvedValue([
+                buildRecord({ locked_until: new Date(NOW.getTime() + 60 * 1000) }),
+                buildRecord({ locked_until: new Date(NOW.getTime() + 300 * 1000) })
+            ]);
+
+            expect(await loginThrottleService.getRetryAfter(user, 'testuser', '127.0.0.1')).toBe(300);
+        });
+    });
+
+    describe('recordFailure', () => {
+        it('应该为首次失败创建计数', async () => {
+            loginThrottleRepository.find.mockResolvedValue(null);
+
+            await loginThrottleService.recordFailure(user, 'testuser', null);
+
+            expect(loginThrottleRepository.save).toHaveBeenCalledWith('account', 'user:1', {
+                failed_count: 1,
+                last_failed_at: NOW,
+                locked_until: null
+            });
+        });
+
+        it('应该在达到阈值时锁定', async () => {
+            loginThrottleRepository.find.mockResolvedValue(buildRecord({
+                failed_count: 4,
+                last_failed_at: new Date(NOW.getTime() - 1000)
+            }));
+
+            await loginThrottleService.recordFailure(user, 'testuser', null);
+
+            const [, , values] = loginThrottleRepository.save.mock.calls[0];
+            expect(values.failed_count).toBe(5);
+            expect(values.locked_until).toEqual(new Date(NOW.getTime() + 60 * 1000));
+        });
+
+        it('应该按指数退避延长锁定时间并设置上限', async () => {
+            loginThrottleRepository.find.mockResolvedValueOnce(buildRecord({
+                failed_count: 6,
+                last_failed_at: new Date(NOW.getTime() - 1000)
+            }));
+            await loginThrottleService.recordFailure(user, 'testuser', null);
+            expect(loginThrottleRepository.save.mock.calls[0][2].locked_until)
+                .toEqual(new Date(NOW.getTime() + 240 * 1000));
+
+            loginThrottleRepository.find.mockResolvedValueOnce(buildRecord({
+                failed_count: 30,
+                last_failed_at: new Date(NOW.getTime() - 1000)
+            }));
+            await loginThrottleService.recordFailure(user, 'testuser', null);
+            expect(loginThrottleRepository.save.mock.calls[1][2].locked_until)
+                .toEqual(new Date(NOW.getTime() + 3600 * 1000));
+        });
+
+        it('应该在统计窗口过期后重新计数', async () => {
+            loginThrottleRepository.find.mockResolvedValue(buildRecord({
+                failed_count: 4,
+                last_failed_at: new Date(NOW.getTime() - 16 * 60 * 1000)
+            }));
+
+            await loginThrottleService.recordFailure(user, 'testuser', null);
+
+            expect(loginThrottleRepository.save.mock.calls[0][2].failed_count).toBe(1);
+        });
+
+        it('应该同时记录账户和IP维度', async () => {
+            loginThrottleRepository.find.mockResolvedValue(null);
+
+            await loginThrottleService.recordFailure(null, 'nobody', '10.0.0.1');
+
+            expect(loginThrottleRepository.save).toHaveBeenCalledWith('account', `identifier:${hashToken('nobody')}`, expect.any(Object));
+            expect(loginThrottleRepository.save).toHaveBeenCalledWith('ip', '10.0.0.1', expect.any(Object));
+        });
+    });
+
+    describe('recordSuccess', () => {
+        it('应该只清除账户维度的计数', async () => {
+            await loginThrottleService.recordSuccess(user);
+
+            expect(loginThrottleRepository.clear).toHaveBeenCalledOnce();
+            expect(loginThrottleRepository.clear).toHaveBeenCalledWith('account', 'user:1');
+        });
+    });
+
+    describe('unlockUser', () => {
+        it('应该清除用户的锁定记录', async () => {
+            userRepository.findById.mockResolvedValue(user);
+            loginThrottleRepository.clear.mockResolvedValue(1);
+
+            expect(await loginThrottleService.unlockUser(1)).toBe(true);
+            expect(loginThrottleRepository.clear).toHaveBeenCalledWith('account', 'user:1');
+        });
+
+        it('应该在账户未被锁定时返回false', async () => {
+            userRepository.findById.mockResolvedValue(user);
+            loginThrottleRepository.clear.mockResolvedValue(0);
+
+            expect(await loginThrottleService.unlockUser(1)).toBe(false);
+        });
+
+        it('应该在用户不存在时抛出404错误', async () => {
+            userRepository.findById.mockResolvedValue(null);
+
+            await expect(loginThrottleService.unlockUser(999)).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
+        });
+    });
+});
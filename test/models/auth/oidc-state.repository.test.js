@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, beforeAll, afterAll, vi } from 'vitest';
+import oidcStateRepository from '../../../models/auth/oidc-state.repository.js';
+import OidcState from '../../../models/auth/oidc-state.model.js';
+import { setupTestDatabase, cleanupTestDatabase, closeDatabase } from '../../setup.js';
+
+/**
+ * 构造授权请求记录
+ */
+const buildState = (overrides = {}) => ({
+    state_hash: 'a'.repeat(64),
+    provider: 'google',
+    purpose: 'login',
+    code_verifier: 'v'.repeat(43),
+    nonce: 'nonce',
+    expires_at: new Date(Date.now() + 10 * 60 * 1000),
+    ...overrides
+});
+
+describe('OidcStateRepository', () => {
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await cleanupTestDatabase();
+    });
+
+    describe('create', () => {
+        it('应该创建未使用的授权请求记录', async () => {
+            const record = await oidcStateRepository.create(buildState());
+
+            const saved = await OidcState.findByPk(record.id);
+            expect(saved.provider).toBe('google');
+            expect(saved.purpose).toBe('login');
+            expect(saved.used_at).toBeNull();
+        });
+
+        it('应该在state哈希重复时抛出409错误', async () => {
+            await oidcStateRepository.create(buildState());
+
+            await expect(oidcStateRepository.create(buildState())).rejects.toMatchObject({ status: 409 });
+        });
+    });
+
+    describe('findByHash', () => {
+        it('应该根据state哈希查找记录', async () => {
+            const created = await oidcStateRepository.create(buildState());
+
+            expect((await oidcStateRepository.findByHash('a'.repeat(64))).id).toBe(created.id);
+            expect(await oidcStateRepository.findByHash('b'.repeat(64))).toBeNull();
+        });
+
+        it('应该在查询失败时抛出带上下文的错误', async () => {
+            vi.spyOn(OidcState, 'findOne').mockRejectedValueOnce(new Error('连接断开'));
+
+            await expect(oidcStateRepository.findByHash('hash')).rejects.toThrow('查找授权请求失败');
+        });
+    });
+
+    describe('markUsed', () => {
+        it('应该只标记一次未使用的记录', async () => {
+            const record = await oidcStateRepository.create(buildState());
+
+            expect(await oidcStateRepository.markUsed(record.id)).toBe(true);
+            await record.reload();
+            const usedAt = record.used_at;
+            expect(usedAt).toBeInstanceOf(Date);
+
+            expect(await oidcStateRepository.markUsed(record.id)).toBe(false);
+            await record.reload();
+            expect(record.used_at).toEqual(usedAt);
+        });
+    });
+
+    describe('deleteExpired', () => {
+        it('应该只删除过期记录并返回数量', async () => {
+            await oidcStateRepository.create(buildState({ expires_at: new Date(Date.now() - 1000) }));
+            await oidcStateRepository.create(buildState({ state_hash: 'b'.repeat(64), expires_at: new Date(Date.now() - 1000) }));
+            const active = await oidcStateRepository.create(buildState({ state_hash: 'c'.repeat(64) }));
+
+            expect(await oidcStateRepository.deleteExpired()).toBe(2);
+            expect((await OidcState.findAll()).map(record => record.id)).toEqual([active.id]);
+        });
+    });
+});
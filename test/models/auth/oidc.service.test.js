@@ -0,0 +1,331 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import oidcService from '../../../models/auth/oidc.service.js';
+import oidcStateRepository from '../../../models/auth/oidc-state.repository.js';
+import userIdentityRepository from '../../../models/auth/user-identity.repository.js';
+import userRepository from '../../../models/user/user.repository.js';
+import twoFactorService from '../../../models/auth/two-factor.service.js';
+import loginHistoryService from '../../../models/auth/login-history.service.js';
+import { clearOidcCache } from '../../../infrastructure/oidc.infrastructure.js';
+import { oidcConfig } from '../../../config/app.config.js';
+import { createStubIdp } from '../../helpers/stub-idp.js';
+
+// 配置对象是冻结的，用可修改的providers副本注册测试用身份提供方
+vi.mock('../../../config/app.config.js', async (importOriginal) => {
+    const actual = await importOriginal();
+    return {
+        ...actual,
+        oidcConfig: { ...actual.oidcConfig, providers: { ...actual.oidcConfig.providers } }
+    };
+});
+vi.mock('../../../models/auth/oidc-state.repository.js');
+vi.mock('../../../models/auth/user-identity.repository.js');
+vi.mock('../../../models/user/user.repository.js');
+vi.mock('../../../models/auth/two-factor.service.js');
+vi.mock('../../../models/auth/login-history.service.js');
+
+describe('OidcService', () => {
+    const idp = createStubIdp();
+    let states;
+
+    const user = {
+        id: 1,
+        username: 'testuser',
+        status: 'active',
+        updateLastLogin: vi.fn()
+    };
+
+    beforeAll(async () => {
+        await idp.start();
+        oidcConfig.providers.stub = idp.providerConfig();
+    });
+
+    afterAll(async () => {
+        delete oidcConfig.providers.stub;
+        await idp.stop();
+    });
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        clearOidcCache();
+
+        // 用内存保存授权请求，行为与数据库一致
+        states = [];
+        oidcStateRepository.create.mockImplementation(async (data) => {
+            const record = {
+                id: states.length + 1,
+                used_at: null,
+                ...data,
+                isExpired() {
+                    return new Date(this.expires_at) <= new Date();
+                }
+            };
+            states.push(record);
+            return record;
+        });
+        oidcStateRepository.findByHash.mockImplementation(async (hash) =>
+            states.find((record) => record.state_hash === hash) || null);
+        oidcStateRepository.markUsed.mockImplementation(async (id) => {
+            const record = states.find((item) => item.id === id);
+            if (record.used_at) {
+                return false;
+            }
+            record.used_at = new Date();
+            return true;
+        });
+
+        userIdentityRepository.findByUserAndProvider.mockResolvedValue(null);
+        userIdentityRepository.findByProviderSubject.mockResolvedValue(null);
+        userRepository.findById.mockResolvedValue(user);
+        twoFactorService.isEnabled.mockResolvedValue(false);
+    });
+
+    /**
+     * 发起授权并模拟用户在身份提供方同意授权
+     */
+    const authorizeAtIdp = async (userId = null, claims) => {
+        const { authorizationUrl } = await oidcService.createAuthorization('stub', userId);
+        return idp.approve(authorizationUrl, claims);
+    };
+
+    describe('listProviders', () => {
+        it('应该只返回已配置clientId的身份提供方', () => {
+            const providers = oidcService.listProviders();
+
+            expect(providers).toContainEqual({ name: 'stub', displayName: 'Stub IdP' });
+            expect(providers.find((provider) => provider.name === 'google')).toBeUndefined();
+        });
+    });
+
+    describe('createAuthorization', () => {
+        it('应该保存state哈希、nonce和PKCE verifier', async () => {
+            const authorization = await oidcService.createAuthorization('stub');
+
+            expect(authorization.expiresIn).toBe(oidcConfig.stateExpiresIn);
+            const saved = states[0];
+            expect(saved.state_hash).not.toBe(authorization.state);
+            expect(saved.purpose).toBe('login');
+            expect(saved.user_id).toBeNull();
+
+            const url = new URL(authorization.authorizationUrl);
+            expect(url.searchParams.get('state')).toBe(authorization.state);
+            expect(url.searchParams.get('nonce')).toBe(saved.nonce);
+            expect(url.searchParams.get('code_challenge')).not.toBe(saved.code_verifier);
+        });
+
+        it('应该拒绝未启用的身份提供方', async () => {
+            for (const name of ['google', 'unknown', 'constructor']) {
+                await expect(oidcService.createAuthorization(name)).rejects.toMatchObject({
+                    status: 404,
+                    code: 'OIDC_PROVIDER_NOT_FOUND'
+                });
+            }
+        });
+
+        it('应该拒绝重复绑定同一身份提供方', async () => {
+            userIdentityRepository.findByUserAndProvider.mockResolvedValue({ id: 1 });
+
+            await expect(oidcService.createAuthorization('stub', 1)).rejects.toMatchObject({
+                status: 409,
+                code: 'OIDC_PROVIDER_ALREADY_LINKED',
+                messageKey: 'oidc.providerAlreadyLinked'
+            });
+            expect(oidcStateRepository.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('login', () => {
+        const context = { ip: '127.0.0.1', userAgent: 'vitest' };
+
+        it('应该使用已绑定的第三方账号登录', async () => {
+            userIdentityRepository.findByProviderSubject.mockResolvedValue({ id: 5, user_id: 1, email: null });
+            const params = await authorizeAtIdp();
+
+            const result = await oidcService.login('stub', params, context);
+
+            expect(result).toEqual({
+                success: true,
+                message: 'auth.loginSucceeded',
+                data: { id: 1, username: 'testuser', status: 'active' }
+            });
+            expect(userIdentityRepository.findByProviderSubject).toHaveBeenCalledWith('stub', 'stub-user-1');
+            expect(userIdentityRepository.update).toHaveBeenCalledWith(5, {
+                email: 'stub@example.com',
+                last_login_at: expect.any(Date)
+            });
+            expect(user.updateLastLogin).toHaveBeenCalledWith('127.0.0.1');
+            expect(loginHistoryService.record).toHaveBeenCalledWith({
+                userId: 1,
+                identifier: 'stub:stub@example.com',
+                ip: '127.0.0.1',
+                userAgent: 'vitest',
+                success: true
+            });
+        });
+
+        it('应该在启用双因素认证时返回登录挑战', async () => {
+            userIdentityRepository.findByProviderSubject.mockResolvedValue({ id: 5, user_id: 1 });
+            twoFactorService.isEnabled.mockResolvedValue(true);
+            twoFactorService.createChallenge.mockReturnValue({ challengeToken: 'challenge', expiresIn: 300 });
+            const params = await authorizeAtIdp();
+
+            const result = await oidcService.login('stub', params, context);
+
+            expect(result.mfaRequired).toBe(true);
+            expect(result.data).toEqual({ challengeToken: 'challenge', expiresIn: 300 });
+            expect(user.updateLastLogin).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝未绑定的第三方账号', async () => {
+            const params = await authorizeAtIdp();
+
+            const result = await oidcService.login('stub', params, context);
+
+            expect(result.success).toBe(false);
+            expect(result.message).toBe('oidc.identityNotLinked');
+            expect(loginHistoryService.record).toHaveBeenCalledWith(expect.objectContaining({
+                success: false,
+                failureReason: 'invalid_credentials'
+            }));
+        });
+
+        it('应该拒绝已被禁用的账户', async () => {
+            userIdentityRepository.findByProviderSubject.mockResolvedValue({ id: 5, user_id: 1 });
+            userRepository.findById.mockResolvedValue({ ...user, status: 'suspended' });
+            const params = await authorizeAtIdp();
+
+            const result = await oidcService.login('stub', params, context);
+
+            expect(result.message).toBe('auth.accountDisabled');
+        });
+
+        it('应该拒绝重复使用的state', async () => {
+            userIdentityRepository.findByProviderSubject.mockResolvedValue({ id: 5, user_id: 1 });
+            const params = await authorizeAtIdp();
+            await oidcService.login('stub', params, context);
+
+            await expect(oidcService.login('stub', params, context)).rejects.toMatchObject({
+                status: 400,
+                code: 'OIDC_STATE_INVALID'
+            });
+        });
+
+        it('应该拒绝过期或伪造的state', async () => {
+            const params = await authorizeAtIdp();
+            states[0].expires_at = new Date(Date.now() - 1000);
+
+            await expect(oidcService.login('stub', params, context)).rejects.toMatchObject({ code: 'OIDC_STATE_INVALID' });
+            await expect(oidcService.login('stub', { code: 'x', state: 'forged' }, context))
+                .rejects.toMatchObject({ code: 'OIDC_STATE_INVALID' });
+        });
+
+        it('应该拒绝绑定流程的state用于登录', async () => {
+            const params = await authorizeAtIdp(1);
+
+            await expect(oidcService.login('stub', params, context)).rejects.toMatchObject({ code: 'OIDC_STATE_INVALID' });
+        });
+
+        it('应该在身份提供方拒绝授权码时抛出400错误', async () => {
+            const params = await authorizeAtIdp();
+
+            await expect(oidcService.login('stub', { ...params, code: 'invalid-code' }, context)).rejects.toMatchObject({
+                status: 400,
+                code: 'OIDC_AUTHORIZATION_REJECTED',
+                messageKey: 'oidc.authorizationRejected',
+                details: [{ field: 'code', message: 'oidc.restartAuthorization' }]
+            });
+            expect(userIdentityRepository.findByProviderSubject).not.toHaveBeenCalled();
+        });
+
+        it('应该在身份提供方不可用时直接抛出', async () => {
+            const params = await authorizeAtIdp();
+            oidcConfig.providers.stub = { ...oidcConfig.providers.stub, clientSecret: 'wrong' };
+
+            try {
+                await expect(oidcService.login('stub', params, context)).rejects.toThrow('invalid_client');
+            } finally {
+                oidcConfig.providers.stub = idp.providerConfig();
+            }
+        });
+
+        it('应该在缺少回调参数时抛出400错误', async () => {
+            await expect(oidcService.login('stub', { state: 'state' }, context)).rejects.toMatchObject({
+                status: 400,
+                code: 'OIDC_CALLBACK_INCOMPLETE'
+            });
+        });
+    });
+
+    describe('linkIdentity', () => {
+        it('应该为发起绑定的用户创建绑定记录', async () => {
+            userIdentityRepository.create.mockImplementation(async (data) => ({
+                getPublicInfo: () => ({ provider: data.provider, email: data.email })
+            }));
+            const params = await authorizeAtIdp(1);
+
+            const identity = await oidcService.linkIdentity(1, 'stub', params);
+
+            expect(identity).toEqual({ provider: 'stub', email: 'stub@example.com' });
+            expect(userIdentityRepository.create).toHaveBeenCalledWith({
+                user_id: 1,
+                provider: 'stub',
+                subject: 'stub-user-1',
+                email: 'stub@example.com'
+            });
+        });
+
+        it('应该拒绝其他用户发起的绑定请求', async () => {
+            const params = await authorizeAtIdp(2);
+
+            await expect(oidcService.linkIdentity(1, 'stub', params)).rejects.toMatchObject({ code: 'OIDC_STATE_INVALID' });
+            expect(userIdentityRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('应该在授权码被拒绝时抛出400错误', async () => {
+            const params = await authorizeAtIdp(1);
+
+            await expect(oidcService.linkIdentity(1, 'stub', { ...params, code: 'invalid-code' })).rejects.toMatchObject({
+                status: 400,
+                code: 'OIDC_AUTHORIZATION_REJECTED'
+            });
+            expect(userIdentityRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝已绑定其他用户的第三方账号', async () => {
+            userIdentityRepository.findByProviderSubject.mockResolvedValue({ id: 9, user_id: 2 });
+            const params = await authorizeAtIdp(1);
+
+            await expect(oidcService.linkIdentity(1, 'stub', params)).rejects.toMatchObject({
+                status: 409,
+                code: 'OIDC_IDENTITY_LINKED_TO_OTHER'
+            });
+            expect(userIdentityRepository.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('listIdentities', () => {
+        it('应该返回绑定列表', async () => {
+            userIdentityRepository.findByUser.mockResolvedValue([{ getPublicInfo: () => ({ provider: 'stub' }) }]);
+
+            expect(await oidcService.listIdentities(1)).toEqual([{ provider: 'stub' }]);
+        });
+    });
+
+    describe('unlinkIdentity', () => {
+        it('应该解除绑定', async () => {
+            userIdentityRepository.remove.mockResolvedValue(true);
+
+            await oidcService.unlinkIdentity(1, 'stub');
+
+            expect(userIdentityRepository.remove).toHaveBeenCalledWith(1, 'stub');
+        });
+
+        it('应该在未绑定时抛出404错误', async () => {
+            userIdentityRepository.remove.mockResolvedValue(false);
+
+            await expect(oidcService.unlinkIdentity(1, 'stub')).rejects.toMatchObject({
+                status: 404,
+                code: 'OIDC_IDENTITY_NOT_FOUND'
+            });
+        });
+    });
+});
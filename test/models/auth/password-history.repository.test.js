@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, beforeAll, afterAll } from 'vitest';
+import passwordHistoryRepository from '../../../models/auth/password-history.repository.js';
+import PasswordHistory from '../../../models/auth/password-history.model.js';
+import User from '../../../models/user/user.model.js';
+import { setupTestDatabase, cleanupTestDatabase, closeDatabase, createTestUserData } from '../../setup.js';
+
+describe('PasswordHistoryRepository', () => {
+    let user;
+    let otherUser;
+
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await cleanupTestDatabase();
+        user = await User.create(createTestUserData());
+        otherUser = await User.create(createTestUserData({ username: 'other', email: 'other@example.com' }));
+    });
+
+    describe('create', () => {
+        it('应该记录密码哈希', async () => {
+            const record = await passwordHistoryRepository.create(user.id, 'hash');
+
+            const saved = await PasswordHistory.findByPk(record.id);
+            expect(saved.user_id).toBe(user.id);
+            expect(saved.password_hash).toBe('hash');
+        });
+
+        it('应该在用户不存在时抛出409错误', async () => {
+            await expect(passwordHistoryRepository.create(999999, 'hash')).rejects.toMatchObject({
+                status: 409,
+                code: 'FOREIGN_KEY_CONSTRAINT'
+            });
+        });
+    });
+
+    describe('findRecent', () => {
+        it('应该只返回该用户的记录并按时间倒序返回指定条数', async () => {
+            await passwordHistoryRepository.create(user.id, 'hash-1');
+            await passwordHistoryRepository.create(user.id, 'hash-2');
+            await passwordHistoryRepository.create(user.id, 'hash-3');
+            await passwordHistoryRepository.create(otherUser.id, 'other-hash');
+
+            const records = await passwordHistoryRepository.findRecent(user.id, 2);
+
+            expect(records.map(record => record.password_hash)).toEqual(['hash-3', 'hash-2']);
+        });
+    });
+
+    describe('prune', () => {
+        it('应该删除保留范围之外的记录', async () => {
+            for (let i = 1; i <= 5; i++) {
+                await passwordHistoryRepository.create(user.id, `hash-${i}`);
+            }
+            await passwordHistoryRepository.create(otherUser.id, 'other-hash');
+
+            const removed = await passwordHistoryRepository.prune(user.id, 2);
+
+            expect(removed).toBe(3);
+            const remaining = await PasswordHistory.findAll({ where: { user_id: user.id }, order: [['id', 'ASC']] });
+            expect(remaining.map(record => record.password_hash)).toEqual(['hash-4', 'hash-5']);
+            expect(await PasswordHistory.count({ where: { user_id: otherUser.id } })).toBe(1);
+        });
+
+        it('应该在记录数未超出时不删除', async () => {
+            await passwordHistoryRepository.create(user.id, 'hash-1');
+
+            expect(await passwordHistoryRepository.prune(user.id, 5)).toBe(0);
+            expect(await PasswordHistory.count({ where: { user_id: user.id } })).toBe(1);
+        });
+    });
+});
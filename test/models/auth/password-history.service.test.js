@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import bcrypt from 'bcrypt';
+import passwordHistoryService from '../../../models/auth/password-history.service.js';
+import passwordHistoryRepository from '../../../models/auth/password-history.repository.js';
+
+vi.mock('../../../models/auth/password-history.repository.js');
+vi.mock('bcrypt', () => ({
+    default: {
+        compare: vi.fn()
+    }
+}));
+
+describe('PasswordHistoryService', () => {
+    const user = { id: 1, password_hash: 'current-hash' };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('isRecentlyUsed', () => {
+        it('应该比对当前密码和最近的历史密码', async () => {
+            passwordHistoryRepository.findRecent.mockResolvedValue([
+                { password_hash: 'current-hash' },
+                { password_hash: 'old-hash' }
+            ]);
+            bcrypt.compare.mockImplementation(async (password, hash) => hash === 'old-hash');
+
+            const used = await passwordHistoryService.isRecentlyUsed(user, 'OldPass123!');
+
+            expect(used).toBe(true);
+            expect(passwordHistoryRepository.findRecent).toHaveBeenCalledWith(1, 5);
+            // 当前密码与历史记录重复的哈希只比对一次
+            expect(bcrypt.compare).toHaveBeenCalledTimes(2);
+        });
+
+        it('应该在没有历史记录时仍比对当前密码', async () => {
+            passwordHistoryRepository.findRecent.mockResolvedValue([]);
+            bcrypt.compare.mockResolvedValue(true);
+
+            expect(await passwordHistoryService.isRecentlyUsed(user, 'Current123!')).toBe(true);
+            expect(bcrypt.compare).toHaveBeenCalledWith('Current123!', 'current-hash');
+        });
+
+        it('应该对新密码返回false', async () => {
+            passwordHistoryRepository.findRecent.mockResolvedValue([{ password_hash: 'old-hash' }]);
+            bcrypt.compare.mockResolvedValue(false);
+
+            expect(await passwordHistoryService.isRecentlyUsed(user, 'Brand-New123!')).toBe(false);
+        });
+    });
+
+    describe('record', () => {
+        it('应该记录新密码并按配置保留条数清理', async () => {
+            await passwordHistoryService.record(1, 'new-hash');
+
+            expect(passwordHistoryRepository.create).toHaveBeenCalledWith(1, 'new-hash');
+            expect(passwordHistoryRepository.prune).toHaveBeenCalledWith(1, 5);
+        });
+    });
+});
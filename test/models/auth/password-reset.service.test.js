@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import bcrypt from 'bcrypt';
+import passwordResetService from '../../../models/auth/password-reset.service.js';
+import actionTokenRepository from '../../../models/auth/action-token.repository.js';
+import sessionService from '../../../models/auth/session.service.js';
+import passwordHistoryService from '../../../models/auth/password-history.service.js';
+import userRepository from '../../../models/user/user.repository.js';
+import { hashToken } from '../../../models/auth/auth.service.js';
+import { sendMail } from '../../../infrastructure/mailer.infrastructure.js';
+
+vi.mock('../../../models/auth/action-token.repository.js');
+vi.mock('../../../models/auth/session.service.js');
+vi.mock('../../../models/auth/password-history.service.js');
+vi.mock('../../../models/user/user.repository.js');
+vi.mock('../../../infrastructure/mailer.infrastructure.js', () => ({
+    sendMail: vi.fn()
+}));
+vi.mock('bcrypt', () => ({
+    default: {
+        hash: vi.fn()
+    }
+}));
+
+describe('PasswordResetService', () => {
+    const user = { id: 1, username: 'testuser', email: 'test@example.com', status: 'active' };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('requestReset', () => {
+        it('应该为已注册用户签发令牌并发送重置邮件', async () => {
+            userRepository.findByEmail.mockResolvedValue(user);
+
+            await passwordResetService.requestReset('Test@Example.com');
+
+            expect(userRepository.findByEmail).toHaveBeenCalledWith('Test@Example.com');
+            expect(actionTokenRepository.invalidateForUser).toHaveBeenCalledWith(1, 'password_reset');
+
+            const mail = sendMail.mock.calls[0][0];
+            expect(mail.to).toBe('test@example.com');
+            const token = mail.text.match(/token=([0-9a-f]+)/)[1];
+
+            const tokenData = actionTokenRepository.create.mock.calls[0][0];
+            expect(tokenData).toMatchObject({
+                user_id: 1,
+                purpose: 'password_reset',
+                token_hash: hashToken(token),
+                target: 'test@example.com'
+            });
+            expect(tokenData.expires_at.getTime()).toBeGreaterThan(Date.now());
+        });
+
+        it('应该对未注册邮箱返回相同结果且不发送邮件', async () => {
+            userRepository.findByEmail.mockResolvedValueOnce(user);
+            const registered = await passwordResetService.requestReset('test@example.com');
+
+            userRepository.findByEmail.mockResolvedValueOnce(null);
+            const unknown = await passwordResetService.requestReset('nobody@example.com');
+
+            expect(unknown).toEqual(registered);
+            expect(sendMail).toHaveBeenCalledOnce();
+        });
+
+        it('应该不向被禁用的账户发送重置邮件', async () => {
+            userRepository.findByEmail.mockResolvedValue({ ...user, status: 'suspended' });
+
+            await passwordResetService.requestReset('test@example.com');
+
+            expect(actionTokenRepository.create).not.toHaveBeenCalled();
+            expect(sendMail).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝缺少邮箱的请求', async () => {
+            await expect(passwordResetService.requestReset(undefined)).rejects.toMatchObject({
+                status: 400,
+                messageKey: 'passwordReset.emailRequired'
+            });
+        });
+    });
+
+    describe('resetPassword', () => {
+        const buildRecord = (overrides = {}) => ({
+            id: 5,
+            user_id: 1,
+            target: 'test@example.com',
+            used_at: null,
+            isExpired: () => false,
+            ...overrides
+        });
+
+        it('应该设置新密码并使现有会话失效', async () => {
+            actionTokenRepository.findByHash.mockResolvedValue(buildRecord());
+            actionTokenRepository.markUsed.mockResolvedValue(true);
+            userRepository.findById.mockResolvedValue(user);
+            bcrypt.hash.mockResolvedValue('new-hash');
+
+            await passwordResetService.resetPassword('plain-token', 'NewPass123!');
+
+            expect(actionTokenRepository.findByHash).toHaveBeenCalledWith(hashToken('plain-token'), 'password_reset');
+            expect(bcrypt.hash).toHaveBeenCalledWith('NewPass123!', 12);
+            expect(userRepository.update).toHaveBeenCalledWith(1, { password_hash: 'new-hash' });
+            expect(passwordHistoryService.record).toHaveBeenCalledWith(1, 'new-hash');
+            expect(actionTokenRepository.invalidateForUser).toHaveBeenCalledWith(1, 'password_reset');
+            expect(sessionService.endAllForUser).toHaveBeenCalledWith(1);
+        });
+
+        it('应该拒绝空令牌', async () => {
+            await expect(passwordResetService.resetPassword('', 'NewPass123!')).rejects.toMatchObject({
+                status: 400,
+                messageKey: 'passwordReset.tokenRequired'
+            });
+        });
+
+        it('应该拒绝不存在或已使用的令牌', async () => {
+            actionTokenRepository.findByHash.mockResolvedValue(null);
+
+            await expect(passwordResetService.resetPassword('plain-token', 'NewPass123!')).rejects.toMatchObject({
+                status: 400,
+                code: 'INVALID_RESET_TOKEN',
+                details: [{ field: 'token', message: 'passwordReset.linkNotFound' }]
+            });
+            expect(userRepository.update).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝过期令牌', async () => {
+            actionTokenRepository.findByHash.mockResolvedValue(buildRecord({ isExpired: () => true }));
+
+            await expect(passwordResetService.resetPassword('plain-token', 'NewPass123!')).rejects.toMatchObject({
+                status: 400,
+                code: 'RESET_TOKEN_EXPIRED'
+            });
+            expect(actionTokenRepository.markUsed).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝已被禁用账户的令牌', async () => {
+            actionTokenRepository.findByHash.mockResolvedValue(buildRecord());
+            userRepository.findById.mockResolvedValue({ ...user, status: 'suspended' });
+
+            await expect(passwordResetService.resetPassword('plain-token', 'NewPass123!')).rejects.toMatchObject({
+                code: 'INVALID_RESET_TOKEN',
+                details: [{ field: 'token', message: 'passwordReset.accountChanged' }]
+            });
+            expect(userRepository.update).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝最近使用过的密码且不消费令牌', async () => {
+            actionTokenRepository.findByHash.mockResolvedValue(buildRecord());
+            userRepository.findById.mockResolvedValue(user);
+            passwordHistoryService.isRecentlyUsed.mockResolvedValue(true);
+
+            await expect(passwordResetService.resetPassword('plain-token', 'OldPass123!')).rejects.toMatchObject({
+                status: 400,
+                code: 'PASSWORD_RECENTLY_USED',
+                messageKey: 'user.newPasswordRejected'
+            });
+            expect(actionTokenRepository.markUsed).not.toHaveBeenCalled();
+            expect(userRepository.update).not.toHaveBeenCalled();
+        });
+
+        it('应该在并发消费失败时不修改密码', async () => {
+            actionTokenRepository.findByHash.mockResolvedValue(buildRecord());
+            userRepository.findById.mockResolvedValue(user);
+            passwordHistoryService.isRecentlyUsed.mockResolvedValue(false);
+            actionTokenRepository.markUsed.mockResolvedValue(false);
+
+            await expect(passwordResetService.resetPassword('plain-token', 'NewPass123!')).rejects.toMatchObject({
+                code: 'INVALID_RESET_TOKEN'
+            });
+            expect(userRepository.update).not.toHaveBeenCalled();
+            expect(sessionService.endAllForUser).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, beforeAll, afterAll } from 'vitest';
+import refreshTokenRepository from '../../../models/auth/refresh-token.repository.js';
+import RefreshToken from '../../../models/auth/refresh-token.model.js';
+import User from '../../../models/user/user.model.js';
+import { setupTestDatabase, cleanupTestDatabase, closeDatabase, createTestUserData } from '../../setup.js';
+
+describe('RefreshTokenRepository', () => {
+    let user;
+
+    /**
+     * 构造令牌记录
+     */
+    const buildToken = (overrides = {}) => ({
+        user_id: user.id,
+        token_hash: 'a'.repeat(64),
+        family_id: 'family-1',
+        expires_at: new Date(Date.now() + 60 * 60 * 1000),
+        ...overrides
+    });
+
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await cleanupTestDatabase();
+        user = await User.create(createTestUserData());
+    });
+
+    describe('create', () => {
+        it('应该创建刷新令牌记录', async () => {
+            const record = await refreshTokenRepository.create(buildToken({ created_by_ip: '127.0.0.1' }));
+
+            const saved = await RefreshToken.findByPk(record.id);
+            expect(saved.user_id).toBe(user.id);
+            expect(saved.token_hash).toBe('a'.repeat(64));
+            expect(saved.created_by_ip).toBe('127.0.0.1');
+            expect(saved.revoked_at).toBeNull();
+        });
+
+        it('应该在令牌哈希重复时抛出409错误', async () => {
+            await refreshTokenRepository.create(buildToken());
+
+            await expect(refreshTokenRepository.create(buildToken())).rejects.toMatchObject({
+                status: 409,
+                code: 'DUPLICATE_ENTRY'
+            });
+        });
+    });
+
+    describe('findByHash', () => {
+        it('应该根据哈希查找令牌', async () => {
+            const created = await refreshTokenRepository.create(buildToken());
+
+            const record = await refreshTokenRepository.findByHash('a'.repeat(64));
+
+            expect(record.id).toBe(created.id);
+            expect(await refreshTokenRepository.findByHash('b'.repeat(64))).toBeNull();
+        });
+    });
+
+    describe('revoke', () => {
+        it('应该吊销未吊销的令牌并记录替换令牌', async () => {
+            const token = await refreshTokenRepository.create(buildToken());
+            const replacement = await refreshTokenRepository.create(buildToken({ token_hash: 'b'.repeat(64) }));
+
+            const revoked = await refreshTokenRepository.revoke(token.id, replacement.id);
+
+            expect(revoked).toBe(true);
+            await token.reload();
+            expect(token.revoked_at).toBeInstanceOf(Date);
+            expect(token.replaced_by_id).toBe(replacement.id);
+        });
+
+        it('应该在令牌已被吊销时返回false且不覆盖原记录', async () => {
+            const token = await refreshTokenRepository.create(buildToken());
+            await refreshTokenRepository.revoke(token.id);
+            await token.reload();
+            const revokedAt = token.revoked_at;
+
+            expect(await refreshTokenRepository.revoke(token.id, 99)).toBe(false);
+            await token.reload();
+            expect(token.revoked_at).toEqual(revokedAt);
+            expect(token.replaced_by_id).toBeNull();
+        });
+    });
+
+    describe('setReplacedBy', () => {
+        it('应该记录替换令牌', async () => {
+            const token = await refreshTokenRepository.create(buildToken());
+            const replacement = await refreshTokenRepository.create(buildToken({ token_hash: 'b'.repeat(64) }));
+
+            await refreshTokenRepository.setReplacedBy(token.id, replacement.id);
+
+            await token.reload();
+            expect(token.replaced_by_id).toBe(replacement.id);
+        });
+    });
+
+    describe('revokeFamily', () => {
+        it('应该只吊销该家族中未吊销的令牌', async () => {
+            await refreshTokenRepository.create(buildToken());
+            await refreshTokenRepository.create(buildToken({ token_hash: 'b'.repeat(64) }));
+            const other = await refreshTokenRepository.create(buildToken({ token_hash: 'c'.repeat(64), family_id: 'family-2' }));
+
+            const count = await refreshTokenRepository.revokeFamily('family-1');
+
+            expect(count).toBe(2);
+            expect(await RefreshToken.count({ where: { family_id: 'family-1', revoked_at: null } })).toBe(0);
+            await other.reload();
+            expect(other.revoked_at).toBeNull();
+        });
+    });
+
+    describe('revokeAllForUser', () => {
+        it('应该吊销用户的全部令牌', async () => {
+            const otherUser = await User.create(createTestUserData({ username: 'other', email: 'other@example.com' }));
+            await refreshTokenRepository.create(buildToken());
+            await refreshTokenRepository.create(buildToken({ token_hash: 'b'.repeat(64), family_id: 'family-2' }));
+            const other = await refreshTokenRepository.create(buildToken({ user_id: otherUser.id, token_hash: 'c'.repeat(64) }));
+
+            const count = await refreshTokenRepository.revokeAllForUser(user.id);
+
+            expect(count).toBe(2);
+            expect(await RefreshToken.count({ where: { user_id: user.id, revoked_at: null } })).toBe(0);
+            await other.reload();
+            expect(other.revoked_at).toBeNull();
+        });
+    });
+
+    describe('deleteExpired', () => {
+        it('应该只删除过期令牌', async () => {
+            await refreshTokenRepository.create(buildToken({ expires_at: new Date(Date.now() - 1000) }));
+            const active = await refreshTokenRepository.create(buildToken({ token_hash: 'b'.repeat(64) }));
+
+            expect(await refreshTokenRepository.deleteExpired()).toBe(1);
+            expect((await RefreshToken.findAll()).map(token => token.id)).toEqual([active.id]);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, beforeAll, afterAll, vi } from 'vitest';
+import sessionRepository from '../../../models/auth/session.repository.js';
+import Session from '../../../models/auth/session.model.js';
+import User from '../../../models/user/user.model.js';
+import { setupTestDatabase, cleanupTestDatabase, closeDatabase, createTestUserData } from '../../setup.js';
+
+describe('SessionRepository', () => {
+    let user;
+
+    /**
+     * 构造会话记录
+     */
+    const buildSession = (overrides = {}) => ({
+        user_id: user.id,
+        expires_at: new Date(Date.now() + 60 * 60 * 1000),
+        ...overrides
+    });
+
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await cleanupTestDatabase();
+        user = await User.create(createTestUserData());
+    });
+
+    describe('create', () => {
+        it('应该创建会话并生成UUID', async () => {
+            const session = await sessionRepository.create(buildSession({ device: 'Chrome on macOS', ip_address: '127.0.0.1' }));
+
+            const saved = await Session.findByPk(session.id);
+            expect(saved.id).toMatch(/^[0-9a-f-]{36}$/);
+            expect(saved.user_id).toBe(user.id);
+            expect(saved.device).toBe('Chrome on macOS');
+            expect(saved.revoked_at).toBeNull();
+        });
+
+        it('应该在缺少必填字段时抛出400错误', async () => {
+            await expect(sessionRepository.create({ user_id: user.id })).rejects.toMatchObject({ status: 400 });
+        });
+    });
+
+    describe('findById', () => {
+        it('应该根据ID查找会话', async () => {
+            const session = await sessionRepository.create(buildSession());
+
+            expect((await sessionRepository.findById(session.id)).user_id).toBe(user.id);
+            expect(await sessionRepository.findById('00000000-0000-4000-8000-000000000000')).toBeNull();
+        });
+    });
+
+    describe('findActiveByUser', () => {
+        it('应该只返回未注销且未过期的会话，按最后活跃时间倒序', async () => {
+            const otherUser = await User.create(createTestUserData({ username: 'other', email: 'other@example.com' }));
+            const older = await sessionRepository.create(buildSession({ last_seen_at: new Date(Date.now() - 60 * 1000) }));
+            const newer = await sessionRepository.create(buildSession({ last_seen_at: new Date() }));
+            await sessionRepository.create(buildSession({ revoked_at: new Date() }));
+            await sessionRepository.create(buildSession({ expires_at: new Date(Date.now() - 1000) }));
+            await sessionRepository.create(buildSession({ user_id: otherUser.id }));
+
+            const sessions = await sessionRepository.findActiveByUser(user.id);
+
+            expect(sessions.map(session => session.id)).toEqual([newer.id, older.id]);
+        });
+    });
+
+    describe('update', () => {
+        it('应该更新会话活动信息', async () => {
+            const session = await sessionRepository.create(buildSession());
+            const lastSeenAt = new Date();
+
+            expect(await sessionRepository.update(session.id, { last_seen_at: lastSeenAt, ip_address: '10.0.0.1' })).toBe(1);
+
+            await session.reload();
+            expect(session.last_seen_at).toEqual(lastSeenAt);
+            expect(session.ip_address).toBe('10.0.0.1');
+        });
+    });
+
+    describe('revoke', () => {
+        it('应该注销仍有效的会话', async () => {
+            const session = await sessionRepository.create(buildSession());
+
+            expect(await sessionRepository.revoke(session.id)).toBe(true);
+
+            await session.reload();
+            expect(session.revoked_at).toBeInstanceOf(Date);
+        });
+
+        it('应该在会话已注销时返回false', async () => {
+            const session = await sessionRepository.create(buildSession({ revoked_at: new Date() }));
+
+            expect(await sessionRepository.revoke(session.id)).toBe(false);
+        });
+    });
+
+    describe('revokeAllForUser', () => {
+        it('应该注销用户的全部有效会话并返回数量', async () => {
+            const otherUser = await User.create(createTestUserData({ username: 'other', email: 'other@example.com' }));
+            await sessionRepository.create(buildSession());
+            await sessionRepository.create(buildSession());
+            await sessionRepository.create(buildSession({ revoked_at: new Date() }));
+            const other = await sessionRepository.create(buildSession({ user_id: otherUser.id }));
+
+            expect(await sessionRepository.revokeAllForUser(user.id)).toBe(2);
+
+            expect(await Session.count({ where: { user_id: user.id, revoked_at: null } })).toBe(0);
+            await other.reload();
+            expect(other.revoked_at).toBeNull();
+        });
+
+        it('应该在更新失败时抛出带上下文的错误', async () => {
+            vi.spyOn(Session, 'update').mockRejectedValueOnce(new Error('连接断开'));
+
+            await expect(sessionRepository.revokeAllForUser(user.id)).rejects.toThrow('注销用户会话失败');
+        });
+    });
+});
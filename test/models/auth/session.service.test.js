@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import sessionService, { describeDevice } from '../../../models/auth/session.service.js';
+import sessionRepository from '../../../models/auth/session.repository.js';
+import refreshTokenRepository from '../../../models/auth/refresh-token.repository.js';
+import userRepository from '../../../models/user/user.repository.js';
+import { authConfig } from '../../../config/app.config.js';
+
+vi.mock('../../../models/auth/session.repository.js');
+vi.mock('../../../models/auth/refresh-token.repository.js');
+vi.mock('../../../models/user/user.repository.js');
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+const buildSession = (overrides = {}) => ({
+    id: 'session-1',
+    user_id: 1,
+    last_seen_at: new Date(),
+    isActive: () => true,
+    getPublicInfo(currentSessionId) {
+        return { id: this.id, current: this.id === currentSessionId };
+    },
+    ...overrides
+});
+
+describe('SessionService', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('describeDevice', () => {
+        it('应该识别常见浏览器和平台', () => {
+            expect(describeDevice(CHROME_WINDOWS)).toBe('Chrome on Windows');
+            expect(describeDevice(SAFARI_IPHONE)).toBe('Safari on iOS');
+        });
+
+        it('应该在无法识别时保留原始User-Agent', () => {
+            expect(describeDevice('curl/8.4.0')).toBe('curl/8.4.0');
+            expect(describeDevice(null)).toBeNull();
+        });
+    });
+
+    describe('start', () => {
+        it('应该创建带设备信息的会话', async () => {
+            sessionRepository.create.mockResolvedValue({ id: 'session-1' });
+
+            const session = await sessionService.start({ id: 1 }, { ip: '127.0.0.1', userAgent: CHROME_WINDOWS });
+
+            expect(session).toEqual({ id: 'session-1' });
+            const saved = sessionRepository.create.mock.calls[0][0];
+            expect(saved).toMatchObject({
+                user_id: 1,
+                device: 'Chrome on Windows',
+                ip_address: '127.0.0.1',
+                user_agent: CHROME_WINDOWS
+            });
+            expect(saved.expires_at.getTime() - Date.now()).toBeGreaterThan((authConfig.refreshTokenExpiresIn - 5) * 1000);
+        });
+    });
+
+    describe('validate', () => {
+        it('应该返回有效会话且近期活跃时不更新', async () => {
+            const session = buildSession();
+            sessionRepository.findById.mockResolvedValue(session);
+
+            expect(await sessionService.validate('session-1', 1)).toBe(session);
+            expect(sessionRepository.update).not.toHaveBeenCalled();
+        });
+
+        it('应该在超过更新间隔后刷新最后活跃时间', async () => {
+            sessionRepository.findById.mockResolvedValue(buildSession({
+                last_seen_at: new Date(Date.now() - (authConfig.sessionTouchInterval + 1) * 1000)
+            }));
+
+            await sessionService.validate('session-1', 1);
+
+            expect(sessionRepository.update).toHaveBeenCalledWith('session-1', { last_seen_at: expect.any(Date) });
+        });
+
+        it.each([
+            ['会话不存在', null],
+            ['会话属于其他用户', buildSession({ user_id: 2 })],
+            ['session.revoked', buildSession({ isActive: () => false })]
+        ])('应该在%s时返回null', async (_, session) => {
+            sessionRepository.findById.mockResolvedValue(session);
+
+            expect(await sessionService.validate('session-1', 1)).toBeNull();
+        });
+    });
+
+    describe('end', () => {
+        it('应该注销会话并吊销其刷新令牌', async () => {
+            sessionRepository.revoke.mockResolvedValue(true);
+
+            expect(await sessionService.end('session-1')).toBe(true);
+            expect(refreshTokenRepository.revokeFamily).toHaveBeenCalledWith('session-1');
+        });
+    });
+
+    describe('endAllForUser', () => {
+        it('应该注销全部会话并吊销全部刷新令牌', async () => {
+            sessionRepository.revokeAllForUser.mockResolvedValue(2);
+
+            expect(await sessionService.endAllForUser(1)).toBe(2);
+            expect(refreshTokenRepository.revokeAllForUser).toHaveBeenCalledWith(1);
+        });
+    });
+
+    describe('listSessions', () => {
+        it('应该返回会话列表并标记当前会话', async () => {
+            userRepository.findById.mockResolvedValue({ id: 1 });
+            sessionRepository.findActiveByUser.mockResolvedValue([
+                buildSession(),
+                buildSession({ id: 'session-2' })
+            ]);
+
+            const sessions = await sessionService.listSessions(1, 'session-2');
+
+            expect(sessions).toEqual([
+                { id: 'session-1', current: false },
+                { id: 'session-2', current: true }
+            ]);
+        });
+
+        it('应该在用户不存在时抛出404错误', async () => {
+            userRepository.findById.mockResolvedValue(null);
+
+            await expect(sessionService.listSessions(999)).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
+        });
+
+        it('应该在查询异常时直接抛出', async () => {
+            userRepository.findById.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(sessionService.listSessions(1)).rejects.toThrow('数据库错误');
+        });
+    });
+
+    describe('revokeSession', () => {
+        it('应该注销属于该用户的会话', async () => {
+            sessionRepository.findById.mockResolvedValue(buildSession());
+            sessionRepository.revoke.mockResolvedValue(true);
+
+            await sessionService.revokeSession(1, 'session-1');
+
+            expect(sessionRepository.revoke).toHaveBeenCalledWith('session-1');
+            expect(refreshTokenRepository.revokeFamily).toHaveBeenCalledWith('session-1');
+        });
+
+        it.each([
+            ['会话不存在', null],
+            ['会话属于其他用户', buildSession({ user_id: 2 })],
+            ['会话已失效', buildSession({ isActive: () => false })]
+        ])('应该在%s时抛出404错误', async (_, session) => {
+            sessionRepository.findById.mockResolvedValue(session);
+
+            await expect(sessionService.revokeSession(1, 'session-1')).rejects.toMatchObject({
+                status: 404,
+                code: 'SESSION_NOT_FOUND',
+                messageKey: 'session.notFound'
+            });
+            expect(sessionRepository.revoke).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('revokeAllSessions', () => {
+        it('应该注销全部会话并返回数量', async () => {
+            userRepository.findById.mockResolvedValue({ id: 1 });
+            sessionRepository.revokeAllForUser.mockResolvedValue(3);
+
+            expect(await sessionService.revokeAllSessions(1)).toBe(3);
+        });
+
+        it('应该在用户不存在时抛出404错误', async () => {
+            userRepository.findById.mockResolvedValue(null);
+
+            await expect(sessionService.revokeAllSessions(999)).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
+            expect(sessionRepository.revokeAllForUser).not.toHaveBeenCalled();
+        });
+    });
+});
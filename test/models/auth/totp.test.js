@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    getTimeStep,
+    verifyCode,
+    buildOtpauthUri
+} from '../../../models/auth/totp.js';
+
+// RFC 6238 附录B测试密钥（ASCII "12345678901234567890"）
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+    describe('base32', () => {
+        it('应该与RFC 4648测试向量一致', () => {
+            expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+            expect(base32Decode('MZXW6YTBOI').toString()).toBe('foobar');
+        });
+
+        it('应该忽略大小写、空格和补齐符', () => {
+            expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+        });
+
+        it('应该拒绝非法字符', () => {
+            expect(() => base32Decode('MZXW1')).toThrow('无效的Base32字符');
+        });
+    });
+
+    describe('generateSecret', () => {
+        it('应该生成160位Base32密钥', () => {
+            const secret = generateSecret();
+
+            expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+            expect(generateSecret()).not.toBe(secret);
+        });
+    });
+
+    describe('generateCode', () => {
+        it.each([
+            [59, '287082'],
+            [1111111109, '081804'],
+            [1234567890, '005924'],
+            [2000000000, '279037']
+        ])('应该与RFC 6238测试向量一致（T=%i）', (seconds, expected) => {
+            expect(generateCode(RFC_SECRET, getTimeStep(seconds * 1000))).toBe(expected);
+        });
+    });
+
+    describe('verifyCode', () => {
+        it('应该返回匹配的时间步', () => {
+            expect(verifyCode(RFC_SECRET, '287082', { timestamp: 59000 })).toBe(1);
+        });
+
+        it('应该允许一个步长的时钟偏差', () => {
+            expect(verifyCode(RFC_SECRET, '287082', { timestamp: 89000 })).toBe(1);
+            expect(verifyCode(RFC_SECRET, '287082', { timestamp: 119000 })).toBeNull();
+        });
+
+        it('应该拒绝格式不正确的验证码', () => {
+            expect(verifyCode(RFC_SECRET, '12345', { timestamp: 59000 })).toBeNull();
+            expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+        });
+    });
+
+    describe('buildOtpauthUri', () => {
+        it('应该生成身份验证器可识别的URI', () => {
+            const uri = buildOtpauthUri({ secret: 'ABC', accountName: 'test@example.com', issuer: 'koa-server' });
+
+            expect(uri).toBe(
+                'otpauth://totp/koa-server:test%40example.com?secret=ABC&issuer=koa-server&algorithm=SHA1&digits=6&period=30'
+            );
+        });
+    });
+});
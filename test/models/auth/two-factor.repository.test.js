@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, beforeAll, afterAll, vi } from 'vitest';
+import twoFactorRepository from '../../../models/auth/two-factor.repository.js';
+import TwoFactor, { BackupCode } from '../../../models/auth/two-factor.model.js';
+import User from '../../../models/user/user.model.js';
+import { setupTestDatabase, cleanupTestDatabase, closeDatabase, createTestUserData } from '../../setup.js';
+
+describe('TwoFactorRepository', () => {
+    let user;
+
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await cleanupTestDatabase();
+        user = await User.create(createTestUserData());
+    });
+
+    describe('findByUserId', () => {
+        it('应该根据用户ID查找记录', async () => {
+            await TwoFactor.create({ user_id: user.id, secret: 'SECRET' });
+
+            const record = await twoFactorRepository.findByUserId(user.id);
+
+            expect(record.secret).toBe('SECRET');
+            expect(await twoFactorRepository.findByUserId(user.id + 1)).toBeNull();
+        });
+
+        it('应该在查询失败时抛出带上下文的错误', async () => {
+            vi.spyOn(TwoFactor, 'findOne').mockRejectedValueOnce(new Error('连接断开'));
+
+            await expect(twoFactorRepository.findByUserId(user.id)).rejects.toThrow('查找双因素认证记录失败');
+        });
+    });
+
+    describe('savePendingSecret', () => {
+        it('应该以未启用状态写入密钥', async () => {
+            await twoFactorRepository.savePendingSecret(user.id, 'SECRET');
+
+            const record = await TwoFactor.findOne({ where: { user_id: user.id } });
+            expect(record.secret).toBe('SECRET');
+            expect(record.enabled_at).toBeNull();
+            expect(record.last_used_step).toBeNull();
+        });
+
+        it('应该覆盖之前的密钥而不是新增记录', async () => {
+            await TwoFactor.create({ user_id: user.id, secret: 'OLD', enabled_at: new Date(), last_used_step: 100 });
+
+            await twoFactorRepository.savePendingSecret(user.id, 'NEW');
+
+            const records = await TwoFactor.findAll({ where: { user_id: user.id } });
+            expect(records).toHaveLength(1);
+            expect(records[0].secret).toBe('NEW');
+            expect(records[0].enabled_at).toBeNull();
+            expect(records[0].last_used_step).toBeNull();
+        });
+    });
+
+    describe('update', () => {
+        it('应该按用户ID更新记录', async () => {
+            await twoFactorRepository.savePendingSecret(user.id, 'SECRET');
+            const enabledAt = new Date();
+
+            const count = await twoFactorRepository.update(user.id, { enabled_at: enabledAt, last_used_step: 100 });
+
+            expect(count).toBe(1);
+            const record = await twoFactorRepository.findByUserId(user.id);
+            expect(record.enabled_at).toEqual(enabledAt);
+            expect(record.last_used_step).toBe(100);
+        });
+    });
+
+    describe('useStep', () => {
+        beforeEach(async () => {
+            await twoFactorRepository.savePendingSecret(user.id, 'SECRET');
+        });
+
+        it('应该在尚未使用过时间步时记录', async () => {
+            expect(await twoFactorRepository.useStep(user.id, 100)).toBe(true);
+
+            expect((await twoFactorRepository.findByUserId(user.id)).last_used_step).toBe(100);
+        });
+
+        it('应该只接受大于上次使用的时间步', async () => {
+            await twoFactorRepository.useStep(user.id, 100);
+
+            expect(await twoFactorRepository.useStep(user.id, 100)).toBe(false);
+            expect(await twoFactorRepository.useStep(user.id, 99)).toBe(false);
+            expect((await twoFactorRepository.findByUserId(user.id)).last_used_step).toBe(100);
+
+            expect(await twoFactorRepository.useStep(user.id, 101)).toBe(true);
+            expect((await twoFactorRepository.findByUserId(user.id)).last_used_step).toBe(101);
+        });
+
+        it('应该让并发提交的同一时间步只有一次成功', async () => {
+            const results = await Promise.all([
+                twoFactorRepository.useStep(user.id, 100),
+                twoFactorRepository.useStep(user.id, 100)
+            ]);
+
+            expect(results.filter(Boolean)).toHaveLength(1);
+        });
+    });
+
+    describe('replaceBackupCodes', () => {
+        it('应该删除旧恢复码后写入新恢复码', async () => {
+            await twoFactorRepository.replaceBackupCodes(user.id, ['h1', 'h2']);
+            await twoFactorRepository.replaceBackupCodes(user.id, ['h3', 'h4']);
+
+            const codes = await BackupCode.findAll({ where: { user_id: user.id }, order: [['id', 'ASC']] });
+            expect(codes.map(code => code.code_hash)).toEqual(['h3', 'h4']);
+            expect(codes.every(code => code.used_at === null)).toBe(true);
+        });
+    });
+
+    describe('consumeBackupCode', () => {
+        it('应该只消费一次未使用的恢复码', async () => {
+            await twoFactorRepository.replaceBackupCodes(user.id, ['h1', 'h2']);
+
+            expect(await twoFactorRepository.consumeBackupCode(user.id, 'h1')).toBe(true);
+            expect(await twoFactorRepository.consumeBackupCode(user.id, 'h1')).toBe(false);
+
+            const used = await BackupCode.findOne({ where: { user_id: user.id, code_hash: 'h1' } });
+            const unused = await BackupCode.findOne({ where: { user_id: user.id, code_hash: 'h2' } });
+            expect(used.used_at).toBeInstanceOf(Date);
+            expect(unused.used_at).toBeNull();
+        });
+
+        it('应该在恢复码不存在时返回false', async () => {
+            expect(await twoFactorRepository.consumeBackupCode(user.id, 'missing')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,230 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import twoFactorService from '../../../models/auth/two-factor.service.js';
+import twoFactorRepository from '../../../models/auth/two-factor.repository.js';
+import userRepository from '../../../models/user/user.repository.js';
+import loginThrottleService from '../../../models/auth/login-throttle.service.js';
+import loginHistoryService from '../../../models/auth/login-history.service.js';
+import authService, { hashToken } from '../../../models/auth/auth.service.js';
+import { generateCode, getTimeStep } from '../../../models/auth/totp.js';
+
+vi.mock('../../../models/auth/two-factor.repository.js');
+vi.mock('../../../models/user/user.repository.js');
+vi.mock('../../../models/auth/login-throttle.service.js');
+vi.mock('../../../models/auth/login-history.service.js');
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+
+const buildRecord = (overrides = {}) => ({
+    user_id: 1,
+    secret: SECRET,
+    enabled_at: new Date(),
+    last_used_step: null,
+    isEnabled() {
+        return !!this.enabled_at;
+    },
+    ...overrides
+});
+
+describe('TwoFactorService', () => {
+    const user = {
+        id: 1,
+        username: 'testuser',
+        email: 'test@example.com',
+        status: 'active',
+        updateLastLogin: vi.fn()
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        loginThrottleService.getRetryAfter.mockResolvedValue(0);
+    });
+
+    describe('setup', () => {
+        it('应该生成待启用的密钥和otpauth URI', async () => {
+            userRepository.findById.mockResolvedValue(user);
+            twoFactorRepository.findByUserId.mockResolvedValue(null);
+
+            const { secret, otpauthUri } = await twoFactorService.setup(1);
+
+            expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+            expect(otpauthUri).toContain(`secret=${secret}`);
+            expect(otpauthUri).toContain('test%40example.com');
+            expect(twoFactorRepository.savePendingSecret).toHaveBeenCalledWith(1, secret);
+        });
+
+        it('应该拒绝重复绑定', async () => {
+            userRepository.findById.mockResolvedValue(user);
+            twoFactorRepository.findByUserId.mockResolvedValue(buildRecord());
+
+            await expect(twoFactorService.setup(1)).rejects.toMatchObject({
+                status: 409,
+                code: 'TWO_FACTOR_ALREADY_ENABLED',
+                messageKey: 'twoFactor.alreadyEnabled'
+            });
+            expect(twoFactorRepository.savePendingSecret).not.toHaveBeenCalled();
+        });
+
+        it('应该在用户不存在时抛出404错误', async () => {
+            userRepository.findById.mockResolvedValue(null);
+
+            await expect(twoFactorService.setup(999)).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
+        });
+    });
+
+    describe('enable', () => {
+        it('应该在验证码正确时启用并返回恢复码', async () => {
+            twoFactorRepository.findByUserId.mockResolvedValue(buildRecord({ enabled_at: null }));
+
+            const { backupCodes } = await twoFactorService.enable(1, generateCode(SECRET));
+
+            expect(backupCodes).toHaveLength(10);
+            backupCodes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+
+            const [, values] = twoFactorRepository.update.mock.calls[0];
+            expect(values.enabled_at).toBeInstanceOf(Date);
+            expect(values.last_used_step).toBe(getTimeStep());
+
+            // 数据库只保存恢复码哈希
+            const [, hashes] = twoFactorRepository.replaceBackupCodes.mock.calls[0];
+            expect(hashes[0]).toBe(hashToken(backupCodes[0].replace('-', '')));
+        });
+
+        it('应该拒绝错误的验证码', async () => {
+            twoFactorRepository.findByUserId.mockResolvedValue(buildRecord({ enabled_at: null }));
+
+            await expect(twoFactorService.enable(1, '000000')).rejects.toMatchObject({
+                status: 400,
+                code: 'INVALID_TWO_FACTOR_CODE'
+            });
+            expect(twoFactorRepository.update).not.toHaveBeenCalled();
+        });
+
+        it('应该要求先生成密钥', async () => {
+            twoFactorRepository.findByUserId.mockResolvedValue(null);
+
+            await expect(twoFactorService.enable(1, '123456')).rejects.toMatchObject({
+                status: 400,
+                code: 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        });
+
+        it('应该拒绝重复启用', async () => {
+            twoFactorRepository.findByUserId.mockResolvedValue(buildRecord());
+
+            await expect(twoFactorService.enable(1, generateCode(SECRET))).rejects.toMatchObject({
+                status: 409,
+                code: 'TWO_FACTOR_ALREADY_ENABLED'
+            });
+        });
+    });
+
+    describe('isEnabled', () => {
+        it('应该只对已确认启用的记录返回true', async () => {
+            twoFactorRepository.findByUserId.mockResolvedValueOnce(buildRecord());
+            expect(await twoFactorService.isEnabled(1)).toBe(true);
+
+            twoFactorRepository.findByUserId.mockResolvedValueOnce(buildRecord({ enabled_at: null }));
+            expect(await twoFactorService.isEnabled(1)).toBe(false);
+
+            twoFactorRepository.findByUserId.mockResolvedValueOnce(null);
+            expect(await twoFactorService.isEnabled(1)).toBe(false);
+        });
+    });
+
+    describe('verifyLogin', () => {
+        const challengeToken = () => authService.signChallengeToken(user);
+        const context = { ip: '127.0.0.1', userAgent: 'vitest' };
+
+        beforeEach(() => {
+            userRepository.findById.mockResolvedValue(user);
+            twoFactorRepository.findByUserId.mockResolvedValue(buildRecord());
+        });
+
+        it('应该在TOTP验证码正确时完成登录', async () => {
+            twoFactorRepository.useStep.mockResolvedValue(true);
+
+            const result = await twoFactorService.verifyLogin(challengeToken(), generateCode(SECRET), context);
+
+            expect(result).toEqual({
+                success: true,
+                message: 'auth.loginSucceeded',
+                data: { id: 1, username: 'testuser', email: 'test@example.com', status: 'active' }
+            });
+            expect(twoFactorRepository.useStep).toHaveBeenCalledWith(1, getTimeStep());
+            expect(loginThrottleService.recordSuccess).toHaveBeenCalledWith(user);
+            expect(user.updateLastLogin).toHaveBeenCalledWith('127.0.0.1');
+            expect(loginHistoryService.record).toHaveBeenCalledWith(expect.objectContaining({ userId: 1, success: true }));
+        });
+
+        it('应该拒绝重放已使用过的验证码', async () => {
+            twoFactorRepository.findByUserId.mockResolvedValue(buildRecord({ last_used_step: getTimeStep() }));
+
+            const result = await twoFactorService.verifyLogin(challengeToken(), generateCode(SECRET), context);
+
+            expect(result.success).toBe(false);
+            expect(result.message).toBe('twoFactor.codeInvalid');
+            expect(twoFactorRepository.useStep).not.toHaveBeenCalled();
+        });
+
+        it('应该在并发请求已使用同一时间步时拒绝验证码', async () => {
+            twoFactorRepository.useStep.mockResolvedValue(false);
+
+            const result = await twoFactorService.verifyLogin(challengeToken(), generateCode(SECRET), context);
+
+            expect(result.success).toBe(false);
+            expect(result.message).toBe('twoFactor.codeInvalid');
+            expect(loginThrottleService.recordFailure).toHaveBeenCalledWith(user, 'testuser', '127.0.0.1');
+            expect(user.updateLastLogin).not.toHaveBeenCalled();
+        });
+
+        it('应该接受未使用的恢复码', async () => {
+            twoFactorRepository.consumeBackupCode.mockResolvedValue(true);
+
+            const result = await twoFactorService.verifyLogin(challengeToken(), 'ABCDE-12345', context);
+
+            expect(result.success).toBe(true);
+            expect(twoFactorRepository.consumeBackupCode).toHaveBeenCalledWith(1, hashToken('abcde12345'));
+        });
+
+        it('应该在验证失败时计入登录失败次数', async () => {
+            twoFactorRepository.consumeBackupCode.mockResolvedValue(false);
+
+            const result = await twoFactorService.verifyLogin(challengeToken(), 'wrong-code', context);
+
+            expect(result.success).toBe(false);
+            expect(loginThrottleService.recordFailure).toHaveBeenCalledWith(user, 'testuser', '127.0.0.1');
+            expect(loginHistoryService.record).toHaveBeenCalledWith(expect.objectContaining({
+                success: false,
+                failureReason: 'invalid_mfa_code'
+            }));
+            expect(user.updateLastLogin).not.toHaveBeenCalled();
+        });
+
+        it('应该在锁定期内拒绝验证', async () => {
+            loginThrottleService.getRetryAfter.mockResolvedValue(90);
+
+            const result = await twoFactorService.verifyLogin(challengeToken(), generateCode(SECRET), context);
+
+            expect(result.retryAfter).toBe(90);
+            expect(twoFactorRepository.useStep).not.toHaveBeenCalled();
+        });
+
+        it.each([
+            ['缺少挑战令牌', undefined],
+            ['无效挑战令牌', 'invalid'],
+            ['访问令牌', authService.signAccessToken({ id: 1, username: 'testuser' })]
+        ])('应该拒绝%s', async (_, token) => {
+            const result = await twoFactorService.verifyLogin(token, '123456', context);
+
+            expect(result.message).toBe('twoFactor.challengeInvalid');
+        });
+
+        it('应该拒绝已被禁用的账户', async () => {
+            userRepository.findById.mockResolvedValue({ ...user, status: 'suspended' });
+
+            const result = await twoFactorService.verifyLogin(challengeToken(), generateCode(SECRET), context);
+
+            expect(result.message).toBe('twoFactor.challengeInvalid');
+        });
+    });
+});
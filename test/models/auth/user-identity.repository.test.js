@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, beforeAll, afterAll } from 'vitest';
+import userIdentityRepository from '../../../models/auth/user-identity.repository.js';
+import UserIdentity from '../../../models/auth/user-identity.model.js';
+import User from '../../../models/user/user.model.js';
+import { setupTestDatabase, cleanupTestDatabase, closeDatabase, createTestUserData } from '../../setup.js';
+
+describe('UserIdentityRepository', () => {
+    let user;
+    let otherUser;
+
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await cleanupTestDatabase();
+        user = await User.create(createTestUserData());
+        otherUser = await User.create(createTestUserData({ username: 'other', email: 'other@example.com' }));
+    });
+
+    describe('create', () => {
+        it('应该创建绑定记录', async () => {
+            const identity = await userIdentityRepository.create({
+                user_id: user.id,
+                provider: 'google',
+                subject: 'sub-1',
+                email: 'test@gmail.com'
+            });
+
+            const saved = await UserIdentity.findByPk(identity.id);
+            expect(saved.user_id).toBe(user.id);
+            expect(saved.subject).toBe('sub-1');
+            expect(saved.email).toBe('test@gmail.com');
+        });
+
+        it('应该在外部身份已被其他用户绑定时抛出409错误', async () => {
+            await userIdentityRepository.create({ user_id: user.id, provider: 'google', subject: 'sub-1' });
+
+            await expect(userIdentityRepository.create({ user_id: otherUser.id, provider: 'google', subject: 'sub-1' }))
+                .rejects.toMatchObject({ status: 409, code: 'DUPLICATE_ENTRY' });
+        });
+
+        it('应该在用户已绑定同一身份提供方时抛出409错误', async () => {
+            await userIdentityRepository.create({ user_id: user.id, provider: 'google', subject: 'sub-1' });
+
+            await expect(userIdentityRepository.create({ user_id: user.id, provider: 'google', subject: 'sub-2' }))
+                .rejects.toMatchObject({ status: 409, code: 'DUPLICATE_ENTRY' });
+        });
+    });
+
+    describe('findByProviderSubject', () => {
+        it('应该按身份提供方和外部标识查找', async () => {
+            const identity = await userIdentityRepository.create({ user_id: user.id, provider: 'google', subject: 'sub-1' });
+
+            expect((await userIdentityRepository.findByProviderSubject('google', 'sub-1')).id).toBe(identity.id);
+            expect(await userIdentityRepository.findByProviderSubject('github', 'sub-1')).toBeNull();
+        });
+    });
+
+    describe('findByUserAndProvider', () => {
+        it('应该按用户和身份提供方查找', async () => {
+            const identity = await userIdentityRepository.create({ user_id: user.id, provider: 'google', subject: 'sub-1' });
+
+            expect((await userIdentityRepository.findByUserAndProvider(user.id, 'google')).id).toBe(identity.id);
+            expect(await userIdentityRepository.findByUserAndProvider(otherUser.id, 'google')).toBeNull();
+        });
+    });
+
+    describe('findByUser', () => {
+        it('应该只返回该用户的绑定并按身份提供方排序', async () => {
+            await userIdentityRepository.create({ user_id: user.id, provider: 'google', subject: 'sub-1' });
+            await userIdentityRepository.create({ user_id: user.id, provider: 'github', subject: 'sub-2' });
+            await userIdentityRepository.create({ user_id: otherUser.id, provider: 'azure', subject: 'sub-3' });
+
+            const identities = await userIdentityRepository.findByUser(user.id);
+
+            expect(identities.map(identity => identity.provider)).toEqual(['github', 'google']);
+        });
+    });
+
+    describe('update', () => {
+        it('应该更新绑定记录', async () => {
+            const identity = await userIdentityRepository.create({ user_id: user.id, provider: 'google', subject: 'sub-1' });
+            const lastLoginAt = new Date();
+
+            expect(await userIdentityRepository.update(identity.id, { email: 'new@gmail.com', last_login_at: lastLoginAt })).toBe(1);
+
+            await identity.reload();
+            expect(identity.email).toBe('new@gmail.com');
+            expect(identity.last_login_at).toEqual(lastLoginAt);
+        });
+    });
+
+    describe('remove', () => {
+        it('应该只删除该用户在指定身份提供方的绑定', async () => {
+            await userIdentityRepository.create({ user_id: user.id, provider: 'google', subject: 'sub-1' });
+            await userIdentityRepository.create({ user_id: user.id, provider: 'github', subject: 'sub-2' });
+            await userIdentityRepository.create({ user_id: otherUser.id, provider: 'google', subject: 'sub-3' });
+
+            expect(await userIdentityRepository.remove(user.id, 'google')).toBe(true);
+            expect(await userIdentityRepository.remove(user.id, 'google')).toBe(false);
+
+            expect((await userIdentityRepository.findByUser(user.id)).map(identity => identity.provider)).toEqual(['github']);
+            expect(await userIdentityRepository.findByUserAndProvider(otherUser.id, 'google')).not.toBeNull();
+        });
+    });
+});
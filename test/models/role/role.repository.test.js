@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, beforeAll, afterAll, vi } from 'vitest';
+import roleRepository from '../../../models/role/role.repository.js';
+import Role, { Permission, RolePermission, UserRole } from '../../../models/role/role.model.js';
+import User from '../../../models/user/user.model.js';
+import { setupTestDatabase, cleanupTestDatabase, closeDatabase, createTestUserData } from '../../setup.js';
+
+describe('RoleRepository', () => {
+    let user;
+
+    beforeAll(async () => {
+        await setupTestDatabase();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await cleanupTestDatabase();
+        // 通用清理不包含角色和权限表
+        await RolePermission.destroy({ where: {} });
+        await Role.destroy({ where: {} });
+        await Permission.destroy({ where: {} });
+        user = await User.create(createTestUserData());
+    });
+
+    describe('findAll', () => {
+        it('应该按名称返回全部角色并包含权限', async () => {
+            const read = await roleRepository.upsertPermission('users:read', '查看用户');
+            await roleRepository.upsertSystemRole('user', '普通用户', []);
+            await roleRepository.upsertSystemRole('admin', '系统管理员', [read]);
+
+            const roles = await roleRepository.findAll();
+
+            expect(roles.map(role => role.name)).toEqual(['admin', 'user']);
+            expect(roles[0].permissions.map(permission => permission.name)).toEqual(['users:read']);
+            expect(roles[1].permissions).toEqual([]);
+        });
+
+        it('应该在查询失败时抛出带上下文的错误', async () => {
+            vi.spyOn(Role, 'findAll').mockRejectedValueOnce(new Error('连接断开'));
+
+            await expect(roleRepository.findAll()).rejects.toThrow('获取角色列表失败');
+        });
+    });
+
+    describe('findByName', () => {
+        it('应该根据名称查找角色', async () => {
+            const admin = await roleRepository.upsertSystemRole('admin', '系统管理员', []);
+
+            expect((await roleRepository.findByName('admin')).id).toBe(admin.id);
+            expect(await roleRepository.findByName('missing')).toBeNull();
+        });
+    });
+
+    describe('findUserRoles', () => {
+        it('应该只返回该用户拥有的角色及其权限', async () => {
+            const otherUser = await User.create(createTestUserData({ username: 'other', email: 'other@example.com' }));
+            const read = await roleRepository.upsertPermission('users:read', '查看用户');
+            const admin = await roleRepository.upsertSystemRole('admin', '系统管理员', [read]);
+            const member = await roleRepository.upsertSystemRole('user', '普通用户', []);
+            await roleRepository.assignToUser(user.id, admin.id);
+            await roleRepository.assignToUser(otherUser.id, member.id);
+
+            const roles = await roleRepository.findUserRoles(user.id);
+
+            expect(roles.map(role => role.name)).toEqual(['admin']);
+            expect(roles[0].permissions.map(permission => permission.name)).toEqual(['users:read']);
+        });
+    });
+
+    describe('assignToUser', () => {
+        it('应该新增关联并记录操作人', async () => {
+            const operator = await User.create(createTestUserData({ username: 'operator', email: 'operator@example.com' }));
+            const admin = await roleRepository.upsertSystemRole('admin', '系统管理员', []);
+
+            expect(await roleRepository.assignToUser(user.id, admin.id, operator.id)).toBe(true);
+
+            const link = await UserRole.findOne({ where: { user_id: user.id, role_id: admin.id } });
+            expect(link.granted_by).toBe(operator.id);
+        });
+
+        it('应该在已拥有角色时返回false且不重复关联', async () => {
+            const admin = await roleRepository.upsertSystemRole('admin', '系统管理员', []);
+            await roleRepository.assignToUser(user.id, admin.id);
+
+            expect(await roleRepository.assignToUser(user.id, admin.id)).toBe(false);
+            expect(await UserRole.count({ where: { user_id: user.id } })).toBe(1);
+        });
+    });
+
+    describe('removeFromUser', () => {
+        it('应该删除用户角色关联', async () => {
+            const admin = await roleRepository.upsertSystemRole('admin', '系统管理员', []);
+            await roleRepository.assignToUser(user.id, admin.id);
+
+            expect(await roleRepository.removeFromUser(user.id, admin.id)).toBe(true);
+            expect(await roleRepository.removeFromUser(user.id, admin.id)).toBe(false);
+            expect(await UserRole.count({ where: { user_id: user.id } })).toBe(0);
+        });
+    });
+
+    describe('countUsersWithRole', () => {
+        it('应该统计角色用户数', async () => {
+            const otherUser = await User.create(createTestUserData({ username: 'other', email: 'other@example.com' }));
+            const admin = await roleRepository.upsertSystemRole('admin', '系统管理员', []);
+            const member = await roleRepository.upsertSystemRole('user', '普通用户', []);
+            await roleRepository.assignToUser(user.id, admin.id);
+            await roleRepository.assignToUser(otherUser.id, admin.id);
+            await roleRepository.assignToUser(otherUser.id, member.id);
+
+            expect(await roleRepository.countUsersWithRole(admin.id)).toBe(2);
+            expect(await roleRepository.countUsersWithRole(member.id)).toBe(1);
+        });
+    });
+
+    describe('upsertPermission', () => {
+        it('应该创建不存在的权限', async () => {
+            const permission = await roleRepository.upsertPermission('users:delete', '删除任意用户');
+
+            const saved = await Permission.findByPk(permission.id);
+            expect(saved.name).toBe('users:delete');
+            expect(saved.description).toBe('删除任意用户');
+        });
+
+        it('应该在描述变化时更新已有权限', async () => {
+            const created = await roleRepository.upsertPermission('users:delete', '旧描述');
+
+            const updated = await roleRepository.upsertPermission('users:delete', '删除任意用户');
+
+            expect(updated.id).toBe(created.id);
+            expect(await Permission.count()).toBe(1);
+            expect((await Permission.findByPk(created.id)).description).toBe('删除任意用户');
+        });
+    });
+
+    describe('upsertSystemRole', () => {
+        it('应该写入系统角色并同步权限', async () => {
+            const read = await roleRepository.upsertPermission('users:read', '查看用户');
+            const remove = await roleRepository.upsertPermission('users:delete', '删除任意用户');
+            await Role.create({ name: 'admin', description: '旧描述', is_system: false });
+
+            await roleRepository.upsertSystemRole('admin', '系统管理员', [read, remove]);
+            const role = await roleRepository.upsertSystemRole('admin', '系统管理员', [read]);
+
+            const saved = await Role.findByPk(role.id, { include: [{ model: Permission, as: 'permissions' }] });
+            expect(saved.description).toBe('系统管理员');
+            expect(saved.is_system).toBe(true);
+            expect(saved.permissions.map(permission => permission.name)).toEqual(['users:read']);
+            expect(await Role.count()).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,198 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import roleService from '../../../models/role/role.service.js';
+import roleRepository from '../../../models/role/role.repository.js';
+import userRepository from '../../../models/user/user.repository.js';
+import { rbacConfig } from '../../../config/app.config.js';
+
+// Mock dependencies
+vi.mock('../../../models/role/role.repository.js');
+vi.mock('../../../models/user/user.repository.js');
+
+const adminRole = {
+    id: 1,
+    name: 'admin',
+    description: '系统管理员',
+    is_system: true,
+    permissions: [{ name: 'users:delete' }, { name: 'roles:assign' }]
+};
+
+const userRole = {
+    id: 2,
+    name: 'user',
+    description: '普通用户',
+    is_system: true,
+    permissions: []
+};
+
+describe('RoleService', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('ensureDefaultRoles', () => {
+        it('应该写入配置中的全部权限和角色', async () => {
+            roleRepository.upsertPermission.mockImplementation(async (name) => ({ name }));
+
+            await roleService.ensureDefaultRoles();
+
+            expect(roleRepository.upsertPermission).toHaveBeenCalledTimes(Object.keys(rbacConfig.permissions).length);
+            expect(roleRepository.upsertSystemRole).toHaveBeenCalledTimes(Object.keys(rbacConfig.roles).length);
+
+            const adminCall = roleRepository.upsertSystemRole.mock.calls.find(([name]) => name === 'admin');
+            expect(adminCall[2].map((permission) => permission.name)).toEqual(rbacConfig.roles.admin.permissions);
+        });
+
+        it('应该在写入失败时直接抛出', async () => {
+            roleRepository.upsertPermission.mockRejectedValue(new Error('写入权限失败'));
+
+            await expect(roleService.ensureDefaultRoles()).rejects.toThrow('写入权限失败');
+        });
+    });
+
+    describe('getRoles', () => {
+        it('应该返回角色及权限名', async () => {
+            roleRepository.findAll.mockResolvedValue([adminRole]);
+
+            const roles = await roleService.getRoles();
+
+            expect(roles).toEqual([{
+                id: 1,
+                name: 'admin',
+                description: '系统管理员',
+                is_system: true,
+                permissions: ['users:delete', 'roles:assign']
+            }]);
+        });
+    });
+
+    describe('getUserRoles', () => {
+        it('应该返回用户的角色', async () => {
+            userRepository.findById.mockResolvedValue({ id: 1 });
+            roleRepository.findUserRoles.mockResolvedValue([userRole]);
+
+            const roles = await roleService.getUserRoles(1);
+
+            expect(roles[0].name).toBe('user');
+        });
+
+        it('应该在用户不存在时抛出404错误', async () => {
+            userRepository.findById.mockResolvedValue(null);
+
+            await expect(roleService.getUserRoles(999)).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
+        });
+    });
+
+    describe('getUserPermissions', () => {
+        it('应该合并并去重多个角色的权限', async () => {
+            roleRepository.findUserRoles.mockResolvedValue([
+                adminRole,
+                { ...userRole, permissions: [{ name: 'users:delete' }] }
+            ]);
+
+            const permissions = await roleService.getUserPermissions(1);
+
+            expect(permissions).toEqual(['users:delete', 'roles:assign']);
+        });
+    });
+
+    describe('assignRole', () => {
+        it('应该为用户授予角色', async () => {
+            userRepository.findById.mockResolvedValue({ id: 5 });
+            roleRepository.findByName.mockResolvedValue(adminRole);
+            roleRepository.assignToUser.mockResolvedValue(true);
+
+            await roleService.assignRole(5, 'admin', 1);
+
+            expect(roleRepository.assignToUser).toHaveBeenCalledWith(5, 1, 1);
+        });
+
+        it('应该在缺少角色名时抛出400错误', async () => {
+            await expect(roleService.assignRole(5, undefined, 1)).rejects.toMatchObject({
+                status: 400,
+                messageKey: 'role.nameRequired'
+            });
+        });
+
+        it('应该在用户不存在时抛出404错误', async () => {
+            userRepository.findById.mockResolvedValue(null);
+
+            await expect(roleService.assignRole(999, 'admin', 1)).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
+        });
+
+        it('应该在角色不存在时抛出404错误', async () => {
+            userRepository.findById.mockResolvedValue({ id: 5 });
+            roleRepository.findByName.mockResolvedValue(null);
+
+            await expect(roleService.assignRole(5, 'ghost', 1)).rejects.toMatchObject({
+                status: 404,
+                code: 'ROLE_NOT_FOUND',
+                details: [{ field: 'role', message: { key: 'role.notFoundDetail', params: { role: 'ghost' } } }]
+            });
+        });
+
+        it('应该在用户已拥有角色时抛出409错误', async () => {
+            userRepository.findById.mockResolvedValue({ id: 5 });
+            roleRepository.findByName.mockResolvedValue(adminRole);
+            roleRepository.assignToUser.mockResolvedValue(false);
+
+            await expect(roleService.assignRole(5, 'admin', 1)).rejects.toMatchObject({
+                status: 409,
+                code: 'ROLE_ALREADY_ASSIGNED',
+                messageKey: 'role.alreadyAssigned'
+            });
+        });
+    });
+
+    describe('revokeRole', () => {
+        it('应该撤销用户角色', async () => {
+            roleRepository.findByName.mockResolvedValue(userRole);
+            roleRepository.findUserRoles.mockResolvedValue([userRole]);
+
+            await roleService.revokeRole(5, 'user');
+
+            expect(roleRepository.removeFromUser).toHaveBeenCalledWith(5, 2);
+        });
+
+        it('应该在用户未拥有角色时抛出404错误', async () => {
+            roleRepository.findByName.mockResolvedValue(adminRole);
+            roleRepository.findUserRoles.mockResolvedValue([userRole]);
+
+            await expect(roleService.revokeRole(5, 'admin')).rejects.toMatchObject({
+                status: 404,
+                code: 'ROLE_NOT_ASSIGNED'
+            });
+            expect(roleRepository.countUsersWithRole).not.toHaveBeenCalled();
+        });
+
+        it('应该禁止撤销最后一个管理员', async () => {
+            roleRepository.findByName.mockResolvedValue(adminRole);
+            roleRepository.findUserRoles.mockResolvedValue([adminRole]);
+            roleRepository.countUsersWithRole.mockResolvedValue(1);
+
+            await expect(roleService.revokeRole(1, 'admin')).rejects.toMatchObject({
+                status: 409,
+                code: 'LAST_ADMIN'
+            });
+            expect(roleRepository.removeFromUser).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('assignDefaultRole', () => {
+        it('应该分配配置中的默认角色', async () => {
+            roleRepository.findByName.mockResolvedValue(userRole);
+
+            const assigned = await roleService.assignDefaultRole(7);
+
+            expect(assigned).toBe(true);
+            expect(roleRepository.findByName).toHaveBeenCalledWith(rbacConfig.defaultRole);
+            expect(roleRepository.assignToUser).toHaveBeenCalledWith(7, 2);
+        });
+
+        it('应该在默认角色未初始化时跳过', async () => {
+            roleRepository.findByName.mockResolvedValue(null);
+
+            expect(await roleService.assignDefaultRole(7)).toBe(false);
+            expect(roleRepository.assignToUser).not.toHaveBeenCalled();
+        });
+    });
+});
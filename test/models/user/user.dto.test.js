@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+    WRITE_SCOPES,
+    USER_WRITABLE_FIELDS,
+    pickWritableFields,
+    toUserCreateInput,
+    toUserUpdateInput
+} from '../../../models/user/user.dto.js';
+import { ValidationError } from '../../../errors/app.error.js';
+
+describe('User DTO', () => {
+    const systemFields = {
+        email_verified: true,
+        status: 'active',
+        login_count: 100,
+        last_login_ip: '1.2.3.4',
+        password_hash: '$2b$12$hash'
+    };
+
+    describe('pickWritableFields', () => {
+        it('应该只保留允许的字段', () => {
+            expect(pickWritableFields({ a: 1, b: 2, c: 3 }, ['a', 'c'], { policy: 'strip' })).toEqual({ a: 1, c: 3 });
+        });
+
+        it('应该在 reject 策略下列出所有不可写字段', () => {
+            const error = (() => {
+                try {
+                    pickWritableFields({ a: 1, b: 2, c: 3 }, ['a'], { policy: 'reject' });
+                } catch (caught) {
+                    return caught;
+                }
+            })();
+
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.code).toBe('FIELD_NOT_WRITABLE');
+            expect(error.details).toEqual([
+                { field: 'b', message: 'validation.notWritable' },
+                { field: 'c', message: 'validation.notWritable' }
+            ]);
+        });
+
+        it('应该在没有不可写字段时不受策略影响', () => {
+            expect(pickWritableFields({ a: 1 }, ['a'], { policy: 'reject' })).toEqual({ a: 1 });
+            expect(pickWritableFields(undefined, ['a'], { policy: 'reject' })).toEqual({});
+        });
+
+        it('应该默认使用配置中的策略（strip）', () => {
+            expect(pickWritableFields({ a: 1, b: 2 }, ['a'])).toEqual({ a: 1 });
+        });
+
+        it('应该返回新对象而不修改输入', () => {
+            const input = { a: 1, b: 2 };
+            pickWritableFields(input, ['a']);
+            expect(input).toEqual({ a: 1, b: 2 });
+        });
+    });
+
+    describe('toUserCreateInput', () => {
+        it('应该丢弃注册时的系统字段', () => {
+            const input = { username: 'alice', email: 'a@example.com', password: 'Password123!', full_name: 'Alice', ...systemFields };
+
+            expect(toUserCreateInput(input)).toEqual({
+                username: 'alice',
+                email: 'a@example.com',
+                password: 'Password123!',
+                full_name: 'Alice'
+            });
+        });
+
+        it('应该允许管理员创建时设置账户状态', () => {
+            expect(toUserCreateInput({ username: 'bob', status: 'inactive', email_verified: true }, WRITE_SCOPES.ADMIN))
+                .toEqual({ username: 'bob', status: 'inactive' });
+        });
+    });
+
+    describe('toUserUpdateInput', () => {
+        it('应该只允许本人修改个人资料', () => {
+            const input = { full_name: 'Alice', phone: '13800138000', password: 'x', id: 5, ...systemFields };
+
+            expect(toUserUpdateInput(input, WRITE_SCOPES.SELF)).toEqual({ full_name: 'Alice', phone: '13800138000' });
+        });
+
+        it('应该允许管理员修改账户状态但不允许修改系统字段', () => {
+            expect(toUserUpdateInput({ full_name: 'Alice', ...systemFields }, WRITE_SCOPES.ADMIN))
+                .toEqual({ full_name: 'Alice', status: 'active' });
+        });
+
+        it('应该不允许任何身份通过更新写入密码', () => {
+            Object.values(USER_WRITABLE_FIELDS.update).forEach((fields) => {
+                expect(fields).not.toContain('password');
+                expect(fields).not.toContain('password_hash');
+            });
+        });
+    });
+});
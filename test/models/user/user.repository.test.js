@@ -166,13 +166,50 @@ describe('用户数据访问层测试', () => {
 
             const result = await userRepository.findAll({
                 page: 1,
-                limit: 10
+                limit: 10,
+                search: 'JOHN'
             });
 
-            // 由于 findAll 方法没有实现搜索功能，这里验证返回所有用户
-            expect(result.users).toHaveLength(2);
-            expect(result.users.some(user => user.username === 'johndoe')).toBe(true);
-            expect(result.users.some(user => user.username === 'janesmith')).toBe(true);
+            expect(result.users.map(user => user.username)).toEqual(['johndoe']);
+            expect(result.pagination.total).toBe(1);
+        });
+
+        it('应该按状态筛选并与搜索条件同时生效', async () => {
+            await userRepository.create(createTestUserData({ username: 'johndoe', email: 'john@example.com', status: 'active' }));
+            await userRepository.create(createTestUserData({ username: 'johnny', email: 'johnny@example.com', status: 'suspended' }));
+            await userRepository.create(createTestUserData({ username: 'janesmith', email: 'jane@example.com', status: 'suspended' }));
+
+            const suspended = await userRepository.findAll({ status: 'suspended', sortBy: 'username' });
+            const suspendedJohns = await userRepository.findAll({ status: 'suspended', search: 'john' });
+
+            expect(suspended.users.map(user => user.username)).toEqual(['janesmith', 'johnny']);
+            expect(suspendedJohns.users.map(user => user.username)).toEqual(['johnny']);
+        });
+    });
+
+    describe('search', () => {
+        it('应该按用户名、姓名或邮箱模糊匹配且不区分大小写', async () => {
+            await userRepository.create(createTestUserData({ username: 'alice', email: 'alice@example.com', full_name: 'Alice Wang' }));
+            await userRepository.create(createTestUserData({ username: 'bob', email: 'bob@corp.com', full_name: 'Bob Li' }));
+
+            const byName = await userRepository.search('WANG');
+            const byEmail = await userRepository.search('corp');
+
+            expect(byName.users.map(user => user.username)).toEqual(['alice']);
+            expect(byEmail.users.map(user => user.username)).toEqual(['bob']);
+            expect(byEmail.pagination.total).toBe(1);
+        });
+
+        it('应该按指定字段和方向排序', async () => {
+            await userRepository.create(createTestUserData({ username: 'alice', email: 'alice@example.com' }));
+            await userRepository.create(createTestUserData({ username: 'carol', email: 'carol@example.com' }));
+            await userRepository.create(createTestUserData({ username: 'bob', email: 'bob@example.com' }));
+
+            const ascending = await userRepository.search('example', { sortBy: 'username', sortOrder: 'ASC' });
+            const descending = await userRepository.search('example', { sortBy: 'username', sortOrder: 'DESC' });
+
+            expect(ascending.users.map(user => user.username)).toEqual(['alice', 'bob', 'carol']);
+            expect(descending.users.map(user => user.username)).toEqual(['carol', 'bob', 'alice']);
         });
     });
 
@@ -192,6 +229,22 @@ describe('用户数据访问层测试', () => {
             const result = await userRepository.update(999999, { full_name: '测试' });
             expect(result).toBe(null);
         });
+
+        it('应该在数据未变化时仍返回用户', async () => {
+            const user = await userRepository.create(createTestUserData());
+
+            const result = await userRepository.update(user.id, { full_name: user.full_name });
+
+            expect(result.id).toBe(user.id);
+        });
+
+        it('应该在更新时执行模型钩子', async () => {
+            const user = await userRepository.create(createTestUserData());
+
+            const result = await userRepository.update(user.id, { email: 'Changed@Example.com' });
+
+            expect(result.email).toBe('changed@example.com');
+        });
     });
 
     describe('softDelete', () => {
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import User from '../../../models/user/user.model.js';
+import {
+    USER_VIEWS,
+    USER_VIEW_DEFINITIONS,
+    SECRET_FIELDS,
+    FIELD_ATTRIBUTES,
+    selectUserView,
+    getViewIncludes,
+    serializeUser,
+    serializeUserFor
+} from '../../../models/user/user.serializer.js';
+
+describe('User Serializer', () => {
+    const user = {
+        id: 1,
+        username: 'testuser',
+        email: 'test@example.com',
+        full_name: 'Test User',
+        status: 'active',
+        password_hash: '$2b$12$hash',
+        last_login_ip: '1.2.3.4',
+        login_count: 3,
+        metadata: { source: 'import' }
+    };
+
+    describe('视图定义', () => {
+        it('应该在任何视图中都不包含敏感字段', () => {
+            for (const view of Object.values(USER_VIEWS)) {
+                const data = serializeUser(user, view);
+
+                SECRET_FIELDS.forEach((field) => expect(data).not.toHaveProperty(field));
+            }
+        });
+
+        it('应该让导出视图覆盖用户表中除敏感字段外的全部字段', () => {
+            const attributes = Object.keys(User.getAttributes())
+                .filter((attribute) => !SECRET_FIELDS.includes(attribute) && attribute !== 'deletedAt');
+            const exported = USER_VIEW_DEFINITIONS[USER_VIEWS.EXPORT].fields
+                .map((field) => FIELD_ATTRIBUTES[field] || field);
+
+            expect(exported.sort()).toEqual(attributes.sort());
+        });
+
+        it('应该让权限更高的视图包含权限更低视图的全部字段', () => {
+            const fields = (view) => USER_VIEW_DEFINITIONS[view].fields;
+
+            expect(fields(USER_VIEWS.SELF)).toEqual(expect.arrayContaining([...fields(USER_VIEWS.PUBLIC)]));
+            expect(fields(USER_VIEWS.ADMIN)).toEqual(expect.arrayContaining([...fields(USER_VIEWS.SELF)]));
+        });
+    });
+
+    describe('selectUserView', () => {
+        it('应该按调用者身份选择视图', () => {
+            expect(selectUserView(null, user)).toBe(USER_VIEWS.PUBLIC);
+            expect(selectUserView({ id: null, canManage: false }, user)).toBe(USER_VIEWS.PUBLIC);
+            expect(selectUserView({ id: 2, canManage: false }, user)).toBe(USER_VIEWS.PUBLIC);
+            expect(selectUserView({ id: 1, canManage: false }, user)).toBe(USER_VIEWS.SELF);
+            expect(selectUserView({ id: 2, canManage: true }, user)).toBe(USER_VIEWS.ADMIN);
+        });
+    });
+
+    describe('serializeUser', () => {
+        it('应该默认输出公开视图', () => {
+            expect(serializeUser(user)).toEqual({ id: 1, username: 'testuser', full_name: 'Test User' });
+        });
+
+        it('应该从模型的时间戳属性读取 created_at 和 updated_at', () => {
+            const createdAt = new Date('2026-01-01T00:00:00Z');
+
+            expect(serializeUser({ ...user, createdAt, updatedAt: createdAt }, USER_VIEWS.SELF)).toMatchObject({
+                created_at: createdAt,
+                updated_at: createdAt
+            });
+        });
+
+        it('应该只向管理员输出登录统计和元数据', () => {
+            expect(serializeUser(user, USER_VIEWS.SELF)).not.toHaveProperty('last_login_ip');
+            expect(serializeUser(user, USER_VIEWS.ADMIN)).toMatchObject({
+                last_login_ip: '1.2.3.4',
+                login_count: 3,
+                metadata: { source: 'import' }
+            });
+        });
+
+        it('应该只输出已加载且视图允许的关联资源', () => {
+            const withAssociations = {
+                ...user,
+                roles: [{ name: 'admin', description: '系统管理员', UserRole: { granted_by: 1 } }],
+                sessions: [{ getPublicInfo: () => ({ id: 's1', current: false }) }],
+                apiKeys: [{ getPublicInfo: () => ({ id: 2, prefix: 'ak_abc' }) }]
+            };
+
+            expect(serializeUser(withAssociations, USER_VIEWS.PUBLIC)).not.toHaveProperty('roles');
+            expect(serializeUser(withAssociations, USER_VIEWS.SELF)).toMatchObject({
+                roles: [{ name: 'admin', description: '系统管理员' }]
+            });
+            expect(serializeUser(withAssociations, USER_VIEWS.SELF)).not.toHaveProperty('sessions');
+
+            const exported = serializeUser(withAssociations, USER_VIEWS.EXPORT);
+            expect(exported.roles).toEqual([{ name: 'admin', description: '系统管理员' }]);
+            expect(exported.sessions).toEqual([{ id: 's1', current: false }]);
+            expect(exported.api_keys).toEqual([{ id: 2, prefix: 'ak_abc' }]);
+            // 未加载的关联不输出
+            expect(exported).not.toHaveProperty('identities');
+        });
+
+        it('应该拒绝未知的视图', () => {
+            expect(() => serializeUser(user, 'raw')).toThrow('未知的用户视图: raw');
+            expect(() => getViewIncludes('raw')).toThrow('未知的用户视图: raw');
+        });
+    });
+
+    describe('serializeUserFor', () => {
+        it('应该按调用者身份序列化', () => {
+            expect(serializeUserFor(user, { id: 1, canManage: false }).email).toBe('test@example.com');
+            expect(serializeUserFor(user, { id: 2, canManage: false })).not.toHaveProperty('email');
+        });
+    });
+});
@@ -1,13 +1,30 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import userService from '../../../models/user/user.service.js';
 import userRepository from '../../../models/user/user.repository.js';
-import * as userValidation from '../../../models/user/user.validation.js';
+import roleService from '../../../models/role/role.service.js';
+import emailVerificationService from '../../../models/auth/email-verification.service.js';
+import passwordHistoryService from '../../../models/auth/password-history.service.js';
+import sessionService from '../../../models/auth/session.service.js';
+import loginThrottleService from '../../../models/auth/login-throttle.service.js';
+import loginHistoryService from '../../../models/auth/login-history.service.js';
+import twoFactorService from '../../../models/auth/two-factor.service.js';
+import { ValidationError, NotFoundError, ConflictError } from '../../../errors/app.error.js';
+import { logger } from '../../../infrastructure/logger.infrastructure.js';
 import bcrypt from 'bcrypt';
 
 // Mock dependencies
 vi.mock('../../../models/user/user.repository.js');
-vi.mock('../../../models/user/user.validation.js');
+vi.mock('../../../models/role/role.service.js');
+vi.mock('../../../models/auth/email-verification.service.js');
+vi.mock('../../../models/auth/password-history.service.js');
+vi.mock('../../../models/auth/session.service.js');
+vi.mock('../../../models/auth/login-throttle.service.js');
+vi.mock('../../../models/auth/login-history.service.js');
+vi.mock('../../../models/auth/two-factor.service.js');
 vi.mock('bcrypt');
+vi.mock('../../../infrastructure/logger.infrastructure.js', () => ({
+    logger: { error: vi.fn() }
+}));
 
 describe('UserService', () => {
     beforeEach(() => {
@@ -23,11 +40,6 @@ describe('UserService', () => {
         };
 
         it('应该成功创建用户', async () => {
-            // Mock validation
-            userValidation.validateUserCreation.mockReturnValue({
-                isValid: true,
-                errors: []
-            });
 
             // Mock repository methods
             userRepository.isUsernameExists.mockResolvedValue(false);
@@ -35,12 +47,7 @@ describe('UserService', () => {
             userRepository.create.mockResolvedValue({
                 id: 1,
                 username: 'testuser',
-                email: 'test@example.com',
-                getPublicInfo: () => ({
-                    id: 1,
-                    username: 'testuser',
-                    email: 'test@example.com'
-                })
+                email: 'test@example.com'
             });
 
             // Mock bcrypt
@@ -48,9 +55,7 @@ describe('UserService', () => {
 
             const result = await userService.createUser(mockUserData);
 
-            expect(result.success).toBe(true);
-            expect(result.message).toBe('用户创建成功');
-            expect(result.data).toEqual({
+            expect(result).toEqual({
                 id: 1,
                 username: 'testuser',
                 email: 'test@example.com'
@@ -61,132 +66,136 @@ describe('UserService', () => {
                 password_hash: 'hashedpassword',
                 full_name: 'Test User'
             });
+            expect(roleService.assignDefaultRole).toHaveBeenCalledWith(1);
+            expect(passwordHistoryService.record).toHaveBeenCalledWith(1, 'hashedpassword');
+            expect(emailVerificationService.sendVerificationEmail).toHaveBeenCalledWith(
+                expect.objectContaining({ id: 1, email: 'test@example.com' })
+            );
         });
 
-        it('应该在数据验证失败时返回错误', async () => {
-            userValidation.validateUserCreation.mockReturnValue({
-                isValid: false,
-                errors: ['用户名不能为空']
-            });
+        it('应该在验证邮件发送失败时仍完成注册并记录错误日志', async () => {
+            const error = new Error('SMTP down');
+            userRepository.isUsernameExists.mockResolvedValue(false);
+            userRepository.isEmailExists.mockResolvedValue(false);
+            userRepository.create.mockResolvedValue({ id: 1, username: 'testuser', email: 'test@example.com' });
+            bcrypt.hash.mockResolvedValue('hashedpassword');
+            emailVerificationService.sendVerificationEmail.mockRejectedValue(error);
 
             const result = await userService.createUser(mockUserData);
 
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('数据验证失败');
-            expect(result.errors).toEqual(['用户名不能为空']);
+            expect(result).toMatchObject({ id: 1, username: 'testuser' });
+            expect(logger.error).toHaveBeenCalledWith('发送验证邮件失败', { component: 'user', userId: 1, error });
         });
 
-        it('应该在用户名已存在时返回错误', async () => {
-            userValidation.validateUserCreation.mockReturnValue({
-                isValid: true,
-                errors: []
+        it('应该丢弃注册时提交的系统字段', async () => {
+            userRepository.isUsernameExists.mockResolvedValue(false);
+            userRepository.isEmailExists.mockResolvedValue(false);
+            userRepository.create.mockResolvedValue({ id: 1 });
+            bcrypt.hash.mockResolvedValue('hashedpassword');
+
+            await userService.createUser({
+                ...mockUserData,
+                email_verified: true,
+                status: 'active',
+                password_hash: 'attacker-hash',
+                last_login_ip: '1.2.3.4'
+            });
+
+            expect(userRepository.create).toHaveBeenCalledWith({
+                username: 'testuser',
+                email: 'test@example.com',
+                full_name: 'Test User',
+                password_hash: 'hashedpassword'
             });
+        });
+
+        it('应该在用户名已存在时抛出错误', async () => {
             userRepository.isUsernameExists.mockResolvedValue(true);
 
-            const result = await userService.createUser(mockUserData);
+            const error = await userService.createUser(mockUserData).catch((e) => e);
 
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('用户名已存在');
-            expect(result.errors).toEqual(['用户名已被使用']);
+            expect(error).toBeInstanceOf(ConflictError);
+            expect(error).toMatchObject({ status: 409, code: 'USERNAME_TAKEN', messageKey: 'user.usernameTaken' });
+            expect(error.details).toEqual([{ field: 'username', message: 'user.usernameInUse' }]);
         });
 
-        it('应该在邮箱已存在时返回错误', async () => {
-            userValidation.validateUserCreation.mockReturnValue({
-                isValid: true,
-                errors: []
-            });
+        it('应该在邮箱已存在时抛出错误', async () => {
             userRepository.isUsernameExists.mockResolvedValue(false);
             userRepository.isEmailExists.mockResolvedValue(true);
 
-            const result = await userService.createUser(mockUserData);
+            const error = await userService.createUser(mockUserData).catch((e) => e);
 
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('邮箱已存在');
-            expect(result.errors).toEqual(['邮箱地址已被使用']);
+            expect(error).toBeInstanceOf(ConflictError);
+            expect(error).toMatchObject({ code: 'EMAIL_TAKEN', messageKey: 'user.emailTaken' });
+            expect(error.details).toEqual([{ field: 'email', message: 'user.emailInUse' }]);
         });
 
-        it('应该在创建过程中出现异常时返回错误', async () => {
-            userValidation.validateUserCreation.mockReturnValue({
-                isValid: true,
-                errors: []
-            });
+        it('应该在创建过程中出现异常时直接抛出', async () => {
             userRepository.isUsernameExists.mockResolvedValue(false);
             userRepository.isEmailExists.mockResolvedValue(false);
             userRepository.create.mockRejectedValue(new Error('数据库错误'));
 
-            const result = await userService.createUser(mockUserData);
-
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('创建用户失败');
-            expect(result.errors).toEqual(['数据库错误']);
+            await expect(userService.createUser(mockUserData)).rejects.toThrow('数据库错误');
         });
     });
 
     describe('getUserById', () => {
-        it('应该成功获取用户信息（公开信息）', async () => {
-            const mockUser = {
-                id: 1,
-                username: 'testuser',
-                getPublicInfo: () => ({
-                    id: 1,
-                    username: 'testuser',
-                    email: 'test@example.com'
-                })
-            };
+        const mockUser = {
+            id: 1,
+            username: 'testuser',
+            email: 'test@example.com',
+            password_hash: 'hashedpassword',
+            login_count: 3,
+            roles: [{ name: 'user', description: '普通用户' }]
+        };
 
+        it('应该向其他用户返回公开信息', async () => {
             userRepository.findById.mockResolvedValue(mockUser);
 
-            const result = await userService.getUserById(1);
+            const result = await userService.getUserById(1, { viewer: { id: 2, canManage: false } });
 
-            expect(result.success).toBe(true);
-            expect(result.message).toBe('获取用户信息成功');
-            expect(result.data).toEqual({
-                id: 1,
-                username: 'testuser',
-                email: 'test@example.com'
-            });
+            expect(userRepository.findById).toHaveBeenCalledWith(1, { include: [] });
+            expect(result).toEqual({ id: 1, username: 'testuser' });
+            expect(result).not.toHaveProperty('email');
         });
 
-        it('应该成功获取用户信息（包含私有信息）', async () => {
-            const mockUser = {
+        it('应该向本人返回完整资料和角色', async () => {
+            userRepository.findById.mockResolvedValue(mockUser);
+
+            const result = await userService.getUserById(1, { viewer: { id: 1, canManage: false } });
+
+            expect(userRepository.findById).toHaveBeenCalledWith(1, { include: ['roles'] });
+            expect(result).toEqual({
                 id: 1,
                 username: 'testuser',
                 email: 'test@example.com',
-                password_hash: 'hashedpassword',
-                getPublicInfo: () => ({
-                    id: 1,
-                    username: 'testuser',
-                    email: 'test@example.com'
-                })
-            };
+                roles: [{ name: 'user', description: '普通用户' }]
+            });
+            expect(result).not.toHaveProperty('login_count');
+        });
 
+        it('应该向管理员返回管理视图且不包含密码哈希', async () => {
             userRepository.findById.mockResolvedValue(mockUser);
 
-            const result = await userService.getUserById(1, true);
+            const result = await userService.getUserById(1, { viewer: { id: 2, canManage: true } });
 
-            expect(result.success).toBe(true);
-            expect(result.message).toBe('获取用户信息成功');
-            expect(result.data).toBe(mockUser);
+            expect(result.login_count).toBe(3);
+            expect(result).not.toHaveProperty('password_hash');
         });
 
-        it('应该在用户不存在时返回错误', async () => {
+        it('应该在用户不存在时抛出错误', async () => {
             userRepository.findById.mockResolvedValue(null);
 
-            const result = await userService.getUserById(999);
+            const error = await userService.getUserById(999).catch((e) => e);
 
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('用户不存在');
-            expect(result.data).toBe(null);
+            expect(error).toBeInstanceOf(NotFoundError);
+            expect(error).toMatchObject({ status: 404, code: 'USER_NOT_FOUND', messageKey: 'user.notFound' });
         });
 
-        it('应该在查询过程中出现异常时返回错误', async () => {
+        it('应该在查询过程中出现异常时直接抛出', async () => {
             userRepository.findById.mockRejectedValue(new Error('数据库错误'));
 
-            const result = await userService.getUserById(1);
-
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('获取用户信息失败');
-            expect(result.errors).toEqual(['数据库错误']);
+            await expect(userService.getUserById(1)).rejects.toThrow('数据库错误');
         });
     });
 
@@ -194,45 +203,61 @@ describe('UserService', () => {
         it('应该成功根据用户名获取用户信息', async () => {
             const mockUser = {
                 id: 1,
-                username: 'testuser',
-                getPublicInfo: () => ({
-                    id: 1,
-                    username: 'testuser',
-                    email: 'test@example.com'
-                })
+                username: 'testuser'
             };
 
             userRepository.findByUsername.mockResolvedValue(mockUser);
 
             const result = await userService.getUserByUsername('testuser');
 
-            expect(result.success).toBe(true);
-            expect(result.message).toBe('获取用户信息成功');
-            expect(result.data).toEqual({
+            expect(result).toEqual({
                 id: 1,
-                username: 'testuser',
-                email: 'test@example.com'
+                username: 'testuser'
             });
         });
 
-        it('应该在用户不存在时返回错误', async () => {
+        it('应该在用户不存在时抛出错误', async () => {
             userRepository.findByUsername.mockResolvedValue(null);
 
-            const result = await userService.getUserByUsername('nonexistent');
-
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('用户不存在');
-            expect(result.data).toBe(null);
+            await expect(userService.getUserByUsername('nonexistent')).rejects.toBeInstanceOf(NotFoundError);
         });
 
-        it('应该在查询过程中出现异常时返回错误', async () => {
+        it('应该在查询过程中出现异常时直接抛出', async () => {
             userRepository.findByUsername.mockRejectedValue(new Error('数据库错误'));
 
-            const result = await userService.getUserByUsername('testuser');
+            await expect(userService.getUserByUsername('testuser')).rejects.toThrow('数据库错误');
+        });
+    });
 
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('获取用户信息失败');
-            expect(result.errors).toEqual(['数据库错误']);
+    describe('exportUser', () => {
+        it('应该加载全部关联资源并按导出视图输出', async () => {
+            userRepository.findById.mockResolvedValue({
+                id: 1,
+                username: 'testuser',
+                password_hash: 'hashedpassword',
+                metadata: { source: 'import' },
+                sessions: [{ getPublicInfo: () => ({ id: 's1' }) }],
+                apiKeys: []
+            });
+
+            const result = await userService.exportUser(1);
+
+            expect(userRepository.findById).toHaveBeenCalledWith(1, {
+                include: ['roles', 'identities', 'sessions', 'apiKeys', 'loginHistories']
+            });
+            expect(result).toMatchObject({
+                id: 1,
+                metadata: { source: 'import' },
+                sessions: [{ id: 's1' }],
+                api_keys: []
+            });
+            expect(result).not.toHaveProperty('password_hash');
+        });
+
+        it('应该在用户不存在时抛出错误', async () => {
+            userRepository.findById.mockResolvedValue(null);
+
+            await expect(userService.exportUser(999)).rejects.toBeInstanceOf(NotFoundError);
         });
     });
 
@@ -241,13 +266,11 @@ describe('UserService', () => {
             const mockUsers = [
                 {
                     id: 1,
-                    username: 'user1',
-                    getPublicInfo: () => ({ id: 1, username: 'user1' })
+                    username: 'user1'
                 },
                 {
                     id: 2,
-                    username: 'user2',
-                    getPublicInfo: () => ({ id: 2, username: 'user2' })
+                    username: 'user2'
                 }
             ];
 
@@ -261,48 +284,36 @@ describe('UserService', () => {
                 }
             };
 
-            userValidation.validatePaginationParams.mockReturnValue({
-                isValid: true,
-                errors: []
-            });
             userRepository.findAll.mockResolvedValue(mockResult);
 
             const result = await userService.getUserList({ page: 1, limit: 10 });
 
-            expect(result.success).toBe(true);
-            expect(result.message).toBe('获取用户列表成功');
-            expect(result.data.users).toEqual([
+            expect(result.users).toEqual([
                 { id: 1, username: 'user1' },
                 { id: 2, username: 'user2' }
             ]);
-            expect(result.data.pagination).toEqual(mockResult.pagination);
+            expect(result.pagination).toEqual(mockResult.pagination);
         });
 
-        it('应该在分页参数验证失败时返回错误', async () => {
-            userValidation.validatePaginationParams.mockReturnValue({
-                isValid: false,
-                errors: ['页码必须大于0']
+        it('应该按调用者身份逐条选择输出视图', async () => {
+            userRepository.findAll.mockResolvedValue({
+                users: [
+                    { id: 1, username: 'user1', email: 'user1@example.com' },
+                    { id: 2, username: 'user2', email: 'user2@example.com' }
+                ],
+                pagination: {}
             });
 
-            const result = await userService.getUserList({ page: -1 });
+            const result = await userService.getUserList({ page: 1, limit: 10 }, { viewer: { id: 1, canManage: false } });
 
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('分页参数验证失败');
-            expect(result.errors).toEqual(['页码必须大于0']);
+            expect(result.users[0].email).toBe('user1@example.com');
+            expect(result.users[1]).not.toHaveProperty('email');
         });
 
-        it('应该在查询过程中出现异常时返回错误', async () => {
-            userValidation.validatePaginationParams.mockReturnValue({
-                isValid: true,
-                errors: []
-            });
+        it('应该在查询过程中出现异常时直接抛出', async () => {
             userRepository.findAll.mockRejectedValue(new Error('数据库错误'));
 
-            const result = await userService.getUserList();
-
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('获取用户列表失败');
-            expect(result.errors).toEqual(['数据库错误']);
+            await expect(userService.getUserList()).rejects.toThrow('数据库错误');
         });
     });
 
@@ -323,28 +334,16 @@ describe('UserService', () => {
                 id: 1,
                 username: 'testuser',
                 email: 'updated@example.com',
-                full_name: 'Updated Name',
-                getPublicInfo: () => ({
-                    id: 1,
-                    username: 'testuser',
-                    email: 'updated@example.com',
-                    full_name: 'Updated Name'
-                })
+                full_name: 'Updated Name'
             };
 
-            userValidation.validateUserUpdate.mockReturnValue({
-                isValid: true,
-                errors: []
-            });
             userRepository.findById.mockResolvedValue(mockExistingUser);
             userRepository.isEmailExists.mockResolvedValue(false);
             userRepository.update.mockResolvedValue(mockUpdatedUser);
 
-            const result = await userService.updateUser(1, mockUpdateData);
+            const result = await userService.updateUser(1, mockUpdateData, { viewer: { id: 1, canManage: false } });
 
-            expect(result.success).toBe(true);
-            expect(result.message).toBe('用户信息更新成功');
-            expect(result.data).toEqual({
+            expect(result).toEqual({
                 id: 1,
                 username: 'testuser',
                 email: 'updated@example.com',
@@ -352,31 +351,92 @@ describe('UserService', () => {
             });
         });
 
-        it('应该在数据验证失败时返回错误', async () => {
-            userValidation.validateUserUpdate.mockReturnValue({
-                isValid: false,
-                errors: ['邮箱格式不正确']
+        it('应该在邮箱变更后重置验证状态并发送验证邮件', async () => {
+            const mockUpdatedUser = {
+                id: 1,
+                email: 'updated@example.com'
+            };
+
+            userRepository.findById.mockResolvedValue({ id: 1, username: 'testuser', email: 'test@example.com' });
+            userRepository.isEmailExists.mockResolvedValue(false);
+            userRepository.update.mockResolvedValue(mockUpdatedUser);
+
+            await userService.updateUser(1, { email: 'Updated@Example.com' });
+
+            expect(userRepository.update).toHaveBeenCalledWith(1, {
+                email: 'updated@example.com',
+                email_verified: false,
+                email_verified_at: null
             });
+            expect(emailVerificationService.sendVerificationEmail).toHaveBeenCalledWith(mockUpdatedUser);
+        });
 
-            const result = await userService.updateUser(1, mockUpdateData);
+        it('应该在验证邮件发送失败时仍返回更新后的用户', async () => {
+            const error = new Error('SMTP down');
+            userRepository.findById.mockResolvedValue({ id: 1, username: 'testuser', email: 'test@example.com' });
+            userRepository.isEmailExists.mockResolvedValue(false);
+            userRepository.update.mockResolvedValue({ id: 1, email: 'updated@example.com' });
+            emailVerificationService.sendVerificationEmail.mockRejectedValue(error);
 
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('数据验证失败');
-            expect(result.errors).toEqual(['邮箱格式不正确']);
+            const result = await userService.updateUser(1, { email: 'updated@example.com' });
+
+            expect(result).toMatchObject({ id: 1 });
+            expect(logger.error).toHaveBeenCalledWith('发送验证邮件失败', { component: 'user', userId: 1, error });
         });
 
-        it('应该在用户不存在时返回错误', async () => {
-            userValidation.validateUserUpdate.mockReturnValue({
-                isValid: true,
-                errors: []
+        it('应该在邮箱未变更时保留验证状态', async () => {
+            userRepository.findById.mockResolvedValue({ id: 1, username: 'testuser', email: 'test@example.com' });
+            userRepository.update.mockResolvedValue({ id: 1 });
+
+            await userService.updateUser(1, { full_name: 'New Name' });
+
+            expect(userRepository.update).toHaveBeenCalledWith(1, { full_name: 'New Name' });
+            expect(emailVerificationService.sendVerificationEmail).not.toHaveBeenCalled();
+            expect(sessionService.endAllForUser).not.toHaveBeenCalled();
+        });
+
+        it('应该丢弃本人不可写的字段', async () => {
+            userRepository.findById.mockResolvedValue({ id: 1, username: 'testuser', email: 'test@example.com', status: 'active' });
+            userRepository.update.mockResolvedValue({ id: 1 });
+
+            await userService.updateUser(1, {
+                full_name: 'New Name',
+                status: 'suspended',
+                email_verified: true,
+                login_count: 99,
+                password_hash: 'hash'
             });
+
+            expect(userRepository.update).toHaveBeenCalledWith(1, { full_name: 'New Name' });
+            expect(sessionService.endAllForUser).not.toHaveBeenCalled();
+        });
+
+        it('应该在账户被停用时注销全部会话', async () => {
+            userRepository.findById.mockResolvedValue({ id: 1, username: 'testuser', email: 'test@example.com', status: 'active' });
+            userRepository.update.mockResolvedValue({ id: 1 });
+
+            const result = await userService.updateUser(1, { status: 'suspended' }, { scope: 'admin' });
+
+            expect(result).toEqual({ id: 1 });
+            expect(sessionService.endAllForUser).toHaveBeenCalledWith(1);
+        });
+
+        it('应该在账户已处于停用状态时不重复注销会话', async () => {
+            userRepository.findById.mockResolvedValue({ id: 1, username: 'testuser', email: 'test@example.com', status: 'suspended' });
+            userRepository.update.mockResolvedValue({ id: 1 });
+
+            await userService.updateUser(1, { status: 'suspended', full_name: 'New Name' }, { scope: 'admin' });
+
+            expect(sessionService.endAllForUser).not.toHaveBeenCalled();
+        });
+
+        it('应该在用户不存在时抛出错误', async () => {
             userRepository.findById.mockResolvedValue(null);
 
-            const result = await userService.updateUser(999, mockUpdateData);
+            const error = await userService.updateUser(999, mockUpdateData).catch((e) => e);
 
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('用户不存在');
-            expect(result.errors).toEqual(['指定的用户不存在']);
+            expect(error).toBeInstanceOf(NotFoundError);
+            expect(error.code).toBe('USER_NOT_FOUND');
         });
 
         it('应该在更新用户名时检查唯一性', async () => {
@@ -387,18 +447,14 @@ describe('UserService', () => {
                 email: 'test@example.com'
             };
 
-            userValidation.validateUserUpdate.mockReturnValue({
-                isValid: true,
-                errors: []
-            });
             userRepository.findById.mockResolvedValue(mockExistingUser);
             userRepository.isUsernameExists.mockResolvedValue(true);
 
-            const result = await userService.updateUser(1, updateDataWithUsername);
+            const error = await userService.updateUser(1, updateDataWithUsername).catch((e) => e);
 
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('用户名已存在');
-            expect(result.errors).toEqual(['用户名已被其他用户使用']);
+            expect(error).toBeInstanceOf(ConflictError);
+            expect(error.code).toBe('USERNAME_TAKEN');
+            expect(error.details).toEqual([{ field: 'username', message: 'user.usernameInUseByOther' }]);
         });
 
         it('应该在更新邮箱时检查唯一性', async () => {
@@ -408,58 +464,29 @@ describe('UserService', () => {
                 email: 'old@example.com'
             };
 
-            userValidation.validateUserUpdate.mockReturnValue({
-                isValid: true,
-                errors: []
-            });
             userRepository.findById.mockResolvedValue(mockExistingUser);
             userRepository.isEmailExists.mockResolvedValue(true);
 
-            const result = await userService.updateUser(1, { email: 'new@example.com' });
+            const error = await userService.updateUser(1, { email: 'new@example.com' }).catch((e) => e);
 
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('邮箱已存在');
-            expect(result.errors).toEqual(['邮箱地址已被其他用户使用']);
+            expect(error).toBeInstanceOf(ConflictError);
+            expect(error.code).toBe('EMAIL_TAKEN');
+            expect(error.details).toEqual([{ field: 'email', message: 'user.emailInUseByOther' }]);
         });
 
-        it('应该在更新密码时进行加密', async () => {
-            const updateDataWithPassword = { password: 'newpassword123' };
-            const mockExistingUser = {
-                id: 1,
-                username: 'testuser',
-                email: 'test@example.com'
-            };
+        it('应该忽略通过更新接口提交的密码', async () => {
+            userRepository.findById.mockResolvedValue({ id: 1, username: 'testuser', email: 'test@example.com' });
+            userRepository.update.mockResolvedValue({ id: 1 });
 
-            const mockUpdatedUser = {
-                id: 1,
-                username: 'testuser',
-                getPublicInfo: () => ({ id: 1, username: 'testuser' })
-            };
+            await userService.updateUser(1, { password: 'NewPassword123!', full_name: 'New Name' });
 
-            userValidation.validateUserUpdate.mockReturnValue({
-                isValid: true,
-                errors: []
-            });
-            userRepository.findById.mockResolvedValue(mockExistingUser);
-            userRepository.update.mockResolvedValue(mockUpdatedUser);
-            bcrypt.hash.mockResolvedValue('newhashedpassword');
-
-            const result = await userService.updateUser(1, updateDataWithPassword);
-
-            expect(bcrypt.hash).toHaveBeenCalledWith('newpassword123', 12);
-            expect(userRepository.update).toHaveBeenCalledWith(1, {
-                password_hash: 'newhashedpassword'
-            });
-            expect(result.success).toBe(true);
+            expect(bcrypt.hash).not.toHaveBeenCalled();
+            expect(userRepository.update).toHaveBeenCalledWith(1, { full_name: 'New Name' });
         });
 
-        it('应该在更新过程中出现异常时返回错误', async () => {
+        it('应该在更新过程中出现异常时直接抛出', async () => {
             const updateDataWithoutEmail = { full_name: 'Updated Name' };
 
-            userValidation.validateUserUpdate.mockReturnValue({
-                isValid: true,
-                errors: []
-            });
             userRepository.findById.mockResolvedValue({
                 id: 1,
                 username: 'testuser',
@@ -467,11 +494,7 @@ describe('UserService', () => {
             });
             userRepository.update.mockRejectedValue(new Error('数据库错误'));
 
-            const result = await userService.updateUser(1, updateDataWithoutEmail);
-
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('更新用户信息失败');
-            expect(result.errors).toEqual(['数据库错误']);
+            await expect(userService.updateUser(1, updateDataWithoutEmail)).rejects.toThrow('数据库错误');
         });
     });
 
@@ -479,31 +502,79 @@ describe('UserService', () => {
         it('应该成功删除用户', async () => {
             userRepository.softDelete.mockResolvedValue(true);
 
-            const result = await userService.deleteUser(1);
-
-            expect(result.success).toBe(true);
-            expect(result.message).toBe('用户删除成功');
+            await expect(userService.deleteUser(1)).resolves.toBeUndefined();
             expect(userRepository.softDelete).toHaveBeenCalledWith(1);
         });
 
-        it('应该在用户不存在时返回错误', async () => {
+        it('应该在用户不存在时抛出错误', async () => {
             userRepository.softDelete.mockResolvedValue(false);
 
-            const result = await userService.deleteUser(999);
-
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('用户不存在');
-            expect(result.errors).toEqual(['指定的用户不存在']);
+            await expect(userService.deleteUser(999)).rejects.toMatchObject({ status: 404, code: 'USER_NOT_FOUND' });
         });
 
-        it('应该在删除过程中出现异常时返回错误', async () => {
+        it('应该在删除过程中出现异常时直接抛出', async () => {
             userRepository.softDelete.mockRejectedValue(new Error('数据库错误'));
 
-            const result = await userService.deleteUser(1);
+            await expect(userService.deleteUser(1)).rejects.toThrow('数据库错误');
+        });
+    });
 
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('删除用户失败');
-            expect(result.errors).toEqual(['数据库错误']);
+    describe('changePassword', () => {
+        const passwordData = { currentPassword: 'OldPass123!', newPassword: 'NewPass123!' };
+        const mockUser = { id: 1, password_hash: 'oldhash' };
+
+        beforeEach(() => {
+        });
+
+        it('应该在校验当前密码后修改密码并使会话失效', async () => {
+            userRepository.findById.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(true);
+            passwordHistoryService.isRecentlyUsed.mockResolvedValue(false);
+            bcrypt.hash.mockResolvedValue('newhash');
+            userRepository.update.mockResolvedValue(mockUser);
+
+            await expect(userService.changePassword(1, passwordData)).resolves.toBeUndefined();
+            expect(bcrypt.compare).toHaveBeenCalledWith('OldPass123!', 'oldhash');
+            expect(passwordHistoryService.isRecentlyUsed).toHaveBeenCalledWith(mockUser, 'NewPass123!');
+            expect(userRepository.update).toHaveBeenCalledWith(1, { password_hash: 'newhash' });
+            expect(passwordHistoryService.record).toHaveBeenCalledWith(1, 'newhash');
+            expect(sessionService.endAllForUser).toHaveBeenCalledWith(1);
+        });
+
+        it('应该在用户不存在时抛出错误', async () => {
+            userRepository.findById.mockResolvedValue(null);
+
+            await expect(userService.changePassword(999, passwordData)).rejects.toBeInstanceOf(NotFoundError);
+        });
+
+        it('应该拒绝错误的当前密码', async () => {
+            userRepository.findById.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(false);
+
+            const error = await userService.changePassword(1, passwordData).catch((e) => e);
+
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error).toMatchObject({ status: 400, code: 'INVALID_CURRENT_PASSWORD', messageKey: 'user.currentPasswordWrong' });
+            expect(userRepository.update).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝最近使用过的密码', async () => {
+            userRepository.findById.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(true);
+            passwordHistoryService.isRecentlyUsed.mockResolvedValue(true);
+
+            const error = await userService.changePassword(1, passwordData).catch((e) => e);
+
+            expect(error.code).toBe('PASSWORD_RECENTLY_USED');
+            expect(error.details).toEqual([{ field: 'newPassword', message: { key: 'user.passwordRecentlyUsed', params: { limit: 5 } } }]);
+            expect(userRepository.update).not.toHaveBeenCalled();
+            expect(sessionService.endAllForUser).not.toHaveBeenCalled();
+        });
+
+        it('应该在出现异常时直接抛出', async () => {
+            userRepository.findById.mockRejectedValue(new Error('Database error'));
+
+            await expect(userService.changePassword(1, passwordData)).rejects.toThrow('Database error');
         });
     });
 
@@ -513,12 +584,7 @@ describe('UserService', () => {
             username: 'testuser',
             password_hash: 'hashedpassword',
             status: 'active',
-            updateLastLogin: vi.fn(),
-            getPublicInfo: () => ({
-                id: 1,
-                username: 'testuser',
-                email: 'test@example.com'
-            })
+            updateLastLogin: vi.fn()
         };
 
         it('应该成功验证用户登录', async () => {
@@ -528,130 +594,158 @@ describe('UserService', () => {
             const result = await userService.authenticateUser('testuser', 'password123', '127.0.0.1');
 
             expect(result.success).toBe(true);
-            expect(result.message).toBe('登录成功');
+            expect(result.message).toBe('auth.loginSucceeded');
             expect(result.data).toEqual({
                 id: 1,
                 username: 'testuser',
-                email: 'test@example.com'
+                status: 'active'
             });
+            expect(result.data).not.toHaveProperty('password_hash');
             expect(mockUser.updateLastLogin).toHaveBeenCalledWith('127.0.0.1');
+            expect(loginThrottleService.recordSuccess).toHaveBeenCalledWith(mockUser);
+        });
+
+        it('应该在启用双因素认证时返回登录挑战', async () => {
+            userRepository.findByUsernameOrEmail.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(true);
+            twoFactorService.isEnabled.mockResolvedValueOnce(true);
+            twoFactorService.createChallenge.mockReturnValueOnce({ challengeToken: 'challenge', expiresIn: 300 });
+
+            const result = await userService.authenticateUser('testuser', 'password123', '127.0.0.1');
+
+            expect(result).toEqual({
+                success: true,
+                message: 'auth.mfaRequired',
+                mfaRequired: true,
+                data: { challengeToken: 'challenge', expiresIn: 300 }
+            });
+            expect(twoFactorService.createChallenge).toHaveBeenCalledWith(mockUser);
+            // 第二步验证通过前不算登录成功
+            expect(loginThrottleService.recordSuccess).not.toHaveBeenCalled();
+            expect(mockUser.updateLastLogin).not.toHaveBeenCalled();
+            expect(loginHistoryService.record).not.toHaveBeenCalled();
+        });
+
+        it('应该记录成功登录的IP和User-Agent', async () => {
+            userRepository.findByUsernameOrEmail.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(true);
+
+            await userService.authenticateUser('testuser', 'password123', '127.0.0.1', 'Mozilla/5.0');
+
+            expect(loginHistoryService.record).toHaveBeenCalledWith({
+                userId: 1,
+                identifier: 'testuser',
+                ip: '127.0.0.1',
+                userAgent: 'Mozilla/5.0',
+                success: true
+            });
+        });
+
+        it.each([
+            ['user.notFound', null, false, 'invalid_credentials'],
+            ['密码错误', { status: 'active' }, false, 'invalid_credentials'],
+            ['账户被禁用', { status: 'suspended' }, true, 'account_disabled']
+        ])('应该记录失败原因：%s', async (_, userOverrides, passwordValid, failureReason) => {
+            userRepository.findByUsernameOrEmail.mockResolvedValue(
+                userOverrides ? { ...mockUser, ...userOverrides } : null
+            );
+            bcrypt.compare.mockResolvedValue(passwordValid);
+
+            await userService.authenticateUser('testuser', 'password123', '127.0.0.1');
+
+            expect(loginHistoryService.record).toHaveBeenCalledWith(expect.objectContaining({
+                userId: userOverrides ? 1 : null,
+                success: false,
+                failureReason
+            }));
         });
 
         it('应该在用户不存在时返回错误', async () => {
             userRepository.findByUsernameOrEmail.mockResolvedValue(null);
+            bcrypt.compare.mockResolvedValue(false);
 
             const result = await userService.authenticateUser('nonexistent', 'password123');
 
             expect(result.success).toBe(false);
-            expect(result.message).toBe('用户名或密码错误');
-            expect(result.errors).toEqual(['登录凭据无效']);
+            expect(result.message).toBe('auth.invalidCredentials');
+            expect(result.errors).toEqual(['auth.invalidCredentialsDetail']);
+        });
+
+        it('应该在用户不存在时同样比对密码并记录失败', async () => {
+            userRepository.findByUsernameOrEmail.mockResolvedValue(null);
+            bcrypt.compare.mockResolvedValue(false);
+
+            await userService.authenticateUser('nonexistent', 'password123', '10.0.0.1');
+
+            expect(bcrypt.compare).toHaveBeenCalledWith('password123', expect.stringMatching(/^\$2b\$12\$/));
+            expect(loginThrottleService.recordFailure).toHaveBeenCalledWith(null, 'nonexistent', '10.0.0.1');
         });
 
         it('应该在用户状态非活跃时返回错误', async () => {
             const inactiveUser = { ...mockUser, status: 'inactive' };
             userRepository.findByUsernameOrEmail.mockResolvedValue(inactiveUser);
+            bcrypt.compare.mockResolvedValue(true);
 
             const result = await userService.authenticateUser('testuser', 'password123');
 
             expect(result.success).toBe(false);
-            expect(result.message).toBe('账户已被禁用');
-            expect(result.errors).toEqual(['账户状态异常，请联系管理员']);
+            expect(result.message).toBe('auth.accountDisabled');
+            expect(result.errors).toEqual(['auth.accountDisabledDetail']);
         });
 
-        it('应该在密码错误时返回错误', async () => {
-            userRepository.findByUsernameOrEmail.mockResolvedValue(mockUser);
+        it('应该在密码错误时不暴露账户状态', async () => {
+            userRepository.findByUsernameOrEmail.mockResolvedValue({ ...mockUser, status: 'suspended' });
             bcrypt.compare.mockResolvedValue(false);
 
             const result = await userService.authenticateUser('testuser', 'wrongpassword');
 
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('用户名或密码错误');
-            expect(result.errors).toEqual(['登录凭据无效']);
+            expect(result.message).toBe('auth.invalidCredentials');
         });
 
-        it('应该在验证过程中出现异常时返回错误', async () => {
-            userRepository.findByUsernameOrEmail.mockRejectedValue(new Error('数据库错误'));
+        it('应该在密码错误时返回错误', async () => {
+            userRepository.findByUsernameOrEmail.mockResolvedValue(mockUser);
+            bcrypt.compare.mockResolvedValue(false);
 
-            const result = await userService.authenticateUser('testuser', 'password123');
+            const result = await userService.authenticateUser('testuser', 'wrongpassword', '127.0.0.1');
 
             expect(result.success).toBe(false);
-            expect(result.message).toBe('登录失败');
-            expect(result.errors).toEqual(['数据库错误']);
+            expect(result.message).toBe('auth.invalidCredentials');
+            expect(result.errors).toEqual(['auth.invalidCredentialsDetail']);
+            expect(loginThrottleService.recordFailure).toHaveBeenCalledWith(mockUser, 'testuser', '127.0.0.1');
+            expect(mockUser.updateLastLogin).not.toHaveBeenCalled();
         });
-    });
-
-    describe('verifyEmail', () => {
-        it('应该成功验证邮箱', async () => {
-            const mockUser = {
-                id: 1,
-                email_verified: false
-            };
 
-            const mockUpdatedUser = {
-                id: 1,
-                email_verified: true,
-                getPublicInfo: () => ({
-                    id: 1,
-                    username: 'testuser',
-                    email_verified: true
-                })
-            };
-
-            userRepository.findById.mockResolvedValue(mockUser);
-            userRepository.update.mockResolvedValue(mockUpdatedUser);
+        it('应该在锁定期内直接拒绝且不校验密码', async () => {
+            userRepository.findByUsernameOrEmail.mockResolvedValue(mockUser);
+            loginThrottleService.getRetryAfter.mockResolvedValueOnce(120);
 
-            const result = await userService.verifyEmail(1);
+            const result = await userService.authenticateUser('testuser', 'password123', '127.0.0.1');
 
-            expect(result.success).toBe(true);
-            expect(result.message).toBe('邮箱验证成功');
-            expect(result.data).toEqual({
-                id: 1,
-                username: 'testuser',
-                email_verified: true
-            });
-            expect(userRepository.update).toHaveBeenCalledWith(1, {
-                email_verified: true,
-                email_verified_at: expect.any(Date)
+            expect(result).toEqual({
+                success: false,
+                message: 'auth.tooManyAttempts',
+                errors: [{ key: 'auth.retryAfter', params: { seconds: 120 } }],
+                retryAfter: 120
             });
+            expect(bcrypt.compare).not.toHaveBeenCalled();
+            expect(loginThrottleService.recordFailure).not.toHaveBeenCalled();
+            expect(loginHistoryService.record).toHaveBeenCalledWith(expect.objectContaining({
+                success: false,
+                failureReason: 'account_locked'
+            }));
         });
 
-        it('应该在用户不存在时返回错误', async () => {
-            userRepository.findById.mockResolvedValue(null);
-
-            const result = await userService.verifyEmail(999);
-
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('用户不存在');
-            expect(result.errors).toEqual(['指定的用户不存在']);
-        });
-
-        it('应该在邮箱已验证时返回错误', async () => {
-            const mockUser = {
-                id: 1,
-                email_verified: true
-            };
-
-            userRepository.findById.mockResolvedValue(mockUser);
+        it('应该拒绝缺少凭据的请求', async () => {
+            const result = await userService.authenticateUser(undefined, undefined);
 
-            const result = await userService.verifyEmail(1);
-
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('邮箱已验证');
-            expect(result.errors).toEqual(['邮箱已经验证过了']);
+            expect(result.message).toBe('auth.invalidCredentials');
+            expect(userRepository.findByUsernameOrEmail).not.toHaveBeenCalled();
         });
 
-        it('应该在验证过程中出现异常时返回错误', async () => {
-            userRepository.findById.mockResolvedValue({
-                id: 1,
-                email_verified: false
-            });
-            userRepository.update.mockRejectedValue(new Error('数据库错误'));
-
-            const result = await userService.verifyEmail(1);
+        it('应该在验证过程中出现异常时直接抛出', async () => {
+            userRepository.findByUsernameOrEmail.mockRejectedValue(new Error('数据库错误'));
 
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('邮箱验证失败');
-            expect(result.errors).toEqual(['数据库错误']);
+            await expect(userService.authenticateUser('testuser', 'password123')).rejects.toThrow('数据库错误');
         });
     });
 
@@ -669,19 +763,13 @@ describe('UserService', () => {
 
             const result = await userService.getUserStatistics();
 
-            expect(result.success).toBe(true);
-            expect(result.message).toBe('获取统计信息成功');
-            expect(result.data).toEqual(mockStatistics);
+            expect(result).toEqual(mockStatistics);
         });
 
-        it('应该在获取统计信息过程中出现异常时返回错误', async () => {
+        it('应该在获取统计信息过程中出现异常时直接抛出', async () => {
             userRepository.getStatistics.mockRejectedValue(new Error('数据库错误'));
 
-            const result = await userService.getUserStatistics();
-
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('获取统计信息失败');
-            expect(result.errors).toEqual(['数据库错误']);
+            await expect(userService.getUserStatistics()).rejects.toThrow('数据库错误');
         });
     });
 
@@ -690,8 +778,7 @@ describe('UserService', () => {
             const mockUsers = [
                 {
                     id: 1,
-                    username: 'testuser',
-                    getPublicInfo: () => ({ id: 1, username: 'testuser' })
+                    username: 'testuser'
                 }
             ];
 
@@ -705,25 +792,39 @@ describe('UserService', () => {
                 }
             };
 
-            userRepository.findAll.mockResolvedValue(mockResult);
+            userRepository.search.mockResolvedValue(mockResult);
 
             const result = await userService.searchUsers('test', { page: 1, limit: 10 });
 
-            expect(result.success).toBe(true);
-            expect(result.message).toBe('搜索用户成功');
-            expect(result.data.users).toEqual([{ id: 1, username: 'testuser' }]);
-            expect(result.data.pagination).toEqual(mockResult.pagination);
-            expect(result.data.keyword).toBe('test');
+            expect(userRepository.search).toHaveBeenCalledWith('test', {
+                page: 1,
+                limit: 10,
+                sortBy: undefined,
+                sortOrder: undefined
+            });
+
+            expect(result.users).toEqual([{ id: 1, username: 'testuser' }]);
+            expect(result.pagination).toEqual(mockResult.pagination);
+            expect(result.keyword).toBe('test');
         });
 
-        it('应该在搜索过程中出现异常时返回错误', async () => {
-            userRepository.findAll.mockRejectedValue(new Error('数据库错误'));
+        it('应该把排序参数传给数据访问层', async () => {
+            userRepository.search.mockResolvedValue({ users: [], pagination: {} });
 
-            const result = await userService.searchUsers('test');
+            await userService.searchUsers('test', { page: 2, limit: 5, sortBy: 'email', sortOrder: 'DESC' });
 
-            expect(result.success).toBe(false);
-            expect(result.message).toBe('搜索用户失败');
-            expect(result.errors).toEqual(['数据库错误']);
+            expect(userRepository.search).toHaveBeenCalledWith('test', {
+                page: 2,
+                limit: 5,
+                sortBy: 'email',
+                sortOrder: 'DESC'
+            });
+        });
+
+        it('应该在搜索过程中出现异常时直接抛出', async () => {
+            userRepository.search.mockRejectedValue(new Error('数据库错误'));
+
+            await expect(userService.searchUsers('test')).rejects.toThrow('数据库错误');
         });
     });
 });
\ No newline at end of file
@@ -41,6 +41,15 @@ describe('基础路由测试', () => {
 
       expect(response.type).toBe('text/plain');
     });
+
+    it('应该按 Accept-Language 返回欢迎消息', async () => {
+      const response = await request(server)
+        .get('/')
+        .set('Accept-Language', 'en-US,en;q=0.9')
+        .expect(200);
+
+      expect(response.text).toBe('Welcome to the Koa.js API server');
+    });
   });
 
   describe('路由方法支持', () => {
@@ -0,0 +1,88 @@
+/**
+ * 健康检查路由测试
+ * 使用迁移后的内存数据库验证探针的状态码和响应格式
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import Koa from 'koa';
+import healthRoutes from '../../routes/health.routes.js';
+import { sequelize } from '../../config/db.config.js';
+import { MIGRATION_TABLE } from '../../infrastructure/migration.infrastructure.js';
+import { setupTestDatabase, closeDatabase } from '../setup.js';
+
+describe('健康检查路由测试', () => {
+  let server;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+
+    const app = new Koa();
+    app.use(healthRoutes.routes());
+    app.use(healthRoutes.allowedMethods());
+    server = app.listen();
+  });
+
+  afterAll(async () => {
+    server.close();
+    await closeDatabase();
+  });
+
+  describe('GET /health/live', () => {
+    it('应该返回200且禁止缓存', async () => {
+      const response = await request(server).get('/health/live').expect(200);
+
+      expect(response.body).toEqual({ status: 'ok' });
+      expect(response.headers['cache-control']).toBe('no-store');
+    });
+  });
+
+  describe('GET /health/ready', () => {
+    it('应该在依赖可用时返回200', async () => {
+      const response = await request(server).get('/health/ready').expect(200);
+
+      expect(response.body).toEqual({
+        status: 'ok',
+        checks: { server: 'up', database: 'up', disk: 'skipped', migrations: 'up' }
+      });
+    });
+  });
+
+  describe('GET /health', () => {
+    it('应该返回完整的健康报告', async () => {
+      const response = await request(server).get('/health').expect(200);
+
+      expect(response.body).toMatchObject({
+        status: 'ok',
+        version: expect.any(String),
+        uptime: expect.any(Number),
+        timestamp: expect.any(String),
+        checks: {
+          database: { status: 'up', dialect: 'sqlite', latencyMs: expect.any(Number) },
+          migrations: { status: 'up', pending: [], missing: [] }
+        }
+      });
+    });
+
+    it('应该拒绝非GET请求', async () => {
+      await request(server).post('/health').expect(405);
+    });
+  });
+
+  describe('依赖不可用', () => {
+    it('应该在存在未执行的迁移时返回503', async () => {
+      const records = await sequelize.query(`SELECT * FROM ${MIGRATION_TABLE}`, { type: 'SELECT' });
+      await sequelize.getQueryInterface().bulkDelete(MIGRATION_TABLE, {});
+
+      try {
+        const ready = await request(server).get('/health/ready').expect(503);
+        expect(ready.body).toMatchObject({ status: 'error', checks: { migrations: 'down' } });
+
+        const report = await request(server).get('/health').expect(503);
+        expect(report.body.checks.migrations.pending).toHaveLength(records.length);
+      } finally {
+        await sequelize.getQueryInterface().bulkInsert(MIGRATION_TABLE, records);
+      }
+    });
+  });
+});
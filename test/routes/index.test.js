@@ -15,6 +15,13 @@ vi.mock('../../routes/basic.routes.js', () => ({
   }
 }));
 
+vi.mock('../../routes/health.routes.js', () => ({
+  default: {
+    routes: vi.fn(() => []),
+    allowedMethods: vi.fn(() => (ctx, next) => next())
+  }
+}));
+
 vi.mock('../../routes/user.routes.js', () => ({
   default: {
     routes: vi.fn(() => []),
@@ -22,6 +29,13 @@ vi.mock('../../routes/user.routes.js', () => ({
   }
 }));
 
+vi.mock('../../routes/role.routes.js', () => ({
+  default: {
+    routes: vi.fn(() => []),
+    allowedMethods: vi.fn(() => (ctx, next) => next())
+  }
+}));
+
 describe('路由集成测试', () => {
   let app;
 
@@ -0,0 +1,68 @@
+/**
+ * 用户列表路由测试
+ * 使用迁移后的内存数据库和真实的中间件、控制器验证查询参数的筛选效果
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import Koa from 'koa';
+import setupMiddleware from '../../middleware/index.js';
+import userRoutes from '../../routes/user.routes.js';
+import userRepository from '../../models/user/user.repository.js';
+import authService from '../../models/auth/auth.service.js';
+import { setupTestDatabase, closeDatabase, createTestUserData } from '../setup.js';
+
+describe('用户列表路由测试', () => {
+    let server;
+    let accessToken;
+
+    beforeAll(async () => {
+        await setupTestDatabase();
+
+        const viewer = await userRepository.create(createTestUserData({ username: 'viewer', email: 'viewer@example.com' }));
+        await userRepository.create(createTestUserData({ username: 'johndoe', email: 'john@example.com', status: 'active' }));
+        await userRepository.create(createTestUserData({ username: 'johnny', email: 'johnny@example.com', status: 'suspended' }));
+        await userRepository.create(createTestUserData({ username: 'janesmith', email: 'jane@example.com', status: 'suspended' }));
+        ({ tokens: { accessToken } } = await authService.issueTokens(viewer));
+
+        const app = new Koa();
+        setupMiddleware(app);
+        app.use(userRoutes.routes());
+        app.use(userRoutes.allowedMethods());
+        server = app.listen();
+    });
+
+    afterAll(async () => {
+        server.close();
+        await closeDatabase();
+    });
+
+    const listUsers = (query) => request(server)
+        .get('/api/users')
+        .query(query)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+    const usernames = (response) => response.body.data.users.map(user => user.username);
+
+    it('应该按状态筛选用户', async () => {
+        const response = await listUsers({ status: 'suspended', sortBy: 'username', sortOrder: 'ASC' });
+
+        expect(usernames(response)).toEqual(['janesmith', 'johnny']);
+        expect(response.body.data.pagination.total).toBe(2);
+    });
+
+    it('应该按关键词模糊搜索用户', async () => {
+        const response = await listUsers({ search: 'JOHN', sortBy: 'username', sortOrder: 'ASC' });
+
+        expect(usernames(response)).toEqual(['johndoe', 'johnny']);
+        expect(response.body.data.pagination.total).toBe(2);
+    });
+
+    it('应该同时应用状态和关键词条件', async () => {
+        const response = await listUsers({ status: 'suspended', search: 'john' });
+
+        expect(usernames(response)).toEqual(['johnny']);
+        expect(response.body.data.pagination.total).toBe(1);
+    });
+});
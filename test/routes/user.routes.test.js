@@ -7,6 +7,7 @@ describe('User Routes Integration Tests', () => {
     let app;
     let server;
     let mockUserController;
+    let mockRoleController;
 
     beforeAll(async () => {
         // 创建模拟控制器
@@ -15,6 +16,54 @@ describe('User Routes Integration Tests', () => {
                 ctx.status = 200;
                 ctx.body = { success: true, message: '登录成功' };
             }),
+            verifyTwoFactorLogin: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '登录成功' };
+            }),
+            getOidcProviders: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, data: [] };
+            }),
+            startOidcLogin: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '授权请求已创建' };
+            }),
+            completeOidcLogin: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '登录成功' };
+            }),
+            getUserIdentities: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, data: [] };
+            }),
+            startIdentityLink: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '授权请求已创建' };
+            }),
+            linkIdentity: vi.fn(async (ctx) => {
+                ctx.status = 201;
+                ctx.body = { success: true, message: '第三方账号绑定成功' };
+            }),
+            unlinkIdentity: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '已解除第三方账号绑定' };
+            }),
+            refreshToken: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '令牌刷新成功' };
+            }),
+            logout: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '退出登录成功' };
+            }),
+            forgotPassword: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '如果该邮箱已注册，重置密码邮件将很快送达' };
+            }),
+            resetPassword: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '密码重置成功，请使用新密码登录' };
+            }),
             createUser: vi.fn(async (ctx) => {
                 ctx.status = 201;
                 ctx.body = { success: true, message: '用户创建成功' };
@@ -43,20 +92,90 @@ describe('User Routes Integration Tests', () => {
                 ctx.status = 200;
                 ctx.body = { success: true, message: '用户更新成功' };
             }),
+            setupTwoFactor: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '双因素认证密钥已生成' };
+            }),
+            enableTwoFactor: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '双因素认证已启用' };
+            }),
+            getUserLogins: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '获取登录记录成功' };
+            }),
+            getUserSessions: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '获取会话列表成功' };
+            }),
+            revokeUserSession: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '会话已注销' };
+            }),
+            revokeAllUserSessions: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '已退出所有设备' };
+            }),
+            getApiKeys: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, data: [] };
+            }),
+            createApiKey: vi.fn(async (ctx) => {
+                ctx.status = 201;
+                ctx.body = { success: true, message: 'API密钥创建成功' };
+            }),
+            revokeApiKey: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: 'API密钥已吊销' };
+            }),
+            unlockUser: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '账户已解除锁定' };
+            }),
+            exportUser: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, data: { id: ctx.params.id } };
+            }),
+            changePassword: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '密码修改成功，请重新登录' };
+            }),
             deleteUser: vi.fn(async (ctx) => {
                 ctx.status = 200;
                 ctx.body = { success: true, message: '用户删除成功' };
             }),
+            sendVerificationEmail: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '验证邮件已发送' };
+            }),
             verifyEmail: vi.fn(async (ctx) => {
                 ctx.status = 200;
                 ctx.body = { success: true, message: '邮箱验证成功' };
             })
         };
 
+        mockRoleController = {
+            getUserRoles: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, data: [] };
+            }),
+            assignRole: vi.fn(async (ctx) => {
+                ctx.status = 201;
+                ctx.body = { success: true, message: '角色授予成功' };
+            }),
+            revokeRole: vi.fn(async (ctx) => {
+                ctx.status = 200;
+                ctx.body = { success: true, message: '角色撤销成功' };
+            })
+        };
+
         // 模拟控制器模块
         vi.doMock('../../controllers/user/user.controller.js', () => ({
             default: mockUserController
         }));
+        vi.doMock('../../controllers/role/role.controller.js', () => ({
+            default: mockRoleController
+        }));
 
         // 动态导入路由
         const { default: userRoutes } = await import('../../routes/user.routes.js');
@@ -79,6 +198,18 @@ describe('User Routes Integration Tests', () => {
 
         app.use(bodyParser());
 
+        // 模拟认证中间件：默认以ID为123的用户身份访问，可通过请求头切换身份、匿名访问或模拟API密钥访问
+        app.use(async (ctx, next) => {
+            if (!ctx.get('x-anonymous')) {
+                ctx.state.user = { id: parseInt(ctx.get('x-test-user-id') || '123'), status: 'active' };
+                ctx.state.permissions = ctx.get('x-test-permissions').split(',').filter(Boolean);
+            }
+            if (ctx.get('x-test-api-key')) {
+                ctx.state.apiKey = { id: 1, scopes: ctx.state.permissions };
+            }
+            await next();
+        });
+
         app.use(userRoutes.routes());
         app.use(userRoutes.allowedMethods());
 
@@ -97,10 +228,17 @@ describe('User Routes Integration Tests', () => {
         vi.clearAllMocks();
     });
 
+    // 满足注册接口请求结构的用户数据
+    const newUser = {
+        username: 'newuser',
+        email: 'newuser@example.com',
+        password: 'Password123!'
+    };
+
     describe('POST /api/users/auth/login', () => {
         it('应该调用用户登录控制器', async () => {
             const loginData = {
-                username: 'testuser',
+                identifier: 'testuser',
                 password: 'password123'
             };
 
@@ -118,7 +256,7 @@ describe('User Routes Integration Tests', () => {
 
         it('应该正确传递请求体数据', async () => {
             const loginData = {
-                username: 'testuser',
+                identifier: 'testuser',
                 password: 'password123'
             };
 
@@ -131,6 +269,146 @@ describe('User Routes Integration Tests', () => {
             const ctx = mockUserController.authenticateUser.mock.calls[0][0];
             expect(ctx.request.body).toEqual(loginData);
         });
+
+        it('应该拒绝超过用户名和邮箱长度上限的登录标识', async () => {
+            const response = await request(server)
+                .post('/api/users/auth/login')
+                .send({ identifier: 'a'.repeat(101), password: 'password123' })
+                .expect(400);
+
+            expect(response.body).toMatchObject({ success: false, message: '数据验证失败' });
+            expect(mockUserController.authenticateUser).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('第三方登录路由', () => {
+        it('应该允许匿名发起和完成第三方登录', async () => {
+            await request(server)
+                .get('/api/users/auth/oidc/providers')
+                .set('x-anonymous', '1')
+                .expect(200);
+
+            await request(server)
+                .post('/api/users/auth/oidc/google/authorize')
+                .set('x-anonymous', '1')
+                .expect(200);
+
+            await request(server)
+                .post('/api/users/auth/oidc/google/callback')
+                .set('x-anonymous', '1')
+                .send({ code: 'code', state: 'state' })
+                .expect(200);
+
+            expect(mockUserController.getOidcProviders).toHaveBeenCalledTimes(1);
+            expect(mockUserController.startOidcLogin.mock.calls[0][0].params.provider).toBe('google');
+            const ctx = mockUserController.completeOidcLogin.mock.calls[0][0];
+            expect(ctx.params.provider).toBe('google');
+            expect(ctx.request.body).toEqual({ code: 'code', state: 'state' });
+        });
+    });
+
+    describe('第三方账号绑定路由', () => {
+        it('应该允许本人管理第三方账号绑定', async () => {
+            await request(server)
+                .get('/api/users/123/identities')
+                .expect(200);
+
+            await request(server)
+                .post('/api/users/123/identities/google/authorize')
+                .expect(200);
+
+            await request(server)
+                .post('/api/users/123/identities/google')
+                .send({ code: 'code', state: 'state' })
+                .expect(201);
+
+            await request(server)
+                .delete('/api/users/123/identities/google')
+                .expect(200);
+
+            expect(mockUserController.getUserIdentities).toHaveBeenCalledTimes(1);
+            expect(mockUserController.startIdentityLink.mock.calls[0][0].params).toEqual({ id: 123, provider: 'google' });
+            expect(mockUserController.linkIdentity.mock.calls[0][0].request.body).toEqual({ code: 'code', state: 'state' });
+            expect(mockUserController.unlinkIdentity.mock.calls[0][0].params).toEqual({ id: 123, provider: 'google' });
+        });
+
+        it('应该禁止管理他人的第三方账号绑定', async () => {
+            await request(server)
+                .post('/api/users/123/identities/google/authorize')
+                .set('x-test-user-id', '7')
+                .set('x-test-permissions', 'users:update')
+                .expect(403);
+
+            await request(server)
+                .delete('/api/users/123/identities/google')
+                .set('x-anonymous', '1')
+                .expect(401);
+
+            expect(mockUserController.startIdentityLink).not.toHaveBeenCalled();
+            expect(mockUserController.unlinkIdentity).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/users/auth/refresh', () => {
+        it('应该调用刷新令牌控制器', async () => {
+            await request(server)
+                .post('/api/users/auth/refresh')
+                .send({ refreshToken: 'token' })
+                .expect(200);
+
+            expect(mockUserController.refreshToken).toHaveBeenCalledTimes(1);
+            const ctx = mockUserController.refreshToken.mock.calls[0][0];
+            expect(ctx.request.body).toEqual({ refreshToken: 'token' });
+        });
+    });
+
+    describe('POST /api/users/auth/logout', () => {
+        it('应该调用退出登录控制器', async () => {
+            await request(server)
+                .post('/api/users/auth/logout')
+                .send({ refreshToken: 'token' })
+                .expect(200);
+
+            expect(mockUserController.logout).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('POST /api/users/auth/forgot-password', () => {
+        it('应该允许匿名申请重置密码', async () => {
+            await request(server)
+                .post('/api/users/auth/forgot-password')
+                .set('x-anonymous', '1')
+                .send({ email: 'test@example.com' })
+                .expect(200);
+
+            expect(mockUserController.forgotPassword).toHaveBeenCalledTimes(1);
+            const ctx = mockUserController.forgotPassword.mock.calls[0][0];
+            expect(ctx.request.body).toEqual({ email: 'test@example.com' });
+        });
+    });
+
+    describe('POST /api/users/auth/reset-password', () => {
+        it('应该允许匿名重置密码', async () => {
+            await request(server)
+                .post('/api/users/auth/reset-password')
+                .set('x-anonymous', '1')
+                .send({ token: 'reset-token', password: 'NewPass123!' })
+                .expect(200);
+
+            expect(mockUserController.resetPassword).toHaveBeenCalledTimes(1);
+            expect(mockUserController.getUserById).not.toHaveBeenCalled();
+        });
+
+        it('应该在路由层按密码规则校验新密码', async () => {
+            const response = await request(server)
+                .post('/api/users/auth/reset-password')
+                .set('x-anonymous', '1')
+                .send({ token: 'reset-token', password: 'weak' })
+                .expect(400);
+
+            expect(response.body).toMatchObject({ success: false, message: '数据验证失败' });
+            expect(mockUserController.resetPassword).not.toHaveBeenCalled();
+        });
     });
 
     describe('POST /api/users', () => {
@@ -138,7 +416,7 @@ describe('User Routes Integration Tests', () => {
             const userData = {
                 username: 'newuser',
                 email: 'newuser@example.com',
-                password: 'password123'
+                password: 'Password123!'
             };
 
             const response = await request(server)
@@ -157,7 +435,7 @@ describe('User Routes Integration Tests', () => {
             const userData = {
                 username: 'newuser',
                 email: 'newuser@example.com',
-                password: 'password123'
+                password: 'Password123!'
             };
 
             await request(server)
@@ -201,7 +479,7 @@ describe('User Routes Integration Tests', () => {
     describe('GET /api/users/search', () => {
         it('应该调用搜索用户控制器', async () => {
             const response = await request(server)
-                .get('/api/users/search')
+                .get('/api/users/search?keyword=test')
                 .expect(200);
 
             expect(mockUserController.searchUsers).toHaveBeenCalledTimes(1);
@@ -221,6 +499,13 @@ describe('User Routes Integration Tests', () => {
             expect(ctx.query).toEqual({
                 keyword: 'test'
             });
+            expect(ctx.state.query).toEqual({
+                keyword: 'test',
+                page: 1,
+                limit: 10,
+                sortBy: 'username',
+                sortOrder: 'ASC'
+            });
         });
     });
 
@@ -228,6 +513,7 @@ describe('User Routes Integration Tests', () => {
         it('应该调用获取用户统计信息控制器', async () => {
             const response = await request(server)
                 .get('/api/users/statistics')
+                .set('x-test-permissions', 'users:statistics')
                 .expect(200);
 
             expect(mockUserController.getUserStatistics).toHaveBeenCalledTimes(1);
@@ -282,7 +568,7 @@ describe('User Routes Integration Tests', () => {
 
             expect(mockUserController.getUserById).toHaveBeenCalledTimes(1);
             const ctx = mockUserController.getUserById.mock.calls[0][0];
-            expect(ctx.params.id).toBe('123');
+            expect(ctx.params.id).toBe(123);
         });
     });
 
@@ -316,7 +602,7 @@ describe('User Routes Integration Tests', () => {
 
             expect(mockUserController.updateUser).toHaveBeenCalledTimes(1);
             const ctx = mockUserController.updateUser.mock.calls[0][0];
-            expect(ctx.params.id).toBe('123');
+            expect(ctx.params.id).toBe(123);
             expect(ctx.request.body).toEqual(updateData);
         });
     });
@@ -341,20 +627,311 @@ describe('User Routes Integration Tests', () => {
 
             expect(mockUserController.deleteUser).toHaveBeenCalledTimes(1);
             const ctx = mockUserController.deleteUser.mock.calls[0][0];
-            expect(ctx.params.id).toBe('123');
+            expect(ctx.params.id).toBe(123);
+        });
+    });
+
+    describe('双因素认证路由', () => {
+        it('应该允许匿名完成第二步登录验证', async () => {
+            await request(server)
+                .post('/api/users/auth/2fa/verify')
+                .set('x-anonymous', '1')
+                .send({ challengeToken: 'challenge', code: '123456' })
+                .expect(200);
+
+            expect(mockUserController.verifyTwoFactorLogin).toHaveBeenCalledTimes(1);
+            const ctx = mockUserController.verifyTwoFactorLogin.mock.calls[0][0];
+            expect(ctx.request.body).toEqual({ challengeToken: 'challenge', code: '123456' });
+        });
+
+        it('应该允许本人生成密钥并启用双因素认证', async () => {
+            await request(server)
+                .post('/api/users/123/2fa/setup')
+                .expect(200);
+
+            await request(server)
+                .post('/api/users/123/2fa/enable')
+                .send({ code: '123456' })
+                .expect(200);
+
+            expect(mockUserController.setupTwoFactor).toHaveBeenCalledTimes(1);
+            expect(mockUserController.enableTwoFactor).toHaveBeenCalledTimes(1);
+            expect(mockUserController.enableTwoFactor.mock.calls[0][0].params.id).toBe(123);
+        });
+
+        it('应该禁止为他人配置双因素认证', async () => {
+            await request(server)
+                .post('/api/users/123/2fa/setup')
+                .set('x-test-user-id', '7')
+                .set('x-test-permissions', 'users:update')
+                .expect(403);
+
+            await request(server)
+                .post('/api/users/123/2fa/enable')
+                .set('x-anonymous', '1')
+                .send({ code: '123456' })
+                .expect(401);
+
+            expect(mockUserController.setupTwoFactor).not.toHaveBeenCalled();
+            expect(mockUserController.enableTwoFactor).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /api/users/:id/logins', () => {
+        it('应该允许本人查看登录记录', async () => {
+            await request(server)
+                .get('/api/users/123/logins?page=2&limit=5')
+                .expect(200);
+
+            expect(mockUserController.getUserLogins).toHaveBeenCalledTimes(1);
+            const ctx = mockUserController.getUserLogins.mock.calls[0][0];
+            expect(ctx.params.id).toBe(123);
+            expect(ctx.query).toEqual({ page: '2', limit: '5' });
+        });
+
+        it('应该允许拥有审计权限的用户查看他人登录记录', async () => {
+            await request(server)
+                .get('/api/users/123/logins')
+                .set('x-test-user-id', '7')
+                .set('x-test-permissions', 'users:audit')
+                .expect(200);
+
+            expect(mockUserController.getUserLogins).toHaveBeenCalledTimes(1);
+        });
+
+        it('应该拒绝查看他人的登录记录', async () => {
+            await request(server)
+                .get('/api/users/123/logins')
+                .set('x-test-user-id', '7')
+                .expect(403);
+
+            expect(mockUserController.getUserLogins).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('会话管理路由', () => {
+        it('应该允许本人查看和注销会话', async () => {
+            await request(server)
+                .get('/api/users/123/sessions')
+                .expect(200);
+
+            await request(server)
+                .delete('/api/users/123/sessions/abc-123')
+                .expect(200);
+
+            await request(server)
+                .delete('/api/users/123/sessions')
+                .expect(200);
+
+            expect(mockUserController.getUserSessions).toHaveBeenCalledTimes(1);
+            const ctx = mockUserController.revokeUserSession.mock.calls[0][0];
+            expect(ctx.params).toEqual({ id: 123, sessionId: 'abc-123' });
+            expect(mockUserController.revokeAllUserSessions).toHaveBeenCalledTimes(1);
+            expect(mockUserController.deleteUser).not.toHaveBeenCalled();
+        });
+
+        it('应该允许拥有会话管理权限的用户管理他人会话', async () => {
+            await request(server)
+                .delete('/api/users/123/sessions')
+                .set('x-test-user-id', '7')
+                .set('x-test-permissions', 'users:sessions')
+                .expect(200);
+
+            expect(mockUserController.revokeAllUserSessions).toHaveBeenCalledTimes(1);
+        });
+
+        it('应该拒绝管理他人的会话', async () => {
+            await request(server)
+                .get('/api/users/123/sessions')
+                .set('x-test-user-id', '7')
+                .set('x-test-permissions', 'users:audit')
+                .expect(403);
+
+            await request(server)
+                .delete('/api/users/123/sessions/abc-123')
+                .set('x-anonymous', '1')
+                .expect(401);
+
+            expect(mockUserController.getUserSessions).not.toHaveBeenCalled();
+            expect(mockUserController.revokeUserSession).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('API密钥路由', () => {
+        it('应该允许本人管理API密钥', async () => {
+            await request(server)
+                .post('/api/users/123/api-keys')
+                .send({ name: 'CI' })
+                .expect(201);
+
+            await request(server)
+                .get('/api/users/123/api-keys')
+                .expect(200);
+
+            await request(server)
+                .delete('/api/users/123/api-keys/9')
+                .expect(200);
+
+            expect(mockUserController.createApiKey).toHaveBeenCalledTimes(1);
+            expect(mockUserController.getApiKeys).toHaveBeenCalledTimes(1);
+            expect(mockUserController.revokeApiKey.mock.calls[0][0].params).toEqual({ id: 123, keyId: 9 });
+        });
+
+        it('应该拒绝管理他人的API密钥', async () => {
+            await request(server)
+                .get('/api/users/123/api-keys')
+                .set('x-test-user-id', '7')
+                .expect(403);
+
+            expect(mockUserController.getApiKeys).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝使用API密钥管理登录凭据', async () => {
+            await request(server)
+                .post('/api/users/123/api-keys')
+                .set('x-test-api-key', '1')
+                .send({ name: 'CI' })
+                .expect(403);
+
+            await request(server)
+                .put('/api/users/123/password')
+                .set('x-test-api-key', '1')
+                .send({ currentPassword: 'a', newPassword: 'b' })
+                .expect(403);
+
+            await request(server)
+                .delete('/api/users/123/sessions')
+                .set('x-test-api-key', '1')
+                .expect(403);
+
+            expect(mockUserController.createApiKey).not.toHaveBeenCalled();
+            expect(mockUserController.changePassword).not.toHaveBeenCalled();
+            expect(mockUserController.revokeAllUserSessions).not.toHaveBeenCalled();
+        });
+
+        it('应该允许scopes包含路由权限的API密钥访问本人资源', async () => {
+            await request(server)
+                .get('/api/users/123/logins')
+                .set('x-test-api-key', '1')
+                .set('x-test-permissions', 'users:audit')
+                .expect(200);
+
+            expect(mockUserController.getUserLogins).toHaveBeenCalledTimes(1);
+        });
+
+        it('应该拒绝scopes为空的API密钥修改或删除本人账户', async () => {
+            await request(server)
+                .put('/api/users/123')
+                .set('x-test-api-key', '1')
+                .send({ email: 'new@example.com' })
+                .expect(403);
+
+            await request(server)
+                .delete('/api/users/123')
+                .set('x-test-api-key', '1')
+                .expect(403);
+
+            await request(server)
+                .get('/api/users/123/logins')
+                .set('x-test-api-key', '1')
+                .expect(403);
+
+            expect(mockUserController.updateUser).not.toHaveBeenCalled();
+            expect(mockUserController.deleteUser).not.toHaveBeenCalled();
+            expect(mockUserController.getUserLogins).not.toHaveBeenCalled();
+        });
+
+        it('应该拒绝使用API密钥访问未声明权限的本人路由', async () => {
+            await request(server)
+                .post('/api/users/123/verify-email')
+                .set('x-test-api-key', '1')
+                .set('x-test-permissions', 'users:update')
+                .expect(403);
+
+            expect(mockUserController.sendVerificationEmail).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/users/:id/unlock', () => {
+        it('应该允许拥有解锁权限的管理员解除锁定', async () => {
+            await request(server)
+                .post('/api/users/5/unlock')
+                .set('x-test-permissions', 'users:unlock')
+                .expect(200);
+
+            expect(mockUserController.unlockUser).toHaveBeenCalledTimes(1);
+            const ctx = mockUserController.unlockUser.mock.calls[0][0];
+            expect(ctx.params.id).toBe(5);
+        });
+
+        it('应该拒绝缺少解锁权限的用户，包括本人', async () => {
+            await request(server)
+                .post('/api/users/123/unlock')
+                .expect(403);
+
+            expect(mockUserController.unlockUser).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /api/users/:id/export', () => {
+        it('应该允许本人导出个人数据', async () => {
+            await request(server)
+                .get('/api/users/123/export')
+                .expect(200);
+
+            expect(mockUserController.exportUser).toHaveBeenCalledTimes(1);
+            const ctx = mockUserController.exportUser.mock.calls[0][0];
+            expect(ctx.params.id).toBe(123);
+        });
+
+        it('应该禁止导出他人的个人数据，即使拥有用户管理权限', async () => {
+            await request(server)
+                .get('/api/users/123/export')
+                .set('x-test-user-id', '7')
+                .set('x-test-permissions', 'users:update')
+                .expect(403);
+
+            expect(mockUserController.exportUser).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('PUT /api/users/:id/password', () => {
+        it('应该允许本人修改密码', async () => {
+            const passwordData = { currentPassword: 'OldPass123!', newPassword: 'NewPass123!' };
+            await request(server)
+                .put('/api/users/123/password')
+                .send(passwordData)
+                .expect(200);
+
+            expect(mockUserController.changePassword).toHaveBeenCalledTimes(1);
+            expect(mockUserController.updateUser).not.toHaveBeenCalled();
+            const ctx = mockUserController.changePassword.mock.calls[0][0];
+            expect(ctx.params.id).toBe(123);
+            expect(ctx.request.body).toEqual(passwordData);
+        });
+
+        it('应该禁止修改他人密码，即使拥有用户管理权限', async () => {
+            await request(server)
+                .put('/api/users/123/password')
+                .set('x-test-user-id', '7')
+                .set('x-test-permissions', 'users:update')
+                .send({ currentPassword: 'OldPass123!', newPassword: 'NewPass123!' })
+                .expect(403);
+
+            expect(mockUserController.changePassword).not.toHaveBeenCalled();
         });
     });
 
     describe('POST /api/users/:id/verify-email', () => {
-        it('应该调用验证邮箱控制器', async () => {
+        it('应该调用发送验证邮件控制器', async () => {
             const response = await request(server)
                 .post('/api/users/123/verify-email')
                 .expect(200);
 
-            expect(mockUserController.verifyEmail).toHaveBeenCalledTimes(1);
+            expect(mockUserController.sendVerificationEmail).toHaveBeenCalledTimes(1);
             expect(response.body).toEqual({
                 success: true,
-                message: '邮箱验证成功'
+                message: '验证邮件已发送'
             });
         });
 
@@ -363,9 +940,175 @@ describe('User Routes Integration Tests', () => {
                 .post('/api/users/123/verify-email')
                 .expect(200);
 
+            expect(mockUserController.sendVerificationEmail).toHaveBeenCalledTimes(1);
+            const ctx = mockUserController.sendVerificationEmail.mock.calls[0][0];
+            expect(ctx.params.id).toBe(123);
+        });
+    });
+
+    describe('GET /api/users/verify-email', () => {
+        it('应该允许匿名访问并传递令牌', async () => {
+            const response = await request(server)
+                .get('/api/users/verify-email?token=abc123')
+                .set('x-anonymous', '1')
+                .expect(200);
+
             expect(mockUserController.verifyEmail).toHaveBeenCalledTimes(1);
+            expect(mockUserController.getUserById).not.toHaveBeenCalled();
             const ctx = mockUserController.verifyEmail.mock.calls[0][0];
-            expect(ctx.params.id).toBe('123');
+            expect(ctx.query.token).toBe('abc123');
+            expect(response.body).toEqual({
+                success: true,
+                message: '邮箱验证成功'
+            });
+        });
+    });
+
+    describe('访问控制测试', () => {
+        it('应该允许匿名访问公开路由', async () => {
+            await request(server)
+                .post('/api/users/auth/login')
+                .set('x-anonymous', '1')
+                .send({ identifier: 'testuser', password: 'password123' })
+                .expect(200);
+
+            await request(server)
+                .post('/api/users')
+                .set('x-anonymous', '1')
+                .send(newUser)
+                .expect(201);
+        });
+
+        it('应该拒绝匿名访问受保护路由', async () => {
+            const protectedRequests = [
+                request(server).get('/api/users'),
+                request(server).get('/api/users/statistics'),
+                request(server).get('/api/users/123'),
+                request(server).put('/api/users/123'),
+                request(server).delete('/api/users/123')
+            ];
+
+            for (const pending of protectedRequests) {
+                const response = await pending.set('x-anonymous', '1').expect(401);
+                expect(response.body.success).toBe(false);
+            }
+
+            expect(mockUserController.getUserList).not.toHaveBeenCalled();
+            expect(mockUserController.deleteUser).not.toHaveBeenCalled();
+        });
+
+        it('应该禁止修改或删除他人账户', async () => {
+            await request(server)
+                .put('/api/users/123')
+                .set('x-test-user-id', '7')
+                .send({ full_name: 'Other' })
+                .expect(403);
+
+            await request(server)
+                .delete('/api/users/123')
+                .set('x-test-user-id', '7')
+                .expect(403);
+
+            await request(server)
+                .post('/api/users/123/verify-email')
+                .set('x-test-user-id', '7')
+                .expect(403);
+
+            expect(mockUserController.updateUser).not.toHaveBeenCalled();
+            expect(mockUserController.deleteUser).not.toHaveBeenCalled();
+            expect(mockUserController.sendVerificationEmail).not.toHaveBeenCalled();
+        });
+
+        it('应该允许已登录用户访问他人的公开资料', async () => {
+            await request(server)
+                .get('/api/users/123')
+                .set('x-test-user-id', '7')
+                .expect(200);
+        });
+    });
+
+    describe('权限控制测试', () => {
+        it('应该拒绝没有统计权限的用户查看统计信息', async () => {
+            const response = await request(server)
+                .get('/api/users/statistics')
+                .expect(403);
+
+            expect(response.body.success).toBe(false);
+            expect(mockUserController.getUserStatistics).not.toHaveBeenCalled();
+        });
+
+        it('应该允许拥有权限的管理员修改和删除他人账户', async () => {
+            await request(server)
+                .put('/api/users/123')
+                .set('x-test-user-id', '1')
+                .set('x-test-permissions', 'users:update')
+                .send({ full_name: 'Admin Edit' })
+                .expect(200);
+
+            await request(server)
+                .delete('/api/users/123')
+                .set('x-test-user-id', '1')
+                .set('x-test-permissions', 'users:delete')
+                .expect(200);
+
+            expect(mockUserController.updateUser).toHaveBeenCalledTimes(1);
+            expect(mockUserController.deleteUser).toHaveBeenCalledTimes(1);
+        });
+
+        it('应该不允许用其他权限越过本人限制', async () => {
+            await request(server)
+                .delete('/api/users/123')
+                .set('x-test-user-id', '1')
+                .set('x-test-permissions', 'users:update')
+                .expect(403);
+        });
+    });
+
+    describe('用户角色路由', () => {
+        it('应该允许用户查看自己的角色', async () => {
+            await request(server)
+                .get('/api/users/123/roles')
+                .expect(200);
+
+            expect(mockRoleController.getUserRoles).toHaveBeenCalledTimes(1);
+        });
+
+        it('应该要求 roles:read 权限查看他人角色', async () => {
+            await request(server)
+                .get('/api/users/5/roles')
+                .expect(403);
+
+            await request(server)
+                .get('/api/users/5/roles')
+                .set('x-test-permissions', 'roles:read')
+                .expect(200);
+        });
+
+        it('应该要求 roles:assign 权限授予角色', async () => {
+            await request(server)
+                .post('/api/users/5/roles')
+                .send({ role: 'admin' })
+                .expect(403);
+
+            await request(server)
+                .post('/api/users/5/roles')
+                .set('x-test-permissions', 'roles:assign')
+                .send({ role: 'admin' })
+                .expect(201);
+
+            const ctx = mockRoleController.assignRole.mock.calls[0][0];
+            expect(ctx.params.id).toBe(5);
+            expect(ctx.request.body).toEqual({ role: 'admin' });
+        });
+
+        it('应该要求 roles:assign 权限撤销角色', async () => {
+            await request(server)
+                .delete('/api/users/5/roles/admin')
+                .set('x-test-permissions', 'roles:assign')
+                .expect(200);
+
+            const ctx = mockRoleController.revokeRole.mock.calls[0][0];
+            expect(ctx.params).toEqual({ id: 5, role: 'admin' });
         });
     });
 
@@ -374,6 +1117,7 @@ describe('User Routes Integration Tests', () => {
             // /api/users/statistics 应该匹配 statistics 路由，而不是 /:id 路由
             await request(server)
                 .get('/api/users/statistics')
+                .set('x-test-permissions', 'users:statistics')
                 .expect(200);
 
             expect(mockUserController.getUserStatistics).toHaveBeenCalledTimes(1);
@@ -382,7 +1126,7 @@ describe('User Routes Integration Tests', () => {
 
         it('应该优先匹配 /search 而不是 /:id', async () => {
             await request(server)
-                .get('/api/users/search')
+                .get('/api/users/search?keyword=test')
                 .expect(200);
 
             expect(mockUserController.searchUsers).toHaveBeenCalledTimes(1);
@@ -400,7 +1144,7 @@ describe('User Routes Integration Tests', () => {
             // POST /api/users 应该成功
             await request(server)
                 .post('/api/users')
-                .send({ username: 'test' })
+                .send(newUser)
                 .expect(201);
 
             // PUT /api/users 应该失败 (不支持的方法)
@@ -468,7 +1212,7 @@ describe('User Routes Integration Tests', () => {
 
             const response = await request(server)
                 .post('/api/users')
-                .send({ username: 'existinguser' })
+                .send({ ...newUser, username: 'existinguser' })
                 .expect(400);
 
             expect(response.body).toEqual({
@@ -483,7 +1227,7 @@ describe('User Routes Integration Tests', () => {
             const userData = {
                 username: 'newuser',
                 email: 'newuser@example.com',
-                password: 'password123'
+                password: 'Password123!'
             };
 
             await request(server)
@@ -497,14 +1241,13 @@ describe('User Routes Integration Tests', () => {
             expect(ctx.request.body).toEqual(userData);
         });
 
-        it('应该处理空请求体', async () => {
-            await request(server)
+        it('应该拒绝缺少必填字段的空请求体', async () => {
+            const response = await request(server)
                 .post('/api/users')
-                .expect(201);
+                .expect(400);
 
-            expect(mockUserController.createUser).toHaveBeenCalledTimes(1);
-            const ctx = mockUserController.createUser.mock.calls[0][0];
-            expect(ctx.request.body).toEqual({});
+            expect(response.body).toEqual({ success: false, message: '数据验证失败' });
+            expect(mockUserController.createUser).not.toHaveBeenCalled();
         });
 
         it('应该处理无效的JSON', async () => {
@@ -520,6 +1263,56 @@ describe('User Routes Integration Tests', () => {
         });
     });
 
+    describe('请求结构校验测试', () => {
+        it('应该在字段格式不正确时返回400且不调用控制器', async () => {
+            await request(server)
+                .put('/api/users/123')
+                .send({ email: 'not-an-email' })
+                .expect(400);
+
+            await request(server)
+                .get('/api/users?limit=500')
+                .expect(400);
+
+            expect(mockUserController.updateUser).not.toHaveBeenCalled();
+            expect(mockUserController.getUserList).not.toHaveBeenCalled();
+        });
+
+        it('应该只接受支持的偏好语言', async () => {
+            await request(server)
+                .put('/api/users/123')
+                .send({ preferences: { locale: 'fr', theme: 'dark' } })
+                .expect(400);
+
+            await request(server)
+                .put('/api/users/123')
+                .send({ preferences: { locale: 'en', theme: 'dark' } })
+                .expect(200);
+
+            const ctx = mockUserController.updateUser.mock.calls[0][0];
+            expect(ctx.request.body).toEqual({ preferences: { locale: 'en', theme: 'dark' } });
+        });
+
+        it('应该丢弃请求体中未声明的字段', async () => {
+            await request(server)
+                .post('/api/users')
+                .send({ ...newUser, email_verified: true })
+                .expect(201);
+
+            const ctx = mockUserController.createUser.mock.calls[0][0];
+            expect(ctx.request.body).toEqual(newUser);
+        });
+
+        it('应该校验修改密码时新旧密码不同', async () => {
+            await request(server)
+                .put('/api/users/123/password')
+                .send({ currentPassword: 'OldPass123!', newPassword: 'OldPass123!' })
+                .expect(400);
+
+            expect(mockUserController.changePassword).not.toHaveBeenCalled();
+        });
+    });
+
     describe('查询参数测试', () => {
         it('应该正确处理多个查询参数', async () => {
             await request(server)
@@ -533,6 +1326,13 @@ describe('User Routes Integration Tests', () => {
                 limit: '10',
                 sort: 'username'
             });
+            // 转换类型并补齐默认值，未声明的 sort 被丢弃
+            expect(ctx.state.query).toEqual({
+                page: 1,
+                limit: 10,
+                sortBy: 'created_at',
+                sortOrder: 'DESC'
+            });
         });
 
         it('应该正确处理搜索查询参数', async () => {
@@ -567,7 +1367,7 @@ describe('User Routes Integration Tests', () => {
                 .expect(200);
 
             const ctx = mockUserController.getUserById.mock.calls[0][0];
-            expect(ctx.params.id).toBe('123');
+            expect(ctx.params.id).toBe(123);
         });
 
         it('应该处理字符串用户名参数', async () => {
@@ -593,7 +1393,7 @@ describe('User Routes Integration Tests', () => {
         it('应该正确处理Content-Type头部', async () => {
             await request(server)
                 .post('/api/users')
-                .send({ username: 'test' })
+                .send(newUser)
                 .set('Content-Type', 'application/json')
                 .expect(201);
 
@@ -627,7 +1427,7 @@ describe('User Routes Integration Tests', () => {
             // 创建用户应该返回201
             await request(server)
                 .post('/api/users')
-                .send({ username: 'test' })
+                .send(newUser)
                 .expect(201);
 
             // 获取用户应该返回200
@@ -650,7 +1450,7 @@ describe('User Routes Integration Tests', () => {
 
     describe('中间件集成测试', () => {
         it('应该正确应用bodyParser中间件', async () => {
-            const userData = { username: 'test', email: 'test@example.com' };
+            const userData = { ...newUser, full_name: 'Test User' };
 
             await request(server)
                 .post('/api/users')
@@ -681,7 +1481,7 @@ describe('User Routes Integration Tests', () => {
         it('应该优先匹配 /auth/login 而不是 /:id', async () => {
             await request(server)
                 .post('/api/users/auth/login')
-                .send({ username: 'test', password: 'test' })
+                .send({ identifier: 'test', password: 'test' })
                 .expect(200);
 
             expect(mockUserController.authenticateUser).toHaveBeenCalledTimes(1);
@@ -702,21 +1502,20 @@ describe('User Routes Integration Tests', () => {
                 .post('/api/users/123/verify-email')
                 .expect(200);
 
-            expect(mockUserController.verifyEmail).toHaveBeenCalledTimes(1);
-            const ctx = mockUserController.verifyEmail.mock.calls[0][0];
-            expect(ctx.params.id).toBe('123');
+            expect(mockUserController.sendVerificationEmail).toHaveBeenCalledTimes(1);
+            const ctx = mockUserController.sendVerificationEmail.mock.calls[0][0];
+            expect(ctx.params.id).toBe(123);
         });
     });
 
     describe('边界情况测试', () => {
-        it('应该处理非常长的URL参数', async () => {
+        it('应该拒绝非数字的用户ID', async () => {
             const longId = 'a'.repeat(1000);
             await request(server)
                 .get(`/api/users/${longId}`)
-                .expect(200);
+                .expect(400);
 
-            const ctx = mockUserController.getUserById.mock.calls[0][0];
-            expect(ctx.params.id).toBe(longId);
+            expect(mockUserController.getUserById).not.toHaveBeenCalled();
         });
 
         it('应该处理包含特殊字符的参数', async () => {
@@ -731,8 +1530,8 @@ describe('User Routes Integration Tests', () => {
 
         it('应该处理大型请求体', async () => {
             const largeData = {
-                username: 'test',
-                description: 'x'.repeat(10000)
+                ...newUser,
+                preferences: { note: 'x'.repeat(10000) }
             };
 
             await request(server)
@@ -749,7 +1548,7 @@ describe('User Routes Integration Tests', () => {
         it('应该正确处理并发请求', async () => {
             const requests = Array.from({ length: 10 }, (_, i) =>
                 request(server)
-                    .get(`/api/users/${i}`)
+                    .get(`/api/users/${i + 1}`)
                     .expect(200)
             );
 
@@ -5,6 +5,19 @@
 
 import { sequelize } from '../config/db.config.js';
 import User from '../models/user/user.model.js';
+import RefreshToken from '../models/auth/refresh-token.model.js';
+import ActionToken from '../models/auth/action-token.model.js';
+import PasswordHistory from '../models/auth/password-history.model.js';
+import LoginThrottle from '../models/auth/login-throttle.model.js';
+import LoginHistory from '../models/auth/login-history.model.js';
+import TwoFactor, { BackupCode } from '../models/auth/two-factor.model.js';
+import Session from '../models/auth/session.model.js';
+import OidcState from '../models/auth/oidc-state.model.js';
+import UserIdentity from '../models/auth/user-identity.model.js';
+import ApiKey from '../models/auth/api-key.model.js';
+import { UserRole } from '../models/role/role.model.js';
+import { migrate } from '../infrastructure/migration.infrastructure.js';
+import { buildUserRecord, buildMany } from '../seeders/factories/user.factory.js';
 
 /**
  * 设置测试数据库
@@ -12,8 +25,9 @@ import User from '../models/user/user.model.js';
  */
 export const setupTestDatabase = async () => {
   try {
-    // 同步数据库模型（创建表）
-    await sequelize.sync({ force: true });
+    // 清空后通过迁移建表，与生产环境的表结构保持一致
+    await sequelize.getQueryInterface().dropAllTables();
+    await migrate();
     console.log('测试数据库初始化成功');
   } catch (error) {
     console.error('测试数据库初始化失败:', error);
@@ -27,7 +41,19 @@ export const setupTestDatabase = async () => {
  */
 export const cleanupTestDatabase = async () => {
   try {
-    // 清空所有表数据
+    // 清空所有表数据（先清理依赖用户的表）
+    await RefreshToken.destroy({ where: {}, force: true });
+    await Session.destroy({ where: {}, force: true });
+    await OidcState.destroy({ where: {}, force: true });
+    await UserIdentity.destroy({ where: {}, force: true });
+    await ApiKey.destroy({ where: {}, force: true });
+    await ActionToken.destroy({ where: {}, force: true });
+    await PasswordHistory.destroy({ where: {}, force: true });
+    await LoginThrottle.destroy({ where: {}, force: true });
+    await LoginHistory.destroy({ where: {}, force: true });
+    await BackupCode.destroy({ where: {}, force: true });
+    await TwoFactor.destroy({ where: {}, force: true });
+    await UserRole.destroy({ where: {}, force: true });
     await User.destroy({ where: {}, force: true });
     console.log('测试数据库清理成功');
   } catch (error) {
@@ -51,31 +77,16 @@ export const closeDatabase = async () => {
 
 /**
  * 创建测试用户数据
+ * 可直接写入数据库的记录，需要经过业务层创建用户时使用 seeders/factories/user.factory.js 中的 createUser
  */
-export const createTestUserData = (overrides = {}) => {
-  return {
-    username: 'testuser',
-    email: 'test@example.com',
-    password_hash: '$2b$10$abcdefghijklmnopqrstuvwxyz123456789', // 模拟的哈希密码
-    full_name: '测试用户',
-    phone: '13800138000',
-    birth_date: '1990-01-01',
-    gender: 'male',
-    ...overrides
-  };
-};
+export const createTestUserData = (overrides = {}) => buildUserRecord(overrides);
 
 /**
  * 创建多个测试用户数据
  */
-export const createMultipleTestUsers = (count = 3) => {
-  const users = [];
-  for (let i = 1; i <= count; i++) {
-    users.push(createTestUserData({
-      username: `testuser${i}`,
-      email: `test${i}@example.com`,
-      full_name: `测试用户${i}`
-    }));
-  }
-  return users;
-};
\ No newline at end of file
+export const createMultipleTestUsers = (count = 3) =>
+  buildMany(count, (i) => buildUserRecord({
+    username: `testuser${i}`,
+    email: `test${i}@example.com`,
+    full_name: `测试用户${i}`
+  }));
@@ -13,6 +13,10 @@ export default defineConfig({
     
     // 测试超时时间
     testTimeout: 10000,
+
+    // 默认使用SQLite内存数据库，各测试文件互不干扰可并行；
+    // 通过 DB_DIALECT 连接共享的 PostgreSQL/MySQL 时需要串行执行，避免重建表时互相覆盖
+    fileParallelism: !process.env.DB_DIALECT || process.env.DB_DIALECT === 'sqlite',
     
     // 覆盖率配置
     coverage: {